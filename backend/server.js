@@ -23,7 +23,42 @@ const db = await import('./src/config/db.js');
 const userModel = await import('./src/models/user.model.js');
 const taskModel = await import('./src/models/task.model.js');
 const projectModel = await import('./src/models/project.model.js');
+const { default: tagService } = await import('./src/services/tag.services.js');
+const { default: projectService } = await import('./src/services/project.services.js');
+const { default: schedulerService } = await import('./src/services/scheduler.services.js');
+const { registerJobs } = await import('./src/config/jobs.js');
 
+// Convert tasks and subtasks still storing tags as '#'-separated strings (runs once per start, skips converted items)
+db.default
+    .then(() => tagService.migrateLegacyTags())
+    .then(({ tasks, subtasks, templates }) => {
+        if (tasks + subtasks + templates > 0) {
+            console.log(`Migrated legacy tags: ${tasks} tasks, ${subtasks} subtasks, ${templates} templates`);
+        }
+    })
+    .catch((err) => console.log("Error migrating legacy tags: ", err));
+
+// Store the workflow status category on tasks and subtasks saved before workflows existed
+db.default
+    .then(() => projectService.migrateStatusCategories())
+    .then(({ tasks, subtasks }) => {
+        if (tasks + subtasks > 0) {
+            console.log(`Stored status categories: ${tasks} tasks, ${subtasks} subtasks`);
+        }
+    })
+    .catch((err) => console.log("Error migrating status categories: ", err));
+
+// Background jobs (deadline reminders, recurrence, digests) run on their cron schedules once the
+// database is connected; set SCHEDULER_ENABLED=false to only run them from the admin endpoints
+registerJobs();
+db.default
+    .then(() => {
+        if (process.env.SCHEDULER_ENABLED !== 'false') {
+            schedulerService.start({ io: app.get('io'), userSockets: app.get('userSockets') });
+            console.log('Job scheduler started');
+        }
+    })
+    .catch((err) => console.log("Error starting job scheduler: ", err));
 
 const port = process.env.PORT || 3000; //set the port from environment variable or default to 3000
 
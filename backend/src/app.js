@@ -89,6 +89,16 @@ import projectRouter from './routes/project.router.js'; //import project router
 import reportRouter from './routes/report.router.js'; //import report router for report-related routes
 import notificationRouter from './routes/notification.router.js';
 import subtaskRouter from './routes/subtask.router.js'; //import subtask router for subtask-related routes
+import dependencyRouter from './routes/dependency.router.js'; //import dependency router for task/subtask dependency routes
+import timeEntryRouter from './routes/time-entry.router.js'; //import time entry router for time logging routes
+import timesheetRouter from './routes/timesheet.router.js'; //import timesheet router for weekly timesheet routes
+import recurrenceRouter from './routes/recurrence.router.js'; //import recurrence router for recurrence rule previews
+import searchRouter from './routes/search.router.js'; //import search router for global search
+import attachmentRouter from './routes/attachment.router.js'; //import attachment router for file attachments
+import checklistRouter from './routes/checklist.router.js'; //import checklist router for task/subtask checklists
+import templateRouter from './routes/template.router.js'; //import template router for task templates
+import tagRouter from './routes/tag.router.js'; //import tag router for the tag registry
+import schedulerRouter from './routes/scheduler.router.js'; //import scheduler router for the admin job endpoints
 
 //Test route to verify server is running
 app.get("/", (req, res) => {
@@ -101,5 +111,15 @@ app.use('/api', projectRouter); //use the project router for project-related rou
 app.use('/api', reportRouter); //use the report router for report-related routes
 app.use('/api', notificationRouter); //use the notification router for notification-related routes
 app.use('/api', subtaskRouter); //use the subtask router for subtask-related routes
+app.use('/api', dependencyRouter); //use the dependency router for "blocked by" links
+app.use('/api', timeEntryRouter); //use the time entry router for per-user time logging and timers
+app.use('/api', timesheetRouter); //use the timesheet router for weekly timesheets and exports
+app.use('/api', recurrenceRouter); //use the recurrence router for recurrence rule previews
+app.use('/api', searchRouter); //use the search router for full-text search
+app.use('/api', attachmentRouter); //use the attachment router for task, subtask and comment files
+app.use('/api', checklistRouter); //use the checklist router for checklist items on tasks and subtasks
+app.use('/api', templateRouter); //use the template router for saving and instantiating task templates
+app.use('/api', tagRouter); //use the tag router for registering, editing and deleting tags
+app.use('/api', schedulerRouter); //use the scheduler router for listing, inspecting and running background jobs
 
 export { app as default, server }; //export both app and server
\ No newline at end of file
@@ -0,0 +1,48 @@
+import schedulerService from '../services/scheduler.services.js';
+import taskService from '../services/task.services.js';
+import subtaskService from '../services/subtask.services.js';
+import digestService from '../services/digest.services.js';
+import { checkTasksAndNotify } from '../services/email-notification.services.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The background jobs of the server. Schedules are cron expressions in UTC and
+// can be changed per job with JOB_SCHEDULE_<NAME>, e.g. JOB_SCHEDULE_DEADLINE_REMINDERS="*/30 * * * *".
+export const JOBS = {
+    'deadline-reminders': {
+        schedule: '*/15 * * * *',
+        description: 'Deadline reminders for tasks and subtasks (each reminder is sent once)',
+        handler: ({ now, io, userSockets }) => checkTasksAndNotify(now, { io, userSockets })
+    },
+    recurrence: {
+        schedule: '5 * * * *',
+        description: 'Next occurrences of recurring tasks and subtasks completed without one',
+        // Looks at items completed since a day before the last successful run
+        handler: async ({ now, lastRun }) => {
+            const since = new Date((lastRun?.startedAt || now).getTime() - DAY_MS);
+            return {
+                tasks: await taskService.createMissingOccurrences(since),
+                subtasks: await subtaskService.createMissingOccurrences(since)
+            };
+        }
+    },
+    digests: {
+        schedule: '0 * * * *',
+        description: 'Daily and weekly email digests at each user\'s chosen hour',
+        handler: ({ now }) => digestService.sendDueDigests(now)
+    }
+};
+
+const scheduleOverride = (name) => process.env[`JOB_SCHEDULE_${name.toUpperCase().replace(/-/g, '_')}`];
+
+/**
+ * Register the jobs with the scheduler (once; later calls do nothing)
+ */
+export function registerJobs(scheduler = schedulerService) {
+    Object.entries(JOBS).forEach(([name, job]) => {
+        if (!scheduler.hasJob(name)) {
+            scheduler.register(name, { ...job, schedule: scheduleOverride(name) || job.schedule });
+        }
+    });
+    return scheduler;
+}
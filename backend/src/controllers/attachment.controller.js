@@ -0,0 +1,110 @@
+import attachmentService from '../services/attachment.services.js';
+
+// Map service error messages to HTTP status codes
+function statusForError(error) {
+    if (error.message.includes('not found')) {
+        return 404;
+    }
+    if (error.message.includes('permission')) {
+        return 403;
+    }
+    if (error.message.includes('too large')) {
+        return 413;
+    }
+    return 400;
+}
+
+async function uploadItemAttachments(req, res, itemType, itemId) {
+    try {
+        const attachments = await attachmentService.uploadAttachments({
+            itemType,
+            itemId,
+            commentId: req.params.commentId || null,
+            files: req.files,
+            actingUser: req.user
+        });
+
+        res.status(201).json({
+            success: true,
+            message: attachments.length === 1 ? 'File uploaded successfully' : `${attachments.length} files uploaded successfully`,
+            data: attachments
+        });
+    } catch (error) {
+        res.status(statusForError(error)).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+async function getItemAttachments(req, res, itemType, itemId) {
+    try {
+        const attachments = await attachmentService.getAttachments(itemType, itemId, req.user);
+
+        res.status(200).json({
+            success: true,
+            data: attachments
+        });
+    } catch (error) {
+        res.status(statusForError(error)).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+class AttachmentController {
+    async getTaskAttachments(req, res) {
+        return getItemAttachments(req, res, 'task', req.params.taskId);
+    }
+
+    async uploadTaskAttachments(req, res) {
+        return uploadItemAttachments(req, res, 'task', req.params.taskId);
+    }
+
+    async getSubtaskAttachments(req, res) {
+        return getItemAttachments(req, res, 'subtask', req.params.subtaskId);
+    }
+
+    async uploadSubtaskAttachments(req, res) {
+        return uploadItemAttachments(req, res, 'subtask', req.params.subtaskId);
+    }
+
+    async downloadAttachment(req, res) {
+        try {
+            const { attachment, stream } = await attachmentService.getDownload(req.params.attachmentId, req.user);
+
+            res.setHeader('Content-Type', attachment.mimeType);
+            res.setHeader('Content-Length', attachment.size);
+            res.attachment(attachment.originalName);
+            stream.on('error', (error) => {
+                console.error('Failed to stream attachment %s:', attachment._id, error.message);
+                res.destroy(error);
+            });
+            stream.pipe(res);
+        } catch (error) {
+            res.status(statusForError(error)).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async deleteAttachment(req, res) {
+        try {
+            await attachmentService.deleteAttachment(req.params.attachmentId, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Attachment deleted successfully'
+            });
+        } catch (error) {
+            res.status(statusForError(error)).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+}
+
+export default new AttachmentController();
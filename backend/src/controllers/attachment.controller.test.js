@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PassThrough } from 'stream';
+import attachmentController from './attachment.controller.js';
+import attachmentService from '../services/attachment.services.js';
+
+// Mock dependencies
+vi.mock('../services/attachment.services.js');
+
+describe('Attachment Controller', () => {
+    let req, res;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+
+        req = {
+            user: { _id: 'user123', username: 'staff@example.com', roles: ['staff'] },
+            params: { taskId: 'task123' },
+            files: [{ originalname: 'spec.pdf', mimetype: 'application/pdf', size: 2048, buffer: Buffer.from('pdf') }]
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis(),
+            setHeader: vi.fn(),
+            attachment: vi.fn()
+        };
+    });
+
+    describe('uploadTaskAttachments', () => {
+        it('should upload files to the task and return 201', async () => {
+            const saved = [{ _id: 'att1', originalName: 'spec.pdf' }];
+            attachmentService.uploadAttachments.mockResolvedValue(saved);
+
+            await attachmentController.uploadTaskAttachments(req, res);
+
+            expect(attachmentService.uploadAttachments).toHaveBeenCalledWith({
+                itemType: 'task',
+                itemId: 'task123',
+                commentId: null,
+                files: req.files,
+                actingUser: req.user
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                message: 'File uploaded successfully',
+                data: saved
+            });
+        });
+
+        it('should pass the comment id for comment attachments', async () => {
+            req.params.commentId = 'comment1';
+            attachmentService.uploadAttachments.mockResolvedValue([]);
+
+            await attachmentController.uploadTaskAttachments(req, res);
+
+            expect(attachmentService.uploadAttachments).toHaveBeenCalledWith(expect.objectContaining({ commentId: 'comment1' }));
+        });
+
+        it('should return 400 for a disallowed file type', async () => {
+            attachmentService.uploadAttachments.mockRejectedValue(new Error('Invalid file type for run.exe: allowed types are .pdf'));
+
+            await attachmentController.uploadTaskAttachments(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        it('should return 413 for a file over the size limit', async () => {
+            attachmentService.uploadAttachments.mockRejectedValue(new Error('File is too large: big.zip exceeds 10 MB'));
+
+            await attachmentController.uploadTaskAttachments(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(413);
+        });
+
+        it('should return 403 without access to the project', async () => {
+            attachmentService.uploadAttachments.mockRejectedValue(
+                new Error('You do not have permission to access attachments of this task')
+            );
+
+            await attachmentController.uploadTaskAttachments(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('getSubtaskAttachments', () => {
+        it('should list the subtask attachments', async () => {
+            req.params = { subtaskId: 'subtask123' };
+            attachmentService.getAttachments.mockResolvedValue([]);
+
+            await attachmentController.getSubtaskAttachments(req, res);
+
+            expect(attachmentService.getAttachments).toHaveBeenCalledWith('subtask', 'subtask123', req.user);
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        it('should return 404 for an unknown subtask', async () => {
+            req.params = { subtaskId: 'missing' };
+            attachmentService.getAttachments.mockRejectedValue(new Error('Subtask not found'));
+
+            await attachmentController.getSubtaskAttachments(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('downloadAttachment', () => {
+        it('should stream the file with its name and content type', async () => {
+            req.params = { attachmentId: 'att1' };
+            const stream = new PassThrough();
+            stream.pipe = vi.fn();
+            attachmentService.getDownload.mockResolvedValue({
+                attachment: { _id: 'att1', originalName: 'spec.pdf', mimeType: 'application/pdf', size: 3 },
+                stream
+            });
+
+            await attachmentController.downloadAttachment(req, res);
+
+            expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/pdf');
+            expect(res.setHeader).toHaveBeenCalledWith('Content-Length', 3);
+            expect(res.attachment).toHaveBeenCalledWith('spec.pdf');
+            expect(stream.pipe).toHaveBeenCalledWith(res);
+        });
+    });
+
+    describe('deleteAttachment', () => {
+        it('should delete the attachment', async () => {
+            req.params = { attachmentId: 'att1' };
+            attachmentService.deleteAttachment.mockResolvedValue({});
+
+            await attachmentController.deleteAttachment(req, res);
+
+            expect(attachmentService.deleteAttachment).toHaveBeenCalledWith('att1', req.user);
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        it('should return 403 when the user did not upload the file', async () => {
+            req.params = { attachmentId: 'att1' };
+            attachmentService.deleteAttachment.mockRejectedValue(
+                new Error('You do not have permission to delete this attachment')
+            );
+
+            await attachmentController.deleteAttachment(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+import checklistService from '../services/checklist.services.js';
+
+// Map service error messages to HTTP status codes
+function statusForError(error) {
+    if (error.message.includes('not found')) {
+        return 404;
+    }
+    if (error.message.includes('permission')) {
+        return 403;
+    }
+    return 400;
+}
+
+// Runs a checklist operation and responds with the updated checklist
+async function respond(res, operation, { status = 200, message } = {}) {
+    try {
+        const checklist = await operation();
+
+        res.status(status).json({
+            success: true,
+            ...(message && { message }),
+            data: checklist
+        });
+    } catch (error) {
+        res.status(statusForError(error)).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+function getItemChecklist(req, res, itemType, itemId) {
+    return respond(res, () => checklistService.getChecklist(itemType, itemId, req.user));
+}
+
+function addItemChecklistItem(req, res, itemType, itemId) {
+    return respond(res, () => checklistService.addChecklistItem({
+        itemType,
+        itemId,
+        text: req.body.text,
+        owner: req.body.owner || null,
+        actingUser: req.user
+    }), { status: 201, message: 'Checklist item added successfully' });
+}
+
+function updateItemChecklistItem(req, res, itemType, itemId) {
+    const { text, done, owner } = req.body;
+    return respond(res, () => checklistService.updateChecklistItem({
+        itemType,
+        itemId,
+        checklistItemId: req.params.checklistItemId,
+        updates: { text, done, owner },
+        actingUser: req.user
+    }), { message: 'Checklist item updated successfully' });
+}
+
+function removeItemChecklistItem(req, res, itemType, itemId) {
+    return respond(res, () => checklistService.removeChecklistItem({
+        itemType,
+        itemId,
+        checklistItemId: req.params.checklistItemId,
+        actingUser: req.user
+    }), { message: 'Checklist item removed successfully' });
+}
+
+function reorderItemChecklist(req, res, itemType, itemId) {
+    return respond(res, () => checklistService.reorderChecklist({
+        itemType,
+        itemId,
+        order: req.body.order,
+        actingUser: req.user
+    }), { message: 'Checklist reordered successfully' });
+}
+
+class ChecklistController {
+    async getTaskChecklist(req, res) {
+        return getItemChecklist(req, res, 'task', req.params.taskId);
+    }
+
+    async addTaskChecklistItem(req, res) {
+        return addItemChecklistItem(req, res, 'task', req.params.taskId);
+    }
+
+    async updateTaskChecklistItem(req, res) {
+        return updateItemChecklistItem(req, res, 'task', req.params.taskId);
+    }
+
+    async removeTaskChecklistItem(req, res) {
+        return removeItemChecklistItem(req, res, 'task', req.params.taskId);
+    }
+
+    async reorderTaskChecklist(req, res) {
+        return reorderItemChecklist(req, res, 'task', req.params.taskId);
+    }
+
+    async getSubtaskChecklist(req, res) {
+        return getItemChecklist(req, res, 'subtask', req.params.subtaskId);
+    }
+
+    async addSubtaskChecklistItem(req, res) {
+        return addItemChecklistItem(req, res, 'subtask', req.params.subtaskId);
+    }
+
+    async updateSubtaskChecklistItem(req, res) {
+        return updateItemChecklistItem(req, res, 'subtask', req.params.subtaskId);
+    }
+
+    async removeSubtaskChecklistItem(req, res) {
+        return removeItemChecklistItem(req, res, 'subtask', req.params.subtaskId);
+    }
+
+    async reorderSubtaskChecklist(req, res) {
+        return reorderItemChecklist(req, res, 'subtask', req.params.subtaskId);
+    }
+}
+
+export default new ChecklistController();
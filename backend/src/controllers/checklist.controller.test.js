@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import checklistController from './checklist.controller.js';
+import checklistService from '../services/checklist.services.js';
+
+// Mock dependencies
+vi.mock('../services/checklist.services.js');
+
+describe('Checklist Controller', () => {
+    let req, res;
+    const checklist = { items: [{ _id: 'item1', text: 'Update README', done: false }], progress: { done: 0, total: 1 } };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+
+        req = {
+            user: { _id: 'user123', roles: ['staff'] },
+            params: { taskId: 'task123', checklistItemId: 'item1' },
+            body: {}
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+    });
+
+    describe('addTaskChecklistItem', () => {
+        it('should add the item and return 201 with the checklist', async () => {
+            req.body = { text: 'Update README', owner: 'user456' };
+            checklistService.addChecklistItem.mockResolvedValue(checklist);
+
+            await checklistController.addTaskChecklistItem(req, res);
+
+            expect(checklistService.addChecklistItem).toHaveBeenCalledWith({
+                itemType: 'task',
+                itemId: 'task123',
+                text: 'Update README',
+                owner: 'user456',
+                actingUser: req.user
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                message: 'Checklist item added successfully',
+                data: checklist
+            });
+        });
+
+        it('should return 400 for an empty item', async () => {
+            checklistService.addChecklistItem.mockRejectedValue(new Error('Checklist item text is required'));
+
+            await checklistController.addTaskChecklistItem(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('updateSubtaskChecklistItem', () => {
+        it('should only pass the editable fields', async () => {
+            req.params = { subtaskId: 'subtask123', checklistItemId: 'item1' };
+            req.body = { done: true, completedBy: 'someoneElse' };
+            checklistService.updateChecklistItem.mockResolvedValue(checklist);
+
+            await checklistController.updateSubtaskChecklistItem(req, res);
+
+            expect(checklistService.updateChecklistItem).toHaveBeenCalledWith({
+                itemType: 'subtask',
+                itemId: 'subtask123',
+                checklistItemId: 'item1',
+                updates: { text: undefined, done: true, owner: undefined },
+                actingUser: req.user
+            });
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        it('should return 404 for an unknown checklist item', async () => {
+            req.params = { subtaskId: 'subtask123', checklistItemId: 'missing' };
+            checklistService.updateChecklistItem.mockRejectedValue(new Error('Checklist item not found'));
+
+            await checklistController.updateSubtaskChecklistItem(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('reorderTaskChecklist', () => {
+        it('should return 403 without permission to change the checklist', async () => {
+            req.body = { order: ['item1'] };
+            checklistService.reorderChecklist.mockRejectedValue(
+                new Error('You do not have permission to modify the checklist of this task')
+            );
+
+            await checklistController.reorderTaskChecklist(req, res);
+
+            expect(checklistService.reorderChecklist).toHaveBeenCalledWith(expect.objectContaining({ order: ['item1'] }));
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('getTaskChecklist', () => {
+        it('should return the checklist without a message', async () => {
+            checklistService.getChecklist.mockResolvedValue(checklist);
+
+            await checklistController.getTaskChecklist(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ success: true, data: checklist });
+        });
+    });
+});
@@ -0,0 +1,122 @@
+import dependencyService from '../services/dependency.services.js';
+
+// Map service error messages to HTTP status codes
+function statusForError(error) {
+    if (error.message.includes('not found')) {
+        return 404;
+    }
+    if (error.message.includes('permission')) {
+        return 403;
+    }
+    if (error.message.includes('already exists') || error.message.includes('cycle')) {
+        return 409;
+    }
+    return 400;
+}
+
+async function getItemDependencies(req, res, itemType, itemId) {
+    try {
+        const dependencies = await dependencyService.getDependencies(itemType, itemId, req.user);
+
+        res.status(200).json({
+            success: true,
+            data: dependencies
+        });
+    } catch (error) {
+        res.status(statusForError(error)).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+async function addItemDependency(req, res, itemType, itemId) {
+    try {
+        const { blockerId, blockerType } = req.body;
+
+        const dependency = await dependencyService.addDependency({
+            itemType,
+            itemId,
+            blockerType: blockerType || 'task',
+            blockerId,
+            actingUser: req.user
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Dependency added successfully',
+            data: dependency
+        });
+    } catch (error) {
+        res.status(statusForError(error)).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+async function removeItemDependency(req, res, itemType, itemId) {
+    try {
+        await dependencyService.removeDependency({
+            itemType,
+            itemId,
+            dependencyId: req.params.dependencyId,
+            actingUser: req.user
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Dependency removed successfully'
+        });
+    } catch (error) {
+        res.status(statusForError(error)).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+class DependencyController {
+    async getTaskDependencies(req, res) {
+        return getItemDependencies(req, res, 'task', req.params.taskId);
+    }
+
+    async addTaskDependency(req, res) {
+        return addItemDependency(req, res, 'task', req.params.taskId);
+    }
+
+    async removeTaskDependency(req, res) {
+        return removeItemDependency(req, res, 'task', req.params.taskId);
+    }
+
+    async getSubtaskDependencies(req, res) {
+        return getItemDependencies(req, res, 'subtask', req.params.subtaskId);
+    }
+
+    async addSubtaskDependency(req, res) {
+        return addItemDependency(req, res, 'subtask', req.params.subtaskId);
+    }
+
+    async removeSubtaskDependency(req, res) {
+        return removeItemDependency(req, res, 'subtask', req.params.subtaskId);
+    }
+
+    async getProjectDependencies(req, res) {
+        try {
+            const { projectId } = req.params;
+            const dependencies = await dependencyService.getProjectDependencies(projectId, req.user);
+
+            res.status(200).json({
+                success: true,
+                data: dependencies
+            });
+        } catch (error) {
+            res.status(statusForError(error)).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+}
+
+export default new DependencyController();
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import dependencyController from './dependency.controller.js';
+import dependencyService from '../services/dependency.services.js';
+
+vi.mock('../services/dependency.services.js');
+
+describe('Dependency Controller', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            user: {
+                _id: '507f1f77bcf86cd799439012',
+                username: 'manager@company.com',
+                roles: ['manager']
+            },
+            params: { taskId: '507f1f77bcf86cd799439011' },
+            body: {}
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+    });
+
+    afterEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('getTaskDependencies', () => {
+        it('should return blocked-by and blocks lists', async () => {
+            const mockDependencies = { blockedBy: [], blocks: [] };
+            dependencyService.getDependencies.mockResolvedValue(mockDependencies);
+
+            await dependencyController.getTaskDependencies(req, res);
+
+            expect(dependencyService.getDependencies).toHaveBeenCalledWith('task', '507f1f77bcf86cd799439011', req.user);
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ success: true, data: mockDependencies });
+        });
+
+        it('should return 404 when the task does not exist', async () => {
+            dependencyService.getDependencies.mockRejectedValue(new Error('Task not found'));
+
+            await dependencyController.getTaskDependencies(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('addTaskDependency', () => {
+        it('should create a link with task as the default blocker type', async () => {
+            const mockLink = { _id: '507f1f77bcf86cd799439060' };
+            req.body = { blockerId: '507f1f77bcf86cd799439013' };
+            dependencyService.addDependency.mockResolvedValue(mockLink);
+
+            await dependencyController.addTaskDependency(req, res);
+
+            expect(dependencyService.addDependency).toHaveBeenCalledWith({
+                itemType: 'task',
+                itemId: '507f1f77bcf86cd799439011',
+                blockerType: 'task',
+                blockerId: '507f1f77bcf86cd799439013',
+                actingUser: req.user
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        it('should return 409 when the link would create a cycle', async () => {
+            req.body = { blockerId: '507f1f77bcf86cd799439013' };
+            dependencyService.addDependency.mockRejectedValue(
+                new Error('Adding this dependency would create a cycle')
+            );
+
+            await dependencyController.addTaskDependency(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'Adding this dependency would create a cycle'
+            });
+        });
+
+        it('should return 403 when the user cannot modify the task', async () => {
+            req.body = { blockerId: '507f1f77bcf86cd799439013' };
+            dependencyService.addDependency.mockRejectedValue(
+                new Error('You do not have permission to modify dependencies of this task')
+            );
+
+            await dependencyController.addTaskDependency(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('removeSubtaskDependency', () => {
+        it('should remove a link from a subtask', async () => {
+            req.params = { subtaskId: '507f1f77bcf86cd799439020', dependencyId: '507f1f77bcf86cd799439060' };
+            dependencyService.removeDependency.mockResolvedValue({});
+
+            await dependencyController.removeSubtaskDependency(req, res);
+
+            expect(dependencyService.removeDependency).toHaveBeenCalledWith({
+                itemType: 'subtask',
+                itemId: '507f1f77bcf86cd799439020',
+                dependencyId: '507f1f77bcf86cd799439060',
+                actingUser: req.user
+            });
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+    });
+});
@@ -1,4 +1,16 @@
 import notificationModel from '../models/notification.model.js';
+import notificationService from '../services/notification.services.js';
+import { NOTIFICATION_EVENTS, NOTIFICATION_EVENT_TYPES, NOTIFICATION_CHANNELS } from '../utils/notification.utils.js';
+import { DIGEST_FREQUENCIES } from '../utils/digest.utils.js';
+
+// The events, channels and digest frequencies the settings page lists, with the user's choices
+const toPreferencesResponse = ({ preferences, digest }) => ({
+  events: NOTIFICATION_EVENT_TYPES.map(type => ({ type, label: NOTIFICATION_EVENTS[type].label })),
+  channels: NOTIFICATION_CHANNELS,
+  digestFrequencies: DIGEST_FREQUENCIES,
+  preferences,
+  digest
+});
 
 // Get all notifications for the logged-in user (optionally filter unread)
 export const getNotifications = async (req, res) => {
@@ -48,4 +60,27 @@ export const deleteNotification = async (req, res) => {
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
-};
\ No newline at end of file
+};
+
+// Get the logged-in user's notification channels for every event and digest settings
+export const getNotificationPreferences = async (req, res) => {
+  try {
+    const settings = await notificationService.getSettings(req.user._id);
+    res.json({ success: true, data: toPreferencesResponse(settings) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Change some of the logged-in user's notification channels and/or digest settings
+export const updateNotificationPreferences = async (req, res) => {
+  try {
+    const settings = await notificationService.updateSettings(req.user._id, {
+      preferences: req.body?.preferences,
+      digest: req.body?.digest
+    });
+    res.json({ success: true, data: toPreferencesResponse(settings) });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
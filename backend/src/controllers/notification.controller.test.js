@@ -1,8 +1,10 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import * as notificationController from './notification.controller.js';
 import notificationModel from '../models/notification.model.js';
+import notificationService from '../services/notification.services.js';
 
 vi.mock('../models/notification.model.js');
+vi.mock('../services/notification.services.js');
 
 describe('Notification Controller', () => {
   const req = { user: { _id: 'user123' }, params: { id: 'notif456' }, query: {} };
@@ -48,4 +50,38 @@ describe('Notification Controller', () => {
     expect(notificationModel.findByIdAndDelete).toHaveBeenCalledWith('notif456');
     expect(res.json).toHaveBeenCalledWith({ success: true });
   });
-});
\ No newline at end of file
+
+  it('should get notification preferences with the events and channels', async () => {
+    const preferences = { comment: { inApp: true, toast: false, email: false } };
+    const digest = { frequency: 'daily', hour: 8, timezone: 'Asia/Singapore', weekday: 1 };
+    notificationService.getSettings.mockResolvedValue({ preferences, digest });
+    await notificationController.getNotificationPreferences(req, res);
+    expect(notificationService.getSettings).toHaveBeenCalledWith('user123');
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.preferences).toEqual(preferences);
+    expect(data.digest).toEqual(digest);
+    expect(data.channels).toEqual(['inApp', 'toast', 'email']);
+    expect(data.digestFrequencies).toEqual(['off', 'daily', 'weekly']);
+    expect(data.events).toContainEqual({ type: 'comment', label: 'Comments on my tasks' });
+  });
+
+  it('should update notification preferences and digest settings', async () => {
+    const body = { preferences: { comment: { email: true } }, digest: { frequency: 'weekly' } };
+    notificationService.updateSettings.mockResolvedValue({
+      preferences: { comment: { inApp: true, toast: true, email: true } },
+      digest: { frequency: 'weekly', hour: 8, timezone: 'UTC', weekday: 1 }
+    });
+    await notificationController.updateNotificationPreferences({ ...req, body }, res);
+    expect(notificationService.updateSettings).toHaveBeenCalledWith('user123', body);
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.preferences.comment.email).toBe(true);
+    expect(data.digest.frequency).toBe('weekly');
+  });
+
+  it('should return 400 for invalid notification preferences', async () => {
+    notificationService.updateSettings.mockRejectedValue(new Error('Unknown notification event "nope"'));
+    await notificationController.updateNotificationPreferences({ ...req, body: { preferences: { nope: {} } } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Unknown notification event "nope"' });
+  });
+});
@@ -111,6 +111,34 @@ class ProjectController {
         }
     }
 
+    async duplicateProject(req, res) {
+        try {
+            const { projectId } = req.params;
+            const userId = req.user._id;
+            const userRole = req.user.roles && req.user.roles[0]; // Get first role
+            const { name, startDate } = req.body;
+
+            const result = await projectService.duplicateProject(projectId, { name, startDate }, userId, userRole);
+
+            // The duplicating user owns the copy, so they can always view its tasks
+            const projectObj = result.project.toObject ? result.project.toObject() : result.project;
+            projectObj.canViewTasks = true;
+
+            res.status(201).json({
+                success: true,
+                message: `Project duplicated with ${result.taskCount} tasks and ${result.subtaskCount} subtasks`,
+                data: projectObj
+            });
+        } catch (error) {
+            const statusCode = error.message === 'Project not found' ? 404 :
+                             error.message.includes('permission') ? 403 : 400;
+            res.status(statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
     async deleteProject(req, res) {
         try {
             const { projectId } = req.params;
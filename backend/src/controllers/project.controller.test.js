@@ -424,6 +424,52 @@ describe('Project Controller Test', () => {
         });
     });
 
+    describe('duplicateProject', () => {
+        it('should duplicate the project and report what was copied', async () => {
+            req.params = { projectId: 'projectId123' };
+            req.user.roles = ['manager'];
+            req.body = { name: 'Release 2.0', startDate: '2025-06-01' };
+            projectService.duplicateProject.mockResolvedValue({
+                project: { _id: 'copy123', name: 'Release 2.0' },
+                taskCount: 4,
+                subtaskCount: 2
+            });
+
+            await projectController.duplicateProject(req, res);
+
+            expect(projectService.duplicateProject).toHaveBeenCalledWith(
+                'projectId123',
+                { name: 'Release 2.0', startDate: '2025-06-01' },
+                'userId123',
+                'manager'
+            );
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                message: 'Project duplicated with 4 tasks and 2 subtasks',
+                data: { _id: 'copy123', name: 'Release 2.0', canViewTasks: true }
+            });
+        });
+
+        it('should return 403 when the user cannot see the project', async () => {
+            req.params = { projectId: 'projectId123' };
+            projectService.duplicateProject.mockRejectedValue(new Error('You do not have permission to duplicate this project'));
+
+            await projectController.duplicateProject(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should return 400 when shifted due dates would be in the past', async () => {
+            req.params = { projectId: 'projectId123' };
+            projectService.duplicateProject.mockRejectedValue(new Error('Some due dates would be in the past; choose a later start date'));
+
+            await projectController.duplicateProject(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+    });
+
     describe('deleteProject', () => {
         it('should delete project successfully', async () => {
             req.params = { projectId: 'projectId123' };
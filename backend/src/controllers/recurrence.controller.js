@@ -0,0 +1,39 @@
+import { normalizeRecurrenceRule, getUpcomingOccurrences } from '../utils/recurrence.utils.js';
+
+const MAX_PREVIEW_DATES = 20;
+
+class RecurrenceController {
+    /**
+     * POST /api/recurrence/preview
+     * Body: { dueDate, recurrenceRule, limit }
+     * Lists the due dates that would follow the given one, so forms can show them before saving
+     */
+    async previewRecurrence(req, res) {
+        try {
+            const { dueDate, recurrenceRule } = req.body;
+            const limit = Math.min(Number(req.body.limit) || 5, MAX_PREVIEW_DATES);
+
+            const start = new Date(dueDate);
+            if (!dueDate || isNaN(start.getTime())) {
+                throw new Error('Due date is required for recurring tasks');
+            }
+
+            const rule = normalizeRecurrenceRule(recurrenceRule, start);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    rule,
+                    dates: getUpcomingOccurrences(start, rule, limit)
+                }
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+}
+
+export default new RecurrenceController();
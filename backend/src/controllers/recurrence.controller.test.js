@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import recurrenceController from './recurrence.controller.js';
+
+describe('Recurrence Controller', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            user: { _id: '507f1f77bcf86cd799439012', roles: ['staff'] },
+            body: {}
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+    });
+
+    describe('previewRecurrence', () => {
+        it('should return the next five due dates by default', async () => {
+            req.body = {
+                dueDate: '2025-03-07',
+                recurrenceRule: { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] }
+            };
+
+            await recurrenceController.previewRecurrence(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            const { data } = res.json.mock.calls[0][0];
+            expect(data.dates.map(d => d.toISOString().split('T')[0])).toEqual([
+                '2025-03-10', '2025-03-11', '2025-03-12', '2025-03-13', '2025-03-14'
+            ]);
+            expect(data.rule.interval).toBe(1);
+        });
+
+        it('should return 400 for an invalid rule', async () => {
+            req.body = { dueDate: '2025-03-07', recurrenceRule: { frequency: 'weekly', interval: -1 } };
+
+            await recurrenceController.previewRecurrence(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'Recurrence interval must be a positive number'
+            });
+        });
+
+        it('should require a due date', async () => {
+            req.body = { recurrenceRule: { frequency: 'daily' } };
+
+            await recurrenceController.previewRecurrence(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+    });
+});
@@ -0,0 +1,80 @@
+import schedulerService from '../services/scheduler.services.js';
+
+// Map service error messages to HTTP status codes
+function statusForError(error) {
+    if (error.message.includes('not found')) {
+        return 404;
+    }
+    if (error.message.includes('already running')) {
+        return 409;
+    }
+    return 400;
+}
+
+function sendError(res, error) {
+    res.status(statusForError(error)).json({
+        success: false,
+        message: error.message
+    });
+}
+
+class SchedulerController {
+    /**
+     * GET /api/admin/jobs
+     */
+    async getJobs(req, res) {
+        try {
+            const jobs = await schedulerService.listJobs();
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    schedulerRunning: schedulerService.isRunning(),
+                    jobs
+                }
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * GET /api/admin/jobs/:name/runs?limit=
+     */
+    async getJobRuns(req, res) {
+        try {
+            const runs = await schedulerService.getRuns(req.params.name, { limit: req.query.limit });
+
+            res.status(200).json({
+                success: true,
+                data: runs
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * POST /api/admin/jobs/:name/run
+     * Runs the job now and responds when it has finished
+     */
+    async runJob(req, res) {
+        try {
+            const run = await schedulerService.runJob(req.params.name, {
+                trigger: 'manual',
+                triggeredBy: req.user._id
+            });
+            const succeeded = run.status === 'succeeded';
+
+            res.status(200).json({
+                success: succeeded,
+                message: succeeded ? `Job "${run.job}" finished` : `Job "${run.job}" failed: ${run.error}`,
+                data: run
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+}
+
+export default new SchedulerController();
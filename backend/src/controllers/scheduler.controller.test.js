@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import schedulerController from './scheduler.controller.js';
+import schedulerService from '../services/scheduler.services.js';
+
+// Mock dependencies
+vi.mock('../services/scheduler.services.js');
+
+describe('Scheduler Controller', () => {
+    let req, res;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+
+        req = {
+            user: { _id: 'admin123', roles: ['admin'] },
+            params: { name: 'digests' },
+            query: {},
+            body: {}
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+    });
+
+    describe('getJobs', () => {
+        it('should list the jobs and whether the scheduler runs them', async () => {
+            const jobs = [{ name: 'digests', schedule: '0 * * * *', running: false }];
+            schedulerService.listJobs.mockResolvedValue(jobs);
+            schedulerService.isRunning.mockReturnValue(true);
+
+            await schedulerController.getJobs(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ success: true, data: { schedulerRunning: true, jobs } });
+        });
+    });
+
+    describe('getJobRuns', () => {
+        it('should pass the job and limit to the service', async () => {
+            req.query.limit = '5';
+            const runs = [{ job: 'digests', status: 'succeeded' }];
+            schedulerService.getRuns.mockResolvedValue(runs);
+
+            await schedulerController.getJobRuns(req, res);
+
+            expect(schedulerService.getRuns).toHaveBeenCalledWith('digests', { limit: '5' });
+            expect(res.json).toHaveBeenCalledWith({ success: true, data: runs });
+        });
+
+        it('should return 404 for unknown jobs', async () => {
+            schedulerService.getRuns.mockRejectedValue(new Error('Job "nope" not found'));
+
+            await schedulerController.getJobRuns(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('runJob', () => {
+        it('should run the job as a manual run of the admin', async () => {
+            const run = { job: 'digests', status: 'succeeded', result: { sent: 2 } };
+            schedulerService.runJob.mockResolvedValue(run);
+
+            await schedulerController.runJob(req, res);
+
+            expect(schedulerService.runJob).toHaveBeenCalledWith('digests', { trigger: 'manual', triggeredBy: 'admin123' });
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Job "digests" finished', data: run });
+        });
+
+        it('should report a failed run', async () => {
+            const run = { job: 'digests', status: 'failed', error: 'SMTP down' };
+            schedulerService.runJob.mockResolvedValue(run);
+
+            await schedulerController.runJob(req, res);
+
+            expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Job "digests" failed: SMTP down', data: run });
+        });
+
+        it('should return 409 while the job is running', async () => {
+            schedulerService.runJob.mockRejectedValue(new Error('Job "digests" is already running'));
+
+            await schedulerController.runJob(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Job "digests" is already running' });
+        });
+    });
+});
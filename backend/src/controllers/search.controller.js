@@ -0,0 +1,31 @@
+import searchService from '../services/search.services.js';
+
+class SearchController {
+    /**
+     * GET /api/search?q=
+     * Query: q (required), types (comma-separated: project, task, subtask, comment), limit
+     */
+    async search(req, res) {
+        try {
+            const data = await searchService.search(req.query.q, req.user, {
+                types: req.query.types,
+                limit: req.query.limit
+            });
+
+            res.status(200).json({
+                success: true,
+                data
+            });
+        } catch (error) {
+            const statusCode = error.message.startsWith('Search query') || error.message.startsWith('Invalid')
+                ? 400
+                : 500;
+            res.status(statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+}
+
+export default new SearchController();
@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import searchController from './search.controller.js';
+import searchService from '../services/search.services.js';
+
+vi.mock('../services/search.services.js');
+
+describe('Search Controller', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            user: { _id: '507f1f77bcf86cd799439012', roles: ['staff'], department: 'it' },
+            query: { q: 'budget' }
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+
+        vi.clearAllMocks();
+    });
+
+    describe('search', () => {
+        it('should return results for the current user', async () => {
+            const data = { query: 'budget', results: [{ type: 'task', id: 'task1', title: 'Budget' }] };
+            searchService.search.mockResolvedValue(data);
+            req.query = { q: 'budget', types: 'task,comment', limit: '5' };
+
+            await searchController.search(req, res);
+
+            expect(searchService.search).toHaveBeenCalledWith('budget', req.user, { types: 'task,comment', limit: '5' });
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ success: true, data });
+        });
+
+        it('should return 400 for an invalid query', async () => {
+            searchService.search.mockRejectedValue(new Error('Search query must be at least 2 characters'));
+
+            await searchController.search(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        it('should return 500 for other errors', async () => {
+            searchService.search.mockRejectedValue(new Error('Database error'));
+
+            await searchController.search(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(500);
+        });
+    });
+});
@@ -4,6 +4,7 @@ import Subtask from '../models/subtask.model.js';
 
 // Mock dependencies
 vi.mock('../models/subtask.model.js');
+vi.mock('../services/attachment.services.js');
 
 describe('Subtask Controller - Delete Comment (Admin Only)', () => {
     let req, res;
@@ -46,9 +47,9 @@ describe('Subtask Controller - Delete Comment (Admin Only)', () => {
             const mockSubtask = {
                 _id: 'subtask123',
                 title: 'Test Subtask',
-                comments: {
+                comments: Object.assign([mockComment], {
                     id: vi.fn().mockReturnValue(mockComment)
-                },
+                }),
                 save: vi.fn().mockResolvedValue(true)
             };
 
@@ -81,9 +82,9 @@ describe('Subtask Controller - Delete Comment (Admin Only)', () => {
             const mockSubtask = {
                 _id: 'subtask123',
                 title: 'Test Subtask',
-                comments: {
+                comments: Object.assign([mockComment], {
                     id: vi.fn().mockReturnValue(mockComment)
-                },
+                }),
                 save: vi.fn().mockResolvedValue(true)
             };
 
@@ -166,9 +167,9 @@ describe('Subtask Controller - Delete Comment (Admin Only)', () => {
             const mockSubtask = {
                 _id: 'subtask123',
                 title: 'Test Subtask',
-                comments: {
+                comments: Object.assign([], {
                     id: vi.fn().mockReturnValue(null)
-                }
+                })
             };
 
             Subtask.findById.mockResolvedValue(mockSubtask);
@@ -208,9 +209,9 @@ describe('Subtask Controller - Delete Comment (Admin Only)', () => {
             const mockSubtask = {
                 _id: 'subtask123',
                 title: 'Test Subtask',
-                comments: {
+                comments: Object.assign([mockComment], {
                     id: vi.fn().mockReturnValue(mockComment)
-                },
+                }),
                 save: vi.fn().mockRejectedValue(new Error('Save failed'))
             };
 
@@ -4,6 +4,7 @@ import Subtask from '../models/subtask.model.js';
 
 // Mock dependencies
 vi.mock('../models/subtask.model.js');
+vi.mock('../services/comment.services.js');
 
 describe('Subtask Controller - Edit Comment', () => {
     let req, res;
@@ -1,8 +1,21 @@
 import subtaskService from '../services/subtask.services.js';
+import dependencyService from '../services/dependency.services.js';
+import mentionService from '../services/mention.services.js';
+import commentService from '../services/comment.services.js';
+import attachmentService from '../services/attachment.services.js';
+import notificationService from '../services/notification.services.js';
 import Subtask from '../models/subtask.model.js';
-import notificationModel from '../models/notification.model.js';
 import User from '../models/user.model.js';
 import { normalizeAssigneeIds, findAddedAssignees } from '../utils/assignee.utils.js';
+import { getNewMentions } from '../utils/mention.utils.js';
+import { getReplyParent, toggleReaction } from '../utils/comment.utils.js';
+import { getItemStatusCategory } from '../utils/workflow.utils.js';
+
+// Owner and assignees of a subtask, who can always be mentioned in its comments
+const getSubtaskParticipants = (subtask) => [
+  subtask.ownerId,
+  ...[].concat(subtask.assigneeId || [])
+];
 
 class SubtaskController {
   /**
@@ -51,12 +64,37 @@ class SubtaskController {
   }
 
   /**
-   * Get all subtasks for a project
+   * Get subtask counts for several parent tasks
+   * GET /api/subtasks/counts?taskIds=id1,id2
+   */
+  async getSubtaskCounts(req, res) {
+    try {
+      const taskIds = (req.query.taskIds || '').split(',').filter(Boolean);
+      const counts = await subtaskService.getSubtaskCounts(taskIds);
+
+      res.status(200).json({
+        success: true,
+        data: counts
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to fetch subtask counts'
+      });
+    }
+  }
+
+  /**
+   * Get all subtasks for a project, optionally only those with every tag in ?tags=
    */
   async getSubtasksByProject(req, res) {
     try {
       const { projectId } = req.params;
-      const subtasks = await subtaskService.getSubtasksByProject(projectId);
+      const filters = {};
+      if (req.query?.tags) {
+        filters.tags = req.query.tags;
+      }
+      const subtasks = await subtaskService.getSubtasksByProject(projectId, filters);
       
       res.status(200).json({
         success: true,
@@ -90,6 +128,61 @@ class SubtaskController {
     }
   }
 
+  /**
+   * Get the field change history of a subtask
+   */
+  async getSubtaskHistory(req, res) {
+    try {
+      const { subtaskId } = req.params;
+      const history = await subtaskService.getSubtaskHistory(subtaskId, req.user);
+
+      res.status(200).json({
+        success: true,
+        data: history
+      });
+    } catch (error) {
+      let statusCode = 500;
+      if (error.message === 'Subtask not found') {
+        statusCode = 404;
+      } else if (error.message.includes('permission')) {
+        statusCode = 403;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Promote a subtask to a task in the same project
+   */
+  async convertToTask(req, res) {
+    try {
+      const { subtaskId } = req.params;
+      const task = await subtaskService.convertToTask(subtaskId, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Subtask converted to a task',
+        data: task
+      });
+    } catch (error) {
+      let statusCode = 400;
+      if (error.message === 'Subtask not found') {
+        statusCode = 404;
+      } else if (error.message.includes('permission')) {
+        statusCode = 403;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to convert subtask'
+      });
+    }
+  }
+
   /**
    * Update a subtask
    */
@@ -102,7 +195,7 @@ class SubtaskController {
 
       // Get original subtask to check recurrence AND track assignee changes
       const originalSubtask = await subtaskService.getSubtaskById(subtaskId);
-      const originalStatus = originalSubtask.status;
+      const wasDone = getItemStatusCategory(originalSubtask) === 'done';
 
       // Track old assignees for notification logic
       const oldAssignees = normalizeAssigneeIds(originalSubtask.assigneeId);
@@ -116,19 +209,18 @@ class SubtaskController {
         // Find assignees who weren't previously assigned
         const addedAssignees = findAddedAssignees(oldAssignees, newAssignees);
 
-        // Create in-app notifications for newly added assignees
+        // Notify newly added assignees on the channels they chose
         if (addedAssignees.length > 0) {
           try {
-            await Promise.all(
-              addedAssignees.map(assigneeId =>
-                notificationModel.create({
-                  user: assigneeId,
-                  message: `You have been assigned to subtask: "${subtask.title}"`,
-                  assignor: actingUser._id,
-                  deadline: subtask.dueDate
-                })
-              )
-            );
+            await notificationService.notify('task-assigned', addedAssignees, {
+              message: `You have been assigned to subtask: "${subtask.title}"`,
+              task: subtask.parentTaskId,
+              assignor: actingUser._id,
+              deadline: subtask.dueDate,
+              data: { subtask },
+              io: req.app?.get('io'),
+              userSockets: req.app?.get('userSockets')
+            });
           } catch (notifError) {
             console.error('Failed to create subtask assignment notifications:', notifError);
             // Don't fail the update if notification fails
@@ -136,8 +228,11 @@ class SubtaskController {
         }
       }
 
-      // Check if subtask was just marked as Completed and is recurring
-      if (originalStatus !== 'Completed' && subtask.status === 'Completed' && subtask.isRecurring) {
+      // Moving into a "done" status of the workflow completes the subtask
+      const justCompleted = !wasDone && getItemStatusCategory(subtask) === 'done';
+
+      // Check if subtask was just completed and is recurring
+      if (justCompleted && subtask.isRecurring) {
         console.log('Creating recurring subtask instance...');
         const newRecurringSubtask = await subtaskService.createRecurringSubtask(subtask);
         if (newRecurringSubtask) {
@@ -145,10 +240,41 @@ class SubtaskController {
         }
       }
 
+      // Warn about open blockers and notify dependents that are now unblocked
+      let warning;
+      if (justCompleted) {
+        try {
+          const openBlockers = await dependencyService.getOpenBlockers('subtask', subtask._id);
+          if (openBlockers.length > 0) {
+            warning = `Subtask was completed while still blocked by ${openBlockers.length} open item(s): ${openBlockers.map(b => `"${b.title}"`).join(', ')}`;
+          }
+
+          const unblockedItems = await dependencyService.getNewlyUnblockedItems('subtask', subtask._id);
+          const io = req.app?.get('io');
+          const userSockets = req.app?.get('userSockets');
+          for (const { itemType, item, assigneeIds } of unblockedItems) {
+            const message = `${itemType === 'task' ? 'Task' : 'Subtask'} "${item.title}" is no longer blocked: all of its blockers are completed`;
+            await notificationService.notify('task-unblocked', assigneeIds, {
+              message,
+              task: itemType === 'task' ? item._id : item.parentTaskId,
+              assignor: actingUser.username,
+              deadline: item.dueDate,
+              data: { task: item },
+              io,
+              userSockets
+            });
+          }
+        } catch (dependencyError) {
+          console.error('Failed to process subtask dependencies:', dependencyError);
+          // Don't fail the update if dependency processing fails
+        }
+      }
+
       res.status(200).json({
         success: true,
         message: 'Subtask updated successfully',
-        data: subtask
+        data: subtask,
+        ...(warning && { warning })
       });
     } catch (error) {
       // Check if it's a permission error
@@ -172,7 +298,7 @@ class SubtaskController {
   async archiveSubtask(req, res) {
     try {
       const { subtaskId } = req.params;
-      await subtaskService.archiveSubtask(subtaskId);
+      await subtaskService.archiveSubtask(subtaskId, req.user?._id);
       
       res.status(200).json({
         success: true,
@@ -212,7 +338,7 @@ class SubtaskController {
   async unarchiveSubtask(req, res) {
     try {
       const { subtaskId } = req.params;
-      await subtaskService.unarchiveSubtask(subtaskId);
+      await subtaskService.unarchiveSubtask(subtaskId, req.user?._id);
       
       res.status(200).json({
         success: true,
@@ -229,7 +355,7 @@ class SubtaskController {
   async addComment(req, res) {
     try {
       const { subtaskId } = req.params;
-      const { text } = req.body;
+      const { text, parentId } = req.body;
       const userId = req.user._id;
       const userName = req.user.username;
 
@@ -249,11 +375,33 @@ class SubtaskController {
         });
       }
 
+      // Replies always go under the top-level comment of the thread
+      let parent = null;
+      if (parentId) {
+        try {
+          parent = getReplyParent(subtask.comments, parentId);
+        } catch (error) {
+          return res.status(404).json({
+            success: false,
+            message: error.message
+          });
+        }
+      }
+
+      // Resolve @mentions first so a mention of someone outside the project rejects the comment
+      const mentioned = await mentionService.resolveMentions(text, {
+        projectId: subtask.projectId,
+        authorId: userId,
+        participantIds: getSubtaskParticipants(subtask)
+      });
+
       // Add the comment
       const comment = {
         text: text.trim(),
         author: userId,
         authorName: userName,
+        mentions: mentioned.map(user => user._id),
+        parentId: parent ? parent._id : null,
         createdAt: new Date()
       };
 
@@ -261,6 +409,27 @@ class SubtaskController {
       subtask.comments.push(comment);
       await subtask.save();
 
+      const notificationContext = {
+        io: req.app?.get('io'),
+        userSockets: req.app?.get('userSockets'),
+        authorName: userName,
+        taskId: subtask.parentTaskId,
+        projectId: subtask.projectId,
+        itemType: 'subtask',
+        itemTitle: subtask.title,
+        comment
+      };
+
+      await mentionService.notifyMentions(mentioned, notificationContext);
+
+      // The parent comment's author hears about the reply, unless they wrote it or were mentioned
+      const mentionedIds = mentioned.map(user => user._id.toString());
+      if (parent &&
+          parent.author.toString() !== userId.toString() &&
+          !mentionedIds.includes(parent.author.toString())) {
+        await commentService.notifyReply(parent.author, notificationContext);
+      }
+
       res.status(200).json({
         success: true,
         message: 'Comment added successfully',
@@ -315,10 +484,41 @@ class SubtaskController {
         });
       }
 
-      // Update the comment text
+      const mentioned = await mentionService.resolveMentions(text, {
+        projectId: subtask.projectId,
+        authorId: userId,
+        participantIds: getSubtaskParticipants(subtask)
+      });
+      // Only users the edit newly mentions are notified
+      const newMentions = getNewMentions(comment.mentions, mentioned);
+
+      // Update the comment text, keeping the previous version if it changed
+      const previousText = comment.text;
+      const changed = previousText !== text.trim();
       comment.text = text.trim();
+      comment.mentions = mentioned.map(user => user._id);
+      if (changed) {
+        comment.editedAt = new Date();
+      }
       await subtask.save();
 
+      if (changed) {
+        await commentService.recordRevision('subtask', subtask._id, comment._id, previousText);
+      }
+
+      if (newMentions.length > 0) {
+        await mentionService.notifyMentions(newMentions, {
+          io: req.app?.get('io'),
+          userSockets: req.app?.get('userSockets'),
+          authorName: req.user.username,
+          taskId: subtask.parentTaskId,
+          projectId: subtask.projectId,
+          itemType: 'subtask',
+          itemTitle: subtask.title,
+          comment
+        });
+      }
+
       // Fetch the updated subtask without populated fields to avoid circular references
       const updatedSubtask = await Subtask.findById(subtaskId).lean();
 
@@ -370,9 +570,13 @@ class SubtaskController {
       }
 
       // Admin can delete any comment (no ownership check needed)
-      // Remove the comment
+      // Remove the comment along with its replies and their attachments
+      const replies = subtask.comments
+        .filter(reply => reply.parentId && reply.parentId.toString() === comment._id.toString());
+      replies.forEach(reply => reply.deleteOne());
       comment.deleteOne();
       await subtask.save();
+      await attachmentService.removeCommentAttachments('subtask', subtask._id, [comment._id, ...replies.map(reply => reply._id)]);
 
       res.status(200).json({
         success: true,
@@ -387,6 +591,82 @@ class SubtaskController {
     }
   }
 
+  /**
+   * Add the user's emoji reaction to a comment, or remove it if they already
+   * reacted with that emoji
+   */
+  async toggleCommentReaction(req, res) {
+    try {
+      const { subtaskId, commentId } = req.params;
+      const { emoji } = req.body;
+
+      const subtask = await Subtask.findById(subtaskId);
+
+      if (!subtask) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subtask not found'
+        });
+      }
+
+      const comment = subtask.comments.id(commentId);
+
+      if (!comment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+
+      const added = toggleReaction(comment, emoji, req.user._id);
+      await subtask.save();
+
+      res.status(200).json({
+        success: true,
+        message: added ? 'Reaction added' : 'Reaction removed',
+        data: subtask
+      });
+    } catch (error) {
+      const statusCode = error.message.startsWith('Invalid') ? 400 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Previous versions of an edited comment (comment author and admins only)
+   */
+  async getCommentHistory(req, res) {
+    try {
+      const { subtaskId, commentId } = req.params;
+
+      const subtask = await Subtask.findById(subtaskId).lean();
+
+      if (!subtask) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subtask not found'
+        });
+      }
+
+      const history = await commentService.getCommentHistory(subtask, commentId, req.user);
+
+      res.status(200).json({
+        success: true,
+        data: history
+      });
+    } catch (error) {
+      const statusCode = error.message === 'Comment not found' ? 404 :
+        error.message.startsWith('You can only') ? 403 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Manual Time Logging: Update subtask time taken
    */
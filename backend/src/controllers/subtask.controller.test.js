@@ -316,4 +316,130 @@ describe('Subtask Controller - Manual Time Logging', () => {
       expect(res.status).toHaveBeenCalledWith(404);
     });
   });
+
+  describe('getSubtaskHistory', () => {
+    it('should return the subtask history for the acting user', async () => {
+      const mockHistory = [
+        { _id: 'h1', field: 'status', oldValue: 'To Do', newValue: 'In Progress' }
+      ];
+      req.params = { subtaskId: '507f1f77bcf86cd799439020' };
+      subtaskService.getSubtaskHistory.mockResolvedValue(mockHistory);
+
+      await subtaskController.getSubtaskHistory(req, res);
+
+      expect(subtaskService.getSubtaskHistory).toHaveBeenCalledWith('507f1f77bcf86cd799439020', req.user);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: mockHistory });
+    });
+
+    it('should return 404 when the subtask does not exist', async () => {
+      req.params = { subtaskId: '507f1f77bcf86cd799439020' };
+      subtaskService.getSubtaskHistory.mockRejectedValue(new Error('Subtask not found'));
+
+      await subtaskController.getSubtaskHistory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 403 when the user cannot view the subtask', async () => {
+      req.params = { subtaskId: '507f1f77bcf86cd799439020' };
+      subtaskService.getSubtaskHistory.mockRejectedValue(
+        new Error('You do not have permission to view this subtask history')
+      );
+
+      await subtaskController.getSubtaskHistory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should return 500 for unexpected errors', async () => {
+      req.params = { subtaskId: '507f1f77bcf86cd799439020' };
+      subtaskService.getSubtaskHistory.mockRejectedValue(new Error('Connection lost'));
+
+      await subtaskController.getSubtaskHistory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Connection lost' });
+    });
+  });
+
+  describe('getSubtaskCounts', () => {
+    it('should split the comma-separated task IDs', async () => {
+      const mockCounts = {
+        '507f1f77bcf86cd799439011': { total: 3, completed: 1 },
+        '507f1f77bcf86cd799439012': { total: 0, completed: 0 }
+      };
+      req.query = { taskIds: '507f1f77bcf86cd799439011,507f1f77bcf86cd799439012' };
+      subtaskService.getSubtaskCounts.mockResolvedValue(mockCounts);
+
+      await subtaskController.getSubtaskCounts(req, res);
+
+      expect(subtaskService.getSubtaskCounts).toHaveBeenCalledWith([
+        '507f1f77bcf86cd799439011',
+        '507f1f77bcf86cd799439012'
+      ]);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: mockCounts });
+    });
+
+    it('should handle a missing taskIds parameter', async () => {
+      subtaskService.getSubtaskCounts.mockResolvedValue({});
+
+      await subtaskController.getSubtaskCounts(req, res);
+
+      expect(subtaskService.getSubtaskCounts).toHaveBeenCalledWith([]);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+});
+
+describe('Subtask Controller - Convert', () => {
+  let req, res;
+
+  beforeEach(() => {
+    req = {
+      user: { _id: 'managerId', roles: ['manager'] },
+      body: {},
+      params: { subtaskId: '507f1f77bcf86cd799439020' },
+      query: {}
+    };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+    vi.clearAllMocks();
+  });
+
+  describe('convertToTask', () => {
+    it('should return the task the subtask became', async () => {
+      const task = { _id: '507f1f77bcf86cd799439020', title: 'Rewrite importer' };
+      subtaskService.convertToTask.mockResolvedValue(task);
+
+      await subtaskController.convertToTask(req, res);
+
+      expect(subtaskService.convertToTask).toHaveBeenCalledWith('507f1f77bcf86cd799439020', req.user);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Subtask converted to a task',
+        data: task
+      });
+    });
+
+    it('should return 404 when the subtask does not exist', async () => {
+      subtaskService.convertToTask.mockRejectedValue(new Error('Subtask not found'));
+
+      await subtaskController.convertToTask(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 403 when the user may not convert it', async () => {
+      subtaskService.convertToTask.mockRejectedValue(new Error('You do not have permission to convert this subtask'));
+
+      await subtaskController.convertToTask(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
 });
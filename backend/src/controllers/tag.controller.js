@@ -0,0 +1,90 @@
+import tagService from '../services/tag.services.js';
+
+// Map service error messages to HTTP status codes
+function statusForError(error) {
+    if (error.message.includes('not found')) {
+        return 404;
+    }
+    if (error.message.includes('permission') || error.message.startsWith('Only managers')) {
+        return 403;
+    }
+    if (error.message.includes('already exists')) {
+        return 409;
+    }
+    return 400;
+}
+
+function sendError(res, error) {
+    res.status(statusForError(error)).json({
+        success: false,
+        message: error.message
+    });
+}
+
+class TagController {
+    /**
+     * GET /api/tags?projectId=&search=
+     */
+    async getTags(req, res) {
+        try {
+            const tags = await tagService.getTags({
+                projectId: req.query.projectId,
+                search: req.query.search,
+                actingUser: req.user
+            });
+
+            res.status(200).json({
+                success: true,
+                data: tags
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async createTag(req, res) {
+        try {
+            const { name, color, description, scope, projectId } = req.body;
+            const tag = await tagService.createTag({ name, color, description, scope, projectId }, req.user);
+
+            res.status(201).json({
+                success: true,
+                message: 'Tag created successfully',
+                data: tag
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async updateTag(req, res) {
+        try {
+            const { name, color, description } = req.body;
+            const tag = await tagService.updateTag(req.params.tagId, { name, color, description }, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Tag updated successfully',
+                data: tag
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async deleteTag(req, res) {
+        try {
+            const { removedFrom } = await tagService.deleteTag(req.params.tagId, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Tag deleted successfully',
+                data: { removedFrom }
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+}
+
+export default new TagController();
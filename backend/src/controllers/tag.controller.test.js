@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import tagController from './tag.controller.js';
+import tagService from '../services/tag.services.js';
+
+// Mock dependencies
+vi.mock('../services/tag.services.js');
+
+describe('Tag Controller', () => {
+    let req, res;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+
+        req = {
+            user: { _id: 'user123', roles: ['staff'] },
+            params: { tagId: 'tag123' },
+            query: {},
+            body: {}
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+    });
+
+    describe('getTags', () => {
+        it('should pass the project and search term to the service', async () => {
+            req.query = { projectId: 'project123', search: 'rel' };
+            const tags = [{ _id: 'tag123', name: 'release', color: '#3b82f6' }];
+            tagService.getTags.mockResolvedValue(tags);
+
+            await tagController.getTags(req, res);
+
+            expect(tagService.getTags).toHaveBeenCalledWith({ projectId: 'project123', search: 'rel', actingUser: req.user });
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ success: true, data: tags });
+        });
+
+        it('should return 403 without access to the project', async () => {
+            tagService.getTags.mockRejectedValue(new Error('You do not have permission to view tags of this project'));
+
+            await tagController.getTags(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('createTag', () => {
+        it('should create the tag and return 201', async () => {
+            req.body = { name: 'release', color: '#10b981', scope: 'project', projectId: 'project123', extra: 'ignored' };
+            const tag = { _id: 'tag123', name: 'release' };
+            tagService.createTag.mockResolvedValue(tag);
+
+            await tagController.createTag(req, res);
+
+            expect(tagService.createTag).toHaveBeenCalledWith({
+                name: 'release',
+                color: '#10b981',
+                description: undefined,
+                scope: 'project',
+                projectId: 'project123'
+            }, req.user);
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                message: 'Tag created successfully',
+                data: tag
+            });
+        });
+
+        it('should return 409 when the name is taken', async () => {
+            tagService.createTag.mockRejectedValue(new Error('A tag named "release" already exists'));
+
+            await tagController.createTag(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+        });
+
+        it('should return 403 when staff create a global tag', async () => {
+            tagService.createTag.mockRejectedValue(new Error('Only managers and admins can create global tags'));
+
+            await tagController.createTag(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should return 400 for an invalid colour', async () => {
+            tagService.createTag.mockRejectedValue(new Error('Colour must be a hex colour such as #3b82f6'));
+
+            await tagController.createTag(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('updateTag', () => {
+        it('should update the tag', async () => {
+            req.body = { name: 'shipped', color: '#ef4444' };
+            const tag = { _id: 'tag123', name: 'shipped' };
+            tagService.updateTag.mockResolvedValue(tag);
+
+            await tagController.updateTag(req, res);
+
+            expect(tagService.updateTag).toHaveBeenCalledWith('tag123', {
+                name: 'shipped',
+                color: '#ef4444',
+                description: undefined
+            }, req.user);
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+    });
+
+    describe('deleteTag', () => {
+        it('should report how many items the tag was removed from', async () => {
+            const removedFrom = { projects: 0, tasks: 3, subtasks: 1 };
+            tagService.deleteTag.mockResolvedValue({ tag: { _id: 'tag123' }, removedFrom });
+
+            await tagController.deleteTag(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                message: 'Tag deleted successfully',
+                data: { removedFrom }
+            });
+        });
+
+        it('should return 404 for a missing tag', async () => {
+            tagService.deleteTag.mockRejectedValue(new Error('Tag not found'));
+
+            await tagController.deleteTag(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Tag not found' });
+        });
+    });
+});
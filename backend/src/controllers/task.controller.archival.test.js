@@ -8,6 +8,7 @@ import taskModel from '../models/task.model.js';
 // Mock dependencies
 vi.mock('../services/task.services.js');
 vi.mock('../models/notification.model.js');
+vi.mock('../models/notification-preference.model.js');
 vi.mock('../models/user.model.js');
 vi.mock('../models/task.model.js');
 
@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import taskController from './task.controller.js';
+import bulkService from '../services/bulk.services.js';
+
+vi.mock('../services/task.services.js');
+vi.mock('../services/bulk.services.js');
+
+describe('Task Controller - Bulk', () => {
+    let req, res, io, userSockets;
+
+    beforeEach(() => {
+        io = { to: vi.fn().mockReturnThis(), emit: vi.fn() };
+        userSockets = new Map();
+
+        req = {
+            user: {
+                _id: '507f1f77bcf86cd799439012',
+                username: 'manager@company.com',
+                roles: ['manager']
+            },
+            body: {
+                taskIds: ['507f1f77bcf86cd799439011', '507f1f77bcf86cd799439013'],
+                action: 'status',
+                value: 'Completed'
+            },
+            app: {
+                get: vi.fn((key) => (key === 'io' ? io : userSockets))
+            }
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+    });
+
+    afterEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('bulkUpdateTasks', () => {
+        it('should return per-task results and pass the socket server to the service', async () => {
+            const result = {
+                action: 'status',
+                results: [
+                    { taskId: '507f1f77bcf86cd799439011', success: true, task: { _id: '507f1f77bcf86cd799439011' } },
+                    { taskId: '507f1f77bcf86cd799439013', success: false, error: 'You do not have permission to modify this task' }
+                ],
+                succeeded: 1,
+                failed: 1
+            };
+            bulkService.bulkUpdateTasks.mockResolvedValue(result);
+
+            await taskController.bulkUpdateTasks(req, res);
+
+            expect(bulkService.bulkUpdateTasks).toHaveBeenCalledWith(
+                { taskIds: req.body.taskIds, action: 'status', value: 'Completed' },
+                req.user,
+                { io, userSockets }
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                message: '1 of 2 tasks updated',
+                data: result
+            });
+        });
+
+        it('should return 400 when the request is invalid', async () => {
+            bulkService.bulkUpdateTasks.mockRejectedValue(new Error('At least one task ID is required'));
+
+            await taskController.bulkUpdateTasks(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'At least one task ID is required'
+            });
+        });
+    });
+});
@@ -0,0 +1,250 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import taskController from './task.controller.js';
+import commentService from '../services/comment.services.js';
+import attachmentService from '../services/attachment.services.js';
+import notificationModel from '../models/notification.model.js';
+import taskModel from '../models/task.model.js';
+
+// Mock dependencies
+vi.mock('../services/task.services.js');
+vi.mock('../services/comment.services.js');
+vi.mock('../services/attachment.services.js');
+vi.mock('../models/notification.model.js');
+vi.mock('../models/task.model.js');
+
+describe('Task Controller - Comment Threads, Reactions and History', () => {
+    let req, res, mockIo, mockUserSockets;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+
+        mockIo = {
+            to: vi.fn().mockReturnThis(),
+            emit: vi.fn()
+        };
+        mockUserSockets = new Map([['assignee1', 'socket123']]);
+
+        req = {
+            user: {
+                _id: 'commenterUserId',
+                username: 'commenter@example.com',
+                roles: ['staff'],
+                department: 'Engineering'
+            },
+            params: { taskId: 'task123', commentId: 'comment1' },
+            body: {},
+            app: {
+                get: vi.fn((key) => {
+                    if (key === 'io') return mockIo;
+                    if (key === 'userSockets') return mockUserSockets;
+                    return null;
+                })
+            }
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+
+        notificationModel.create.mockResolvedValue({ _id: 'notif123' });
+        commentService.notifyReply.mockResolvedValue();
+    });
+
+    const mockTaskWithThread = () => {
+        const comments = [
+            { _id: 'comment1', text: 'Top-level', author: 'assignee1', parentId: null, reactions: [] },
+            { _id: 'reply1', text: 'First reply', author: 'commenterUserId', parentId: 'comment1', reactions: [] }
+        ];
+        comments.id = vi.fn(id => comments.find(comment => comment._id === id) || null);
+        return {
+            _id: 'task123',
+            title: 'Implement login feature',
+            project: 'project123',
+            owner: 'ownerId',
+            assignee: [
+                { _id: 'assignee1', username: 'user1@example.com', department: 'Engineering' },
+                { _id: 'commenterUserId', username: 'commenter@example.com', department: 'Engineering' }
+            ],
+            comments,
+            save: vi.fn().mockResolvedValue(true)
+        };
+    };
+
+    describe('addComment - replies', () => {
+        it('should attach a reply to a reply to the top-level comment and notify its author', async () => {
+            const mockTask = mockTaskWithThread();
+            taskModel.findById.mockReturnValue({
+                populate: vi.fn().mockResolvedValue(mockTask)
+            });
+            req.body = { text: 'Another reply', parentId: 'reply1' };
+
+            await taskController.addComment(req, res);
+
+            const reply = mockTask.comments[2];
+            expect(reply.parentId).toBe('comment1');
+            expect(commentService.notifyReply).toHaveBeenCalledWith('assignee1', expect.objectContaining({
+                taskId: 'task123',
+                itemType: 'task',
+                itemTitle: 'Implement login feature'
+            }));
+            // The parent author gets the reply notification instead of the generic one
+            expect(notificationModel.create).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        it('should not notify the author when replying to their own comment', async () => {
+            const mockTask = mockTaskWithThread();
+            mockTask.comments[0].author = 'commenterUserId';
+            taskModel.findById.mockReturnValue({
+                populate: vi.fn().mockResolvedValue(mockTask)
+            });
+            req.body = { text: 'Following up', parentId: 'comment1' };
+
+            await taskController.addComment(req, res);
+
+            expect(commentService.notifyReply).not.toHaveBeenCalled();
+            expect(notificationModel.create).toHaveBeenCalledTimes(1);
+        });
+
+        it('should return 404 when the parent comment does not exist', async () => {
+            const mockTask = mockTaskWithThread();
+            taskModel.findById.mockReturnValue({
+                populate: vi.fn().mockResolvedValue(mockTask)
+            });
+            req.body = { text: 'Reply', parentId: 'missing' };
+
+            await taskController.addComment(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'Parent comment not found'
+            });
+            expect(mockTask.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('toggleCommentReaction', () => {
+        it('should add a reaction and remove it when toggled again', async () => {
+            const mockTask = mockTaskWithThread();
+            taskModel.findById.mockReturnValue({
+                populate: vi.fn().mockResolvedValue(mockTask)
+            });
+            req.body = { emoji: '👍' };
+
+            await taskController.toggleCommentReaction(req, res);
+
+            expect(mockTask.comments[0].reactions).toEqual([{ emoji: '👍', users: ['commenterUserId'] }]);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Reaction added' }));
+
+            await taskController.toggleCommentReaction(req, res);
+
+            expect(mockTask.comments[0].reactions).toEqual([]);
+            expect(res.json).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'Reaction removed' }));
+            expect(mockTask.save).toHaveBeenCalledTimes(2);
+        });
+
+        it('should reject emoji outside the reaction set', async () => {
+            taskModel.findById.mockReturnValue({
+                populate: vi.fn().mockResolvedValue(mockTaskWithThread())
+            });
+            req.body = { emoji: '💩' };
+
+            await taskController.toggleCommentReaction(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        it('should return 403 when the user cannot comment on the task', async () => {
+            const mockTask = mockTaskWithThread();
+            mockTask.assignee = [{ _id: 'assignee1', username: 'user1@example.com', department: 'Engineering' }];
+            taskModel.findById.mockReturnValue({
+                populate: vi.fn().mockResolvedValue(mockTask)
+            });
+            req.body = { emoji: '👍' };
+
+            await taskController.toggleCommentReaction(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(mockTask.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('editComment - history', () => {
+        it('should mark the comment as edited and keep the previous text', async () => {
+            const mockTask = mockTaskWithThread();
+            req.params.commentId = 'reply1';
+            taskModel.findById.mockReturnValue({
+                then: (resolve) => resolve(mockTask),
+                lean: vi.fn().mockResolvedValue({ _id: 'task123' })
+            });
+            req.body = { text: 'First reply, corrected' };
+
+            await taskController.editComment(req, res);
+
+            expect(mockTask.comments[1].editedAt).toBeInstanceOf(Date);
+            expect(commentService.recordRevision).toHaveBeenCalledWith('task', 'task123', 'reply1', 'First reply');
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        it('should not record a revision when the text is unchanged', async () => {
+            const mockTask = mockTaskWithThread();
+            req.params.commentId = 'reply1';
+            taskModel.findById.mockReturnValue({
+                then: (resolve) => resolve(mockTask),
+                lean: vi.fn().mockResolvedValue({ _id: 'task123' })
+            });
+            req.body = { text: '  First reply ' };
+
+            await taskController.editComment(req, res);
+
+            expect(mockTask.comments[1].editedAt).toBeUndefined();
+            expect(commentService.recordRevision).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getCommentHistory', () => {
+        it('should return the comment history from the service', async () => {
+            const plainTask = { _id: 'task123', comments: [] };
+            taskModel.findById.mockReturnValue({ lean: vi.fn().mockResolvedValue(plainTask) });
+            const history = { commentId: 'comment1', text: 'Now', editedAt: new Date(), versions: [] };
+            commentService.getCommentHistory.mockResolvedValue(history);
+
+            await taskController.getCommentHistory(req, res);
+
+            expect(commentService.getCommentHistory).toHaveBeenCalledWith(plainTask, 'comment1', req.user);
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ success: true, data: history });
+        });
+
+        it('should return 403 when someone else asks for the history', async () => {
+            taskModel.findById.mockReturnValue({ lean: vi.fn().mockResolvedValue({ _id: 'task123', comments: [] }) });
+            commentService.getCommentHistory.mockRejectedValue(
+                new Error('You can only view the edit history of your own comments')
+            );
+
+            await taskController.getCommentHistory(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('deleteComment - replies', () => {
+        it('should delete the replies and their attachments along with a top-level comment', async () => {
+            const mockTask = mockTaskWithThread();
+            mockTask.comments.forEach(comment => {
+                comment.deleteOne = vi.fn();
+            });
+            taskModel.findById.mockResolvedValue(mockTask);
+            req.user.roles = ['admin'];
+
+            await taskController.deleteComment(req, res);
+
+            expect(mockTask.comments[0].deleteOne).toHaveBeenCalled();
+            expect(mockTask.comments[1].deleteOne).toHaveBeenCalled();
+            expect(attachmentService.removeCommentAttachments).toHaveBeenCalledWith('task', 'task123', ['comment1', 'reply1']);
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import taskController from './task.controller.js';
+import taskService from '../services/task.services.js';
+
+vi.mock('../services/task.services.js');
+
+describe('Task Controller - Convert', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            user: {
+                _id: '507f1f77bcf86cd799439012',
+                username: 'manager@company.com',
+                roles: ['manager']
+            },
+            params: { taskId: '507f1f77bcf86cd799439011' },
+            body: { parentTaskId: '507f1f77bcf86cd799439055' }
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+    });
+
+    afterEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('convertToSubtask', () => {
+        it('should return the subtask the task became', async () => {
+            const subtask = { _id: '507f1f77bcf86cd799439011', parentTaskId: { _id: '507f1f77bcf86cd799439055' } };
+            taskService.convertToSubtask.mockResolvedValue(subtask);
+
+            await taskController.convertToSubtask(req, res);
+
+            expect(taskService.convertToSubtask).toHaveBeenCalledWith(
+                '507f1f77bcf86cd799439011',
+                '507f1f77bcf86cd799439055',
+                req.user
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                message: 'Task converted to a subtask',
+                data: subtask
+            });
+        });
+
+        it('should return 404 when the parent task does not exist', async () => {
+            taskService.convertToSubtask.mockRejectedValue(new Error('Parent task not found'));
+
+            await taskController.convertToSubtask(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+
+        it('should return 403 when the user may not convert the task', async () => {
+            taskService.convertToSubtask.mockRejectedValue(new Error('You do not have permission to convert this task'));
+
+            await taskController.convertToSubtask(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should return 400 when the task still has subtasks', async () => {
+            taskService.convertToSubtask.mockRejectedValue(new Error('Only tasks without subtasks can be converted to a subtask'));
+
+            await taskController.convertToSubtask(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'Only tasks without subtasks can be converted to a subtask'
+            });
+        });
+    });
+});
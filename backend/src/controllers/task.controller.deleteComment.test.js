@@ -4,6 +4,7 @@ import taskModel from '../models/task.model.js';
 
 // Mock dependencies
 vi.mock('../models/task.model.js');
+vi.mock('../services/attachment.services.js');
 
 describe('Task Controller - Delete Comment (Admin Only)', () => {
     let req, res;
@@ -46,9 +47,9 @@ describe('Task Controller - Delete Comment (Admin Only)', () => {
             const mockTask = {
                 _id: 'task123',
                 title: 'Test Task',
-                comments: {
+                comments: Object.assign([mockComment], {
                     id: vi.fn().mockReturnValue(mockComment)
-                },
+                }),
                 save: vi.fn().mockResolvedValue(true)
             };
 
@@ -81,9 +82,9 @@ describe('Task Controller - Delete Comment (Admin Only)', () => {
             const mockTask = {
                 _id: 'task123',
                 title: 'Test Task',
-                comments: {
+                comments: Object.assign([mockComment], {
                     id: vi.fn().mockReturnValue(mockComment)
-                },
+                }),
                 save: vi.fn().mockResolvedValue(true)
             };
 
@@ -166,9 +167,9 @@ describe('Task Controller - Delete Comment (Admin Only)', () => {
             const mockTask = {
                 _id: 'task123',
                 title: 'Test Task',
-                comments: {
+                comments: Object.assign([], {
                     id: vi.fn().mockReturnValue(null)
-                }
+                })
             };
 
             taskModel.findById.mockResolvedValue(mockTask);
@@ -208,9 +209,9 @@ describe('Task Controller - Delete Comment (Admin Only)', () => {
             const mockTask = {
                 _id: 'task123',
                 title: 'Test Task',
-                comments: {
+                comments: Object.assign([mockComment], {
                     id: vi.fn().mockReturnValue(mockComment)
-                },
+                }),
                 save: vi.fn().mockRejectedValue(new Error('Save failed'))
             };
 
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import taskController from './task.controller.js';
+import taskService from '../services/task.services.js';
+import dependencyService from '../services/dependency.services.js';
+import notificationModel from '../models/notification.model.js';
+
+vi.mock('../services/task.services.js');
+vi.mock('../services/dependency.services.js');
+vi.mock('../models/notification.model.js');
+vi.mock('../models/notification-preference.model.js');
+
+describe('Task Controller - Dependencies on Completion', () => {
+    let req, res, mockIo, mockUserSockets;
+
+    const originalTask = {
+        _id: '507f1f77bcf86cd799439011',
+        title: 'Build feature',
+        status: 'In Progress',
+        assignee: [{ _id: '507f1f77bcf86cd799439012' }]
+    };
+
+    beforeEach(() => {
+        mockIo = {
+            to: vi.fn().mockReturnThis(),
+            emit: vi.fn()
+        };
+        mockUserSockets = new Map();
+        mockUserSockets.set('507f1f77bcf86cd799439020', 'socket123');
+
+        req = {
+            user: {
+                _id: '507f1f77bcf86cd799439012',
+                username: 'manager@company.com',
+                roles: ['manager']
+            },
+            params: { taskId: '507f1f77bcf86cd799439011' },
+            body: { status: 'Completed' },
+            app: {
+                get: vi.fn((key) => {
+                    if (key === 'io') return mockIo;
+                    if (key === 'userSockets') return mockUserSockets;
+                    return null;
+                })
+            }
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+
+        taskService.getTaskById.mockResolvedValue(originalTask);
+        taskService.updateTask.mockResolvedValue({ ...originalTask, status: 'Completed', isRecurring: false });
+        dependencyService.getOpenBlockers.mockResolvedValue([]);
+        dependencyService.getNewlyUnblockedItems.mockResolvedValue([]);
+        notificationModel.create.mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('should include a warning when completing a task with open blockers', async () => {
+        dependencyService.getOpenBlockers.mockResolvedValue([{ title: 'Design' }]);
+
+        await taskController.updateTask(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            success: true,
+            warning: 'Task was completed while still blocked by 1 open item(s): "Design"'
+        }));
+    });
+
+    it('should not include a warning when all blockers are completed', async () => {
+        await taskController.updateTask(req, res);
+
+        const body = res.json.mock.calls[0][0];
+        expect(body.success).toBe(true);
+        expect(body).not.toHaveProperty('warning');
+    });
+
+    it('should notify assignees of tasks unblocked by the completion', async () => {
+        dependencyService.getNewlyUnblockedItems.mockResolvedValue([{
+            itemType: 'task',
+            item: { _id: '507f1f77bcf86cd799439030', title: 'Release', dueDate: null },
+            assigneeIds: ['507f1f77bcf86cd799439020']
+        }]);
+
+        await taskController.updateTask(req, res);
+
+        expect(notificationModel.create).toHaveBeenCalledWith(expect.objectContaining({
+            user: '507f1f77bcf86cd799439020',
+            message: 'Task "Release" is no longer blocked: all of its blockers are completed',
+            task: '507f1f77bcf86cd799439030'
+        }));
+        expect(mockIo.to).toHaveBeenCalledWith('socket123');
+        expect(mockIo.emit).toHaveBeenCalledWith('task-unblocked', expect.objectContaining({
+            message: 'Task "Release" is no longer blocked: all of its blockers are completed'
+        }));
+    });
+
+    it('should not check dependencies when status does not change to Completed', async () => {
+        req.body = { title: 'Renamed' };
+        taskService.updateTask.mockResolvedValue({ ...originalTask, title: 'Renamed' });
+
+        await taskController.updateTask(req, res);
+
+        expect(dependencyService.getOpenBlockers).not.toHaveBeenCalled();
+        expect(dependencyService.getNewlyUnblockedItems).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import taskController from './task.controller.js';
+import taskService from '../services/task.services.js';
+
+vi.mock('../services/task.services.js');
+
+describe('Task Controller - Duplicate', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            user: {
+                _id: '507f1f77bcf86cd799439012',
+                username: 'manager@company.com',
+                roles: ['manager']
+            },
+            params: { taskId: '507f1f77bcf86cd799439011' },
+            body: {}
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+    });
+
+    afterEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('duplicateTask', () => {
+        it('should duplicate the task with its subtasks when asked', async () => {
+            req.body = { includeSubtasks: true, dueDate: '2025-12-01' };
+            const result = {
+                task: { _id: '507f1f77bcf86cd799439099', title: 'Review (copy)' },
+                subtasks: [{ _id: '507f1f77bcf86cd799439098', title: 'Draft' }]
+            };
+            taskService.duplicateTask.mockResolvedValue(result);
+
+            await taskController.duplicateTask(req, res);
+
+            expect(taskService.duplicateTask).toHaveBeenCalledWith(
+                '507f1f77bcf86cd799439011',
+                { includeSubtasks: true, dueDate: '2025-12-01' },
+                req.user
+            );
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                message: 'Task duplicated successfully',
+                data: result
+            });
+        });
+
+        it('should leave subtasks out unless includeSubtasks is true', async () => {
+            req.body = { includeSubtasks: 'yes' };
+            taskService.duplicateTask.mockResolvedValue({ task: {}, subtasks: [] });
+
+            await taskController.duplicateTask(req, res);
+
+            expect(taskService.duplicateTask).toHaveBeenCalledWith(
+                '507f1f77bcf86cd799439011',
+                { includeSubtasks: false, dueDate: undefined },
+                req.user
+            );
+        });
+
+        it('should return 404 when the task does not exist', async () => {
+            taskService.duplicateTask.mockRejectedValue(new Error('Task not found'));
+
+            await taskController.duplicateTask(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+
+        it('should return 403 when the user cannot see the task', async () => {
+            taskService.duplicateTask.mockRejectedValue(new Error('You do not have permission to duplicate this task'));
+
+            await taskController.duplicateTask(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+});
@@ -4,6 +4,7 @@ import taskModel from '../models/task.model.js';
 
 // Mock dependencies
 vi.mock('../models/task.model.js');
+vi.mock('../services/comment.services.js');
 
 describe('Task Controller - Edit Comment', () => {
     let req, res;
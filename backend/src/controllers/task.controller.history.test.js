@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import taskController from './task.controller.js';
+import taskService from '../services/task.services.js';
+
+vi.mock('../services/task.services.js');
+
+describe('Task Controller - History', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            user: {
+                _id: '507f1f77bcf86cd799439012',
+                username: 'manager@company.com',
+                roles: ['manager']
+            },
+            params: { taskId: '507f1f77bcf86cd799439011' }
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+    });
+
+    afterEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('getTaskHistory', () => {
+        it('should return task history entries', async () => {
+            const mockHistory = [
+                {
+                    _id: '507f1f77bcf86cd799439050',
+                    field: 'status',
+                    oldValue: 'To Do',
+                    newValue: 'Completed',
+                    actor: { _id: '507f1f77bcf86cd799439012', username: 'manager@company.com' },
+                    createdAt: new Date('2025-10-14T14:30:00Z')
+                }
+            ];
+            taskService.getTaskHistory.mockResolvedValue(mockHistory);
+
+            await taskController.getTaskHistory(req, res);
+
+            expect(taskService.getTaskHistory).toHaveBeenCalledWith('507f1f77bcf86cd799439011', req.user);
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                data: mockHistory
+            });
+        });
+
+        it('should return 404 when task does not exist', async () => {
+            taskService.getTaskHistory.mockRejectedValue(new Error('Task not found'));
+
+            await taskController.getTaskHistory(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'Task not found'
+            });
+        });
+
+        it('should return 403 when user cannot view the task', async () => {
+            taskService.getTaskHistory.mockRejectedValue(
+                new Error('You do not have permission to view this task history')
+            );
+
+            await taskController.getTaskHistory(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+});
@@ -1,8 +1,42 @@
 import taskService from '../services/task.services.js';
-import notificationModel from '../models/notification.model.js';
+import dependencyService from '../services/dependency.services.js';
+import mentionService from '../services/mention.services.js';
+import commentService from '../services/comment.services.js';
+import attachmentService from '../services/attachment.services.js';
+import bulkService from '../services/bulk.services.js';
+import notificationService from '../services/notification.services.js';
+import { getNewMentions } from '../utils/mention.utils.js';
+import { getReplyParent, toggleReaction } from '../utils/comment.utils.js';
+import { getCustomFieldFilters } from '../utils/custom-field.utils.js';
+import { getItemStatusCategory } from '../utils/workflow.utils.js';
 import taskModel from '../models/task.model.js';
 import mongoose from 'mongoose';
 
+/**
+ * Whether a user may comment on (and react to comments on) a task. The task's
+ * assignees must be populated with their department.
+ * - Admins can comment on all tasks
+ * - Staff can only comment if they are assigned to the task
+ * - Managers can comment if they are assigned or ANY assignee is from their department
+ */
+const canCommentOnTask = (user, task) => {
+    const userRoles = user.roles || [];
+    const userId = user._id.toString();
+
+    if (userRoles.includes('admin')) {
+        return true;
+    }
+    if (userRoles.includes('staff') && !userRoles.includes('manager')) {
+        return task.assignee.some(assignee => assignee._id.toString() === userId);
+    }
+    if (userRoles.includes('manager')) {
+        return task.assignee.some(assignee =>
+            assignee._id.toString() === userId || assignee.department === user.department
+        );
+    }
+    return false;
+};
+
 class TaskController {
     async createTask(req, res) {
         try {
@@ -22,28 +56,15 @@ class TaskController {
         const userSockets = req.app.get('userSockets');
 
         if (task.assignee && task.assignee.length > 0) {
-        // Send real-time notification if online
-        if (io && userSockets) {
-            task.assignee.forEach(assigneeId => {
-                const assigneeSocketId = userSockets.get(assigneeId.toString());
-                if (assigneeSocketId) {
-                    io.to(assigneeSocketId).emit('task-assigned', {
-                        message: `You have been assigned a new task: "${task.title}"`,
-                        task: task,
-                        timestamp: new Date()
-                    });
-                }
-            });
-        }
-        // Always create a notification in the database
-        await Promise.all(task.assignee.map(assigneeId =>
-            notificationModel.create({
-                user: assigneeId,
+            // Each assignee gets it on the channels they chose (in-app, toast, email)
+            await notificationService.notify('task-assigned', task.assignee, {
                 message: `You have been assigned a new task: "${task.title}"`,
                 assignor: userId,
-                deadline: task.deadline
-            })
-        ));
+                deadline: task.deadline,
+                data: { task },
+                io,
+                userSockets
+            });
         }
 
         res.status(201).json({
@@ -90,13 +111,16 @@ class TaskController {
             // Get original task to compare assignees and check recurrence
             const originalTask = await taskService.getTaskById(taskId);
             const originalAssignees = originalTask.assignee.map(a => a._id ? a._id.toString() : a.toString());
-            const originalStatus = originalTask.status;
+            const wasDone = getItemStatusCategory(originalTask) === 'done';
 
             const updatedTask = await taskService.updateTask(taskId, req.body, userId);
             const newAssignees = updatedTask.assignee.map(a => a._id ? a._id.toString() : a.toString());
 
-            // Check if task was just marked as Completed and is recurring
-            if (originalStatus !== 'Completed' && updatedTask.status === 'Completed' && updatedTask.isRecurring) {
+            // Moving into a "done" status of the workflow completes the task
+            const justCompleted = !wasDone && getItemStatusCategory(updatedTask) === 'done';
+
+            // Check if task was just completed and is recurring
+            if (justCompleted && updatedTask.isRecurring) {
                 console.log('Creating recurring task instance...');
                 const newRecurringTask = await taskService.createRecurringTask(updatedTask);
                 if (newRecurringTask) {
@@ -108,66 +132,75 @@ class TaskController {
             const io = req.app.get('io');
             const userSockets = req.app.get('userSockets');
 
-            // Check for newly added assignees
-            const addedAssignees = newAssignees.filter(assignee => !originalAssignees.includes(assignee));
-            
-            // Notify newly added assignees
-            if (addedAssignees.length > 0) {
-                addedAssignees.forEach(assigneeId => {
-                    // Don't notify the user who made the update
-                    if (assigneeId !== userId.toString()) {
-                        const assigneeSocketId = userSockets.get(assigneeId);
-                        if (assigneeSocketId) {
-                            io.to(assigneeSocketId).emit('task-assigned', {
-                                message: `You have been assigned to task: "${updatedTask.title}"`,
-                                task: updatedTask,
-                                timestamp: new Date()
-                            });
-                            console.log(`✅ Assignment notification sent to user ${assigneeId}`);
-                        }
+            // DEPENDENCIES: Warn about open blockers and notify dependents that are now unblocked
+            let warning;
+            if (justCompleted) {
+                try {
+                    const openBlockers = await dependencyService.getOpenBlockers('task', updatedTask._id);
+                    if (openBlockers.length > 0) {
+                        warning = `Task was completed while still blocked by ${openBlockers.length} open item(s): ${openBlockers.map(b => `"${b.title}"`).join(', ')}`;
                     }
-                });
-            }
 
-            // Check for removed assignees (optional)
-            const removedAssignees = originalAssignees.filter(assignee => !newAssignees.includes(assignee));
-            
-            if (removedAssignees.length > 0) {
-                removedAssignees.forEach(assigneeId => {
-                    if (assigneeId !== userId.toString()) {
-                        const assigneeSocketId = userSockets.get(assigneeId);
-                        if (assigneeSocketId) {
-                            io.to(assigneeSocketId).emit('task-unassigned', {
-                                message: `You have been removed from task: "${updatedTask.title}"`,
-                                task: updatedTask,
-                                timestamp: new Date()
-                            });
-                            console.log(`✅ Removal notification sent to user ${assigneeId}`);
-                        }
+                    const unblockedItems = await dependencyService.getNewlyUnblockedItems('task', updatedTask._id);
+                    for (const { itemType, item, assigneeIds } of unblockedItems) {
+                        const message = `${itemType === 'task' ? 'Task' : 'Subtask'} "${item.title}" is no longer blocked: all of its blockers are completed`;
+                        await notificationService.notify('task-unblocked', assigneeIds, {
+                            message,
+                            task: itemType === 'task' ? item._id : item.parentTaskId,
+                            assignor: req.user.username,
+                            deadline: item.dueDate,
+                            data: { task: item },
+                            io,
+                            userSockets
+                        });
                     }
-                });
+                } catch (dependencyError) {
+                    console.error('Failed to process task dependencies:', dependencyError);
+                    // Don't fail the update if dependency processing fails
+                }
             }
 
-            // Notify all current assignees about status changes (optional)
+            // Don't notify the user who made the update
+            const isOtherUser = assigneeId => assigneeId !== userId.toString();
+
+            // Notify newly added assignees
+            const addedAssignees = newAssignees.filter(assignee => !originalAssignees.includes(assignee));
+            await notificationService.notify('task-assigned', addedAssignees.filter(isOtherUser), {
+                message: `You have been assigned to task: "${updatedTask.title}"`,
+                task: updatedTask._id,
+                assignor: userId,
+                deadline: updatedTask.dueDate,
+                data: { task: updatedTask },
+                io,
+                userSockets
+            });
+
+            // Notify removed assignees
+            const removedAssignees = originalAssignees.filter(assignee => !newAssignees.includes(assignee));
+            await notificationService.notify('task-unassigned', removedAssignees.filter(isOtherUser), {
+                message: `You have been removed from task: "${updatedTask.title}"`,
+                task: updatedTask._id,
+                data: { task: updatedTask },
+                io,
+                userSockets
+            });
+
+            // Notify all current assignees about status changes
             if (req.body.status && req.body.status !== originalTask.status) {
-                newAssignees.forEach(assigneeId => {
-                    if (assigneeId !== userId.toString()) {
-                        const assigneeSocketId = userSockets.get(assigneeId);
-                        if (assigneeSocketId) {
-                            io.to(assigneeSocketId).emit('task-updated', {
-                                message: `Task "${updatedTask.title}" status changed to ${updatedTask.status}`,
-                                task: updatedTask,
-                                timestamp: new Date()
-                            });
-                        }
-                    }
+                await notificationService.notify('task-updated', newAssignees.filter(isOtherUser), {
+                    message: `Task "${updatedTask.title}" status changed to ${updatedTask.status}`,
+                    task: updatedTask._id,
+                    data: { task: updatedTask },
+                    io,
+                    userSockets
                 });
             }
 
             res.status(200).json({
                 success: true,
                 message: 'Task updated successfully',
-                data: updatedTask
+                data: updatedTask,
+                ...(warning && { warning })
             });
         } catch (error) {
             res.status(400).json({
@@ -236,6 +269,44 @@ class TaskController {
                 filters.status = req.query.status;
             }
 
+            // Optional filters and sorting; only set when given so the defaults stay unchanged
+            const { statusCategory, tags, dueFrom, dueTo, priorityMin, priorityMax, sortBy, sortOrder } = req.query;
+            Object.entries({ statusCategory, tags, dueFrom, dueTo, priorityMin, priorityMax, sortBy, sortOrder })
+                .forEach(([key, value]) => {
+                    if (value !== undefined && value !== '') {
+                        filters[key] = value;
+                    }
+                });
+
+            if (req.query.archived === 'true' || req.query.archived === 'false') {
+                filters.archived = req.query.archived === 'true';
+            }
+
+            if (req.query.overdue === 'true') {
+                filters.overdue = true;
+            }
+
+            // Custom field filters: ?cf.<key>=value
+            const customFields = getCustomFieldFilters(req.query);
+            if (Object.keys(customFields).length > 0) {
+                filters.customFields = customFields;
+            }
+
+            // Cursor pagination is opt-in: without limit/cursor the full list is returned
+            if (req.query.limit !== undefined || req.query.cursor !== undefined) {
+                const page = await taskService.getTasksPage(filters, {
+                    limit: req.query.limit,
+                    cursor: req.query.cursor
+                });
+
+                return res.status(200).json({
+                    success: true,
+                    data: page.items,
+                    pagination: page.pagination,
+                    counts: page.counts
+                });
+            }
+
             const tasks = await taskService.getTasks(filters, userId);
 
             res.status(200).json({
@@ -243,7 +314,8 @@ class TaskController {
                 data: tasks
             });
         } catch (error) {
-            res.status(500).json({
+            const statusCode = error.message.startsWith('Invalid') ? 400 : 500;
+            res.status(statusCode).json({
                 success: false,
                 message: error.message
             });
@@ -288,6 +360,32 @@ class TaskController {
         }
     }
 
+    // AUDIT-TRAIL: Get the field change history of a task
+    async getTaskHistory(req, res) {
+        try {
+            const { taskId } = req.params;
+
+            const history = await taskService.getTaskHistory(taskId, req.user);
+
+            res.status(200).json({
+                success: true,
+                data: history
+            });
+        } catch (error) {
+            let statusCode = 500;
+            if (error.message === 'Task not found') {
+                statusCode = 404;
+            } else if (error.message.includes('permission')) {
+                statusCode = 403;
+            }
+
+            res.status(statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
     async archiveTask(req, res) {
         try {
             const { taskId } = req.params;
@@ -308,50 +406,17 @@ class TaskController {
             const io = req.app.get('io');
             const userSockets = req.app.get('userSockets');
 
-            // ✅ NEW: Create notification for ALL users (including archiver)
-            const usersToNotify = new Set(); // Use Set to avoid duplicates
-            
-            // Add all assignees (including the archiver if they're assigned)
-            if (task.assignee && task.assignee.length > 0) {
-                task.assignee.forEach(assigneeId => {
-                    usersToNotify.add(assigneeId.toString());
-                });
-            }
-            
-            // Add owner
-            if (task.owner) {
-                usersToNotify.add(task.owner.toString());
-            }
-
-            // Create DB notifications for everyone
-            if (usersToNotify.size > 0) {
-                await Promise.all(Array.from(usersToNotify).map(userId =>
-                    notificationModel.create({
-                        user: userId,
-                        message: `${userName} archived task: "${task.title}"`,
-                        task: task._id,
-                        project: task.project?._id || null,
-                        projectName: task.project?.name || 'Unknown Project',
-                        taskName: task.title,
-                        archivedBy: userName
-                    })
-                ));
-
-                // Send socket notifications to online users
-                Array.from(usersToNotify).forEach(notifyUserId => {
-                    const socketId = userSockets.get(notifyUserId);
-                    if (socketId) {
-                        io.to(socketId).emit('task-archived', {
-                            message: `${userName} archived task: "${task.title}"`,
-                            taskId: task._id,
-                            timestamp: new Date()
-                        });
-                    }
-                });
-            }
-    
+            // Notify all assignees and the owner (including the archiver)
+            await notificationService.notify('task-archived', [...(task.assignee || []), task.owner], {
+                message: `${userName} archived task: "${task.title}"`,
+                task: task._id,
+                project: task.project?._id || null,
+                projectName: task.project?.name || 'Unknown Project',
+                data: { taskId: task._id },
+                io,
+                userSockets
+            });
 
-    
             res.status(200).json({
                 success: true,
                 message: 'Task archived successfully and notifications sent',
@@ -370,6 +435,115 @@ class TaskController {
         }
     }
 
+    async duplicateTask(req, res) {
+        try {
+            const { taskId } = req.params;
+            const { includeSubtasks, dueDate } = req.body;
+
+            const result = await taskService.duplicateTask(taskId, {
+                includeSubtasks: includeSubtasks === true,
+                dueDate
+            }, req.user);
+
+            res.status(201).json({
+                success: true,
+                message: 'Task duplicated successfully',
+                data: result
+            });
+        } catch (error) {
+            let statusCode = 400;
+            if (error.message === 'Task not found') {
+                statusCode = 404;
+            } else if (error.message.includes('permission')) {
+                statusCode = 403;
+            }
+
+            res.status(statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async convertToSubtask(req, res) {
+        try {
+            const { taskId } = req.params;
+            const { parentTaskId } = req.body;
+
+            const subtask = await taskService.convertToSubtask(taskId, parentTaskId, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Task converted to a subtask',
+                data: subtask
+            });
+        } catch (error) {
+            let statusCode = 400;
+            if (error.message.endsWith('not found')) {
+                statusCode = 404;
+            } else if (error.message.includes('permission')) {
+                statusCode = 403;
+            }
+
+            res.status(statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async moveTask(req, res) {
+        try {
+            const { taskId } = req.params;
+            const { projectId } = req.body;
+
+            const result = await taskService.moveTask(taskId, projectId, req.user, {
+                io: req.app?.get('io'),
+                userSockets: req.app?.get('userSockets')
+            });
+
+            res.status(200).json({
+                success: true,
+                message: `Task moved to ${result.task.project?.name || 'the new project'}`,
+                data: result
+            });
+        } catch (error) {
+            let statusCode = 400;
+            if (error.message.endsWith('not found')) {
+                statusCode = 404;
+            } else if (error.message.includes('permission')) {
+                statusCode = 403;
+            }
+
+            res.status(statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async bulkUpdateTasks(req, res) {
+        try {
+            const { taskIds, action, value } = req.body;
+
+            const result = await bulkService.bulkUpdateTasks({ taskIds, action, value }, req.user, {
+                io: req.app?.get('io'),
+                userSockets: req.app?.get('userSockets')
+            });
+
+            res.status(200).json({
+                success: true,
+                message: `${result.succeeded} of ${result.results.length} tasks updated`,
+                data: result
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
     async unarchiveTask(req, res) {
         try {
             const { taskId } = req.params;
@@ -451,11 +625,9 @@ class TaskController {
     async addComment(req, res) {
     try {
         const { taskId } = req.params;
-        const { text } = req.body;
+        const { text, parentId } = req.body;
         const userId = req.user._id;
         const userName = req.user.username;
-        const userRoles = req.user.roles || [];
-        const userDepartment = req.user.department;
 
         if (!text || text.trim() === '') {
             return res.status(400).json({
@@ -476,32 +648,7 @@ class TaskController {
         }
 
         // ✅ AUTHORIZATION CHECK
-        let hasPermission = false;
-        
-        // 1. Admin can comment on all tasks (optional)
-        if (userRoles.includes('admin')) {
-            hasPermission = true;
-        }
-        // 2. Staff can only comment if they are assigned to the task
-        else if (userRoles.includes('staff') && !userRoles.includes('manager')) {
-            hasPermission = task.assignee.some(
-                assignee => assignee._id.toString() === userId.toString()
-            );
-        }
-        // 3. Manager can comment if ANY assignee is from their department
-        else if (userRoles.includes('manager')) {
-            hasPermission = task.assignee.some(assignee => {
-                // Manager is assigned directly
-                if (assignee._id.toString() === userId.toString()) {
-                    return true;
-                }
-                // Manager's department has an assignee
-                if (assignee.department === userDepartment) {
-                    return true;
-                }
-                return false;
-            });
-        }
+        const hasPermission = canCommentOnTask(req.user, task);
 
         if (!hasPermission) {
             return res.status(403).json({
@@ -510,11 +657,44 @@ class TaskController {
             });
         }
 
+        // Replies always go under the top-level comment of the thread
+        let parent = null;
+        if (parentId) {
+            try {
+                parent = getReplyParent(task.comments, parentId);
+            } catch (error) {
+                return res.status(404).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        }
+
+        // Resolve @mentions first so a mention of someone outside the project rejects the comment
+        const mentioned = await mentionService.resolveMentions(text, {
+            projectId: task.project,
+            authorId: userId,
+            participantIds: [task.owner, ...task.assignee.map(assignee => assignee._id)]
+        });
+        const notifiedIds = new Set(mentioned.map(user => user._id.toString()));
+
+        // The parent comment's author hears about the reply, unless they wrote it or were mentioned
+        const replyRecipient = parent &&
+            parent.author.toString() !== userId.toString() &&
+            !notifiedIds.has(parent.author.toString())
+            ? parent.author
+            : null;
+        if (replyRecipient) {
+            notifiedIds.add(replyRecipient.toString());
+        }
+
         // Add the comment
         const comment = {
             text: text.trim(),
             author: userId,
             authorName: userName,
+            mentions: mentioned.map(user => user._id),
+            parentId: parent ? parent._id : null,
             createdAt: new Date()
         };
 
@@ -526,40 +706,45 @@ class TaskController {
         const io = req.app.get('io');
         const userSockets = req.app.get('userSockets');
 
-        // Notify assignees (exclude the comment author)
-        if (task.assignee && task.assignee.length > 0) {
-            // Create DB notifications
-            const notificationsToCreate = task.assignee
-                .filter(assignee => assignee._id.toString() !== userId.toString())
-                .map(assignee =>
-                    notificationModel.create({
-                        user: assignee._id,
-                        message: `${userName} commented on task: "${task.title}"`,
-                        task: task._id,
-                        type: 'comment'
-                    })
-                );
-            
-            await Promise.all(notificationsToCreate);
-
-            // Send socket notifications to online users
-            if (io && userSockets) {
-                task.assignee.forEach(assignee => {
-                    if (assignee._id.toString() !== userId.toString()) {
-                        const socketId = userSockets.get(assignee._id.toString());
-                        if (socketId) {
-                            io.to(socketId).emit('task-comment', {
-                                message: `${userName} commented on task: "${task.title}"`,
-                                task: task,
-                                comment: comment,
-                                timestamp: new Date()
-                            });
-                        }
-                    }
-                });
-            }
+        // Mentioned users and the replied-to author get their own notification instead of the generic one below
+        await mentionService.notifyMentions(mentioned, {
+            io,
+            userSockets,
+            authorName: userName,
+            taskId: task._id,
+            projectId: task.project,
+            itemType: 'task',
+            itemTitle: task.title,
+            comment
+        });
+
+        if (replyRecipient) {
+            await commentService.notifyReply(replyRecipient, {
+                io,
+                userSockets,
+                authorName: userName,
+                taskId: task._id,
+                projectId: task.project,
+                itemType: 'task',
+                itemTitle: task.title,
+                comment
+            });
         }
 
+        // Notify assignees (exclude the comment author and users notified above)
+        const assigneesToNotify = (task.assignee || []).filter(assignee =>
+            assignee._id.toString() !== userId.toString() &&
+            !notifiedIds.has(assignee._id.toString())
+        );
+
+        await notificationService.notify('comment', assigneesToNotify, {
+            message: `${userName} commented on task: "${task.title}"`,
+            task: task._id,
+            data: { task, comment },
+            io,
+            userSockets
+        });
+
         res.status(200).json({
             success: true,
             message: 'Comment added successfully',
@@ -615,10 +800,41 @@ class TaskController {
                 });
             }
 
-            // Update the comment text
+            const mentioned = await mentionService.resolveMentions(text, {
+                projectId: task.project,
+                authorId: userId,
+                participantIds: [task.owner, ...(task.assignee || [])]
+            });
+            // Only users the edit newly mentions are notified
+            const newMentions = getNewMentions(comment.mentions, mentioned);
+
+            // Update the comment text, keeping the previous version if it changed
+            const previousText = comment.text;
+            const changed = previousText !== text.trim();
             comment.text = text.trim();
+            comment.mentions = mentioned.map(user => user._id);
+            if (changed) {
+                comment.editedAt = new Date();
+            }
             await task.save();
 
+            if (changed) {
+                await commentService.recordRevision('task', task._id, comment._id, previousText);
+            }
+
+            if (newMentions.length > 0) {
+                await mentionService.notifyMentions(newMentions, {
+                    io: req.app.get('io'),
+                    userSockets: req.app.get('userSockets'),
+                    authorName: req.user.username,
+                    taskId: task._id,
+                    projectId: task.project,
+                    itemType: 'task',
+                    itemTitle: task.title,
+                    comment
+                });
+            }
+
             // Fetch the updated task without populated fields to avoid circular references
             const updatedTask = await taskModel.findById(taskId).lean();
 
@@ -671,9 +887,13 @@ class TaskController {
             }
 
             // Admin can delete any comment (no ownership check needed)
-            // Remove the comment
+            // Remove the comment along with its replies and their attachments
+            const replies = task.comments
+                .filter(reply => reply.parentId && reply.parentId.toString() === comment._id.toString());
+            replies.forEach(reply => reply.deleteOne());
             comment.deleteOne();
             await task.save();
+            await attachmentService.removeCommentAttachments('task', task._id, [comment._id, ...replies.map(reply => reply._id)]);
 
             res.status(200).json({
                 success: true,
@@ -688,6 +908,90 @@ class TaskController {
         }
     }
 
+    /**
+     * Add the user's emoji reaction to a comment, or remove it if they already
+     * reacted with that emoji. Same permission as commenting.
+     */
+    async toggleCommentReaction(req, res) {
+        try {
+            const { taskId, commentId } = req.params;
+            const { emoji } = req.body;
+
+            const task = await taskModel.findById(taskId)
+                .populate('assignee', 'username department');
+
+            if (!task) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Task not found'
+                });
+            }
+
+            if (!canCommentOnTask(req.user, task)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You do not have permission to react to comments on this task'
+                });
+            }
+
+            const comment = task.comments.id(commentId);
+
+            if (!comment) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Comment not found'
+                });
+            }
+
+            const added = toggleReaction(comment, emoji, req.user._id);
+            await task.save();
+
+            res.status(200).json({
+                success: true,
+                message: added ? 'Reaction added' : 'Reaction removed',
+                data: task
+            });
+        } catch (error) {
+            const statusCode = error.message.startsWith('Invalid') ? 400 : 500;
+            res.status(statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Previous versions of an edited comment (comment author and admins only)
+     */
+    async getCommentHistory(req, res) {
+        try {
+            const { taskId, commentId } = req.params;
+
+            const task = await taskModel.findById(taskId).lean();
+
+            if (!task) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Task not found'
+                });
+            }
+
+            const history = await commentService.getCommentHistory(task, commentId, req.user);
+
+            res.status(200).json({
+                success: true,
+                data: history
+            });
+        } catch (error) {
+            const statusCode = error.message === 'Comment not found' ? 404 :
+                error.message.startsWith('You can only') ? 403 : 500;
+            res.status(statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
     /**
      * Get tasks for a specific project with authorization
      * Validates input and delegates to service layer for business logic
@@ -739,12 +1043,19 @@ class TaskController {
             const userRole = req.user.roles && req.user.roles[0]; // Get first role
             const userDepartment = req.user.department;
 
+            // Optional tag filter (comma-separated; tasks must have every tag)
+            const filters = {};
+            if (req.query?.tags) {
+                filters.tags = req.query.tags;
+            }
+
             // Call service layer
             const tasks = await taskService.getTasksByProject(
                 projectId,
                 userId,
                 userRole,
-                userDepartment
+                userDepartment,
+                filters
             );
 
             res.status(200).json({
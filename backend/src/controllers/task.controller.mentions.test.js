@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import taskController from './task.controller.js';
+import mentionService from '../services/mention.services.js';
+import notificationModel from '../models/notification.model.js';
+import taskModel from '../models/task.model.js';
+
+// Mock dependencies
+vi.mock('../services/task.services.js');
+vi.mock('../services/mention.services.js');
+vi.mock('../services/comment.services.js');
+vi.mock('../models/notification.model.js');
+vi.mock('../models/task.model.js');
+
+describe('Task Controller - Comment Mentions', () => {
+    let req, res, mockIo, mockUserSockets;
+
+    const manager = { _id: 'managerId', username: 'manager@example.com' };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+
+        mockIo = {
+            to: vi.fn().mockReturnThis(),
+            emit: vi.fn()
+        };
+        mockUserSockets = new Map([['assignee1', 'socket123'], ['managerId', 'socket789']]);
+
+        req = {
+            user: {
+                _id: 'commenterUserId',
+                username: 'commenter@example.com',
+                roles: ['staff'],
+                department: 'Engineering'
+            },
+            params: { taskId: 'task123', commentId: 'comment123' },
+            body: {},
+            app: {
+                get: vi.fn((key) => {
+                    if (key === 'io') return mockIo;
+                    if (key === 'userSockets') return mockUserSockets;
+                    return null;
+                })
+            }
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+
+        notificationModel.create.mockResolvedValue({ _id: 'notif123' });
+        mentionService.notifyMentions.mockResolvedValue();
+    });
+
+    const mockTaskWithAssignees = () => ({
+        _id: 'task123',
+        title: 'Implement login feature',
+        project: 'project123',
+        owner: 'ownerId',
+        assignee: [
+            { _id: 'assignee1', username: 'user1@example.com', department: 'Engineering' },
+            { _id: 'commenterUserId', username: 'commenter@example.com', department: 'Engineering' }
+        ],
+        comments: [],
+        save: vi.fn().mockResolvedValue(true)
+    });
+
+    describe('addComment', () => {
+        it('should store mentions and notify the mentioned users', async () => {
+            const mockTask = mockTaskWithAssignees();
+            taskModel.findById.mockReturnValue({
+                populate: vi.fn().mockResolvedValue(mockTask)
+            });
+            mentionService.resolveMentions.mockResolvedValue([manager]);
+            req.body = { text: 'Can you approve this @manager@example.com?' };
+
+            await taskController.addComment(req, res);
+
+            expect(mentionService.resolveMentions).toHaveBeenCalledWith(req.body.text, {
+                projectId: 'project123',
+                authorId: 'commenterUserId',
+                participantIds: ['ownerId', 'assignee1', 'commenterUserId']
+            });
+            expect(mockTask.comments[0].mentions).toEqual(['managerId']);
+            expect(mentionService.notifyMentions).toHaveBeenCalledWith([manager], expect.objectContaining({
+                io: mockIo,
+                userSockets: mockUserSockets,
+                authorName: 'commenter@example.com',
+                taskId: 'task123',
+                itemType: 'task',
+                itemTitle: 'Implement login feature'
+            }));
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        it('should not also send the generic comment notification to a mentioned assignee', async () => {
+            const mockTask = mockTaskWithAssignees();
+            taskModel.findById.mockReturnValue({
+                populate: vi.fn().mockResolvedValue(mockTask)
+            });
+            mentionService.resolveMentions.mockResolvedValue([{ _id: 'assignee1', username: 'user1@example.com' }]);
+            req.body = { text: '@user1@example.com please take a look' };
+
+            await taskController.addComment(req, res);
+
+            expect(notificationModel.create).not.toHaveBeenCalled();
+            expect(mockIo.emit).not.toHaveBeenCalledWith('task-comment', expect.anything());
+            expect(mentionService.notifyMentions).toHaveBeenCalledWith(
+                [{ _id: 'assignee1', username: 'user1@example.com' }],
+                expect.any(Object)
+            );
+        });
+
+        it('should reject the comment when a mentioned user cannot see the project', async () => {
+            const mockTask = mockTaskWithAssignees();
+            taskModel.findById.mockReturnValue({
+                populate: vi.fn().mockResolvedValue(mockTask)
+            });
+            mentionService.resolveMentions.mockRejectedValue(
+                new Error('Cannot mention outsider@example.com: they do not have access to this project')
+            );
+            req.body = { text: 'FYI @outsider@example.com' };
+
+            await taskController.addComment(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'Cannot mention outsider@example.com: they do not have access to this project'
+            });
+            expect(mockTask.save).not.toHaveBeenCalled();
+            expect(mentionService.notifyMentions).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('editComment', () => {
+        const mockTaskWithComment = (mentions) => {
+            const comment = {
+                _id: 'comment123',
+                text: 'Old text',
+                author: 'commenterUserId',
+                mentions
+            };
+            const comments = [comment];
+            comments.id = vi.fn().mockReturnValue(comment);
+            return {
+                _id: 'task123',
+                title: 'Implement login feature',
+                project: 'project123',
+                owner: 'ownerId',
+                assignee: ['assignee1'],
+                comments,
+                save: vi.fn().mockResolvedValue(true)
+            };
+        };
+
+        it('should only notify users the edit newly mentions', async () => {
+            const mockTask = mockTaskWithComment(['assignee1']);
+            taskModel.findById.mockReturnValue({
+                then: (resolve) => resolve(mockTask),
+                lean: vi.fn().mockResolvedValue({ _id: 'task123' })
+            });
+            const assignee = { _id: 'assignee1', username: 'user1@example.com' };
+            mentionService.resolveMentions.mockResolvedValue([assignee, manager]);
+            req.body = { text: '@user1@example.com and @manager@example.com' };
+
+            await taskController.editComment(req, res);
+
+            expect(mockTask.comments[0].mentions).toEqual(['assignee1', 'managerId']);
+            expect(mentionService.notifyMentions).toHaveBeenCalledWith([manager], expect.objectContaining({
+                taskId: 'task123',
+                itemType: 'task'
+            }));
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        it('should not notify anyone when the mentions are unchanged', async () => {
+            const mockTask = mockTaskWithComment(['managerId']);
+            taskModel.findById.mockReturnValue({
+                then: (resolve) => resolve(mockTask),
+                lean: vi.fn().mockResolvedValue({ _id: 'task123' })
+            });
+            mentionService.resolveMentions.mockResolvedValue([manager]);
+            req.body = { text: 'Reworded, still for @manager@example.com' };
+
+            await taskController.editComment(req, res);
+
+            expect(mentionService.notifyMentions).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+    });
+});
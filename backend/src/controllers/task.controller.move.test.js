@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import taskController from './task.controller.js';
+import taskService from '../services/task.services.js';
+
+vi.mock('../services/task.services.js');
+
+describe('Task Controller - Move', () => {
+    let req, res, io, userSockets;
+
+    beforeEach(() => {
+        io = { to: vi.fn().mockReturnThis(), emit: vi.fn() };
+        userSockets = new Map();
+
+        req = {
+            user: {
+                _id: '507f1f77bcf86cd799439012',
+                username: 'manager@company.com',
+                roles: ['manager']
+            },
+            params: { taskId: '507f1f77bcf86cd799439011' },
+            body: { projectId: '507f1f77bcf86cd799439077' },
+            app: {
+                get: vi.fn((key) => (key === 'io' ? io : userSockets))
+            }
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+    });
+
+    afterEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('moveTask', () => {
+        it('should move the task and pass the socket server to the service', async () => {
+            const result = {
+                task: { _id: '507f1f77bcf86cd799439011', project: { _id: '507f1f77bcf86cd799439077', name: 'Platform' } },
+                subtaskCount: 2,
+                removedDependencyCount: 0
+            };
+            taskService.moveTask.mockResolvedValue(result);
+
+            await taskController.moveTask(req, res);
+
+            expect(taskService.moveTask).toHaveBeenCalledWith(
+                '507f1f77bcf86cd799439011',
+                '507f1f77bcf86cd799439077',
+                req.user,
+                { io, userSockets }
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                message: 'Task moved to Platform',
+                data: result
+            });
+        });
+
+        it('should return 404 when the task or target project does not exist', async () => {
+            taskService.moveTask.mockRejectedValue(new Error('Target project not found'));
+
+            await taskController.moveTask(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+
+        it('should return 403 when the user cannot access both projects', async () => {
+            taskService.moveTask.mockRejectedValue(new Error('You do not have permission to move tasks between these projects'));
+
+            await taskController.moveTask(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should return 400 for other errors', async () => {
+            taskService.moveTask.mockRejectedValue(new Error('Task is already in this project'));
+
+            await taskController.moveTask(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'Task is already in this project'
+            });
+        });
+    });
+});
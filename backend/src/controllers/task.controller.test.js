@@ -3,6 +3,7 @@ import taskController from './task.controller.js';
 import taskService from '../services/task.services.js';
 import taskModel from '../models/task.model.js';
 import notificationModel from '../models/notification.model.js';
+import NotificationPreference from '../models/notification-preference.model.js';
 
 vi.mock('../services/task.services.js');
 
@@ -43,6 +44,7 @@ describe('Task Controller Test', () => {
 		
 		taskModel.findById = mockFindById;
 		notificationModel.create = vi.fn();
+		NotificationPreference.find = vi.fn().mockResolvedValue([]);
 		
 		// Set default implementation
 		mockPopulate.mockResolvedValue(null);
@@ -223,6 +225,91 @@ describe('Task Controller Test', () => {
 				message: 'Database error'
 			});
 		});
+
+		it('should pass tag, due date, priority, archived and overdue filters', async () => {
+			req.query = {
+				tags: 'urgent,backend',
+				dueFrom: '2025-01-01',
+				dueTo: '2025-01-31',
+				priorityMin: '5',
+				priorityMax: '10',
+				archived: 'false',
+				overdue: 'true',
+				sortBy: 'dueDate',
+				sortOrder: 'asc'
+			};
+			taskService.getTasks.mockResolvedValue([]);
+
+			await taskController.getTasks(req, res);
+
+			expect(taskService.getTasks).toHaveBeenCalledWith({
+				userId: 'userId123',
+				tags: 'urgent,backend',
+				dueFrom: '2025-01-01',
+				dueTo: '2025-01-31',
+				priorityMin: '5',
+				priorityMax: '10',
+				sortBy: 'dueDate',
+				sortOrder: 'asc',
+				archived: false,
+				overdue: true
+			}, 'userId123');
+		});
+
+		it('should pass custom field filters from cf.<key> parameters', async () => {
+			req.query = { 'cf.cost_centre': 'CC-12', 'cf.story_points': '3..8', 'cf.region': '' };
+			taskService.getTasks.mockResolvedValue([]);
+
+			await taskController.getTasks(req, res);
+
+			expect(taskService.getTasks).toHaveBeenCalledWith({
+				userId: 'userId123',
+				customFields: { cost_centre: 'CC-12', story_points: '3..8' }
+			}, 'userId123');
+		});
+
+		it('should return 400 for an invalid custom field filter', async () => {
+			req.query = { 'cf.story_points': 'lots' };
+			taskService.getTasks.mockRejectedValue(new Error('Invalid filter for custom field "Story points"'));
+
+			await taskController.getTasks(req, res);
+
+			expect(res.status).toHaveBeenCalledWith(400);
+		});
+
+		it('should return a page with pagination and counts when limit is given', async () => {
+			req.query = { limit: '2', cursor: 'abc', sortBy: 'priority' };
+			const page = {
+				items: [{ _id: 'task1' }, { _id: 'task2' }],
+				pagination: { limit: 2, hasMore: true, nextCursor: 'next' },
+				counts: { total: 3, archived: 0, byStatus: { 'To Do': 3, 'In Progress': 0, 'Blocked': 0, 'Completed': 0 } }
+			};
+			taskService.getTasksPage.mockResolvedValue(page);
+
+			await taskController.getTasks(req, res);
+
+			expect(taskService.getTasksPage).toHaveBeenCalledWith(
+				{ userId: 'userId123', sortBy: 'priority' },
+				{ limit: '2', cursor: 'abc' }
+			);
+			expect(taskService.getTasks).not.toHaveBeenCalled();
+			expect(res.status).toHaveBeenCalledWith(200);
+			expect(res.json).toHaveBeenCalledWith({
+				success: true,
+				data: page.items,
+				pagination: page.pagination,
+				counts: page.counts
+			});
+		});
+
+		it('should return 400 for invalid query parameters', async () => {
+			req.query = { sortBy: 'colour' };
+			taskService.getTasks.mockRejectedValue(new Error('Invalid sort field: must be one of priority, dueDate, createdAt, title'));
+
+			await taskController.getTasks(req, res);
+
+			expect(res.status).toHaveBeenCalledWith(400);
+		});
 	});
 
 	describe('getTaskById', () => {
@@ -523,7 +610,8 @@ describe('Task Controller Test', () => {
 						'projectId456',
 						'userId123',
 						'staff',
-						'it'
+						'it',
+						{}
 					);
 				});
 
@@ -545,7 +633,29 @@ describe('Task Controller Test', () => {
 						'projectId789',
 						'userAbc',
 						'admin',
-						'sales'
+						'sales',
+						{}
+					);
+				});
+
+				it('should pass the tags query to the service as a filter', async () => {
+					req.params = { projectId: 'projectId789' };
+					req.query = { tags: 'urgent,backend' };
+					req.user = {
+						_id: 'userAbc',
+						roles: ['staff'],
+						department: 'sales'
+					};
+					taskService.getTasksByProject.mockResolvedValue([]);
+
+					await taskController.getTasksByProject(req, res);
+
+					expect(taskService.getTasksByProject).toHaveBeenCalledWith(
+						'projectId789',
+						'userAbc',
+						'staff',
+						'sales',
+						{ tags: 'urgent,backend' }
 					);
 				});
 			});
@@ -712,7 +822,8 @@ describe('Task Controller Test', () => {
 						'507f1f77bcf86cd799439011',
 						'userId123',
 						'staff',
-						'engineering'
+						'engineering',
+						{}
 					);
 					expect(res.status).toHaveBeenCalledWith(200);
 				});
@@ -758,7 +869,8 @@ describe('Task Controller Test', () => {
 						'projectId123',
 						'userId123',
 						'staff',
-						undefined
+						undefined,
+						{}
 					);
 				});
 			});
@@ -0,0 +1,117 @@
+import templateService from '../services/template.services.js';
+
+// Map service error messages to HTTP status codes
+function statusForError(error) {
+    if (error.message.includes('not found')) {
+        return 404;
+    }
+    if (error.message.includes('permission') || error.message.startsWith('Only managers')) {
+        return 403;
+    }
+    return 400;
+}
+
+function sendError(res, error) {
+    res.status(statusForError(error)).json({
+        success: false,
+        message: error.message
+    });
+}
+
+class TemplateController {
+    /**
+     * GET /api/templates?projectId=
+     */
+    async getTemplates(req, res) {
+        try {
+            const templates = await templateService.getTemplates({
+                projectId: req.query.projectId,
+                actingUser: req.user
+            });
+
+            res.status(200).json({
+                success: true,
+                data: templates
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async getTemplate(req, res) {
+        try {
+            const template = await templateService.getTemplate(req.params.templateId, req.user);
+
+            res.status(200).json({
+                success: true,
+                data: template
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * POST /api/templates - save a task (with its subtasks) as a template
+     */
+    async createTemplate(req, res) {
+        try {
+            const { taskId, name, description, global, anchorDate } = req.body;
+            const template = await templateService.createTemplateFromTask({
+                taskId,
+                name,
+                description,
+                global: global === true,
+                anchorDate,
+                actingUser: req.user
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Template saved successfully',
+                data: template
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async deleteTemplate(req, res) {
+        try {
+            await templateService.deleteTemplate(req.params.templateId, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Template deleted successfully'
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * POST /api/templates/:templateId/instantiate - create the task and subtasks
+     */
+    async instantiateTemplate(req, res) {
+        try {
+            const result = await templateService.instantiateTemplate({
+                templateId: req.params.templateId,
+                projectId: req.body.projectId,
+                anchorDate: req.body.anchorDate,
+                actingUser: req.user,
+                io: req.app?.get('io'),
+                userSockets: req.app?.get('userSockets')
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Task created from template successfully',
+                data: result
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+}
+
+export default new TemplateController();
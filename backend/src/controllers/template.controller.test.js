@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import templateController from './template.controller.js';
+import templateService from '../services/template.services.js';
+
+// Mock dependencies
+vi.mock('../services/template.services.js');
+
+describe('Template Controller', () => {
+    let req, res;
+    const io = { to: vi.fn() };
+    const userSockets = new Map();
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+
+        req = {
+            user: { _id: 'user123', roles: ['staff'] },
+            params: { templateId: 'template123' },
+            query: {},
+            body: {},
+            app: { get: vi.fn(key => (key === 'io' ? io : userSockets)) }
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+    });
+
+    describe('getTemplates', () => {
+        it('should list templates for the requested project', async () => {
+            req.query = { projectId: 'project123' };
+            const templates = [{ _id: 'template123', name: 'Month-end close' }];
+            templateService.getTemplates.mockResolvedValue(templates);
+
+            await templateController.getTemplates(req, res);
+
+            expect(templateService.getTemplates).toHaveBeenCalledWith({ projectId: 'project123', actingUser: req.user });
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ success: true, data: templates });
+        });
+
+        it('should return 403 without access to the project', async () => {
+            templateService.getTemplates.mockRejectedValue(new Error('You do not have permission to view templates of this project'));
+
+            await templateController.getTemplates(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('createTemplate', () => {
+        it('should save the task as a template and return 201', async () => {
+            req.body = { taskId: 'task123', name: 'Onboarding', global: 'yes', anchorDate: '2025-04-01' };
+            const template = { _id: 'template123', name: 'Onboarding' };
+            templateService.createTemplateFromTask.mockResolvedValue(template);
+
+            await templateController.createTemplate(req, res);
+
+            expect(templateService.createTemplateFromTask).toHaveBeenCalledWith({
+                taskId: 'task123',
+                name: 'Onboarding',
+                description: undefined,
+                global: false,
+                anchorDate: '2025-04-01',
+                actingUser: req.user
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                message: 'Template saved successfully',
+                data: template
+            });
+        });
+
+        it('should return 403 when staff try to save a global template', async () => {
+            templateService.createTemplateFromTask.mockRejectedValue(new Error('Only managers and admins can create global templates'));
+
+            await templateController.createTemplate(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('deleteTemplate', () => {
+        it('should return 404 for a missing template', async () => {
+            templateService.deleteTemplate.mockRejectedValue(new Error('Template not found'));
+
+            await templateController.deleteTemplate(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Template not found' });
+        });
+    });
+
+    describe('instantiateTemplate', () => {
+        it('should pass the anchor date, project and sockets to the service', async () => {
+            req.body = { projectId: 'project123', anchorDate: '2025-04-30' };
+            const result = { task: { _id: 'task123' }, subtasks: [] };
+            templateService.instantiateTemplate.mockResolvedValue(result);
+
+            await templateController.instantiateTemplate(req, res);
+
+            expect(templateService.instantiateTemplate).toHaveBeenCalledWith({
+                templateId: 'template123',
+                projectId: 'project123',
+                anchorDate: '2025-04-30',
+                actingUser: req.user,
+                io,
+                userSockets
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                message: 'Task created from template successfully',
+                data: result
+            });
+        });
+
+        it('should return 400 when task validation fails', async () => {
+            templateService.instantiateTemplate.mockRejectedValue(new Error('Due date cannot be in the past'));
+
+            await templateController.instantiateTemplate(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+    });
+});
@@ -0,0 +1,161 @@
+import timeEntryService from '../services/time-entry.services.js';
+
+// Map service error messages to HTTP status codes
+function statusForError(error) {
+    if (error.message.includes('not found')) {
+        return 404;
+    }
+    if (error.message.includes('permission')) {
+        return 403;
+    }
+    if (error.message.includes('already have a running timer')) {
+        return 409;
+    }
+    return 400;
+}
+
+function sendError(res, error) {
+    res.status(statusForError(error)).json({
+        success: false,
+        message: error.message
+    });
+}
+
+async function getItemEntries(req, res, itemType, itemId) {
+    try {
+        const entries = await timeEntryService.getEntries(itemType, itemId, req.user);
+
+        res.status(200).json({
+            success: true,
+            data: entries
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function addItemEntry(req, res, itemType, itemId) {
+    try {
+        const { minutes, date, note } = req.body;
+
+        const entry = await timeEntryService.addEntry({
+            itemType,
+            itemId,
+            minutes,
+            date,
+            note,
+            actingUser: req.user
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Time logged successfully',
+            data: entry
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function startItemTimer(req, res, itemType, itemId) {
+    try {
+        const timer = await timeEntryService.startTimer({
+            itemType,
+            itemId,
+            date: req.body?.date,
+            note: req.body?.note,
+            actingUser: req.user
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Timer started',
+            data: timer
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+class TimeEntryController {
+    async getTaskEntries(req, res) {
+        return getItemEntries(req, res, 'task', req.params.taskId);
+    }
+
+    async addTaskEntry(req, res) {
+        return addItemEntry(req, res, 'task', req.params.taskId);
+    }
+
+    async startTaskTimer(req, res) {
+        return startItemTimer(req, res, 'task', req.params.taskId);
+    }
+
+    async getSubtaskEntries(req, res) {
+        return getItemEntries(req, res, 'subtask', req.params.subtaskId);
+    }
+
+    async addSubtaskEntry(req, res) {
+        return addItemEntry(req, res, 'subtask', req.params.subtaskId);
+    }
+
+    async startSubtaskTimer(req, res) {
+        return startItemTimer(req, res, 'subtask', req.params.subtaskId);
+    }
+
+    async updateEntry(req, res) {
+        try {
+            const { minutes, date, note } = req.body;
+            const entry = await timeEntryService.updateEntry(req.params.entryId, { minutes, date, note }, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Time entry updated successfully',
+                data: entry
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async deleteEntry(req, res) {
+        try {
+            await timeEntryService.deleteEntry(req.params.entryId, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Time entry deleted successfully'
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async getRunningTimer(req, res) {
+        try {
+            const timer = await timeEntryService.getRunningTimer(req.user);
+
+            res.status(200).json({
+                success: true,
+                data: timer
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async stopTimer(req, res) {
+        try {
+            const entry = await timeEntryService.stopTimer(req.user, req.body?.note);
+
+            res.status(200).json({
+                success: true,
+                message: 'Timer stopped',
+                data: entry
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+}
+
+export default new TimeEntryController();
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import timeEntryController from './time-entry.controller.js';
+import timeEntryService from '../services/time-entry.services.js';
+
+vi.mock('../services/time-entry.services.js');
+
+describe('Time Entry Controller', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            user: {
+                _id: '507f1f77bcf86cd799439012',
+                username: 'staff@company.com',
+                roles: ['staff']
+            },
+            params: { taskId: '507f1f77bcf86cd799439011' },
+            body: {}
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis()
+        };
+    });
+
+    afterEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('addTaskEntry', () => {
+        it('should log an entry for the acting user', async () => {
+            const mockEntry = { _id: '507f1f77bcf86cd799439070', minutes: 45 };
+            req.body = { minutes: 45, date: '2025-03-03', note: 'Reviewed designs' };
+            timeEntryService.addEntry.mockResolvedValue(mockEntry);
+
+            await timeEntryController.addTaskEntry(req, res);
+
+            expect(timeEntryService.addEntry).toHaveBeenCalledWith({
+                itemType: 'task',
+                itemId: '507f1f77bcf86cd799439011',
+                minutes: 45,
+                date: '2025-03-03',
+                note: 'Reviewed designs',
+                actingUser: req.user
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                message: 'Time logged successfully',
+                data: mockEntry
+            });
+        });
+
+        it('should return 400 for an invalid duration', async () => {
+            req.body = { minutes: -5 };
+            timeEntryService.addEntry.mockRejectedValue(new Error('Time taken must be a positive number'));
+
+            await timeEntryController.addTaskEntry(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        it('should return 403 when the user cannot access the task', async () => {
+            req.body = { minutes: 30 };
+            timeEntryService.addEntry.mockRejectedValue(new Error('You do not have permission to log time on this task'));
+
+            await timeEntryController.addTaskEntry(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('getSubtaskEntries', () => {
+        it('should list entries for a subtask', async () => {
+            req.params = { subtaskId: '507f1f77bcf86cd799439020' };
+            timeEntryService.getEntries.mockResolvedValue([]);
+
+            await timeEntryController.getSubtaskEntries(req, res);
+
+            expect(timeEntryService.getEntries).toHaveBeenCalledWith('subtask', '507f1f77bcf86cd799439020', req.user);
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ success: true, data: [] });
+        });
+    });
+
+    describe('updateEntry / deleteEntry', () => {
+        it('should only pass editable fields to the service', async () => {
+            req.params = { entryId: '507f1f77bcf86cd799439070' };
+            req.body = { minutes: 20, user: 'someone-else' };
+            timeEntryService.updateEntry.mockResolvedValue({ minutes: 20 });
+
+            await timeEntryController.updateEntry(req, res);
+
+            expect(timeEntryService.updateEntry).toHaveBeenCalledWith(
+                '507f1f77bcf86cd799439070',
+                { minutes: 20, date: undefined, note: undefined },
+                req.user
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        it("should return 403 when deleting someone else's entry", async () => {
+            req.params = { entryId: '507f1f77bcf86cd799439070' };
+            timeEntryService.deleteEntry.mockRejectedValue(new Error('You do not have permission to delete this time entry'));
+
+            await timeEntryController.deleteEntry(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('timers', () => {
+        it('should return 409 when a timer is already running', async () => {
+            timeEntryService.startTimer.mockRejectedValue(new Error('You already have a running timer'));
+
+            await timeEntryController.startTaskTimer(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+        });
+
+        it('should return the running timer, or null when none is running', async () => {
+            timeEntryService.getRunningTimer.mockResolvedValue(null);
+
+            await timeEntryController.getRunningTimer(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ success: true, data: null });
+        });
+
+        it('should return 404 when stopping without a running timer', async () => {
+            timeEntryService.stopTimer.mockRejectedValue(new Error('Running timer not found'));
+
+            await timeEntryController.stopTimer(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+});
@@ -0,0 +1,111 @@
+import timesheetService from '../services/timesheet.services.js';
+import reportService from '../services/report.services.js';
+
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        generate: (timesheet) => reportService.generateTimesheetCsvReport(timesheet)
+    },
+    xlsx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx',
+        generate: (timesheet) => reportService.generateTimesheetExcelReport(timesheet)
+    }
+};
+
+// Map service error messages to HTTP status codes
+function statusForError(error) {
+    if (error.message.includes('not found')) {
+        return 404;
+    }
+    if (error.message.includes('permission')) {
+        return 403;
+    }
+    return 400;
+}
+
+/**
+ * Respond with the timesheet as JSON, or as a CSV/XLSX download when ?format= is given
+ */
+async function sendTimesheet(res, timesheet, format, identifier) {
+    if (!format) {
+        return res.status(200).json({
+            success: true,
+            data: timesheet
+        });
+    }
+
+    const exporter = EXPORT_FORMATS[format.toLowerCase()];
+    if (!exporter) {
+        return res.status(400).json({
+            success: false,
+            message: 'Format must be either csv or xlsx'
+        });
+    }
+
+    const buffer = await exporter.generate(timesheet);
+    const filename = `timesheet-${identifier}-${timesheet.week.start}.${exporter.extension}`;
+
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', buffer.length);
+
+    return res.send(buffer);
+}
+
+class TimesheetController {
+    /**
+     * GET /api/timesheets/me?week=YYYY-MM-DD&format=csv|xlsx
+     */
+    async getMyTimesheet(req, res) {
+        try {
+            const { week, format } = req.query;
+            const timesheet = await timesheetService.getUserTimesheet(req.user._id, week, req.user);
+
+            return await sendTimesheet(res, timesheet, format, 'me');
+        } catch (error) {
+            res.status(statusForError(error)).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * GET /api/timesheets/users/:userId?week=YYYY-MM-DD&format=csv|xlsx
+     */
+    async getUserTimesheet(req, res) {
+        try {
+            const { userId } = req.params;
+            const { week, format } = req.query;
+            const timesheet = await timesheetService.getUserTimesheet(userId, week, req.user);
+
+            return await sendTimesheet(res, timesheet, format, userId);
+        } catch (error) {
+            res.status(statusForError(error)).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * GET /api/timesheets/department?week=YYYY-MM-DD&department=it&format=csv|xlsx
+     */
+    async getDepartmentTimesheet(req, res) {
+        try {
+            const { week, department, format } = req.query;
+            const timesheet = await timesheetService.getDepartmentTimesheet(week, req.user, department);
+
+            return await sendTimesheet(res, timesheet, format, timesheet.department.replace(/\s+/g, '-'));
+        } catch (error) {
+            res.status(statusForError(error)).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+}
+
+export default new TimesheetController();
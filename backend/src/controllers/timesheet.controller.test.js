@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import timesheetController from './timesheet.controller.js';
+import timesheetService from '../services/timesheet.services.js';
+import reportService from '../services/report.services.js';
+
+vi.mock('../services/timesheet.services.js');
+vi.mock('../services/report.services.js');
+
+describe('Timesheet Controller', () => {
+    let req, res;
+
+    const mockTimesheet = {
+        week: { start: '2025-03-03', end: '2025-03-09', days: [] },
+        rows: [],
+        dayTotals: [0, 0, 0, 0, 0, 0, 0],
+        total: 0
+    };
+
+    beforeEach(() => {
+        req = {
+            user: {
+                _id: '507f1f77bcf86cd799439012',
+                username: 'staff@company.com',
+                roles: ['staff']
+            },
+            params: {},
+            query: { week: '2025-03-05' }
+        };
+
+        res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn().mockReturnThis(),
+            setHeader: vi.fn(),
+            send: vi.fn()
+        };
+    });
+
+    afterEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('getMyTimesheet', () => {
+        it("should return the acting user's timesheet as JSON", async () => {
+            timesheetService.getUserTimesheet.mockResolvedValue(mockTimesheet);
+
+            await timesheetController.getMyTimesheet(req, res);
+
+            expect(timesheetService.getUserTimesheet).toHaveBeenCalledWith(req.user._id, '2025-03-05', req.user);
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ success: true, data: mockTimesheet });
+        });
+
+        it('should export as CSV when format=csv', async () => {
+            const csv = Buffer.from('User,Item\n');
+            req.query.format = 'csv';
+            timesheetService.getUserTimesheet.mockResolvedValue(mockTimesheet);
+            reportService.generateTimesheetCsvReport.mockResolvedValue(csv);
+
+            await timesheetController.getMyTimesheet(req, res);
+
+            expect(reportService.generateTimesheetCsvReport).toHaveBeenCalledWith(mockTimesheet);
+            expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/csv; charset=utf-8');
+            expect(res.setHeader).toHaveBeenCalledWith(
+                'Content-Disposition',
+                'attachment; filename="timesheet-me-2025-03-03.csv"'
+            );
+            expect(res.send).toHaveBeenCalledWith(csv);
+        });
+
+        it('should export as XLSX when format=xlsx', async () => {
+            const xlsxBuffer = Buffer.from('xlsx');
+            req.query.format = 'xlsx';
+            timesheetService.getUserTimesheet.mockResolvedValue(mockTimesheet);
+            reportService.generateTimesheetExcelReport.mockResolvedValue(xlsxBuffer);
+
+            await timesheetController.getMyTimesheet(req, res);
+
+            expect(res.send).toHaveBeenCalledWith(xlsxBuffer);
+        });
+
+        it('should reject unknown export formats', async () => {
+            req.query.format = 'pdf';
+            timesheetService.getUserTimesheet.mockResolvedValue(mockTimesheet);
+
+            await timesheetController.getMyTimesheet(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'Format must be either csv or xlsx'
+            });
+        });
+
+        it('should return 400 for an invalid week', async () => {
+            timesheetService.getUserTimesheet.mockRejectedValue(
+                new Error('Invalid week. Use a date in the format YYYY-MM-DD')
+            );
+
+            await timesheetController.getMyTimesheet(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('getUserTimesheet', () => {
+        it('should return 403 when a manager views someone outside their department', async () => {
+            req.params.userId = '507f1f77bcf86cd799439013';
+            timesheetService.getUserTimesheet.mockRejectedValue(
+                new Error('You do not have permission to view this timesheet')
+            );
+
+            await timesheetController.getUserTimesheet(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('getDepartmentTimesheet', () => {
+        it('should pass the requested department through to the service', async () => {
+            req.user.roles = ['admin'];
+            req.query.department = 'sales';
+            timesheetService.getDepartmentTimesheet.mockResolvedValue({ ...mockTimesheet, department: 'sales' });
+
+            await timesheetController.getDepartmentTimesheet(req, res);
+
+            expect(timesheetService.getDepartmentTimesheet).toHaveBeenCalledWith('2025-03-05', req.user, 'sales');
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        it('should return 400 for a repeated department', async () => {
+            req.user.roles = ['admin'];
+            req.query.department = ['it', 'sales'];
+            timesheetService.getDepartmentTimesheet.mockRejectedValue(new Error('Department must be a non-empty string'));
+
+            await timesheetController.getDepartmentTimesheet(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Department must be a non-empty string' });
+        });
+    });
+});
@@ -1,7 +1,7 @@
 // This is the Lambda entry point
 import { SSMClient, GetParameterCommand } from '@aws-sdk/client-ssm';
 import mongoose from 'mongoose';
-import { checkTasksAndNotify } from '../services/email-notification.services.js';
+import { registerJobs } from '../config/jobs.js';
 
 const ssmClient = new SSMClient({ region: 'ap-southeast-1' });
 
@@ -21,8 +21,13 @@ export async function handler(event, context) {
     // 3. Connect to MongoDB
     await mongoose.connect(mongoUri);
     
-    // 4. Call your existing function (unchanged!)
-    await checkTasksAndNotify();
+    // 4. Deadline reminders and digests every hour, as runs of the server's jobs:
+    //    they are recorded in the job history and skipped while a server runs them
+    const scheduler = registerJobs();
+    for (const job of ['deadline-reminders', 'digests']) {
+      const run = await scheduler.runJob(job, { trigger: 'lambda' });
+      console.log(`Job ${job}:`, run ? run.status : 'already running', run?.result ?? run?.error ?? '');
+    }
     
     // 5. Disconnect
     await mongoose.disconnect();
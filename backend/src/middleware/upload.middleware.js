@@ -0,0 +1,49 @@
+// File upload middleware for attachment routes
+import multer from 'multer';
+import { MAX_ATTACHMENT_SIZE, MAX_ATTACHMENTS_PER_UPLOAD, formatFileSize } from '../utils/attachment.utils.js';
+
+// Files are kept in memory and handed to the attachment storage driver
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_ATTACHMENT_SIZE,
+        files: MAX_ATTACHMENTS_PER_UPLOAD
+    }
+});
+
+/**
+ * Middleware to accept attachment uploads in the multipart "files" field
+ * Multer limit errors are returned as JSON instead of reaching the error handler
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const uploadAttachments = (req, res, next) => {
+    upload.array('files', MAX_ATTACHMENTS_PER_UPLOAD)(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+
+        if (error instanceof multer.MulterError) {
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({
+                    success: false,
+                    message: `File is too large: attachments can be at most ${formatFileSize(MAX_ATTACHMENT_SIZE)}`
+                });
+            }
+            if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid upload: send up to ${MAX_ATTACHMENTS_PER_UPLOAD} files in the "files" field`
+                });
+            }
+        }
+
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    });
+};
+
+export { uploadAttachments };
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * Attachment Schema
+ *
+ * Purpose: Files uploaded to tasks, subtasks and their comments
+ *
+ * Key Features:
+ * - Metadata only; the file contents live in the configured storage driver
+ *   (local disk or an S3-compatible bucket)
+ * - Comment attachments keep a reference to the comment within the item
+ * - project/task are stored so access checks do not need the item populated
+ *
+ * Fields:
+ * - itemType: Kind of item the file is attached to (Enum: task, subtask)
+ * - item: Reference to the task or subtask (ObjectId)
+ * - comment: _id of the comment within the item's comments, null for item attachments (ObjectId)
+ * - project: Reference to the item's project (ObjectId)
+ * - originalName: File name as uploaded (String)
+ * - mimeType: Content type of the file (String)
+ * - size: File size in bytes (Number)
+ * - storage: Driver holding the contents (Enum: local, s3)
+ * - storageKey: Key of the contents within the storage driver (String)
+ * - uploadedBy: Reference to the user who uploaded the file (ObjectId)
+ * - createdAt: Upload time (Date)
+ */
+const attachmentSchema = new Schema({
+    itemType: {
+        type: String,
+        enum: ['task', 'subtask'],
+        required: true
+    },
+    item: {
+        type: Schema.Types.ObjectId,
+        required: true
+    },
+    comment: {
+        type: Schema.Types.ObjectId,
+        default: null
+    },
+    project: {
+        type: Schema.Types.ObjectId,
+        ref: 'projects',
+        required: true
+    },
+    originalName: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    storage: {
+        type: String,
+        enum: ['local', 's3'],
+        required: true
+    },
+    storageKey: {
+        type: String,
+        required: true
+    },
+    uploadedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+attachmentSchema.index({ itemType: 1, item: 1, comment: 1, createdAt: 1 });
+
+const Attachment = mongoose.models.Attachment || mongoose.model('Attachment', attachmentSchema);
+
+export default Attachment;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * Checklist Item Schema
+ *
+ * Purpose: Lightweight to-do items embedded in tasks and subtasks, for work
+ * too small to be worth a subtask
+ *
+ * Key Features:
+ * - Items keep the order of the checklist array (reordered in place)
+ * - Optional owner responsible for the item
+ * - completedAt/completedBy record who checked the item off
+ * - Projects can require every item to be checked before an item is
+ *   completed (Project.requireChecklistCompletion)
+ *
+ * Fields:
+ * - text: What needs doing (String, 1-200 characters)
+ * - done: Whether the item is checked (Boolean, default false)
+ * - owner: User responsible for the item, null if unowned (ObjectId)
+ * - completedAt: When the item was checked, null while unchecked (Date)
+ * - completedBy: User who checked the item, null while unchecked (ObjectId)
+ * - createdAt: When the item was added (Date)
+ */
+const checklistItemSchema = new Schema({
+    text: {
+        type: String,
+        required: [true, 'Checklist item text is required'],
+        trim: true,
+        maxlength: [200, 'Checklist items can be at most 200 characters']
+    },
+    done: {
+        type: Boolean,
+        default: false
+    },
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    completedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+export default checklistItemSchema;
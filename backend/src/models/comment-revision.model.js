@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * Comment Revision Schema
+ *
+ * Purpose: Previous versions of edited task and subtask comments
+ *
+ * Key Features:
+ * - One entry per edit, holding the text the edit replaced
+ * - Kept outside the task/subtask documents so old versions are only returned
+ *   through the comment history endpoints (author and admins)
+ * - Entries are immutable once written (no updates through the model)
+ *
+ * Fields:
+ * - itemType: Kind of item the comment belongs to (Enum: task, subtask)
+ * - item: Reference to the task or subtask (ObjectId)
+ * - comment: _id of the comment within the item's comments (ObjectId)
+ * - text: Comment text before the edit (String)
+ * - createdAt: When the text was replaced (Date)
+ */
+const commentRevisionSchema = new Schema({
+    itemType: {
+        type: String,
+        enum: ['task', 'subtask'],
+        required: true,
+        immutable: true
+    },
+    item: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        immutable: true
+    },
+    comment: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        immutable: true
+    },
+    text: {
+        type: String,
+        required: true,
+        immutable: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+});
+
+commentRevisionSchema.index({ itemType: 1, item: 1, comment: 1, createdAt: 1 });
+// Revisions are read by item id alone, so they survive converting a task into a subtask and back
+commentRevisionSchema.index({ item: 1, comment: 1, createdAt: 1 });
+
+// Revisions are append-only
+commentRevisionSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Comment revisions cannot be modified'));
+    }
+    next();
+});
+
+const rejectUpdate = function(next) {
+    next(new Error('Comment revisions cannot be modified'));
+};
+
+commentRevisionSchema.pre('updateOne', rejectUpdate);
+commentRevisionSchema.pre('updateMany', rejectUpdate);
+commentRevisionSchema.pre('findOneAndUpdate', rejectUpdate);
+commentRevisionSchema.pre('replaceOne', rejectUpdate);
+commentRevisionSchema.pre('findOneAndReplace', rejectUpdate);
+
+const CommentRevision = mongoose.models.CommentRevision || mongoose.model('CommentRevision', commentRevisionSchema);
+
+export default CommentRevision;
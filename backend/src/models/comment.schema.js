@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * Comment Schema
+ *
+ * Purpose: Comments embedded in tasks and subtasks
+ *
+ * Key Features:
+ * - One level of threading: replies point at a top-level comment
+ * - Emoji reactions, each listing the users who reacted
+ * - editedAt marks edited comments; previous versions are kept in the
+ *   CommentRevision collection so they are only returned to the author and admins
+ * - Reaction and thread helpers live in utils/comment.utils.js
+ *
+ * Fields:
+ * - text: Comment text (String)
+ * - author: User who wrote the comment (ObjectId)
+ * - authorName: Author's username at the time of writing (String)
+ * - mentions: Users @mentioned in the text (ObjectId[])
+ * - parentId: Top-level comment this is a reply to, null for top-level comments (ObjectId)
+ * - reactions: Emoji and the users who reacted with it ({ emoji, users }[])
+ * - editedAt: Time of the last edit, null if never edited (Date)
+ * - createdAt: Time the comment was posted (Date)
+ */
+const reactionSchema = new Schema({
+    emoji: {
+        type: String,
+        required: true
+    },
+    users: [{
+        type: Schema.Types.ObjectId,
+        ref: 'users'
+    }]
+}, { _id: false });
+
+const commentSchema = new Schema({
+    text: {
+        type: String,
+        required: true
+    },
+    author: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true
+    },
+    authorName: {
+        type: String,
+        required: true
+    },
+    mentions: [{
+        type: Schema.Types.ObjectId,
+        ref: 'users'
+    }],
+    parentId: {
+        type: Schema.Types.ObjectId,
+        default: null
+    },
+    reactions: {
+        type: [reactionSchema],
+        default: []
+    },
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+export default commentSchema;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * Dependency Schema
+ *
+ * Purpose: Link a blocked task or subtask to the task or subtask it is waiting on
+ *
+ * Key Features:
+ * - Links may connect tasks and subtasks in any combination
+ * - Both ends must belong to the same project
+ * - A link can only exist once (unique blocker/blocked pair)
+ * - Cycle detection is enforced by the dependency service, not the schema
+ *
+ * Fields:
+ * - project: Project both items belong to (ObjectId)
+ * - blockerType: Kind of item that must finish first (Enum: task, subtask)
+ * - blocker: Reference to the blocking task or subtask (ObjectId)
+ * - blockedType: Kind of item that is waiting (Enum: task, subtask)
+ * - blocked: Reference to the blocked task or subtask (ObjectId)
+ * - createdBy: User who added the link (ObjectId)
+ * - createdAt: Timestamp when the link was added (Date)
+ */
+const dependencySchema = new Schema({
+    project: {
+        type: Schema.Types.ObjectId,
+        ref: 'projects',
+        required: true
+    },
+    blockerType: {
+        type: String,
+        enum: ['task', 'subtask'],
+        required: true
+    },
+    blocker: {
+        type: Schema.Types.ObjectId,
+        required: true
+    },
+    blockedType: {
+        type: String,
+        enum: ['task', 'subtask'],
+        required: true
+    },
+    blocked: {
+        type: Schema.Types.ObjectId,
+        required: true
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'users'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+dependencySchema.index({ blockerType: 1, blocker: 1, blockedType: 1, blocked: 1 }, { unique: true });
+dependencySchema.index({ blockedType: 1, blocked: 1 });
+dependencySchema.index({ project: 1 });
+
+const Dependency = mongoose.models.Dependency || mongoose.model('Dependency', dependencySchema);
+
+export default Dependency;
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * History Schema
+ *
+ * Purpose: Audit trail of field changes made to tasks and subtasks
+ *
+ * Key Features:
+ * - One entry per changed field per update
+ * - Entries are immutable once written (no updates through the model)
+ * - Indexed by item so a task's or subtask's history can be read in order
+ *
+ * Fields:
+ * - itemType: Kind of item that changed (Enum: task, subtask)
+ * - item: Reference to the changed task or subtask (ObjectId)
+ * - project: Project the item belonged to at the time of the change (ObjectId)
+ * - field: Name of the changed field on the item (String)
+ * - oldValue: Value before the change (Mixed)
+ * - newValue: Value after the change (Mixed)
+ * - actor: User who made the change (ObjectId)
+ * - createdAt: Timestamp of the change (Date)
+ */
+const historySchema = new Schema({
+    itemType: {
+        type: String,
+        enum: ['task', 'subtask'],
+        required: true,
+        immutable: true
+    },
+    item: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        immutable: true
+    },
+    project: {
+        type: Schema.Types.ObjectId,
+        ref: 'projects',
+        immutable: true
+    },
+    field: {
+        type: String,
+        required: true,
+        immutable: true
+    },
+    oldValue: {
+        type: Schema.Types.Mixed,
+        default: null,
+        immutable: true
+    },
+    newValue: {
+        type: Schema.Types.Mixed,
+        default: null,
+        immutable: true
+    },
+    actor: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        immutable: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+});
+
+historySchema.index({ itemType: 1, item: 1, createdAt: 1 });
+// Items keep their id when converted between task and subtask; their history is read by id alone
+historySchema.index({ item: 1, createdAt: 1 });
+
+// History entries are append-only
+historySchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('History entries cannot be modified'));
+    }
+    next();
+});
+
+const rejectUpdate = function(next) {
+    next(new Error('History entries cannot be modified'));
+};
+
+historySchema.pre('updateOne', rejectUpdate);
+historySchema.pre('updateMany', rejectUpdate);
+historySchema.pre('findOneAndUpdate', rejectUpdate);
+historySchema.pre('replaceOne', rejectUpdate);
+historySchema.pre('findOneAndReplace', rejectUpdate);
+
+const History = mongoose.models.History || mongoose.model('History', historySchema);
+
+export default History;
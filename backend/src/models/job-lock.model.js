@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * Job Lock Schema
+ *
+ * Purpose: Makes sure only one server instance runs a job at a time
+ *
+ * Key Features:
+ * - One document per job, keyed by the job name; taking the lock is a single
+ *   atomic update that fails while another instance holds it
+ * - The lock expires at lockedUntil, so a crashed instance does not block the job
+ * - lastScheduledAt stops a second instance from running the same cron time
+ *   after the first one has finished
+ *
+ * Fields:
+ * - _id: Name of the job (String)
+ * - lockedBy: Server instance holding the lock (String)
+ * - lockedAt: When it was taken (Date)
+ * - lockedUntil: When it expires (Date)
+ * - lastScheduledAt: Latest cron time that was run (Date)
+ */
+const jobLockSchema = new Schema({
+    _id: {
+        type: String
+    },
+    lockedBy: {
+        type: String,
+        default: null
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lastScheduledAt: {
+        type: Date,
+        default: null
+    }
+});
+
+const JobLock = mongoose.models.JobLock || mongoose.model('JobLock', jobLockSchema);
+
+export default JobLock;
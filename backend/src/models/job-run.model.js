@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * Job Run Schema
+ *
+ * Purpose: History of the scheduled jobs (deadline reminders, recurrence, digests)
+ *
+ * Key Features:
+ * - One entry per run, whether it was scheduled, started by an admin or by the Lambda
+ * - Runs are kept for 90 days
+ *
+ * Fields:
+ * - job: Name of the job (String)
+ * - trigger: What started the run (Enum: schedule, manual, lambda)
+ * - triggeredBy: Admin who started a manual run (ObjectId)
+ * - scheduledAt: The cron time a scheduled run was for (Date)
+ * - startedAt / finishedAt / durationMs: Timing of the run
+ * - status: Enum: running, succeeded, failed
+ * - result: What the job returned, e.g. how many reminders went out (Mixed)
+ * - error: Error message of a failed run (String)
+ * - instance: Server instance that ran the job (String)
+ */
+const jobRunSchema = new Schema({
+    job: {
+        type: String,
+        required: true
+    },
+    trigger: {
+        type: String,
+        enum: ['schedule', 'manual', 'lambda'],
+        required: true
+    },
+    triggeredBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        default: null
+    },
+    scheduledAt: {
+        type: Date,
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    },
+    durationMs: {
+        type: Number,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['running', 'succeeded', 'failed'],
+        default: 'running'
+    },
+    result: {
+        type: Schema.Types.Mixed,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    instance: {
+        type: String
+    }
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const JobRun = mongoose.models.JobRun || mongoose.model('JobRun', jobRunSchema);
+
+export default JobRun;
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * Notification Preference Schema
+ *
+ * The channels a user wants each kind of notification on. Only the events the
+ * user changed are stored; the others use the defaults in notification.utils.js.
+ *
+ * Fields:
+ * - user: The user (ObjectId, one document per user)
+ * - preferences: Channels per event, e.g. { "task-updated": { inApp: true, toast: false, email: false } } (Object)
+ * - digest: Email digest settings (see digest.utils.js)
+ *   - frequency: 'off', 'daily' or 'weekly' (String)
+ *   - hour: Send hour in the user's timezone, 0-23 (Number)
+ *   - timezone: IANA timezone, e.g. "Asia/Singapore" (String)
+ *   - weekday: Send day of weekly digests, 0 (Sunday) to 6 (Number)
+ *   - lastSentAt: When the last digest went out (Date)
+ * - updatedAt: Last change (Date)
+ */
+const notificationPreferenceSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true,
+        unique: true
+    },
+    preferences: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    digest: {
+        frequency: {
+            type: String,
+            enum: ['off', 'daily', 'weekly'],
+            default: 'off'
+        },
+        hour: {
+            type: Number,
+            min: 0,
+            max: 23,
+            default: 8
+        },
+        timezone: {
+            type: String,
+            default: 'UTC'
+        },
+        weekday: {
+            type: Number,
+            min: 0,
+            max: 6,
+            default: 1
+        },
+        lastSentAt: {
+            type: Date,
+            default: null
+        }
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { minimize: false });
+
+notificationPreferenceSchema.index({ 'digest.frequency': 1 });
+
+const NotificationPreference = mongoose.models.NotificationPreference ||
+    mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+export default NotificationPreference;
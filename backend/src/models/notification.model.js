@@ -11,6 +11,11 @@ const notificationSchema = new Schema({
   message: {
     type: String,
   },
+  // What the notification is about, e.g. "comment" or "mention"
+  type: {
+    type: String,
+    default: "general",
+  },
   task: {
     type: Schema.Types.ObjectId,
     ref: "tasks",
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { normalizeTags } from '../utils/tag.utils.js';
+import { CUSTOM_FIELD_TYPES } from '../utils/custom-field.utils.js';
+import { STATUS_CATEGORIES } from '../utils/workflow.utils.js';
 const Schema = mongoose.Schema;
 
 /**
@@ -16,6 +19,10 @@ const Schema = mongoose.Schema;
  * - Optional description field
  * - Member management for project collaboration
  * - Archive functionality that cascades to all project tasks
+ * - Per-status WIP limits for the Kanban board
+ * - Custom field definitions whose values are stored on the project's tasks and subtasks
+ * - Optional rule that tasks and subtasks cannot be completed with unchecked checklist items
+ * - Text index on name and description for global search
  * - Automatic timestamp tracking
  *
  * Fields:
@@ -27,6 +34,11 @@ const Schema = mongoose.Schema;
  * - priority: Optional priority ranking (Number, 1-10 range)
  * - dueDate: Optional project due date (Date)
  * - tags: Optional array of tags for categorization (String[], default empty)
+ * - wipLimits: Optional Kanban work-in-progress limit per task status ({ status, limit }[])
+ * - workflow: Task statuses ({ name, category }[]) and allowed transitions ({ from, to }[]);
+ *   no statuses means the default workflow (see workflow.utils.js)
+ * - customFields: Custom field definitions ({ key, name, type, options, required }[], see custom-field.utils.js)
+ * - requireChecklistCompletion: Block completing items while checklist items are unchecked (Boolean, default false)
  * - archived: Boolean flag for archived status (Boolean, default false)
  * - archivedAt: Timestamp when project was archived (Date, default null)
  * - createdAt: Timestamp when project was created (Date)
@@ -85,8 +97,89 @@ const projectSchema = new Schema({
     },
     tags: {
         type: [String],
+        default: [],
+        set: normalizeTags
+    },
+    wipLimits: {
+        type: [{
+            _id: false,
+            // A status of the project's workflow (checked in ProjectService)
+            status: {
+                type: String,
+                required: true
+            },
+            limit: {
+                type: Number,
+                required: true,
+                min: [1, 'WIP limits must be positive whole numbers']
+            }
+        }],
+        default: []
+    },
+    customFields: {
+        type: [{
+            _id: false,
+            key: {
+                type: String,
+                required: true
+            },
+            name: {
+                type: String,
+                required: true,
+                trim: true
+            },
+            type: {
+                type: String,
+                enum: CUSTOM_FIELD_TYPES,
+                required: true
+            },
+            options: {
+                type: [String],
+                default: []
+            },
+            required: {
+                type: Boolean,
+                default: false
+            }
+        }],
         default: []
     },
+    workflow: {
+        statuses: {
+            type: [{
+                _id: false,
+                name: {
+                    type: String,
+                    required: true,
+                    trim: true
+                },
+                category: {
+                    type: String,
+                    enum: STATUS_CATEGORIES,
+                    required: true
+                }
+            }],
+            default: []
+        },
+        transitions: {
+            type: [{
+                _id: false,
+                from: {
+                    type: String,
+                    required: true
+                },
+                to: {
+                    type: String,
+                    required: true
+                }
+            }],
+            default: []
+        }
+    },
+    requireChecklistCompletion: {
+        type: Boolean,
+        default: false
+    },
     archived: {
         type: Boolean,
         default: false
@@ -110,6 +203,12 @@ projectSchema.pre('save', function(next) {
     next();
 });
 
+// Full-text search over names and descriptions (GET /api/search)
+projectSchema.index(
+    { name: 'text', description: 'text' },
+    { name: 'project_text_search', weights: { name: 10, description: 3 } }
+);
+
 const projectModel = mongoose.models.projects || mongoose.model('projects', projectSchema);
 
 export default projectModel;
\ No newline at end of file
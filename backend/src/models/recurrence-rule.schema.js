@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * Recurrence Rule Schema
+ *
+ * Purpose: RRULE-style repeat settings embedded in tasks and subtasks
+ *
+ * Key Features:
+ * - Weekly rules can repeat on several weekdays (e.g. every weekday)
+ * - Monthly rules repeat on a day of the month, the nth weekday, or the last business day
+ * - Optional end date or maximum occurrence count
+ * - Items without a rule fall back to the legacy recurrenceInterval (every N days)
+ * - Validation and date calculations live in utils/recurrence.utils.js
+ *
+ * Fields:
+ * - frequency: Unit of repetition (Enum: daily, weekly, monthly)
+ * - interval: Repeat every N units (Number)
+ * - weekdays: Weekly only, days of the week with 0 = Sunday (Number[])
+ * - monthlyType: Monthly only (Enum: dayOfMonth, nthWeekday, lastBusinessDay)
+ * - dayOfMonth: Day for dayOfMonth rules (Number)
+ * - weekOfMonth: 1-4, or -1 for the last, for nthWeekday rules (Number)
+ * - weekday: Day of the week for nthWeekday rules (Number)
+ * - endDate: No occurrences due after this date (Date)
+ * - count: Maximum number of occurrences, including the first (Number)
+ * - skipWeekends: Move weekend due dates to the following Monday (Boolean)
+ */
+const recurrenceRuleSchema = new Schema({
+    frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly'],
+        required: true
+    },
+    interval: {
+        type: Number,
+        default: 1,
+        min: [1, 'Recurrence interval must be a positive number']
+    },
+    weekdays: {
+        type: [Number],
+        default: []
+    },
+    monthlyType: {
+        type: String,
+        enum: ['dayOfMonth', 'nthWeekday', 'lastBusinessDay', null],
+        default: null
+    },
+    dayOfMonth: {
+        type: Number,
+        min: 1,
+        max: 31,
+        default: null
+    },
+    weekOfMonth: {
+        type: Number,
+        enum: [1, 2, 3, 4, -1, null],
+        default: null
+    },
+    weekday: {
+        type: Number,
+        min: 0,
+        max: 6,
+        default: null
+    },
+    endDate: {
+        type: Date,
+        default: null
+    },
+    count: {
+        type: Number,
+        min: [1, 'Occurrence count must be a positive whole number'],
+        default: null
+    },
+    skipWeekends: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+export default recurrenceRuleSchema;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * Reminder Log Schema
+ *
+ * Purpose: The deadline reminders that were sent, so each goes out once
+ *
+ * Key Features:
+ * - One entry per (item, user, reminder type, due date); the unique index
+ *   makes claiming a reminder atomic when several checks run at once
+ * - The due date is part of the key, and entries of an item are removed
+ *   when its due date changes, so a new due date gets its reminders again
+ *
+ * Fields:
+ * - itemType: Kind of item (Enum: task, subtask)
+ * - item: Reference to the task or subtask (ObjectId)
+ * - user: User the reminder went to (ObjectId)
+ * - type: Reminder type, e.g. "before-1d" or "overdue-2" (see reminder.utils.js)
+ * - dueDate: The item's due date when the reminder was sent (Date)
+ * - sentAt: When the reminder was sent (Date)
+ */
+const reminderLogSchema = new Schema({
+    itemType: {
+        type: String,
+        enum: ['task', 'subtask'],
+        required: true
+    },
+    item: {
+        type: Schema.Types.ObjectId,
+        required: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    dueDate: {
+        type: Date,
+        required: true
+    },
+    sentAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+reminderLogSchema.index({ item: 1, user: 1, type: 1, dueDate: 1 }, { unique: true });
+
+const ReminderLog = mongoose.models.ReminderLog || mongoose.model('ReminderLog', reminderLogSchema);
+
+export default ReminderLog;
@@ -1,4 +1,9 @@
 import mongoose from 'mongoose';
+import recurrenceRuleSchema from './recurrence-rule.schema.js';
+import commentSchema from './comment.schema.js';
+import checklistItemSchema from './checklist.schema.js';
+import { normalizeTags } from '../utils/tag.utils.js';
+import { STATUS_CATEGORIES, getDefaultStatusCategory } from '../utils/workflow.utils.js';
 
 const subtaskSchema = new mongoose.Schema({
   title: {
@@ -20,14 +25,22 @@ const subtaskSchema = new mongoose.Schema({
   },
   projectId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Project',
+    ref: 'projects',
     required: [true, 'Project ID is required']
   },
+  // A status of the project's workflow (checked in SubtaskService)
   status: {
     type: String,
-    enum: ['To Do', 'In Progress', 'Completed', 'Blocked'],
     default: 'To Do'
   },
+  // Category of the status in the project's workflow, kept in sync by the services
+  statusCategory: {
+    type: String,
+    enum: STATUS_CATEGORIES,
+    default: function() {
+      return getDefaultStatusCategory(this.status);
+    }
+  },
   priority: {
     type: Number,
     required: true,
@@ -61,8 +74,8 @@ const subtaskSchema = new mongoose.Schema({
     default: null,
     validate: {
       validator: function(v) {
-        // If subtask is recurring, interval must be positive
-        if (this.isRecurring && (!v || v <= 0)) {
+        // If subtask is recurring without a rule, interval must be positive
+        if (this.isRecurring && !this.recurrenceRule?.frequency && (!v || v <= 0)) {
           return false;
         }
         // If not recurring, interval should be null or undefined
@@ -74,40 +87,41 @@ const subtaskSchema = new mongoose.Schema({
       message: 'Recurrence interval must be a positive number for recurring subtasks'
     }
   },
+  // Takes precedence over recurrenceInterval when set
+  recurrenceRule: {
+    type: recurrenceRuleSchema,
+    default: null
+  },
+  // Position of this item in its recurring series (the first item is 1)
+  recurrenceOccurrence: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // The item of the series this one was created from; each item gets one next occurrence
+  previousOccurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subtask',
+    default: null
+  },
   timeTaken: {
     type: Number,
     default: 0,
     min: [0, 'Time taken must be a non-negative number']
   },
+  // Tag names (see tag.utils.js); a legacy '#'-separated string is split
   tags: {
-    type: String,
-    default: '',
-    validate: {
-      validator: function(v) {
-        return typeof v === 'string';
-      },
-      message: 'Tags must be a string'
-    }
+    type: [String],
+    default: [],
+    set: normalizeTags
   },
-  comments: [{
-    text: {
-      type: String,
-      required: true
-    },
-    author: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'users',
-      required: true
-    },
-    authorName: {
-      type: String,
-      required: true
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  // Values of the project's custom fields, keyed by field key (see custom-field.utils.js)
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  comments: [commentSchema],
+  checklist: [checklistItemSchema],
   createdAt: {
     type: Date,
     default: Date.now
@@ -136,6 +150,18 @@ subtaskSchema.pre('save', function(next) {
 subtaskSchema.index({ parentTaskId: 1, status: 1 });
 subtaskSchema.index({ projectId: 1, status: 1 });
 
+// One next occurrence per recurring subtask, even when it is created twice at once
+subtaskSchema.index(
+  { previousOccurrence: 1 },
+  { unique: true, partialFilterExpression: { previousOccurrence: { $type: 'objectId' } } }
+);
+
+// Full-text search over titles, descriptions, tags and comments (GET /api/search)
+subtaskSchema.index(
+  { title: 'text', description: 'text', tags: 'text', 'comments.text': 'text' },
+  { name: 'subtask_text_search', weights: { title: 10, tags: 5, description: 3, 'comments.text': 1 } }
+);
+
 // Check if model already exists to avoid overwrite errors
 const Subtask = mongoose.models.Subtask || mongoose.model('Subtask', subtaskSchema);
 
@@ -616,20 +616,20 @@ describe('Subtask Model', () => {
   });
 
   describe('Tags Field - STK-013, STK-014, STT-006', () => {
-    it('STK-013: should save subtask with tags as string', async () => {
+    it('STK-013: should save subtask with tags as an array', async () => {
       const subtaskData = {
         title: 'Test Subtask',
         parentTaskId: new mongoose.Types.ObjectId(),
         projectId: new mongoose.Types.ObjectId(),
         ownerId: new mongoose.Types.ObjectId(),
-        tags: 'urgent#frontend'
+        tags: ['urgent', 'frontend']
       };
 
       const subtask = new Subtask(subtaskData);
       const savedSubtask = await subtask.save();
 
-      expect(savedSubtask.tags).toBe('urgent#frontend');
-      expect(typeof savedSubtask.tags).toBe('string');
+      expect(savedSubtask.tags).toEqual(['urgent', 'frontend']);
+      expect(Array.isArray(savedSubtask.tags)).toBe(true);
     });
 
     it('STK-014: should save subtask with single tag', async () => {
@@ -638,16 +638,16 @@ describe('Subtask Model', () => {
         parentTaskId: new mongoose.Types.ObjectId(),
         projectId: new mongoose.Types.ObjectId(),
         ownerId: new mongoose.Types.ObjectId(),
-        tags: 'api'
+        tags: ['api']
       };
 
       const subtask = new Subtask(subtaskData);
       const savedSubtask = await subtask.save();
 
-      expect(savedSubtask.tags).toBe('api');
+      expect(savedSubtask.tags).toEqual(['api']);
     });
 
-    it('STT-006: should save subtask with hashtag-separated tags', async () => {
+    it('STT-006: should split legacy hashtag-separated tags into an array', async () => {
       const subtaskData = {
         title: 'Test Subtask',
         parentTaskId: new mongoose.Types.ObjectId(),
@@ -659,7 +659,7 @@ describe('Subtask Model', () => {
       const subtask = new Subtask(subtaskData);
       const savedSubtask = await subtask.save();
 
-      expect(savedSubtask.tags).toBe('bug#critical#release-blocker');
+      expect(savedSubtask.tags).toEqual(['bug', 'critical', 'release-blocker']);
     });
 
     it('should save subtask without tags (optional field)', async () => {
@@ -673,7 +673,7 @@ describe('Subtask Model', () => {
       const subtask = new Subtask(subtaskData);
       const savedSubtask = await subtask.save();
 
-      expect(savedSubtask.tags).toBe('');
+      expect(savedSubtask.tags).toEqual([]);
     });
 
     it('STK-015: should allow updating tags', async () => {
@@ -682,13 +682,13 @@ describe('Subtask Model', () => {
         parentTaskId: new mongoose.Types.ObjectId(),
         projectId: new mongoose.Types.ObjectId(),
         ownerId: new mongoose.Types.ObjectId(),
-        tags: 'urgent#frontend'
+        tags: ['urgent', 'frontend']
       });
 
-      subtask.tags = 'urgent'; // Update to remove 'frontend'
+      subtask.tags = ['urgent']; // Update to remove 'frontend'
       const updatedSubtask = await subtask.save();
 
-      expect(updatedSubtask.tags).toBe('urgent');
+      expect(updatedSubtask.tags).toEqual(['urgent']);
     });
 
     it('should allow removing all tags', async () => {
@@ -697,29 +697,28 @@ describe('Subtask Model', () => {
         parentTaskId: new mongoose.Types.ObjectId(),
         projectId: new mongoose.Types.ObjectId(),
         ownerId: new mongoose.Types.ObjectId(),
-        tags: 'urgent#frontend'
+        tags: ['urgent', 'frontend']
       });
 
-      subtask.tags = '';
+      subtask.tags = [];
       const updatedSubtask = await subtask.save();
 
-      expect(updatedSubtask.tags).toBe('');
+      expect(updatedSubtask.tags).toEqual([]);
     });
 
-    it('should accept tags as string type', async () => {
+    it('should trim tags, strip leading # and drop duplicates ignoring case', async () => {
       const subtaskData = {
         title: 'Test Subtask',
         parentTaskId: new mongoose.Types.ObjectId(),
         projectId: new mongoose.Types.ObjectId(),
         ownerId: new mongoose.Types.ObjectId(),
-        tags: 'test#tags#string'
+        tags: [' #test ', 'Tags', 'tags', '']
       };
 
       const subtask = new Subtask(subtaskData);
       const savedSubtask = await subtask.save();
 
-      expect(typeof savedSubtask.tags).toBe('string');
-      expect(savedSubtask.tags).toBe('test#tags#string');
+      expect(savedSubtask.tags).toEqual(['test', 'Tags']);
     });
   });
 });
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import { getTagKey } from '../utils/tag.utils.js';
+const Schema = mongoose.Schema;
+
+/**
+ * Tag Schema
+ *
+ * Registry of the tags used on projects, tasks and subtasks, with the colour
+ * they are shown in. Items store tag names (see tag.utils.js); the registry
+ * supplies colours, descriptions and autocomplete suggestions.
+ *
+ * Key Features:
+ * - Global tags can be used everywhere; project tags only in their project
+ * - Names are unique per scope, ignoring case (`key` is the lower-cased name)
+ * - Tags typed on an item that are not registered yet are added automatically
+ *
+ * Fields:
+ * - name: Tag name as displayed (String, no leading '#')
+ * - key: Lower-cased name used for uniqueness and lookups (String)
+ * - color: Hex colour such as "#3b82f6" (String)
+ * - description: Optional note on when to use the tag (String)
+ * - scope: 'global' or 'project' (Enum)
+ * - project: Project of a project tag, null for global tags (ObjectId)
+ * - createdBy: User who registered the tag, null for migrated tags (ObjectId)
+ * - createdAt / updatedAt: Timestamps (Date)
+ */
+const tagSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, 'Tag name is required'],
+        trim: true,
+        maxlength: [30, 'Tag name cannot exceed 30 characters']
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    color: {
+        type: String,
+        required: true,
+        match: [/^#[0-9a-fA-F]{6}$/, 'Colour must be a hex colour such as #3b82f6']
+    },
+    description: {
+        type: String,
+        default: '',
+        maxlength: [200, 'Tag description cannot exceed 200 characters']
+    },
+    scope: {
+        type: String,
+        enum: ['global', 'project'],
+        default: 'global'
+    },
+    project: {
+        type: Schema.Types.ObjectId,
+        ref: 'projects',
+        default: null
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+tagSchema.pre('validate', function(next) {
+    if (this.name) {
+        this.key = getTagKey(this.name);
+    }
+    next();
+});
+
+tagSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+tagSchema.index({ project: 1, key: 1 }, { unique: true });
+
+const Tag = mongoose.models.Tag || mongoose.model('Tag', tagSchema);
+
+export default Tag;
@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import { normalizeTags } from '../utils/tag.utils.js';
+const Schema = mongoose.Schema;
+
+/**
+ * Task Template Schema
+ *
+ * A reusable task (e.g. onboarding, month-end close) with its subtasks.
+ * Due dates are stored as whole-day offsets from the anchor date chosen when
+ * the template is instantiated (see template.utils.js).
+ *
+ * Fields:
+ * - name: Template name shown in the template picker
+ * - description: Optional note about when to use the template
+ * - project: Project the template belongs to, or null for a global template
+ * - task: The task to create
+ * - subtasks: Subtasks to create under the task, in order
+ * - createdBy: User who saved the template
+ */
+const templateItemSchema = new Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    priority: {
+        type: Number,
+        min: 1,
+        max: 10,
+        default: 5
+    },
+    tags: {
+        type: [String],
+        default: [],
+        set: normalizeTags
+    },
+    // Days from the anchor date to the due date; null means no due date
+    dueOffsetDays: {
+        type: Number,
+        default: null
+    },
+    // Default assignees
+    assignees: [{
+        type: Schema.Types.ObjectId,
+        ref: 'users'
+    }]
+}, { _id: false });
+
+const taskTemplateSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, 'Template name is required'],
+        trim: true,
+        maxlength: [100, 'Template name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    project: {
+        type: Schema.Types.ObjectId,
+        ref: 'projects',
+        default: null
+    },
+    task: {
+        type: templateItemSchema,
+        required: true
+    },
+    subtasks: [templateItemSchema],
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+taskTemplateSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+taskTemplateSchema.index({ project: 1, name: 1 });
+
+const TaskTemplate = mongoose.models.TaskTemplate || mongoose.model('TaskTemplate', taskTemplateSchema);
+
+export default TaskTemplate;
@@ -1,4 +1,9 @@
 import mongoose from 'mongoose';
+import recurrenceRuleSchema from './recurrence-rule.schema.js';
+import commentSchema from './comment.schema.js';
+import checklistItemSchema from './checklist.schema.js';
+import { normalizeTags } from '../utils/tag.utils.js';
+import { STATUS_CATEGORIES, getDefaultStatusCategory } from '../utils/workflow.utils.js';
 const Schema = mongoose.Schema;
 
 const taskSchema = new Schema({
@@ -27,22 +32,31 @@ const taskSchema = new Schema({
             message: 'Priority must be an integer'
         }
     },
+    // A status of the project's workflow (checked in TaskService)
     status: {
         type: String,
-        enum: ['To Do', 'In Progress', 'Blocked', 'Completed'],
         default: 'To Do',
         required: true
     },
-    tags: {
+    // Category of the status in the project's workflow, kept in sync by the services
+    statusCategory: {
         type: String,
-        default: '',
-        validate: {
-            validator: function(v) {
-                return typeof v === 'string';
-            },
-            message: 'Tags must be a string'
+        enum: STATUS_CATEGORIES,
+        default: function() {
+            return getDefaultStatusCategory(this.status);
         }
     },
+    // Tag names (see tag.utils.js); a legacy '#'-separated string is split
+    tags: {
+        type: [String],
+        default: [],
+        set: normalizeTags
+    },
+    // Values of the project's custom fields, keyed by field key (see custom-field.utils.js)
+    customFields: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
     owner: {
         type: Schema.Types.ObjectId,
         ref: 'users',
@@ -97,8 +111,8 @@ const taskSchema = new Schema({
         default: null,
         validate: {
             validator: function(v) {
-                // If task is recurring, interval must be positive
-                if (this.isRecurring && (!v || v <= 0)) {
+                // If task is recurring without a rule, interval must be positive
+                if (this.isRecurring && !this.recurrenceRule?.frequency && (!v || v <= 0)) {
                     return false;
                 }
                 // If not recurring, interval should be null or undefined
@@ -110,25 +124,25 @@ const taskSchema = new Schema({
             message: 'Recurrence interval must be a positive number for recurring tasks'
         }
     },
-    comments: [{
-        text: {
-            type: String,
-            required: true
-        },
-        author: {
-            type: Schema.Types.ObjectId,
-            ref: 'users',
-            required: true
-        },
-        authorName: {
-            type: String,
-            required: true
-        },
-        createdAt: {
-            type: Date,
-            default: Date.now
-        }
-    }],
+    // Takes precedence over recurrenceInterval when set
+    recurrenceRule: {
+        type: recurrenceRuleSchema,
+        default: null
+    },
+    // Position of this item in its recurring series (the first item is 1)
+    recurrenceOccurrence: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    // The item of the series this one was created from; each item gets one next occurrence
+    previousOccurrence: {
+        type: Schema.Types.ObjectId,
+        ref: 'Task',
+        default: null
+    },
+    comments: [commentSchema],
+    checklist: [checklistItemSchema],
     archived: {
         type: Boolean,
         default: false
@@ -157,6 +171,18 @@ taskSchema.pre('save', function(next) {
     next();
 });
 
+// One next occurrence per recurring task, even when it is created twice at once
+taskSchema.index(
+    { previousOccurrence: 1 },
+    { unique: true, partialFilterExpression: { previousOccurrence: { $type: 'objectId' } } }
+);
+
+// Full-text search over titles, descriptions, tags and comments (GET /api/search)
+taskSchema.index(
+    { title: 'text', description: 'text', tags: 'text', 'comments.text': 'text' },
+    { name: 'task_text_search', weights: { title: 10, tags: 5, description: 3, 'comments.text': 1 } }
+);
+
 const Task = mongoose.models.Task || mongoose.model('Task', taskSchema);
 
 export default Task;
\ No newline at end of file
@@ -85,7 +85,7 @@ describe('Task Model Test', () => {
             project: testProject._id,
             dueDate: dueDate,
             status: 'In Progress',
-            tags: 'urgent#bug#frontend'
+            tags: ['urgent', 'bug', 'frontend']
         };
 
         const task = await Task.create(taskData);
@@ -95,7 +95,7 @@ describe('Task Model Test', () => {
         expect(task.status).toBe('In Progress');
         expect(task.project.toString()).toBe(testProject._id.toString());
         expect(task.dueDate).toBeDefined();
-        expect(task.tags).toBe('urgent#bug#frontend');
+        expect(task.tags).toEqual(['urgent', 'bug', 'frontend']);
     });
 
     it('should fail to create task with invalid status', async () => {
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * Time Entry Schema
+ *
+ * Purpose: Record individual chunks of time logged against a task or subtask
+ *
+ * Key Features:
+ * - Each entry belongs to the user who logged it, so concurrent logging never overwrites
+ * - A running timer is an entry with running=true and a startedAt timestamp; it is stored
+ *   server-side so it survives page reloads. Minutes are filled in when it is stopped
+ * - Each user can have at most one running timer
+ * - Time logged before entries existed is kept as a single unattributed entry (no user)
+ * - The item's timeTaken field is the sum of its finished entries
+ *
+ * Fields:
+ * - itemType: Kind of item the time was spent on (Enum: task, subtask)
+ * - item: Reference to the task or subtask (ObjectId)
+ * - task: The task itself, or the parent task for subtask entries (ObjectId)
+ * - project: Project the item belongs to (ObjectId)
+ * - user: User who logged the time, null for unattributed time (ObjectId)
+ * - minutes: Duration in minutes (Number, 0 while a timer is running)
+ * - date: Day the work was done, stored as midnight UTC of that day (Date)
+ * - note: Optional description of the work (String)
+ * - running: Whether this entry is an active timer (Boolean)
+ * - startedAt: When the timer was started (Date)
+ * - createdAt / updatedAt: Timestamps (Date)
+ */
+const timeEntrySchema = new Schema({
+    itemType: {
+        type: String,
+        enum: ['task', 'subtask'],
+        required: true
+    },
+    item: {
+        type: Schema.Types.ObjectId,
+        required: true
+    },
+    task: {
+        type: Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+    project: {
+        type: Schema.Types.ObjectId,
+        ref: 'projects'
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        default: null
+    },
+    minutes: {
+        type: Number,
+        default: 0,
+        min: [0, 'Time taken must be a positive number']
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters'],
+        default: ''
+    },
+    running: {
+        type: Boolean,
+        default: false
+    },
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+timeEntrySchema.index({ itemType: 1, item: 1, date: 1 });
+timeEntrySchema.index({ task: 1 });
+timeEntrySchema.index({ user: 1, date: 1 });
+timeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { running: true } });
+
+timeEntrySchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+const TimeEntry = mongoose.models.TimeEntry || mongoose.model('TimeEntry', timeEntrySchema);
+
+export default TimeEntry;
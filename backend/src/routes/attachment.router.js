@@ -0,0 +1,21 @@
+import express from 'express';
+const router = express.Router();
+import attachmentController from '../controllers/attachment.controller.js';
+import { requireAuth } from '../middleware/auth.middleware.js';
+import { uploadAttachments } from '../middleware/upload.middleware.js';
+
+// Task attachments (comment attachments are listed with their task)
+router.get('/tasks/:taskId/attachments', requireAuth, attachmentController.getTaskAttachments);
+router.post('/tasks/:taskId/attachments', requireAuth, uploadAttachments, attachmentController.uploadTaskAttachments);
+router.post('/tasks/:taskId/comments/:commentId/attachments', requireAuth, uploadAttachments, attachmentController.uploadTaskAttachments);
+
+// Subtask attachments
+router.get('/subtasks/:subtaskId/attachments', requireAuth, attachmentController.getSubtaskAttachments);
+router.post('/subtasks/:subtaskId/attachments', requireAuth, uploadAttachments, attachmentController.uploadSubtaskAttachments);
+router.post('/subtasks/:subtaskId/comments/:commentId/attachments', requireAuth, uploadAttachments, attachmentController.uploadSubtaskAttachments);
+
+// Download or delete a single attachment
+router.get('/attachments/:attachmentId/download', requireAuth, attachmentController.downloadAttachment);
+router.delete('/attachments/:attachmentId', requireAuth, attachmentController.deleteAttachment);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+const router = express.Router();
+import checklistController from '../controllers/checklist.controller.js';
+import { requireAuth } from '../middleware/auth.middleware.js';
+
+// Task checklists
+router.get('/tasks/:taskId/checklist', requireAuth, checklistController.getTaskChecklist);
+router.post('/tasks/:taskId/checklist', requireAuth, checklistController.addTaskChecklistItem);
+router.put('/tasks/:taskId/checklist/order', requireAuth, checklistController.reorderTaskChecklist);
+router.patch('/tasks/:taskId/checklist/:checklistItemId', requireAuth, checklistController.updateTaskChecklistItem);
+router.delete('/tasks/:taskId/checklist/:checklistItemId', requireAuth, checklistController.removeTaskChecklistItem);
+
+// Subtask checklists
+router.get('/subtasks/:subtaskId/checklist', requireAuth, checklistController.getSubtaskChecklist);
+router.post('/subtasks/:subtaskId/checklist', requireAuth, checklistController.addSubtaskChecklistItem);
+router.put('/subtasks/:subtaskId/checklist/order', requireAuth, checklistController.reorderSubtaskChecklist);
+router.patch('/subtasks/:subtaskId/checklist/:checklistItemId', requireAuth, checklistController.updateSubtaskChecklistItem);
+router.delete('/subtasks/:subtaskId/checklist/:checklistItemId', requireAuth, checklistController.removeSubtaskChecklistItem);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+const router = express.Router();
+import dependencyController from '../controllers/dependency.controller.js';
+import { requireAuth } from '../middleware/auth.middleware.js';
+
+// Task "blocked by" links
+router.get('/tasks/:taskId/dependencies', requireAuth, dependencyController.getTaskDependencies);
+router.post('/tasks/:taskId/dependencies', requireAuth, dependencyController.addTaskDependency);
+router.delete('/tasks/:taskId/dependencies/:dependencyId', requireAuth, dependencyController.removeTaskDependency);
+
+// Subtask "blocked by" links
+router.get('/subtasks/:subtaskId/dependencies', requireAuth, dependencyController.getSubtaskDependencies);
+router.post('/subtasks/:subtaskId/dependencies', requireAuth, dependencyController.addSubtaskDependency);
+router.delete('/subtasks/:subtaskId/dependencies/:dependencyId', requireAuth, dependencyController.removeSubtaskDependency);
+
+// All links in a project (schedule timeline arrows)
+router.get('/projects/:projectId/dependencies', requireAuth, dependencyController.getProjectDependencies);
+
+export default router;
@@ -3,7 +3,9 @@ import {
   getNotifications,
   markNotificationRead,
   markAllNotificationsRead,
-  deleteNotification
+  deleteNotification,
+  getNotificationPreferences,
+  updateNotificationPreferences
 } from '../controllers/notification.controller.js';
 import { requireAuth } from '../middleware/auth.middleware.js';
 
@@ -12,6 +14,10 @@ const router = express.Router();
 // Get all notifications for the logged-in user
 router.get('/notifications', requireAuth, getNotifications);
 
+// Channels the logged-in user gets each kind of notification on
+router.get('/notifications/preferences', requireAuth, getNotificationPreferences);
+router.put('/notifications/preferences', requireAuth, updateNotificationPreferences);
+
 // Mark a notification as read
 router.patch('/notifications/:id/read', requireAuth, markNotificationRead);
 
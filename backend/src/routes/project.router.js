@@ -14,5 +14,6 @@ router.get('/projects/all', requireAuth, requireRole(['admin']), projectControll
 router.get('/projects/:projectId', requireAuth, projectController.getProjectById);
 router.put('/projects/:projectId', requireAuth, projectController.updateProject);
 router.delete('/projects/:projectId', requireAuth, projectController.deleteProject);
+router.post('/projects/:projectId/duplicate', requireAuth, projectController.duplicateProject);
 
 export default router;
\ No newline at end of file
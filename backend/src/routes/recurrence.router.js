@@ -0,0 +1,9 @@
+import express from 'express';
+const router = express.Router();
+import recurrenceController from '../controllers/recurrence.controller.js';
+import { requireAuth } from '../middleware/auth.middleware.js';
+
+// Next due dates for a recurrence rule (form preview)
+router.post('/recurrence/preview', requireAuth, recurrenceController.previewRecurrence);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+const router = express.Router();
+import schedulerController from '../controllers/scheduler.controller.js';
+import { requireAuth, requireRole } from '../middleware/auth.middleware.js';
+
+// Background jobs (admins only)
+router.get('/admin/jobs', requireAuth, requireRole(['admin']), schedulerController.getJobs);
+router.get('/admin/jobs/:name/runs', requireAuth, requireRole(['admin']), schedulerController.getJobRuns);
+router.post('/admin/jobs/:name/run', requireAuth, requireRole(['admin']), schedulerController.runJob);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+const router = express.Router();
+import searchController from '../controllers/search.controller.js';
+import { requireAuth } from '../middleware/auth.middleware.js';
+
+// Global search across projects, tasks, subtasks and comments
+router.get('/search', requireAuth, searchController.search);
+
+export default router;
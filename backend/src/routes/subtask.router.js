@@ -11,14 +11,25 @@ router.use(requireAuth);
 router.patch('/subtasks/:subtaskId/time-taken', subtaskController.updateSubtaskTimeTaken);
 router.get('/subtasks/:subtaskId/total-time', subtaskController.getSubtaskTotalTime);
 
+// Field change history (MUST come before generic :subtaskId routes)
+router.get('/subtasks/:subtaskId/history', subtaskController.getSubtaskHistory);
+
 // Archive/Unarchive endpoints (MUST come before generic :subtaskId routes)
 router.put('/subtasks/:subtaskId/archive', subtaskController.archiveSubtask);
 router.put('/subtasks/:subtaskId/unarchive', subtaskController.unarchiveSubtask);
 
+// Promote to a task (MUST come before generic :subtaskId routes)
+router.post('/subtasks/:subtaskId/convert-to-task', subtaskController.convertToTask);
+
 // Comment endpoints (MUST come before generic :subtaskId routes)
 router.post('/subtasks/:subtaskId/comments', subtaskController.addComment);
 router.put('/subtasks/:subtaskId/comments/:commentId', subtaskController.editComment);
 router.delete('/subtasks/:subtaskId/comments/:commentId', subtaskController.deleteComment);
+router.post('/subtasks/:subtaskId/comments/:commentId/reactions', subtaskController.toggleCommentReaction);
+router.get('/subtasks/:subtaskId/comments/:commentId/history', subtaskController.getCommentHistory);
+
+// Subtask counts per parent task for Kanban cards (MUST come before generic :subtaskId routes)
+router.get('/subtasks/counts', subtaskController.getSubtaskCounts);
 
 // Create a new subtask
 router.post('/subtasks', subtaskController.createSubtask);
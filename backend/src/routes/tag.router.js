@@ -0,0 +1,12 @@
+import express from 'express';
+const router = express.Router();
+import tagController from '../controllers/tag.controller.js';
+import { requireAuth } from '../middleware/auth.middleware.js';
+
+// Tag registry
+router.get('/tags', requireAuth, tagController.getTags);
+router.post('/tags', requireAuth, tagController.createTag);
+router.put('/tags/:tagId', requireAuth, tagController.updateTag);
+router.delete('/tags/:tagId', requireAuth, tagController.deleteTag);
+
+export default router;
@@ -6,16 +6,27 @@ import { requireAuth, requireRole } from '../middleware/auth.middleware.js';
 router.post('/tasks', requireAuth, taskController.createTask);
 router.get('/tasks', requireAuth, taskController.getTasks);
 
+// Bulk operations: one action applied to many tasks
+router.post('/tasks/bulk', requireAuth, taskController.bulkUpdateTasks);
+
 // Manual Time Logging endpoints (MUST come before generic :taskId route)
 router.patch('/tasks/:taskId/time-taken', requireAuth, taskController.updateTaskTimeTaken);
 router.get('/tasks/:taskId/total-time', requireAuth, taskController.getTaskTotalTime);
 
+// AUDIT-TRAIL: Field change history (MUST come before generic :taskId route)
+router.get('/tasks/:taskId/history', requireAuth, taskController.getTaskHistory);
+
 // Specific action routes (MUST come before generic :taskId route)
 router.patch('/tasks/:taskId/archive', requireAuth, taskController.archiveTask);
 router.patch('/tasks/:taskId/unarchive', requireAuth, taskController.unarchiveTask);
+router.post('/tasks/:taskId/duplicate', requireAuth, taskController.duplicateTask);
+router.post('/tasks/:taskId/move', requireAuth, taskController.moveTask);
+router.post('/tasks/:taskId/convert-to-subtask', requireAuth, taskController.convertToSubtask);
 router.post('/tasks/:taskId/comments', requireAuth, taskController.addComment);
 router.put('/tasks/:taskId/comments/:commentId', requireAuth, taskController.editComment);
 router.delete('/tasks/:taskId/comments/:commentId', requireAuth, taskController.deleteComment);
+router.post('/tasks/:taskId/comments/:commentId/reactions', requireAuth, taskController.toggleCommentReaction);
+router.get('/tasks/:taskId/comments/:commentId/history', requireAuth, taskController.getCommentHistory);
 
 // Generic routes (MUST come after specific routes)
 router.put('/tasks/:taskId', requireAuth, taskController.updateTask);
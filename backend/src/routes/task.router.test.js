@@ -212,7 +212,7 @@ describe('Task Router Test', () => {
             const taskData = {
                 title: 'Task with tags',
                 project: testProject._id,
-                tags: 'bug#urgent#frontend'
+                tags: ['bug', 'urgent', 'frontend']
             };
 
             const response = await request(app)
@@ -220,7 +220,7 @@ describe('Task Router Test', () => {
                 .send(taskData)
                 .expect(201);
 
-            expect(response.body.data.tags).toBe('bug#urgent#frontend');
+            expect(response.body.data.tags).toEqual(['bug', 'urgent', 'frontend']);
         });
 
         it('should return 400 for past due date', async () => {
@@ -430,7 +430,7 @@ describe('Task Router Test', () => {
 
         it('should update tags successfully', async () => {
             const updateData = {
-                tags: 'updated#urgent#backend'
+                tags: ['updated', 'urgent', 'backend']
             };
 
             const response = await request(app)
@@ -438,7 +438,7 @@ describe('Task Router Test', () => {
                 .send(updateData)
                 .expect(200);
 
-            expect(response.body.data.tags).toBe('updated#urgent#backend');
+            expect(response.body.data.tags).toEqual(['updated', 'urgent', 'backend']);
         });
 
         it('should return 400 when trying to change project', async () => {
@@ -1141,7 +1141,7 @@ describe('Task Router Test', () => {
                         project: engineeringProject._id,
                         status: 'In Progress',
                         priority: 8,
-                        tags: 'urgent#backend'
+                        tags: ['urgent', 'backend']
                     });
 
                     currentUser = staff123;
@@ -0,0 +1,13 @@
+import express from 'express';
+const router = express.Router();
+import templateController from '../controllers/template.controller.js';
+import { requireAuth } from '../middleware/auth.middleware.js';
+
+// Task templates
+router.get('/templates', requireAuth, templateController.getTemplates);
+router.post('/templates', requireAuth, templateController.createTemplate);
+router.get('/templates/:templateId', requireAuth, templateController.getTemplate);
+router.delete('/templates/:templateId', requireAuth, templateController.deleteTemplate);
+router.post('/templates/:templateId/instantiate', requireAuth, templateController.instantiateTemplate);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+const router = express.Router();
+import timeEntryController from '../controllers/time-entry.controller.js';
+import { requireAuth } from '../middleware/auth.middleware.js';
+
+// Current user's timer (must come before /time-entries/:entryId)
+router.get('/time-entries/timer', requireAuth, timeEntryController.getRunningTimer);
+router.post('/time-entries/timer/stop', requireAuth, timeEntryController.stopTimer);
+
+// Own entries
+router.put('/time-entries/:entryId', requireAuth, timeEntryController.updateEntry);
+router.delete('/time-entries/:entryId', requireAuth, timeEntryController.deleteEntry);
+
+// Task entries and timers
+router.get('/tasks/:taskId/time-entries', requireAuth, timeEntryController.getTaskEntries);
+router.post('/tasks/:taskId/time-entries', requireAuth, timeEntryController.addTaskEntry);
+router.post('/tasks/:taskId/timer/start', requireAuth, timeEntryController.startTaskTimer);
+
+// Subtask entries and timers
+router.get('/subtasks/:subtaskId/time-entries', requireAuth, timeEntryController.getSubtaskEntries);
+router.post('/subtasks/:subtaskId/time-entries', requireAuth, timeEntryController.addSubtaskEntry);
+router.post('/subtasks/:subtaskId/timer/start', requireAuth, timeEntryController.startSubtaskTimer);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+const router = express.Router();
+import timesheetController from '../controllers/timesheet.controller.js';
+import { requireAuth, requireRole } from '../middleware/auth.middleware.js';
+
+// Own weekly timesheet
+router.get('/timesheets/me', requireAuth, timesheetController.getMyTimesheet);
+
+// Everyone in the manager's department (admins may pass ?department=)
+router.get('/timesheets/department',
+    requireAuth,
+    requireRole(['manager', 'admin']),
+    timesheetController.getDepartmentTimesheet
+);
+
+// A single user's timesheet (self, same-department manager or admin)
+router.get('/timesheets/users/:userId', requireAuth, timesheetController.getUserTimesheet);
+
+export default router;
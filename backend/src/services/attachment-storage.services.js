@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Storage drivers for attachment contents
+ *
+ * Every driver exposes the same interface so the attachment service does not
+ * care where files live:
+ * - save(key, buffer, { contentType }) -> Promise<void>
+ * - read(key) -> Promise<Readable>
+ * - remove(key) -> Promise<void> (missing keys are ignored)
+ *
+ * ATTACHMENT_STORAGE selects the driver: "local" (default) or "s3".
+ */
+
+class LocalAttachmentStorage {
+    constructor(rootDir) {
+        this.name = 'local';
+        this.rootDir = path.resolve(rootDir);
+    }
+
+    // Resolve a key inside the root directory, refusing keys that escape it
+    resolve(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        if (!filePath.startsWith(this.rootDir + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+        return filePath;
+    }
+
+    async save(key, buffer) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+    }
+
+    async read(key) {
+        const filePath = this.resolve(key);
+        await fs.promises.access(filePath).catch(() => {
+            throw new Error('Attachment file not found');
+        });
+        return fs.createReadStream(filePath);
+    }
+
+    async remove(key) {
+        await fs.promises.rm(this.resolve(key), { force: true });
+    }
+}
+
+class S3AttachmentStorage {
+    constructor({ bucket, region, endpoint }) {
+        if (!bucket) {
+            throw new Error('ATTACHMENT_S3_BUCKET must be set to store attachments in S3');
+        }
+        this.name = 's3';
+        this.bucket = bucket;
+        this.region = region;
+        this.endpoint = endpoint;
+        this.sdk = null;
+        this.client = null;
+    }
+
+    // The AWS SDK is only loaded when the S3 driver is actually used
+    async getClient() {
+        if (!this.client) {
+            this.sdk = await import('@aws-sdk/client-s3');
+            this.client = new this.sdk.S3Client({
+                region: this.region,
+                // S3-compatible stores (MinIO, R2, ...) need path-style URLs
+                ...(this.endpoint ? { endpoint: this.endpoint, forcePathStyle: true } : {})
+            });
+        }
+        return this.client;
+    }
+
+    async save(key, buffer, { contentType } = {}) {
+        const client = await this.getClient();
+        await client.send(new this.sdk.PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: buffer,
+            ContentType: contentType
+        }));
+    }
+
+    async read(key) {
+        const client = await this.getClient();
+        try {
+            const result = await client.send(new this.sdk.GetObjectCommand({ Bucket: this.bucket, Key: key }));
+            return result.Body;
+        } catch (error) {
+            if (error.name === 'NoSuchKey') {
+                throw new Error('Attachment file not found');
+            }
+            throw error;
+        }
+    }
+
+    async remove(key) {
+        const client = await this.getClient();
+        await client.send(new this.sdk.DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    }
+}
+
+/**
+ * Build the driver named by ATTACHMENT_STORAGE from the environment
+ */
+function createAttachmentStorage(env = process.env) {
+    const driver = (env.ATTACHMENT_STORAGE || 'local').toLowerCase();
+
+    if (driver === 'local') {
+        return new LocalAttachmentStorage(env.ATTACHMENT_DIR || path.join(__dirname, '../../uploads'));
+    }
+    if (driver === 's3') {
+        return new S3AttachmentStorage({
+            bucket: env.ATTACHMENT_S3_BUCKET,
+            region: env.ATTACHMENT_S3_REGION || env.AWS_REGION,
+            endpoint: env.ATTACHMENT_S3_ENDPOINT
+        });
+    }
+    throw new Error(`Unknown attachment storage driver: ${driver}`);
+}
+
+// Lazy driver creation - only create when needed (after env vars are set)
+let storage = null;
+
+function getAttachmentStorage() {
+    if (!storage) {
+        storage = createAttachmentStorage();
+    }
+    return storage;
+}
+
+export { LocalAttachmentStorage, S3AttachmentStorage, createAttachmentStorage, getAttachmentStorage };
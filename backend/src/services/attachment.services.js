@@ -0,0 +1,259 @@
+import mongoose from 'mongoose';
+import { randomUUID } from 'crypto';
+import path from 'path';
+import Attachment from '../models/attachment.model.js';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import taskService from './task.services.js';
+import { getAttachmentStorage } from './attachment-storage.services.js';
+import { validateAttachment, sanitizeFilename, MAX_ATTACHMENTS_PER_UPLOAD } from '../utils/attachment.utils.js';
+
+const ITEM_TYPES = ['task', 'subtask'];
+
+class AttachmentService {
+    /**
+     * Load a task or subtask, throwing a not-found error named after its type
+     */
+    async findItem(itemType, itemId) {
+        if (!ITEM_TYPES.includes(itemType)) {
+            throw new Error('Item type must be task or subtask');
+        }
+
+        const label = itemType === 'task' ? 'Task' : 'Subtask';
+        if (!mongoose.Types.ObjectId.isValid(itemId)) {
+            throw new Error(`${label} not found`);
+        }
+
+        const Model = itemType === 'task' ? Task : Subtask;
+        const item = await Model.findById(itemId);
+        if (!item) {
+            throw new Error(`${label} not found`);
+        }
+        return item;
+    }
+
+    /**
+     * Normalized view of an item's project, owner and assignees across tasks and subtasks
+     */
+    describeItem(itemType, item) {
+        if (itemType === 'task') {
+            return {
+                projectId: item.project,
+                ownerId: item.owner,
+                assigneeIds: item.assignee || []
+            };
+        }
+        return {
+            projectId: item.projectId,
+            ownerId: item.ownerId,
+            assigneeIds: item.assigneeId || []
+        };
+    }
+
+    /**
+     * Admins, the item's owner/assignees and anyone with access to its project
+     * can see, upload and download its attachments
+     */
+    async checkAccess(itemType, item, actingUser) {
+        const roles = actingUser.roles || [];
+        if (roles.includes('admin')) {
+            return;
+        }
+
+        const { projectId, ownerId, assigneeIds } = this.describeItem(itemType, item);
+        const userIdStr = String(actingUser._id);
+        const isOwner = ownerId && ownerId.toString() === userIdStr;
+        const isAssignee = assigneeIds.some(id => id.toString() === userIdStr);
+
+        if (isOwner || isAssignee) {
+            return;
+        }
+
+        const hasProjectAccess = await taskService.userHasAccessToTaskProject(actingUser._id, projectId);
+        if (!hasProjectAccess) {
+            throw new Error(`You do not have permission to access attachments of this ${itemType}`);
+        }
+    }
+
+    /**
+     * Throw unless the comment exists on the item
+     */
+    findComment(item, commentId) {
+        const comment = (item.comments || []).find(c => String(c._id) === String(commentId));
+        if (!comment) {
+            throw new Error('Comment not found');
+        }
+        return comment;
+    }
+
+    /**
+     * Store uploaded files and record them against the item (and optionally one of its comments).
+     * Files are validated before anything is written; if storing one fails, the
+     * files already stored for this upload are removed again.
+     */
+    async uploadAttachments({ itemType, itemId, commentId = null, files, actingUser }) {
+        const item = await this.findItem(itemType, itemId);
+        await this.checkAccess(itemType, item, actingUser);
+        if (commentId) {
+            this.findComment(item, commentId);
+        }
+
+        if (!files || files.length === 0) {
+            throw new Error('At least one file is required');
+        }
+        if (files.length > MAX_ATTACHMENTS_PER_UPLOAD) {
+            throw new Error(`Invalid upload: at most ${MAX_ATTACHMENTS_PER_UPLOAD} files can be uploaded at once`);
+        }
+        files.forEach(validateAttachment);
+
+        const storage = getAttachmentStorage();
+        const { projectId } = this.describeItem(itemType, item);
+        const stored = [];
+
+        try {
+            for (const file of files) {
+                const originalName = sanitizeFilename(file.originalname);
+                const storageKey = `${projectId}/${itemType}-${item._id}/${randomUUID()}${path.extname(originalName).toLowerCase()}`;
+                await storage.save(storageKey, file.buffer, { contentType: file.mimetype });
+                stored.push({
+                    itemType,
+                    item: item._id,
+                    comment: commentId || null,
+                    project: projectId,
+                    originalName,
+                    mimeType: file.mimetype,
+                    size: file.size,
+                    storage: storage.name,
+                    storageKey,
+                    uploadedBy: actingUser._id
+                });
+            }
+
+            const attachments = await Attachment.insertMany(stored);
+            // Storage keys stay server-side, as in getAttachments
+            return await this.withUploaders(attachments.map(a => {
+                const attachment = a.toObject();
+                delete attachment.storageKey;
+                return attachment;
+            }));
+        } catch (error) {
+            await Promise.all(stored.map(entry => storage.remove(entry.storageKey).catch(() => {})));
+            throw error;
+        }
+    }
+
+    /**
+     * Add the uploader's username to each attachment
+     */
+    async withUploaders(attachments) {
+        const userIds = [...new Set(attachments.map(a => String(a.uploadedBy)))];
+        const users = await User.find({ _id: { $in: userIds } }).select('username').lean();
+        const usernames = new Map(users.map(u => [String(u._id), u.username]));
+
+        return attachments.map(a => ({
+            ...a,
+            uploadedBy: { _id: a.uploadedBy, username: usernames.get(String(a.uploadedBy)) || null }
+        }));
+    }
+
+    /**
+     * List an item's attachments, oldest first. Comment attachments are included
+     * with their comment id so callers can show them under the comment.
+     */
+    async getAttachments(itemType, itemId, actingUser) {
+        const item = await this.findItem(itemType, itemId);
+        await this.checkAccess(itemType, item, actingUser);
+
+        const attachments = await Attachment.find({ itemType, item: item._id })
+            .sort({ createdAt: 1 })
+            .select('-storageKey')
+            .lean();
+        return await this.withUploaders(attachments);
+    }
+
+    /**
+     * Load an attachment the user may access, along with its item
+     */
+    async findAttachment(attachmentId, actingUser) {
+        if (!mongoose.Types.ObjectId.isValid(attachmentId)) {
+            throw new Error('Attachment not found');
+        }
+
+        const attachment = await Attachment.findById(attachmentId);
+        if (!attachment) {
+            throw new Error('Attachment not found');
+        }
+
+        const item = await this.findItem(attachment.itemType, attachment.item);
+        await this.checkAccess(attachment.itemType, item, actingUser);
+        return { attachment, item };
+    }
+
+    /**
+     * Storage driver holding an attachment's contents
+     */
+    storageFor(attachment) {
+        const storage = getAttachmentStorage();
+        if (storage.name !== attachment.storage) {
+            throw new Error(`Attachment is kept in ${attachment.storage} storage, which is not configured`);
+        }
+        return storage;
+    }
+
+    /**
+     * Attachment metadata plus a readable stream of its contents
+     */
+    async getDownload(attachmentId, actingUser) {
+        const { attachment } = await this.findAttachment(attachmentId, actingUser);
+        const stream = await this.storageFor(attachment).read(attachment.storageKey);
+        return { attachment, stream };
+    }
+
+    /**
+     * Delete an attachment. Allowed for the uploader, admins and the item's owner.
+     */
+    async deleteAttachment(attachmentId, actingUser) {
+        const { attachment, item } = await this.findAttachment(attachmentId, actingUser);
+
+        const userIdStr = String(actingUser._id);
+        const { ownerId } = this.describeItem(attachment.itemType, item);
+        const isAdmin = (actingUser.roles || []).includes('admin');
+        const isUploader = attachment.uploadedBy.toString() === userIdStr;
+        const isOwner = ownerId && ownerId.toString() === userIdStr;
+
+        if (!isAdmin && !isUploader && !isOwner) {
+            throw new Error('You do not have permission to delete this attachment');
+        }
+
+        await this.storageFor(attachment).remove(attachment.storageKey);
+        await attachment.deleteOne();
+        return attachment;
+    }
+
+    /**
+     * Remove stored files and records matching a filter (item or comment clean-up)
+     */
+    async removeAttachments(filter) {
+        const attachments = await Attachment.find(filter).lean();
+        if (attachments.length === 0) {
+            return 0;
+        }
+
+        const storage = getAttachmentStorage();
+        await Promise.all(attachments
+            .filter(a => a.storage === storage.name)
+            .map(a => storage.remove(a.storageKey).catch(() => {})));
+        await Attachment.deleteMany({ _id: { $in: attachments.map(a => a._id) } });
+        return attachments.length;
+    }
+
+    /**
+     * Remove the attachments of deleted comments
+     */
+    async removeCommentAttachments(itemType, itemId, commentIds) {
+        return await this.removeAttachments({ itemType, item: itemId, comment: { $in: commentIds } });
+    }
+}
+
+export default new AttachmentService();
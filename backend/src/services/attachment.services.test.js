@@ -0,0 +1,234 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import mongoose from 'mongoose';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import Attachment from '../models/attachment.model.js';
+import attachmentService from './attachment.services.js';
+import { LocalAttachmentStorage } from './attachment-storage.services.js';
+
+describe('Attachment Service', () => {
+    let testManager, testStaff, testMember, testOutsider, testProject, task, subtask, uploadDir;
+
+    const pdf = (name = 'spec.pdf', content = 'pdf contents') => ({
+        originalname: name,
+        mimetype: 'application/pdf',
+        size: Buffer.byteLength(content),
+        buffer: Buffer.from(content)
+    });
+
+    const storedPath = async (attachmentId) => {
+        const attachment = await Attachment.findById(attachmentId).lean();
+        return path.join(uploadDir, attachment.storageKey);
+    };
+
+    const readAll = async (stream) => {
+        const chunks = [];
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks).toString();
+    };
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+        process.env.ATTACHMENT_STORAGE = 'local';
+        process.env.ATTACHMENT_DIR = uploadDir;
+
+        testManager = await User.create({
+            username: 'att.manager@example.com',
+            roles: ['manager'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testStaff = await User.create({
+            username: 'att.staff@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testMember = await User.create({
+            username: 'att.member@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testOutsider = await User.create({
+            username: 'att.outsider@example.com',
+            roles: ['staff'],
+            department: 'sales',
+            hashed_password: 'password123'
+        });
+
+        testProject = await Project.create({
+            name: 'Attachment Project',
+            owner: testManager._id,
+            members: [testStaff._id, testMember._id]
+        });
+
+        task = await Task.create({
+            title: 'Write spec',
+            owner: testManager._id,
+            project: testProject._id,
+            assignee: [testStaff._id],
+            comments: [{ text: 'See attached', author: testStaff._id, authorName: testStaff.username }]
+        });
+
+        subtask = await Subtask.create({
+            title: 'Draw mockups',
+            parentTaskId: task._id,
+            projectId: testProject._id,
+            ownerId: testStaff._id,
+            dueDate: new Date()
+        });
+    });
+
+    afterEach(async () => {
+        await Attachment.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await Task.deleteMany({});
+        await Subtask.deleteMany({});
+        await User.deleteMany({});
+        await Project.deleteMany({});
+        fs.rmSync(uploadDir, { recursive: true, force: true });
+    });
+
+    describe('uploadAttachments', () => {
+        it('should store the file and list it on the task', async () => {
+            const [saved] = await attachmentService.uploadAttachments({
+                itemType: 'task', itemId: task._id, files: [pdf()], actingUser: testStaff
+            });
+
+            expect(saved.originalName).toBe('spec.pdf');
+            expect(saved.storage).toBe('local');
+            expect(saved.uploadedBy.username).toBe('att.staff@example.com');
+            expect(saved.storageKey).toBeUndefined();
+            expect(fs.existsSync(await storedPath(saved._id))).toBe(true);
+
+            const listed = await attachmentService.getAttachments('task', task._id, testMember);
+            expect(listed).toHaveLength(1);
+            expect(listed[0].storageKey).toBeUndefined();
+        });
+
+        it('should attach files to a comment', async () => {
+            const commentId = task.comments[0]._id;
+            const [saved] = await attachmentService.uploadAttachments({
+                itemType: 'task', itemId: task._id, commentId, files: [pdf()], actingUser: testStaff
+            });
+
+            expect(String(saved.comment)).toBe(String(commentId));
+        });
+
+        it('should reject unknown comments', async () => {
+            await expect(attachmentService.uploadAttachments({
+                itemType: 'task', itemId: task._id, commentId: new mongoose.Types.ObjectId(), files: [pdf()], actingUser: testStaff
+            })).rejects.toThrow('Comment not found');
+        });
+
+        it('should reject disallowed types without storing anything', async () => {
+            const exe = { originalname: 'run.exe', mimetype: 'application/octet-stream', size: 4, buffer: Buffer.from('exe!') };
+
+            await expect(attachmentService.uploadAttachments({
+                itemType: 'task', itemId: task._id, files: [pdf(), exe], actingUser: testStaff
+            })).rejects.toThrow('Invalid file type for run.exe');
+
+            expect(await Attachment.countDocuments()).toBe(0);
+        });
+
+        it('should refuse users without access to the project', async () => {
+            await expect(attachmentService.uploadAttachments({
+                itemType: 'subtask', itemId: subtask._id, files: [pdf()], actingUser: testOutsider
+            })).rejects.toThrow('You do not have permission to access attachments of this subtask');
+        });
+    });
+
+    describe('getDownload', () => {
+        it('should return the stored contents', async () => {
+            const [saved] = await attachmentService.uploadAttachments({
+                itemType: 'subtask', itemId: subtask._id, files: [pdf('mockups.pdf', 'mockups')], actingUser: testStaff
+            });
+
+            const { attachment, stream } = await attachmentService.getDownload(saved._id, testManager);
+
+            expect(attachment.originalName).toBe('mockups.pdf');
+            expect(await readAll(stream)).toBe('mockups');
+        });
+
+        it('should refuse users without access to the project', async () => {
+            const [saved] = await attachmentService.uploadAttachments({
+                itemType: 'task', itemId: task._id, files: [pdf()], actingUser: testStaff
+            });
+
+            await expect(attachmentService.getDownload(saved._id, testOutsider))
+                .rejects.toThrow('You do not have permission');
+        });
+    });
+
+    describe('deleteAttachment', () => {
+        it('should let the uploader delete the file', async () => {
+            const [saved] = await attachmentService.uploadAttachments({
+                itemType: 'task', itemId: task._id, files: [pdf()], actingUser: testMember
+            });
+
+            const filePath = await storedPath(saved._id);
+
+            await attachmentService.deleteAttachment(saved._id, testMember);
+
+            expect(await Attachment.findById(saved._id)).toBeNull();
+            expect(fs.existsSync(filePath)).toBe(false);
+        });
+
+        it('should let the task owner delete any file', async () => {
+            const [saved] = await attachmentService.uploadAttachments({
+                itemType: 'task', itemId: task._id, files: [pdf()], actingUser: testMember
+            });
+
+            await attachmentService.deleteAttachment(saved._id, testManager);
+
+            expect(await Attachment.findById(saved._id)).toBeNull();
+        });
+
+        it('should refuse other project members', async () => {
+            const [saved] = await attachmentService.uploadAttachments({
+                itemType: 'task', itemId: task._id, files: [pdf()], actingUser: testStaff
+            });
+
+            await expect(attachmentService.deleteAttachment(saved._id, testMember))
+                .rejects.toThrow('You do not have permission to delete this attachment');
+        });
+    });
+
+    describe('removeCommentAttachments', () => {
+        it('should remove the records and stored files of deleted comments', async () => {
+            const commentId = task.comments[0]._id;
+            const [saved] = await attachmentService.uploadAttachments({
+                itemType: 'task', itemId: task._id, commentId, files: [pdf()], actingUser: testStaff
+            });
+
+            const filePath = await storedPath(saved._id);
+
+            const removed = await attachmentService.removeCommentAttachments('task', task._id, [commentId]);
+
+            expect(removed).toBe(1);
+            expect(fs.existsSync(filePath)).toBe(false);
+        });
+    });
+
+    describe('LocalAttachmentStorage', () => {
+        it('should refuse keys outside its directory', async () => {
+            const storage = new LocalAttachmentStorage(uploadDir);
+
+            await expect(storage.save('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+        });
+    });
+});
@@ -0,0 +1,261 @@
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import User from '../models/user.model.js';
+import taskService from './task.services.js';
+import dependencyService from './dependency.services.js';
+import notificationService from './notification.services.js';
+import { BULK_ACTIONS, MAX_BULK_TASKS, normalizeTaskIds, describeBulkAction } from '../utils/bulk.utils.js';
+import { normalizeTagName, addTagToList } from '../utils/tag.utils.js';
+import { getItemStatusCategory } from '../utils/workflow.utils.js';
+
+// Task titles listed in one batched notification before "and N more"
+const MAX_TITLES_IN_MESSAGE = 3;
+
+const toIdString = (value) => String(value?._id || value);
+
+const listTitles = (items) => {
+    const titles = items.slice(0, MAX_TITLES_IN_MESSAGE).map(item => `"${item.title}"`).join(', ');
+    const remaining = items.length - MAX_TITLES_IN_MESSAGE;
+    return remaining > 0 ? `${titles} and ${remaining} more` : titles;
+};
+
+class BulkService {
+    /**
+     * Check a bulk request before touching any task
+     * @returns {{ ids: String[], value: * }} Unique task ids and the normalized value
+     */
+    validateRequest({ taskIds, action, value }) {
+        const ids = normalizeTaskIds(taskIds);
+        if (ids.length === 0) {
+            throw new Error('At least one task ID is required');
+        }
+        if (ids.length > MAX_BULK_TASKS) {
+            throw new Error(`At most ${MAX_BULK_TASKS} tasks can be updated at once`);
+        }
+
+        const definition = BULK_ACTIONS[action];
+        if (!definition) {
+            throw new Error(`Invalid bulk action. Use one of: ${Object.keys(BULK_ACTIONS).join(', ')}`);
+        }
+        if (!definition.needsValue) {
+            return { ids, value: undefined };
+        }
+
+        // Each project has its own statuses, so updateTask checks the status per task
+        if (action === 'status') {
+            if (typeof value !== 'string' || !value.trim()) {
+                throw new Error('Invalid status: a status name is required');
+            }
+            return { ids, value: value.trim() };
+        }
+
+        if (action === 'priority') {
+            const priority = Number(value);
+            if (!Number.isInteger(priority) || priority < 1 || priority > 10) {
+                throw new Error('Priority must be a whole number between 1 and 10');
+            }
+            return { ids, value: priority };
+        }
+
+        const text = typeof value === 'string' ? value.trim() : '';
+        if (action === 'addTag') {
+            const tag = normalizeTagName(text);
+            if (!tag) {
+                throw new Error('Tag is required');
+            }
+            return { ids, value: tag };
+        }
+
+        // addAssignee / removeAssignee take a username, like the single-task endpoints
+        if (!text) {
+            throw new Error('Username is required');
+        }
+        return { ids, value: text };
+    }
+
+    /**
+     * Apply one action to one task through the same service methods (and
+     * permission checks) as the single-task endpoints
+     * @returns {{ task, completed: Boolean }} The updated task and whether this update completed it
+     */
+    async applyToTask(taskId, action, value, actingUser) {
+        if (!mongoose.Types.ObjectId.isValid(taskId)) {
+            throw new Error('Task not found');
+        }
+
+        switch (action) {
+            case 'status': {
+                const original = await Task.findById(taskId).select('status statusCategory');
+                if (!original) {
+                    throw new Error('Task not found');
+                }
+                const task = await taskService.updateTask(taskId, { status: value }, actingUser._id);
+                const completed = getItemStatusCategory(original) !== 'done' && getItemStatusCategory(task) === 'done';
+                if (completed && task.isRecurring) {
+                    await taskService.createRecurringTask(task);
+                }
+                return { task, completed };
+            }
+            case 'priority':
+                return { task: await taskService.updateTask(taskId, { priority: value }, actingUser._id), completed: false };
+            case 'addAssignee':
+                return {
+                    task: await taskService.addAssignee({ taskId, newAssigneeInput: value, actingUser }),
+                    completed: false
+                };
+            case 'removeAssignee':
+                return {
+                    task: await taskService.removeAssignee({ taskId, assigneeToRemoveInput: value, actingUser }),
+                    completed: false
+                };
+            case 'addTag': {
+                const original = await Task.findById(taskId).select('tags');
+                if (!original) {
+                    throw new Error('Task not found');
+                }
+                const tags = addTagToList(original.tags, value);
+                return { task: await taskService.updateTask(taskId, { tags }, actingUser._id), completed: false };
+            }
+            case 'archive':
+                return { task: await taskService.archiveTask(taskId, actingUser._id), completed: false };
+            case 'unarchive':
+                return { task: await taskService.unarchiveTask(taskId, actingUser._id), completed: false };
+            default:
+                throw new Error('Invalid bulk action');
+        }
+    }
+
+    /**
+     * Apply one action to many tasks. Each task is permission-checked and
+     * updated on its own, so one failure does not stop the rest.
+     * Everyone affected gets a single notification covering all of their tasks.
+     * @returns {{ action, results: Array<{ taskId, success, task?, error? }>, succeeded: Number, failed: Number }}
+     */
+    async bulkUpdateTasks({ taskIds, action, value: rawValue }, actingUser, { io, userSockets } = {}) {
+        const { ids, value } = this.validateRequest({ taskIds, action, value: rawValue });
+
+        const results = [];
+        const updatedTasks = [];
+        const completedTaskIds = [];
+
+        // One at a time, so a task's history and notifications stay in order
+        for (const taskId of ids) {
+            try {
+                const { task, completed } = await this.applyToTask(taskId, action, value, actingUser);
+                results.push({ taskId, success: true, task });
+                updatedTasks.push(task);
+                if (completed) {
+                    completedTaskIds.push(task._id);
+                }
+            } catch (error) {
+                results.push({ taskId, success: false, error: error.message });
+            }
+        }
+
+        try {
+            await this.notifyBulkUpdate(updatedTasks, { action, value, actingUser, io, userSockets });
+            await this.notifyUnblocked(completedTaskIds, { actingUser, io, userSockets });
+        } catch (notifyError) {
+            console.error('Failed to send bulk update notifications:', notifyError);
+            // Don't fail the update if notifications fail
+        }
+
+        return {
+            action,
+            results,
+            succeeded: updatedTasks.length,
+            failed: results.length - updatedTasks.length
+        };
+    }
+
+    /**
+     * One 'bulk-update' notification per affected user (owners and assignees of
+     * the updated tasks, plus whoever was unassigned), listing their tasks
+     */
+    async notifyBulkUpdate(tasks, { action, value, actingUser, io, userSockets }) {
+        if (tasks.length === 0) {
+            return;
+        }
+
+        const actorIdStr = toIdString(actingUser._id);
+        const tasksByUser = new Map();
+        const addRecipient = (userId, task) => {
+            const id = toIdString(userId);
+            if (id === actorIdStr) return;
+            if (!tasksByUser.has(id)) tasksByUser.set(id, []);
+            tasksByUser.get(id).push(task);
+        };
+
+        let removedUserId = null;
+        if (action === 'removeAssignee') {
+            const removedUser = await User.findOne({ username: value }).select('_id');
+            removedUserId = removedUser?._id;
+        }
+
+        tasks.forEach(task => {
+            const userIds = new Set([task.owner, ...(task.assignee || [])].filter(Boolean).map(toIdString));
+            if (removedUserId) {
+                userIds.add(toIdString(removedUserId));
+            }
+            userIds.forEach(userId => addRecipient(userId, task));
+        });
+
+        const actorName = actingUser.username || 'Someone';
+        const description = describeBulkAction(action, value);
+
+        await Promise.all([...tasksByUser.entries()].map(async ([userId, userTasks]) => {
+            const message = userTasks.length === 1
+                ? `${actorName} ${description} on "${userTasks[0].title}"`
+                : `${actorName} ${description} on ${userTasks.length} tasks: ${listTitles(userTasks)}`;
+
+            await notificationService.notify('bulk-update', [userId], {
+                message,
+                task: userTasks.length === 1 ? userTasks[0]._id : undefined,
+                assignor: actingUser.username,
+                data: { action, taskIds: userTasks.map(task => task._id) },
+                io,
+                userSockets
+            });
+        }));
+    }
+
+    /**
+     * After completing tasks, tell the assignees of items that are no longer
+     * blocked, one notification per user
+     */
+    async notifyUnblocked(completedTaskIds, { actingUser, io, userSockets }) {
+        const itemsByUser = new Map();
+        const seen = new Set();
+
+        for (const taskId of completedTaskIds) {
+            const unblockedItems = await dependencyService.getNewlyUnblockedItems('task', taskId);
+            for (const { itemType, item, assigneeIds } of unblockedItems) {
+                const key = `${itemType}:${item._id}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                assigneeIds.forEach(assigneeId => {
+                    if (!itemsByUser.has(assigneeId)) itemsByUser.set(assigneeId, []);
+                    itemsByUser.get(assigneeId).push({ itemType, item });
+                });
+            }
+        }
+
+        await Promise.all([...itemsByUser.entries()].map(async ([userId, entries]) => {
+            const [{ itemType, item }] = entries;
+            const message = entries.length === 1
+                ? `${itemType === 'task' ? 'Task' : 'Subtask'} "${item.title}" is no longer blocked: all of its blockers are completed`
+                : `${entries.length} items are no longer blocked: ${listTitles(entries.map(entry => entry.item))}`;
+
+            await notificationService.notify('task-unblocked', [userId], {
+                message,
+                task: entries.length === 1 ? (itemType === 'task' ? item._id : item.parentTaskId) : undefined,
+                assignor: actingUser.username,
+                deadline: entries.length === 1 ? item.dueDate : undefined,
+                io,
+                userSockets
+            });
+        }));
+    }
+}
+
+export default new BulkService();
@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import Dependency from '../models/dependency.model.js';
+import notificationModel from '../models/notification.model.js';
+import bulkService from './bulk.services.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Bulk Service', () => {
+    let testManager, testStaff, testOther, testProject;
+
+    const createTask = (title, overrides = {}) => Task.create({
+        title,
+        owner: testStaff._id,
+        project: testProject._id,
+        assignee: [testStaff._id],
+        dueDate: new Date(Date.now() + 5 * DAY_MS),
+        ...overrides
+    });
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        testManager = await User.create({
+            username: 'bulk.manager@example.com',
+            roles: ['manager'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testStaff = await User.create({
+            username: 'bulk.staff@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testOther = await User.create({
+            username: 'bulk.other@example.com',
+            roles: ['staff'],
+            department: 'sales',
+            hashed_password: 'password123'
+        });
+
+        testProject = await Project.create({
+            name: 'Bulk Project',
+            owner: testManager._id,
+            members: [testStaff._id, testOther._id]
+        });
+    });
+
+    afterEach(async () => {
+        await Task.deleteMany({});
+        await Dependency.deleteMany({});
+        await notificationModel.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await User.deleteMany({});
+        await Project.deleteMany({});
+    });
+
+    describe('validateRequest', () => {
+        it('should reject empty task lists and unknown actions', () => {
+            expect(() => bulkService.validateRequest({ taskIds: [], action: 'status', value: 'To Do' }))
+                .toThrow('At least one task ID is required');
+            expect(() => bulkService.validateRequest({ taskIds: ['a'], action: 'delete' }))
+                .toThrow('Invalid bulk action');
+        });
+
+        it('should check the value for each action', () => {
+            expect(() => bulkService.validateRequest({ taskIds: ['a'], action: 'status', value: ' ' }))
+                .toThrow('Invalid status');
+            expect(() => bulkService.validateRequest({ taskIds: ['a'], action: 'priority', value: 11 }))
+                .toThrow('Priority must be a whole number between 1 and 10');
+            expect(() => bulkService.validateRequest({ taskIds: ['a'], action: 'addAssignee', value: ' ' }))
+                .toThrow('Username is required');
+            expect(bulkService.validateRequest({ taskIds: ['a', 'a'], action: 'priority', value: '7' }))
+                .toEqual({ ids: ['a'], value: 7 });
+        });
+    });
+
+    describe('bulkUpdateTasks', () => {
+        it('should update every task the user may change and report the others', async () => {
+            const mine = await createTask('Mine');
+            const notMine = await createTask('Not mine', { owner: testOther._id, assignee: [testOther._id] });
+
+            const result = await bulkService.bulkUpdateTasks({
+                taskIds: [String(mine._id), String(notMine._id), 'not-an-id'],
+                action: 'priority',
+                value: 9
+            }, testStaff);
+
+            expect(result.succeeded).toBe(1);
+            expect(result.failed).toBe(2);
+            expect(result.results.map(r => r.success)).toEqual([true, false, false]);
+            expect(result.results[1].error).toBe('You do not have permission to modify this task');
+            expect(result.results[2].error).toBe('Task not found');
+            expect((await Task.findById(mine._id)).priority).toBe(9);
+            expect((await Task.findById(notMine._id)).priority).toBe(5);
+        });
+
+        it('should add a tag without duplicating it', async () => {
+            const tagged = await createTask('Tagged', { tags: ['bug', 'release'] });
+            const untagged = await createTask('Untagged');
+
+            await bulkService.bulkUpdateTasks({
+                taskIds: [tagged._id, untagged._id],
+                action: 'addTag',
+                value: '#release'
+            }, testStaff);
+
+            expect((await Task.findById(tagged._id)).tags).toEqual(['bug', 'release']);
+            expect((await Task.findById(untagged._id)).tags).toEqual(['release']);
+        });
+
+        it('should archive and unarchive tasks', async () => {
+            const task = await createTask('Old');
+
+            await bulkService.bulkUpdateTasks({ taskIds: [task._id], action: 'archive' }, testStaff);
+            expect((await Task.findById(task._id)).archived).toBe(true);
+
+            await bulkService.bulkUpdateTasks({ taskIds: [task._id], action: 'unarchive' }, testStaff);
+            expect((await Task.findById(task._id)).archived).toBe(false);
+        });
+
+        it('should start the next occurrence of recurring tasks it completes', async () => {
+            const task = await createTask('Weekly report', { isRecurring: true, recurrenceInterval: 7 });
+
+            await bulkService.bulkUpdateTasks({ taskIds: [task._id], action: 'status', value: 'Completed' }, testStaff);
+
+            expect(await Task.countDocuments({ title: 'Weekly report' })).toBe(2);
+            expect(await Task.countDocuments({ title: 'Weekly report', status: 'To Do' })).toBe(1);
+        });
+
+        it('should send each affected user one notification for all of their tasks', async () => {
+            const first = await createTask('First', { assignee: [testStaff._id, testOther._id] });
+            const second = await createTask('Second', { assignee: [testStaff._id, testOther._id] });
+
+            await bulkService.bulkUpdateTasks({
+                taskIds: [first._id, second._id],
+                action: 'status',
+                value: 'In Progress'
+            }, testStaff);
+
+            const notifications = await notificationModel.find({ type: 'bulk-update' });
+            expect(notifications).toHaveLength(1);
+            expect(String(notifications[0].user)).toBe(String(testOther._id));
+            expect(notifications[0].message).toBe(
+                'bulk.staff@example.com set the status to "In Progress" on 2 tasks: "First", "Second"'
+            );
+        });
+
+        it('should tell a removed assignee they were unassigned', async () => {
+            const task = await createTask('Shared', { assignee: [testStaff._id, testOther._id] });
+
+            const result = await bulkService.bulkUpdateTasks({
+                taskIds: [task._id],
+                action: 'removeAssignee',
+                value: testOther.username
+            }, testManager);
+
+            expect(result.succeeded).toBe(1);
+            const notifications = await notificationModel.find({ user: testOther._id, type: 'bulk-update' });
+            expect(notifications).toHaveLength(1);
+            expect(notifications[0].message).toBe('bulk.manager@example.com unassigned bulk.other@example.com on "Shared"');
+        });
+
+        it('should notify assignees of items unblocked by the completed tasks', async () => {
+            const blocker = await createTask('Blocker');
+            const blocked = await createTask('Blocked', { owner: testOther._id, assignee: [testOther._id] });
+            await Dependency.create({
+                project: testProject._id,
+                blockerType: 'task',
+                blocker: blocker._id,
+                blockedType: 'task',
+                blocked: blocked._id,
+                createdBy: testStaff._id
+            });
+
+            await bulkService.bulkUpdateTasks({ taskIds: [blocker._id], action: 'status', value: 'Completed' }, testStaff);
+
+            const notifications = await notificationModel.find({ user: testOther._id });
+            expect(notifications.map(n => n.message)).toContain(
+                'Task "Blocked" is no longer blocked: all of its blockers are completed'
+            );
+        });
+    });
+});
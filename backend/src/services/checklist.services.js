@@ -0,0 +1,205 @@
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import taskService from './task.services.js';
+import { getChecklistProgress, reorderChecklist } from '../utils/checklist.utils.js';
+
+const ITEM_TYPES = ['task', 'subtask'];
+
+class ChecklistService {
+    /**
+     * Load a task or subtask, throwing a not-found error named after its type
+     */
+    async findItem(itemType, itemId) {
+        if (!ITEM_TYPES.includes(itemType)) {
+            throw new Error('Item type must be task or subtask');
+        }
+
+        const label = itemType === 'task' ? 'Task' : 'Subtask';
+        if (!mongoose.Types.ObjectId.isValid(itemId)) {
+            throw new Error(`${label} not found`);
+        }
+
+        const Model = itemType === 'task' ? Task : Subtask;
+        const item = await Model.findById(itemId);
+        if (!item) {
+            throw new Error(`${label} not found`);
+        }
+        return item;
+    }
+
+    /**
+     * Normalized view of an item's project, owner and assignees across tasks and subtasks
+     */
+    describeItem(itemType, item) {
+        if (itemType === 'task') {
+            return {
+                projectId: item.project,
+                ownerId: item.owner,
+                assigneeIds: item.assignee || []
+            };
+        }
+        return {
+            projectId: item.projectId,
+            ownerId: item.ownerId,
+            assigneeIds: item.assigneeId || []
+        };
+    }
+
+    /**
+     * Admins, the item's owner/assignees and project members can view the checklist.
+     * Changing it additionally excludes plain project members who are not managers.
+     */
+    async checkAccess(itemType, item, actingUser, { modify = false } = {}) {
+        const roles = actingUser.roles || [];
+        if (roles.includes('admin')) {
+            return;
+        }
+
+        const { projectId, ownerId, assigneeIds } = this.describeItem(itemType, item);
+        const userIdStr = String(actingUser._id);
+        const isOwner = ownerId && ownerId.toString() === userIdStr;
+        const isAssignee = assigneeIds.some(id => id.toString() === userIdStr);
+
+        if (isOwner || isAssignee) {
+            return;
+        }
+
+        const hasProjectAccess = await taskService.userHasAccessToTaskProject(actingUser._id, projectId);
+        if (hasProjectAccess && (!modify || roles.includes('manager'))) {
+            return;
+        }
+
+        throw new Error(modify
+            ? `You do not have permission to modify the checklist of this ${itemType}`
+            : `You do not have permission to view the checklist of this ${itemType}`);
+    }
+
+    /**
+     * Throw unless the user can be made responsible for a checklist item
+     */
+    async validateOwner(itemType, item, ownerId) {
+        if (!mongoose.Types.ObjectId.isValid(ownerId)) {
+            throw new Error('Invalid checklist owner');
+        }
+
+        const { projectId, ownerId: itemOwnerId, assigneeIds } = this.describeItem(itemType, item);
+        const isParticipant = [itemOwnerId, ...assigneeIds].some(id => id && id.toString() === String(ownerId));
+        if (isParticipant) {
+            return;
+        }
+
+        const hasProjectAccess = await taskService.userHasAccessToTaskProject(ownerId, projectId);
+        if (!hasProjectAccess) {
+            throw new Error('Checklist owner must have access to this project');
+        }
+    }
+
+    findChecklistItem(item, checklistItemId) {
+        const entry = (item.checklist || []).find(c => String(c._id) === String(checklistItemId));
+        if (!entry) {
+            throw new Error('Checklist item not found');
+        }
+        return entry;
+    }
+
+    /**
+     * Checklist with owners populated, plus progress counts
+     */
+    async describeChecklist(item) {
+        await item.populate('checklist.owner', 'username');
+        return {
+            items: item.checklist,
+            progress: getChecklistProgress(item.checklist)
+        };
+    }
+
+    async getChecklist(itemType, itemId, actingUser) {
+        const item = await this.findItem(itemType, itemId);
+        await this.checkAccess(itemType, item, actingUser);
+        return await this.describeChecklist(item);
+    }
+
+    async addChecklistItem({ itemType, itemId, text, owner = null, actingUser }) {
+        if (!text || typeof text !== 'string' || !text.trim()) {
+            throw new Error('Checklist item text is required');
+        }
+
+        const item = await this.findItem(itemType, itemId);
+        await this.checkAccess(itemType, item, actingUser, { modify: true });
+        if (owner) {
+            await this.validateOwner(itemType, item, owner);
+        }
+
+        item.checklist.push({ text: text.trim(), owner: owner || null });
+        await item.save();
+        return await this.describeChecklist(item);
+    }
+
+    /**
+     * Update an item's text, owner or checked state. Besides the people who can
+     * change the checklist, an item's own owner may check or uncheck it.
+     */
+    async updateChecklistItem({ itemType, itemId, checklistItemId, updates = {}, actingUser }) {
+        const item = await this.findItem(itemType, itemId);
+        const entry = this.findChecklistItem(item, checklistItemId);
+
+        const onlyToggling = Object.keys(updates).every(key => key === 'done' || updates[key] === undefined);
+        const isItemOwner = entry.owner && entry.owner.toString() === String(actingUser._id);
+        if (!(onlyToggling && isItemOwner)) {
+            await this.checkAccess(itemType, item, actingUser, { modify: true });
+        }
+
+        if (updates.text !== undefined) {
+            if (typeof updates.text !== 'string' || !updates.text.trim()) {
+                throw new Error('Checklist item text is required');
+            }
+            entry.text = updates.text.trim();
+        }
+
+        if (updates.owner !== undefined) {
+            if (updates.owner) {
+                await this.validateOwner(itemType, item, updates.owner);
+            }
+            entry.owner = updates.owner || null;
+        }
+
+        if (updates.done !== undefined) {
+            const done = updates.done === true;
+            if (done && !entry.done) {
+                entry.completedAt = new Date();
+                entry.completedBy = actingUser._id;
+            } else if (!done) {
+                entry.completedAt = null;
+                entry.completedBy = null;
+            }
+            entry.done = done;
+        }
+
+        await item.save();
+        return await this.describeChecklist(item);
+    }
+
+    async removeChecklistItem({ itemType, itemId, checklistItemId, actingUser }) {
+        const item = await this.findItem(itemType, itemId);
+        await this.checkAccess(itemType, item, actingUser, { modify: true });
+
+        this.findChecklistItem(item, checklistItemId).deleteOne();
+        await item.save();
+        return await this.describeChecklist(item);
+    }
+
+    /**
+     * Put the checklist in the order of `order` (every item id, once)
+     */
+    async reorderChecklist({ itemType, itemId, order, actingUser }) {
+        const item = await this.findItem(itemType, itemId);
+        await this.checkAccess(itemType, item, actingUser, { modify: true });
+
+        item.checklist = reorderChecklist(item.checklist, order).map(entry => entry.toObject());
+        await item.save();
+        return await this.describeChecklist(item);
+    }
+}
+
+export default new ChecklistService();
@@ -0,0 +1,204 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import checklistService from './checklist.services.js';
+import taskService from './task.services.js';
+import subtaskService from './subtask.services.js';
+
+describe('Checklist Service', () => {
+    let testManager, testStaff, testMember, testOutsider, testProject;
+
+    const createTask = (overrides = {}) => Task.create({
+        title: 'Release 1.2',
+        owner: testManager._id,
+        project: testProject._id,
+        assignee: [testStaff._id],
+        ...overrides
+    });
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        testManager = await User.create({
+            username: 'check.manager@example.com',
+            roles: ['manager'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testStaff = await User.create({
+            username: 'check.staff@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testMember = await User.create({
+            username: 'check.member@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testOutsider = await User.create({
+            username: 'check.outsider@example.com',
+            roles: ['staff'],
+            department: 'sales',
+            hashed_password: 'password123'
+        });
+
+        testProject = await Project.create({
+            name: 'Checklist Project',
+            owner: testManager._id,
+            members: [testStaff._id, testMember._id]
+        });
+    });
+
+    afterEach(async () => {
+        await Task.deleteMany({});
+        await Subtask.deleteMany({});
+        await Project.updateOne({ _id: testProject._id }, { requireChecklistCompletion: false });
+    });
+
+    afterAll(async () => {
+        await User.deleteMany({});
+        await Project.deleteMany({});
+    });
+
+    describe('addChecklistItem', () => {
+        it('should append items with an optional owner and report progress', async () => {
+            const task = await createTask();
+
+            await checklistService.addChecklistItem({
+                itemType: 'task', itemId: task._id, text: 'Update README', actingUser: testStaff
+            });
+            const checklist = await checklistService.addChecklistItem({
+                itemType: 'task', itemId: task._id, text: ' Ping finance ', owner: testMember._id, actingUser: testStaff
+            });
+
+            expect(checklist.items.map(item => item.text)).toEqual(['Update README', 'Ping finance']);
+            expect(checklist.items[1].owner.username).toBe('check.member@example.com');
+            expect(checklist.progress).toEqual({ done: 0, total: 2 });
+        });
+
+        it('should reject owners without access to the project', async () => {
+            const task = await createTask();
+
+            await expect(checklistService.addChecklistItem({
+                itemType: 'task', itemId: task._id, text: 'Ping finance', owner: testOutsider._id, actingUser: testStaff
+            })).rejects.toThrow('Checklist owner must have access to this project');
+        });
+
+        it('should not let plain project members change the checklist', async () => {
+            const task = await createTask();
+
+            await expect(checklistService.addChecklistItem({
+                itemType: 'task', itemId: task._id, text: 'Sneaky', actingUser: testMember
+            })).rejects.toThrow('You do not have permission to modify the checklist of this task');
+        });
+    });
+
+    describe('updateChecklistItem', () => {
+        it('should record who checked an item and clear it when unchecked', async () => {
+            const task = await createTask({ checklist: [{ text: 'Update README' }] });
+            const itemId = task.checklist[0]._id;
+
+            let checklist = await checklistService.updateChecklistItem({
+                itemType: 'task', itemId: task._id, checklistItemId: itemId, updates: { done: true }, actingUser: testStaff
+            });
+            expect(checklist.items[0].done).toBe(true);
+            expect(String(checklist.items[0].completedBy)).toBe(String(testStaff._id));
+            expect(checklist.progress).toEqual({ done: 1, total: 1 });
+
+            checklist = await checklistService.updateChecklistItem({
+                itemType: 'task', itemId: task._id, checklistItemId: itemId, updates: { done: false }, actingUser: testStaff
+            });
+            expect(checklist.items[0].completedAt).toBeNull();
+        });
+
+        it('should let the item owner check it off but not rename it', async () => {
+            const task = await createTask({ checklist: [{ text: 'Ping finance', owner: testMember._id }] });
+            const itemId = task.checklist[0]._id;
+
+            const checklist = await checklistService.updateChecklistItem({
+                itemType: 'task', itemId: task._id, checklistItemId: itemId, updates: { done: true }, actingUser: testMember
+            });
+            expect(checklist.items[0].done).toBe(true);
+
+            await expect(checklistService.updateChecklistItem({
+                itemType: 'task', itemId: task._id, checklistItemId: itemId, updates: { text: 'Renamed' }, actingUser: testMember
+            })).rejects.toThrow('You do not have permission');
+        });
+    });
+
+    describe('reorderChecklist', () => {
+        it('should save the new order', async () => {
+            const task = await createTask({ checklist: [{ text: 'One' }, { text: 'Two' }, { text: 'Three' }] });
+            const [one, two, three] = task.checklist.map(item => item._id);
+
+            const checklist = await checklistService.reorderChecklist({
+                itemType: 'task', itemId: task._id, order: [three, one, two], actingUser: testManager
+            });
+
+            expect(checklist.items.map(item => item.text)).toEqual(['Three', 'One', 'Two']);
+            const saved = await Task.findById(task._id);
+            expect(saved.checklist.map(item => item.text)).toEqual(['Three', 'One', 'Two']);
+        });
+    });
+
+    describe('removeChecklistItem', () => {
+        it('should remove the item from a subtask checklist', async () => {
+            const task = await createTask();
+            const subtask = await Subtask.create({
+                title: 'Draft notes',
+                parentTaskId: task._id,
+                projectId: testProject._id,
+                ownerId: testStaff._id,
+                dueDate: new Date(),
+                checklist: [{ text: 'One' }, { text: 'Two' }]
+            });
+
+            const checklist = await checklistService.removeChecklistItem({
+                itemType: 'subtask', itemId: subtask._id, checklistItemId: subtask.checklist[0]._id, actingUser: testStaff
+            });
+
+            expect(checklist.items.map(item => item.text)).toEqual(['Two']);
+        });
+    });
+
+    describe('completion rule', () => {
+        it('should allow completing with open items when the project does not require a checked checklist', async () => {
+            const task = await createTask({ checklist: [{ text: 'Open item' }] });
+
+            const updated = await taskService.updateTask(task._id, { status: 'Completed' }, testManager._id);
+
+            expect(updated.status).toBe('Completed');
+        });
+
+        it('should block completing a task with unchecked items when the project requires it', async () => {
+            await Project.updateOne({ _id: testProject._id }, { requireChecklistCompletion: true });
+            const task = await createTask({ checklist: [{ text: 'Done', done: true }, { text: 'Open item' }] });
+
+            await expect(taskService.updateTask(task._id, { status: 'Completed' }, testManager._id))
+                .rejects.toThrow('This task cannot be completed while 1 checklist item is unchecked');
+        });
+
+        it('should block completing a subtask with unchecked items when the project requires it', async () => {
+            await Project.updateOne({ _id: testProject._id }, { requireChecklistCompletion: true });
+            const task = await createTask();
+            const subtask = await Subtask.create({
+                title: 'Draft notes',
+                parentTaskId: task._id,
+                projectId: testProject._id,
+                ownerId: testManager._id,
+                dueDate: new Date(),
+                checklist: [{ text: 'One' }, { text: 'Two' }]
+            });
+
+            await expect(subtaskService.updateSubtask(subtask._id, { status: 'Completed' }, testManager._id))
+                .rejects.toThrow('This subtask cannot be completed while 2 checklist items are unchecked');
+        });
+    });
+});
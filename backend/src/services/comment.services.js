@@ -0,0 +1,75 @@
+import CommentRevision from '../models/comment-revision.model.js';
+import notificationService from './notification.services.js';
+
+class CommentService {
+    /**
+     * Keep the text an edit replaced
+     * @param {String} itemType - 'task' or 'subtask'
+     * @param {ObjectId} itemId - Task or subtask the comment belongs to
+     * @param {ObjectId} commentId - Edited comment
+     * @param {String} previousText - Text before the edit
+     */
+    async recordRevision(itemType, itemId, commentId, previousText) {
+        return await CommentRevision.create({
+            itemType,
+            item: itemId,
+            comment: commentId,
+            text: previousText
+        });
+    }
+
+    /**
+     * Current text of a comment and the versions it replaced, oldest first.
+     * Only the comment's author and admins may see previous versions.
+     * Revisions are matched by item id, so they survive converting the item
+     * between task and subtask.
+     * @param {Object} item - Task or subtask including its comments
+     * @param {String} commentId - Comment to read
+     * @param {Object} user - { _id, roles }
+     * @returns {Object} { commentId, text, editedAt, versions: [{ text, replacedAt }] }
+     */
+    async getCommentHistory(item, commentId, user) {
+        const comment = (item.comments || []).find(entry => String(entry._id) === String(commentId));
+        if (!comment) {
+            throw new Error('Comment not found');
+        }
+
+        const isAdmin = (user.roles || []).includes('admin');
+        if (!isAdmin && String(comment.author) !== String(user._id)) {
+            throw new Error('You can only view the edit history of your own comments');
+        }
+
+        const revisions = await CommentRevision.find({ item: item._id, comment: comment._id })
+            .sort({ createdAt: 1 })
+            .lean();
+
+        return {
+            commentId: comment._id,
+            text: comment.text,
+            editedAt: comment.editedAt || null,
+            versions: revisions.map(revision => ({ text: revision.text, replacedAt: revision.createdAt }))
+        };
+    }
+
+    /**
+     * Send a 'reply' notification to the author of the comment that was
+     * replied to, on the channels they chose ('comment-reply' over the socket)
+     * @param {ObjectId} recipientId - Author of the parent comment
+     * @param {Object} context - { io, userSockets, authorName, taskId, projectId, itemType, itemTitle, comment }
+     *   `taskId` is the task the comment belongs to (the parent task for subtasks)
+     */
+    async notifyReply(recipientId, { io, userSockets, authorName, taskId, projectId, itemType, itemTitle, comment }) {
+        const message = `${authorName} replied to your comment on ${itemType}: "${itemTitle}"`;
+
+        await notificationService.notify('reply', [recipientId], {
+            message,
+            task: taskId,
+            project: projectId,
+            data: { taskId, itemType, comment },
+            io,
+            userSockets
+        });
+    }
+}
+
+export default new CommentService();
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import mongoose from 'mongoose';
+import CommentRevision from '../models/comment-revision.model.js';
+import notificationModel from '../models/notification.model.js';
+import commentService from './comment.services.js';
+
+describe('Comment Service', () => {
+    const authorId = new mongoose.Types.ObjectId();
+    const otherId = new mongoose.Types.ObjectId();
+    const commentId = new mongoose.Types.ObjectId();
+    const task = {
+        _id: new mongoose.Types.ObjectId(),
+        comments: [{ _id: commentId, text: 'Third version', author: authorId, editedAt: new Date() }]
+    };
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        await commentService.recordRevision('task', task._id, commentId, 'First version');
+        await commentService.recordRevision('task', task._id, commentId, 'Second version');
+    });
+
+    afterAll(async () => {
+        await CommentRevision.deleteMany({});
+        await notificationModel.deleteMany({});
+    });
+
+    describe('getCommentHistory', () => {
+        it('should return previous versions oldest first to the author', async () => {
+            const history = await commentService.getCommentHistory(task, commentId, { _id: authorId, roles: ['staff'] });
+
+            expect(history.text).toBe('Third version');
+            expect(history.versions.map(version => version.text)).toEqual(['First version', 'Second version']);
+        });
+
+        it('should let admins read the history', async () => {
+            const history = await commentService.getCommentHistory(task, commentId, { _id: otherId, roles: ['admin'] });
+
+            expect(history.versions).toHaveLength(2);
+        });
+
+        it('should refuse other users', async () => {
+            await expect(commentService.getCommentHistory(task, commentId, { _id: otherId, roles: ['staff'] }))
+                .rejects.toThrow('You can only view the edit history of your own comments');
+        });
+
+        it('should throw for unknown comments', async () => {
+            await expect(commentService.getCommentHistory(task, new mongoose.Types.ObjectId(), { _id: authorId }))
+                .rejects.toThrow('Comment not found');
+        });
+    });
+
+    describe('recordRevision', () => {
+        it('should not allow revisions to be changed', async () => {
+            await expect(CommentRevision.updateOne({ comment: commentId }, { text: 'Rewritten' }))
+                .rejects.toThrow('Comment revisions cannot be modified');
+        });
+    });
+
+    describe('notifyReply', () => {
+        it('should create a reply notification and emit to the online author', async () => {
+            const io = { to: vi.fn().mockReturnThis(), emit: vi.fn() };
+            const userSockets = new Map([[authorId.toString(), 'socket123']]);
+
+            await commentService.notifyReply(authorId, {
+                io,
+                userSockets,
+                authorName: 'replier@example.com',
+                taskId: task._id,
+                itemType: 'task',
+                itemTitle: 'Write docs',
+                comment: { text: 'Done' }
+            });
+
+            const notification = await notificationModel.findOne({ user: authorId, type: 'reply' });
+            expect(notification.message).toBe('replier@example.com replied to your comment on task: "Write docs"');
+            expect(io.to).toHaveBeenCalledWith('socket123');
+            expect(io.emit).toHaveBeenCalledWith('comment-reply', expect.objectContaining({ itemType: 'task' }));
+        });
+    });
+});
@@ -0,0 +1,296 @@
+import mongoose from 'mongoose';
+import Dependency from '../models/dependency.model.js';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import Project from '../models/project.model.js';
+import taskService from './task.services.js';
+import { getItemStatusCategory } from '../utils/workflow.utils.js';
+
+const ITEM_TYPES = ['task', 'subtask'];
+
+// Fields returned for each linked item
+const ITEM_FIELDS = 'title status statusCategory dueDate archived';
+
+class DependencyService {
+    /**
+     * Load a task or subtask, throwing a not-found error named after its type
+     */
+    async findItem(itemType, itemId) {
+        if (!ITEM_TYPES.includes(itemType)) {
+            throw new Error('Item type must be task or subtask');
+        }
+
+        const label = itemType === 'task' ? 'Task' : 'Subtask';
+        if (!mongoose.Types.ObjectId.isValid(itemId)) {
+            throw new Error(`${label} not found`);
+        }
+
+        const Model = itemType === 'task' ? Task : Subtask;
+        const item = await Model.findById(itemId);
+        if (!item) {
+            throw new Error(`${label} not found`);
+        }
+        return item;
+    }
+
+    /**
+     * Normalized view of an item's project, owner and assignees across tasks and subtasks
+     */
+    describeItem(itemType, item) {
+        if (itemType === 'task') {
+            return {
+                projectId: item.project,
+                ownerId: item.owner,
+                assigneeIds: item.assignee || []
+            };
+        }
+        return {
+            projectId: item.projectId,
+            ownerId: item.ownerId,
+            assigneeIds: item.assigneeId || []
+        };
+    }
+
+    /**
+     * Admins, the item's owner/assignees and project members can view its links.
+     * Changing links additionally excludes plain project members who are not managers.
+     */
+    async checkAccess(itemType, item, actingUser, { modify = false } = {}) {
+        const roles = actingUser.roles || [];
+        if (roles.includes('admin')) {
+            return;
+        }
+
+        const { projectId, ownerId, assigneeIds } = this.describeItem(itemType, item);
+        const userIdStr = String(actingUser._id);
+        const isOwner = ownerId && ownerId.toString() === userIdStr;
+        const isAssignee = assigneeIds.some(id => id.toString() === userIdStr);
+
+        if (isOwner || isAssignee) {
+            return;
+        }
+
+        const hasProjectAccess = await taskService.userHasAccessToTaskProject(actingUser._id, projectId);
+        if (hasProjectAccess && (!modify || roles.includes('manager'))) {
+            return;
+        }
+
+        throw new Error(modify
+            ? `You do not have permission to modify dependencies of this ${itemType}`
+            : `You do not have permission to view dependencies of this ${itemType}`);
+    }
+
+    /**
+     * Fetch linked items of both types, keyed by "type:id"
+     */
+    async loadItems(refs) {
+        const ids = { task: [], subtask: [] };
+        refs.forEach(ref => ids[ref.itemType].push(ref.item));
+
+        const [tasks, subtasks] = await Promise.all([
+            ids.task.length ? Task.find({ _id: { $in: ids.task } }).select(ITEM_FIELDS).lean() : [],
+            ids.subtask.length ? Subtask.find({ _id: { $in: ids.subtask } }).select(`${ITEM_FIELDS} parentTaskId`).lean() : []
+        ]);
+
+        const items = new Map();
+        tasks.forEach(t => items.set(`task:${t._id}`, t));
+        subtasks.forEach(s => items.set(`subtask:${s._id}`, s));
+        return items;
+    }
+
+    /**
+     * Get what an item is blocked by and what it blocks
+     */
+    async getDependencies(itemType, itemId, actingUser) {
+        const item = await this.findItem(itemType, itemId);
+        await this.checkAccess(itemType, item, actingUser);
+
+        const [blockedByLinks, blocksLinks] = await Promise.all([
+            Dependency.find({ blockedType: itemType, blocked: item._id }).lean(),
+            Dependency.find({ blockerType: itemType, blocker: item._id }).lean()
+        ]);
+
+        const items = await this.loadItems([
+            ...blockedByLinks.map(l => ({ itemType: l.blockerType, item: l.blocker })),
+            ...blocksLinks.map(l => ({ itemType: l.blockedType, item: l.blocked }))
+        ]);
+
+        const toEntry = (link, type, id) => {
+            const linked = items.get(`${type}:${id}`);
+            return linked ? { _id: link._id, itemType: type, item: linked } : null;
+        };
+
+        return {
+            blockedBy: blockedByLinks
+                .map(l => toEntry(l, l.blockerType, l.blocker))
+                .filter(Boolean),
+            blocks: blocksLinks
+                .map(l => toEntry(l, l.blockedType, l.blocked))
+                .filter(Boolean)
+        };
+    }
+
+    /**
+     * Check whether linking blocker -> blocked would close a cycle, i.e. whether
+     * the blocked item already (directly or transitively) blocks the blocker.
+     */
+    async wouldCreateCycle(projectId, blockerKey, blockedKey) {
+        const links = await Dependency.find({ project: projectId }).lean();
+
+        const blocksMap = new Map();
+        links.forEach(link => {
+            const from = `${link.blockerType}:${link.blocker}`;
+            if (!blocksMap.has(from)) blocksMap.set(from, []);
+            blocksMap.get(from).push(`${link.blockedType}:${link.blocked}`);
+        });
+
+        const visited = new Set([blockedKey]);
+        const queue = [blockedKey];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (current === blockerKey) {
+                return true;
+            }
+            for (const next of blocksMap.get(current) || []) {
+                if (!visited.has(next)) {
+                    visited.add(next);
+                    queue.push(next);
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Mark an item as blocked by another task or subtask in the same project
+     */
+    async addDependency({ itemType, itemId, blockerType = 'task', blockerId, actingUser }) {
+        if (!blockerId) {
+            throw new Error('Blocker is required');
+        }
+
+        const item = await this.findItem(itemType, itemId);
+        await this.checkAccess(itemType, item, actingUser, { modify: true });
+
+        const blocker = await this.findItem(blockerType, blockerId);
+
+        const blockedKey = `${itemType}:${item._id}`;
+        const blockerKey = `${blockerType}:${blocker._id}`;
+        if (blockedKey === blockerKey) {
+            throw new Error('An item cannot depend on itself');
+        }
+
+        const projectId = this.describeItem(itemType, item).projectId;
+        const blockerProjectId = this.describeItem(blockerType, blocker).projectId;
+        if (String(projectId) !== String(blockerProjectId)) {
+            throw new Error('Dependencies must be within the same project');
+        }
+
+        const existing = await Dependency.findOne({
+            blockerType, blocker: blocker._id, blockedType: itemType, blocked: item._id
+        });
+        if (existing) {
+            throw new Error('This dependency already exists');
+        }
+
+        if (await this.wouldCreateCycle(projectId, blockerKey, blockedKey)) {
+            throw new Error('Adding this dependency would create a cycle');
+        }
+
+        return await Dependency.create({
+            project: projectId,
+            blockerType,
+            blocker: blocker._id,
+            blockedType: itemType,
+            blocked: item._id,
+            createdBy: actingUser._id
+        });
+    }
+
+    /**
+     * Remove a "blocked by" link from an item
+     */
+    async removeDependency({ itemType, itemId, dependencyId, actingUser }) {
+        const item = await this.findItem(itemType, itemId);
+        await this.checkAccess(itemType, item, actingUser, { modify: true });
+
+        const link = mongoose.Types.ObjectId.isValid(dependencyId)
+            ? await Dependency.findById(dependencyId)
+            : null;
+        if (!link || link.blockedType !== itemType || link.blocked.toString() !== item._id.toString()) {
+            throw new Error('Dependency not found');
+        }
+
+        await link.deleteOne();
+        return link;
+    }
+
+    /**
+     * Get the blockers of an item that are not yet completed
+     */
+    async getOpenBlockers(itemType, itemId) {
+        const links = await Dependency.find({ blockedType: itemType, blocked: itemId }).lean();
+        if (links.length === 0) {
+            return [];
+        }
+
+        const items = await this.loadItems(links.map(l => ({ itemType: l.blockerType, item: l.blocker })));
+        return Array.from(items.values()).filter(blocker => getItemStatusCategory(blocker) !== 'done');
+    }
+
+    /**
+     * After an item is completed, find the items it was blocking that now have
+     * no open blockers left. Completed or archived dependents are skipped.
+     */
+    async getNewlyUnblockedItems(itemType, itemId) {
+        const links = await Dependency.find({ blockerType: itemType, blocker: itemId }).lean();
+        const unblocked = [];
+
+        for (const link of links) {
+            const Model = link.blockedType === 'task' ? Task : Subtask;
+            const dependent = await Model.findById(link.blocked);
+            if (!dependent || dependent.archived || getItemStatusCategory(dependent) === 'done') {
+                continue;
+            }
+
+            const openBlockers = await this.getOpenBlockers(link.blockedType, link.blocked);
+            if (openBlockers.length === 0) {
+                unblocked.push({
+                    itemType: link.blockedType,
+                    item: dependent,
+                    assigneeIds: this.describeItem(link.blockedType, dependent).assigneeIds.map(id => id.toString())
+                });
+            }
+        }
+
+        return unblocked;
+    }
+
+    /**
+     * All links in a project, for drawing the schedule timeline
+     */
+    async getProjectDependencies(projectId, actingUser) {
+        if (!mongoose.Types.ObjectId.isValid(projectId)) {
+            throw new Error('Project not found');
+        }
+
+        const project = await Project.findById(projectId);
+        if (!project) {
+            throw new Error('Project not found');
+        }
+
+        const isAdmin = actingUser.roles && actingUser.roles.includes('admin');
+        if (!isAdmin) {
+            const hasAccess = await taskService.userHasAccessToTaskProject(actingUser._id, project);
+            if (!hasAccess) {
+                throw new Error('You do not have permission to view dependencies in this project');
+            }
+        }
+
+        return await Dependency.find({ project: projectId })
+            .select('blockerType blocker blockedType blocked createdAt')
+            .lean();
+    }
+}
+
+export default new DependencyService();
@@ -0,0 +1,235 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import Dependency from '../models/dependency.model.js';
+import dependencyService from './dependency.services.js';
+
+describe('Dependency Service - Blocked By / Blocks Links', () => {
+    let testManager, testStaff, testOutsider, testProject, otherProject;
+
+    const createTask = (title, overrides = {}) => Task.create({
+        title,
+        owner: testManager._id,
+        project: testProject._id,
+        assignee: [testStaff._id],
+        ...overrides
+    });
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        testManager = await User.create({
+            username: 'dep.manager@example.com',
+            roles: ['manager'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+
+        testStaff = await User.create({
+            username: 'dep.staff@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+
+        testOutsider = await User.create({
+            username: 'dep.outsider@example.com',
+            roles: ['staff'],
+            department: 'sales',
+            hashed_password: 'password123'
+        });
+
+        testProject = await Project.create({
+            name: 'Dependency Project',
+            owner: testManager._id,
+            members: [testStaff._id]
+        });
+
+        otherProject = await Project.create({
+            name: 'Other Project',
+            owner: testManager._id
+        });
+    });
+
+    afterEach(async () => {
+        await Task.deleteMany({});
+        await Subtask.deleteMany({});
+        await Dependency.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await User.deleteMany({});
+        await Project.deleteMany({});
+    });
+
+    describe('addDependency', () => {
+        it('should link a task to its blocker and list it both ways', async () => {
+            const design = await createTask('Design');
+            const build = await createTask('Build');
+
+            await dependencyService.addDependency({
+                itemType: 'task', itemId: build._id, blockerType: 'task', blockerId: design._id, actingUser: testManager
+            });
+
+            const buildDeps = await dependencyService.getDependencies('task', build._id, testManager);
+            expect(buildDeps.blockedBy).toHaveLength(1);
+            expect(buildDeps.blockedBy[0].item.title).toBe('Design');
+            expect(buildDeps.blocks).toHaveLength(0);
+
+            const designDeps = await dependencyService.getDependencies('task', design._id, testManager);
+            expect(designDeps.blocks).toHaveLength(1);
+            expect(designDeps.blocks[0].item.title).toBe('Build');
+        });
+
+        it('should allow a subtask to block a task', async () => {
+            const parent = await createTask('Parent');
+            const other = await createTask('Other');
+            const subtask = await Subtask.create({
+                title: 'Sub',
+                parentTaskId: parent._id,
+                projectId: testProject._id,
+                ownerId: testManager._id,
+                assigneeId: [testStaff._id]
+            });
+
+            const link = await dependencyService.addDependency({
+                itemType: 'task', itemId: other._id, blockerType: 'subtask', blockerId: subtask._id, actingUser: testManager
+            });
+
+            expect(link.blockerType).toBe('subtask');
+            expect(link.project.toString()).toBe(testProject._id.toString());
+        });
+
+        it('should reject a direct cycle', async () => {
+            const a = await createTask('A');
+            const b = await createTask('B');
+
+            await dependencyService.addDependency({
+                itemType: 'task', itemId: b._id, blockerId: a._id, actingUser: testManager
+            });
+
+            await expect(dependencyService.addDependency({
+                itemType: 'task', itemId: a._id, blockerId: b._id, actingUser: testManager
+            })).rejects.toThrow('Adding this dependency would create a cycle');
+        });
+
+        it('should reject a transitive cycle', async () => {
+            const a = await createTask('A');
+            const b = await createTask('B');
+            const c = await createTask('C');
+
+            await dependencyService.addDependency({ itemType: 'task', itemId: b._id, blockerId: a._id, actingUser: testManager });
+            await dependencyService.addDependency({ itemType: 'task', itemId: c._id, blockerId: b._id, actingUser: testManager });
+
+            await expect(dependencyService.addDependency({
+                itemType: 'task', itemId: a._id, blockerId: c._id, actingUser: testManager
+            })).rejects.toThrow('Adding this dependency would create a cycle');
+        });
+
+        it('should reject self links, duplicates and cross-project links', async () => {
+            const a = await createTask('A');
+            const b = await createTask('B');
+            const foreign = await createTask('Foreign', { project: otherProject._id });
+
+            await expect(dependencyService.addDependency({
+                itemType: 'task', itemId: a._id, blockerId: a._id, actingUser: testManager
+            })).rejects.toThrow('An item cannot depend on itself');
+
+            await dependencyService.addDependency({ itemType: 'task', itemId: b._id, blockerId: a._id, actingUser: testManager });
+            await expect(dependencyService.addDependency({
+                itemType: 'task', itemId: b._id, blockerId: a._id, actingUser: testManager
+            })).rejects.toThrow('This dependency already exists');
+
+            await expect(dependencyService.addDependency({
+                itemType: 'task', itemId: b._id, blockerId: foreign._id, actingUser: testManager
+            })).rejects.toThrow('Dependencies must be within the same project');
+        });
+
+        it('should reject users without access to the task', async () => {
+            const a = await createTask('A');
+            const b = await createTask('B');
+
+            await expect(dependencyService.addDependency({
+                itemType: 'task', itemId: b._id, blockerId: a._id, actingUser: testOutsider
+            })).rejects.toThrow('You do not have permission to modify dependencies of this task');
+        });
+    });
+
+    describe('removeDependency', () => {
+        it('should remove a link from the blocked item', async () => {
+            const a = await createTask('A');
+            const b = await createTask('B');
+            const link = await dependencyService.addDependency({
+                itemType: 'task', itemId: b._id, blockerId: a._id, actingUser: testManager
+            });
+
+            await dependencyService.removeDependency({
+                itemType: 'task', itemId: b._id, dependencyId: link._id, actingUser: testManager
+            });
+
+            expect(await Dependency.countDocuments()).toBe(0);
+        });
+
+        it('should not remove a link through an unrelated item', async () => {
+            const a = await createTask('A');
+            const b = await createTask('B');
+            const link = await dependencyService.addDependency({
+                itemType: 'task', itemId: b._id, blockerId: a._id, actingUser: testManager
+            });
+
+            await expect(dependencyService.removeDependency({
+                itemType: 'task', itemId: a._id, dependencyId: link._id, actingUser: testManager
+            })).rejects.toThrow('Dependency not found');
+        });
+    });
+
+    describe('completion helpers', () => {
+        it('should list open blockers only', async () => {
+            const done = await createTask('Done', { status: 'Completed' });
+            const open = await createTask('Open');
+            const blocked = await createTask('Blocked');
+            await dependencyService.addDependency({ itemType: 'task', itemId: blocked._id, blockerId: done._id, actingUser: testManager });
+            await dependencyService.addDependency({ itemType: 'task', itemId: blocked._id, blockerId: open._id, actingUser: testManager });
+
+            const openBlockers = await dependencyService.getOpenBlockers('task', blocked._id);
+
+            expect(openBlockers.map(b => b.title)).toEqual(['Open']);
+        });
+
+        it('should report a dependent as unblocked only when its last blocker completes', async () => {
+            const first = await createTask('First');
+            const second = await createTask('Second');
+            const blocked = await createTask('Blocked');
+            await dependencyService.addDependency({ itemType: 'task', itemId: blocked._id, blockerId: first._id, actingUser: testManager });
+            await dependencyService.addDependency({ itemType: 'task', itemId: blocked._id, blockerId: second._id, actingUser: testManager });
+
+            await Task.updateOne({ _id: first._id }, { status: 'Completed' });
+            expect(await dependencyService.getNewlyUnblockedItems('task', first._id)).toHaveLength(0);
+
+            await Task.updateOne({ _id: second._id }, { status: 'Completed' });
+            const unblocked = await dependencyService.getNewlyUnblockedItems('task', second._id);
+            expect(unblocked).toHaveLength(1);
+            expect(unblocked[0].item.title).toBe('Blocked');
+            expect(unblocked[0].assigneeIds).toEqual([testStaff._id.toString()]);
+        });
+    });
+
+    describe('getProjectDependencies', () => {
+        it('should return project links to members and reject outsiders', async () => {
+            const a = await createTask('A');
+            const b = await createTask('B');
+            await dependencyService.addDependency({ itemType: 'task', itemId: b._id, blockerId: a._id, actingUser: testManager });
+
+            const links = await dependencyService.getProjectDependencies(testProject._id, testStaff);
+            expect(links).toHaveLength(1);
+
+            await expect(dependencyService.getProjectDependencies(testProject._id, testOutsider))
+                .rejects.toThrow('You do not have permission to view dependencies in this project');
+        });
+    });
+});
@@ -0,0 +1,120 @@
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import notificationModel from '../models/notification.model.js';
+import NotificationPreference from '../models/notification-preference.model.js';
+import { sendEmail, generateDigestEmail } from './email-notification.services.js';
+import {
+    resolveDigestSettings, isDigestDue, getDigestWindowEnd, groupDigestItems
+} from '../utils/digest.utils.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Unread notifications listed in a digest; the rest are counted
+const MAX_DIGEST_NOTIFICATIONS = 10;
+
+class DigestService {
+    /**
+     * Collect what goes into a user's digest: open, unarchived tasks and
+     * subtasks assigned to them that are overdue or due within the digest's
+     * window, and their unread notifications
+     * @param {ObjectId} userId - The user
+     * @param {Object} settings - Resolved digest settings ({ frequency, timezone })
+     * @param {Date} now - Time of the run
+     * @returns {Promise<Object>} { frequency, timezone, overdue, upcoming, notifications, unreadCount }
+     */
+    async buildDigest(userId, settings, now = new Date()) {
+        const windowEnd = getDigestWindowEnd(settings.frequency, now);
+        const openItems = {
+            statusCategory: { $ne: 'done' },
+            archived: { $ne: true },
+            dueDate: { $ne: null, $lt: windowEnd }
+        };
+
+        const [tasks, subtasks, notifications, unreadCount] = await Promise.all([
+            Task.find({ ...openItems, assignee: userId }).populate('project', 'name'),
+            Subtask.find({ ...openItems, assigneeId: userId }).populate('projectId', 'name'),
+            notificationModel.find({ user: userId, read: false })
+                .sort({ createdAt: -1 })
+                .limit(MAX_DIGEST_NOTIFICATIONS),
+            notificationModel.countDocuments({ user: userId, read: false })
+        ]);
+
+        const items = [
+            ...tasks.map(task => ({
+                title: task.title,
+                itemType: 'task',
+                projectName: task.project?.name,
+                dueDate: task.dueDate
+            })),
+            ...subtasks.map(subtask => ({
+                title: subtask.title,
+                itemType: 'subtask',
+                projectName: subtask.projectId?.name,
+                dueDate: subtask.dueDate
+            }))
+        ];
+
+        return {
+            frequency: settings.frequency,
+            timezone: settings.timezone,
+            ...groupDigestItems(items, now, windowEnd),
+            notifications,
+            unreadCount
+        };
+    }
+
+    /**
+     * Send the digests that are due. Meant to run every hour: each user's
+     * digest goes out once their send hour has come in their timezone.
+     * Digests with nothing to report (or users without an email username)
+     * are skipped, but still count as sent for that day.
+     * @param {Date} now - Time of the run
+     * @returns {Promise<Object>} { sent, skipped, failed }
+     */
+    async sendDueDigests(now = new Date()) {
+        const documents = await NotificationPreference.find({ 'digest.frequency': { $in: ['daily', 'weekly'] } });
+        const due = documents.filter(document => isDigestDue(resolveDigestSettings(document.digest), now));
+        const result = { sent: 0, skipped: 0, failed: 0 };
+        if (due.length === 0) {
+            return result;
+        }
+
+        const users = await User.find({ _id: { $in: due.map(document => document.user) } }).select('username');
+        const usernameById = new Map(users.map(user => [String(user._id), user.username]));
+
+        for (const document of due) {
+            const username = usernameById.get(String(document.user));
+            try {
+                if (!username || !EMAIL_PATTERN.test(username)) {
+                    console.warn(`Skipped digest for ${username || document.user} — not a valid email.`);
+                    result.skipped += 1;
+                } else {
+                    const digest = await this.buildDigest(document.user, resolveDigestSettings(document.digest), now);
+                    if (digest.overdue.length === 0 && digest.upcoming.length === 0 && digest.unreadCount === 0) {
+                        result.skipped += 1;
+                    } else {
+                        const { subject, html } = generateDigestEmail(digest);
+                        const sent = await sendEmail(username, subject, subject, html);
+                        if (!sent?.success) {
+                            // Not marked as sent, so the next run tries again
+                            result.failed += 1;
+                            continue;
+                        }
+                        result.sent += 1;
+                    }
+                }
+
+                document.digest.lastSentAt = now;
+                await document.save();
+            } catch (error) {
+                console.error(`Failed to send digest to ${username}:`, error);
+                result.failed += 1;
+            }
+        }
+
+        return result;
+    }
+}
+
+export default new DigestService();
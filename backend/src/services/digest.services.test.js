@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import notificationModel from '../models/notification.model.js';
+import NotificationPreference from '../models/notification-preference.model.js';
+import { sendEmail } from './email-notification.services.js';
+import digestService from './digest.services.js';
+
+vi.mock('./email-notification.services.js', async (importOriginal) => ({
+    ...(await importOriginal()),
+    sendEmail: vi.fn()
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Digest Service', () => {
+    // 09:00 in Singapore
+    const now = new Date('2025-03-03T01:00:00Z');
+    let testStaff, testOther, testProject;
+
+    const settings = { frequency: 'daily', hour: 8, timezone: 'Asia/Singapore', weekday: 1 };
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        testStaff = await User.create({
+            username: 'digest.staff@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testOther = await User.create({
+            username: 'digest.other',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testProject = await Project.create({
+            name: 'Digest Project',
+            owner: testStaff._id,
+            members: [testOther._id]
+        });
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        await Task.deleteMany({});
+        await Subtask.deleteMany({});
+        await notificationModel.deleteMany({});
+        await NotificationPreference.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await Project.deleteMany({ _id: testProject._id });
+        await User.deleteMany({ _id: { $in: [testStaff._id, testOther._id] } });
+    });
+
+    const createTask = (title, overrides = {}) => Task.create({
+        title,
+        owner: testStaff._id,
+        project: testProject._id,
+        assignee: [testStaff._id],
+        ...overrides
+    });
+
+    describe('buildDigest', () => {
+        it('should collect overdue and upcoming open items and unread notifications', async () => {
+            const overdueTask = await createTask('Overdue task', { dueDate: new Date(now - 2 * DAY_MS) });
+            await createTask('Due soon', { dueDate: new Date(now.getTime() + 5 * HOUR_MS) });
+            await createTask('Due next week', { dueDate: new Date(now.getTime() + 6 * DAY_MS) });
+            await createTask('Done', { dueDate: new Date(now - DAY_MS), status: 'Completed', statusCategory: 'done' });
+            await createTask('Archived', { dueDate: new Date(now - DAY_MS), archived: true });
+            await createTask('Someone else', { dueDate: new Date(now - DAY_MS), assignee: [testOther._id] });
+            await Subtask.create({
+                title: 'Overdue subtask',
+                parentTaskId: overdueTask._id,
+                projectId: testProject._id,
+                ownerId: testStaff._id,
+                assigneeId: [testStaff._id],
+                dueDate: new Date(now - DAY_MS)
+            });
+            await notificationModel.create({ user: testStaff._id, message: 'Unread one' });
+            await notificationModel.create({ user: testStaff._id, message: 'Read one', read: true });
+
+            const digest = await digestService.buildDigest(testStaff._id, settings, now);
+
+            expect(digest.overdue.map(item => item.title)).toEqual(['Overdue task', 'Overdue subtask']);
+            expect(digest.overdue[1].itemType).toBe('subtask');
+            expect(digest.overdue[0].projectName).toBe('Digest Project');
+            expect(digest.overdue[1].projectName).toBe('Digest Project');
+            expect(digest.upcoming.map(item => item.title)).toEqual(['Due soon']);
+            expect(digest.notifications.map(notification => notification.message)).toEqual(['Unread one']);
+            expect(digest.unreadCount).toBe(1);
+        });
+
+        it('should look a week ahead for weekly digests', async () => {
+            await createTask('Due next week', { dueDate: new Date(now.getTime() + 6 * DAY_MS) });
+
+            const digest = await digestService.buildDigest(testStaff._id, { ...settings, frequency: 'weekly' }, now);
+
+            expect(digest.upcoming.map(item => item.title)).toEqual(['Due next week']);
+        });
+    });
+
+    describe('sendDueDigests', () => {
+        it('should send one email per due user and record it', async () => {
+            sendEmail.mockResolvedValue({ success: true });
+            await createTask('Overdue 1', { dueDate: new Date(now - DAY_MS) });
+            await createTask('Overdue 2', { dueDate: new Date(now - 2 * DAY_MS) });
+            await NotificationPreference.create({ user: testStaff._id, digest: settings });
+
+            const result = await digestService.sendDueDigests(now);
+
+            expect(result).toEqual({ sent: 1, skipped: 0, failed: 0 });
+            expect(sendEmail).toHaveBeenCalledTimes(1);
+            expect(sendEmail.mock.calls[0][0]).toBe('digest.staff@example.com');
+            expect(sendEmail.mock.calls[0][1]).toBe('Daily digest: 2 overdue');
+            const document = await NotificationPreference.findOne({ user: testStaff._id });
+            expect(document.digest.lastSentAt).toEqual(now);
+
+            // Already sent today
+            expect(await digestService.sendDueDigests(new Date(now.getTime() + HOUR_MS)))
+                .toEqual({ sent: 0, skipped: 0, failed: 0 });
+        });
+
+        it('should wait for the send hour and skip empty digests and users without an email', async () => {
+            await NotificationPreference.create({ user: testStaff._id, digest: { ...settings, hour: 10 } });
+            expect(await digestService.sendDueDigests(now)).toEqual({ sent: 0, skipped: 0, failed: 0 });
+
+            await NotificationPreference.updateOne({ user: testStaff._id }, { 'digest.hour': 8 });
+            await NotificationPreference.create({ user: testOther._id, digest: settings });
+            await createTask('Someone else', { dueDate: new Date(now - DAY_MS), assignee: [testOther._id] });
+
+            expect(await digestService.sendDueDigests(now)).toEqual({ sent: 0, skipped: 2, failed: 0 });
+            expect(sendEmail).not.toHaveBeenCalled();
+        });
+
+        it('should try again on the next run when sending fails', async () => {
+            sendEmail.mockResolvedValue({ success: false, error: 'SMTP down' });
+            await createTask('Overdue', { dueDate: new Date(now - DAY_MS) });
+            await NotificationPreference.create({ user: testStaff._id, digest: settings });
+
+            expect(await digestService.sendDueDigests(now)).toEqual({ sent: 0, skipped: 0, failed: 1 });
+            const document = await NotificationPreference.findOne({ user: testStaff._id });
+            expect(document.digest.lastSentAt).toBeNull();
+        });
+    });
+});
@@ -3,7 +3,12 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Task from '../models/task.model.js';
-import User from '../models/user.model.js';
+import Subtask from '../models/subtask.model.js';
+import notificationService from './notification.services.js';
+import reminderService from './reminder.services.js';
+import {
+    parseReminderOffsets, getReminderType, getReminderHorizon, getReminderRecipients
+} from '../utils/reminder.utils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -50,111 +55,249 @@ function getTransporter() {
 }
 
 
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
 /**
- * Generate a HTML email format for upcoming/overdue tasks
+ * Shared layout of every email: a heading, the content, a button into the app and a footer
  */
-function generateTaskEmail({ taskTitle, deadline, type, projectName }) {
-    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
-    const taskUrl = `${baseUrl}/tasks`;
-    const subject =
-        type === 'upcoming'
-            ? `REMINDER: Task "${taskTitle}" Deadline Approaching`
-            : `URGENT: Task "${taskTitle}" Overdue`;
-
-    const html = `
+function renderEmail({ heading, content, url, linkText, footer = 'This is an automated notification. Please do not reply.' }) {
+    return `
     <div style="font-family: Arial, sans-serif; line-height:1.6; color:#333;">
-        <h2 style="color:#2E86DE;">${type === 'upcoming' ? 'Reminder!' : 'Urgent!'}</h2>
-        <p>The task "<strong>${taskTitle}</strong>" is ${type === 'upcoming' ? 'approaching its deadline' : 'overdue'}.</p>
-        ${projectName ? `<p><strong>Project:</strong> ${projectName}</p>` : ''}
-        <p>Deadline: <strong>${new Date(deadline).toLocaleString()}</strong></p>
-        <p>Please take the necessary action.</p>
+        <h2 style="color:#2E86DE;">${heading}</h2>
+        ${content}
         <p>
-            <a href="${taskUrl}" style="display:inline-block;padding:10px 15px;background-color:#2E86DE;color:#fff;text-decoration:none;border-radius:5px;">
-                Open Task in All-In-One Task Management System
+            <a href="${url}" style="display:inline-block;padding:10px 15px;background-color:#2E86DE;color:#fff;text-decoration:none;border-radius:5px;">
+                ${linkText}
             </a>
         </p>
         <hr style="border:none;border-top:1px solid #ccc;">
-        <p style="font-size:0.85em;color:#555;">This is an automated notification. Please do not reply.</p>
+        <p style="font-size:0.85em;color:#555;">${footer}</p>
     </div>
     `;
-    return { subject, html };
 }
 
+/**
+ * Generate a HTML email format for upcoming/overdue tasks and subtasks
+ */
+function generateTaskEmail({ taskTitle, deadline, type, projectName, itemType = 'task' }) {
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const taskUrl = `${baseUrl}/tasks`;
+    const itemLabel = itemType === 'subtask' ? 'Subtask' : 'Task';
+    const subject =
+        type === 'upcoming'
+            ? `REMINDER: ${itemLabel} "${taskTitle}" Deadline Approaching`
+            : `URGENT: ${itemLabel} "${taskTitle}" Overdue`;
 
-// Calculate hours difference between two dates
-function calculateHoursDifference(fromDate, toDate) {
-    const timeDiff = toDate - fromDate;
-    return timeDiff / (1000 * 60 * 60);
+    const html = renderEmail({
+        heading: type === 'upcoming' ? 'Reminder!' : 'Urgent!',
+        content: `
+        <p>The ${itemLabel.toLowerCase()} "<strong>${taskTitle}</strong>" is ${type === 'upcoming' ? 'approaching its deadline' : 'overdue'}.</p>
+        ${projectName ? `<p><strong>Project:</strong> ${projectName}</p>` : ''}
+        <p>Deadline: <strong>${new Date(deadline).toLocaleString()}</strong></p>
+        <p>Please take the necessary action.</p>`,
+        url: taskUrl,
+        linkText: 'Open Task in All-In-One Task Management System'
+    });
+    return { subject, html };
 }
 
-// Check if deadline is within 24 hours
-function checkIfUpcomingDeadline(dueDate){
-    const hoursDiff = calculateHoursDifference(new Date(), dueDate);
-    return hoursDiff <= 24 && hoursDiff >= 0;
+/**
+ * Generate a HTML email for any other notification, in the style of the deadline emails
+ */
+export function generateNotificationEmail({ message, projectName }) {
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const subject = message.length > 120 ? `${message.slice(0, 117)}...` : message;
+
+    const html = renderEmail({
+        heading: 'New notification',
+        content: `
+        <p>${escapeHtml(message)}</p>
+        ${projectName ? `<p><strong>Project:</strong> ${escapeHtml(projectName)}</p>` : ''}`,
+        url: `${baseUrl}/notifications`,
+        linkText: 'Open All-In-One Task Management System',
+        footer: 'This is an automated notification. You can choose which emails you get on the Settings page.'
+    });
+    return { subject, html };
 }
 
-// Check if the task is overdue (24 or more hours past due date)
-function checkIfOverdue(dueDate){
-    const hoursDiff = calculateHoursDifference(dueDate, new Date());
-    return hoursDiff >= 24;
+/**
+ * Generate the digest email: a user's overdue and upcoming tasks and subtasks
+ * and their unread notifications, in the style of the deadline emails
+ * @param {Object} digest - { frequency, timezone, overdue, upcoming, notifications, unreadCount }
+ *   `overdue` / `upcoming` items are { title, itemType, projectName, dueDate }
+ */
+export function generateDigestEmail({ frequency, timezone, overdue, upcoming, notifications, unreadCount }) {
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const period = frequency === 'weekly' ? 'Weekly' : 'Daily';
+    const counts = [
+        overdue.length > 0 && `${overdue.length} overdue`,
+        upcoming.length > 0 && `${upcoming.length} due soon`,
+        unreadCount > 0 && `${unreadCount} unread`
+    ].filter(Boolean);
+    const subject = `${period} digest: ${counts.join(', ')}`;
+
+    const formatDeadline = (date) => new Date(date).toLocaleString('en-GB', {
+        timeZone: timezone, dateStyle: 'medium', timeStyle: 'short'
+    });
+    const renderItems = (title, items) => (items.length === 0 ? '' : `
+        <h3 style="margin-bottom:4px;">${title} (${items.length})</h3>
+        <ul>
+            ${items.map(item => `<li>
+                <strong>${escapeHtml(item.title)}</strong>${item.itemType === 'subtask' ? ' (subtask)' : ''}
+                ${item.projectName ? ` — ${escapeHtml(item.projectName)}` : ''}
+                — Deadline: <strong>${formatDeadline(item.dueDate)}</strong>
+            </li>`).join('')}
+        </ul>`);
+    const moreUnread = unreadCount - notifications.length;
+
+    const html = renderEmail({
+        heading: `${period} digest`,
+        content: `
+        ${renderItems('Overdue', overdue)}
+        ${renderItems(frequency === 'weekly' ? 'Due this week' : 'Due in the next 24 hours', upcoming)}
+        ${notifications.length === 0 ? '' : `
+        <h3 style="margin-bottom:4px;">Unread notifications (${unreadCount})</h3>
+        <ul>
+            ${notifications.map(notification => `<li>${escapeHtml(notification.message)}</li>`).join('')}
+        </ul>
+        ${moreUnread > 0 ? `<p>and ${moreUnread} more.</p>` : ''}`}`,
+        url: `${baseUrl}/tasks`,
+        linkText: 'Open All-In-One Task Management System',
+        footer: 'This is an automated digest. You can change how often you get it on the Settings page.'
+    });
+    return { subject, html };
 }
 
-// Function to check if any tasks are nearing their deadlines or overdue
-export async function checkTasksAndNotify() {
-    try {
-        const tasks = await Task.find({ status: { $in: ['To Do', 'In Progress', 'Blocked'] } })
-            .populate('project', 'name');
 
-        // For parallel email sending, collect all promises
-        const emailPromises = [];
+/**
+ * Send a task's or subtask's deadline reminder to the people who have not had it yet.
+ * Each (item, user, reminder, due date) is claimed in the reminder log first,
+ * so overlapping or repeated checks send it once.
+ * @param {string} itemType - 'task' or 'subtask'
+ * @param {Object} item - The task or subtask, with its project (and parent task) populated
+ * @param {Object} reminder - From getReminderType
+ * @param {Object} options - { notifyProjectOwner, io, userSockets }
+ * @returns {Promise<Object|null>} What notify sent, or null when everyone already had it
+ */
+async function sendReminder(itemType, item, reminder, { notifyProjectOwner, io, userSockets }) {
+    const claimed = [];
+    for (const userId of getReminderRecipients(itemType, item, reminder, { notifyProjectOwner })) {
+        const isNew = await reminderService.claim({
+            itemType,
+            item: item._id,
+            user: userId,
+            type: reminder.type,
+            dueDate: item.dueDate
+        });
+        if (isNew) {
+            claimed.push(userId);
+        }
+    }
+    if (claimed.length === 0) {
+        return null;
+    }
 
-        for (const task of tasks) {
-            if (!task.dueDate) continue;
+    const project = itemType === 'subtask' ? item.projectId : item.project;
+    const taskId = itemType === 'subtask' ? item.parentTaskId?._id || item.parentTaskId : item._id;
+    const projectName = project?.name || 'Unknown Project';
+    const emailContent = generateTaskEmail({
+        taskTitle: item.title,
+        deadline: item.dueDate,
+        type: reminder.kind,
+        projectName,
+        itemType
+    });
 
-            const isUpcoming = checkIfUpcomingDeadline(task.dueDate);
-            const isOverdue = checkIfOverdue(task.dueDate);
+    try {
+        return await notificationService.notify('deadline', claimed, {
+            message: emailContent.subject,
+            task: taskId,
+            project: project?._id,
+            projectName,
+            deadline: item.dueDate,
+            data: itemType === 'subtask' ? { taskId, subtaskId: item._id } : { taskId },
+            email: emailContent,
+            io,
+            userSockets,
+            digestable: true
+        });
+    } catch (error) {
+        // Let the next check try again
+        await Promise.all(claimed.map(user => reminderService.release({
+            item: item._id, user, type: reminder.type, dueDate: item.dueDate
+        })));
+        throw error;
+    }
+}
 
-            if (!isUpcoming && !isOverdue) continue;
+// Function to check if any tasks or subtasks are nearing their deadlines or overdue.
+// Reminders go out at the REMINDER_OFFSETS before the due date, then daily while
+// overdue, each once (see reminder.utils.js), so the check can run as often as needed.
+// Assignees and owners (and the project owner of overdue items, with
+// REMINDER_NOTIFY_PROJECT_OWNER=true) get them on the channels they chose for
+// "deadline" notifications; pop-ups need the Socket.IO server, so the Lambda sends
+// none. Users who get a digest find their deadlines there instead of in one email per item.
+// Returns how many items were due a reminder, and how many reminders went out or failed.
+export async function checkTasksAndNotify(now = new Date(), { io, userSockets } = {}) {
+    try {
+        const offsets = parseReminderOffsets(process.env.REMINDER_OFFSETS);
+        const notifyProjectOwner = process.env.REMINDER_NOTIFY_PROJECT_OWNER === 'true';
+        const query = {
+            statusCategory: { $ne: 'done' },
+            archived: { $ne: true },
+            dueDate: { $ne: null, $lte: getReminderHorizon(now, offsets) }
+        };
+        const [tasks, subtasks] = await Promise.all([
+            Task.find(query).populate('project', 'name owner archived'),
+            Subtask.find(query)
+                .populate('projectId', 'name owner archived')
+                .populate('parentTaskId', 'archived')
+        ]);
 
-            for (const assigneeId of task.assignee) {
-                const assignee = await User.findById(assigneeId);
+        // Skip items in archived projects and subtasks of archived tasks
+        const items = [
+            ...tasks
+                .filter(task => !task.project?.archived)
+                .map(item => ({ itemType: 'task', item })),
+            ...subtasks
+                .filter(subtask => !subtask.projectId?.archived && !subtask.parentTaskId?.archived)
+                .map(item => ({ itemType: 'subtask', item }))
+        ];
 
-                if (!assignee?.username || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(assignee.username)) {
-                    console.warn(`Skipped ${assignee?.username || assigneeId} — not a valid email.`);
-                    continue;
-                }
+        // For parallel sending, collect all promises
+        const notifyPromises = [];
 
-                const emailContent = generateTaskEmail({
-                    taskTitle: task.title,
-                    deadline: task.dueDate,
-                    type: isUpcoming ? 'upcoming' : 'overdue',
-                    projectName: task.project?.name || 'Unknown Project'
-                });
-
-                emailPromises.push(
-                    sendEmail(
-                        assignee.username,
-                        emailContent.subject,
-                        emailContent.html, // fallback text
-                        emailContent.html
-                    )
-                );
-            }
+        for (const { itemType, item } of items) {
+            const reminder = getReminderType(item.dueDate, now, offsets);
+            if (!reminder) continue;
+
+            notifyPromises.push(sendReminder(itemType, item, reminder, { notifyProjectOwner, io, userSockets }));
         }
 
-        // Send all emails in parallel
-        const results = await Promise.allSettled(emailPromises);
+        // Send all notifications in parallel
+        const results = await Promise.allSettled(notifyPromises);
+        const summary = { due: results.length, sent: 0, failed: 0 };
         results.forEach((r, i) => {
             if (r.status === 'fulfilled') {
-                console.log(`Email #${i + 1} sent successfully.`);
+                if (r.value) {
+                    summary.sent += 1;
+                    console.log(`Deadline notification #${i + 1} sent: ${r.value.email} by email, ${r.value.inApp} in-app, ${r.value.toast} pop-up.`);
+                }
             } else {
-                console.error(`Email #${i + 1} failed:`, r.reason);
+                summary.failed += 1;
+                console.error(`Deadline notification #${i + 1} failed:`, r.reason);
             }
         });
 
         console.log('✅ Notification check completed.');
+        return summary;
     } catch (error) {
         console.error('❌ Error checking tasks for notifications:', error);
+        throw error;
     }
 };
 
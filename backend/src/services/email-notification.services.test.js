@@ -329,4 +329,48 @@ describe('Email Notification Service - TDD', () => {
             expect(result.error).toContain('Missing required email parameters');
         });
     });
+
+    describe('generateDigestEmail function', () => {
+        let generateDigestEmail;
+
+        beforeEach(async () => {
+            const module = await import('./email-notification.services.js?digest=' + Date.now());
+            generateDigestEmail = module.generateDigestEmail;
+        });
+
+        it('should list overdue and upcoming items and unread notifications in one email', () => {
+            const { subject, html } = generateDigestEmail({
+                frequency: 'daily',
+                timezone: 'Asia/Singapore',
+                overdue: [{ title: 'Fix <login>', itemType: 'task', projectName: 'Portal', dueDate: new Date('2025-03-01T00:00:00Z') }],
+                upcoming: [{ title: 'Write docs', itemType: 'subtask', dueDate: new Date('2025-03-03T12:00:00Z') }],
+                notifications: [{ message: 'alice commented on task: "Fix login"' }],
+                unreadCount: 3
+            });
+
+            expect(subject).toBe('Daily digest: 1 overdue, 1 due soon, 3 unread');
+            expect(html).toContain('Overdue (1)');
+            expect(html).toContain('Fix &lt;login&gt;');
+            expect(html).toContain('Portal');
+            expect(html).toContain('Write docs</strong> (subtask)');
+            expect(html).toContain('Unread notifications (3)');
+            expect(html).toContain('and 2 more.');
+            expect(html).toContain('color:#2E86DE');
+        });
+
+        it('should name the weekly window', () => {
+            const { subject, html } = generateDigestEmail({
+                frequency: 'weekly',
+                timezone: 'UTC',
+                overdue: [],
+                upcoming: [{ title: 'Plan sprint', dueDate: new Date('2025-03-05T00:00:00Z') }],
+                notifications: [],
+                unreadCount: 0
+            });
+
+            expect(subject).toBe('Weekly digest: 1 due soon');
+            expect(html).toContain('Due this week (1)');
+            expect(html).not.toContain('Overdue');
+        });
+    });
 });
@@ -0,0 +1,234 @@
+import mongoose from 'mongoose';
+import History from '../models/history.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+
+// Fields tracked in the audit trail, using each model's own field names
+export const TASK_HISTORY_FIELDS = [
+    'title', 'description', 'status', 'priority', 'dueDate', 'tags',
+    'owner', 'assignee', 'isRecurring', 'recurrenceInterval', 'recurrenceRule', 'archived', 'project'
+];
+
+export const SUBTASK_HISTORY_FIELDS = [
+    'title', 'description', 'status', 'priority', 'dueDate', 'tags',
+    'ownerId', 'assigneeId', 'isRecurring', 'recurrenceInterval', 'recurrenceRule', 'archived', 'projectId'
+];
+
+// Fields holding user references; resolved to usernames when history is read
+const USER_FIELDS = ['owner', 'assignee', 'ownerId', 'assigneeId'];
+
+// Fields holding project references (changed when a task is moved); resolved to project names
+const PROJECT_FIELDS = ['project', 'projectId'];
+
+class HistoryService {
+    /**
+     * Convert a field value into a plain, comparable form:
+     * ObjectIds and populated documents become id strings, dates become ISO strings.
+     */
+    normalizeValue(value) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(v => this.normalizeValue(v));
+        }
+
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+
+        if (value instanceof mongoose.Types.ObjectId) {
+            return value.toString();
+        }
+
+        // Populated reference (e.g. assignee populated with username)
+        if (typeof value === 'object' && value._id) {
+            return value._id.toString();
+        }
+
+        // Embedded document (e.g. recurrenceRule)
+        if (typeof value === 'object' && typeof value.toObject === 'function') {
+            return JSON.parse(JSON.stringify(value.toObject()));
+        }
+
+        return value;
+    }
+
+    /**
+     * Take a snapshot of the given fields of a task or subtask document
+     */
+    snapshot(doc, fields) {
+        const values = {};
+        for (const field of fields) {
+            values[field] = this.normalizeValue(doc[field]);
+        }
+        return values;
+    }
+
+    /**
+     * Compare two snapshots and return the fields whose values differ.
+     * Arrays are compared ignoring order, so reordering assignees is not a change.
+     */
+    diff(before, after, fields) {
+        const comparable = (value) => JSON.stringify(
+            Array.isArray(value) ? [...value].map(String).sort() : value
+        );
+
+        return fields
+            .filter(field => comparable(before[field]) !== comparable(after[field]))
+            .map(field => ({
+                field,
+                oldValue: before[field],
+                newValue: after[field]
+            }));
+    }
+
+    /**
+     * Record one history entry per field that changed between the snapshot
+     * taken before the update and the current state of the document.
+     * Failures are logged and never fail the update itself.
+     */
+    async recordChanges({ itemType, item, before, fields, actor }) {
+        try {
+            const after = this.snapshot(item, fields);
+            const changes = this.diff(before, after, fields);
+
+            if (changes.length === 0) {
+                return [];
+            }
+
+            const project = item.project?._id || item.project || item.projectId?._id || item.projectId;
+            const createdAt = new Date();
+
+            return await History.insertMany(changes.map(change => ({
+                itemType,
+                item: item._id,
+                project,
+                field: change.field,
+                oldValue: change.oldValue,
+                newValue: change.newValue,
+                actor: actor?._id || actor,
+                createdAt
+            })));
+        } catch (error) {
+            console.error('Failed to record history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Ids referenced by the old and new values of entries for the given fields
+     */
+    collectIds(entries, fields) {
+        const ids = new Set();
+        for (const entry of entries) {
+            if (!fields.includes(entry.field)) continue;
+            [entry.oldValue, entry.newValue].flat().forEach(id => {
+                if (id && mongoose.Types.ObjectId.isValid(id)) ids.add(String(id));
+            });
+        }
+        return Array.from(ids);
+    }
+
+    /**
+     * Record that a task was converted into a subtask or the other way round.
+     * The item keeps its id, so this entry sits between the entries recorded
+     * under the old type and those recorded under the new one.
+     */
+    async recordConversion({ item, fromType, toType, actor }) {
+        try {
+            return await History.create({
+                itemType: toType,
+                item: item._id,
+                project: item.project?._id || item.project || item.projectId?._id || item.projectId,
+                field: 'itemType',
+                oldValue: fromType,
+                newValue: toType,
+                actor: actor?._id || actor
+            });
+        } catch (error) {
+            console.error('Failed to record history:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the history of a task or subtask, oldest first, including entries
+     * recorded before it was converted from the other type.
+     * User reference values are returned as { _id, username } objects and
+     * project references as { _id, name } objects.
+     */
+    async getHistory(itemId) {
+        const entries = await History.find({ item: itemId })
+            .populate('actor', 'username')
+            .sort({ createdAt: 1, _id: 1 })
+            .lean();
+
+        const userIds = this.collectIds(entries, USER_FIELDS);
+        const projectIds = this.collectIds(entries, PROJECT_FIELDS);
+
+        if (userIds.length === 0 && projectIds.length === 0) {
+            return entries;
+        }
+
+        const [users, projects] = await Promise.all([
+            userIds.length > 0
+                ? User.find({ _id: { $in: userIds } }).select('_id username').lean()
+                : [],
+            projectIds.length > 0
+                ? Project.find({ _id: { $in: projectIds } }).select('_id name').lean()
+                : []
+        ]);
+        const usersById = new Map(users.map(u => [String(u._id), u]));
+        const projectsById = new Map(projects.map(p => [String(p._id), p]));
+
+        const resolveWith = (byId, fallback) => {
+            const resolve = (value) => {
+                if (Array.isArray(value)) return value.map(resolve);
+                if (!value) return value;
+                return byId.get(String(value)) || { _id: value, ...fallback };
+            };
+            return resolve;
+        };
+        const resolveUser = resolveWith(usersById, { username: null });
+        const resolveProject = resolveWith(projectsById, { name: null });
+
+        return entries.map(entry => {
+            if (USER_FIELDS.includes(entry.field)) {
+                return { ...entry, oldValue: resolveUser(entry.oldValue), newValue: resolveUser(entry.newValue) };
+            }
+            if (PROJECT_FIELDS.includes(entry.field)) {
+                return { ...entry, oldValue: resolveProject(entry.oldValue), newValue: resolveProject(entry.newValue) };
+            }
+            return entry;
+        });
+    }
+
+    /**
+     * Get the time each item was last moved to one of `doneStatuses`, keyed by item id string.
+     * Items without a recorded completion are absent from the result.
+     */
+    async getCompletedAtMap(itemType, itemIds, doneStatuses = ['Completed']) {
+        const ids = (itemIds || [])
+            .filter(id => id && mongoose.Types.ObjectId.isValid(String(id)))
+            .map(id => new mongoose.Types.ObjectId(String(id)));
+
+        if (ids.length === 0) {
+            return {};
+        }
+
+        const results = await History.aggregate([
+            { $match: { itemType, item: { $in: ids }, field: 'status', newValue: { $in: doneStatuses } } },
+            { $group: { _id: '$item', completedAt: { $max: '$createdAt' } } }
+        ]);
+
+        const completedAt = {};
+        for (const result of results) {
+            completedAt[String(result._id)] = result.completedAt;
+        }
+        return completedAt;
+    }
+}
+
+export default new HistoryService();
@@ -0,0 +1,228 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import History from '../models/history.model.js';
+import historyService from './history.services.js';
+import taskService from './task.services.js';
+import subtaskService from './subtask.services.js';
+
+describe('History Service - Task and Subtask Audit Trail', () => {
+    let testManager, testStaff, testOutsider, testProject;
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        testManager = await User.create({
+            username: 'history.manager@example.com',
+            roles: ['manager'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+
+        testStaff = await User.create({
+            username: 'history.staff@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+
+        testOutsider = await User.create({
+            username: 'history.outsider@example.com',
+            roles: ['staff'],
+            department: 'sales',
+            hashed_password: 'password123'
+        });
+
+        testProject = await Project.create({
+            name: 'History Project',
+            owner: testManager._id,
+            members: [testStaff._id]
+        });
+    });
+
+    afterEach(async () => {
+        await Task.deleteMany({});
+        await Subtask.deleteMany({});
+        await History.collection.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await User.deleteMany({});
+        await Project.deleteMany({});
+    });
+
+    describe('diff', () => {
+        it('should return only the fields that changed', () => {
+            const before = { title: 'Old', status: 'To Do', priority: 5 };
+            const after = { title: 'New', status: 'To Do', priority: 5 };
+
+            const changes = historyService.diff(before, after, ['title', 'status', 'priority']);
+
+            expect(changes).toEqual([{ field: 'title', oldValue: 'Old', newValue: 'New' }]);
+        });
+
+        it('should ignore reordering of array values', () => {
+            const before = { assignee: ['a', 'b'] };
+            const after = { assignee: ['b', 'a'] };
+
+            expect(historyService.diff(before, after, ['assignee'])).toHaveLength(0);
+        });
+    });
+
+    describe('updateTask history', () => {
+        it('should record one entry per changed field with actor and values', async () => {
+            const task = await Task.create({
+                title: 'Audited task',
+                owner: testManager._id,
+                project: testProject._id,
+                assignee: [testStaff._id],
+                status: 'To Do',
+                priority: 5
+            });
+
+            await taskService.updateTask(task._id, { status: 'In Progress', priority: 8 }, testManager._id);
+
+            const entries = await History.find({ itemType: 'task', item: task._id }).sort({ field: 1 });
+            expect(entries).toHaveLength(2);
+            expect(entries[0].field).toBe('priority');
+            expect(entries[0].oldValue).toBe(5);
+            expect(entries[0].newValue).toBe(8);
+            expect(entries[1].field).toBe('status');
+            expect(entries[1].oldValue).toBe('To Do');
+            expect(entries[1].newValue).toBe('In Progress');
+            expect(entries[1].actor.toString()).toBe(testManager._id.toString());
+            expect(entries[1].project.toString()).toBe(testProject._id.toString());
+        });
+
+        it('should not record entries when nothing changed', async () => {
+            const task = await Task.create({
+                title: 'Unchanged task',
+                owner: testManager._id,
+                project: testProject._id,
+                assignee: [testStaff._id]
+            });
+
+            await taskService.updateTask(task._id, { title: 'Unchanged task' }, testManager._id);
+
+            const count = await History.countDocuments({ item: task._id });
+            expect(count).toBe(0);
+        });
+
+        it('should resolve assignee changes to usernames when reading history', async () => {
+            const task = await Task.create({
+                title: 'Reassigned task',
+                owner: testManager._id,
+                project: testProject._id,
+                assignee: [testStaff._id]
+            });
+
+            await taskService.updateTask(task._id, { assignee: [testStaff._id, testManager._id] }, testManager._id);
+
+            const history = await historyService.getHistory(task._id);
+            expect(history).toHaveLength(1);
+            expect(history[0].field).toBe('assignee');
+            expect(history[0].oldValue.map(u => u.username)).toEqual(['history.staff@example.com']);
+            expect(history[0].newValue.map(u => u.username)).toEqual([
+                'history.staff@example.com',
+                'history.manager@example.com'
+            ]);
+            expect(history[0].actor.username).toBe('history.manager@example.com');
+        });
+    });
+
+    describe('updateSubtask history', () => {
+        it('should record subtask field changes using subtask field names', async () => {
+            const parentTask = await Task.create({
+                title: 'Parent',
+                owner: testManager._id,
+                project: testProject._id,
+                assignee: [testStaff._id]
+            });
+            const subtask = await Subtask.create({
+                title: 'Audited subtask',
+                parentTaskId: parentTask._id,
+                projectId: testProject._id,
+                ownerId: testManager._id,
+                assigneeId: [testStaff._id]
+            });
+
+            await subtaskService.updateSubtask(subtask._id, { status: 'Completed' }, testManager._id);
+
+            const entries = await History.find({ itemType: 'subtask', item: subtask._id });
+            expect(entries).toHaveLength(1);
+            expect(entries[0].field).toBe('status');
+            expect(entries[0].newValue).toBe('Completed');
+        });
+    });
+
+    describe('getCompletedAtMap', () => {
+        it('should return the latest completion time per item', async () => {
+            const task = await Task.create({
+                title: 'Completed twice',
+                owner: testManager._id,
+                project: testProject._id,
+                assignee: [testStaff._id]
+            });
+            const first = new Date('2025-01-01T10:00:00Z');
+            const second = new Date('2025-01-05T10:00:00Z');
+            await History.create([
+                { itemType: 'task', item: task._id, field: 'status', oldValue: 'In Progress', newValue: 'Completed', createdAt: first },
+                { itemType: 'task', item: task._id, field: 'status', oldValue: 'Completed', newValue: 'In Progress', createdAt: first },
+                { itemType: 'task', item: task._id, field: 'status', oldValue: 'In Progress', newValue: 'Completed', createdAt: second }
+            ]);
+
+            const completedAt = await historyService.getCompletedAtMap('task', [task._id]);
+
+            expect(completedAt[task._id.toString()].toISOString()).toBe(second.toISOString());
+        });
+
+        it('should return an empty map when no ids are given', async () => {
+            expect(await historyService.getCompletedAtMap('task', [])).toEqual({});
+        });
+    });
+
+    describe('immutability', () => {
+        it('should reject updates to existing entries', async () => {
+            const entry = await History.create({
+                itemType: 'task',
+                item: new mongoose.Types.ObjectId(),
+                field: 'title',
+                oldValue: 'a',
+                newValue: 'b'
+            });
+
+            await expect(History.updateOne({ _id: entry._id }, { newValue: 'c' }))
+                .rejects.toThrow('History entries cannot be modified');
+
+            entry.newValue = 'c';
+            await expect(entry.save()).rejects.toThrow('History entries cannot be modified');
+        });
+    });
+
+    describe('getTaskHistory access', () => {
+        it('should allow project members and reject users without access', async () => {
+            const task = await Task.create({
+                title: 'Restricted history',
+                owner: testManager._id,
+                project: testProject._id,
+                assignee: [testManager._id]
+            });
+
+            const history = await taskService.getTaskHistory(task._id, testStaff);
+            expect(Array.isArray(history)).toBe(true);
+
+            await expect(taskService.getTaskHistory(task._id, testOutsider))
+                .rejects.toThrow('You do not have permission to view this task history');
+        });
+
+        it('should throw when the task does not exist', async () => {
+            await expect(taskService.getTaskHistory(new mongoose.Types.ObjectId(), testManager))
+                .rejects.toThrow('Task not found');
+        });
+    });
+});
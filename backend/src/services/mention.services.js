@@ -0,0 +1,76 @@
+import Project from '../models/project.model.js';
+import User from '../models/user.model.js';
+import notificationService from './notification.services.js';
+import { extractMentions } from '../utils/mention.utils.js';
+
+// Usernames are matched case-insensitively
+const USERNAME_COLLATION = { locale: 'en', strength: 2 };
+
+class MentionService {
+    /**
+     * Users mentioned in a comment. Unknown usernames are left as plain text;
+     * the author mentioning themselves is ignored.
+     * Throws if a mentioned user cannot see the project: admins, the project
+     * owner and members, and the item's owner and assignees can.
+     * @param {String} text - Comment text
+     * @param {Object} context - { projectId, authorId, participantIds }
+     * @returns {Array} Mentioned users ({ _id, username })
+     */
+    async resolveMentions(text, { projectId, authorId, participantIds = [] }) {
+        const usernames = extractMentions(text);
+        if (usernames.length === 0) {
+            return [];
+        }
+
+        const users = await User.find({ username: { $in: usernames } })
+            .collation(USERNAME_COLLATION)
+            .select('username roles')
+            .lean();
+        const mentioned = users.filter(user => String(user._id) !== String(authorId));
+        if (mentioned.length === 0) {
+            return [];
+        }
+
+        const project = projectId ? await Project.findById(projectId).select('owner members').lean() : null;
+        const allowed = new Set([
+            ...participantIds,
+            ...(project ? [project.owner, ...(project.members || [])] : [])
+        ].filter(Boolean).map(String));
+
+        const blocked = mentioned.filter(user =>
+            !(user.roles || []).includes('admin') && !allowed.has(String(user._id))
+        );
+        if (blocked.length > 0) {
+            const names = blocked.map(user => user.username).join(', ');
+            throw new Error(`Cannot mention ${names}: they do not have access to this project`);
+        }
+
+        return mentioned.map(user => ({ _id: user._id, username: user.username }));
+    }
+
+    /**
+     * Send a 'mention' notification to each user on the channels they chose
+     * ('comment-mention' over the socket for toasts)
+     * @param {Array} users - Mentioned users ({ _id })
+     * @param {Object} context - { io, userSockets, authorName, taskId, projectId, itemType, itemTitle, comment }
+     *   `taskId` is the task the comment belongs to (the parent task for subtasks)
+     */
+    async notifyMentions(users, { io, userSockets, authorName, taskId, projectId, itemType, itemTitle, comment }) {
+        if (!users || users.length === 0) {
+            return;
+        }
+
+        const message = `${authorName} mentioned you in a comment on ${itemType}: "${itemTitle}"`;
+
+        await notificationService.notify('mention', users, {
+            message,
+            task: taskId,
+            project: projectId,
+            data: { taskId, itemType, comment },
+            io,
+            userSockets
+        });
+    }
+}
+
+export default new MentionService();
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import mongoose from 'mongoose';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import notificationModel from '../models/notification.model.js';
+import mentionService from './mention.services.js';
+
+describe('Mention Service', () => {
+    let author, member, admin, outsider, project;
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        const createUser = (username, roles) => User.create({
+            username,
+            roles,
+            department: 'it',
+            hashed_password: 'password123'
+        });
+
+        author = await createUser('mention.author@example.com', ['staff']);
+        member = await createUser('Mention.Member@example.com', ['staff']);
+        admin = await createUser('mention.admin@example.com', ['admin']);
+        outsider = await createUser('mention.outsider@example.com', ['staff']);
+
+        project = await Project.create({
+            name: 'Mentions Project',
+            owner: author._id,
+            members: [member._id]
+        });
+    });
+
+    afterAll(async () => {
+        await notificationModel.deleteMany({});
+        await Project.deleteMany({});
+        await User.deleteMany({});
+    });
+
+    describe('resolveMentions', () => {
+        it('should resolve project members case-insensitively', async () => {
+            const users = await mentionService.resolveMentions('Ping @mention.member@example.com', {
+                projectId: project._id,
+                authorId: author._id
+            });
+
+            expect(users).toHaveLength(1);
+            expect(users[0]._id.equals(member._id)).toBe(true);
+        });
+
+        it('should allow admins and participants of the item', async () => {
+            const users = await mentionService.resolveMentions(
+                '@mention.admin@example.com @mention.outsider@example.com',
+                { projectId: project._id, authorId: author._id, participantIds: [outsider._id] }
+            );
+
+            expect(users.map(user => user.username).sort()).toEqual([
+                'mention.admin@example.com',
+                'mention.outsider@example.com'
+            ]);
+        });
+
+        it('should ignore unknown usernames and the author', async () => {
+            const users = await mentionService.resolveMentions(
+                '@nobody@example.com @mention.author@example.com',
+                { projectId: project._id, authorId: author._id }
+            );
+
+            expect(users).toEqual([]);
+        });
+
+        it('should reject users who cannot see the project', async () => {
+            await expect(mentionService.resolveMentions('@mention.outsider@example.com', {
+                projectId: project._id,
+                authorId: author._id
+            })).rejects.toThrow('Cannot mention mention.outsider@example.com: they do not have access to this project');
+        });
+    });
+
+    describe('notifyMentions', () => {
+        beforeEach(async () => {
+            await notificationModel.deleteMany({});
+        });
+
+        it('should create mention notifications and emit to online users', async () => {
+            const io = { to: vi.fn().mockReturnThis(), emit: vi.fn() };
+            const userSockets = new Map([[member._id.toString(), 'socket123']]);
+            const taskId = new mongoose.Types.ObjectId();
+
+            await mentionService.notifyMentions([member, admin], {
+                io,
+                userSockets,
+                authorName: author.username,
+                taskId,
+                projectId: project._id,
+                itemType: 'task',
+                itemTitle: 'Write docs',
+                comment: { text: 'hello' }
+            });
+
+            const notifications = await notificationModel.find({ type: 'mention' });
+            expect(notifications).toHaveLength(2);
+            expect(notifications[0].message).toBe('mention.author@example.com mentioned you in a comment on task: "Write docs"');
+            expect(notifications[0].task.equals(taskId)).toBe(true);
+
+            expect(io.to).toHaveBeenCalledTimes(1);
+            expect(io.to).toHaveBeenCalledWith('socket123');
+            expect(io.emit).toHaveBeenCalledWith('comment-mention', expect.objectContaining({
+                taskId,
+                itemType: 'task'
+            }));
+        });
+    });
+});
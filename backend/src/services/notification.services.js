@@ -0,0 +1,188 @@
+import mongoose from 'mongoose';
+import notificationModel from '../models/notification.model.js';
+import NotificationPreference from '../models/notification-preference.model.js';
+import User from '../models/user.model.js';
+import { sendEmail, generateNotificationEmail } from './email-notification.services.js';
+import {
+    NOTIFICATION_EVENTS, resolvePreferences, normalizePreferences, isChannelEnabled
+} from '../utils/notification.utils.js';
+import { resolveDigestSettings, normalizeDigestSettings } from '../utils/digest.utils.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const toIdString = (id) => String(id?._id || id);
+
+class NotificationService {
+    /**
+     * A user's channels for every event, with defaults for the ones never changed
+     */
+    async getPreferences(userId) {
+        return (await this.getSettings(userId)).preferences;
+    }
+
+    /**
+     * A user's channels for every event and their email digest settings
+     * @returns {Promise<Object>} { preferences, digest }
+     */
+    async getSettings(userId) {
+        const document = await NotificationPreference.findOne({ user: userId });
+        return {
+            preferences: resolvePreferences(document?.preferences),
+            digest: resolveDigestSettings(document?.digest)
+        };
+    }
+
+    /**
+     * Change some of a user's channels; events and channels not sent keep their setting
+     * @param {ObjectId} userId - The user
+     * @param {Object} input - { [event]: { [channel]: boolean } }
+     * @returns {Promise<Object>} The user's channels for every event
+     */
+    async updatePreferences(userId, input) {
+        return (await this.updateSettings(userId, { preferences: input })).preferences;
+    }
+
+    /**
+     * Change a user's channels and/or digest settings. Everything is checked
+     * before anything is saved; settings not sent keep their value.
+     * @param {ObjectId} userId - The user
+     * @param {Object} input - { preferences: { [event]: { [channel]: boolean } }, digest: { frequency, hour, timezone, weekday } }
+     * @returns {Promise<Object>} { preferences, digest }
+     */
+    async updateSettings(userId, { preferences: preferencesInput, digest: digestInput } = {}) {
+        if (preferencesInput === undefined && digestInput === undefined) {
+            throw new Error('Nothing to update: send preferences and/or digest');
+        }
+        const changes = preferencesInput !== undefined ? normalizePreferences(preferencesInput) : {};
+        const digestChanges = digestInput !== undefined ? normalizeDigestSettings(digestInput) : {};
+
+        const document = await NotificationPreference.findOne({ user: userId }) ||
+            new NotificationPreference({ user: userId });
+        const preferences = { ...(document.preferences || {}) };
+        Object.entries(changes).forEach(([event, channels]) => {
+            preferences[event] = { ...(preferences[event] || {}), ...channels };
+        });
+
+        document.preferences = preferences;
+        Object.entries(digestChanges).forEach(([key, value]) => {
+            document.digest[key] = value;
+        });
+        document.updatedAt = new Date();
+        document.markModified('preferences');
+        await document.save();
+
+        return {
+            preferences: resolvePreferences(preferences),
+            digest: resolveDigestSettings(document.digest)
+        };
+    }
+
+    /**
+     * Preferences and digest settings of several users at once
+     * @returns {Promise<Map>} User ID -> { preferences, digest }, resolved
+     */
+    async getSettingsByUser(userIds) {
+        const validIds = userIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+        const documents = validIds.length > 0
+            ? await NotificationPreference.find({ user: { $in: validIds } })
+            : [];
+        const storedByUser = new Map((documents || []).map(document => [toIdString(document.user), document]));
+        return new Map(userIds.map(id => [id, {
+            preferences: resolvePreferences(storedByUser.get(id)?.preferences),
+            digest: resolveDigestSettings(storedByUser.get(id)?.digest)
+        }]));
+    }
+
+    /**
+     * Send one notification to each recipient on the channels they chose for the
+     * event: a notification document (in-app), a socket event if they are online
+     * (toast) and an email. Every controller and service sends notifications
+     * through here.
+     * @param {string} event - Key of NOTIFICATION_EVENTS, also stored as the notification type
+     * @param {Array} recipients - User IDs (or documents with an _id); duplicates are sent once
+     * @param {Object} options
+     * @param {string} options.message - Text of the notification, toast and email
+     * @param {ObjectId} options.task / options.project / options.projectName / options.assignor / options.deadline -
+     *   Stored on the in-app notification
+     * @param {Object} options.data - Extra fields for the socket event, e.g. { taskId }
+     * @param {Object} options.email - { subject, html }; a generic email is used when not given
+     * @param {Object} options.io / options.userSockets - Socket.IO server and online users; no toasts without them
+     * @param {boolean} options.digestable - Leave the email to the digest for users who get one
+     * @returns {Promise<Object>} How many notifications went out per channel
+     */
+    async notify(event, recipients, {
+        message, task, project, projectName, assignor, deadline, data = {}, email, io, userSockets, digestable = false
+    } = {}) {
+        const definition = NOTIFICATION_EVENTS[event];
+        if (!definition) {
+            throw new Error(`Unknown notification event "${event}"`);
+        }
+
+        const userIds = [...new Set((recipients || []).filter(Boolean).map(toIdString))];
+        const sent = { inApp: 0, toast: 0, email: 0 };
+        if (userIds.length === 0) {
+            return sent;
+        }
+
+        const settingsByUser = await this.getSettingsByUser(userIds);
+        const wants = (channel) => userIds.filter(userId =>
+            isChannelEnabled(settingsByUser.get(userId).preferences, event, channel)
+        );
+
+        const inAppIds = wants('inApp');
+        await Promise.all(inAppIds.map(userId =>
+            notificationModel.create({
+                user: userId,
+                message,
+                type: event,
+                task,
+                project,
+                projectName,
+                assignor,
+                deadline
+            })
+        ));
+        sent.inApp = inAppIds.length;
+
+        if (io && userSockets) {
+            wants('toast').forEach(userId => {
+                const socketId = userSockets.get(userId);
+                if (socketId) {
+                    io.to(socketId).emit(definition.socketEvent, { message, ...data, timestamp: new Date() });
+                    sent.toast += 1;
+                }
+            });
+        }
+
+        const emailIds = wants('email').filter(userId =>
+            !digestable || settingsByUser.get(userId).digest.frequency === 'off'
+        );
+        if (emailIds.length > 0) {
+            sent.email = await this.sendEmails(emailIds, email || generateNotificationEmail({ message, projectName }), message);
+        }
+
+        return sent;
+    }
+
+    /**
+     * Email users whose username is an email address
+     * @returns {Promise<number>} Emails sent
+     */
+    async sendEmails(userIds, { subject, html }, text) {
+        const users = await User.find({ _id: { $in: userIds } }).select('username');
+        const addresses = (users || [])
+            .map(user => user.username)
+            .filter(username => {
+                const valid = EMAIL_PATTERN.test(username || '');
+                if (!valid) {
+                    console.warn(`Skipped ${username} — not a valid email.`);
+                }
+                return valid;
+            });
+
+        const results = await Promise.allSettled(addresses.map(address => sendEmail(address, subject, text, html)));
+        return results.filter(result => result.status === 'fulfilled' && result.value?.success).length;
+    }
+}
+
+export default new NotificationService();
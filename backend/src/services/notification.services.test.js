@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import mongoose from 'mongoose';
+import notificationModel from '../models/notification.model.js';
+import NotificationPreference from '../models/notification-preference.model.js';
+import notificationService from './notification.services.js';
+
+describe('Notification Service', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const otherId = new mongoose.Types.ObjectId();
+    const taskId = new mongoose.Types.ObjectId();
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+    });
+
+    beforeEach(async () => {
+        await NotificationPreference.deleteMany({});
+        await notificationModel.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await NotificationPreference.deleteMany({});
+        await notificationModel.deleteMany({});
+    });
+
+    describe('preferences', () => {
+        it('should return the defaults for users who never changed them', async () => {
+            const preferences = await notificationService.getPreferences(userId);
+
+            expect(preferences.comment).toEqual({ inApp: true, toast: true, email: false });
+            expect(preferences.deadline).toEqual({ inApp: true, toast: true, email: true });
+        });
+
+        it('should keep channels that were not sent', async () => {
+            await notificationService.updatePreferences(userId, { comment: { toast: false } });
+            const preferences = await notificationService.updatePreferences(userId, { comment: { email: true } });
+
+            expect(preferences.comment).toEqual({ inApp: true, toast: false, email: true });
+            expect(await NotificationPreference.countDocuments({ user: userId })).toBe(1);
+        });
+
+        it('should reject unknown events without saving', async () => {
+            await expect(notificationService.updatePreferences(userId, { nope: { inApp: true } }))
+                .rejects.toThrow('Unknown notification event "nope"');
+            expect(await NotificationPreference.countDocuments({ user: userId })).toBe(0);
+        });
+
+        it('should save digest settings next to the channels', async () => {
+            const settings = await notificationService.updateSettings(userId, {
+                digest: { frequency: 'weekly', hour: 18, timezone: 'Asia/Singapore' }
+            });
+
+            expect(settings.digest).toMatchObject({ frequency: 'weekly', hour: 18, timezone: 'Asia/Singapore', weekday: 1 });
+            expect((await notificationService.getSettings(userId)).digest.frequency).toBe('weekly');
+        });
+
+        it('should save nothing when part of the settings is invalid', async () => {
+            await expect(notificationService.updateSettings(userId, {
+                preferences: { comment: { email: true } },
+                digest: { timezone: 'Nowhere' }
+            })).rejects.toThrow('Unknown timezone "Nowhere"');
+            expect(await NotificationPreference.countDocuments({ user: userId })).toBe(0);
+        });
+    });
+
+    describe('notify', () => {
+        const io = { to: vi.fn().mockReturnThis(), emit: vi.fn() };
+
+        beforeEach(() => {
+            vi.clearAllMocks();
+        });
+
+        it('should send on the default channels once per recipient', async () => {
+            const userSockets = new Map([[String(userId), 'socket-1']]);
+
+            const sent = await notificationService.notify('comment', [userId, String(userId), null], {
+                message: 'New comment',
+                task: taskId,
+                data: { taskId },
+                io,
+                userSockets
+            });
+
+            expect(sent).toEqual({ inApp: 1, toast: 1, email: 0 });
+            const notifications = await notificationModel.find({ user: userId });
+            expect(notifications).toHaveLength(1);
+            expect(notifications[0].type).toBe('comment');
+            expect(io.to).toHaveBeenCalledWith('socket-1');
+            expect(io.emit).toHaveBeenCalledWith('task-comment', expect.objectContaining({ message: 'New comment', taskId }));
+        });
+
+        it('should skip the channels a user turned off', async () => {
+            await notificationService.updatePreferences(userId, { comment: { inApp: false, toast: false } });
+            const userSockets = new Map([[String(userId), 'socket-1'], [String(otherId), 'socket-2']]);
+
+            const sent = await notificationService.notify('comment', [userId, otherId], {
+                message: 'New comment',
+                io,
+                userSockets
+            });
+
+            expect(sent).toEqual({ inApp: 1, toast: 1, email: 0 });
+            expect(await notificationModel.countDocuments({ user: userId })).toBe(0);
+            expect(await notificationModel.countDocuments({ user: otherId })).toBe(1);
+            expect(io.to).toHaveBeenCalledWith('socket-2');
+            expect(io.to).not.toHaveBeenCalledWith('socket-1');
+        });
+
+        it('should leave digestable emails to the digest', async () => {
+            await notificationService.updateSettings(userId, { digest: { frequency: 'daily' } });
+            const sendEmails = vi.spyOn(notificationService, 'sendEmails').mockResolvedValue(1);
+
+            await notificationService.notify('deadline', [userId, otherId], { message: 'Due soon', digestable: true });
+
+            expect(sendEmails).toHaveBeenCalledWith([String(otherId)], expect.anything(), 'Due soon');
+            sendEmails.mockRestore();
+        });
+
+        it('should reject unknown events', async () => {
+            await expect(notificationService.notify('nope', [userId], { message: 'Hi' }))
+                .rejects.toThrow('Unknown notification event "nope"');
+        });
+    });
+});
@@ -1,4 +1,14 @@
+import mongoose from 'mongoose';
 import Project from '../models/project.model.js';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import Dependency from '../models/dependency.model.js';
+import tagService from './tag.services.js';
+import { buildTaskCopy, buildSubtaskCopy, getShiftDays, shiftDate, isBeforeToday } from '../utils/duplicate.utils.js';
+import { normalizeCustomFieldDefinitions } from '../utils/custom-field.utils.js';
+import {
+    DEFAULT_WORKFLOW_STATUSES, normalizeWorkflow, getWorkflowStatuses, getStatusNames, getInitialStatus, mapStatusToWorkflow
+} from '../utils/workflow.utils.js';
 
 class ProjectService {
 
@@ -13,15 +23,16 @@ class ProjectService {
      * - Priority: Optional, must be 1-10 if provided
      * - Status: Optional, must be valid enum value, defaults to "To Do"
      * - Tags: Optional, array of strings
+     * - Custom fields: Optional, field definitions (see custom-field.utils.js)
      * - Archived: Optional, boolean flag, defaults to false
      *
-     * @param {Object} projectData - Project data including name, description, status, priority, dueDate, tags, archived
+     * @param {Object} projectData - Project data including name, description, status, priority, dueDate, tags, customFields, workflow, archived, requireChecklistCompletion
      * @param {String} userId - ID of the user creating the project
      * @returns {Promise<Object>} Created project object
      * @throws {Error} If validation fails
      */
     async createProject(projectData, userId) {
-        const { name, description, members, status, priority, dueDate, tags, archived } = projectData;
+        const { name, description, members, status, priority, dueDate, tags, customFields, workflow, archived, requireChecklistCompletion } = projectData;
 
         // Validate name (required, non-empty)
         if (!name || name.trim() === '') {
@@ -77,6 +88,19 @@ class ProjectService {
             projectObj.tags = Array.isArray(tags) ? tags : [];
         }
 
+        if (customFields !== undefined) {
+            projectObj.customFields = normalizeCustomFieldDefinitions(customFields);
+        }
+
+        if (workflow !== undefined && workflow !== null) {
+            const { statuses, transitions } = normalizeWorkflow(workflow);
+            projectObj.workflow = { statuses, transitions };
+        }
+
+        if (requireChecklistCompletion !== undefined) {
+            projectObj.requireChecklistCompletion = requireChecklistCompletion === true;
+        }
+
         if (archived !== undefined) {
             projectObj.archived = archived;
             if (archived === true) {
@@ -85,7 +109,10 @@ class ProjectService {
         }
 
         const newProject = new Project(projectObj);
-        return await newProject.save();
+        const savedProject = await newProject.save();
+        // Project tags are registered as global tags
+        await tagService.registerTags(savedProject.tags, { userId });
+        return savedProject;
     }
 
     async getProjects(userId) {
@@ -123,6 +150,8 @@ class ProjectService {
      * - Due Date: Cannot be in the past if provided
      * - Priority: Must be 1-10 if provided
      * - Status: Must be valid enum value if provided
+     * - Workflow: Task statuses and transitions (see workflow.utils.js); items in removed
+     *   statuses move to the renamed status or the first status of the same category
      *
      * Archive Behavior:
      * - When project.archived changes from false to true: All project tasks are archived
@@ -228,6 +257,41 @@ class ProjectService {
             project.members = updateData.members;
         }
 
+        if (updateData.requireChecklistCompletion !== undefined) {
+            project.requireChecklistCompletion = updateData.requireChecklistCompletion === true;
+        }
+
+        // Workflow: { statuses: [{ name, category, previousName }], transitions: [{ from, to }] }
+        let workflowChange = null;
+        if (updateData.workflow !== undefined) {
+            const { statuses, transitions, renamed } = normalizeWorkflow(updateData.workflow);
+            workflowChange = {
+                previousStatuses: getWorkflowStatuses(project).map(({ name, category }) => ({ name, category })),
+                renamed
+            };
+            project.workflow = { statuses, transitions };
+
+            // WIP limits follow renamed statuses; limits of removed statuses are dropped
+            const names = new Set(statuses.map(status => status.name));
+            project.wipLimits = project.wipLimits
+                .map(entry => ({ status: renamed[entry.status] || entry.status, limit: entry.limit }))
+                .filter(entry => names.has(entry.status));
+        }
+
+        // Kanban WIP limits: [{ status, limit }], one per task status
+        if (updateData.wipLimits !== undefined) {
+            project.wipLimits = this.validateWipLimits(updateData.wipLimits, project);
+        }
+
+        // Custom fields: existing fields keep their key, new ones get one from their name
+        let removedFieldKeys = [];
+        if (updateData.customFields !== undefined) {
+            const customFields = normalizeCustomFieldDefinitions(updateData.customFields, project.customFields);
+            const keptKeys = new Set(customFields.map(field => field.key));
+            removedFieldKeys = project.customFields.map(field => field.key).filter(key => !keptKeys.has(key));
+            project.customFields = customFields;
+        }
+
         // Handle archiving: if archived status is changing to true, cascade to all tasks
         if (updateData.archived !== undefined) {
             // If archiving the project
@@ -271,7 +335,256 @@ class ProjectService {
         }
 
         project.updatedAt = new Date();
-        return await project.save();
+        const savedProject = await project.save();
+        if (updateData.tags !== undefined) {
+            await tagService.registerTags(savedProject.tags, { userId });
+        }
+        if (removedFieldKeys.length > 0) {
+            await this.removeCustomFieldValues(savedProject._id, removedFieldKeys);
+        }
+        if (workflowChange) {
+            await this.syncStatusCategories(savedProject, workflowChange);
+        }
+        return savedProject;
+    }
+
+    /**
+     * Remove the values of deleted custom fields from the project's tasks and subtasks
+     */
+    async removeCustomFieldValues(projectId, keys) {
+        const unset = Object.fromEntries(keys.map(key => [`customFields.${key}`, '']));
+        await Promise.all([
+            Task.updateMany({ project: projectId }, { $unset: unset }),
+            Subtask.updateMany({ projectId }, { $unset: unset })
+        ]);
+    }
+
+    /**
+     * Keep the project's tasks and subtasks in line with its workflow: items in removed
+     * statuses move to the renamed status or the first status of the same category, and
+     * every item gets the category of its status.
+     * @param {Object} project - Project with its (new) workflow
+     * @param {Object} change - { previousStatuses, renamed } when the workflow changed
+     */
+    async syncStatusCategories(project, { previousStatuses = [], renamed = {} } = {}) {
+        const statuses = getWorkflowStatuses(project);
+        const names = new Set(statuses.map(status => status.name));
+        const updateItems = (filter, update) => Promise.all([
+            Task.updateMany({ project: project._id, ...filter }, { $set: update }),
+            Subtask.updateMany({ projectId: project._id, ...filter }, { $set: update })
+        ]);
+
+        for (const previous of previousStatuses.filter(status => !names.has(status.name))) {
+            const status = names.has(renamed[previous.name])
+                ? renamed[previous.name]
+                : mapStatusToWorkflow(previous.name, previous.category, project);
+            await updateItems({ status: previous.name }, { status });
+        }
+
+        for (const { name, category } of statuses) {
+            await updateItems({ status: name, statusCategory: { $ne: category } }, { statusCategory: category });
+        }
+    }
+
+    /**
+     * Store the status category on tasks and subtasks saved before workflows existed.
+     * Safe to run repeatedly; items that already have the right category are left alone.
+     * @returns {{ tasks: Number, subtasks: Number }} Documents updated
+     */
+    async migrateStatusCategories() {
+        let tasks = 0;
+        let subtasks = 0;
+        const count = ([taskResult, subtaskResult]) => {
+            tasks += taskResult.modifiedCount;
+            subtasks += subtaskResult.modifiedCount;
+        };
+
+        // Items of projects using the default workflow
+        for (const { name, category } of DEFAULT_WORKFLOW_STATUSES) {
+            const filter = { status: name, statusCategory: { $exists: false } };
+            count(await Promise.all([
+                Task.updateMany(filter, { $set: { statusCategory: category } }),
+                Subtask.updateMany(filter, { $set: { statusCategory: category } })
+            ]));
+        }
+
+        // Projects with their own workflow
+        for await (const project of Project.find({ 'workflow.statuses.0': { $exists: true } }).select('workflow')) {
+            for (const { name, category } of project.workflow.statuses) {
+                const filter = { status: name, statusCategory: { $ne: category } };
+                count(await Promise.all([
+                    Task.updateMany({ project: project._id, ...filter }, { $set: { statusCategory: category } }),
+                    Subtask.updateMany({ projectId: project._id, ...filter }, { $set: { statusCategory: category } })
+                ]));
+            }
+        }
+
+        return { tasks, subtasks };
+    }
+
+    /**
+     * Validate Kanban WIP limits against the project's statuses.
+     * Entries without a limit are dropped (no limit for that column).
+     */
+    validateWipLimits(wipLimits, project = null) {
+        if (!Array.isArray(wipLimits)) {
+            throw new Error('WIP limits must be a list of { status, limit }');
+        }
+
+        const taskStatuses = getStatusNames(project);
+        const seen = new Set();
+
+        return wipLimits
+            .filter(entry => entry && entry.limit !== null && entry.limit !== undefined && entry.limit !== '')
+            .map(entry => {
+                if (!taskStatuses.includes(entry.status)) {
+                    const list = `${taskStatuses.slice(0, -1).join(', ')} and ${taskStatuses[taskStatuses.length - 1]}`;
+                    throw new Error(`WIP limits can only be set for ${list}`);
+                }
+                if (seen.has(entry.status)) {
+                    throw new Error(`Duplicate WIP limit for ${entry.status}`);
+                }
+                seen.add(entry.status);
+
+                const limit = Number(entry.limit);
+                if (!Number.isInteger(limit) || limit < 1) {
+                    throw new Error('WIP limits must be positive whole numbers');
+                }
+                return { status: entry.status, limit };
+            });
+    }
+
+    /**
+     * Duplicate a project with its tasks and subtasks
+     *
+     * Purpose: Start a new run of a project (e.g. next quarter's release) from an existing one
+     *
+     * Copy Rules:
+     * - The copy is owned by the acting user; the original owner and members become members
+     * - Non-archived tasks and subtasks are copied with their owners, assignees, tags,
+     *   priorities, checklists (unchecked) and recurrence settings, but no comments
+     * - Every status is reset to the workflow's first "todo" status and timeTaken to 0
+     * - Dependency links between the copied items are copied too
+     * - All dates move by the number of days between the original's creation date
+     *   and `startDate` (default today)
+     *
+     * @param {String} projectId - ID of the project to duplicate
+     * @param {Object} options - { name, startDate }; name defaults to "<name> (copy)"
+     * @param {String} userId - ID of the user duplicating the project
+     * @param {String} userRole - Role of the user (admins can duplicate any project)
+     * @returns {Promise<Object>} { project, taskCount, subtaskCount }
+     * @throws {Error} If the user cannot see the project or a shifted due date is in the past
+     */
+    async duplicateProject(projectId, { name, startDate } = {}, userId, userRole) {
+        if (!mongoose.Types.ObjectId.isValid(projectId)) {
+            throw new Error('Project not found');
+        }
+
+        const project = await Project.findById(projectId);
+        if (!project) {
+            throw new Error('Project not found');
+        }
+
+        const userIdStr = userId.toString();
+        const canView = userRole === 'admin'
+            || project.owner.toString() === userIdStr
+            || project.members.some(member => member.toString() === userIdStr);
+        if (!canView) {
+            throw new Error('You do not have permission to duplicate this project');
+        }
+
+        if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+            throw new Error('Project name cannot be empty');
+        }
+
+        const start = startDate ? new Date(startDate) : new Date();
+        if (isNaN(start.getTime())) {
+            throw new Error('Invalid start date');
+        }
+        const days = getShiftDays(project.createdAt, start);
+
+        const tasks = await Task.find({ project: project._id, archived: false });
+        const subtasks = await Subtask.find({
+            parentTaskId: { $in: tasks.map(task => task._id) },
+            archived: false
+        });
+
+        const projectDueDate = shiftDate(project.dueDate, days);
+        if (isBeforeToday(projectDueDate) || tasks.some(task => isBeforeToday(shiftDate(task.dueDate, days)))) {
+            throw new Error('Some due dates would be in the past; choose a later start date');
+        }
+
+        // New ids up front so subtasks and dependency links can point at the copies
+        const copyIds = new Map();
+        [...tasks, ...subtasks].forEach(item => copyIds.set(item._id.toString(), new mongoose.Types.ObjectId()));
+
+        const members = [...new Set([project.owner, ...project.members].map(id => id.toString()))]
+            .filter(id => id !== userIdStr);
+
+        const copy = await new Project({
+            name: name ? name.trim() : `${project.name} (copy)`,
+            description: project.description,
+            owner: userId,
+            members: [userId, ...members],
+            status: 'To Do',
+            priority: project.priority,
+            dueDate: projectDueDate,
+            tags: project.tags,
+            wipLimits: project.wipLimits,
+            customFields: project.customFields,
+            workflow: project.workflow,
+            requireChecklistCompletion: project.requireChecklistCompletion
+        }).save();
+
+        try {
+            await Task.insertMany(tasks.map(task => ({
+                ...buildTaskCopy(task, { days, overrides: { project: copy._id, status: getInitialStatus(copy) } }),
+                _id: copyIds.get(task._id.toString())
+            })));
+
+            await Subtask.insertMany(subtasks.map(subtask => ({
+                ...buildSubtaskCopy(subtask, {
+                    days,
+                    overrides: {
+                        parentTaskId: copyIds.get(subtask.parentTaskId.toString()),
+                        projectId: copy._id,
+                        status: getInitialStatus(copy)
+                    }
+                }),
+                _id: copyIds.get(subtask._id.toString())
+            })));
+
+            const links = await Dependency.find({ project: project._id }).lean();
+            const copiedLinks = links
+                .filter(link => copyIds.has(link.blocker.toString()) && copyIds.has(link.blocked.toString()))
+                .map(link => ({
+                    project: copy._id,
+                    blockerType: link.blockerType,
+                    blocker: copyIds.get(link.blocker.toString()),
+                    blockedType: link.blockedType,
+                    blocked: copyIds.get(link.blocked.toString()),
+                    createdBy: userId
+                }));
+            if (copiedLinks.length > 0) {
+                await Dependency.insertMany(copiedLinks);
+            }
+
+            await tagService.copyProjectTags(project._id, copy._id, userId);
+        } catch (error) {
+            // Leave no half-copied project behind
+            await tagService.deleteProjectTags(copy._id);
+            await Dependency.deleteMany({ project: copy._id });
+            await Subtask.deleteMany({ projectId: copy._id });
+            await Task.deleteMany({ project: copy._id });
+            await Project.deleteOne({ _id: copy._id });
+            throw error;
+        }
+
+        return {
+            project: await this.getProjectById(copy._id),
+            taskCount: tasks.length,
+            subtaskCount: subtasks.length
+        };
     }
 
     async deleteProject(projectId, userId) {
@@ -286,6 +599,7 @@ class ProjectService {
             throw new Error('Only project owner can delete the project');
         }
 
+        await tagService.deleteProjectTags(projectId);
         return await Project.findByIdAndDelete(projectId);
     }
 
@@ -293,7 +607,7 @@ class ProjectService {
         return await Project.find({})
             .populate('owner', 'username')
             .populate('members', 'username')
-            .select('name description status priority dueDate tags archived archivedAt owner members createdAt updatedAt')
+            .select('name description status priority dueDate tags customFields workflow wipLimits archived archivedAt owner members createdAt updatedAt')
             .sort({ name: 1 });
     }
 
@@ -311,7 +625,7 @@ class ProjectService {
         const projects = await Project.find({})
             .populate('owner', 'username')
             .populate('members', 'username')
-            .select('name description status priority dueDate tags archived archivedAt owner members createdAt updatedAt')
+            .select('name description status priority dueDate tags customFields workflow wipLimits archived archivedAt owner members createdAt updatedAt')
             .sort({ createdAt: -1 });
 
         // Normalize userId to string for consistent comparison
@@ -1,9 +1,12 @@
-import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
 import mongoose from 'mongoose';
 import { MongoMemoryServer } from 'mongodb-memory-server';
 import projectService from './project.services.js';
 import Project from '../models/project.model.js';
 import User from '../models/user.model.js';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import Dependency from '../models/dependency.model.js';
 
 let mongoServer;
 
@@ -773,6 +776,43 @@ describe('Project Service Test', () => {
 
             expect(updatedProject.updatedAt.getTime()).toBeGreaterThan(originalUpdatedAt.getTime());
         });
+
+        it('should set Kanban WIP limits and drop empty ones', async () => {
+            const updatedProject = await projectService.updateProject(
+                testProject._id,
+                {
+                    wipLimits: [
+                        { status: 'In Progress', limit: 3 },
+                        { status: 'Blocked', limit: null }
+                    ]
+                },
+                testUser._id,
+                'staff',
+                'engineering'
+            );
+
+            expect(updatedProject.wipLimits.map(w => ({ status: w.status, limit: w.limit }))).toEqual([
+                { status: 'In Progress', limit: 3 }
+            ]);
+        });
+
+        it('should reject invalid WIP limits', async () => {
+            await expect(projectService.updateProject(
+                testProject._id,
+                { wipLimits: [{ status: 'In Progress', limit: 0 }] },
+                testUser._id,
+                'staff',
+                'engineering'
+            )).rejects.toThrow('WIP limits must be positive whole numbers');
+
+            await expect(projectService.updateProject(
+                testProject._id,
+                { wipLimits: [{ status: 'Done', limit: 2 }] },
+                testUser._id,
+                'staff',
+                'engineering'
+            )).rejects.toThrow('WIP limits can only be set for To Do, In Progress, Blocked and Completed');
+        });
     });
 
     describe('deleteProject', () => {
@@ -831,6 +871,130 @@ describe('Project Service Test', () => {
         });
     });
 
+    describe('duplicateProject', () => {
+        const DAY_MS = 24 * 60 * 60 * 1000;
+        let sourceProject, firstTask, secondTask, subtask;
+
+        beforeEach(async () => {
+            // Started 30 days ago; the copy starts today, so everything moves 30 days later
+            const createdAt = new Date(Date.now() - 30 * DAY_MS);
+            sourceProject = await Project.create({
+                name: 'Release 1.0',
+                owner: testUser._id,
+                members: [otherUser._id],
+                status: 'In Progress',
+                requireChecklistCompletion: true,
+                dueDate: new Date(Date.now() + 5 * DAY_MS),
+                createdAt
+            });
+            firstTask = await Task.create({
+                title: 'Build',
+                owner: testUser._id,
+                assignee: [otherUser._id],
+                project: sourceProject._id,
+                status: 'Completed',
+                timeTaken: 240,
+                comments: [{ text: 'Built', author: testUser._id }]
+            });
+            secondTask = await Task.create({
+                title: 'Ship',
+                owner: testUser._id,
+                project: sourceProject._id,
+                dueDate: new Date(Date.now() + 2 * DAY_MS)
+            });
+            await Task.create({
+                title: 'Abandoned',
+                owner: testUser._id,
+                project: sourceProject._id,
+                archived: true
+            });
+            subtask = await Subtask.create({
+                title: 'Write changelog',
+                parentTaskId: secondTask._id,
+                projectId: sourceProject._id,
+                ownerId: otherUser._id,
+                status: 'In Progress',
+                timeTaken: 30,
+                dueDate: new Date(Date.now() + DAY_MS)
+            });
+            await Dependency.create({
+                project: sourceProject._id,
+                blockerType: 'task',
+                blocker: firstTask._id,
+                blockedType: 'subtask',
+                blocked: subtask._id
+            });
+        });
+
+        afterEach(async () => {
+            await Task.deleteMany({});
+            await Subtask.deleteMany({});
+            await Dependency.deleteMany({});
+        });
+
+        it('should copy the project, its tasks, subtasks and links with dates moved to the new start', async () => {
+            const result = await projectService.duplicateProject(sourceProject._id, {}, otherUser._id, 'staff');
+
+            expect(result.taskCount).toBe(2);
+            expect(result.subtaskCount).toBe(1);
+
+            const copy = result.project;
+            expect(copy.name).toBe('Release 1.0 (copy)');
+            expect(copy.status).toBe('To Do');
+            expect(copy.owner.username).toBe('otheruser@example.com');
+            expect(copy.members.map(m => m.username)).toEqual(['otheruser@example.com', 'projectowner@example.com']);
+            expect(copy.requireChecklistCompletion).toBe(true);
+            expect(copy.dueDate.getTime()).toBe(sourceProject.dueDate.getTime() + 30 * DAY_MS);
+
+            const tasks = await Task.find({ project: copy._id }).sort({ title: 1 });
+            expect(tasks.map(t => t.title)).toEqual(['Build', 'Ship']);
+            expect(tasks.every(t => t.status === 'To Do' && t.timeTaken === 0 && t.comments.length === 0)).toBe(true);
+            expect(String(tasks[0].owner)).toBe(String(testUser._id));
+            expect(tasks[1].dueDate.getTime()).toBe(secondTask.dueDate.getTime() + 30 * DAY_MS);
+
+            const subtasks = await Subtask.find({ projectId: copy._id });
+            expect(subtasks).toHaveLength(1);
+            expect(String(subtasks[0].parentTaskId)).toBe(String(tasks[1]._id));
+            expect(subtasks[0].status).toBe('To Do');
+            expect(subtasks[0].timeTaken).toBe(0);
+            expect(subtasks[0].dueDate.getTime()).toBe(subtask.dueDate.getTime() + 30 * DAY_MS);
+
+            const links = await Dependency.find({ project: copy._id });
+            expect(links).toHaveLength(1);
+            expect(String(links[0].blocker)).toBe(String(tasks[0]._id));
+            expect(String(links[0].blocked)).toBe(String(subtasks[0]._id));
+        });
+
+        it('should use the given name', async () => {
+            const result = await projectService.duplicateProject(sourceProject._id, { name: ' Release 2.0 ' }, testUser._id, 'staff');
+
+            expect(result.project.name).toBe('Release 2.0');
+        });
+
+        it('should refuse start dates that put due dates in the past', async () => {
+            const startDate = new Date(Date.now() - 40 * DAY_MS);
+
+            await expect(projectService.duplicateProject(sourceProject._id, { startDate }, testUser._id, 'staff'))
+                .rejects.toThrow('Some due dates would be in the past; choose a later start date');
+            expect(await Project.countDocuments({})).toBe(1);
+        });
+
+        it('should only let people who can see the project duplicate it', async () => {
+            const stranger = await User.create({
+                username: 'stranger@example.com',
+                roles: ['staff'],
+                department: 'sales',
+                hashed_password: 'password789'
+            });
+
+            await expect(projectService.duplicateProject(sourceProject._id, {}, stranger._id, 'staff'))
+                .rejects.toThrow('You do not have permission to duplicate this project');
+
+            const result = await projectService.duplicateProject(sourceProject._id, {}, adminUser._id, 'admin');
+            expect(result.taskCount).toBe(2);
+        });
+    });
+
     describe('Edge Cases', () => {
         it('should handle null values in project data', async () => {
             const projectData = {
@@ -0,0 +1,39 @@
+import ReminderLog from '../models/reminder-log.model.js';
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY = 11000;
+
+class ReminderService {
+    /**
+     * Record that a reminder is being sent, unless it already was
+     * @param {Object} reminder - { itemType, item, user, type, dueDate }
+     * @returns {Promise<boolean>} true when this call claimed the reminder and should send it
+     */
+    async claim({ itemType, item, user, type, dueDate }) {
+        try {
+            await ReminderLog.create({ itemType, item, user, type, dueDate, sentAt: new Date() });
+            return true;
+        } catch (error) {
+            if (error.code === DUPLICATE_KEY) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Forget a claimed reminder whose sending failed, so the next check retries it
+     */
+    async release({ item, user, type, dueDate }) {
+        await ReminderLog.deleteOne({ item, user, type, dueDate });
+    }
+
+    /**
+     * Forget all reminders of an item, after its due date changed
+     */
+    async resetReminders(itemId) {
+        await ReminderLog.deleteMany({ item: itemId });
+    }
+}
+
+export default new ReminderService();
@@ -0,0 +1,234 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import ReminderLog from '../models/reminder-log.model.js';
+import notificationModel from '../models/notification.model.js';
+import { sendEmail, checkTasksAndNotify } from './email-notification.services.js';
+import reminderService from './reminder.services.js';
+import taskService from './task.services.js';
+
+vi.mock('./email-notification.services.js', async (importOriginal) => ({
+    ...(await importOriginal()),
+    sendEmail: vi.fn()
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Reminder Service', () => {
+    const now = new Date('2025-03-03T09:00:00Z');
+    let testStaff, testOwner, testProject;
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        testStaff = await User.create({
+            username: 'reminder.staff@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testOwner = await User.create({
+            username: 'reminder.owner@example.com',
+            roles: ['manager'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testProject = await Project.create({
+            name: 'Reminder Project',
+            owner: testOwner._id,
+            members: [testStaff._id]
+        });
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        await Task.deleteMany({});
+        await Subtask.deleteMany({});
+        await ReminderLog.deleteMany({});
+        await notificationModel.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await Project.deleteMany({ _id: testProject._id });
+        await User.deleteMany({ _id: { $in: [testStaff._id, testOwner._id] } });
+        delete process.env.REMINDER_NOTIFY_PROJECT_OWNER;
+    });
+
+    const createTask = (title, overrides = {}) => Task.create({
+        title,
+        owner: testStaff._id,
+        project: testProject._id,
+        assignee: [testStaff._id],
+        ...overrides
+    });
+
+    describe('claim', () => {
+        it('should claim a reminder once', async () => {
+            const reminder = {
+                itemType: 'task',
+                item: new mongoose.Types.ObjectId(),
+                user: testStaff._id,
+                type: 'before-1d',
+                dueDate: now
+            };
+
+            expect(await reminderService.claim(reminder)).toBe(true);
+            expect(await reminderService.claim(reminder)).toBe(false);
+            expect(await reminderService.claim({ ...reminder, type: 'before-1h' })).toBe(true);
+            expect(await reminderService.claim({ ...reminder, dueDate: new Date(now.getTime() + DAY_MS) })).toBe(true);
+        });
+
+        it('should let a released reminder be claimed again', async () => {
+            const reminder = {
+                itemType: 'task',
+                item: new mongoose.Types.ObjectId(),
+                user: testStaff._id,
+                type: 'overdue-1',
+                dueDate: now
+            };
+
+            await reminderService.claim(reminder);
+            await reminderService.release(reminder);
+
+            expect(await reminderService.claim(reminder)).toBe(true);
+        });
+    });
+
+    describe('checkTasksAndNotify', () => {
+        it('should send each reminder once however often it runs', async () => {
+            await createTask('Due tomorrow', { dueDate: new Date(now.getTime() + 20 * HOUR_MS) });
+
+            await checkTasksAndNotify(now);
+            await checkTasksAndNotify(new Date(now.getTime() + HOUR_MS));
+
+            expect(sendEmail).toHaveBeenCalledTimes(1);
+            expect(await ReminderLog.countDocuments({ type: 'before-1d' })).toBe(1);
+        });
+
+        it('should send the next offset and one reminder per overdue day', async () => {
+            await createTask('Due soon', { dueDate: new Date(now.getTime() + 2 * HOUR_MS) });
+
+            await checkTasksAndNotify(now);
+            await checkTasksAndNotify(new Date(now.getTime() + 90 * 60 * 1000));
+            await checkTasksAndNotify(new Date(now.getTime() + 3 * HOUR_MS));
+            await checkTasksAndNotify(new Date(now.getTime() + 4 * HOUR_MS));
+            await checkTasksAndNotify(new Date(now.getTime() + DAY_MS + 3 * HOUR_MS));
+
+            const types = (await ReminderLog.find().sort({ sentAt: 1 })).map(log => log.type);
+            expect(types.sort()).toEqual(['before-1d', 'before-1h', 'overdue-1', 'overdue-2']);
+            expect(sendEmail).toHaveBeenCalledTimes(4);
+        });
+
+        it('should skip done tasks and tasks not due yet', async () => {
+            await createTask('Done', { dueDate: now, status: 'Completed', statusCategory: 'done' });
+            await createTask('Next week', { dueDate: new Date(now.getTime() + 7 * DAY_MS) });
+
+            await checkTasksAndNotify(now);
+
+            expect(sendEmail).not.toHaveBeenCalled();
+            expect(await ReminderLog.countDocuments()).toBe(0);
+        });
+
+        it('should send the reminders again after the due date changes', async () => {
+            const task = await createTask('Moved', { dueDate: new Date(now.getTime() + 20 * HOUR_MS) });
+            await checkTasksAndNotify(now);
+
+            await taskService.updateTask(task._id, { dueDate: new Date(now.getTime() + 10 * HOUR_MS) }, testStaff._id);
+            await checkTasksAndNotify(now);
+
+            expect(sendEmail).toHaveBeenCalledTimes(2);
+            expect(await ReminderLog.countDocuments({ item: task._id })).toBe(1);
+        });
+
+        it('should remind subtask assignees and owners in-app and with a pop-up', async () => {
+            const parent = await createTask('Parent');
+            const subtask = await Subtask.create({
+                title: 'Due subtask',
+                parentTaskId: parent._id,
+                projectId: testProject._id,
+                assigneeId: [testStaff._id],
+                ownerId: testOwner._id,
+                dueDate: new Date(now.getTime() + 20 * HOUR_MS)
+            });
+            const io = { to: vi.fn().mockReturnThis(), emit: vi.fn() };
+            const userSockets = new Map([[String(testStaff._id), 'socket-1']]);
+
+            await checkTasksAndNotify(now, { io, userSockets });
+
+            const logs = await ReminderLog.find({ item: subtask._id });
+            expect(logs.map(log => String(log.user)).sort())
+                .toEqual([String(testStaff._id), String(testOwner._id)].sort());
+            expect(logs.every(log => log.itemType === 'subtask')).toBe(true);
+            const notifications = await notificationModel.find({ type: 'deadline' });
+            expect(notifications).toHaveLength(2);
+            expect(String(notifications[0].task)).toBe(String(parent._id));
+            expect(notifications[0].message).toBe('REMINDER: Subtask "Due subtask" Deadline Approaching');
+            expect(io.to).toHaveBeenCalledWith('socket-1');
+            expect(io.emit).toHaveBeenCalledWith('task-deadline', expect.objectContaining({
+                subtaskId: subtask._id,
+                taskId: parent._id
+            }));
+            expect(sendEmail).toHaveBeenCalledTimes(2);
+        });
+
+        it('should remind due tasks and subtasks in the same run', async () => {
+            const dueDate = new Date(now.getTime() + 20 * HOUR_MS);
+            const task = await createTask('Due task', { dueDate });
+            const subtask = await Subtask.create({
+                title: 'Due subtask',
+                parentTaskId: task._id,
+                projectId: testProject._id,
+                assigneeId: [testStaff._id],
+                ownerId: testStaff._id,
+                dueDate
+            });
+
+            await checkTasksAndNotify(now);
+
+            expect(await ReminderLog.exists({ item: task._id, type: 'before-1d' })).not.toBeNull();
+            expect(await ReminderLog.exists({ item: subtask._id, type: 'before-1d' })).not.toBeNull();
+            expect(sendEmail).toHaveBeenCalledTimes(2);
+        });
+
+        it('should tell the project owner about overdue items only when configured', async () => {
+            const task = await createTask('Late', { dueDate: new Date(now.getTime() - HOUR_MS) });
+
+            await checkTasksAndNotify(now);
+            expect(await ReminderLog.exists({ item: task._id, user: testOwner._id })).toBeNull();
+
+            process.env.REMINDER_NOTIFY_PROJECT_OWNER = 'true';
+            await checkTasksAndNotify(now);
+            delete process.env.REMINDER_NOTIFY_PROJECT_OWNER;
+
+            expect(await ReminderLog.exists({ item: task._id, user: testOwner._id, type: 'overdue-1' })).not.toBeNull();
+            expect(sendEmail).toHaveBeenCalledTimes(2);
+        });
+
+        it('should skip archived items, projects and parent tasks', async () => {
+            const dueDate = new Date(now.getTime() - HOUR_MS);
+            const archivedProject = await Project.create({ name: 'Archived', owner: testOwner._id, archived: true });
+            await createTask('Archived task', { dueDate, archived: true });
+            await createTask('In archived project', { dueDate, project: archivedProject._id });
+            const archivedParent = await createTask('Archived parent', { archived: true });
+            await Subtask.create({
+                title: 'Under archived parent',
+                parentTaskId: archivedParent._id,
+                projectId: testProject._id,
+                ownerId: testStaff._id,
+                dueDate
+            });
+
+            await checkTasksAndNotify(now);
+
+            expect(await ReminderLog.countDocuments()).toBe(0);
+            expect(sendEmail).not.toHaveBeenCalled();
+            await Project.deleteMany({ _id: archivedProject._id });
+        });
+    });
+});
@@ -2,6 +2,10 @@ import Task from '../models/task.model.js';
 import Subtask from '../models/subtask.model.js';
 import Project from '../models/project.model.js';
 import User from '../models/user.model.js';
+import historyService from './history.services.js';
+import timeEntryService from './time-entry.services.js';
+import { getCustomFieldUserIds, formatCustomFieldValue } from '../utils/custom-field.utils.js';
+import { CATEGORY_LABELS, getItemStatusCategory } from '../utils/workflow.utils.js';
 import xlsx from 'xlsx';
 import puppeteer from 'puppeteer';
 
@@ -45,6 +49,7 @@ class ReportService {
                     total: 0,
                     totalLoggedTime: '0 min'
                 },
+                customFieldColumns: [],
                 metadata: reportMetadata
             };
         }
@@ -85,19 +90,23 @@ class ReportService {
             return subtask;
         }));
 
+        const { taskTime, subtaskTime } = await this.getLoggedTimeByItem(tasks, subtasks);
+
         const mappedSubtasks = populatedSubtasks.map(subtask => ({
             _id: subtask._id,
             title: subtask.title,
             dueDate: subtask.dueDate,
             priority: subtask.priority,
             tags: subtask.tags,
+            customFields: subtask.customFields,
             description: subtask.description,
             owner: subtask.ownerId,
             assignee: subtask.assigneeId ? [subtask.assigneeId] : [],
             project: subtask.projectId,
             createdAt: subtask.createdAt,
             status: subtask.status,
-            loggedTime: subtask.timeTaken || 0
+            statusCategory: subtask.statusCategory,
+            ...this.getLoggedTimeFields(subtaskTime, subtask)
         }));
 
         const mappedTasks = tasks.map(task => ({
@@ -105,10 +114,11 @@ class ReportService {
             owner: task.owner,
             assignee: Array.isArray(task.assignee) ? task.assignee : (task.assignee ? [task.assignee] : []),
             project: task.project,
-            loggedTime: task.timeTaken || 0
+            ...this.getLoggedTimeFields(taskTime, task)
         }));
 
         const combinedItems = [...mappedTasks, ...mappedSubtasks];
+        const customFieldColumns = await this.getCustomFieldColumns(combinedItems);
         const statuses = ['To Do', 'In Progress', 'Blocked', 'Completed'];
         const grouped = {};
         statuses.forEach(status => { grouped[status] = []; });
@@ -116,7 +126,8 @@ class ReportService {
         let totalLoggedTime = 0;
 
         combinedItems.forEach(item => {
-            if (grouped[item.status]) {
+            const group = CATEGORY_LABELS[getItemStatusCategory(item)];
+            if (grouped[group]) {
                 const formatted = {
                     id: item._id.toString(),
                     title: item.title,
@@ -128,9 +139,11 @@ class ReportService {
                     assignee: (item.assignee && item.assignee.length > 0 && item.assignee[0] && item.assignee[0].username) ? item.assignee.map(a => a.username).join(', ') : 'Unassigned',
                     project: item.project ? item.project.name : 'No project',
                     createdAt: this.formatDate(item.createdAt),
-                    loggedTime: this.formatLoggedTime(item.loggedTime || 0)
+                    loggedTime: this.formatLoggedTime(item.loggedTime || 0),
+                    loggedBy: this.formatLoggedBy(item.loggedBy),
+                    customFields: customFieldColumns.format(item)
                 };
-                grouped[item.status].push(formatted);
+                grouped[group].push(formatted);
                 totalLoggedTime += item.loggedTime || 0;
             }
         });
@@ -153,6 +166,7 @@ class ReportService {
         return {
             data: grouped,
             aggregates: aggregateCounts,
+            customFieldColumns: customFieldColumns.columns,
             metadata: reportMetadata
         };
     }
@@ -186,34 +200,39 @@ class ReportService {
             .populate('ownerId', 'username')
             .populate('assigneeId', 'username')
             .sort({ createdAt: 1 });
+        const { taskTime, subtaskTime } = await this.getLoggedTimeByItem(tasks, subtasks);
         const mappedSubtasks = subtasks.map(subtask => ({
             _id: subtask._id,
             title: subtask.title,
             dueDate: subtask.dueDate,
             priority: subtask.priority,
             tags: subtask.tags,
+            customFields: subtask.customFields,
             description: subtask.description,
             owner: subtask.ownerId,
             assignee: subtask.assigneeId ? [subtask.assigneeId] : [],
             project: project,
             createdAt: subtask.createdAt,
             status: subtask.status,
-            loggedTime: subtask.timeTaken || 0
+            statusCategory: subtask.statusCategory,
+            ...this.getLoggedTimeFields(subtaskTime, subtask)
         }));
         const mappedTasks = tasks.map(task => ({
             ...task.toObject(),
             owner: task.owner,
             assignee: Array.isArray(task.assignee) ? task.assignee : (task.assignee ? [task.assignee] : []),
             project: task.project,
-            loggedTime: task.timeTaken || 0
+            ...this.getLoggedTimeFields(taskTime, task)
         }));
         const combinedItems = [...mappedTasks, ...mappedSubtasks];
+        const customFieldColumns = await this.getCustomFieldColumns(combinedItems);
         const statuses = ['To Do', 'In Progress', 'Blocked', 'Completed'];
         const grouped = {};
         statuses.forEach(status => { grouped[status] = []; });
         let totalLoggedTime = 0;
         combinedItems.forEach(item => {
-            if (grouped[item.status]) {
+            const group = CATEGORY_LABELS[getItemStatusCategory(item)];
+            if (grouped[group]) {
                 const formatted = {
                     id: item._id.toString(),
                     title: item.title,
@@ -225,9 +244,11 @@ class ReportService {
                     assignee: (item.assignee && item.assignee.length > 0 && item.assignee[0] && item.assignee[0].username) ? item.assignee.map(a => a.username).join(', ') : 'Unassigned',
                     project: item.project ? item.project.name : 'No project',
                     createdAt: this.formatDate(item.createdAt),
-                    loggedTime: this.formatLoggedTime(item.loggedTime || 0)
+                    loggedTime: this.formatLoggedTime(item.loggedTime || 0),
+                    loggedBy: this.formatLoggedBy(item.loggedBy),
+                    customFields: customFieldColumns.format(item)
                 };
-                grouped[item.status].push(formatted);
+                grouped[group].push(formatted);
                 totalLoggedTime += item.loggedTime || 0;
             }
         });
@@ -249,10 +270,52 @@ class ReportService {
         return {
             data: grouped,
             aggregates: aggregateCounts,
+            customFieldColumns: customFieldColumns.columns,
             metadata: reportMetadata
         };
     }
 
+    /**
+     * Load time entry totals for the report's tasks and subtasks
+     * @param {Array} tasks
+     * @param {Array} subtasks
+     * @returns {Object} { taskTime, subtaskTime } maps keyed by item ID
+     */
+    async getLoggedTimeByItem(tasks, subtasks) {
+        const [taskTime, subtaskTime] = await Promise.all([
+            timeEntryService.getLoggedTimeByItem('task', tasks.map(t => t._id)),
+            timeEntryService.getLoggedTimeByItem('subtask', subtasks.map(s => s._id))
+        ]);
+        return { taskTime, subtaskTime };
+    }
+
+    /**
+     * Logged minutes and per-user breakdown for an item, falling back to the
+     * stored timeTaken for items logged before time entries existed
+     * @param {Map} timeByItem - Result of timeEntryService.getLoggedTimeByItem
+     * @param {Object} item - Task or subtask
+     * @returns {Object} { loggedTime, loggedBy }
+     */
+    getLoggedTimeFields(timeByItem, item) {
+        const logged = timeByItem.get(item._id.toString());
+        if (!logged) {
+            return { loggedTime: item.timeTaken || 0, loggedBy: [] };
+        }
+        return { loggedTime: logged.minutes, loggedBy: logged.byUser };
+    }
+
+    /**
+     * Format a per-user breakdown as "alice: 1 hour, bob: 30 min"
+     * @param {Array} loggedBy - [{ username, minutes }]
+     * @returns {String}
+     */
+    formatLoggedBy(loggedBy) {
+        if (!loggedBy || loggedBy.length === 0) {
+            return 'No entries';
+        }
+        return loggedBy.map(u => `${u.username}: ${this.formatLoggedTime(u.minutes)}`).join(', ');
+    }
+
     /**
      * Format logged time in minutes to human readable string
      * Displays as "X days Y hours Z minutes" for clarity
@@ -275,8 +338,54 @@ class ReportService {
     }
 
     /**
-     * Format tags from hash-delimited string to comma-space separated for display
-     * @param {String} tags - Tags string (hash-delimited: 'tag1#tag2#tag3')
+     * Extra report columns for the custom fields of the items' projects, one per field name
+     * @param {Array} items - Tasks and mapped subtasks, with `project` and `customFields`
+     * @returns {Object} { columns, format } where format(item) returns the item's values keyed by column
+     */
+    async getCustomFieldColumns(items) {
+        const projectIdOf = (item) => String(item.project?._id || item.project || '');
+        const projectIds = [...new Set(items.map(projectIdOf).filter(Boolean))];
+        const projects = projectIds.length > 0
+            ? await Project.find({ _id: { $in: projectIds } }).select('customFields').lean()
+            : [];
+        const fieldsByProject = new Map(projects.map(project => [String(project._id), project.customFields || []]));
+        const columns = [...new Set(projects.flatMap(project => (project.customFields || []).map(field => field.name)))];
+
+        // Usernames for "user" fields
+        const userIds = [...new Set(items.flatMap(item =>
+            getCustomFieldUserIds(fieldsByProject.get(projectIdOf(item)), item.customFields)
+        ))];
+        const users = userIds.length > 0
+            ? await User.find({ _id: { $in: userIds } }).select('username').lean()
+            : [];
+        const usernames = Object.fromEntries(users.map(user => [String(user._id), user.username]));
+
+        const format = (item) => Object.fromEntries(
+            (fieldsByProject.get(projectIdOf(item)) || []).map(field => [
+                field.name,
+                formatCustomFieldValue(field, item.customFields?.[field.key], {
+                    usernames,
+                    formatDate: (date) => this.formatDate(date)
+                })
+            ])
+        );
+
+        return { columns, format };
+    }
+
+    /**
+     * Worksheet cells for a formatted item's custom field columns
+     * @param {Array} columns - Column names from getCustomFieldColumns
+     * @param {Object} item - Formatted report item
+     * @returns {Array} One cell per column
+     */
+    getCustomFieldCells(columns, item) {
+        return columns.map(column => item.customFields?.[column] ?? '');
+    }
+
+    /**
+     * Format tags as a comma-space separated list for display
+     * @param {Array|String} tags - Tag names, or a legacy hash-delimited string ('tag1#tag2#tag3')
      * @returns {String} Formatted tags ('tag1, tag2, tag3') or 'No tags'
      */
     formatTags(tags) {
@@ -290,7 +399,6 @@ class ReportService {
             return tagArray.length > 0 ? tagArray.join(', ') : 'No tags';
         }
         
-        // Handle unexpected array format (for robustness)
         if (Array.isArray(tags)) {
             return tags.length > 0 ? tags.join(', ') : 'No tags';
         }
@@ -306,11 +414,12 @@ class ReportService {
     async generateDepartmentLoggedTimeExcelReport(reportData) {
         const workbook = xlsx.utils.book_new();
         const statuses = ['To Do', 'In Progress', 'Blocked', 'Completed'];
+        const customFieldColumns = reportData.customFieldColumns || [];
         
         statuses.forEach(status => {
             const tasks = reportData.data[status];
             const worksheetData = [
-                ['Task ID', 'Task Name', 'Deadline', 'Priority', 'Tags', 'Owner', 'Assignee', 'Project', 'Created At', 'Description', 'Logged Time']
+                ['Task ID', 'Task Name', 'Deadline', 'Priority', 'Tags', 'Owner', 'Assignee', 'Project', 'Created At', 'Description', 'Logged Time', 'Logged By', ...customFieldColumns]
             ];
             tasks.forEach(task => {
                 worksheetData.push([
@@ -324,13 +433,16 @@ class ReportService {
                     task.project,
                     task.createdAt,
                     task.description,
-                    task.loggedTime
+                    task.loggedTime,
+                    task.loggedBy,
+                    ...this.getCustomFieldCells(customFieldColumns, task)
                 ]);
             });
             const worksheet = xlsx.utils.aoa_to_sheet(worksheetData);
             worksheet['!cols'] = [
                 { wch: 25 }, { wch: 30 }, { wch: 15 }, { wch: 10 }, { wch: 20 },
-                { wch: 15 }, { wch: 15 }, { wch: 20 }, { wch: 15 }, { wch: 40 }, { wch: 12 }
+                { wch: 15 }, { wch: 15 }, { wch: 20 }, { wch: 15 }, { wch: 40 }, { wch: 12 }, { wch: 30 },
+                ...customFieldColumns.map(() => ({ wch: 20 }))
             ];
             xlsx.utils.book_append_sheet(workbook, worksheet, status);
         });
@@ -437,6 +549,7 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
                     html += `<div class=\"task-field\"><span class=\"field-label\">Created:</span> ${task.createdAt}</div>`;
                     html += `<div class=\"task-field\"><span class=\"field-label\">Description:</span> ${task.description || 'No description'}</div>`;
                     html += `<div class=\"task-field\"><span class=\"field-label\">Logged Time:</span> ${task.loggedTime}</div>`;
+                    html += `<div class="task-field"><span class="field-label">Logged By:</span> ${task.loggedBy}</div>`;
                     html += `</div>`;
                 });
             }
@@ -454,10 +567,11 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
     async generateProjectLoggedTimeExcelReport(reportData) {
         const workbook = xlsx.utils.book_new();
         const statuses = ['To Do', 'In Progress', 'Blocked', 'Completed'];
+        const customFieldColumns = reportData.customFieldColumns || [];
         statuses.forEach(status => {
             const tasks = reportData.data[status];
             const worksheetData = [
-                ['Task ID', 'Task Name', 'Deadline', 'Priority', 'Tags', 'Owner', 'Assignee', 'Project', 'Created At', 'Description', 'Logged Time']
+                ['Task ID', 'Task Name', 'Deadline', 'Priority', 'Tags', 'Owner', 'Assignee', 'Project', 'Created At', 'Description', 'Logged Time', 'Logged By', ...customFieldColumns]
             ];
             tasks.forEach(task => {
                 worksheetData.push([
@@ -471,13 +585,16 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
                     task.project,
                     task.createdAt,
                     task.description,
-                    task.loggedTime
+                    task.loggedTime,
+                    task.loggedBy,
+                    ...this.getCustomFieldCells(customFieldColumns, task)
                 ]);
             });
             const worksheet = xlsx.utils.aoa_to_sheet(worksheetData);
             worksheet['!cols'] = [
                 { wch: 25 }, { wch: 30 }, { wch: 15 }, { wch: 10 }, { wch: 20 },
-                { wch: 15 }, { wch: 15 }, { wch: 20 }, { wch: 15 }, { wch: 40 }, { wch: 12 }
+                { wch: 15 }, { wch: 15 }, { wch: 20 }, { wch: 15 }, { wch: 40 }, { wch: 12 }, { wch: 30 },
+                ...customFieldColumns.map(() => ({ wch: 20 }))
             ];
             xlsx.utils.book_append_sheet(workbook, worksheet, status);
         });
@@ -581,6 +698,7 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
                     html += `<div class=\"task-field\"><span class=\"field-label\">Created:</span> ${task.createdAt}</div>`;
                     html += `<div class=\"task-field\"><span class=\"field-label\">Description:</span> ${task.description || 'No description'}</div>`;
                     html += `<div class=\"task-field\"><span class=\"field-label\">Logged Time:</span> ${task.loggedTime}</div>`;
+                    html += `<div class="task-field"><span class="field-label">Logged By:</span> ${task.loggedBy}</div>`;
                     html += `</div>`;
                 });
             }
@@ -640,16 +758,20 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
             dueDate: subtask.dueDate,
             priority: subtask.priority,
             tags: subtask.tags,
+            customFields: subtask.customFields,
             description: subtask.description,
             owner: subtask.ownerId, // Map ownerId to owner
             assignee: subtask.assigneeId || [], // assigneeId is already an array
             project: project, // Use the already fetched project
             createdAt: subtask.createdAt,
-            status: subtask.status
+            status: subtask.status,
+            statusCategory: subtask.statusCategory
         }));
 
         // Combine tasks and subtasks
         const combinedItems = [...tasks, ...mappedSubtasks];
+        const completedAtById = await this.getCompletedAtById(tasks, subtasks);
+        const customFieldColumns = await this.getCustomFieldColumns(combinedItems);
 
         return this.processTasksForReport(combinedItems, 'project', { 
             projectId, 
@@ -657,7 +779,7 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
             projectOwner: project.owner.username,
             startDate, 
             endDate 
-        });
+        }, completedAtById, customFieldColumns);
     }
 
     /**
@@ -727,34 +849,60 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
             dueDate: subtask.dueDate,
             priority: subtask.priority,
             tags: subtask.tags,
+            customFields: subtask.customFields,
             description: subtask.description,
             owner: subtask.ownerId, // Map ownerId to owner
             assignee: subtask.assigneeId || [], // assigneeId is already an array
             project: subtask.projectId, // Map projectId to project
             createdAt: subtask.createdAt,
-            status: subtask.status
+            status: subtask.status,
+            statusCategory: subtask.statusCategory
         }));
 
         // Combine tasks and subtasks
         const combinedItems = [...tasks, ...mappedSubtasks];
+        const completedAtById = await this.getCompletedAtById(tasks, subtasks);
+        const customFieldColumns = await this.getCustomFieldColumns(combinedItems);
 
         return this.processTasksForReport(combinedItems, 'user', { 
             userId, 
             username: user.username,
             startDate, 
             endDate 
-        });
+        }, completedAtById, customFieldColumns);
+    }
+
+    /**
+     * Look up when completed tasks and subtasks were completed, from their history
+     * @param {Array} tasks - Task documents
+     * @param {Array} subtasks - Subtask documents
+     * @returns {Object} Completion timestamps keyed by task/subtask ID
+     */
+    async getCompletedAtById(tasks, subtasks) {
+        const completed = (items) => items.filter(item => getItemStatusCategory(item) === 'done');
+        // Projects name their done statuses differently; the items' current statuses cover them
+        const doneStatuses = (items) => [...new Set(['Completed', ...items.map(item => item.status)])];
+
+        const [taskCompletedAt, subtaskCompletedAt] = await Promise.all([
+            historyService.getCompletedAtMap('task', completed(tasks).map(item => item._id), doneStatuses(completed(tasks))),
+            historyService.getCompletedAtMap('subtask', completed(subtasks).map(item => item._id), doneStatuses(completed(subtasks)))
+        ]);
+
+        return { ...taskCompletedAt, ...subtaskCompletedAt };
     }
 
     /**
-     * Process tasks and group them by status for report
+     * Process tasks and group them by status category for report
+     * (custom statuses are reported under their category: To Do, In Progress, Blocked or Completed)
      * @param {Array} tasks - Array of tasks
      * @param {String} reportType - 'project' or 'user'
      * @param {Object} metadata - Additional metadata for the report
+     * @param {Object} completedAtById - Completion timestamps keyed by task/subtask ID
+     * @param {Object} customFieldColumns - Custom field columns from getCustomFieldColumns
      * @returns {Object} Processed report data
      */
-    processTasksForReport(tasks, reportType, metadata) {
-        // Group tasks by status
+    processTasksForReport(tasks, reportType, metadata, completedAtById = {}, customFieldColumns = null) {
+        // Group tasks by status category
         const groupedTasks = {
             'To Do': [],
             'In Progress': [],
@@ -784,11 +932,14 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
                 owner: task.owner ? task.owner.username : 'No owner',
                 assignee: assigneeStr,
                 project: task.project ? task.project.name : 'No project',
-                createdAt: this.formatDate(task.createdAt)
+                createdAt: this.formatDate(task.createdAt),
+                completedAt: this.formatCompletedAt(task, completedAtById),
+                customFields: customFieldColumns ? customFieldColumns.format(task) : {}
             };
 
-            if (groupedTasks[task.status]) {
-                groupedTasks[task.status].push(formattedTask);
+            const group = CATEGORY_LABELS[getItemStatusCategory(task)];
+            if (groupedTasks[group]) {
+                groupedTasks[group].push(formattedTask);
             }
         });
 
@@ -815,10 +966,25 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
         return {
             data: groupedTasks,
             aggregates: aggregateCounts,
+            customFieldColumns: customFieldColumns ? customFieldColumns.columns : [],
             metadata: reportMetadata
         };
     }
 
+    /**
+     * Format when a task was completed
+     * @param {Object} task - Task or mapped subtask
+     * @param {Object} completedAtById - Completion timestamps keyed by task/subtask ID
+     * @returns {string} Formatted completion time
+     */
+    formatCompletedAt(task, completedAtById) {
+        if (getItemStatusCategory(task) !== 'done') {
+            return 'Not completed';
+        }
+        const completedAt = completedAtById[task._id.toString()];
+        return completedAt ? this.formatDateTime(completedAt) : 'Not recorded';
+    }
+
     /**
      * Generate Excel file from report data
      * @param {Object} reportData - Report data from report generation methods
@@ -826,6 +992,7 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
      */
     async generateExcelReport(reportData) {
         const workbook = xlsx.utils.book_new();
+        const customFieldColumns = reportData.customFieldColumns || [];
         
         // Create worksheets for each status
         const statuses = ['To Do', 'In Progress', 'Blocked', 'Completed'];
@@ -836,7 +1003,7 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
             // Convert tasks to worksheet format
             const worksheetData = [
                 // Header row
-                ['Task ID', 'Task Name', 'Deadline', 'Priority', 'Tags', 'Owner', 'Assignee', 'Project', 'Created At', 'Description']
+                ['Task ID', 'Task Name', 'Deadline', 'Priority', 'Tags', 'Owner', 'Assignee', 'Project', 'Created At', 'Completed At', 'Description', ...customFieldColumns]
             ];
             
             // Add task rows
@@ -851,7 +1018,9 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
                     task.assignee,
                     task.project,
                     task.createdAt,
-                    task.description
+                    task.completedAt,
+                    task.description,
+                    ...this.getCustomFieldCells(customFieldColumns, task)
                 ]);
             });
             
@@ -869,7 +1038,9 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
                 { wch: 15 }, // Assignee
                 { wch: 20 }, // Project
                 { wch: 15 }, // Created At
-                { wch: 40 }  // Description
+                { wch: 20 }, // Completed At
+                { wch: 40 }, // Description
+                ...customFieldColumns.map(() => ({ wch: 20 }))
             ];
             worksheet['!cols'] = colWidths;
             
@@ -1123,6 +1294,9 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
             <div class="task-field">
                 <span class="field-label">Created:</span> ${task.createdAt}
             </div>
+            <div class="task-field">
+                <span class="field-label">Completed:</span> ${task.completedAt}
+            </div>
             <div class="task-field">
                 <span class="field-label">Description:</span> ${task.description || 'No description'}
             </div>
@@ -1192,7 +1366,7 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
                 $gte: startDateRange,
                 $lte: endDateRange
             },
-            status: { $in: ['To Do', 'In Progress', 'Completed'] } // Exclude Blocked
+            statusCategory: { $in: ['todo', 'active', 'done'] } // Exclude Blocked
         };
 
         // Fetch tasks with populated references
@@ -1210,7 +1384,7 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
                 $gte: startDateRange,
                 $lte: endDateRange
             },
-            status: { $in: ['To Do', 'In Progress', 'Completed'] } // Exclude Blocked
+            statusCategory: { $in: ['todo', 'active', 'done'] } // Exclude Blocked
         };
 
         const subtasks = await Subtask.find(subtaskQuery)
@@ -1225,12 +1399,14 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
             dueDate: subtask.dueDate,
             priority: subtask.priority,
             tags: subtask.tags,
+            customFields: subtask.customFields,
             description: subtask.description,
             owner: subtask.ownerId, // Map ownerId to owner
             assignee: subtask.assigneeId || [], // assigneeId is already an array
             project: project, // Use the already fetched project
             createdAt: subtask.createdAt,
-            status: subtask.status
+            status: subtask.status,
+            statusCategory: subtask.statusCategory
         }));
 
         // Combine tasks and subtasks
@@ -1240,7 +1416,8 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
         const teamMembers = this.identifyTeamMembers(combinedItems);
 
         // Group tasks by status
-        const tasksByStatus = this.groupTasksByStatus(combinedItems);
+        const customFieldColumns = await this.getCustomFieldColumns(combinedItems);
+        const tasksByStatus = this.groupTasksByStatus(combinedItems, customFieldColumns.format);
 
         // Calculate summary statistics
         const summaryStats = this.calculateSummaryStatistics(combinedItems, teamMembers);
@@ -1258,6 +1435,7 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
             },
             teamMembers,
             tasksByStatus,
+            customFieldColumns: customFieldColumns.columns,
             summaryStats,
             tasks: combinedItems // Keep full task list for reference (now includes subtasks)
         };
@@ -1333,18 +1511,19 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
     }
 
     /**
-     * Group tasks by status
+     * Group tasks by status category
      * @param {Array} tasks - Array of tasks
      * @returns {Object} Tasks grouped by status
      */
-    groupTasksByStatus(tasks) {
+    groupTasksByStatus(tasks, formatCustomFields = () => ({})) {
         const grouped = {
             'To Do': [],
             'In Progress': [],
             'Completed': []
         };
         tasks.forEach(task => {
-            if (grouped[task.status]) {
+            const group = CATEGORY_LABELS[getItemStatusCategory(task)];
+            if (grouped[group]) {
                 // Format assignees
                 let assigneeStr = 'Unassigned';
                 if (task.assignee && task.assignee.length > 0) {
@@ -1357,7 +1536,7 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
                 if (task.priority !== undefined && task.priority !== null) {
                     priorityStr = task.priority.toString();
                 }
-                grouped[task.status].push({
+                grouped[group].push({
                     id: task._id.toString(),
                     title: task.title,
                     owner: task.owner ? `${task.owner.username} (${task.owner.department || 'Not set'}, ${task.owner.roles && task.owner.roles.length > 0 ? task.owner.roles[0] : 'Not set'})` : 'No owner',
@@ -1365,7 +1544,8 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
                     createdAt: this.formatDate(task.createdAt),
                     dueDate: task.dueDate ? this.formatDate(task.dueDate) : 'No deadline',
                     priority: priorityStr,
-                    tags: tagsStr
+                    tags: tagsStr,
+                    customFields: formatCustomFields(task)
                 });
             }
         });
@@ -1382,9 +1562,9 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
         const stats = {
             totalTasks: tasks.length,
             tasksByStatus: {
-                'To Do': tasks.filter(t => t.status === 'To Do').length,
-                'In Progress': tasks.filter(t => t.status === 'In Progress').length,
-                'Completed': tasks.filter(t => t.status === 'Completed').length
+                'To Do': tasks.filter(t => getItemStatusCategory(t) === 'todo').length,
+                'In Progress': tasks.filter(t => getItemStatusCategory(t) === 'active').length,
+                'Completed': tasks.filter(t => getItemStatusCategory(t) === 'done').length
             },
             teamMemberCount: teamMembers.length,
             tasksByMember: {}
@@ -1411,6 +1591,7 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
      */
     async generateTeamSummaryExcelReport(reportData) {
         const workbook = xlsx.utils.book_new();
+        const customFieldColumns = reportData.customFieldColumns || [];
         
         // Create worksheet for each status
         const statuses = ['To Do', 'In Progress', 'Completed'];
@@ -1420,7 +1601,7 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
             // Convert tasks to worksheet format
             const worksheetData = [
                 // Header row
-                ['Task ID', 'Task Name', 'Priority', 'Tags', 'Owner', 'Assignee(s)', 'Created Date', 'Due Date']
+                ['Task ID', 'Task Name', 'Priority', 'Tags', 'Owner', 'Assignee(s)', 'Created Date', 'Due Date', ...customFieldColumns]
             ];
             // Add task rows
             tasks.forEach(task => {
@@ -1432,7 +1613,8 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
                     task.owner,
                     task.assignee,
                     task.createdAt,
-                    task.dueDate
+                    task.dueDate,
+                    ...this.getCustomFieldCells(customFieldColumns, task)
                 ]);
             });
             // Create worksheet
@@ -1446,7 +1628,8 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
                 { wch: 40 }, // Owner
                 { wch: 50 }, // Assignees
                 { wch: 15 }, // Created Date
-                { wch: 15 }  // Due Date
+                { wch: 15 }, // Due Date
+                ...customFieldColumns.map(() => ({ wch: 20 }))
             ];
             // Add worksheet to workbook
             xlsx.utils.book_append_sheet(workbook, worksheet, status);
@@ -1729,6 +1912,67 @@ h1 { color: #333; text-align: center; margin-bottom: 20px; }
 
         return html;
     }
+
+    /**
+     * Flatten a timesheet into rows: one per task/subtask, a subtotal per user
+     * and a grand total. Durations are in hours.
+     * @param {Object} timesheet - Result of timesheetService.buildTimesheet
+     * @returns {Array<Array>} Worksheet rows including the header
+     */
+    buildTimesheetRows(timesheet) {
+        const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+        const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+        const rows = [
+            ['User', 'Item', 'Type', 'Project', ...timesheet.week.days.map((day, i) => `${dayNames[i]} ${day}`), 'Total (hours)']
+        ];
+
+        timesheet.rows.forEach(row => {
+            row.items.forEach(item => {
+                const title = item.taskTitle ? `${item.taskTitle} / ${item.title}` : item.title;
+                rows.push([
+                    row.user.username,
+                    title,
+                    item.itemType === 'subtask' ? 'Subtask' : 'Task',
+                    item.project,
+                    ...item.days.map(toHours),
+                    toHours(item.total)
+                ]);
+            });
+            rows.push([`${row.user.username} total`, '', '', '', ...row.days.map(toHours), toHours(row.total)]);
+        });
+
+        rows.push(['Total', '', '', '', ...timesheet.dayTotals.map(toHours), toHours(timesheet.total)]);
+        return rows;
+    }
+
+    /**
+     * Generate Excel file for a weekly timesheet
+     * @param {Object} timesheet
+     * @returns {Buffer}
+     */
+    async generateTimesheetExcelReport(timesheet) {
+        const workbook = xlsx.utils.book_new();
+        const worksheet = xlsx.utils.aoa_to_sheet(this.buildTimesheetRows(timesheet));
+        worksheet['!cols'] = [
+            { wch: 30 }, { wch: 40 }, { wch: 10 }, { wch: 20 },
+            ...timesheet.week.days.map(() => ({ wch: 15 })),
+            { wch: 14 }
+        ];
+        xlsx.utils.book_append_sheet(workbook, worksheet, 'Timesheet');
+
+        return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    }
+
+    /**
+     * Generate CSV file for a weekly timesheet
+     * @param {Object} timesheet
+     * @returns {Buffer}
+     */
+    async generateTimesheetCsvReport(timesheet) {
+        const worksheet = xlsx.utils.aoa_to_sheet(this.buildTimesheetRows(timesheet));
+        return Buffer.from(xlsx.utils.sheet_to_csv(worksheet), 'utf-8');
+    }
 }
 
-export default new ReportService();
\ No newline at end of file
+export default new ReportService();
@@ -396,6 +396,46 @@ describe('Report Service Test', () => {
             expect(task.assignee).toBe('Unassigned');
             expect(task.project).toBe('Test Project'); // Now has a project
         });
+
+        it('should use recorded completion time for completed tasks', () => {
+            const completedTask = {
+                _id: new mongoose.Types.ObjectId(),
+                title: 'Done Task',
+                status: 'Completed',
+                priority: 5,
+                createdAt: new Date('2024-01-15')
+            };
+            const openTask = {
+                _id: new mongoose.Types.ObjectId(),
+                title: 'Open Task',
+                status: 'In Progress',
+                priority: 5,
+                createdAt: new Date('2024-01-15')
+            };
+            const unrecordedTask = {
+                _id: new mongoose.Types.ObjectId(),
+                title: 'Legacy Done Task',
+                status: 'Completed',
+                priority: 5,
+                createdAt: new Date('2024-01-15')
+            };
+
+            const reportData = reportService.processTasksForReport(
+                [completedTask, openTask, unrecordedTask],
+                'user',
+                {
+                    userId: testUser1._id.toString(),
+                    username: 'testuser1@example.com',
+                    startDate: new Date('2024-01-01'),
+                    endDate: new Date('2024-02-28')
+                },
+                { [completedTask._id.toString()]: new Date(2024, 1, 3, 14, 30) }
+            );
+
+            expect(reportData.data['Completed'][0].completedAt).toBe('03-02-2024 at 14:30');
+            expect(reportData.data['Completed'][1].completedAt).toBe('Not recorded');
+            expect(reportData.data['In Progress'][0].completedAt).toBe('Not completed');
+        });
     });
 
     describe('generateExcelReport', () => {
@@ -1460,4 +1500,77 @@ describe('Report Service Test', () => {
             expect(reportData.metadata.generatedAt).toBeDefined();
         });
     });
+
+    describe('Custom field columns', () => {
+        beforeEach(async () => {
+            await Project.updateOne({ _id: testProject._id }, {
+                customFields: [
+                    { key: 'cost_centre', name: 'Cost centre', type: 'text' },
+                    { key: 'reviewer', name: 'Reviewer', type: 'user' }
+                ]
+            });
+            await Task.updateOne(
+                { _id: testTasks[0]._id },
+                { customFields: { cost_centre: 'CC-12', reviewer: testUser2._id.toString() } }
+            );
+        });
+
+        it('should add a column per custom field with formatted values', async () => {
+            const reportData = await reportService.generateProjectTaskCompletionReportData(
+                testProject._id.toString(),
+                new Date('2024-01-01'),
+                new Date('2024-02-28')
+            );
+
+            expect(reportData.customFieldColumns).toEqual(['Cost centre', 'Reviewer']);
+            expect(reportData.data['To Do'][0].customFields).toEqual({
+                'Cost centre': 'CC-12',
+                'Reviewer': 'testuser2@example.com'
+            });
+            expect(reportData.data['In Progress'][0].customFields).toEqual({ 'Cost centre': '', 'Reviewer': '' });
+        });
+
+        it('should append the custom field columns to the Excel worksheets', async () => {
+            const reportData = await reportService.generateProjectLoggedTimeReportData(testProject._id.toString());
+
+            await reportService.generateProjectLoggedTimeExcelReport(reportData);
+
+            const todoSheet = xlsx.utils.aoa_to_sheet.mock.calls[0][0];
+            expect(todoSheet[0].slice(-2)).toEqual(['Cost centre', 'Reviewer']);
+            const row = todoSheet.find(cells => cells[1] === 'Task 1 - To Do');
+            expect(row.slice(-2)).toEqual(['CC-12', 'testuser2@example.com']);
+        });
+    });
+
+    describe('buildTimesheetRows', () => {
+        it('should list item rows, a subtotal per user and a grand total in hours', () => {
+            const timesheet = {
+                week: { days: ['2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06', '2025-03-07', '2025-03-08', '2025-03-09'] },
+                rows: [{
+                    user: { username: 'staff@example.com' },
+                    days: [90, 0, 0, 0, 0, 0, 0],
+                    total: 90,
+                    items: [{
+                        itemType: 'subtask',
+                        title: 'Write tests',
+                        taskTitle: 'Build API',
+                        project: 'Apollo',
+                        days: [90, 0, 0, 0, 0, 0, 0],
+                        total: 90
+                    }]
+                }],
+                dayTotals: [90, 0, 0, 0, 0, 0, 0],
+                total: 90
+            };
+
+            const rows = reportService.buildTimesheetRows(timesheet);
+
+            expect(rows[0][4]).toBe('Mon 2025-03-03');
+            expect(rows[0][11]).toBe('Total (hours)');
+            expect(rows[1].slice(0, 5)).toEqual(['staff@example.com', 'Build API / Write tests', 'Subtask', 'Apollo', 1.5]);
+            expect(rows[2][0]).toBe('staff@example.com total');
+            expect(rows[3][0]).toBe('Total');
+            expect(rows[3][11]).toBe(1.5);
+        });
+    });
 });
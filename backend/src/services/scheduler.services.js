@@ -0,0 +1,219 @@
+import os from 'os';
+import crypto from 'crypto';
+import JobRun from '../models/job-run.model.js';
+import JobLock from '../models/job-lock.model.js';
+import { parseCronExpression, getNextRun } from '../utils/cron.utils.js';
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY = 11000;
+
+// How often the scheduler looks for due jobs
+const TICK_MS = 30 * 1000;
+
+// How long a job may hold its lock before another instance can take over
+const DEFAULT_LOCK_MS = 30 * 60 * 1000;
+
+class SchedulerService {
+    constructor() {
+        this.jobs = new Map();
+        this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+        this.timer = null;
+        this.context = {};
+    }
+
+    /**
+     * Add a job
+     * @param {string} name - Unique name, e.g. "deadline-reminders"
+     * @param {Object} definition
+     * @param {string} definition.schedule - Cron expression, in UTC (see cron.utils.js)
+     * @param {string} definition.description - Shown to admins
+     * @param {Function} definition.handler - async ({ now, lastRun, io, userSockets }) => result; the result is stored on the run
+     * @param {number} definition.lockMs - Longest the job is expected to run
+     */
+    register(name, { schedule, description = '', handler, lockMs = DEFAULT_LOCK_MS }) {
+        if (this.jobs.has(name)) {
+            throw new Error(`Job "${name}" is already registered`);
+        }
+        if (typeof handler !== 'function') {
+            throw new Error(`Job "${name}" needs a handler`);
+        }
+        const cron = parseCronExpression(schedule);
+        this.jobs.set(name, { name, schedule, description, handler, lockMs, cron, nextRunAt: getNextRun(cron) });
+    }
+
+    hasJob(name) {
+        return this.jobs.has(name);
+    }
+
+    /**
+     * Start running jobs on their schedules
+     * @param {Object} context - Passed to every handler, e.g. { io, userSockets }
+     */
+    start(context = {}) {
+        if (this.timer) {
+            return;
+        }
+        this.context = context;
+        const now = new Date();
+        this.jobs.forEach(job => {
+            job.nextRunAt = getNextRun(job.cron, now);
+        });
+        this.timer = setInterval(() => this.tick(), TICK_MS);
+        // Don't keep scripts and tests alive just for the scheduler
+        this.timer.unref?.();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Run the jobs whose cron time has come. A run that was missed (the server
+     * was down) is not caught up; the job runs at its next time.
+     */
+    async tick(now = new Date()) {
+        const dueJobs = [...this.jobs.values()].filter(job => job.nextRunAt && job.nextRunAt <= now);
+
+        await Promise.all(dueJobs.map(async (job) => {
+            const scheduledAt = job.nextRunAt;
+            job.nextRunAt = getNextRun(job.cron, now);
+            try {
+                await this.runJob(job.name, { trigger: 'schedule', scheduledAt });
+            } catch (error) {
+                console.error(`❌ Error running job "${job.name}":`, error);
+            }
+        }));
+    }
+
+    /**
+     * Run a job now, unless another run of it holds the lock. The run is
+     * recorded whether it succeeds or fails.
+     * @param {string} name - The job
+     * @param {Object} options
+     * @param {string} options.trigger - 'schedule', 'manual' or 'lambda'
+     * @param {ObjectId} options.triggeredBy - Admin who started a manual run
+     * @param {Date} options.scheduledAt - Cron time of a scheduled run; each is run by one instance only
+     * @returns {Promise<Object|null>} The finished run, or null when the job was
+     *   already running (manual runs throw instead)
+     */
+    async runJob(name, { trigger = 'manual', triggeredBy = null, scheduledAt = null } = {}) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Job "${name}" not found`);
+        }
+
+        const startedAt = new Date();
+        const locked = await this.acquireLock(job, startedAt, scheduledAt);
+        if (!locked) {
+            if (trigger === 'manual') {
+                throw new Error(`Job "${name}" is already running`);
+            }
+            return null;
+        }
+
+        try {
+            const lastRun = await JobRun.findOne({ job: name, status: 'succeeded' }).sort({ startedAt: -1 });
+            const run = await JobRun.create({
+                job: name,
+                trigger,
+                triggeredBy,
+                scheduledAt,
+                startedAt,
+                instance: this.instanceId
+            });
+
+            try {
+                const result = await job.handler({ ...this.context, now: startedAt, lastRun });
+                run.result = result ?? null;
+                run.status = 'succeeded';
+            } catch (error) {
+                console.error(`❌ Job "${name}" failed:`, error);
+                run.status = 'failed';
+                run.error = error.message;
+            }
+
+            run.finishedAt = new Date();
+            run.durationMs = run.finishedAt - startedAt;
+            await run.save();
+            return run;
+        } finally {
+            await this.releaseLock(name);
+        }
+    }
+
+    /**
+     * Take a job's lock for this instance
+     * @returns {Promise<boolean>} false while another run holds it, or when the
+     *   scheduled time was already run by another instance
+     */
+    async acquireLock(job, now, scheduledAt = null) {
+        const filter = { _id: job.name, lockedUntil: { $lte: now } };
+        const update = {
+            lockedBy: this.instanceId,
+            lockedAt: now,
+            lockedUntil: new Date(now.getTime() + job.lockMs)
+        };
+        if (scheduledAt) {
+            filter.$or = [{ lastScheduledAt: null }, { lastScheduledAt: { $lt: scheduledAt } }];
+            update.lastScheduledAt = scheduledAt;
+        }
+
+        try {
+            // Creates the lock on a job's first run; a held lock does not match
+            // the filter, so the upsert fails on the existing _id
+            await JobLock.findOneAndUpdate(filter, { $set: update }, { upsert: true });
+            return true;
+        } catch (error) {
+            if (error.code === DUPLICATE_KEY) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async releaseLock(name) {
+        await JobLock.updateOne({ _id: name, lockedBy: this.instanceId }, { $set: { lockedUntil: new Date() } });
+    }
+
+    /**
+     * Every job with its schedule, next and last run, and whether it is running
+     */
+    async listJobs(now = new Date()) {
+        const jobs = [...this.jobs.values()];
+        const [lastRuns, locks] = await Promise.all([
+            Promise.all(jobs.map(job => JobRun.findOne({ job: job.name }).sort({ startedAt: -1 }))),
+            JobLock.find({ _id: { $in: jobs.map(job => job.name) } })
+        ]);
+        const locksByJob = new Map(locks.map(lock => [lock._id, lock]));
+
+        return jobs.map((job, index) => ({
+            name: job.name,
+            description: job.description,
+            schedule: job.schedule,
+            nextRunAt: getNextRun(job.cron, now),
+            running: Boolean(locksByJob.get(job.name)?.lockedUntil > now),
+            lastRun: lastRuns[index]
+        }));
+    }
+
+    /**
+     * A job's latest runs, newest first
+     */
+    async getRuns(name, { limit = 20 } = {}) {
+        if (!this.jobs.has(name)) {
+            throw new Error(`Job "${name}" not found`);
+        }
+        const count = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+        return await JobRun.find({ job: name })
+            .sort({ startedAt: -1 })
+            .limit(count)
+            .populate('triggeredBy', 'username');
+    }
+}
+
+export default new SchedulerService();
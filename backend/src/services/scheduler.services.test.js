@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import mongoose from 'mongoose';
+import JobRun from '../models/job-run.model.js';
+import JobLock from '../models/job-lock.model.js';
+import schedulerService from './scheduler.services.js';
+
+describe('Scheduler Service', () => {
+    const instanceId = schedulerService.instanceId;
+    const handlers = {
+        counter: vi.fn(async () => ({ counted: 1 })),
+        failing: vi.fn(async () => {
+            throw new Error('Boom');
+        })
+    };
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        schedulerService.register('test-counter', {
+            schedule: '*/5 * * * *',
+            description: 'Counts',
+            handler: (context) => handlers.counter(context)
+        });
+        schedulerService.register('test-failing', {
+            schedule: '0 0 * * *',
+            handler: (context) => handlers.failing(context)
+        });
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        schedulerService.instanceId = instanceId;
+        await JobRun.deleteMany({ job: /^test-/ });
+        await JobLock.deleteMany({ _id: /^test-/ });
+    });
+
+    afterAll(() => {
+        schedulerService.stop();
+        schedulerService.jobs.delete('test-counter');
+        schedulerService.jobs.delete('test-failing');
+    });
+
+    describe('register', () => {
+        it('should reject invalid schedules and duplicate names', () => {
+            expect(() => schedulerService.register('test-invalid', { schedule: '* * *', handler: () => {} }))
+                .toThrow('use five fields');
+            expect(() => schedulerService.register('test-counter', { schedule: '* * * * *', handler: () => {} }))
+                .toThrow('Job "test-counter" is already registered');
+        });
+    });
+
+    describe('runJob', () => {
+        it('should record a successful run with its result', async () => {
+            const run = await schedulerService.runJob('test-counter', { triggeredBy: new mongoose.Types.ObjectId() });
+
+            expect(run.status).toBe('succeeded');
+            expect(run.trigger).toBe('manual');
+            expect(run.result).toEqual({ counted: 1 });
+            expect(run.finishedAt).toBeInstanceOf(Date);
+            expect(handlers.counter).toHaveBeenCalledWith(expect.objectContaining({ now: run.startedAt, lastRun: null }));
+        });
+
+        it('should pass the last successful run to the next one', async () => {
+            const first = await schedulerService.runJob('test-counter');
+            await schedulerService.runJob('test-counter');
+
+            expect(handlers.counter.mock.calls[1][0].lastRun._id).toEqual(first._id);
+        });
+
+        it('should record a failed run and release the lock', async () => {
+            const run = await schedulerService.runJob('test-failing');
+
+            expect(run.status).toBe('failed');
+            expect(run.error).toBe('Boom');
+            const lock = await JobLock.findById('test-failing');
+            expect(lock.lockedUntil.getTime()).toBeLessThanOrEqual(Date.now());
+        });
+
+        it('should not run a job while another instance holds its lock', async () => {
+            await JobLock.create({
+                _id: 'test-counter',
+                lockedBy: 'other-instance',
+                lockedAt: new Date(),
+                lockedUntil: new Date(Date.now() + 60 * 1000)
+            });
+
+            await expect(schedulerService.runJob('test-counter')).rejects.toThrow('Job "test-counter" is already running');
+            expect(await schedulerService.runJob('test-counter', { trigger: 'schedule', scheduledAt: new Date() })).toBeNull();
+            expect(handlers.counter).not.toHaveBeenCalled();
+            expect(await JobRun.countDocuments({ job: 'test-counter' })).toBe(0);
+        });
+
+        it('should take over an expired lock', async () => {
+            await JobLock.create({
+                _id: 'test-counter',
+                lockedBy: 'crashed-instance',
+                lockedUntil: new Date(Date.now() - 1000)
+            });
+
+            const run = await schedulerService.runJob('test-counter');
+
+            expect(run.status).toBe('succeeded');
+        });
+
+        it('should run each scheduled time on one instance only', async () => {
+            const scheduledAt = new Date('2025-03-03T09:05:00Z');
+
+            const first = await schedulerService.runJob('test-counter', { trigger: 'schedule', scheduledAt });
+            schedulerService.instanceId = 'second-instance';
+            const second = await schedulerService.runJob('test-counter', { trigger: 'schedule', scheduledAt });
+            const next = await schedulerService.runJob('test-counter', {
+                trigger: 'schedule',
+                scheduledAt: new Date('2025-03-03T09:10:00Z')
+            });
+
+            expect(first.status).toBe('succeeded');
+            expect(second).toBeNull();
+            expect(next.instance).toBe('second-instance');
+            expect(handlers.counter).toHaveBeenCalledTimes(2);
+        });
+
+        it('should reject unknown jobs', async () => {
+            await expect(schedulerService.runJob('test-nope')).rejects.toThrow('Job "test-nope" not found');
+        });
+    });
+
+    describe('tick', () => {
+        it('should run due jobs and move them to their next time', async () => {
+            const job = schedulerService.jobs.get('test-counter');
+            job.nextRunAt = new Date(Date.now() - 1000);
+
+            await schedulerService.tick();
+
+            expect(handlers.counter).toHaveBeenCalledTimes(1);
+            expect(job.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+            const run = await JobRun.findOne({ job: 'test-counter' });
+            expect(run.trigger).toBe('schedule');
+        });
+    });
+
+    describe('listJobs and getRuns', () => {
+        it('should show the next and last run of each job', async () => {
+            await schedulerService.runJob('test-failing');
+            const now = new Date('2025-03-03T09:07:00Z');
+
+            const jobs = await schedulerService.listJobs(now);
+            const failing = jobs.find(job => job.name === 'test-failing');
+            const counter = jobs.find(job => job.name === 'test-counter');
+
+            expect(counter).toMatchObject({ schedule: '*/5 * * * *', description: 'Counts', running: false, lastRun: null });
+            expect(counter.nextRunAt).toEqual(new Date('2025-03-03T09:10:00Z'));
+            expect(failing.lastRun.status).toBe('failed');
+            expect(failing.nextRunAt).toEqual(new Date('2025-03-04T00:00:00Z'));
+        });
+
+        it('should list runs newest first', async () => {
+            await schedulerService.runJob('test-counter');
+            await schedulerService.runJob('test-counter');
+
+            const runs = await schedulerService.getRuns('test-counter', { limit: 1 });
+
+            expect(runs).toHaveLength(1);
+            await expect(schedulerService.getRuns('test-nope')).rejects.toThrow('Job "test-nope" not found');
+        });
+    });
+});
@@ -0,0 +1,191 @@
+import Project from '../models/project.model.js';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import projectService from './project.services.js';
+import { normalizeSearchQuery, getSearchTerms, buildSnippet } from '../utils/search.utils.js';
+
+export const SEARCH_TYPES = ['project', 'task', 'subtask', 'comment'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const textScore = { score: { $meta: 'textScore' } };
+
+class SearchService {
+    /**
+     * Search projects, tasks, subtasks and comments the user can see.
+     * Every project is visible; tasks, subtasks and their comments only in projects
+     * where the user can view tasks (see getProjectsWithAccessMetadata), or when
+     * the user owns or is assigned to the item.
+     * @param {String} query - Text to search for
+     * @param {Object} user - { _id, roles, department }
+     * @param {Object} options - { types, limit }
+     * @returns {Object} { query, results } with results sorted by relevance
+     */
+    async search(query, user, options = {}) {
+        const q = normalizeSearchQuery(query);
+        const types = this.parseTypes(options.types);
+        const limit = Math.min(Math.max(Number(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const terms = getSearchTerms(q);
+
+        const needsItems = types.some(type => type !== 'project');
+        const visibleProjects = needsItems ? await this.getTaskVisibilityFilter(user) : null;
+
+        const [projects, tasks, subtasks] = await Promise.all([
+            types.includes('project') ? this.searchProjects(q, limit) : [],
+            needsItems ? this.searchItems(Task, q, visibleProjects.task, limit) : [],
+            needsItems ? this.searchItems(Subtask, q, visibleProjects.subtask, limit) : []
+        ]);
+
+        const projectNames = await this.getProjectNames([
+            ...tasks.map(task => task.project),
+            ...subtasks.map(subtask => subtask.projectId)
+        ]);
+
+        const results = [
+            ...projects.map(project => this.toProjectResult(project, terms)),
+            ...tasks.flatMap(task => this.toItemResults('task', task, terms, projectNames)),
+            ...subtasks.flatMap(subtask => this.toItemResults('subtask', subtask, terms, projectNames))
+        ]
+            .filter(result => types.includes(result.type))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        return { query: q, results };
+    }
+
+    parseTypes(types) {
+        if (!types) {
+            return SEARCH_TYPES;
+        }
+
+        const list = (Array.isArray(types) ? types : String(types).split(','))
+            .map(type => type.trim())
+            .filter(Boolean);
+        const unknown = list.filter(type => !SEARCH_TYPES.includes(type));
+        if (unknown.length > 0) {
+            throw new Error(`Invalid search type: ${unknown.join(', ')}. Use ${SEARCH_TYPES.join(', ')}`);
+        }
+        return list;
+    }
+
+    /**
+     * Query conditions limiting tasks and subtasks to the ones the user may see
+     */
+    async getTaskVisibilityFilter(user) {
+        const userRole = user.roles && user.roles[0];
+        if (userRole === 'admin') {
+            return { task: {}, subtask: {} };
+        }
+
+        const projects = await projectService.getProjectsWithAccessMetadata(user._id, userRole, user.department);
+        const projectIds = projects.filter(project => project.canViewTasks).map(project => project._id);
+
+        return {
+            task: {
+                $or: [
+                    { project: { $in: projectIds } },
+                    { owner: user._id },
+                    { assignee: user._id }
+                ]
+            },
+            subtask: {
+                $or: [
+                    { projectId: { $in: projectIds } },
+                    { ownerId: user._id },
+                    { assigneeId: user._id }
+                ]
+            }
+        };
+    }
+
+    async searchProjects(q, limit) {
+        return await Project.find({ $text: { $search: q } }, textScore)
+            .select('name description status archived')
+            .sort(textScore)
+            .limit(limit)
+            .lean();
+    }
+
+    async searchItems(Model, q, visibilityFilter, limit) {
+        return await Model.find({ $text: { $search: q }, ...visibilityFilter }, textScore)
+            .sort(textScore)
+            .limit(limit)
+            .lean();
+    }
+
+    async getProjectNames(projectIds) {
+        const ids = [...new Set(projectIds.filter(Boolean).map(String))];
+        if (ids.length === 0) {
+            return {};
+        }
+
+        const projects = await Project.find({ _id: { $in: ids } }).select('name').lean();
+        return Object.fromEntries(projects.map(project => [String(project._id), project.name]));
+    }
+
+    toProjectResult(project, terms) {
+        return {
+            type: 'project',
+            id: String(project._id),
+            title: project.name,
+            snippet: buildSnippet(project.name, terms) ||
+                buildSnippet(project.description, terms) ||
+                { text: project.name, highlights: [] },
+            projectId: String(project._id),
+            projectName: project.name,
+            status: project.status,
+            archived: !!project.archived,
+            score: project.score
+        };
+    }
+
+    /**
+     * A task or subtask becomes one result if its own fields matched, plus one
+     * result per matching comment
+     */
+    toItemResults(type, item, terms, projectNames) {
+        const projectId = String(type === 'task' ? item.project : item.projectId);
+        const base = {
+            projectId,
+            projectName: projectNames[projectId] || null,
+            taskId: String(type === 'task' ? item._id : item.parentTaskId),
+            status: item.status,
+            archived: !!item.archived
+        };
+
+        const snippet = buildSnippet(item.title, terms) ||
+            buildSnippet(item.description, terms) ||
+            buildSnippet((item.tags || []).join(' '), terms);
+
+        const commentResults = (item.comments || [])
+            .map(comment => ({ comment, snippet: buildSnippet(comment.text, terms) }))
+            .filter(match => match.snippet)
+            .map(({ comment, snippet: commentSnippet }) => ({
+                type: 'comment',
+                id: String(comment._id),
+                title: `Comment by ${comment.authorName} on ${item.title}`,
+                snippet: commentSnippet,
+                parentType: type,
+                parentId: String(item._id),
+                ...base,
+                // Comment text has the lowest weight in the index
+                score: item.score / 2
+            }));
+
+        // Matched through stemming only: still list the item, without highlights
+        if (snippet || commentResults.length === 0) {
+            return [{
+                type,
+                id: String(item._id),
+                title: item.title,
+                snippet: snippet || { text: item.title, highlights: [] },
+                ...base,
+                score: item.score
+            }, ...commentResults];
+        }
+        return commentResults;
+    }
+}
+
+export default new SearchService();
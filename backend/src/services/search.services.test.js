@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import searchService from './search.services.js';
+
+describe('Search Service - Global Search', () => {
+    let admin, member, outsider, memberProject, otherProject, visibleTask, hiddenTask;
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        // $text needs the text indexes to exist
+        await Promise.all([Project.init(), Task.init(), Subtask.init()]);
+
+        admin = await User.create({
+            username: 'search.admin@example.com',
+            roles: ['admin'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+
+        member = await User.create({
+            username: 'search.member@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+
+        outsider = await User.create({
+            username: 'search.outsider@example.com',
+            roles: ['staff'],
+            department: 'sales',
+            hashed_password: 'password123'
+        });
+
+        memberProject = await Project.create({
+            name: 'Budget Planning',
+            description: 'Quarterly budget for the IT department',
+            owner: admin._id,
+            members: [member._id]
+        });
+
+        otherProject = await Project.create({
+            name: 'Office Move',
+            owner: admin._id
+        });
+
+        visibleTask = await Task.create({
+            title: 'Draft budget spreadsheet',
+            description: 'Collect numbers from every team',
+            owner: admin._id,
+            assignee: [member._id],
+            project: memberProject._id,
+            comments: [{ text: 'Finance wants the budget by Friday', author: admin._id, authorName: 'search.admin@example.com' }]
+        });
+
+        hiddenTask = await Task.create({
+            title: 'Budget for moving boxes',
+            owner: admin._id,
+            assignee: [admin._id],
+            project: otherProject._id
+        });
+
+        await Subtask.create({
+            title: 'Check budget totals',
+            parentTaskId: visibleTask._id,
+            projectId: memberProject._id,
+            ownerId: admin._id,
+            assigneeId: [member._id]
+        });
+    });
+
+    afterAll(async () => {
+        await Task.deleteMany({});
+        await Subtask.deleteMany({});
+        await Project.deleteMany({});
+        await User.deleteMany({});
+    });
+
+    it('should return typed results with highlighted snippets', async () => {
+        const { results } = await searchService.search('budget', admin);
+
+        expect(results.map(result => result.type).sort()).toEqual(
+            ['comment', 'project', 'subtask', 'task', 'task']
+        );
+
+        const comment = results.find(result => result.type === 'comment');
+        expect(comment.parentId).toBe(String(visibleTask._id));
+        expect(comment.projectName).toBe('Budget Planning');
+
+        const { text, highlights } = comment.snippet;
+        expect(text.slice(highlights[0][0], highlights[0][1])).toBe('budget');
+    });
+
+    it('should hide tasks in projects the user cannot view', async () => {
+        const { results } = await searchService.search('budget', member);
+        const taskIds = results.filter(result => result.type === 'task').map(result => result.id);
+
+        expect(taskIds).toContain(String(visibleTask._id));
+        expect(taskIds).not.toContain(String(hiddenTask._id));
+    });
+
+    it('should still show projects to users without task access', async () => {
+        const { results } = await searchService.search('budget', outsider);
+
+        expect(results.map(result => result.type)).toEqual(['project']);
+    });
+
+    it('should filter by type', async () => {
+        const { results } = await searchService.search('budget', admin, { types: 'subtask' });
+
+        expect(results).toHaveLength(1);
+        expect(results[0].taskId).toBe(String(visibleTask._id));
+    });
+
+    it('should reject unknown types', async () => {
+        await expect(searchService.search('budget', admin, { types: 'user' }))
+            .rejects.toThrow('Invalid search type: user');
+    });
+});
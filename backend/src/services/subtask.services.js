@@ -1,7 +1,17 @@
+import mongoose from 'mongoose';
 import Subtask from '../models/subtask.model.js';
 import Task from '../models/task.model.js';
 import Project from '../models/project.model.js';
 import User from '../models/user.model.js';
+import taskService from './task.services.js';
+import historyService, { SUBTASK_HISTORY_FIELDS } from './history.services.js';
+import tagService from './tag.services.js';
+import reminderService from './reminder.services.js';
+import { normalizeRecurrenceRule, getRecurrenceRule, getNextOccurrence, isWithinRecurrence } from '../utils/recurrence.utils.js';
+import { subtaskToTaskFields } from '../utils/convert.utils.js';
+import { normalizeTags, buildTagConditions } from '../utils/tag.utils.js';
+import { getInitialStatus, getStatusCategory, getItemStatusCategory } from '../utils/workflow.utils.js';
+import { hasDueDateChanged } from '../utils/reminder.utils.js';
 
 class SubtaskService {
   /**
@@ -21,33 +31,46 @@ class SubtaskService {
         throw new Error('Project not found');
       }
 
-      // Validate recurrence settings
+      // Validate recurrence settings (a rule replaces the legacy interval)
+      let rule = null;
       if (subtaskData.isRecurring) {
-        if (!subtaskData.recurrenceInterval || subtaskData.recurrenceInterval <= 0) {
+        if (!subtaskData.recurrenceRule && (!subtaskData.recurrenceInterval || subtaskData.recurrenceInterval <= 0)) {
           throw new Error('Recurrence interval must be a positive number for recurring subtasks');
         }
         if (!subtaskData.dueDate) {
           throw new Error('Due date is required for recurring subtasks');
         }
+        if (subtaskData.recurrenceRule) {
+          rule = normalizeRecurrenceRule(subtaskData.recurrenceRule, subtaskData.dueDate);
+        }
       }
 
+      const customFields = await taskService.validateCustomFields(project, subtaskData.customFields, { requireAll: true });
+      const { status, statusCategory } = await taskService.validateStatus(
+        project, subtaskData.status || getInitialStatus(project), null
+      );
+
       const subtask = new Subtask({
         title: subtaskData.title,
         description: subtaskData.description,
         parentTaskId: subtaskData.parentTaskId,
         projectId: subtaskData.projectId,
-        status: subtaskData.status || 'To Do',
+        status,
+        statusCategory,
         priority: subtaskData.priority || 5,
         assigneeId: subtaskData.assigneeId,
         ownerId: subtaskData.ownerId,
         dueDate: subtaskData.dueDate,
         isRecurring: subtaskData.isRecurring || false,
-        recurrenceInterval: subtaskData.recurrenceInterval || null,
+        recurrenceInterval: rule ? null : subtaskData.recurrenceInterval || null,
+        recurrenceRule: rule,
         timeTaken: subtaskData.timeTaken || '',
-        tags: subtaskData.tags || ''
+        tags: normalizeTags(subtaskData.tags),
+        customFields
       });
 
       await subtask.save();
+      await tagService.registerTags(subtask.tags, { projectId: subtask.projectId, userId: subtask.ownerId });
       return subtask;
     } catch (error) {
       throw error;
@@ -74,13 +97,16 @@ class SubtaskService {
   }
 
   /**
-   * Get all subtasks for a project (excluding archived)
+   * Get all subtasks for a project (excluding archived).
+   * `filters.tags` (array or comma-separated) keeps subtasks that have every tag.
    */
-  async getSubtasksByProject(projectId) {
+  async getSubtasksByProject(projectId, filters = {}) {
     try {
+      const tagConditions = buildTagConditions(filters.tags);
       const subtasks = await Subtask.find({
         projectId,
-        archived: false
+        archived: false,
+        ...(tagConditions.length > 0 && { $and: tagConditions })
       })
         .populate('assigneeId', 'username department')
         .populate('ownerId', 'username department')
@@ -93,6 +119,41 @@ class SubtaskService {
     }
   }
 
+  /**
+   * Count subtasks per parent task (excluding archived), for Kanban cards
+   * Returns { [taskId]: { total, completed } }
+   */
+  async getSubtaskCounts(taskIds) {
+    try {
+      const ids = taskIds
+        .filter(id => mongoose.Types.ObjectId.isValid(id))
+        .map(id => new mongoose.Types.ObjectId(id));
+
+      const results = await Subtask.aggregate([
+        { $match: { parentTaskId: { $in: ids }, archived: false } },
+        {
+          $group: {
+            _id: '$parentTaskId',
+            total: { $sum: 1 },
+            completed: { $sum: { $cond: [{ $eq: ['$statusCategory', 'done'] }, 1, 0] } }
+          }
+        }
+      ]);
+
+      const counts = {};
+      ids.forEach(id => {
+        counts[id.toString()] = { total: 0, completed: 0 };
+      });
+      results.forEach(result => {
+        counts[result._id.toString()] = { total: result.total, completed: result.completed };
+      });
+
+      return counts;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Get a subtask by ID
    */
@@ -162,19 +223,67 @@ class SubtaskService {
         }
       }
 
+      const statusChange = await taskService.validateStatus(subtask.projectId, updateData.status, subtask.status);
+      if (statusChange?.statusCategory === 'done' && getItemStatusCategory(subtask) !== 'done') {
+        await taskService.assertChecklistComplete(subtask.checklist, subtask.projectId, 'subtask');
+      }
+
+      // Snapshot tracked fields for the audit trail
+      const before = historyService.snapshot(subtask, SUBTASK_HISTORY_FIELDS);
+      const previousDueDate = subtask.dueDate;
+
       // Update fields
       if (updateData.title !== undefined) subtask.title = updateData.title;
       if (updateData.description !== undefined) subtask.description = updateData.description;
-      if (updateData.status !== undefined) subtask.status = updateData.status;
+      if (statusChange) {
+        subtask.status = statusChange.status;
+        subtask.statusCategory = statusChange.statusCategory;
+      }
       if (updateData.priority !== undefined) subtask.priority = updateData.priority;
       if (updateData.assigneeId !== undefined) subtask.assigneeId = updateData.assigneeId;
       if (updateData.dueDate !== undefined) subtask.dueDate = updateData.dueDate;
       if (updateData.isRecurring !== undefined) subtask.isRecurring = updateData.isRecurring;
       if (updateData.recurrenceInterval !== undefined) subtask.recurrenceInterval = updateData.recurrenceInterval;
-      if (updateData.timeTaken !== undefined) subtask.timeTaken = updateData.timeTaken;
+      if (updateData.recurrenceRule !== undefined) {
+        subtask.recurrenceRule = updateData.recurrenceRule && subtask.isRecurring
+          ? normalizeRecurrenceRule(updateData.recurrenceRule, subtask.dueDate)
+          : null;
+        if (subtask.recurrenceRule) subtask.recurrenceInterval = null;
+      }
+      if (!subtask.isRecurring) {
+        subtask.recurrenceInterval = null;
+        subtask.recurrenceRule = null;
+      }
+      // timeTaken is the sum of the time entries; a value sent here sets the unattributed time
+      const unattributedTime = updateData.timeTaken !== undefined ? this.parseTimeTaken(updateData.timeTaken) : undefined;
       if (updateData.tags !== undefined) subtask.tags = updateData.tags;
+      if (updateData.customFields !== undefined) {
+        subtask.customFields = await taskService.validateCustomFields(subtask.projectId, updateData.customFields, {
+          existing: subtask.customFields
+        });
+      }
 
       await subtask.save();
+      if (unattributedTime !== undefined) {
+        subtask.timeTaken = await taskService.setUnattributedTime('subtask', subtask, unattributedTime);
+      }
+
+      await historyService.recordChanges({
+        itemType: 'subtask',
+        item: subtask,
+        before,
+        fields: SUBTASK_HISTORY_FIELDS,
+        actor: userId
+      });
+
+      // A new due date gets its deadline reminders again
+      if (hasDueDateChanged(previousDueDate, subtask.dueDate)) {
+        await reminderService.resetReminders(subtask._id);
+      }
+
+      if (updateData.tags !== undefined) {
+        await tagService.registerTags(subtask.tags, { projectId: subtask.projectId, userId });
+      }
 
       // Populate before returning
       await subtask.populate('assigneeId', 'username department');
@@ -187,10 +296,96 @@ class SubtaskService {
     }
   }
 
+  /**
+   * Get the field change history of a subtask
+   * Visible to admins, the subtask owner/assignees and anyone with access to its project
+   */
+  async getSubtaskHistory(subtaskId, actingUser) {
+    const subtask = await Subtask.findById(subtaskId);
+
+    if (!subtask) {
+      throw new Error('Subtask not found');
+    }
+
+    const userIdStr = String(actingUser._id);
+    const isAdmin = actingUser.roles && actingUser.roles.includes('admin');
+    const isOwner = subtask.ownerId && subtask.ownerId.toString() === userIdStr;
+    const isAssignee = subtask.assigneeId && subtask.assigneeId.some(
+      assigneeId => assigneeId.toString() === userIdStr
+    );
+
+    if (!isAdmin && !isOwner && !isAssignee) {
+      const canAccess = await taskService.userHasAccessToTaskProject(actingUser._id, subtask.projectId);
+      if (!canAccess) {
+        throw new Error('You do not have permission to view this subtask history');
+      }
+    }
+
+    return await historyService.getHistory(subtask._id);
+  }
+
+  /**
+   * Promote a subtask to a task in the same project. The task keeps the
+   * subtask's id, comments, checklist, logged time, assignees and recurrence;
+   * time entries, attachments, dependency links and history stay attached to it.
+   * Admins can convert any subtask; others need project access and must be a
+   * manager, the subtask owner or assignee, or the parent task's owner.
+   */
+  async convertToTask(subtaskId, actingUser) {
+    if (!mongoose.Types.ObjectId.isValid(subtaskId)) {
+      throw new Error('Subtask not found');
+    }
+
+    const subtask = await Subtask.findById(subtaskId);
+    if (!subtask) {
+      throw new Error('Subtask not found');
+    }
+    if (subtask.archived) {
+      throw new Error('Archived subtasks cannot be converted');
+    }
+
+    const userIdStr = String(actingUser._id);
+    if (!actingUser.roles?.includes('admin')) {
+      const parentTask = await Task.findById(subtask.parentTaskId).select('owner');
+      const isManager = actingUser.roles?.includes('manager');
+      const isOwner = subtask.ownerId && subtask.ownerId.toString() === userIdStr;
+      const isAssignee = subtask.assigneeId && subtask.assigneeId.some(
+        assigneeId => assigneeId.toString() === userIdStr
+      );
+      const isParentOwner = parentTask && parentTask.owner.toString() === userIdStr;
+      const canAccess = await taskService.userHasAccessToTaskProject(actingUser._id, subtask.projectId);
+      if (!canAccess || (!isOwner && !isAssignee && !isParentOwner && !isManager)) {
+        throw new Error('You do not have permission to convert this subtask');
+      }
+    }
+
+    const task = new Task(subtaskToTaskFields(subtask));
+    // New tasks may not be due in the past, but an overdue subtask stays overdue as a task
+    await task.validate({ pathsToSkip: ['dueDate'] });
+    await task.save({ validateBeforeSave: false });
+    try {
+      await Subtask.deleteOne({ _id: subtask._id });
+    } catch (error) {
+      await Task.deleteOne({ _id: task._id });
+      throw error;
+    }
+
+    await taskService.updateConvertedItemReferences(task._id, 'task', task._id);
+    await taskService.addProjectMembers(task.project, task.assignee);
+    await historyService.recordConversion({
+      item: task, fromType: 'subtask', toType: 'task', actor: actingUser._id
+    });
+
+    return await Task.findById(task._id)
+      .populate('owner', 'username')
+      .populate('assignee', 'username')
+      .populate('project', 'name');
+  }
+
   /**
    * Archive a subtask
    */
-  async archiveSubtask(subtaskId) {
+  async archiveSubtask(subtaskId, userId = null) {
     try {
       const subtask = await Subtask.findById(subtaskId);
       
@@ -199,9 +394,13 @@ class SubtaskService {
       }
 
       // Archive the subtask
+      const before = historyService.snapshot(subtask, SUBTASK_HISTORY_FIELDS);
       subtask.archived = true;
       subtask.archivedAt = new Date();
       await subtask.save();
+      await historyService.recordChanges({
+        itemType: 'subtask', item: subtask, before, fields: SUBTASK_HISTORY_FIELDS, actor: userId
+      });
       
       return subtask;
     } catch (error) {
@@ -231,7 +430,7 @@ class SubtaskService {
   /**
    * Unarchive a subtask
    */
-  async unarchiveSubtask(subtaskId) {
+  async unarchiveSubtask(subtaskId, userId = null) {
     try {
       const subtask = await Subtask.findById(subtaskId);
 
@@ -252,9 +451,13 @@ class SubtaskService {
       }
 
       // Unarchive the subtask
+      const before = historyService.snapshot(subtask, SUBTASK_HISTORY_FIELDS);
       subtask.archived = false;
       subtask.archivedAt = null;
       await subtask.save();
+      await historyService.recordChanges({
+        itemType: 'subtask', item: subtask, before, fields: SUBTASK_HISTORY_FIELDS, actor: userId
+      });
 
       return subtask;
     } catch (error) {
@@ -268,62 +471,109 @@ class SubtaskService {
   async createRecurringSubtask(originalSubtask) {
     try {
       // Create a new subtask based on the original recurring subtask
-      if (!originalSubtask.isRecurring) {
+      const rule = getRecurrenceRule(originalSubtask);
+      if (!rule || !originalSubtask.dueDate) {
         return null;
       }
 
-      // Calculate new due date based on original due date + interval
-      const newDueDate = new Date(originalSubtask.dueDate);
-      newDueDate.setDate(newDueDate.getDate() + originalSubtask.recurrenceInterval);
+      // Each subtask gets one next occurrence, e.g. when it is completed, reopened and completed again
+      if (await Subtask.exists({ previousOccurrence: originalSubtask._id })) {
+        return null;
+      }
+
+      // Calculate new due date from the rule (legacy subtasks repeat every N days)
+      const newDueDate = getNextOccurrence(originalSubtask.dueDate, rule);
+      const occurrence = (originalSubtask.recurrenceOccurrence || 1) + 1;
+
+      // The series has reached its end date or occurrence count
+      if (!isWithinRecurrence(newDueDate, occurrence, rule)) {
+        return null;
+      }
+
+      // The next occurrence starts in the workflow's first "todo" status
+      const project = await Project.findById(originalSubtask.projectId?._id || originalSubtask.projectId).select('workflow');
+      const status = getInitialStatus(project);
 
       const newSubtaskData = {
         title: originalSubtask.title,
         description: originalSubtask.description,
         parentTaskId: originalSubtask.parentTaskId,
         projectId: originalSubtask.projectId,
-        status: 'To Do',
+        status,
+        statusCategory: getStatusCategory(project, status),
         priority: originalSubtask.priority,
         assigneeId: originalSubtask.assigneeId,
         ownerId: originalSubtask.ownerId,
         dueDate: newDueDate,
         isRecurring: originalSubtask.isRecurring,
         recurrenceInterval: originalSubtask.recurrenceInterval,
-        timeTaken: ''
+        recurrenceRule: originalSubtask.recurrenceRule?.frequency ? rule : null,
+        recurrenceOccurrence: occurrence,
+        previousOccurrence: originalSubtask._id,
+        timeTaken: '',
+        customFields: originalSubtask.customFields
       };
 
       const newSubtask = new Subtask(newSubtaskData);
       return await newSubtask.save();
     } catch (error) {
+      // Created at the same time by another request or the recurrence job
+      if (error.code === 11000) {
+        return null;
+      }
       throw error;
     }
   }
 
   /**
-   * Manual Time Logging: Update subtask time taken
+   * Create the next occurrence of recurring subtasks completed since `since`
+   * that do not have one yet. Run by the recurrence job.
+   * @returns {Promise<number>} Occurrences created
    */
-  async updateSubtaskTimeTaken(subtaskId, timeTaken) {
-    try {
-      // Validate input
-      if (timeTaken === null || timeTaken === undefined || timeTaken === '') {
-        throw new Error('Time taken cannot be blank');
+  async createMissingOccurrences(since) {
+    const subtasks = await Subtask.find({
+      isRecurring: true,
+      statusCategory: 'done',
+      archived: { $ne: true },
+      updatedAt: { $gte: since }
+    });
+
+    let created = 0;
+    for (const subtask of subtasks) {
+      if (await this.createRecurringSubtask(subtask)) {
+        created += 1;
       }
+    }
+    return created;
+  }
 
-      const numTimeTaken = Number(timeTaken);
-      if (isNaN(numTimeTaken) || numTimeTaken < 0) {
-        throw new Error('Time taken must be a positive number');
-      }
+  parseTimeTaken(timeTaken) {
+    if (timeTaken === null || timeTaken === undefined || timeTaken === '') {
+      throw new Error('Time taken cannot be blank');
+    }
+
+    const numTimeTaken = Number(timeTaken);
+    if (isNaN(numTimeTaken) || numTimeTaken < 0) {
+      throw new Error('Time taken must be a positive number');
+    }
+    return numTimeTaken;
+  }
+
+  /**
+   * Manual Time Logging: Update the subtask's unattributed time
+   */
+  async updateSubtaskTimeTaken(subtaskId, timeTaken) {
+    try {
+      const numTimeTaken = this.parseTimeTaken(timeTaken);
 
-      // Find and update subtask
       const subtask = await Subtask.findById(subtaskId);
       if (!subtask) {
         throw new Error('Subtask not found');
       }
 
-      subtask.timeTaken = numTimeTaken;
-      subtask.updatedAt = new Date();
-      await subtask.save();
+      await taskService.setUnattributedTime('subtask', subtask, numTimeTaken);
 
-      return subtask;
+      return await Subtask.findById(subtaskId);
     } catch (error) {
       throw error;
     }
@@ -6,6 +6,7 @@ import Subtask from '../models/subtask.model.js';
 import Task from '../models/task.model.js';
 import Project from '../models/project.model.js';
 import User from '../models/user.model.js';
+import TimeEntry from '../models/time-entry.model.js';
 
 describe('Subtask Service', () => {
   let mockTaskId;
@@ -163,6 +164,24 @@ describe('Subtask Service', () => {
       expect(archivedSubtask).toBeUndefined();
     });
 
+    it('should count non-archived and completed subtasks per parent task', async () => {
+      const emptyTaskId = new mongoose.Types.ObjectId();
+      await Subtask.create({
+        title: 'Done Subtask',
+        parentTaskId: mockTaskId,
+        projectId: mockProjectId,
+        ownerId: mockOwnerId,
+        status: 'Completed'
+      });
+
+      const counts = await subtaskService.getSubtaskCounts([mockTaskId.toString(), emptyTaskId.toString(), 'invalid']);
+
+      expect(counts).toEqual({
+        [mockTaskId.toString()]: { total: 3, completed: 1 },
+        [emptyTaskId.toString()]: { total: 0, completed: 0 }
+      });
+    });
+
     it('should return empty array when no subtasks exist', async () => {
       const newTaskId = new mongoose.Types.ObjectId();
       const subtasks = await subtaskService.getSubtasksByParentTask(newTaskId);
@@ -433,6 +452,48 @@ describe('Subtask Service', () => {
       const result = await subtaskService.createRecurringSubtask(subtask);
       expect(result).toBeNull();
     });
+
+    it('should stop recurring after the rule end date', async () => {
+      const originalSubtask = await Subtask.create({
+        title: 'Weekly Review',
+        parentTaskId: mockTaskId,
+        projectId: mockProjectId,
+        ownerId: mockOwnerId,
+        status: 'Completed',
+        priority: 5,
+        dueDate: new Date('2099-03-02T00:00:00.000Z'),
+        isRecurring: true,
+        recurrenceRule: { frequency: 'weekly', weekdays: [1], endDate: new Date('2099-03-12T00:00:00.000Z') }
+      });
+
+      const next = await subtaskService.createRecurringSubtask(originalSubtask);
+      expect(next.dueDate.toISOString()).toBe('2099-03-09T00:00:00.000Z');
+      expect(next.recurrenceInterval).toBeNull();
+
+      const afterEnd = await subtaskService.createRecurringSubtask(next);
+      expect(afterEnd).toBeNull();
+    });
+
+    it('should create one next occurrence per subtask and catch up missing ones', async () => {
+      const completed = await Subtask.create({
+        title: 'Daily Check',
+        parentTaskId: mockTaskId,
+        projectId: mockProjectId,
+        ownerId: mockOwnerId,
+        status: 'Completed',
+        statusCategory: 'done',
+        dueDate: new Date('2099-03-02T00:00:00.000Z'),
+        isRecurring: true,
+        recurrenceRule: { frequency: 'daily' }
+      });
+
+      expect(await subtaskService.createMissingOccurrences(new Date(Date.now() - 60 * 1000))).toBe(1);
+      expect(await subtaskService.createRecurringSubtask(completed)).toBeNull();
+      expect(await subtaskService.createMissingOccurrences(new Date(Date.now() - 60 * 1000))).toBe(0);
+
+      const next = await Subtask.findOne({ previousOccurrence: completed._id });
+      expect(next.dueDate.toISOString()).toBe('2099-03-03T00:00:00.000Z');
+    });
   });
 
   describe('Time Taken Field', () => {
@@ -464,6 +525,26 @@ describe('Subtask Service', () => {
 
       expect(updatedSubtask.timeTaken).toBe(180);
     });
+
+    it('should set the unattributed time and keep time logged by users', async () => {
+      const subtask = await Subtask.create({
+        title: 'Test Subtask',
+        parentTaskId: mockTaskId,
+        projectId: mockProjectId,
+        ownerId: mockOwnerId
+      });
+      await TimeEntry.create({
+        itemType: 'subtask', item: subtask._id, task: mockTaskId, user: mockOwnerId, minutes: 30
+      });
+
+      const updatedSubtask = await subtaskService.updateSubtask(subtask._id, { timeTaken: 45 }, mockOwnerId);
+
+      expect(updatedSubtask.timeTaken).toBe(75);
+      expect(await TimeEntry.findOne({ item: subtask._id, user: null })).toMatchObject({ minutes: 45 });
+      await expect(subtaskService.updateSubtask(subtask._id, { timeTaken: -5 }, mockOwnerId))
+        .rejects.toThrow('Time taken must be a positive number');
+      await TimeEntry.deleteMany({ item: subtask._id });
+    });
   });
 
   describe('Archive Functionality', () => {
@@ -990,19 +1071,19 @@ describe('Subtask Service', () => {
   });
 
   describe('Tags Functionality - STK-013, STK-014, STK-015, STT-006', () => {
-    it('STK-013: should create subtask with tags as string', async () => {
+    it('STK-013: should create subtask with tags as an array', async () => {
       const subtaskData = {
         title: 'Test Subtask',
         parentTaskId: mockTaskId,
         projectId: mockProjectId,
         ownerId: mockOwnerId,
-        tags: 'urgent#frontend'
+        tags: ['urgent', 'frontend']
       };
 
       const subtask = await subtaskService.createSubtask(subtaskData);
 
-      expect(subtask.tags).toBe('urgent#frontend');
-      expect(typeof subtask.tags).toBe('string');
+      expect(subtask.tags).toEqual(['urgent', 'frontend']);
+      expect(Array.isArray(subtask.tags)).toBe(true);
     });
 
     it('STK-014: should create subtask with single tag', async () => {
@@ -1011,15 +1092,15 @@ describe('Subtask Service', () => {
         parentTaskId: mockTaskId,
         projectId: mockProjectId,
         ownerId: mockOwnerId,
-        tags: 'api'
+        tags: ['api']
       };
 
       const subtask = await subtaskService.createSubtask(subtaskData);
 
-      expect(subtask.tags).toBe('api');
+      expect(subtask.tags).toEqual(['api']);
     });
 
-    it('STT-006: should create subtask with hashtag-separated tags', async () => {
+    it('STT-006: should split legacy hashtag-separated tags into an array', async () => {
       const subtaskData = {
         title: 'Test Subtask',
         parentTaskId: mockTaskId,
@@ -1030,7 +1111,7 @@ describe('Subtask Service', () => {
 
       const subtask = await subtaskService.createSubtask(subtaskData);
 
-      expect(subtask.tags).toBe('bug#critical#release-blocker');
+      expect(subtask.tags).toEqual(['bug', 'critical', 'release-blocker']);
     });
 
     it('should create subtask without tags (optional)', async () => {
@@ -1043,7 +1124,7 @@ describe('Subtask Service', () => {
 
       const subtask = await subtaskService.createSubtask(subtaskData);
 
-      expect(subtask.tags).toBe('');
+      expect(subtask.tags).toEqual([]);
     });
 
     it('STK-015: should update subtask tags', async () => {
@@ -1052,13 +1133,13 @@ describe('Subtask Service', () => {
         parentTaskId: mockTaskId,
         projectId: mockProjectId,
         ownerId: mockOwnerId,
-        tags: 'urgent#frontend'
+        tags: ['urgent', 'frontend']
       });
 
-      const updateData = { tags: 'urgent' };
+      const updateData = { tags: ['urgent'] };
       const updatedSubtask = await subtaskService.updateSubtask(subtask._id, updateData, mockOwnerId);
 
-      expect(updatedSubtask.tags).toBe('urgent');
+      expect(updatedSubtask.tags).toEqual(['urgent']);
     });
 
     it('should update subtask to add new tags', async () => {
@@ -1067,13 +1148,13 @@ describe('Subtask Service', () => {
         parentTaskId: mockTaskId,
         projectId: mockProjectId,
         ownerId: mockOwnerId,
-        tags: 'urgent'
+        tags: ['urgent']
       });
 
-      const updateData = { tags: 'urgent#frontend#api' };
+      const updateData = { tags: ['urgent', 'frontend', 'api'] };
       const updatedSubtask = await subtaskService.updateSubtask(subtask._id, updateData, mockOwnerId);
 
-      expect(updatedSubtask.tags).toBe('urgent#frontend#api');
+      expect(updatedSubtask.tags).toEqual(['urgent', 'frontend', 'api']);
     });
 
     it('should update subtask to remove all tags', async () => {
@@ -1082,13 +1163,13 @@ describe('Subtask Service', () => {
         parentTaskId: mockTaskId,
         projectId: mockProjectId,
         ownerId: mockOwnerId,
-        tags: 'urgent#frontend'
+        tags: ['urgent', 'frontend']
       });
 
-      const updateData = { tags: '' };
+      const updateData = { tags: [] };
       const updatedSubtask = await subtaskService.updateSubtask(subtask._id, updateData, mockOwnerId);
 
-      expect(updatedSubtask.tags).toBe('');
+      expect(updatedSubtask.tags).toEqual([]);
     });
   });
 });
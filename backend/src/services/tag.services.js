@@ -0,0 +1,397 @@
+import mongoose from 'mongoose';
+import Tag from '../models/tag.model.js';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import Project from '../models/project.model.js';
+import TaskTemplate from '../models/task-template.model.js';
+import {
+    MAX_TAG_LENGTH, normalizeTagName, normalizeTags, getTagKey, isValidTagColor, pickTagColor
+} from '../utils/tag.utils.js';
+
+// Writes sent to MongoDB at once by the legacy tag migration
+const MIGRATION_BATCH_SIZE = 500;
+
+const hasRole = (user, role) => (user.roles || []).includes(role);
+const isManagerOrAdmin = (user) => hasRole(user, 'manager') || hasRole(user, 'admin');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches one tag name in a tags array, ignoring case
+const tagNameRegex = (name) => new RegExp(`^${escapeRegex(name)}$`, 'i');
+
+class TagService {
+    /**
+     * Load a tag, throwing if it does not exist
+     */
+    async findTag(tagId) {
+        if (!mongoose.Types.ObjectId.isValid(tagId)) {
+            throw new Error('Tag not found');
+        }
+
+        const tag = await Tag.findById(tagId);
+        if (!tag) {
+            throw new Error('Tag not found');
+        }
+        return tag;
+    }
+
+    /**
+     * Admins and anyone with access to the project (its owner and members)
+     */
+    async hasProjectAccess(actingUser, projectId) {
+        if (hasRole(actingUser, 'admin')) {
+            return true;
+        }
+        return Boolean(await Project.exists({
+            _id: projectId,
+            $or: [{ owner: actingUser._id }, { members: actingUser._id }]
+        }));
+    }
+
+    /**
+     * Managers and admins can change any tag; otherwise the user who created it,
+     * or the owner of a project tag's project
+     */
+    async canManageTag(tag, actingUser) {
+        if (isManagerOrAdmin(actingUser) || String(tag.createdBy) === String(actingUser._id)) {
+            return true;
+        }
+        if (tag.project) {
+            return Boolean(await Project.exists({ _id: tag.project, owner: actingUser._id }));
+        }
+        return false;
+    }
+
+    /**
+     * Validated display name for a new or renamed tag
+     */
+    validateName(name) {
+        const normalized = normalizeTagName(name);
+        if (!normalized) {
+            throw new Error('Tag name is required');
+        }
+        if (normalized.length > MAX_TAG_LENGTH) {
+            throw new Error(`Tag name cannot exceed ${MAX_TAG_LENGTH} characters`);
+        }
+        if (normalized.includes('#') || normalized.includes(',')) {
+            throw new Error('Tag name cannot contain "#" or ","');
+        }
+        return normalized;
+    }
+
+    /**
+     * Throw if a tag with this name already exists where it would clash: in the
+     * same scope, or as a global tag when adding a project tag
+     */
+    async assertNameAvailable(name, projectId, excludeTagId = null) {
+        const filter = {
+            key: getTagKey(name),
+            project: projectId ? { $in: [projectId, null] } : null
+        };
+        if (excludeTagId) {
+            filter._id = { $ne: excludeTagId };
+        }
+        if (await Tag.exists(filter)) {
+            throw new Error(`A tag named "${name}" already exists`);
+        }
+    }
+
+    /**
+     * Tags usable in a project (global ones plus the project's own), or without
+     * a project every tag the user can see: global tags and those of projects
+     * they have access to (all of them for admins).
+     * `search` matches anywhere in the name, for autocomplete. Sorted by name.
+     */
+    async getTags({ projectId, search, actingUser }) {
+        const filter = {};
+
+        if (projectId) {
+            if (!mongoose.Types.ObjectId.isValid(projectId)) {
+                throw new Error('Project not found');
+            }
+            if (!await this.hasProjectAccess(actingUser, projectId)) {
+                throw new Error('You do not have permission to view tags of this project');
+            }
+            filter.project = { $in: [projectId, null] };
+        } else if (!hasRole(actingUser, 'admin')) {
+            const projectIds = await Project.find({
+                $or: [{ owner: actingUser._id }, { members: actingUser._id }]
+            }).distinct('_id');
+            filter.project = { $in: [...projectIds, null] };
+        }
+
+        const term = getTagKey(search);
+        if (term) {
+            filter.key = new RegExp(escapeRegex(term));
+        }
+
+        return await Tag.find(filter)
+            .sort({ key: 1 })
+            .populate('project', 'name');
+    }
+
+    /**
+     * Register a tag. Global tags (the default) can only be created by managers
+     * and admins; project tags by anyone with access to the project.
+     * Without a colour, one is picked from the tag palette.
+     */
+    async createTag({ name, color, description = '', scope = 'global', projectId }, actingUser) {
+        const tagName = this.validateName(name);
+
+        if (color !== undefined && color !== null && color !== '' && !isValidTagColor(color)) {
+            throw new Error('Colour must be a hex colour such as #3b82f6');
+        }
+
+        if (scope === 'project') {
+            if (!projectId || !mongoose.Types.ObjectId.isValid(projectId)) {
+                throw new Error('Project is required for project tags');
+            }
+            if (!await Project.exists({ _id: projectId })) {
+                throw new Error('Project not found');
+            }
+            if (!await this.hasProjectAccess(actingUser, projectId)) {
+                throw new Error('You do not have permission to add tags to this project');
+            }
+        } else if (scope === 'global') {
+            if (!isManagerOrAdmin(actingUser)) {
+                throw new Error('Only managers and admins can create global tags');
+            }
+        } else {
+            throw new Error('Scope must be "global" or "project"');
+        }
+
+        const project = scope === 'project' ? projectId : null;
+        await this.assertNameAvailable(tagName, project);
+
+        const tag = await Tag.create({
+            name: tagName,
+            color: color || pickTagColor(tagName),
+            description,
+            scope,
+            project,
+            createdBy: actingUser._id
+        });
+
+        return await tag.populate('project', 'name');
+    }
+
+    /**
+     * Change a tag's name, colour or description. A rename is applied to every
+     * project, task and subtask in the tag's scope that uses the old name.
+     */
+    async updateTag(tagId, updates, actingUser) {
+        const tag = await this.findTag(tagId);
+
+        if (!await this.canManageTag(tag, actingUser)) {
+            throw new Error('You do not have permission to edit this tag');
+        }
+
+        if (updates.color !== undefined) {
+            if (!isValidTagColor(updates.color)) {
+                throw new Error('Colour must be a hex colour such as #3b82f6');
+            }
+            tag.color = updates.color;
+        }
+
+        if (updates.description !== undefined) {
+            tag.description = updates.description || '';
+        }
+
+        const oldName = tag.name;
+        if (updates.name !== undefined) {
+            const newName = this.validateName(updates.name);
+            if (getTagKey(newName) !== tag.key) {
+                await this.assertNameAvailable(newName, tag.project, tag._id);
+            }
+            tag.name = newName;
+        }
+
+        await tag.save();
+
+        if (tag.name !== oldName) {
+            await this.renameInItems(tag, oldName, tag.name);
+        }
+
+        return await tag.populate('project', 'name');
+    }
+
+    /**
+     * Remove a tag from the registry and from every item in its scope
+     * @returns {{ tag, removedFrom: { projects, tasks, subtasks } }}
+     */
+    async deleteTag(tagId, actingUser) {
+        const tag = await this.findTag(tagId);
+
+        if (!await this.canManageTag(tag, actingUser)) {
+            throw new Error('You do not have permission to delete this tag');
+        }
+
+        const name = tagNameRegex(tag.name);
+        const removedFrom = { projects: 0, tasks: 0, subtasks: 0 };
+        await Promise.all(this.getScopes(tag).map(async ({ key, Model, filter }) => {
+            const result = await Model.updateMany({ ...filter, tags: name }, { $pull: { tags: name } });
+            removedFrom[key] = result.modifiedCount;
+        }));
+
+        await tag.deleteOne();
+
+        return { tag, removedFrom };
+    }
+
+    /**
+     * The collections a tag is used in, with filters limiting them to its scope.
+     * Projects only carry global tags.
+     */
+    getScopes(tag) {
+        const scopes = [
+            { key: 'tasks', Model: Task, filter: tag.project ? { project: tag.project } : {} },
+            { key: 'subtasks', Model: Subtask, filter: tag.project ? { projectId: tag.project } : {} }
+        ];
+        if (!tag.project) {
+            scopes.push({ key: 'projects', Model: Project, filter: {} });
+        }
+        return scopes;
+    }
+
+    async renameInItems(tag, oldName, newName) {
+        const name = tagNameRegex(oldName);
+        const update = { $set: { 'tags.$[tag]': newName } };
+        const options = { arrayFilters: [{ tag: { $regex: name } }] };
+
+        await Promise.all(this.getScopes(tag).map(({ Model, filter }) =>
+            Model.updateMany({ ...filter, tags: name }, update, options)
+        ));
+    }
+
+    /**
+     * Add tag names used on an item to the registry if they are not there yet:
+     * as project tags when `projectId` is given (unless a global tag has the
+     * name), otherwise as global tags
+     */
+    async registerTags(names, { projectId = null, userId = null } = {}) {
+        const tags = normalizeTags(names);
+        if (tags.length === 0) {
+            return;
+        }
+
+        const keys = tags.map(getTagKey);
+        const existing = await Tag.find({
+            key: { $in: keys },
+            project: projectId ? { $in: [projectId, null] } : null
+        }).select('key');
+        const known = new Set(existing.map(tag => tag.key));
+
+        const operations = tags
+            .filter(name => !known.has(getTagKey(name)))
+            .map(name => ({
+                updateOne: {
+                    filter: { project: projectId, key: getTagKey(name) },
+                    update: {
+                        $setOnInsert: {
+                            name,
+                            key: getTagKey(name),
+                            color: pickTagColor(name),
+                            description: '',
+                            scope: projectId ? 'project' : 'global',
+                            project: projectId,
+                            createdBy: userId,
+                            createdAt: new Date(),
+                            updatedAt: new Date()
+                        }
+                    },
+                    upsert: true
+                }
+            }));
+
+        if (operations.length > 0) {
+            await Tag.bulkWrite(operations, { ordered: false });
+        }
+    }
+
+    /**
+     * Give a copied project the same project tags (names, colours, descriptions)
+     */
+    async copyProjectTags(fromProjectId, toProjectId, userId) {
+        const tags = await Tag.find({ project: fromProjectId }).lean();
+        if (tags.length === 0) {
+            return;
+        }
+
+        await Tag.insertMany(tags.map(tag => ({
+            name: tag.name,
+            key: tag.key,
+            color: tag.color,
+            description: tag.description,
+            scope: 'project',
+            project: toProjectId,
+            createdBy: userId
+        })));
+    }
+
+    /**
+     * Remove a deleted project's tags from the registry
+     */
+    async deleteProjectTags(projectId) {
+        await Tag.deleteMany({ project: projectId });
+    }
+
+    /**
+     * Convert tasks, subtasks and templates that still store tags as one
+     * '#'-separated string into tag arrays, and register every tag in use.
+     * Safe to run repeatedly; items already converted are left alone.
+     * @returns {{ tasks: Number, subtasks: Number, templates: Number }} Documents converted
+     */
+    async migrateLegacyTags() {
+        const stringTags = { $expr: { $eq: [{ $type: '$tags' }, 'string'] } };
+
+        const convert = async (collection, projectField) => {
+            let converted = 0;
+            let batch = [];
+            const flush = async () => {
+                if (batch.length > 0) {
+                    await collection.bulkWrite(batch, { ordered: false });
+                    converted += batch.length;
+                    batch = [];
+                }
+            };
+
+            for await (const doc of collection.find(stringTags)) {
+                const tags = normalizeTags(doc.tags);
+                batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { tags } } } });
+                await this.registerTags(tags, { projectId: doc[projectField] || null });
+                if (batch.length >= MIGRATION_BATCH_SIZE) {
+                    await flush();
+                }
+            }
+            await flush();
+            return converted;
+        };
+
+        const tasks = await convert(Task.collection, 'project');
+        const subtasks = await convert(Subtask.collection, 'projectId');
+
+        // Template items are embedded, so check each template
+        let templates = 0;
+        for await (const template of TaskTemplate.collection.find({})) {
+            const items = [template.task, ...(template.subtasks || [])].filter(Boolean);
+            if (!items.some(item => typeof item.tags === 'string')) {
+                continue;
+            }
+            await TaskTemplate.collection.updateOne({ _id: template._id }, {
+                $set: {
+                    'task.tags': normalizeTags(template.task?.tags),
+                    subtasks: (template.subtasks || []).map(item => ({ ...item, tags: normalizeTags(item.tags) }))
+                }
+            });
+            templates += 1;
+        }
+
+        // Project tags were always arrays; make sure they are registered too
+        const projectTags = await Project.distinct('tags');
+        await this.registerTags(projectTags);
+
+        return { tasks, subtasks, templates };
+    }
+}
+
+export default new TagService();
@@ -0,0 +1,227 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, afterEach } from 'vitest';
+import mongoose from 'mongoose';
+import Tag from '../models/tag.model.js';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import TaskTemplate from '../models/task-template.model.js';
+import tagService from './tag.services.js';
+
+describe('Tag Service', () => {
+    let testManager, testStaff, testOutsider, testProject, otherProject;
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        testManager = await User.create({
+            username: 'tag.manager@example.com',
+            roles: ['manager'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testStaff = await User.create({
+            username: 'tag.staff@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testOutsider = await User.create({
+            username: 'tag.outsider@example.com',
+            roles: ['staff'],
+            department: 'sales',
+            hashed_password: 'password123'
+        });
+
+        testProject = await Project.create({
+            name: 'Tagged Project',
+            owner: testManager._id,
+            members: [testStaff._id]
+        });
+        otherProject = await Project.create({
+            name: 'Other Project',
+            owner: testOutsider._id
+        });
+    });
+
+    afterEach(async () => {
+        await Tag.deleteMany({});
+        await Task.deleteMany({});
+        await Subtask.deleteMany({});
+        await TaskTemplate.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await User.deleteMany({});
+        await Project.deleteMany({});
+    });
+
+    describe('createTag', () => {
+        it('should let managers create global tags with a palette colour', async () => {
+            const tag = await tagService.createTag({ name: '#Release ' }, testManager);
+
+            expect(tag.name).toBe('Release');
+            expect(tag.key).toBe('release');
+            expect(tag.scope).toBe('global');
+            expect(tag.project).toBeNull();
+            expect(tag.color).toMatch(/^#[0-9a-f]{6}$/);
+        });
+
+        it('should only let managers and admins create global tags', async () => {
+            await expect(tagService.createTag({ name: 'release' }, testStaff))
+                .rejects.toThrow('Only managers and admins can create global tags');
+        });
+
+        it('should let project members create project tags', async () => {
+            const tag = await tagService.createTag({
+                name: 'backend',
+                color: '#10b981',
+                scope: 'project',
+                projectId: testProject._id
+            }, testStaff);
+
+            expect(tag.scope).toBe('project');
+            expect(tag.color).toBe('#10b981');
+            expect(String(tag.project._id)).toBe(String(testProject._id));
+        });
+
+        it('should reject project tags from users outside the project', async () => {
+            await expect(tagService.createTag({ name: 'backend', scope: 'project', projectId: testProject._id }, testOutsider))
+                .rejects.toThrow('You do not have permission to add tags to this project');
+        });
+
+        it('should reject names that clash with a global tag, ignoring case', async () => {
+            await tagService.createTag({ name: 'release' }, testManager);
+
+            await expect(tagService.createTag({ name: 'RELEASE', scope: 'project', projectId: testProject._id }, testStaff))
+                .rejects.toThrow('A tag named "RELEASE" already exists');
+        });
+
+        it('should validate the name and colour', async () => {
+            await expect(tagService.createTag({ name: '  ' }, testManager)).rejects.toThrow('Tag name is required');
+            await expect(tagService.createTag({ name: 'a,b' }, testManager)).rejects.toThrow('Tag name cannot contain "#" or ","');
+            await expect(tagService.createTag({ name: 'blue', color: 'blue' }, testManager))
+                .rejects.toThrow('Colour must be a hex colour such as #3b82f6');
+        });
+    });
+
+    describe('getTags', () => {
+        beforeEach(async () => {
+            await Tag.create([
+                { name: 'release', color: '#3b82f6' },
+                { name: 'backend', color: '#10b981', scope: 'project', project: testProject._id },
+                { name: 'sales-only', color: '#ef4444', scope: 'project', project: otherProject._id }
+            ]);
+        });
+
+        it('should return global tags and the project\'s own tags', async () => {
+            const tags = await tagService.getTags({ projectId: testProject._id, actingUser: testStaff });
+
+            expect(tags.map(tag => tag.name)).toEqual(['backend', 'release']);
+        });
+
+        it('should only return tags of projects the user has access to', async () => {
+            const tags = await tagService.getTags({ actingUser: testStaff });
+
+            expect(tags.map(tag => tag.name)).toEqual(['backend', 'release']);
+        });
+
+        it('should filter by search term', async () => {
+            const tags = await tagService.getTags({ search: 'REL', actingUser: testStaff });
+
+            expect(tags.map(tag => tag.name)).toEqual(['release']);
+        });
+
+        it('should reject projects the user cannot access', async () => {
+            await expect(tagService.getTags({ projectId: otherProject._id, actingUser: testStaff }))
+                .rejects.toThrow('You do not have permission to view tags of this project');
+        });
+    });
+
+    describe('updateTag', () => {
+        it('should rename the tag on tasks and subtasks in its project', async () => {
+            const tag = await tagService.createTag({ name: 'backend', scope: 'project', projectId: testProject._id }, testStaff);
+            const task = await Task.create({ title: 'API', owner: testStaff._id, project: testProject._id, tags: ['Backend', 'urgent'] });
+            const subtask = await Subtask.create({
+                title: 'Endpoint',
+                parentTaskId: task._id,
+                projectId: testProject._id,
+                ownerId: testStaff._id,
+                tags: ['backend']
+            });
+            const elsewhere = await Task.create({ title: 'Other', owner: testOutsider._id, project: otherProject._id, tags: ['backend'] });
+
+            await tagService.updateTag(tag._id, { name: 'server' }, testStaff);
+
+            expect((await Task.findById(task._id)).tags).toEqual(['server', 'urgent']);
+            expect((await Subtask.findById(subtask._id)).tags).toEqual(['server']);
+            expect((await Task.findById(elsewhere._id)).tags).toEqual(['backend']);
+        });
+
+        it('should only let the creator, the project owner or managers edit a tag', async () => {
+            const tag = await tagService.createTag({ name: 'backend', scope: 'project', projectId: testProject._id }, testManager);
+
+            await expect(tagService.updateTag(tag._id, { color: '#ef4444' }, testStaff))
+                .rejects.toThrow('You do not have permission to edit this tag');
+        });
+    });
+
+    describe('deleteTag', () => {
+        it('should remove a global tag from projects, tasks and subtasks', async () => {
+            const tag = await tagService.createTag({ name: 'release' }, testManager);
+            await Project.updateOne({ _id: testProject._id }, { tags: ['release', 'q3'] });
+            await Task.create({ title: 'Ship', owner: testStaff._id, project: testProject._id, tags: ['Release'] });
+
+            const { removedFrom } = await tagService.deleteTag(tag._id, testManager);
+
+            expect(removedFrom).toEqual({ projects: 1, tasks: 1, subtasks: 0 });
+            expect((await Project.findById(testProject._id)).tags).toEqual(['q3']);
+            expect(await Tag.findById(tag._id)).toBeNull();
+        });
+    });
+
+    describe('registerTags', () => {
+        it('should add unknown tags to the project without duplicating global ones', async () => {
+            await Tag.create({ name: 'release', color: '#3b82f6' });
+
+            await tagService.registerTags(['Release', 'backend'], { projectId: testProject._id, userId: testStaff._id });
+            await tagService.registerTags(['backend'], { projectId: testProject._id });
+
+            const tags = await Tag.find({}).sort({ key: 1 });
+            expect(tags.map(tag => [tag.name, tag.scope])).toEqual([['backend', 'project'], ['release', 'global']]);
+        });
+    });
+
+    describe('copyProjectTags', () => {
+        it('should give the new project the same tags and colours', async () => {
+            await Tag.create({ name: 'backend', color: '#10b981', scope: 'project', project: testProject._id });
+
+            await tagService.copyProjectTags(testProject._id, otherProject._id, testOutsider._id);
+
+            const copy = await Tag.findOne({ project: otherProject._id });
+            expect(copy.name).toBe('backend');
+            expect(copy.color).toBe('#10b981');
+        });
+    });
+
+    describe('migrateLegacyTags', () => {
+        it('should convert #-separated strings to arrays and register the tags', async () => {
+            const { insertedId } = await Task.collection.insertOne({
+                title: 'Legacy',
+                owner: testStaff._id,
+                project: testProject._id,
+                tags: '#bug#Urgent'
+            });
+            await Task.create({ title: 'Current', owner: testStaff._id, project: testProject._id, tags: ['bug'] });
+
+            const result = await tagService.migrateLegacyTags();
+
+            expect(result).toEqual({ tasks: 1, subtasks: 0, templates: 0 });
+            expect((await Task.findById(insertedId)).tags).toEqual(['bug', 'Urgent']);
+            expect((await Tag.find({ project: testProject._id }).sort({ key: 1 })).map(tag => tag.name)).toEqual(['bug', 'Urgent']);
+            expect(await tagService.migrateLegacyTags()).toEqual({ tasks: 0, subtasks: 0, templates: 0 });
+        });
+    });
+});
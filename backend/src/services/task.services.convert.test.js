@@ -0,0 +1,220 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import Dependency from '../models/dependency.model.js';
+import TimeEntry from '../models/time-entry.model.js';
+import History from '../models/history.model.js';
+import taskService from './task.services.js';
+import subtaskService from './subtask.services.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Task Service - Convert between task and subtask', () => {
+    let testManager, testStaff, testOutsider, testProject, otherProject;
+
+    const createParentTask = (overrides = {}) => Task.create({
+        title: 'Launch website',
+        owner: testManager._id,
+        project: testProject._id,
+        assignee: [testManager._id],
+        ...overrides
+    });
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        testManager = await User.create({
+            username: 'convert.manager@example.com',
+            roles: ['manager'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testStaff = await User.create({
+            username: 'convert.staff@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testOutsider = await User.create({
+            username: 'convert.outsider@example.com',
+            roles: ['staff'],
+            department: 'sales',
+            hashed_password: 'password123'
+        });
+
+        testProject = await Project.create({
+            name: 'Convert Project',
+            owner: testManager._id,
+            members: [testStaff._id]
+        });
+        otherProject = await Project.create({
+            name: 'Other Project',
+            owner: testManager._id,
+            members: []
+        });
+    });
+
+    afterEach(async () => {
+        await Task.deleteMany({});
+        await Subtask.deleteMany({});
+        await Dependency.deleteMany({});
+        await TimeEntry.deleteMany({});
+        await History.collection.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await User.deleteMany({});
+        await Project.deleteMany({});
+    });
+
+    describe('convertToTask', () => {
+        it('should turn the subtask into a task with the same id, comments, time and recurrence', async () => {
+            const parent = await createParentTask();
+            const subtask = await Subtask.create({
+                title: 'Write copy',
+                parentTaskId: parent._id,
+                projectId: testProject._id,
+                ownerId: testStaff._id,
+                assigneeId: [testStaff._id],
+                status: 'In Progress',
+                timeTaken: 45,
+                dueDate: new Date(Date.now() - 2 * DAY_MS),
+                isRecurring: true,
+                recurrenceInterval: 7,
+                comments: [{ text: 'This is bigger than it looks', author: testStaff._id }]
+            });
+
+            const task = await subtaskService.convertToTask(subtask._id, testStaff);
+
+            expect(String(task._id)).toBe(String(subtask._id));
+            expect(task.owner.username).toBe('convert.staff@example.com');
+            expect(task.assignee.map(a => a.username)).toEqual(['convert.staff@example.com']);
+            expect(task.project.name).toBe('Convert Project');
+            expect(task.status).toBe('In Progress');
+            expect(task.timeTaken).toBe(45);
+            expect(task.recurrenceInterval).toBe(7);
+            expect(task.comments[0].text).toBe('This is bigger than it looks');
+            expect(task.dueDate.getTime()).toBe(subtask.dueDate.getTime());
+            expect(await Subtask.exists({ _id: subtask._id })).toBeNull();
+        });
+
+        it('should move time entries and dependency links over to the task', async () => {
+            const parent = await createParentTask();
+            const subtask = await Subtask.create({
+                title: 'Write copy',
+                parentTaskId: parent._id,
+                projectId: testProject._id,
+                ownerId: testManager._id
+            });
+            await TimeEntry.create({
+                itemType: 'subtask', item: subtask._id, task: parent._id,
+                project: testProject._id, user: testManager._id, minutes: 30, date: new Date()
+            });
+            await Dependency.create({
+                project: testProject._id,
+                blockerType: 'subtask', blocker: subtask._id,
+                blockedType: 'task', blocked: parent._id,
+                createdBy: testManager._id
+            });
+
+            await subtaskService.convertToTask(subtask._id, testManager);
+
+            const entry = await TimeEntry.findOne({ item: subtask._id });
+            expect(entry.itemType).toBe('task');
+            expect(String(entry.task)).toBe(String(subtask._id));
+            const link = await Dependency.findOne({ blocker: subtask._id });
+            expect(link.blockerType).toBe('task');
+        });
+
+        it('should keep earlier history and record the conversion', async () => {
+            const parent = await createParentTask();
+            const subtask = await Subtask.create({
+                title: 'Write copy',
+                parentTaskId: parent._id,
+                projectId: testProject._id,
+                ownerId: testManager._id
+            });
+            await subtaskService.updateSubtask(subtask._id, { status: 'In Progress' }, testManager._id);
+
+            await subtaskService.convertToTask(subtask._id, testManager);
+            const history = await taskService.getTaskHistory(subtask._id, testManager);
+
+            expect(history.map(entry => [entry.itemType, entry.field])).toEqual([
+                ['subtask', 'status'],
+                ['task', 'itemType']
+            ]);
+            expect(history[1].oldValue).toBe('subtask');
+        });
+
+        it('should reject users outside the project', async () => {
+            const parent = await createParentTask();
+            const subtask = await Subtask.create({
+                title: 'Write copy',
+                parentTaskId: parent._id,
+                projectId: testProject._id,
+                ownerId: testManager._id
+            });
+
+            await expect(subtaskService.convertToTask(subtask._id, testOutsider))
+                .rejects.toThrow('You do not have permission to convert this subtask');
+        });
+    });
+
+    describe('convertToSubtask', () => {
+        it('should turn the task into a subtask of the parent with the same id', async () => {
+            const parent = await createParentTask();
+            const task = await createParentTask({
+                title: 'Set up analytics',
+                owner: testStaff._id,
+                assignee: [testStaff._id],
+                timeTaken: 20,
+                comments: [{ text: 'Belongs under the launch', author: testStaff._id }]
+            });
+
+            const subtask = await taskService.convertToSubtask(task._id, parent._id, testStaff);
+
+            expect(String(subtask._id)).toBe(String(task._id));
+            expect(subtask.parentTaskId.title).toBe('Launch website');
+            expect(String(subtask.projectId)).toBe(String(testProject._id));
+            expect(subtask.ownerId.username).toBe('convert.staff@example.com');
+            expect(subtask.assigneeId.map(a => a.username)).toEqual(['convert.staff@example.com']);
+            expect(subtask.timeTaken).toBe(20);
+            expect(subtask.comments[0].text).toBe('Belongs under the launch');
+            expect(await Task.exists({ _id: task._id })).toBeNull();
+        });
+
+        it('should reject tasks that have subtasks of their own', async () => {
+            const parent = await createParentTask();
+            const task = await createParentTask({ title: 'Set up analytics' });
+            await Subtask.create({
+                title: 'Pick a vendor',
+                parentTaskId: task._id,
+                projectId: testProject._id,
+                ownerId: testManager._id
+            });
+
+            await expect(taskService.convertToSubtask(task._id, parent._id, testManager))
+                .rejects.toThrow('Only tasks without subtasks can be converted to a subtask');
+        });
+
+        it('should reject parents in another project', async () => {
+            const parent = await createParentTask({ project: otherProject._id });
+            const task = await createParentTask({ title: 'Set up analytics' });
+
+            await expect(taskService.convertToSubtask(task._id, parent._id, testManager))
+                .rejects.toThrow('The parent task must be in the same project');
+        });
+
+        it('should reject converting a task under itself', async () => {
+            const task = await createParentTask();
+
+            await expect(taskService.convertToSubtask(task._id, task._id, testManager))
+                .rejects.toThrow('A task cannot become its own subtask');
+        });
+    });
+});
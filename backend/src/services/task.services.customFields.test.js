@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import taskService from './task.services.js';
+import subtaskService from './subtask.services.js';
+import projectService from './project.services.js';
+
+describe('Task Service - Custom Fields', () => {
+    let testManager, testStaff, financeProject, engineeringProject;
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        testManager = await User.create({
+            username: 'cf.manager@example.com',
+            roles: ['manager'],
+            department: 'finance',
+            hashed_password: 'password123'
+        });
+        testStaff = await User.create({
+            username: 'cf.staff@example.com',
+            roles: ['staff'],
+            department: 'finance',
+            hashed_password: 'password123'
+        });
+
+        financeProject = await Project.create({
+            name: 'Budget',
+            owner: testManager._id,
+            members: [testStaff._id],
+            customFields: [
+                { key: 'cost_centre', name: 'Cost centre', type: 'text', required: true },
+                { key: 'approver', name: 'Approver', type: 'user' }
+            ]
+        });
+        engineeringProject = await Project.create({
+            name: 'Platform',
+            owner: testManager._id,
+            customFields: [
+                { key: 'story_points', name: 'Story points', type: 'number' },
+                { key: 'cost_centre', name: 'Cost centre', type: 'select', options: ['CC-12', 'CC-40'] }
+            ]
+        });
+    });
+
+    afterEach(async () => {
+        await Task.deleteMany({});
+        await Subtask.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await User.deleteMany({});
+        await Project.deleteMany({});
+    });
+
+    describe('createTask', () => {
+        it('should store cast values keyed by field', async () => {
+            const task = await taskService.createTask({
+                title: 'Q3 forecast',
+                project: financeProject._id,
+                customFields: { cost_centre: ' CC-12 ', approver: testManager._id.toString() }
+            }, testStaff._id);
+
+            expect(task.customFields).toEqual({ cost_centre: 'CC-12', approver: testManager._id.toString() });
+        });
+
+        it('should require required fields', async () => {
+            await expect(taskService.createTask({ title: 'Q3 forecast', project: financeProject._id }, testStaff._id))
+                .rejects.toThrow('"Cost centre" is required');
+        });
+
+        it('should reject unknown fields and users that do not exist', async () => {
+            await expect(taskService.createTask({
+                title: 'Q3 forecast',
+                project: financeProject._id,
+                customFields: { cost_centre: 'CC-12', colour: 'red' }
+            }, testStaff._id)).rejects.toThrow('Unknown custom field "colour"');
+
+            await expect(taskService.createTask({
+                title: 'Q3 forecast',
+                project: financeProject._id,
+                customFields: { cost_centre: 'CC-12', approver: new mongoose.Types.ObjectId().toString() }
+            }, testStaff._id)).rejects.toThrow('Custom field user not found');
+        });
+    });
+
+    describe('updateTask', () => {
+        it('should merge values and not allow clearing required fields', async () => {
+            const task = await taskService.createTask({
+                title: 'Q3 forecast',
+                project: financeProject._id,
+                customFields: { cost_centre: 'CC-12' }
+            }, testStaff._id);
+
+            const updated = await taskService.updateTask(task._id, {
+                customFields: { approver: testManager._id.toString() }
+            }, testStaff._id);
+            expect(updated.customFields).toEqual({ cost_centre: 'CC-12', approver: testManager._id.toString() });
+
+            await expect(taskService.updateTask(task._id, { customFields: { cost_centre: '' } }, testStaff._id))
+                .rejects.toThrow('"Cost centre" is required');
+        });
+    });
+
+    describe('subtasks', () => {
+        it('should validate subtask values against the project fields', async () => {
+            const task = await Task.create({
+                title: 'Sprint',
+                owner: testManager._id,
+                project: engineeringProject._id,
+                assignee: [testManager._id]
+            });
+
+            const subtask = await subtaskService.createSubtask({
+                title: 'API',
+                parentTaskId: task._id,
+                projectId: engineeringProject._id,
+                ownerId: testManager._id,
+                customFields: { story_points: '5' }
+            });
+            expect(subtask.customFields).toEqual({ story_points: 5 });
+
+            await expect(subtaskService.updateSubtask(subtask._id, { customFields: { story_points: 'lots' } }, testManager._id))
+                .rejects.toThrow('"Story points" must be a number');
+        });
+    });
+
+    describe('getTasks', () => {
+        it('should filter by custom field values per project', async () => {
+            await Task.create([
+                { title: 'Small', owner: testManager._id, project: engineeringProject._id, customFields: { story_points: 2 } },
+                { title: 'Large', owner: testManager._id, project: engineeringProject._id, customFields: { story_points: 8 } },
+                { title: 'Budget', owner: testManager._id, project: financeProject._id, customFields: { cost_centre: 'CC-12' } },
+                { title: 'Platform', owner: testManager._id, project: engineeringProject._id, customFields: { cost_centre: 'CC-12' } }
+            ]);
+
+            const large = await taskService.getTasks({ customFields: { story_points: '5..' } });
+            expect(large.map(task => task.title)).toEqual(['Large']);
+
+            const costCentre = await taskService.getTasks({ customFields: { cost_centre: 'cc-12' } });
+            expect(costCentre.map(task => task.title)).toEqual(['Budget']);
+
+            const page = await taskService.getTasksPage({ customFields: { story_points: '..5' } }, { limit: 10 });
+            expect(page.items.map(task => task.title)).toEqual(['Small']);
+            expect(page.counts.total).toBe(1);
+        });
+
+        it('should reject filters on fields no project defines', async () => {
+            await expect(taskService.getTasks({ customFields: { colour: 'red' } }))
+                .rejects.toThrow('Invalid custom field filter: no project has a field "colour"');
+        });
+    });
+
+    describe('project field definitions', () => {
+        it('should remove the values of deleted fields', async () => {
+            const task = await Task.create({
+                title: 'Sprint',
+                owner: testManager._id,
+                project: engineeringProject._id,
+                customFields: { story_points: 3, cost_centre: 'CC-40' }
+            });
+
+            const project = await projectService.updateProject(engineeringProject._id, {
+                customFields: [{ key: 'story_points', name: 'Estimate', type: 'number' }]
+            }, testManager._id, 'manager', 'finance');
+
+            expect(project.customFields.map(field => [field.key, field.name])).toEqual([['story_points', 'Estimate']]);
+            expect((await Task.findById(task._id)).customFields).toEqual({ story_points: 3 });
+        });
+    });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import taskService from './task.services.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Task Service - Duplicate', () => {
+    let testManager, testStaff, testOutsider, testProject;
+
+    const createTaskWithSubtasks = async () => {
+        const dueDate = new Date(Date.now() + 10 * DAY_MS);
+        const task = await Task.create({
+            title: 'Quarterly review',
+            description: 'Review the quarter',
+            owner: testManager._id,
+            project: testProject._id,
+            assignee: [testManager._id, testStaff._id],
+            priority: 7,
+            tags: ['review'],
+            status: 'In Progress',
+            timeTaken: 90,
+            dueDate,
+            comments: [{ text: 'Halfway there', author: testManager._id }],
+            checklist: [{ text: 'Collect numbers', done: true }]
+        });
+        await Subtask.create({
+            title: 'Collect metrics',
+            parentTaskId: task._id,
+            projectId: testProject._id,
+            ownerId: testStaff._id,
+            assigneeId: [testStaff._id],
+            status: 'Completed',
+            timeTaken: 45,
+            dueDate: new Date(dueDate.getTime() - 2 * DAY_MS)
+        });
+        await Subtask.create({
+            title: 'Old draft',
+            parentTaskId: task._id,
+            projectId: testProject._id,
+            ownerId: testStaff._id,
+            archived: true
+        });
+        return task;
+    };
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        testManager = await User.create({
+            username: 'dup.manager@example.com',
+            roles: ['manager'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testStaff = await User.create({
+            username: 'dup.staff@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testOutsider = await User.create({
+            username: 'dup.outsider@example.com',
+            roles: ['staff'],
+            department: 'sales',
+            hashed_password: 'password123'
+        });
+
+        testProject = await Project.create({
+            name: 'Duplicate Project',
+            owner: testManager._id,
+            members: [testStaff._id]
+        });
+    });
+
+    afterEach(async () => {
+        await Task.deleteMany({});
+        await Subtask.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await User.deleteMany({});
+        await Project.deleteMany({});
+    });
+
+    describe('duplicateTask', () => {
+        it('should copy the task without comments, reset its progress and make the user the owner', async () => {
+            const task = await createTaskWithSubtasks();
+
+            const { task: copy, subtasks } = await taskService.duplicateTask(task._id, {}, testStaff);
+
+            expect(copy.title).toBe('Quarterly review (copy)');
+            expect(copy.status).toBe('To Do');
+            expect(copy.timeTaken).toBe(0);
+            expect(copy.comments).toHaveLength(0);
+            expect(copy.checklist[0].done).toBe(false);
+            expect(copy.priority).toBe(7);
+            expect(copy.tags).toEqual(['review']);
+            expect(copy.owner.username).toBe('dup.staff@example.com');
+            expect(copy.assignee.map(a => a.username)).toEqual(['dup.manager@example.com', 'dup.staff@example.com']);
+            expect(copy.dueDate.getTime()).toBe(task.dueDate.getTime());
+            expect(subtasks).toHaveLength(0);
+            expect(await Subtask.countDocuments({ parentTaskId: copy._id })).toBe(0);
+        });
+
+        it('should copy non-archived subtasks and move their due dates with the new due date', async () => {
+            const task = await createTaskWithSubtasks();
+            const newDueDate = new Date(task.dueDate.getTime() + 7 * DAY_MS);
+
+            const { task: copy, subtasks } = await taskService.duplicateTask(task._id, {
+                includeSubtasks: true,
+                dueDate: newDueDate
+            }, testManager);
+
+            expect(copy.dueDate.getTime()).toBe(newDueDate.getTime());
+            expect(subtasks.map(s => s.title)).toEqual(['Collect metrics']);
+            expect(subtasks[0].status).toBe('To Do');
+            expect(subtasks[0].timeTaken).toBe(0);
+            expect(String(subtasks[0].parentTaskId)).toBe(String(copy._id));
+            expect(String(subtasks[0].ownerId)).toBe(String(testManager._id));
+            expect(subtasks[0].dueDate.getTime()).toBe(newDueDate.getTime() - 2 * DAY_MS);
+        });
+
+        it('should reject users who cannot see the task', async () => {
+            const task = await createTaskWithSubtasks();
+
+            await expect(taskService.duplicateTask(task._id, {}, testOutsider))
+                .rejects.toThrow('You do not have permission to duplicate this task');
+        });
+
+        it('should reject due dates in the past', async () => {
+            const task = await createTaskWithSubtasks();
+
+            await expect(taskService.duplicateTask(task._id, { dueDate: new Date(Date.now() - 3 * DAY_MS) }, testManager))
+                .rejects.toThrow('Due date cannot be in the past');
+        });
+    });
+});
@@ -1,13 +1,66 @@
 import Task from '../models/task.model.js';
 import Project from '../models/project.model.js';
 import User from '../models/user.model.js';
-import notificationModel from '../models/notification.model.js';
 import Subtask from '../models/subtask.model.js';
+import Dependency from '../models/dependency.model.js';
+import TimeEntry from '../models/time-entry.model.js';
+import Attachment from '../models/attachment.model.js';
+import { getAttachmentStorage } from './attachment-storage.services.js';
+import historyService, { TASK_HISTORY_FIELDS, SUBTASK_HISTORY_FIELDS } from './history.services.js';
+import tagService from './tag.services.js';
+import notificationService from './notification.services.js';
+import reminderService from './reminder.services.js';
+import { normalizeRecurrenceRule, getRecurrenceRule, getNextOccurrence, isWithinRecurrence } from '../utils/recurrence.utils.js';
+import { parseLimit, encodeCursor, decodeCursor, buildCursorFilter, toSortObject } from '../utils/pagination.utils.js';
+import { getOpenChecklistItems } from '../utils/checklist.utils.js';
+import { buildTaskCopy, buildSubtaskCopy, getShiftDays, isBeforeToday } from '../utils/duplicate.utils.js';
+import { taskToSubtaskFields } from '../utils/convert.utils.js';
+import { hasDueDateChanged } from '../utils/reminder.utils.js';
+import { normalizeTags, buildTagConditions } from '../utils/tag.utils.js';
+import {
+    validateCustomFieldValues, pickCustomFieldValues, getCustomFieldUserIds, buildCustomFieldCondition
+} from '../utils/custom-field.utils.js';
+import {
+    STATUS_CATEGORIES, getStatusNames, getStatusCategory, getInitialStatus, canTransition, mapStatusToWorkflow,
+    getItemStatusCategory
+} from '../utils/workflow.utils.js';
+import { toEntryDay } from '../utils/time-entry.utils.js';
 import mongoose from 'mongoose';
 
+// Sortable fields for task lists and the direction used when none is given
+const TASK_SORT_FIELDS = {
+    priority: { order: -1 },
+    dueDate: { order: 1, type: 'date' },
+    createdAt: { order: -1, type: 'date' },
+    title: { order: 1 }
+};
+
+// Accepts an array or a comma-separated string
+const toList = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+const toObjectId = (value, label) => {
+    if (value instanceof mongoose.Types.ObjectId) return value;
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error(`Invalid ${label} ID`);
+    }
+    return new mongoose.Types.ObjectId(String(value));
+};
+
+const toDate = (value, label) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid ${label}`);
+    }
+    return date;
+};
+
 class TaskService {
     async createTask(taskData, userId) {
-        const { title, description, project, dueDate, assignee, priority, tags, isRecurring, recurrenceInterval, owner } = taskData;
+        const { title, description, project, dueDate, assignee, priority, tags, isRecurring, recurrenceInterval, recurrenceRule, owner } = taskData;
 
         if (!title || title.trim() === '') {
             throw new Error('Task title is required');
@@ -38,6 +91,8 @@ class TaskService {
             throw new Error('Cannot assign tasks to completed projects');
         }
 
+        const customFields = await this.validateCustomFields(projectExists, taskData.customFields, { requireAll: true });
+
         // Creator is always the default assignee
         let assigneeList = [userId];
 
@@ -56,27 +111,35 @@ class TaskService {
             throw new Error('Maximum of 5 assignees allowed');
         }
 
-        // Validate recurrence settings
+        // Validate recurrence settings (a rule replaces the legacy interval)
+        let rule = null;
         if (isRecurring) {
-            if (!recurrenceInterval || recurrenceInterval <= 0) {
+            if (!recurrenceRule && (!recurrenceInterval || recurrenceInterval <= 0)) {
                 throw new Error('Recurrence interval must be a positive number for recurring tasks');
             }
             if (!dueDate) {
                 throw new Error('Due date is required for recurring tasks');
             }
+            if (recurrenceRule) {
+                rule = normalizeRecurrenceRule(recurrenceRule, dueDate);
+            }
         }
 
+        const status = getInitialStatus(projectExists);
         const newTaskData = {
             title: title.trim(),
             description: description || '',
-            status: 'To Do',
+            status,
+            statusCategory: getStatusCategory(projectExists, status),
             priority: priority !== undefined ? priority : 5,
-            tags: tags || '',
+            tags: normalizeTags(tags),
+            customFields,
             owner: userId,
             assignee: assigneeList,
             project: project,
             isRecurring: isRecurring || false,
-            recurrenceInterval: isRecurring ? recurrenceInterval : null,
+            recurrenceInterval: isRecurring && !rule ? recurrenceInterval : null,
+            recurrenceRule: rule,
             createdAt: new Date(),
             updatedAt: new Date()
         };
@@ -96,26 +159,8 @@ class TaskService {
         const savedTask = await task.save();
 
         // Automatically add all assignees to the project members array if not already members
-        const projectDoc = await Project.findById(project);
-        if (projectDoc) {
-            let membersUpdated = false;
-            const currentMembers = projectDoc.members.map(m => m.toString());
-            const projectOwner = projectDoc.owner.toString();
-
-            for (const assigneeId of assigneeList) {
-                const assigneeIdStr = assigneeId.toString();
-                // Add to members if not already a member and not the project owner
-                if (!currentMembers.includes(assigneeIdStr) && assigneeIdStr !== projectOwner) {
-                    projectDoc.members.push(assigneeId);
-                    membersUpdated = true;
-                }
-            }
-
-            if (membersUpdated) {
-                projectDoc.updatedAt = new Date();
-                await projectDoc.save();
-            }
-        }
+        await this.addProjectMembers(project, assigneeList);
+        await tagService.registerTags(savedTask.tags, { projectId: savedTask.project, userId });
 
         return savedTask;
     }
@@ -178,6 +223,15 @@ class TaskService {
             }
         }
 
+        const statusChange = await this.validateStatus(task.project, updateData.status, task.status);
+        if (statusChange?.statusCategory === 'done' && getItemStatusCategory(task) !== 'done') {
+            await this.assertChecklistComplete(task.checklist, task.project, 'task');
+        }
+
+        // Snapshot tracked fields for the audit trail
+        const before = historyService.snapshot(task, TASK_HISTORY_FIELDS);
+        const previousDueDate = task.dueDate;
+
         // STEP 4: Apply validated updates
         if (updateData.title !== undefined) {
             task.title = updateData.title.trim();
@@ -195,8 +249,9 @@ class TaskService {
             task.description = updateData.description;
         }
 
-        if (updateData.status !== undefined) {
-            task.status = updateData.status;
+        if (statusChange) {
+            task.status = statusChange.status;
+            task.statusCategory = statusChange.statusCategory;
         }
 
         if (updateData.priority !== undefined) {
@@ -238,22 +293,41 @@ class TaskService {
             task.tags = updateData.tags;
         }
 
+        if (updateData.customFields !== undefined) {
+            task.customFields = await this.validateCustomFields(task.project, updateData.customFields, {
+                existing: task.customFields
+            });
+        }
+
         // Handle recurrence updates
         if (updateData.isRecurring !== undefined) {
             if (updateData.isRecurring) {
                 // Turning on recurrence
-                if (!updateData.recurrenceInterval || updateData.recurrenceInterval <= 0) {
+                if (!updateData.recurrenceRule && (!updateData.recurrenceInterval || updateData.recurrenceInterval <= 0)) {
                     throw new Error('Recurrence interval must be a positive number for recurring tasks');
                 }
                 if (!task.dueDate && !updateData.dueDate) {
                     throw new Error('Due date is required for recurring tasks');
                 }
                 task.isRecurring = true;
-                task.recurrenceInterval = updateData.recurrenceInterval;
+                if (updateData.recurrenceRule) {
+                    task.recurrenceRule = normalizeRecurrenceRule(updateData.recurrenceRule, task.dueDate);
+                    task.recurrenceInterval = null;
+                } else {
+                    task.recurrenceRule = null;
+                    task.recurrenceInterval = updateData.recurrenceInterval;
+                }
             } else {
                 // Turning off recurrence
                 task.isRecurring = false;
                 task.recurrenceInterval = null;
+                task.recurrenceRule = null;
+            }
+        } else if (updateData.recurrenceRule) {
+            // Only updating the rule
+            if (task.isRecurring) {
+                task.recurrenceRule = normalizeRecurrenceRule(updateData.recurrenceRule, task.dueDate);
+                task.recurrenceInterval = null;
             }
         } else if (updateData.recurrenceInterval !== undefined) {
             // Only updating interval
@@ -262,6 +336,7 @@ class TaskService {
                     throw new Error('Recurrence interval must be a positive number');
                 }
                 task.recurrenceInterval = updateData.recurrenceInterval;
+                task.recurrenceRule = null;
             }
         }
 
@@ -273,29 +348,26 @@ class TaskService {
         task.updatedAt = new Date();
         await task.save();
 
+        await historyService.recordChanges({
+            itemType: 'task',
+            item: task,
+            before,
+            fields: TASK_HISTORY_FIELDS,
+            actor: userId
+        });
+
+        // A new due date gets its deadline reminders again
+        if (hasDueDateChanged(previousDueDate, task.dueDate)) {
+            await reminderService.resetReminders(task._id);
+        }
+
         // If assignees were updated, automatically add new assignees to project members
         if (updateData.assignee !== undefined) {
-            const projectDoc = await Project.findById(task.project);
-            if (projectDoc) {
-                let membersUpdated = false;
-                const currentMembers = projectDoc.members.map(m => m.toString());
-                const projectOwner = projectDoc.owner.toString();
-
-                for (const assigneeId of task.assignee) {
-                    const assigneeIdStr = assigneeId.toString();
-                    // Add to members if not already a member and not the project owner
-                    if (!currentMembers.includes(assigneeIdStr) && assigneeIdStr !== projectOwner) {
-                        projectDoc.members.push(assigneeId);
-                        currentMembers.push(assigneeIdStr); // Update local array to avoid duplicates
-                        membersUpdated = true;
-                    }
-                }
+            await this.addProjectMembers(task.project, task.assignee);
+        }
 
-                if (membersUpdated) {
-                    projectDoc.updatedAt = new Date();
-                    await projectDoc.save();
-                }
-            }
+        if (updateData.tags !== undefined) {
+            await tagService.registerTags(task.tags, { projectId: task.project, userId });
         }
 
         // Re-populate the fields before returning
@@ -305,68 +377,380 @@ class TaskService {
             .populate('project', 'name');
     }
 
+    /**
+     * Validate custom field values against the project's field definitions
+     * (see validateCustomFieldValues); user fields must refer to existing users.
+     * @param {Object|String} project - Project document or ID
+     * @returns {Promise<Object>} The values to store
+     */
+    async validateCustomFields(project, values, options = {}) {
+        const projectDoc = project?.customFields ? project : await Project.findById(project).select('customFields');
+        const fields = projectDoc?.customFields || [];
+        const customFields = validateCustomFieldValues(fields, values, options);
+
+        const changedFields = fields.filter(field => values && field.key in values);
+        const userIds = [...new Set(getCustomFieldUserIds(changedFields, customFields))];
+        if (userIds.length > 0 && await User.countDocuments({ _id: { $in: userIds } }) !== userIds.length) {
+            throw new Error('Custom field user not found');
+        }
+
+        return customFields;
+    }
+
+    /**
+     * Check a status change against the project's workflow: the status must exist
+     * and, if the workflow has transitions, the move must be allowed.
+     * @param {Object|String} project - Project document or ID
+     * @param {String} status - The new status (nothing to check when undefined or unchanged)
+     * @param {String} currentStatus - The item's current status
+     * @returns {Promise<Object|null>} { status, statusCategory }, or null when the status does not change
+     */
+    async validateStatus(project, status, currentStatus) {
+        if (status === undefined || status === currentStatus) {
+            return null;
+        }
+
+        const projectDoc = project?.workflow ? project : await Project.findById(project).select('workflow');
+        const statusCategory = getStatusCategory(projectDoc, status);
+        if (!statusCategory) {
+            throw new Error(`Invalid status "${status}". Use one of: ${getStatusNames(projectDoc).join(', ')}`);
+        }
+        if (currentStatus && !canTransition(projectDoc, currentStatus, status)) {
+            throw new Error(`The workflow does not allow moving from "${currentStatus}" to "${status}"`);
+        }
+
+        return { status, statusCategory };
+    }
+
+    /**
+     * Add users to a project's members, skipping the owner and existing members
+     */
+    async addProjectMembers(projectId, userIds) {
+        const projectDoc = await Project.findById(projectId);
+        if (!projectDoc) {
+            return;
+        }
+
+        let membersUpdated = false;
+        const currentMembers = projectDoc.members.map(m => m.toString());
+        const projectOwner = projectDoc.owner.toString();
+
+        for (const userId of userIds) {
+            const userIdStr = (userId._id || userId).toString();
+            // Add to members if not already a member and not the project owner
+            if (!currentMembers.includes(userIdStr) && userIdStr !== projectOwner) {
+                projectDoc.members.push(userId._id || userId);
+                currentMembers.push(userIdStr); // Update local array to avoid duplicates
+                membersUpdated = true;
+            }
+        }
+
+        if (membersUpdated) {
+            projectDoc.updatedAt = new Date();
+            await projectDoc.save();
+        }
+    }
+
     async createRecurringTask(originalTask) {
         // Create a new task based on the original recurring task
-        if (!originalTask.isRecurring) {
+        const rule = getRecurrenceRule(originalTask);
+        if (!rule || !originalTask.dueDate) {
+            return null;
+        }
+
+        // Each task gets one next occurrence, e.g. when it is completed, reopened and completed again
+        if (await Task.exists({ previousOccurrence: originalTask._id })) {
             return null;
         }
 
-        // Calculate new due date based on original due date + interval
-        const newDueDate = new Date(originalTask.dueDate);
-        newDueDate.setDate(newDueDate.getDate() + originalTask.recurrenceInterval);
+        // Calculate new due date from the rule (legacy tasks repeat every N days)
+        const newDueDate = getNextOccurrence(originalTask.dueDate, rule);
+        const occurrence = (originalTask.recurrenceOccurrence || 1) + 1;
+
+        // The series has reached its end date or occurrence count
+        if (!isWithinRecurrence(newDueDate, occurrence, rule)) {
+            return null;
+        }
 
         const newTaskData = {
             title: originalTask.title,
             description: originalTask.description,
             priority: originalTask.priority,
             tags: originalTask.tags,
+            customFields: originalTask.customFields,
             owner: originalTask.owner,
             assignee: originalTask.assignee,
             project: originalTask.project,
             dueDate: newDueDate,
             isRecurring: originalTask.isRecurring,
             recurrenceInterval: originalTask.recurrenceInterval,
-            status: 'To Do'
+            recurrenceRule: originalTask.recurrenceRule?.frequency ? rule : null,
+            recurrenceOccurrence: occurrence,
+            previousOccurrence: originalTask._id
         };
 
-        const newTask = new Task(newTaskData);
-        return await newTask.save();
+        // The next occurrence starts in the workflow's first "todo" status
+        const project = await Project.findById(originalTask.project?._id || originalTask.project).select('workflow');
+        newTaskData.status = getInitialStatus(project);
+        newTaskData.statusCategory = getStatusCategory(project, newTaskData.status);
+
+        try {
+            const newTask = new Task(newTaskData);
+            return await newTask.save();
+        } catch (error) {
+            // Created at the same time by another request or the recurrence job
+            if (error.code === 11000) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Create the next occurrence of recurring tasks completed since `since` that
+     * do not have one yet, e.g. completed while the server failed to create it.
+     * Run by the recurrence job.
+     * @returns {Promise<number>} Occurrences created
+     */
+    async createMissingOccurrences(since) {
+        const tasks = await Task.find({
+            isRecurring: true,
+            statusCategory: 'done',
+            archived: { $ne: true },
+            updatedAt: { $gte: since }
+        });
+
+        let created = 0;
+        for (const task of tasks) {
+            if (await this.createRecurringTask(task)) {
+                created += 1;
+            }
+        }
+        return created;
     }
 
     async getTasks(filters = {}, userId = null) {
-        const query = {};
+        const sort = this.getTaskSort(filters.sortBy, filters.sortOrder);
+        filters = await this.resolveCustomFieldFilters(filters);
+
+        return await Task.find(this.buildTaskQuery(filters))
+            .populate('owner', 'username')
+            .populate('assignee', 'username')
+            .populate('project', 'name')
+            .sort(toSortObject(sort));
+    }
+
+    // One page of tasks after `options.cursor`, plus counts per status for the
+    // whole result set (ignoring the status and archived filters) for tab badges
+    async getTasksPage(filters = {}, options = {}) {
+        const sort = this.getTaskSort(filters.sortBy, filters.sortOrder);
+        const limit = parseLimit(options.limit);
+        filters = await this.resolveCustomFieldFilters(filters);
+        const query = this.buildTaskQuery(filters);
+
+        if (options.cursor) {
+            const position = decodeCursor(options.cursor, sort);
+            query.$and = [...(query.$and || []), buildCursorFilter(sort, position)];
+        }
+
+        // Fetch one extra to know whether there is another page
+        const tasks = await Task.find(query)
+            .populate('owner', 'username')
+            .populate('assignee', 'username')
+            .populate('project', 'name')
+            .sort(toSortObject(sort))
+            .limit(limit + 1);
+
+        const hasMore = tasks.length > limit;
+        const items = hasMore ? tasks.slice(0, limit) : tasks;
+
+        return {
+            items,
+            pagination: {
+                limit,
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(sort, items[items.length - 1]) : null
+            },
+            counts: await this.getTaskCounts(filters)
+        };
+    }
+
+    async getTaskCounts(filters = {}) {
+        filters = await this.resolveCustomFieldFilters(filters);
+        const conditions = this.buildTaskConditions(filters);
+        const groups = await Task.aggregate([
+            { $match: conditions.length > 0 ? { $and: conditions } : {} },
+            {
+                $group: {
+                    _id: { status: '$status', statusCategory: '$statusCategory', archived: '$archived' },
+                    count: { $sum: 1 }
+                }
+            }
+        ]);
+
+        // Default statuses are always listed; custom statuses appear once they are in use
+        const counts = {
+            total: 0,
+            archived: 0,
+            byStatus: Object.fromEntries(getStatusNames(null).map(status => [status, 0])),
+            byCategory: Object.fromEntries(STATUS_CATEGORIES.map(category => [category, 0]))
+        };
+
+        groups.forEach(({ _id, count }) => {
+            counts.total += count;
+            if (_id.archived) {
+                counts.archived += count;
+            } else {
+                counts.byStatus[_id.status] = (counts.byStatus[_id.status] || 0) + count;
+                counts.byCategory[getItemStatusCategory(_id)] += count;
+            }
+        });
+
+        return counts;
+    }
+
+    /**
+     * Turn `filters.customFields` ({ key: value }, from `cf.<key>` query parameters)
+     * into `filters.customFieldConditions` for buildTaskConditions. Projects can
+     * define the same key with different types, so each key matches per project.
+     */
+    async resolveCustomFieldFilters(filters = {}) {
+        const { customFields, ...rest } = filters;
+        const keys = Object.keys(customFields || {});
+        if (keys.length === 0) {
+            return filters;
+        }
+
+        const projectQuery = { 'customFields.key': { $in: keys } };
+        if (filters.project) {
+            projectQuery._id = toObjectId(filters.project, 'project');
+        }
+        const projects = await Project.find(projectQuery).select('customFields').lean();
+
+        const customFieldConditions = keys.map(key => {
+            const alternatives = projects.flatMap(project => {
+                const field = project.customFields.find(definition => definition.key === key);
+                return field ? [{ project: project._id, ...buildCustomFieldCondition(field, customFields[key]) }] : [];
+            });
+            if (alternatives.length === 0) {
+                throw new Error(`Invalid custom field filter: no project has a field "${key}"`);
+            }
+            return alternatives.length === 1 ? alternatives[0] : { $or: alternatives };
+        });
+
+        return { ...rest, customFieldConditions };
+    }
+
+    getTaskSort(sortBy = 'createdAt', sortOrder) {
+        const field = TASK_SORT_FIELDS[sortBy];
+        if (!field) {
+            throw new Error(`Invalid sort field: must be one of ${Object.keys(TASK_SORT_FIELDS).join(', ')}`);
+        }
+
+        let order = field.order;
+        if (sortOrder) {
+            if (!['asc', 'desc'].includes(sortOrder)) {
+                throw new Error('Invalid sort order: must be asc or desc');
+            }
+            order = sortOrder === 'asc' ? 1 : -1;
+        }
+
+        return { field: sortBy, order, type: field.type };
+    }
+
+    buildTaskQuery(filters = {}) {
+        const conditions = this.buildTaskConditions(filters);
+
+        const statuses = toList(filters.status);
+        if (statuses.length > 0) {
+            conditions.push({ status: statuses.length === 1 ? statuses[0] : { $in: statuses } });
+        }
+
+        // Status categories (todo, active, blocked, done) work across project workflows
+        const categories = toList(filters.statusCategory);
+        if (categories.length > 0) {
+            if (!categories.every(category => STATUS_CATEGORIES.includes(category))) {
+                throw new Error(`Invalid status category: use ${STATUS_CATEGORIES.join(', ')}`);
+            }
+            conditions.push({ statusCategory: categories.length === 1 ? categories[0] : { $in: categories } });
+        }
+
+        if (filters.archived !== undefined) {
+            conditions.push({ archived: filters.archived });
+        }
+
+        return conditions.length > 0 ? { $and: conditions } : {};
+    }
+
+    // Every filter except status, status category and archived, which drive the tabs in TasksPage
+    buildTaskConditions(filters = {}) {
+        const conditions = [];
 
         // If userId is provided in filters, user wants to see only their assigned tasks
         if (filters.userId) {
             // Find tasks where user is either owner OR in assignee array
-            query.$or = [
-                { owner: filters.userId },
-                { assignee: { $in: [filters.userId] } }
-            ];
+            const userId = toObjectId(filters.userId, 'user');
+            conditions.push({
+                $or: [
+                    { owner: userId },
+                    { assignee: { $in: [userId] } }
+                ]
+            });
         } else {
             // Apply specific filters
             if (filters.owner) {
-                query.owner = filters.owner;
+                conditions.push({ owner: toObjectId(filters.owner, 'owner') });
             }
 
             if (filters.assignee) {
-                query.assignee = { $in: [filters.assignee] };
+                conditions.push({ assignee: { $in: [toObjectId(filters.assignee, 'assignee')] } });
             }
         }
 
         if (filters.project) {
-            query.project = filters.project;
+            conditions.push({ project: toObjectId(filters.project, 'project') });
         }
 
-        if (filters.status) {
-            query.status = filters.status;
+        // Every requested tag must be present (ignoring case)
+        conditions.push(...buildTagConditions(filters.tags));
+
+        // Custom field filters, see resolveCustomFieldFilters
+        if (filters.customFieldConditions) {
+            conditions.push(...filters.customFieldConditions);
         }
 
-        return await Task.find(query)
-            .populate('owner', 'username')
-            .populate('assignee', 'username')
-            .populate('project', 'name')
-            .sort({ createdAt: -1 });
+        if (filters.dueFrom || filters.dueTo) {
+            const range = {};
+            if (filters.dueFrom) {
+                range.$gte = toDate(filters.dueFrom, 'due date');
+            }
+            if (filters.dueTo) {
+                range.$lte = toDate(filters.dueTo, 'due date');
+                // A plain date includes the whole day
+                if (/^\d{4}-\d{2}-\d{2}$/.test(filters.dueTo)) {
+                    range.$lte.setUTCHours(23, 59, 59, 999);
+                }
+            }
+            if (range.$gte && range.$lte && range.$gte > range.$lte) {
+                throw new Error('Invalid due date range: dueFrom is after dueTo');
+            }
+            conditions.push({ dueDate: range });
+        }
+
+        if (filters.priorityMin !== undefined || filters.priorityMax !== undefined) {
+            const min = filters.priorityMin !== undefined ? Number(filters.priorityMin) : 1;
+            const max = filters.priorityMax !== undefined ? Number(filters.priorityMax) : 10;
+            if (![min, max].every(value => Number.isInteger(value) && value >= 1 && value <= 10) || min > max) {
+                throw new Error('Invalid priority range: use whole numbers from 1 to 10');
+            }
+            conditions.push({ priority: { $gte: min, $lte: max } });
+        }
+
+        if (filters.overdue) {
+            conditions.push({ dueDate: { $lt: new Date() }, statusCategory: { $ne: 'done' } });
+        }
+
+        return conditions;
     }
 
     async getTaskById(taskId) {
@@ -382,6 +766,47 @@ class TaskService {
         return task;
     }
 
+    /**
+     * Throw if the project only allows completing items whose checklist is fully
+     * checked and this checklist still has open items
+     */
+    async assertChecklistComplete(checklist, projectId, itemType = 'task') {
+        const openItems = getOpenChecklistItems(checklist);
+        if (openItems.length === 0) {
+            return;
+        }
+
+        const project = await Project.findById(projectId).select('requireChecklistCompletion').lean();
+        if (project && project.requireChecklistCompletion) {
+            throw new Error(`This ${itemType} cannot be completed while ${openItems.length} checklist item${openItems.length === 1 ? ' is' : 's are'} unchecked`);
+        }
+    }
+
+    // AUDIT-TRAIL: Field change history, visible to anyone who can see the task
+    async getTaskHistory(taskId, actingUser) {
+        const task = await Task.findById(taskId);
+
+        if (!task) {
+            throw new Error('Task not found');
+        }
+
+        const userIdStr = String(actingUser._id);
+        const isAdmin = actingUser.roles?.includes('admin');
+        const isOwner = task.owner && task.owner.toString() === userIdStr;
+        const isAssignee = task.assignee && task.assignee.some(
+            assigneeId => assigneeId.toString() === userIdStr
+        );
+
+        if (!isAdmin && !isOwner && !isAssignee) {
+            const canAccess = await this.userHasAccessToTaskProject(actingUser._id, task.project);
+            if (!canAccess) {
+                throw new Error('You do not have permission to view this task history');
+            }
+        }
+
+        return await historyService.getHistory(task._id);
+    }
+
     async archiveTask(taskId, userId) {
         const task = await Task.findById(taskId);
 
@@ -403,9 +828,13 @@ class TaskService {
             throw new Error('You do not have permission to archive this task');
         }
 
+        const before = historyService.snapshot(task, TASK_HISTORY_FIELDS);
         task.archived = true;
         task.archivedAt = new Date();
         await task.save();
+        await historyService.recordChanges({
+            itemType: 'task', item: task, before, fields: TASK_HISTORY_FIELDS, actor: userId
+        });
 
         // Return populated task
         return await Task.findById(task._id)
@@ -436,9 +865,13 @@ class TaskService {
             throw new Error('You do not have permission to unarchive this task');
         }
 
+        const before = historyService.snapshot(task, TASK_HISTORY_FIELDS);
         task.archived = false;
         task.archivedAt = null;
         await task.save();
+        await historyService.recordChanges({
+            itemType: 'task', item: task, before, fields: TASK_HISTORY_FIELDS, actor: userId
+        });
 
         // Return populated task
         return await Task.findById(task._id)
@@ -447,6 +880,340 @@ class TaskService {
             .populate('project', 'name');
     }
 
+    /**
+     * Copy a task into the same project as "<title> (copy)", owned by the acting
+     * user. The copy starts as "To Do" with no time logged, no comments and an
+     * unchecked checklist.
+     * Options:
+     * - includeSubtasks: also copy the task's non-archived subtasks
+     * - dueDate: due date of the copy (defaults to the original's; null for none).
+     *   Subtask due dates move by the same number of days.
+     */
+    async duplicateTask(taskId, { includeSubtasks = false, dueDate } = {}, actingUser) {
+        if (!mongoose.Types.ObjectId.isValid(taskId)) {
+            throw new Error('Task not found');
+        }
+
+        const task = await Task.findById(taskId);
+        if (!task) {
+            throw new Error('Task not found');
+        }
+
+        const userIdStr = String(actingUser._id);
+        const isAdmin = actingUser.roles?.includes('admin');
+        const isOwner = task.owner && task.owner.toString() === userIdStr;
+        const isAssignee = task.assignee && task.assignee.some(
+            assigneeId => assigneeId.toString() === userIdStr
+        );
+
+        if (!isAdmin && !isOwner && !isAssignee) {
+            const canAccess = await this.userHasAccessToTaskProject(actingUser._id, task.project);
+            if (!canAccess) {
+                throw new Error('You do not have permission to duplicate this task');
+            }
+        }
+
+        const project = await Project.findById(task.project);
+        if (!project || project.archived === true) {
+            throw new Error('Cannot duplicate tasks in archived projects');
+        }
+        if (project.status === 'Completed') {
+            throw new Error('Cannot duplicate tasks in completed projects');
+        }
+
+        const newDueDate = dueDate === undefined ? task.dueDate : (dueDate ? toDate(dueDate, 'due date') : null);
+        if (isBeforeToday(newDueDate)) {
+            throw new Error('Due date cannot be in the past');
+        }
+        const days = task.dueDate && newDueDate ? getShiftDays(task.dueDate, newDueDate) : 0;
+
+        const copy = await Task.create(buildTaskCopy(task, {
+            days,
+            overrides: {
+                title: `${task.title} (copy)`,
+                owner: actingUser._id,
+                dueDate: newDueDate,
+                status: getInitialStatus(project)
+            }
+        }));
+
+        let subtasks = [];
+        if (includeSubtasks) {
+            const originals = await Subtask.find({ parentTaskId: task._id, archived: false }).sort({ createdAt: 1 });
+            try {
+                subtasks = await Subtask.insertMany(originals.map(subtask => buildSubtaskCopy(subtask, {
+                    days,
+                    overrides: { parentTaskId: copy._id, ownerId: actingUser._id, status: getInitialStatus(project) }
+                })));
+            } catch (error) {
+                await Task.deleteOne({ _id: copy._id });
+                throw error;
+            }
+        }
+
+        const populated = await Task.findById(copy._id)
+            .populate('owner', 'username')
+            .populate('assignee', 'username')
+            .populate('project', 'name');
+        return { task: populated, subtasks };
+    }
+
+    /**
+     * Move a task and all of its subtasks to another project.
+     * The actor must be able to edit the task (admin, manager, owner or assignee)
+     * and needs access to both projects. Time entries and attachments follow the
+     * task. Dependency links must stay within one project, so links between the
+     * moved items are kept and links to items left behind are removed.
+     * Statuses the target workflow lacks become one of the same category.
+     * Assignees become members of the target project and are notified.
+     */
+    async moveTask(taskId, targetProjectId, actingUser, { io, userSockets } = {}) {
+        if (!mongoose.Types.ObjectId.isValid(taskId)) {
+            throw new Error('Task not found');
+        }
+        if (!targetProjectId || !mongoose.Types.ObjectId.isValid(targetProjectId)) {
+            throw new Error('Target project not found');
+        }
+
+        const task = await Task.findById(taskId);
+        if (!task) {
+            throw new Error('Task not found');
+        }
+        if (String(task.project) === String(targetProjectId)) {
+            throw new Error('Task is already in this project');
+        }
+        if (task.archived) {
+            throw new Error('Archived tasks cannot be moved');
+        }
+
+        const [sourceProject, targetProject] = await Promise.all([
+            Project.findById(task.project),
+            Project.findById(targetProjectId)
+        ]);
+        if (!targetProject) {
+            throw new Error('Target project not found');
+        }
+        if (targetProject.archived === true) {
+            throw new Error('Cannot move tasks into archived projects');
+        }
+        if (targetProject.status === 'Completed') {
+            throw new Error('Cannot move tasks into completed projects');
+        }
+
+        const userIdStr = String(actingUser._id);
+        const isAdmin = actingUser.roles?.includes('admin');
+        if (!isAdmin) {
+            const isManager = actingUser.roles?.includes('manager');
+            const isOwner = task.owner && task.owner.toString() === userIdStr;
+            const isAssignee = task.assignee && task.assignee.some(
+                assigneeId => assigneeId.toString() === userIdStr
+            );
+            if (!isOwner && !isAssignee && !isManager) {
+                throw new Error('You do not have permission to move this task');
+            }
+
+            const [canAccessSource, canAccessTarget] = await Promise.all([
+                this.userHasAccessToTaskProject(actingUser._id, task.project),
+                this.userHasAccessToTaskProject(actingUser._id, targetProject)
+            ]);
+            if (!canAccessSource || !canAccessTarget) {
+                throw new Error('You do not have permission to move tasks between these projects');
+            }
+        }
+
+        const subtasks = await Subtask.find({ parentTaskId: task._id });
+        const movedIds = [task._id, ...subtasks.map(subtask => subtask._id)];
+
+        const before = historyService.snapshot(task, TASK_HISTORY_FIELDS);
+        task.project = targetProject._id;
+        // Only values that fit the target project's fields are kept
+        task.customFields = pickCustomFieldValues(targetProject.customFields, task.customFields);
+        this.applyTargetWorkflow(task, targetProject);
+        await task.save();
+        await historyService.recordChanges({
+            itemType: 'task', item: task, before, fields: TASK_HISTORY_FIELDS, actor: actingUser._id
+        });
+
+        for (const subtask of subtasks) {
+            const subtaskBefore = historyService.snapshot(subtask, SUBTASK_HISTORY_FIELDS);
+            subtask.projectId = targetProject._id;
+            subtask.customFields = pickCustomFieldValues(targetProject.customFields, subtask.customFields);
+            this.applyTargetWorkflow(subtask, targetProject);
+            await subtask.save();
+            await historyService.recordChanges({
+                itemType: 'subtask', item: subtask, before: subtaskBefore, fields: SUBTASK_HISTORY_FIELDS, actor: actingUser._id
+            });
+        }
+
+        await Promise.all([
+            TimeEntry.updateMany({ task: task._id }, { project: targetProject._id }),
+            Attachment.updateMany({ item: { $in: movedIds } }, { project: targetProject._id })
+        ]);
+
+        const movedKeys = new Set(movedIds.map(String));
+        const links = await Dependency.find({
+            $or: [{ blocker: { $in: movedIds } }, { blocked: { $in: movedIds } }]
+        });
+        const isInternal = link => movedKeys.has(String(link.blocker)) && movedKeys.has(String(link.blocked));
+        const removedLinks = links.filter(link => !isInternal(link));
+        await Promise.all([
+            Dependency.updateMany(
+                { _id: { $in: links.filter(isInternal).map(link => link._id) } },
+                { project: targetProject._id }
+            ),
+            Dependency.deleteMany({ _id: { $in: removedLinks.map(link => link._id) } })
+        ]);
+
+        const assigneeIds = [
+            ...task.assignee,
+            ...subtasks.flatMap(subtask => subtask.assigneeId || [])
+        ];
+        await this.addProjectMembers(targetProject._id, assigneeIds);
+
+        // Project tags of the old project become project tags of the new one
+        await tagService.registerTags(
+            [...task.tags, ...subtasks.flatMap(subtask => subtask.tags || [])],
+            { projectId: targetProject._id, userId: actingUser._id }
+        );
+
+        await this.notifyTaskMoved(task, assigneeIds, {
+            sourceProject, targetProject, actingUser, io, userSockets
+        });
+
+        const movedTask = await Task.findById(task._id)
+            .populate('owner', 'username')
+            .populate('assignee', 'username')
+            .populate('project', 'name');
+        return {
+            task: movedTask,
+            subtaskCount: subtasks.length,
+            removedDependencyCount: removedLinks.length
+        };
+    }
+
+    /**
+     * Give a task or subtask moving to another project a status of that project's
+     * workflow: the same status if it exists there, else one of the same category
+     */
+    applyTargetWorkflow(item, targetProject) {
+        item.status = mapStatusToWorkflow(item.status, getItemStatusCategory(item), targetProject);
+        item.statusCategory = getStatusCategory(targetProject, item.status);
+    }
+
+    /**
+     * Tell the assignees of a moved task and its subtasks where it went
+     * (a 'task-moved' notification each, on the channels they chose)
+     */
+    async notifyTaskMoved(task, assigneeIds, { sourceProject, targetProject, actingUser, io, userSockets }) {
+        const actorIdStr = String(actingUser._id);
+        const recipients = [...new Set(assigneeIds.map(id => String(id._id || id)))]
+            .filter(id => id !== actorIdStr);
+        if (recipients.length === 0) {
+            return;
+        }
+
+        const fromName = sourceProject?.name || 'another project';
+        const message = `${actingUser.username || 'Someone'} moved "${task.title}" from ${fromName} to ${targetProject.name}`;
+
+        await notificationService.notify('task-moved', recipients, {
+            message,
+            task: task._id,
+            project: targetProject._id,
+            projectName: targetProject.name,
+            assignor: actingUser._id,
+            deadline: task.dueDate,
+            data: { taskId: task._id, projectId: targetProject._id },
+            io,
+            userSockets
+        });
+    }
+
+    /**
+     * Turn a task without subtasks into a subtask of another task in the same
+     * project. The subtask keeps the task's id, comments, checklist, logged time,
+     * assignees and recurrence; time entries, attachments, dependency links and
+     * history stay attached to it.
+     * Admins can convert any task; others need project access and must be a
+     * manager, the task owner or an assignee.
+     */
+    async convertToSubtask(taskId, parentTaskId, actingUser) {
+        if (!mongoose.Types.ObjectId.isValid(taskId)) {
+            throw new Error('Task not found');
+        }
+        if (!parentTaskId || !mongoose.Types.ObjectId.isValid(parentTaskId)) {
+            throw new Error('Parent task not found');
+        }
+        if (String(taskId) === String(parentTaskId)) {
+            throw new Error('A task cannot become its own subtask');
+        }
+
+        const [task, parentTask] = await Promise.all([
+            Task.findById(taskId),
+            Task.findById(parentTaskId)
+        ]);
+        if (!task) {
+            throw new Error('Task not found');
+        }
+        if (!parentTask) {
+            throw new Error('Parent task not found');
+        }
+        if (task.archived || parentTask.archived) {
+            throw new Error('Archived tasks cannot be converted');
+        }
+        if (String(task.project) !== String(parentTask.project)) {
+            throw new Error('The parent task must be in the same project');
+        }
+
+        const userIdStr = String(actingUser._id);
+        if (!actingUser.roles?.includes('admin')) {
+            const isManager = actingUser.roles?.includes('manager');
+            const isOwner = task.owner && task.owner.toString() === userIdStr;
+            const isAssignee = task.assignee && task.assignee.some(
+                assigneeId => assigneeId.toString() === userIdStr
+            );
+            const canAccess = await this.userHasAccessToTaskProject(actingUser._id, task.project);
+            if (!canAccess || (!isOwner && !isAssignee && !isManager)) {
+                throw new Error('You do not have permission to convert this task');
+            }
+        }
+
+        if (await Subtask.exists({ parentTaskId: task._id })) {
+            throw new Error('Only tasks without subtasks can be converted to a subtask');
+        }
+
+        const subtask = await Subtask.create(taskToSubtaskFields(task, parentTask));
+        try {
+            await Task.deleteOne({ _id: task._id });
+        } catch (error) {
+            await Subtask.deleteOne({ _id: subtask._id });
+            throw error;
+        }
+
+        await this.updateConvertedItemReferences(subtask._id, 'subtask', parentTask._id);
+        await historyService.recordConversion({
+            item: subtask, fromType: 'task', toType: 'subtask', actor: actingUser._id
+        });
+
+        return await Subtask.findById(subtask._id)
+            .populate('assigneeId', 'username department')
+            .populate('ownerId', 'username department')
+            .populate('parentTaskId', 'title');
+    }
+
+    /**
+     * Point the records kept per item (time entries, attachments and dependency
+     * links) at an item that kept its id but changed between task and subtask.
+     * `taskId` is the item itself for tasks and the parent task for subtasks.
+     */
+    async updateConvertedItemReferences(itemId, itemType, taskId) {
+        await Promise.all([
+            TimeEntry.updateMany({ item: itemId }, { itemType, task: taskId }),
+            Attachment.updateMany({ item: itemId }, { itemType }),
+            Dependency.updateMany({ blocker: itemId }, { blockerType: itemType }),
+            Dependency.updateMany({ blocked: itemId }, { blockedType: itemType })
+        ]);
+    }
+
     // Keep delete for admin purposes only (can be restricted later)
     async deleteTask(taskId, userId) {
         const task = await Task.findById(taskId);
@@ -459,6 +1226,25 @@ class TaskService {
             throw new Error('You do not have permission to delete this task');
         }
 
+        // Drop dependency links pointing at the deleted task
+        await Dependency.deleteMany({
+            $or: [
+                { blockerType: 'task', blocker: task._id },
+                { blockedType: 'task', blocked: task._id }
+            ]
+        });
+        await TimeEntry.deleteMany({ itemType: 'task', item: task._id });
+
+        // Remove the task's attachments, including the stored files
+        const attachments = await Attachment.find({ itemType: 'task', item: task._id }).lean();
+        if (attachments.length > 0) {
+            const storage = getAttachmentStorage();
+            await Promise.all(attachments
+                .filter(attachment => attachment.storage === storage.name)
+                .map(attachment => storage.remove(attachment.storageKey).catch(() => {})));
+            await Attachment.deleteMany({ itemType: 'task', item: task._id });
+        }
+
         return await Task.findByIdAndDelete(taskId);
     }
 
@@ -469,28 +1255,34 @@ class TaskService {
      * - Project Owner: can view all tasks in their project
      * - Project Member: can view all tasks in projects they are a member of
      */
-    async getTasksByProject(projectId, userId, userRole, userDepartment) {
+    /**
+     * Tasks of a project, for admins, the project owner and members.
+     * `filters.tags` (array or comma-separated) keeps tasks that have every tag.
+     */
+    async getTasksByProject(projectId, userId, userRole, userDepartment, filters = {}) {
         // Validate project exists and populate members
         const project = await Project.findById(projectId).populate('members', '_id');
         if (!project) {
             throw new Error('Project not found');
         }
 
+        const tagConditions = buildTagConditions(filters.tags);
+        const findProjectTasks = () => Task.find(
+            tagConditions.length > 0 ? { project: projectId, $and: tagConditions } : { project: projectId }
+        )
+            .populate('owner', 'username department')
+            .populate('assignee', 'username department')
+            .populate('project', 'name');
+
         // Admin can view all tasks without restrictions
         if (userRole === 'admin') {
-            return await Task.find({ project: projectId })
-                .populate('owner', 'username department')
-                .populate('assignee', 'username department')
-                .populate('project', 'name');
+            return await findProjectTasks();
         }
 
         // Project owner can always view tasks in their own project
         const projectOwnerId = project.owner?._id?.toString() || project.owner?.toString();
         if (projectOwnerId === userId?.toString()) {
-            return await Task.find({ project: projectId })
-                .populate('owner', 'username department')
-                .populate('assignee', 'username department')
-                .populate('project', 'name');
+            return await findProjectTasks();
         }
 
         // Check if user is a project member
@@ -500,10 +1292,7 @@ class TaskService {
 
         if (isMember) {
             // Project members can view all tasks in the project
-            return await Task.find({ project: projectId })
-                .populate('owner', 'username department')
-                .populate('assignee', 'username department')
-                .populate('project', 'name');
+            return await findProjectTasks();
         }
 
         // User is not admin, not owner, and not a member
@@ -583,9 +1372,13 @@ class TaskService {
         }
 
         // 7) Write changes
+        const before = historyService.snapshot(task, TASK_HISTORY_FIELDS);
         task.owner = assignee._id;
         task.assignee = Array.from(next);
         await task.save();
+        await historyService.recordChanges({
+            itemType: 'task', item: task, before, fields: TASK_HISTORY_FIELDS, actor: actingUser?._id
+        });
 
         // Automatically add the new owner to the project members array if not already a member
         const projectDoc = await Project.findById(task.project);
@@ -608,9 +1401,9 @@ class TaskService {
 
         // 8) Notify (call notification wrapper)
         try {
-            await notificationModel.create({
-                user: assignee._id,
+            await notificationService.notify('task-assigned', [assignee._id], {
                 message: `You are now the owner of "${task.title}" (assigned by ${actingUser.username})`,
+                task: task._id,
                 assignor: actingUser._id,
                 deadline: task.dueDate
             });
@@ -773,9 +1566,13 @@ class TaskService {
         // Assignees can assign ANY user in the organization (no restrictions)
 
         // Add assignee to task
+        const before = historyService.snapshot(task, TASK_HISTORY_FIELDS);
         task.assignee.push(newAssigneeId);
         task.updatedAt = new Date();
         await task.save();
+        await historyService.recordChanges({
+            itemType: 'task', item: task, before, fields: TASK_HISTORY_FIELDS, actor: actingUser._id
+        });
 
         // Automatically add the assignee to the project members array if not already a member
         const project = await Project.findById(task.project);
@@ -838,11 +1635,15 @@ class TaskService {
         }
 
         // Remove assignee
+        const before = historyService.snapshot(task, TASK_HISTORY_FIELDS);
         task.assignee = task.assignee.filter(
             assignee => (assignee._id || assignee).toString() !== assigneeToRemoveId.toString()
         );
         task.updatedAt = new Date();
         await task.save();
+        await historyService.recordChanges({
+            itemType: 'task', item: task, before, fields: TASK_HISTORY_FIELDS, actor: actingUser._id
+        });
 
         // Return populated task
         const populatedTask = await Task.findById(taskId)
@@ -853,7 +1654,53 @@ class TaskService {
         return populatedTask;
     }
 
-    // Manual Time Logging: Update task time taken
+    /**
+     * Recompute an item's timeTaken as the sum of its finished time entries
+     * @returns {Number} The new total in minutes
+     */
+    async recalculateTimeTaken(itemType, itemId) {
+        const [result] = await TimeEntry.aggregate([
+            { $match: { itemType, item: new mongoose.Types.ObjectId(String(itemId)), running: false } },
+            { $group: { _id: null, minutes: { $sum: '$minutes' } } }
+        ]);
+        const total = result ? result.minutes : 0;
+
+        const Model = itemType === 'task' ? Task : Subtask;
+        await Model.updateOne({ _id: itemId }, { timeTaken: total, updatedAt: new Date() });
+
+        return total;
+    }
+
+    /**
+     * Set the unattributed time on an item (time that was logged before per-user
+     * entries existed, or through the legacy time-taken endpoint). Entries logged
+     * by users are left untouched. Setting it to zero removes the unattributed entry.
+     */
+    async setUnattributedTime(itemType, item, minutes) {
+        const isTask = itemType === 'task';
+        if (minutes === 0) {
+            await TimeEntry.deleteOne({ itemType, item: item._id, user: null, running: false });
+            return await this.recalculateTimeTaken(itemType, item._id);
+        }
+
+        await TimeEntry.findOneAndUpdate(
+            { itemType, item: item._id, user: null, running: false },
+            {
+                $set: { minutes, updatedAt: new Date() },
+                $setOnInsert: {
+                    task: isTask ? item._id : item.parentTaskId,
+                    project: isTask ? item.project : item.projectId,
+                    note: 'Logged before time entries were introduced',
+                    date: toEntryDay(item.createdAt || new Date())
+                }
+            },
+            { upsert: true }
+        );
+
+        return await this.recalculateTimeTaken(itemType, item._id);
+    }
+
+    // Manual Time Logging: Update the task's unattributed time
     async updateTaskTimeTaken(taskId, timeTaken) {
         // Validate input
         if (timeTaken === null || timeTaken === undefined || timeTaken === '') {
@@ -865,20 +1712,17 @@ class TaskService {
             throw new Error('Time taken must be a positive number');
         }
 
-        // Find and update task
         const task = await Task.findById(taskId);
         if (!task) {
             throw new Error('Task not found');
         }
 
-        task.timeTaken = numTimeTaken;
-        task.updatedAt = new Date();
-        await task.save();
+        await this.setUnattributedTime('task', task, numTimeTaken);
 
-        return task;
+        return await Task.findById(taskId);
     }
 
-    // Manual Time Logging: Get total time for task + all subtasks
+    // Manual Time Logging: Get total time for task + all subtasks, built from time entries
     async getTaskTotalTime(taskId) {
         // Find task
         const task = await Task.findById(taskId);
@@ -886,23 +1730,49 @@ class TaskService {
             throw new Error('Task not found');
         }
 
-        const taskTimeTaken = task.timeTaken || 0;
-
-        // Get subtasks for this task using the imported Subtask model
         const subtasks = await Subtask.find({ parentTaskId: taskId });
 
-        // Calculate total subtask time
+        const [perItem, perUser] = await Promise.all([
+            TimeEntry.aggregate([
+                { $match: { task: task._id, running: false } },
+                { $group: { _id: { itemType: '$itemType', item: '$item' }, minutes: { $sum: '$minutes' } } }
+            ]),
+            TimeEntry.aggregate([
+                { $match: { task: task._id, running: false } },
+                { $group: { _id: '$user', minutes: { $sum: '$minutes' } } }
+            ])
+        ]);
+
+        // Items without entries yet still report their stored total
+        const minutesByItem = new Map(perItem.map(r => [`${r._id.itemType}:${r._id.item}`, r.minutes]));
+        const itemMinutes = (itemType, item) => {
+            const key = `${itemType}:${item._id}`;
+            return minutesByItem.has(key) ? minutesByItem.get(key) : (item.timeTaken || 0);
+        };
+
+        const taskTimeTaken = itemMinutes('task', task);
         const subtasksTotalTime = subtasks.reduce((total, subtask) => {
-            return total + (subtask.timeTaken || 0);
+            return total + itemMinutes('subtask', subtask);
         }, 0);
 
         const totalTime = taskTimeTaken + subtasksTotalTime;
 
+        const users = await User.find({ _id: { $in: perUser.map(r => r._id).filter(Boolean) } }).select('username');
+        const usernames = new Map(users.map(u => [u._id.toString(), u.username]));
+        const byUser = perUser
+            .map(r => ({
+                userId: r._id,
+                username: r._id ? (usernames.get(r._id.toString()) || 'Unknown user') : 'Unattributed',
+                minutes: r.minutes
+            }))
+            .sort((a, b) => b.minutes - a.minutes);
+
         return {
             taskId: taskId,
             taskTimeTaken: taskTimeTaken,
             subtasksTotalTime: subtasksTotalTime,
-            totalTime: totalTime
+            totalTime: totalTime,
+            byUser: byUser
         };
     }
 }
@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import Dependency from '../models/dependency.model.js';
+import History from '../models/history.model.js';
+import notificationModel from '../models/notification.model.js';
+import taskService from './task.services.js';
+
+describe('Task Service - Move', () => {
+    let testManager, testStaff, testHelper, testOutsider, sourceProject, targetProject;
+
+    const createTaskWithSubtask = async () => {
+        const task = await Task.create({
+            title: 'Migrate billing',
+            owner: testStaff._id,
+            project: sourceProject._id,
+            assignee: [testStaff._id]
+        });
+        const subtask = await Subtask.create({
+            title: 'Export invoices',
+            parentTaskId: task._id,
+            projectId: sourceProject._id,
+            ownerId: testStaff._id,
+            assigneeId: [testHelper._id]
+        });
+        return { task, subtask };
+    };
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        testManager = await User.create({
+            username: 'move.manager@example.com',
+            roles: ['manager'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testStaff = await User.create({
+            username: 'move.staff@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testHelper = await User.create({
+            username: 'move.helper@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+        testOutsider = await User.create({
+            username: 'move.outsider@example.com',
+            roles: ['staff'],
+            department: 'sales',
+            hashed_password: 'password123'
+        });
+
+        sourceProject = await Project.create({
+            name: 'Legacy Billing',
+            owner: testManager._id,
+            members: [testStaff._id, testHelper._id, testOutsider._id]
+        });
+        targetProject = await Project.create({
+            name: 'Platform',
+            owner: testManager._id,
+            members: []
+        });
+    });
+
+    afterEach(async () => {
+        await Task.deleteMany({});
+        await Subtask.deleteMany({});
+        await Dependency.deleteMany({});
+        await History.collection.deleteMany({});
+        await notificationModel.deleteMany({});
+        await Project.updateOne({ _id: targetProject._id }, { members: [] });
+    });
+
+    afterAll(async () => {
+        await User.deleteMany({});
+        await Project.deleteMany({});
+    });
+
+    describe('moveTask', () => {
+        it('should move the task and its subtasks and add assignees to the target members', async () => {
+            const { task, subtask } = await createTaskWithSubtask();
+
+            const result = await taskService.moveTask(task._id, targetProject._id, testManager);
+
+            expect(result.task.project.name).toBe('Platform');
+            expect(result.subtaskCount).toBe(1);
+
+            const movedSubtask = await Subtask.findById(subtask._id);
+            expect(String(movedSubtask.projectId)).toBe(String(targetProject._id));
+
+            const project = await Project.findById(targetProject._id);
+            expect(project.members.map(String).sort()).toEqual(
+                [String(testStaff._id), String(testHelper._id)].sort()
+            );
+        });
+
+        it('should record the move in the task and subtask history', async () => {
+            const { task, subtask } = await createTaskWithSubtask();
+
+            await taskService.moveTask(task._id, targetProject._id, testManager);
+
+            const taskHistory = await taskService.getTaskHistory(task._id, testManager);
+            expect(taskHistory).toHaveLength(1);
+            expect(taskHistory[0].field).toBe('project');
+            expect(taskHistory[0].oldValue.name).toBe('Legacy Billing');
+            expect(taskHistory[0].newValue.name).toBe('Platform');
+
+            const subtaskEntries = await History.find({ itemType: 'subtask', item: subtask._id });
+            expect(subtaskEntries.map(entry => entry.field)).toEqual(['projectId']);
+        });
+
+        it('should notify assignees other than the actor', async () => {
+            const { task } = await createTaskWithSubtask();
+            const io = { to: vi.fn().mockReturnThis(), emit: vi.fn() };
+            const userSockets = new Map([[String(testHelper._id), 'socket-helper']]);
+
+            await Project.updateOne({ _id: targetProject._id }, { members: [testStaff._id] });
+
+            await taskService.moveTask(task._id, targetProject._id, testStaff, { io, userSockets });
+
+            const notifications = await notificationModel.find({ type: 'task-moved' });
+            expect(notifications.map(n => String(n.user))).toEqual([String(testHelper._id)]);
+            expect(notifications[0].message).toContain('from Legacy Billing to Platform');
+            expect(io.to).toHaveBeenCalledWith('socket-helper');
+            expect(io.emit).toHaveBeenCalledWith('task-moved', expect.objectContaining({ taskId: task._id }));
+        });
+
+        it('should keep links between moved items and drop links to items left behind', async () => {
+            const { task, subtask } = await createTaskWithSubtask();
+            const stayingTask = await Task.create({
+                title: 'Close old accounts',
+                owner: testStaff._id,
+                project: sourceProject._id,
+                assignee: [testStaff._id]
+            });
+            await Dependency.create({
+                project: sourceProject._id,
+                blockerType: 'task', blocker: task._id,
+                blockedType: 'subtask', blocked: subtask._id,
+                createdBy: testManager._id
+            });
+            await Dependency.create({
+                project: sourceProject._id,
+                blockerType: 'task', blocker: stayingTask._id,
+                blockedType: 'task', blocked: task._id,
+                createdBy: testManager._id
+            });
+
+            const result = await taskService.moveTask(task._id, targetProject._id, testManager);
+
+            expect(result.removedDependencyCount).toBe(1);
+            const links = await Dependency.find({});
+            expect(links).toHaveLength(1);
+            expect(String(links[0].project)).toBe(String(targetProject._id));
+        });
+
+        it('should reject users without access to the target project', async () => {
+            const { task } = await createTaskWithSubtask();
+
+            await expect(taskService.moveTask(task._id, targetProject._id, testStaff))
+                .rejects.toThrow('You do not have permission to move tasks between these projects');
+            expect(String((await Task.findById(task._id)).project)).toBe(String(sourceProject._id));
+        });
+
+        it('should reject project members who cannot edit the task', async () => {
+            const { task } = await createTaskWithSubtask();
+
+            await expect(taskService.moveTask(task._id, targetProject._id, testOutsider))
+                .rejects.toThrow('You do not have permission to move this task');
+        });
+
+        it('should reject moving a task into its own project', async () => {
+            const { task } = await createTaskWithSubtask();
+
+            await expect(taskService.moveTask(task._id, sourceProject._id, testManager))
+                .rejects.toThrow('Task is already in this project');
+        });
+    });
+});
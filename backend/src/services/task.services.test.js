@@ -168,12 +168,12 @@ describe('Task Service Test', () => {
             const taskData = {
                 title: 'Task with tags',
                 project: testProject._id,
-                tags: 'bug#urgent#frontend'
+                tags: ['bug', 'urgent', 'frontend']
             };
 
             const task = await taskService.createTask(taskData, testUser._id);
 
-            expect(task.tags).toBe('bug#urgent#frontend');
+            expect(task.tags).toEqual(['bug', 'urgent', 'frontend']);
         });
 
         it('should throw error for non-existent project', async () => {
@@ -364,7 +364,7 @@ describe('Task Service Test', () => {
 
         it('should update tags', async () => {
             const updateData = {
-                tags: 'updated#urgent#backend'
+                tags: ['updated', 'urgent', 'backend']
             };
 
             const updatedTask = await taskService.updateTask(
@@ -373,7 +373,7 @@ describe('Task Service Test', () => {
                 testUser._id.toString()
             );
 
-            expect(updatedTask.tags).toBe('updated#urgent#backend');
+            expect(updatedTask.tags).toEqual(['updated', 'urgent', 'backend']);
         });
 
         it('should throw error when trying to change project', async () => {
@@ -612,7 +612,7 @@ describe('Task Service Test', () => {
                 status: 'Completed',
                 description: 'Submit weekly report',
                 priority: 8,
-                tags: 'report#weekly'
+                tags: ['report', 'weekly']
             });
 
             const newTask = await taskService.createRecurringTask(originalTask);
@@ -621,7 +621,7 @@ describe('Task Service Test', () => {
             expect(newTask.title).toBe(originalTask.title);
             expect(newTask.description).toBe(originalTask.description);
             expect(newTask.priority).toBe(originalTask.priority);
-            expect(newTask.tags).toBe(originalTask.tags);
+            expect(newTask.tags).toEqual(['report', 'weekly']);
             expect(newTask.isRecurring).toBe(true);
             expect(newTask.recurrenceInterval).toBe(7);
             expect(newTask.status).toBe('To Do');
@@ -648,6 +648,117 @@ describe('Task Service Test', () => {
 
             expect(newTask).toBeNull();
         });
+
+        it('should create recurring task with a recurrence rule', async () => {
+            const dueDate = new Date();
+            dueDate.setDate(dueDate.getDate() + 7);
+
+            const task = await taskService.createTask({
+                title: 'Weekday Standup',
+                project: testProject._id,
+                dueDate,
+                isRecurring: true,
+                recurrenceRule: { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] }
+            }, testUser._id);
+
+            expect(task.recurrenceInterval).toBeNull();
+            expect(task.recurrenceRule.frequency).toBe('weekly');
+            expect(task.recurrenceRule.weekdays).toEqual([1, 2, 3, 4, 5]);
+        });
+
+        it('should reject an invalid recurrence rule', async () => {
+            const dueDate = new Date();
+            dueDate.setDate(dueDate.getDate() + 7);
+
+            await expect(taskService.createTask({
+                title: 'Recurring Task',
+                project: testProject._id,
+                dueDate,
+                isRecurring: true,
+                recurrenceRule: { frequency: 'hourly' }
+            }, testUser._id)).rejects.toThrow('Recurrence frequency must be daily, weekly or monthly');
+        });
+
+        it('should use the rule for the next due date and count occurrences', async () => {
+            const originalTask = await Task.create({
+                title: 'Month End Close',
+                owner: testUser._id,
+                assignee: [testUser._id],
+                project: testProject._id,
+                dueDate: new Date('2099-05-04T00:00:00.000Z'),
+                isRecurring: true,
+                recurrenceRule: { frequency: 'monthly', monthlyType: 'lastBusinessDay', count: 3 },
+                status: 'Completed'
+            });
+
+            const second = await taskService.createRecurringTask(originalTask);
+
+            // May 31st 2099 is a Sunday
+            expect(second.dueDate.toISOString()).toBe('2099-05-29T00:00:00.000Z');
+            expect(second.recurrenceOccurrence).toBe(2);
+            expect(second.recurrenceRule.monthlyType).toBe('lastBusinessDay');
+
+            const third = await taskService.createRecurringTask(second);
+            expect(third.recurrenceOccurrence).toBe(3);
+
+            // The series ends after three occurrences
+            const fourth = await taskService.createRecurringTask(third);
+            expect(fourth).toBeNull();
+        });
+
+        it('should create one next occurrence per task', async () => {
+            const originalTask = await Task.create({
+                title: 'Daily Standup',
+                owner: testUser._id,
+                assignee: [testUser._id],
+                project: testProject._id,
+                dueDate: new Date('2099-05-04T09:00:00.000Z'),
+                isRecurring: true,
+                recurrenceRule: { frequency: 'daily' },
+                status: 'Completed',
+                statusCategory: 'done'
+            });
+
+            const first = await taskService.createRecurringTask(originalTask);
+            const second = await taskService.createRecurringTask(originalTask);
+
+            expect(first.previousOccurrence).toEqual(originalTask._id);
+            expect(second).toBeNull();
+            expect(await Task.countDocuments({ previousOccurrence: originalTask._id })).toBe(1);
+        });
+
+        it('should catch up recurring tasks completed without a next occurrence', async () => {
+            const since = new Date(Date.now() - 60 * 1000);
+            const completed = await Task.create({
+                title: 'Weekly Sync',
+                owner: testUser._id,
+                assignee: [testUser._id],
+                project: testProject._id,
+                dueDate: new Date('2099-05-04T09:00:00.000Z'),
+                isRecurring: true,
+                recurrenceInterval: 7,
+                status: 'Completed',
+                statusCategory: 'done'
+            });
+            await Task.create({
+                title: 'Archived Sync',
+                owner: testUser._id,
+                assignee: [testUser._id],
+                project: testProject._id,
+                dueDate: new Date('2099-05-04T09:00:00.000Z'),
+                isRecurring: true,
+                recurrenceInterval: 7,
+                status: 'Completed',
+                statusCategory: 'done',
+                archived: true
+            });
+
+            expect(await taskService.createMissingOccurrences(since)).toBe(1);
+            expect(await taskService.createMissingOccurrences(since)).toBe(0);
+
+            const next = await Task.findOne({ previousOccurrence: completed._id });
+            expect(next.dueDate.toISOString()).toBe('2099-05-11T09:00:00.000Z');
+        });
     });
 
     describe('getTasks', () => {
@@ -697,6 +808,58 @@ describe('Task Service Test', () => {
             const tasks = await taskService.getTasks({ project: testProject._id });
             expect(tasks).toHaveLength(2);
         });
+
+        it('should filter by tags, priority range and archived flag', async () => {
+            await Task.updateOne({ title: 'Task 1' }, { tags: ['urgent', 'backend'], priority: 9 });
+            await Task.updateOne({ title: 'Task 2' }, { tags: ['urgent'], priority: 3, archived: true });
+
+            expect(await taskService.getTasks({ tags: 'urgent' })).toHaveLength(2);
+            expect(await taskService.getTasks({ tags: 'urgent,backend' })).toHaveLength(1);
+            expect(await taskService.getTasks({ priorityMin: 8 })).toHaveLength(1);
+            expect(await taskService.getTasks({ tags: 'urgent', archived: false })).toHaveLength(1);
+        });
+
+        it('should only return overdue tasks that are not completed', async () => {
+            const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+            await Task.updateMany({}, { dueDate: yesterday });
+
+            const tasks = await taskService.getTasks({ overdue: true });
+            expect(tasks.map(task => task.title).sort()).toEqual(['Task 1', 'Task 2']);
+        });
+
+        it('should sort by title', async () => {
+            const tasks = await taskService.getTasks({ sortBy: 'title', sortOrder: 'desc' });
+            expect(tasks.map(task => task.title)).toEqual(['Task 3', 'Task 2', 'Task 1']);
+        });
+
+        it('should reject an unknown sort field', async () => {
+            await expect(taskService.getTasks({ sortBy: 'colour' }))
+                .rejects.toThrow('Invalid sort field');
+        });
+
+        it('should page through tasks with a cursor and return status counts', async () => {
+            const first = await taskService.getTasksPage({ sortBy: 'title' }, { limit: 2 });
+            expect(first.items.map(task => task.title)).toEqual(['Task 1', 'Task 2']);
+            expect(first.pagination.hasMore).toBe(true);
+            expect(first.counts).toEqual({
+                total: 3,
+                archived: 0,
+                byStatus: { 'To Do': 1, 'In Progress': 1, 'Blocked': 0, 'Completed': 1 }
+            });
+
+            const second = await taskService.getTasksPage(
+                { sortBy: 'title' },
+                { limit: 2, cursor: first.pagination.nextCursor }
+            );
+            expect(second.items.map(task => task.title)).toEqual(['Task 3']);
+            expect(second.pagination).toEqual({ limit: 2, hasMore: false, nextCursor: null });
+        });
+
+        it('should count every status even when filtering by one', async () => {
+            const page = await taskService.getTasksPage({ status: 'Completed' }, { limit: 10 });
+            expect(page.items).toHaveLength(1);
+            expect(page.counts.total).toBe(3);
+        });
     });
 
     describe('deleteTask', () => {
@@ -0,0 +1,206 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import taskService from './task.services.js';
+import subtaskService from './subtask.services.js';
+import projectService from './project.services.js';
+
+describe('Task Service - Workflows', () => {
+    let testManager, reviewProject, defaultProject;
+
+    const reviewWorkflow = {
+        statuses: [
+            { name: 'Backlog', category: 'todo' },
+            { name: 'In Review', category: 'active' },
+            { name: 'QA', category: 'active' },
+            { name: 'Awaiting Client', category: 'blocked' },
+            { name: 'Shipped', category: 'done' }
+        ],
+        transitions: [
+            { from: 'Backlog', to: 'In Review' },
+            { from: 'In Review', to: 'QA' },
+            { from: 'QA', to: 'Shipped' },
+            { from: 'QA', to: 'Awaiting Client' },
+            { from: 'Awaiting Client', to: 'QA' }
+        ]
+    };
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        testManager = await User.create({
+            username: 'wf.manager@example.com',
+            roles: ['manager'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+
+        reviewProject = await Project.create({
+            name: 'Client Portal',
+            owner: testManager._id,
+            workflow: reviewWorkflow
+        });
+        defaultProject = await Project.create({
+            name: 'Internal Tools',
+            owner: testManager._id
+        });
+    });
+
+    afterEach(async () => {
+        await Task.deleteMany({});
+        await Subtask.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await User.deleteMany({});
+        await Project.deleteMany({});
+    });
+
+    describe('createTask', () => {
+        it('should start tasks in the first "todo" status of the workflow', async () => {
+            const task = await taskService.createTask({ title: 'Login page', project: reviewProject._id }, testManager._id);
+
+            expect(task.status).toBe('Backlog');
+            expect(task.statusCategory).toBe('todo');
+        });
+
+        it('should keep the default statuses for projects without a workflow', async () => {
+            const task = await taskService.createTask({ title: 'Cleanup', project: defaultProject._id }, testManager._id);
+
+            expect(task.status).toBe('To Do');
+            expect(task.statusCategory).toBe('todo');
+        });
+    });
+
+    describe('updateTask', () => {
+        it('should store the category of the new status', async () => {
+            const task = await taskService.createTask({ title: 'Login page', project: reviewProject._id }, testManager._id);
+
+            const updated = await taskService.updateTask(task._id, { status: 'In Review' }, testManager._id);
+            expect(updated.status).toBe('In Review');
+            expect(updated.statusCategory).toBe('active');
+        });
+
+        it('should reject statuses the workflow does not have', async () => {
+            const task = await taskService.createTask({ title: 'Login page', project: reviewProject._id }, testManager._id);
+
+            await expect(taskService.updateTask(task._id, { status: 'Completed' }, testManager._id))
+                .rejects.toThrow('Invalid status "Completed"');
+        });
+
+        it('should only allow the transitions of the workflow', async () => {
+            const task = await taskService.createTask({ title: 'Login page', project: reviewProject._id }, testManager._id);
+
+            await expect(taskService.updateTask(task._id, { status: 'Shipped' }, testManager._id))
+                .rejects.toThrow('The workflow does not allow moving from "Backlog" to "Shipped"');
+        });
+    });
+
+    describe('subtasks', () => {
+        it('should use the workflow of the project for subtasks', async () => {
+            const task = await taskService.createTask({ title: 'Login page', project: reviewProject._id }, testManager._id);
+            const subtask = await subtaskService.createSubtask({
+                title: 'Form validation',
+                parentTaskId: task._id,
+                projectId: reviewProject._id,
+                ownerId: testManager._id
+            });
+            expect(subtask.status).toBe('Backlog');
+
+            const updated = await subtaskService.updateSubtask(subtask._id, { status: 'In Review' }, testManager._id);
+            expect(updated.statusCategory).toBe('active');
+        });
+    });
+
+    describe('getTasks', () => {
+        it('should filter and count by status category', async () => {
+            await Task.create([
+                { title: 'Review', owner: testManager._id, project: reviewProject._id, status: 'QA', statusCategory: 'active' },
+                { title: 'Shipped', owner: testManager._id, project: reviewProject._id, status: 'Shipped', statusCategory: 'done' },
+                { title: 'Legacy', owner: testManager._id, project: defaultProject._id, status: 'Completed' }
+            ]);
+
+            const done = await taskService.getTasks({ statusCategory: 'done' });
+            expect(done.map(task => task.title).sort()).toEqual(['Legacy', 'Shipped']);
+
+            const page = await taskService.getTasksPage({}, { limit: 10 });
+            expect(page.counts.byCategory).toEqual({ todo: 0, active: 1, blocked: 0, done: 2 });
+            expect(page.counts.byStatus.QA).toBe(1);
+
+            await expect(taskService.getTasks({ statusCategory: 'review' }))
+                .rejects.toThrow('Invalid status category');
+        });
+    });
+
+    describe('moveTask', () => {
+        it('should map statuses the target workflow lacks to one of the same category', async () => {
+            const task = await Task.create({
+                title: 'Audit',
+                owner: testManager._id,
+                project: defaultProject._id,
+                status: 'In Progress'
+            });
+
+            const { task: moved } = await taskService.moveTask(task._id, reviewProject._id, testManager);
+            expect(moved.status).toBe('In Review');
+            expect(moved.statusCategory).toBe('active');
+        });
+    });
+
+    describe('project workflow changes', () => {
+        it('should rename statuses and move items out of removed ones', async () => {
+            const project = await Project.create({
+                name: 'Support',
+                owner: testManager._id,
+                workflow: reviewWorkflow
+            });
+            const [review, qa] = await Task.create([
+                { title: 'Review', owner: testManager._id, project: project._id, status: 'In Review', statusCategory: 'active' },
+                { title: 'Testing', owner: testManager._id, project: project._id, status: 'QA', statusCategory: 'active' }
+            ]);
+
+            await projectService.updateProject(project._id, {
+                workflow: {
+                    statuses: [
+                        { name: 'Backlog', category: 'todo' },
+                        { name: 'Reviewing', category: 'active', previousName: 'In Review' },
+                        { name: 'Shipped', category: 'done' }
+                    ]
+                }
+            }, testManager._id, 'manager', 'it');
+
+            expect((await Task.findById(review._id)).status).toBe('Reviewing');
+            expect((await Task.findById(qa._id)).status).toBe('Reviewing');
+        });
+
+        it('should update the stored category when a status changes category', async () => {
+            const project = await Project.create({
+                name: 'Billing',
+                owner: testManager._id,
+                workflow: reviewWorkflow
+            });
+            const task = await Task.create({
+                title: 'Invoice run',
+                owner: testManager._id,
+                project: project._id,
+                status: 'Awaiting Client',
+                statusCategory: 'blocked'
+            });
+
+            await projectService.updateProject(project._id, {
+                workflow: {
+                    statuses: reviewWorkflow.statuses.map(status =>
+                        status.name === 'Awaiting Client' ? { ...status, category: 'active' } : status
+                    )
+                }
+            }, testManager._id, 'manager', 'it');
+
+            expect((await Task.findById(task._id)).statusCategory).toBe('active');
+        });
+    });
+});
@@ -0,0 +1,230 @@
+import mongoose from 'mongoose';
+import TaskTemplate from '../models/task-template.model.js';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import taskService from './task.services.js';
+import subtaskService from './subtask.services.js';
+import notificationService from './notification.services.js';
+import { parseAnchorDate, getDueOffsetDays, applyDueOffset } from '../utils/template.utils.js';
+
+// Usernames and project names shown in the template picker
+const TEMPLATE_POPULATE = [
+    { path: 'createdBy', select: 'username' },
+    { path: 'project', select: 'name' },
+    { path: 'task.assignees', select: 'username' },
+    { path: 'subtasks.assignees', select: 'username' }
+];
+
+const isAdmin = (user) => (user.roles || []).includes('admin');
+
+// The parts of a task or subtask a template keeps
+const toTemplateItem = (item, assignees, anchorDate) => ({
+    title: item.title,
+    description: item.description || '',
+    priority: item.priority || 5,
+    tags: [...(item.tags || [])],
+    dueOffsetDays: getDueOffsetDays(item.dueDate, anchorDate),
+    assignees: assignees || []
+});
+
+class TemplateService {
+    /**
+     * Load a template, throwing if it does not exist
+     */
+    async findTemplate(templateId) {
+        if (!mongoose.Types.ObjectId.isValid(templateId)) {
+            throw new Error('Template not found');
+        }
+
+        const template = await TaskTemplate.findById(templateId);
+        if (!template) {
+            throw new Error('Template not found');
+        }
+        return template;
+    }
+
+    /**
+     * Admins and anyone with access to the project (its owner and members)
+     */
+    async hasProjectAccess(actingUser, projectId) {
+        return isAdmin(actingUser) || await taskService.userHasAccessToTaskProject(actingUser._id, projectId);
+    }
+
+    /**
+     * Global templates are visible to everyone; project templates to those with access to the project
+     */
+    async checkTemplateAccess(template, actingUser) {
+        if (template.project && !await this.hasProjectAccess(actingUser, template.project)) {
+            throw new Error('You do not have permission to use this template');
+        }
+    }
+
+    /**
+     * Save a task and its (non-archived) subtasks as a template.
+     * Due dates are stored relative to `anchorDate`, which defaults to the
+     * task's due date (or its creation date when it has none).
+     * Global templates (`global: true`) can only be created by managers and admins.
+     */
+    async createTemplateFromTask({ taskId, name, description = '', global = false, anchorDate, actingUser }) {
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            throw new Error('Template name is required');
+        }
+        if (!mongoose.Types.ObjectId.isValid(taskId)) {
+            throw new Error('Task not found');
+        }
+
+        const task = await Task.findById(taskId);
+        if (!task) {
+            throw new Error('Task not found');
+        }
+
+        const userIdStr = String(actingUser._id);
+        const isParticipant = String(task.owner) === userIdStr
+            || (task.assignee || []).some(id => String(id) === userIdStr);
+        if (!isParticipant && !await this.hasProjectAccess(actingUser, task.project)) {
+            throw new Error('You do not have permission to save this task as a template');
+        }
+
+        const roles = actingUser.roles || [];
+        if (global && !roles.includes('admin') && !roles.includes('manager')) {
+            throw new Error('Only managers and admins can create global templates');
+        }
+
+        const anchor = anchorDate ? parseAnchorDate(anchorDate) : (task.dueDate || task.createdAt);
+        const subtasks = await Subtask.find({ parentTaskId: task._id, archived: false }).sort({ createdAt: 1 });
+
+        const template = await TaskTemplate.create({
+            name: name.trim(),
+            description,
+            project: global ? null : task.project,
+            task: toTemplateItem(task, task.assignee, anchor),
+            subtasks: subtasks.map(subtask => toTemplateItem(subtask, subtask.assigneeId, anchor)),
+            createdBy: actingUser._id
+        });
+
+        return await template.populate(TEMPLATE_POPULATE);
+    }
+
+    /**
+     * Templates available in a project (its own plus global ones), or only the
+     * global templates when no project is given. Sorted by name.
+     */
+    async getTemplates({ projectId, actingUser }) {
+        let filter = { project: null };
+
+        if (projectId) {
+            if (!mongoose.Types.ObjectId.isValid(projectId)) {
+                throw new Error('Project not found');
+            }
+            if (!await this.hasProjectAccess(actingUser, projectId)) {
+                throw new Error('You do not have permission to view templates of this project');
+            }
+            filter = { project: { $in: [projectId, null] } };
+        }
+
+        return await TaskTemplate.find(filter)
+            .sort({ name: 1 })
+            .populate(TEMPLATE_POPULATE);
+    }
+
+    async getTemplate(templateId, actingUser) {
+        const template = await this.findTemplate(templateId);
+        await this.checkTemplateAccess(template, actingUser);
+        return await template.populate(TEMPLATE_POPULATE);
+    }
+
+    /**
+     * Delete a template. Allowed for whoever created it and admins.
+     */
+    async deleteTemplate(templateId, actingUser) {
+        const template = await this.findTemplate(templateId);
+
+        if (!isAdmin(actingUser) && String(template.createdBy) !== String(actingUser._id)) {
+            throw new Error('You do not have permission to delete this template');
+        }
+
+        await template.deleteOne();
+        return template;
+    }
+
+    /**
+     * Create the template's task and subtasks in a project, with due dates
+     * counted from `anchorDate`. Everything goes through TaskService.createTask
+     * and SubtaskService.createSubtask, so the usual validation applies (e.g. no
+     * new tasks in archived projects, no due dates in the past). If any item
+     * fails, the ones already created are removed again.
+     * `projectId` defaults to the template's own project.
+     */
+    async instantiateTemplate({ templateId, projectId, anchorDate, actingUser, io, userSockets }) {
+        const template = await this.findTemplate(templateId);
+        await this.checkTemplateAccess(template, actingUser);
+
+        const targetProject = projectId || template.project;
+        if (!targetProject) {
+            throw new Error('Project is required');
+        }
+        if (!mongoose.Types.ObjectId.isValid(targetProject)) {
+            throw new Error('Project not found');
+        }
+        if (!await this.hasProjectAccess(actingUser, targetProject)) {
+            throw new Error('You do not have permission to create tasks in this project');
+        }
+        if (!anchorDate) {
+            throw new Error('Anchor date is required');
+        }
+        const anchor = parseAnchorDate(anchorDate);
+
+        const task = await taskService.createTask({
+            title: template.task.title,
+            description: template.task.description,
+            project: targetProject,
+            priority: template.task.priority,
+            tags: template.task.tags,
+            assignee: template.task.assignees,
+            dueDate: applyDueOffset(anchor, template.task.dueOffsetDays)
+        }, actingUser._id);
+
+        const subtasks = [];
+        try {
+            for (const item of template.subtasks) {
+                subtasks.push(await subtaskService.createSubtask({
+                    title: item.title,
+                    description: item.description,
+                    parentTaskId: task._id,
+                    projectId: task.project,
+                    priority: item.priority,
+                    tags: item.tags,
+                    assigneeId: item.assignees,
+                    ownerId: actingUser._id,
+                    dueDate: applyDueOffset(anchor, item.dueOffsetDays)
+                }));
+            }
+        } catch (error) {
+            await Subtask.deleteMany({ _id: { $in: subtasks.map(subtask => subtask._id) } });
+            await Task.deleteOne({ _id: task._id });
+            throw error;
+        }
+
+        await this.notifyAssignees(task, actingUser, { io, userSockets });
+        return { task, subtasks };
+    }
+
+    /**
+     * Tell the new task's assignees about it, as creating a task by hand does
+     * (a 'task-assigned' notification on each assignee's chosen channels)
+     */
+    async notifyAssignees(task, actingUser, { io, userSockets } = {}) {
+        await notificationService.notify('task-assigned', task.assignee, {
+            message: `You have been assigned a new task: "${task.title}"`,
+            task: task._id,
+            project: task.project,
+            assignor: actingUser._id,
+            deadline: task.dueDate,
+            data: { task },
+            io,
+            userSockets
+        });
+    }
+}
+
+export default new TemplateService();
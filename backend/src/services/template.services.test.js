@@ -0,0 +1,224 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import TaskTemplate from '../models/task-template.model.js';
+import notificationModel from '../models/notification.model.js';
+import templateService from './template.services.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Template Service', () => {
+    let testManager, testStaff, testOutsider, testProject, otherProject;
+
+    // A month-end task due in 10 days, with subtasks due 3 days before it and without a due date
+    const createMonthEndTask = async () => {
+        const dueDate = new Date(Date.now() + 10 * DAY_MS);
+        const task = await Task.create({
+            title: 'Month-end close',
+            description: 'Close the books',
+            owner: testManager._id,
+            project: testProject._id,
+            assignee: [testManager._id, testStaff._id],
+            priority: 8,
+            tags: ['finance'],
+            dueDate
+        });
+        await Subtask.create({
+            title: 'Reconcile accounts',
+            parentTaskId: task._id,
+            projectId: testProject._id,
+            ownerId: testManager._id,
+            assigneeId: [testStaff._id],
+            priority: 6,
+            dueDate: new Date(dueDate.getTime() - 3 * DAY_MS)
+        });
+        await Subtask.create({
+            title: 'Send report',
+            parentTaskId: task._id,
+            projectId: testProject._id,
+            ownerId: testManager._id
+        });
+        return task;
+    };
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        testManager = await User.create({
+            username: 'template.manager@example.com',
+            roles: ['manager'],
+            department: 'finance',
+            hashed_password: 'password123'
+        });
+        testStaff = await User.create({
+            username: 'template.staff@example.com',
+            roles: ['staff'],
+            department: 'finance',
+            hashed_password: 'password123'
+        });
+        testOutsider = await User.create({
+            username: 'template.outsider@example.com',
+            roles: ['staff'],
+            department: 'sales',
+            hashed_password: 'password123'
+        });
+
+        testProject = await Project.create({
+            name: 'Finance',
+            owner: testManager._id,
+            members: [testStaff._id]
+        });
+        otherProject = await Project.create({
+            name: 'Finance Q2',
+            owner: testManager._id,
+            members: [testStaff._id]
+        });
+    });
+
+    afterEach(async () => {
+        await Task.deleteMany({});
+        await Subtask.deleteMany({});
+        await TaskTemplate.deleteMany({});
+        await notificationModel.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await User.deleteMany({});
+        await Project.deleteMany({});
+    });
+
+    describe('createTemplateFromTask', () => {
+        it('should save the task and its subtasks with due dates relative to the task', async () => {
+            const task = await createMonthEndTask();
+
+            const template = await templateService.createTemplateFromTask({
+                taskId: task._id, name: ' Month-end ', actingUser: testManager
+            });
+
+            expect(template.name).toBe('Month-end');
+            expect(String(template.project._id)).toBe(String(testProject._id));
+            expect(template.task).toMatchObject({ title: 'Month-end close', priority: 8, tags: ['finance'], dueOffsetDays: 0 });
+            expect(template.task.assignees.map(a => a.username)).toEqual([
+                'template.manager@example.com', 'template.staff@example.com'
+            ]);
+            expect(template.subtasks.map(s => [s.title, s.dueOffsetDays])).toEqual([
+                ['Reconcile accounts', -3],
+                ['Send report', null]
+            ]);
+        });
+
+        it('should only let managers and admins create global templates', async () => {
+            const task = await createMonthEndTask();
+
+            await expect(templateService.createTemplateFromTask({
+                taskId: task._id, name: 'Month-end', global: true, actingUser: testStaff
+            })).rejects.toThrow('Only managers and admins can create global templates');
+
+            const template = await templateService.createTemplateFromTask({
+                taskId: task._id, name: 'Month-end', global: true, actingUser: testManager
+            });
+            expect(template.project).toBeNull();
+        });
+
+        it('should reject users without access to the task', async () => {
+            const task = await createMonthEndTask();
+
+            await expect(templateService.createTemplateFromTask({
+                taskId: task._id, name: 'Month-end', actingUser: testOutsider
+            })).rejects.toThrow('You do not have permission to save this task as a template');
+        });
+    });
+
+    describe('getTemplates', () => {
+        it('should list project and global templates for a project, and only global ones otherwise', async () => {
+            const task = await createMonthEndTask();
+            await templateService.createTemplateFromTask({ taskId: task._id, name: 'Project only', actingUser: testManager });
+            await templateService.createTemplateFromTask({ taskId: task._id, name: 'Everyone', global: true, actingUser: testManager });
+
+            const projectTemplates = await templateService.getTemplates({ projectId: testProject._id, actingUser: testStaff });
+            expect(projectTemplates.map(t => t.name)).toEqual(['Everyone', 'Project only']);
+
+            const globalTemplates = await templateService.getTemplates({ actingUser: testOutsider });
+            expect(globalTemplates.map(t => t.name)).toEqual(['Everyone']);
+
+            await expect(templateService.getTemplates({ projectId: testProject._id, actingUser: testOutsider }))
+                .rejects.toThrow('You do not have permission to view templates of this project');
+        });
+    });
+
+    describe('instantiateTemplate', () => {
+        it('should create the task and subtasks with due dates shifted to the anchor date', async () => {
+            const task = await createMonthEndTask();
+            const template = await templateService.createTemplateFromTask({
+                taskId: task._id, name: 'Month-end', actingUser: testManager
+            });
+            const anchorDate = new Date(Date.now() + 40 * DAY_MS);
+
+            const result = await templateService.instantiateTemplate({
+                templateId: template._id, projectId: otherProject._id, anchorDate, actingUser: testStaff
+            });
+
+            expect(result.task.title).toBe('Month-end close');
+            expect(String(result.task.project)).toBe(String(otherProject._id));
+            expect(String(result.task.owner)).toBe(String(testStaff._id));
+            expect(result.task.dueDate.getTime()).toBe(anchorDate.getTime());
+            expect(result.task.assignee.map(String).sort()).toEqual([String(testManager._id), String(testStaff._id)].sort());
+
+            expect(result.subtasks).toHaveLength(2);
+            expect(result.subtasks[0].dueDate.getTime()).toBe(anchorDate.getTime() - 3 * DAY_MS);
+            expect(String(result.subtasks[0].parentTaskId)).toBe(String(result.task._id));
+            expect(result.subtasks[1].dueDate).toBeNull();
+
+            const notifications = await notificationModel.find({ task: result.task._id });
+            expect(notifications).toHaveLength(2);
+        });
+
+        it('should apply task validation and leave nothing behind when it fails', async () => {
+            const task = await createMonthEndTask();
+            const template = await templateService.createTemplateFromTask({
+                taskId: task._id, name: 'Month-end', actingUser: testManager
+            });
+
+            await expect(templateService.instantiateTemplate({
+                templateId: template._id, anchorDate: new Date(Date.now() - 5 * DAY_MS), actingUser: testManager
+            })).rejects.toThrow('Due date cannot be in the past');
+
+            expect(await Task.countDocuments({})).toBe(1);
+        });
+
+        it('should require an anchor date and access to the target project', async () => {
+            const task = await createMonthEndTask();
+            const template = await templateService.createTemplateFromTask({
+                taskId: task._id, name: 'Month-end', global: true, actingUser: testManager
+            });
+
+            await expect(templateService.instantiateTemplate({
+                templateId: template._id, projectId: testProject._id, actingUser: testManager
+            })).rejects.toThrow('Anchor date is required');
+
+            await expect(templateService.instantiateTemplate({
+                templateId: template._id, projectId: testProject._id, anchorDate: new Date(), actingUser: testOutsider
+            })).rejects.toThrow('You do not have permission to create tasks in this project');
+        });
+    });
+
+    describe('deleteTemplate', () => {
+        it('should only let the creator or an admin delete a template', async () => {
+            const task = await createMonthEndTask();
+            const template = await templateService.createTemplateFromTask({
+                taskId: task._id, name: 'Month-end', actingUser: testManager
+            });
+
+            await expect(templateService.deleteTemplate(template._id, testStaff))
+                .rejects.toThrow('You do not have permission to delete this template');
+
+            await templateService.deleteTemplate(template._id, testManager);
+            expect(await TaskTemplate.countDocuments({})).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,290 @@
+import mongoose from 'mongoose';
+import TimeEntry from '../models/time-entry.model.js';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import taskService from './task.services.js';
+import { toEntryDay } from '../utils/time-entry.utils.js';
+
+const ITEM_TYPES = ['task', 'subtask'];
+
+class TimeEntryService {
+    /**
+     * Load a task or subtask, throwing a not-found error named after its type
+     */
+    async findItem(itemType, itemId) {
+        if (!ITEM_TYPES.includes(itemType)) {
+            throw new Error('Item type must be task or subtask');
+        }
+
+        const label = itemType === 'task' ? 'Task' : 'Subtask';
+        if (!mongoose.Types.ObjectId.isValid(itemId)) {
+            throw new Error(`${label} not found`);
+        }
+
+        const Model = itemType === 'task' ? Task : Subtask;
+        const item = await Model.findById(itemId);
+        if (!item) {
+            throw new Error(`${label} not found`);
+        }
+        return item;
+    }
+
+    /**
+     * Admins, the item's owner/assignees and anyone with access to its project
+     * can view and log time on it
+     */
+    async checkAccess(itemType, item, actingUser, action = 'log time on') {
+        const roles = actingUser.roles || [];
+        if (roles.includes('admin')) {
+            return;
+        }
+
+        const isTask = itemType === 'task';
+        const ownerId = isTask ? item.owner : item.ownerId;
+        const assigneeIds = (isTask ? item.assignee : item.assigneeId) || [];
+        const userIdStr = String(actingUser._id);
+
+        if ((ownerId && ownerId.toString() === userIdStr) ||
+            assigneeIds.some(id => id.toString() === userIdStr)) {
+            return;
+        }
+
+        const hasProjectAccess = await taskService.userHasAccessToTaskProject(
+            actingUser._id,
+            isTask ? item.project : item.projectId
+        );
+        if (!hasProjectAccess) {
+            throw new Error(`You do not have permission to ${action} this ${itemType}`);
+        }
+    }
+
+    parseMinutes(value) {
+        if (value === null || value === undefined || value === '') {
+            throw new Error('Time taken cannot be blank');
+        }
+
+        const minutes = Number(value);
+        if (isNaN(minutes) || minutes <= 0) {
+            throw new Error('Time taken must be a positive number');
+        }
+        return minutes;
+    }
+
+    // The day the work was done (see toEntryDay); today in UTC when the client sends none
+    parseDate(value) {
+        if (value === null || value === undefined || value === '') {
+            return toEntryDay(new Date());
+        }
+        return toEntryDay(value);
+    }
+
+    /**
+     * Time logged before entries existed lives only in timeTaken. Turn it into an
+     * unattributed entry before the first real entry so the aggregate keeps it.
+     */
+    async ensureLegacyEntry(itemType, item) {
+        if (!item.timeTaken) {
+            return;
+        }
+
+        // A running timer holds no minutes yet, so it does not count
+        const hasEntries = await TimeEntry.exists({ itemType, item: item._id, running: false });
+        if (!hasEntries) {
+            await taskService.setUnattributedTime(itemType, item, item.timeTaken);
+        }
+    }
+
+    /**
+     * Fields shared by every entry on an item
+     */
+    entryScope(itemType, item) {
+        const isTask = itemType === 'task';
+        return {
+            itemType,
+            item: item._id,
+            task: isTask ? item._id : item.parentTaskId,
+            project: isTask ? item.project : item.projectId
+        };
+    }
+
+    async findOwnEntry(entryId, actingUser, action) {
+        if (!mongoose.Types.ObjectId.isValid(entryId)) {
+            throw new Error('Time entry not found');
+        }
+
+        const entry = await TimeEntry.findById(entryId);
+        if (!entry) {
+            throw new Error('Time entry not found');
+        }
+
+        if (!entry.user || entry.user.toString() !== String(actingUser._id)) {
+            throw new Error(`You do not have permission to ${action} this time entry`);
+        }
+        return entry;
+    }
+
+    /**
+     * List an item's entries, newest first
+     */
+    async getEntries(itemType, itemId, actingUser) {
+        const item = await this.findItem(itemType, itemId);
+        await this.checkAccess(itemType, item, actingUser, 'view time logged on');
+
+        return await TimeEntry.find({ itemType, item: item._id })
+            .populate('user', 'username')
+            .sort({ date: -1, createdAt: -1 });
+    }
+
+    async addEntry({ itemType, itemId, minutes, date, note, actingUser }) {
+        const item = await this.findItem(itemType, itemId);
+        await this.checkAccess(itemType, item, actingUser);
+
+        const entry = new TimeEntry({
+            ...this.entryScope(itemType, item),
+            user: actingUser._id,
+            minutes: this.parseMinutes(minutes),
+            date: this.parseDate(date),
+            note: note || ''
+        });
+
+        await this.ensureLegacyEntry(itemType, item);
+        await entry.save();
+        await taskService.recalculateTimeTaken(itemType, item._id);
+
+        return await entry.populate('user', 'username');
+    }
+
+    /**
+     * Users can only edit their own finished entries
+     */
+    async updateEntry(entryId, updates, actingUser) {
+        const entry = await this.findOwnEntry(entryId, actingUser, 'edit');
+        if (entry.running) {
+            throw new Error('Stop the timer before editing this entry');
+        }
+
+        if (updates.minutes !== undefined) entry.minutes = this.parseMinutes(updates.minutes);
+        if (updates.date !== undefined) entry.date = this.parseDate(updates.date);
+        if (updates.note !== undefined) entry.note = updates.note;
+
+        await entry.save();
+        await taskService.recalculateTimeTaken(entry.itemType, entry.item);
+
+        return await entry.populate('user', 'username');
+    }
+
+    async deleteEntry(entryId, actingUser) {
+        const entry = await this.findOwnEntry(entryId, actingUser, 'delete');
+
+        await TimeEntry.deleteOne({ _id: entry._id });
+        await taskService.recalculateTimeTaken(entry.itemType, entry.item);
+
+        return entry;
+    }
+
+    /**
+     * The acting user's running timer, with the title of the item it runs on
+     */
+    async getRunningTimer(actingUser) {
+        const timer = await TimeEntry.findOne({ user: actingUser._id, running: true }).lean();
+        if (!timer) {
+            return null;
+        }
+
+        const Model = timer.itemType === 'task' ? Task : Subtask;
+        const item = await Model.findById(timer.item).select('title');
+        return { ...timer, itemTitle: item ? item.title : 'Deleted item' };
+    }
+
+    async startTimer({ itemType, itemId, date, note, actingUser }) {
+        const item = await this.findItem(itemType, itemId);
+        await this.checkAccess(itemType, item, actingUser);
+
+        const running = await TimeEntry.exists({ user: actingUser._id, running: true });
+        if (running) {
+            throw new Error('You already have a running timer');
+        }
+
+        const now = new Date();
+        try {
+            await TimeEntry.create({
+                ...this.entryScope(itemType, item),
+                user: actingUser._id,
+                date: this.parseDate(date),
+                note: note || '',
+                running: true,
+                startedAt: now
+            });
+        } catch (error) {
+            // Lost a race with another start request for the same user
+            if (error.code === 11000) {
+                throw new Error('You already have a running timer');
+            }
+            throw error;
+        }
+
+        return await this.getRunningTimer(actingUser);
+    }
+
+    /**
+     * Stop the acting user's timer and turn it into a regular entry
+     * (rounded to the nearest minute, at least one)
+     */
+    async stopTimer(actingUser, note) {
+        const timer = await TimeEntry.findOne({ user: actingUser._id, running: true });
+        if (!timer) {
+            throw new Error('Running timer not found');
+        }
+
+        const item = await (timer.itemType === 'task' ? Task : Subtask).findById(timer.item);
+        if (item) {
+            await this.ensureLegacyEntry(timer.itemType, item);
+        }
+
+        const elapsedMinutes = Math.round((Date.now() - timer.startedAt.getTime()) / 60000);
+        timer.minutes = Math.max(1, elapsedMinutes);
+        timer.running = false;
+        if (note !== undefined) timer.note = note;
+
+        await timer.save();
+        await taskService.recalculateTimeTaken(timer.itemType, timer.item);
+
+        return await timer.populate('user', 'username');
+    }
+
+    /**
+     * Logged minutes per item from finished entries, with a per-user breakdown.
+     * Items without entries are absent from the map.
+     * @returns {Map<String, {minutes: Number, byUser: Array<{username: String, minutes: Number}>}>}
+     */
+    async getLoggedTimeByItem(itemType, itemIds) {
+        if (!itemIds.length) {
+            return new Map();
+        }
+
+        const rows = await TimeEntry.aggregate([
+            { $match: { itemType, item: { $in: itemIds.map(id => new mongoose.Types.ObjectId(String(id))) }, running: false } },
+            { $group: { _id: { item: '$item', user: '$user' }, minutes: { $sum: '$minutes' } } },
+            { $lookup: { from: 'users', localField: '_id.user', foreignField: '_id', as: 'user' } }
+        ]);
+
+        const result = new Map();
+        rows.forEach(row => {
+            const key = row._id.item.toString();
+            if (!result.has(key)) {
+                result.set(key, { minutes: 0, byUser: [] });
+            }
+            const entry = result.get(key);
+            entry.minutes += row.minutes;
+            entry.byUser.push({
+                username: row.user[0] ? row.user[0].username : 'Unattributed',
+                minutes: row.minutes
+            });
+        });
+        result.forEach(entry => entry.byUser.sort((a, b) => b.minutes - a.minutes));
+
+        return result;
+    }
+}
+
+export default new TimeEntryService();
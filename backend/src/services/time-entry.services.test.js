@@ -0,0 +1,198 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import TimeEntry from '../models/time-entry.model.js';
+import timeEntryService from './time-entry.services.js';
+import taskService from './task.services.js';
+
+describe('Time Entry Service - Per-User Time Logging', () => {
+    let testManager, testStaff, testOutsider, testProject;
+
+    const createTask = (overrides = {}) => Task.create({
+        title: 'Logged Task',
+        owner: testManager._id,
+        project: testProject._id,
+        assignee: [testStaff._id],
+        ...overrides
+    });
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        testManager = await User.create({
+            username: 'time.manager@example.com',
+            roles: ['manager'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+
+        testStaff = await User.create({
+            username: 'time.staff@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+
+        testOutsider = await User.create({
+            username: 'time.outsider@example.com',
+            roles: ['staff'],
+            department: 'sales',
+            hashed_password: 'password123'
+        });
+
+        testProject = await Project.create({
+            name: 'Time Project',
+            owner: testManager._id,
+            members: [testStaff._id]
+        });
+    });
+
+    afterEach(async () => {
+        await Task.deleteMany({});
+        await Subtask.deleteMany({});
+        await TimeEntry.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await User.deleteMany({});
+        await Project.deleteMany({});
+    });
+
+    describe('addEntry', () => {
+        it('should keep entries from different users and aggregate timeTaken', async () => {
+            const task = await createTask();
+
+            await timeEntryService.addEntry({ itemType: 'task', itemId: task._id, minutes: 30, actingUser: testStaff });
+            await timeEntryService.addEntry({ itemType: 'task', itemId: task._id, minutes: 45, note: 'Review', actingUser: testManager });
+
+            const updated = await Task.findById(task._id);
+            expect(updated.timeTaken).toBe(75);
+
+            const entries = await timeEntryService.getEntries('task', task._id, testStaff);
+            expect(entries).toHaveLength(2);
+            expect(entries.map(e => e.user.username).sort()).toEqual([
+                'time.manager@example.com',
+                'time.staff@example.com'
+            ]);
+        });
+
+        it('should keep time logged before entries existed as an unattributed entry', async () => {
+            const task = await createTask({ timeTaken: 60 });
+
+            await timeEntryService.addEntry({ itemType: 'task', itemId: task._id, minutes: 15, actingUser: testStaff });
+
+            const updated = await Task.findById(task._id);
+            expect(updated.timeTaken).toBe(75);
+            expect(await TimeEntry.countDocuments({ item: task._id, user: null })).toBe(1);
+        });
+
+        it('should remove the unattributed entry when the time taken is set to zero', async () => {
+            const task = await createTask();
+            await taskService.updateTaskTimeTaken(task._id, 45);
+            await timeEntryService.addEntry({ itemType: 'task', itemId: task._id, minutes: 15, actingUser: testStaff });
+
+            const updated = await taskService.updateTaskTimeTaken(task._id, 0);
+
+            expect(updated.timeTaken).toBe(15);
+            expect(await TimeEntry.countDocuments({ item: task._id, user: null })).toBe(0);
+            expect(await TimeEntry.countDocuments({ item: task._id })).toBe(1);
+        });
+
+        it('should reject non-positive durations and users without access', async () => {
+            const task = await createTask();
+
+            await expect(timeEntryService.addEntry({
+                itemType: 'task', itemId: task._id, minutes: 0, actingUser: testStaff
+            })).rejects.toThrow('Time taken must be a positive number');
+
+            await expect(timeEntryService.addEntry({
+                itemType: 'task', itemId: task._id, minutes: 10, actingUser: testOutsider
+            })).rejects.toThrow('You do not have permission to log time on this task');
+        });
+    });
+
+    describe('updateEntry / deleteEntry', () => {
+        it('should let users edit and delete only their own entries', async () => {
+            const task = await createTask();
+            const entry = await timeEntryService.addEntry({ itemType: 'task', itemId: task._id, minutes: 30, actingUser: testStaff });
+
+            await expect(timeEntryService.updateEntry(entry._id, { minutes: 90 }, testManager))
+                .rejects.toThrow('You do not have permission to edit this time entry');
+
+            await timeEntryService.updateEntry(entry._id, { minutes: 90 }, testStaff);
+            expect((await Task.findById(task._id)).timeTaken).toBe(90);
+
+            await expect(timeEntryService.deleteEntry(entry._id, testManager))
+                .rejects.toThrow('You do not have permission to delete this time entry');
+
+            await timeEntryService.deleteEntry(entry._id, testStaff);
+            expect((await Task.findById(task._id)).timeTaken).toBe(0);
+        });
+    });
+
+    describe('timers', () => {
+        it('should allow one running timer per user and log it when stopped', async () => {
+            const task = await createTask();
+
+            const timer = await timeEntryService.startTimer({ itemType: 'task', itemId: task._id, actingUser: testStaff });
+            expect(timer.running).toBe(true);
+            expect(timer.itemTitle).toBe('Logged Task');
+
+            await expect(timeEntryService.startTimer({ itemType: 'task', itemId: task._id, actingUser: testStaff }))
+                .rejects.toThrow('You already have a running timer');
+
+            // Running timers do not count towards the total
+            expect((await Task.findById(task._id)).timeTaken).toBe(0);
+
+            // Simulate 25 minutes passing
+            await TimeEntry.updateOne({ _id: timer._id }, { startedAt: new Date(Date.now() - 25 * 60000) });
+
+            const entry = await timeEntryService.stopTimer(testStaff, 'Pairing');
+            expect(entry.running).toBe(false);
+            expect(entry.minutes).toBe(25);
+            expect(entry.note).toBe('Pairing');
+            expect((await Task.findById(task._id)).timeTaken).toBe(25);
+            expect(await timeEntryService.getRunningTimer(testStaff)).toBeNull();
+        });
+
+        it('should keep time logged before entries existed when the first timer stops', async () => {
+            const task = await createTask({ timeTaken: 60 });
+
+            const timer = await timeEntryService.startTimer({ itemType: 'task', itemId: task._id, actingUser: testStaff });
+            await TimeEntry.updateOne({ _id: timer._id }, { startedAt: new Date(Date.now() - 25 * 60000) });
+            await timeEntryService.stopTimer(testStaff);
+
+            expect((await Task.findById(task._id)).timeTaken).toBe(85);
+            expect(await TimeEntry.findOne({ item: task._id, user: null })).toMatchObject({ minutes: 60 });
+        });
+    });
+
+    describe('getTaskTotalTime', () => {
+        it('should sum task and subtask entries and break them down per user', async () => {
+            const task = await createTask();
+            const subtask = await Subtask.create({
+                title: 'Sub',
+                parentTaskId: task._id,
+                projectId: testProject._id,
+                ownerId: testManager._id,
+                assigneeId: [testStaff._id]
+            });
+
+            await timeEntryService.addEntry({ itemType: 'task', itemId: task._id, minutes: 30, actingUser: testStaff });
+            await timeEntryService.addEntry({ itemType: 'subtask', itemId: subtask._id, minutes: 20, actingUser: testStaff });
+            await timeEntryService.addEntry({ itemType: 'subtask', itemId: subtask._id, minutes: 10, actingUser: testManager });
+
+            const totals = await taskService.getTaskTotalTime(task._id);
+
+            expect(totals.taskTimeTaken).toBe(30);
+            expect(totals.subtasksTotalTime).toBe(30);
+            expect(totals.totalTime).toBe(60);
+            expect(totals.byUser[0]).toMatchObject({ username: 'time.staff@example.com', minutes: 50 });
+        });
+    });
+});
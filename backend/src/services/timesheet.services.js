@@ -0,0 +1,215 @@
+import mongoose from 'mongoose';
+import TimeEntry from '../models/time-entry.model.js';
+import Task from '../models/task.model.js';
+import Subtask from '../models/subtask.model.js';
+import Project from '../models/project.model.js';
+import User from '../models/user.model.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateKey = (date) => date.toISOString().split('T')[0];
+
+class TimesheetService {
+    /**
+     * Resolve the Monday-to-Sunday week (UTC) containing the given date.
+     * Defaults to the current week.
+     * @param {String} week - Any date in the week (YYYY-MM-DD)
+     * @returns {Object} { start, end, days } where end is exclusive
+     */
+    getWeekRange(week) {
+        const reference = week ? new Date(week) : new Date();
+        if (isNaN(reference.getTime())) {
+            throw new Error('Invalid week. Use a date in the format YYYY-MM-DD');
+        }
+
+        const start = new Date(Date.UTC(reference.getUTCFullYear(), reference.getUTCMonth(), reference.getUTCDate()));
+        const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+        start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+
+        const days = Array.from({ length: 7 }, (_, i) => new Date(start.getTime() + i * DAY_MS));
+        const end = new Date(start.getTime() + 7 * DAY_MS);
+
+        return { start, end, days };
+    }
+
+    /**
+     * Admins can view anyone; managers can view people in their own department;
+     * everyone can view themselves
+     */
+    async canViewUser(actingUser, targetUser) {
+        if (String(actingUser._id) === String(targetUser._id)) {
+            return true;
+        }
+
+        const roles = actingUser.roles || [];
+        if (roles.includes('admin')) {
+            return true;
+        }
+
+        if (roles.includes('manager')) {
+            const manager = await User.findById(actingUser._id).select('department');
+            return !!manager && manager.department === targetUser.department;
+        }
+
+        return false;
+    }
+
+    /**
+     * Titles and project names for every item referenced by the entries
+     */
+    async loadItemDetails(entries) {
+        const taskIds = new Set();
+        const subtaskIds = new Set();
+        entries.forEach(entry => {
+            (entry.itemType === 'task' ? taskIds : subtaskIds).add(String(entry.item));
+        });
+
+        const [tasks, subtasks] = await Promise.all([
+            Task.find({ _id: { $in: [...taskIds] } }).select('title project').lean(),
+            Subtask.find({ _id: { $in: [...subtaskIds] } }).select('title projectId parentTaskId').lean()
+        ]);
+
+        const parentIds = subtasks.map(s => s.parentTaskId).filter(id => !taskIds.has(String(id)));
+        const parents = parentIds.length ? await Task.find({ _id: { $in: parentIds } }).select('title').lean() : [];
+
+        const projectIds = [...tasks.map(t => t.project), ...subtasks.map(s => s.projectId)].filter(Boolean);
+        const projects = await Project.find({ _id: { $in: projectIds } }).select('name').lean();
+
+        const taskTitles = new Map([...tasks, ...parents].map(t => [String(t._id), t.title]));
+        const projectNames = new Map(projects.map(p => [String(p._id), p.name]));
+
+        const details = new Map();
+        tasks.forEach(t => details.set(`task:${t._id}`, {
+            title: t.title,
+            taskTitle: null,
+            project: projectNames.get(String(t.project)) || 'No project'
+        }));
+        subtasks.forEach(s => details.set(`subtask:${s._id}`, {
+            title: s.title,
+            taskTitle: taskTitles.get(String(s.parentTaskId)) || null,
+            project: projectNames.get(String(s.projectId)) || 'No project'
+        }));
+        return details;
+    }
+
+    /**
+     * Build a user x day grid of finished time entries for a week.
+     * Each user row also breaks its time down by task/subtask.
+     */
+    async buildTimesheet(users, week) {
+        const { start, end, days } = this.getWeekRange(week);
+
+        const entries = await TimeEntry.find({
+            user: { $in: users.map(u => u._id) },
+            running: false,
+            date: { $gte: start, $lt: end }
+        }).lean();
+
+        const details = await this.loadItemDetails(entries);
+        const dayKeys = days.map(toDateKey);
+        const emptyWeek = () => Array(7).fill(0);
+
+        const rows = users.map(user => ({
+            user: { _id: user._id, username: user.username, department: user.department },
+            days: emptyWeek(),
+            total: 0,
+            items: []
+        }));
+        const rowsByUser = new Map(rows.map(row => [String(row.user._id), row]));
+        const dayTotals = emptyWeek();
+        let total = 0;
+
+        entries.forEach(entry => {
+            const row = rowsByUser.get(String(entry.user));
+            // Entries hold the day the work was done as midnight UTC (see toEntryDay)
+            const dayIndex = dayKeys.indexOf(toDateKey(new Date(entry.date)));
+            if (!row || dayIndex === -1) return;
+
+            const key = `${entry.itemType}:${entry.item}`;
+            let item = row.items.find(i => i.key === key);
+            if (!item) {
+                const detail = details.get(key) || { title: 'Deleted item', taskTitle: null, project: 'No project' };
+                item = { key, itemType: entry.itemType, itemId: entry.item, ...detail, days: emptyWeek(), total: 0 };
+                row.items.push(item);
+            }
+
+            item.days[dayIndex] += entry.minutes;
+            item.total += entry.minutes;
+            row.days[dayIndex] += entry.minutes;
+            row.total += entry.minutes;
+            dayTotals[dayIndex] += entry.minutes;
+            total += entry.minutes;
+        });
+
+        rows.forEach(row => {
+            row.items.sort((a, b) => b.total - a.total);
+            row.items.forEach(item => delete item.key);
+        });
+
+        return {
+            week: {
+                start: toDateKey(start),
+                end: toDateKey(new Date(end.getTime() - DAY_MS)),
+                days: dayKeys
+            },
+            rows,
+            dayTotals,
+            total
+        };
+    }
+
+    async getUserTimesheet(userId, week, actingUser) {
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            throw new Error('User not found');
+        }
+
+        const user = await User.findById(userId).select('username department');
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        if (!(await this.canViewUser(actingUser, user))) {
+            throw new Error('You do not have permission to view this timesheet');
+        }
+
+        return await this.buildTimesheet([user], week);
+    }
+
+    /**
+     * Timesheets for everyone in a department. Managers always get their own
+     * department; admins may pick one.
+     */
+    async getDepartmentTimesheet(week, actingUser, department) {
+        const roles = actingUser.roles || [];
+        const isAdmin = roles.includes('admin');
+        if (!isAdmin && !roles.includes('manager')) {
+            throw new Error('You do not have permission to view department timesheets');
+        }
+
+        // A repeated ?department= arrives as an array
+        if (department !== undefined && (typeof department !== 'string' || !department.trim())) {
+            throw new Error('Department must be a non-empty string');
+        }
+
+        let targetDepartment = department?.trim();
+        if (!isAdmin || !targetDepartment) {
+            const actingRecord = await User.findById(actingUser._id).select('department');
+            if (!actingRecord) {
+                throw new Error('User not found');
+            }
+            if (!actingRecord.department) {
+                throw new Error('Your user record has no department');
+            }
+            targetDepartment = actingRecord.department;
+        }
+
+        const users = await User.find({ department: targetDepartment.toLowerCase() })
+            .select('username department')
+            .sort({ username: 1 });
+
+        const timesheet = await this.buildTimesheet(users, week);
+        return { ...timesheet, department: targetDepartment.toLowerCase() };
+    }
+}
+
+export default new TimesheetService();
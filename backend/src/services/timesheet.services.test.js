@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import User from '../models/user.model.js';
+import Project from '../models/project.model.js';
+import TimeEntry from '../models/time-entry.model.js';
+import timesheetService from './timesheet.services.js';
+import timeEntryService from './time-entry.services.js';
+
+describe('Timesheet Service - Weekly Timesheets', () => {
+    let itManager, itStaff, salesStaff, testProject, task;
+
+    beforeAll(async () => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('Database connection not ready');
+        }
+
+        itManager = await User.create({
+            username: 'sheet.manager@example.com',
+            roles: ['manager'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+
+        itStaff = await User.create({
+            username: 'sheet.staff@example.com',
+            roles: ['staff'],
+            department: 'it',
+            hashed_password: 'password123'
+        });
+
+        salesStaff = await User.create({
+            username: 'sheet.sales@example.com',
+            roles: ['staff'],
+            department: 'sales',
+            hashed_password: 'password123'
+        });
+
+        testProject = await Project.create({
+            name: 'Timesheet Project',
+            owner: itManager._id,
+            members: [itStaff._id]
+        });
+    });
+
+    afterEach(async () => {
+        await Task.deleteMany({});
+        await TimeEntry.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await User.deleteMany({});
+        await Project.deleteMany({});
+    });
+
+    const logTime = (user, minutes, date) => TimeEntry.create({
+        itemType: 'task',
+        item: task._id,
+        task: task._id,
+        project: testProject._id,
+        user: user._id,
+        minutes,
+        date: new Date(date)
+    });
+
+    describe('getWeekRange', () => {
+        it('should resolve any date to its Monday-Sunday week', () => {
+            const { start, end, days } = timesheetService.getWeekRange('2025-03-06');
+
+            expect(start.toISOString()).toBe('2025-03-03T00:00:00.000Z');
+            expect(end.toISOString()).toBe('2025-03-10T00:00:00.000Z');
+            expect(days).toHaveLength(7);
+        });
+
+        it('should reject invalid dates', () => {
+            expect(() => timesheetService.getWeekRange('not-a-date'))
+                .toThrow('Invalid week. Use a date in the format YYYY-MM-DD');
+        });
+    });
+
+    describe('getUserTimesheet', () => {
+        it('should put entries on the right day and item, ignoring other weeks and running timers', async () => {
+            task = await Task.create({ title: 'Build API', owner: itManager._id, project: testProject._id });
+
+            await logTime(itStaff, 60, '2025-03-03');
+            await logTime(itStaff, 30, '2025-03-03');
+            await logTime(itStaff, 45, '2025-03-07');
+            await logTime(itStaff, 120, '2025-03-10');
+            await TimeEntry.create({
+                itemType: 'task', item: task._id, task: task._id, user: itManager._id,
+                running: true, startedAt: new Date('2025-03-04'), date: new Date('2025-03-04')
+            });
+
+            const sheet = await timesheetService.getUserTimesheet(itStaff._id, '2025-03-05', itStaff);
+
+            expect(sheet.week.days[0]).toBe('2025-03-03');
+            expect(sheet.rows).toHaveLength(1);
+            expect(sheet.rows[0].days).toEqual([90, 0, 0, 0, 45, 0, 0]);
+            expect(sheet.rows[0].items[0]).toMatchObject({ title: 'Build API', project: 'Timesheet Project', total: 135 });
+            expect(sheet.total).toBe(135);
+        });
+
+        it('should keep time logged near midnight on the local day it was logged', async () => {
+            task = await Task.create({
+                title: 'Late shift', owner: itManager._id, project: testProject._id, assignee: [itStaff._id]
+            });
+
+            // Sunday 21:30 in New York is Monday 02:30 UTC
+            await timeEntryService.addEntry({
+                itemType: 'task', itemId: task._id, minutes: 40, date: '2025-03-09T21:30:00-05:00', actingUser: itStaff
+            });
+            // Monday 00:15 in Singapore is Sunday 16:15 UTC
+            await timeEntryService.addEntry({
+                itemType: 'task', itemId: task._id, minutes: 20, date: '2025-03-10T00:15:00+08:00', actingUser: itStaff
+            });
+
+            const sheet = await timesheetService.getUserTimesheet(itStaff._id, '2025-03-05', itStaff);
+            const nextSheet = await timesheetService.getUserTimesheet(itStaff._id, '2025-03-10', itStaff);
+
+            expect(sheet.rows[0].days).toEqual([0, 0, 0, 0, 0, 0, 40]);
+            expect(nextSheet.rows[0].days).toEqual([20, 0, 0, 0, 0, 0, 0]);
+        });
+
+        it('should let managers view their department only', async () => {
+            await expect(timesheetService.getUserTimesheet(itStaff._id, '2025-03-05', itManager)).resolves.toBeDefined();
+
+            await expect(timesheetService.getUserTimesheet(salesStaff._id, '2025-03-05', itManager))
+                .rejects.toThrow('You do not have permission to view this timesheet');
+
+            await expect(timesheetService.getUserTimesheet(itManager._id, '2025-03-05', itStaff))
+                .rejects.toThrow('You do not have permission to view this timesheet');
+        });
+    });
+
+    describe('getDepartmentTimesheet', () => {
+        it("should list everyone in the manager's department", async () => {
+            task = await Task.create({ title: 'Build API', owner: itManager._id, project: testProject._id });
+            await logTime(itStaff, 60, '2025-03-04');
+
+            const sheet = await timesheetService.getDepartmentTimesheet('2025-03-05', itManager, 'sales');
+
+            expect(sheet.department).toBe('it');
+            expect(sheet.rows.map(r => r.user.username)).toEqual([
+                'sheet.manager@example.com',
+                'sheet.staff@example.com'
+            ]);
+            expect(sheet.dayTotals[1]).toBe(60);
+        });
+
+        it('should reject a department that is not a single non-empty string', async () => {
+            const admin = { _id: itManager._id, roles: ['admin'] };
+
+            await expect(timesheetService.getDepartmentTimesheet('2025-03-05', admin, ['it', 'sales']))
+                .rejects.toThrow('Department must be a non-empty string');
+            await expect(timesheetService.getDepartmentTimesheet('2025-03-05', admin, '  '))
+                .rejects.toThrow('Department must be a non-empty string');
+        });
+
+        it('should explain when the manager has no department', async () => {
+            const manager = await User.create({
+                username: 'sheet.nodept@example.com',
+                roles: ['manager'],
+                department: 'it',
+                hashed_password: 'password123'
+            });
+            // Records from before departments were required
+            await User.updateOne({ _id: manager._id }, { $unset: { department: 1 } });
+
+            await expect(timesheetService.getDepartmentTimesheet('2025-03-05', manager))
+                .rejects.toThrow('Your user record has no department');
+        });
+
+        it('should reject staff', async () => {
+            await expect(timesheetService.getDepartmentTimesheet('2025-03-05', itStaff))
+                .rejects.toThrow('You do not have permission to view department timesheets');
+        });
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Utility functions for task, subtask and comment attachments
+ *
+ * Size and type limits are enforced here so the upload middleware, the
+ * attachment service and the frontend panel all agree on what is accepted.
+ */
+import path from 'path';
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10 MB per file
+export const MAX_ATTACHMENTS_PER_UPLOAD = 5;
+
+// Allowed extensions and the MIME types browsers report for them
+export const ALLOWED_ATTACHMENT_TYPES = {
+  '.pdf': ['application/pdf'],
+  '.png': ['image/png'],
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.gif': ['image/gif'],
+  '.webp': ['image/webp'],
+  '.txt': ['text/plain'],
+  '.csv': ['text/csv', 'application/vnd.ms-excel', 'text/plain'],
+  '.doc': ['application/msword'],
+  '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  '.xls': ['application/vnd.ms-excel'],
+  '.xlsx': ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  '.ppt': ['application/vnd.ms-powerpoint'],
+  '.pptx': ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  '.zip': ['application/zip', 'application/x-zip-compressed']
+};
+
+/**
+ * Human-readable file size, e.g. 1536 -> "1.5 KB"
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 102.4) / 10} KB`;
+  }
+  return `${Math.round(bytes / (1024 * 102.4)) / 10} MB`;
+}
+
+/**
+ * Strip directory parts and control characters from an uploaded file name
+ */
+export function sanitizeFilename(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'));
+  const cleaned = [...base]
+    .filter(ch => ch.charCodeAt(0) >= 32 && ch.charCodeAt(0) !== 127)
+    .join('')
+    .replace(/["<>|:*?]/g, '')
+    .trim();
+  return cleaned.slice(-255) || 'attachment';
+}
+
+/**
+ * Throw if the file's extension/MIME type is not allowed or it is too large.
+ * Accepts multer file objects ({ originalname, mimetype, size }).
+ */
+export function validateAttachment(file) {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const mimeTypes = ALLOWED_ATTACHMENT_TYPES[extension];
+
+  if (!mimeTypes || !mimeTypes.includes(file.mimetype)) {
+    const allowed = Object.keys(ALLOWED_ATTACHMENT_TYPES).join(', ');
+    throw new Error(`Invalid file type for ${file.originalname}: allowed types are ${allowed}`);
+  }
+
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    throw new Error(`File is too large: ${file.originalname} exceeds ${formatFileSize(MAX_ATTACHMENT_SIZE)}`);
+  }
+}
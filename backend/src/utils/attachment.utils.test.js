@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { formatFileSize, sanitizeFilename, validateAttachment, MAX_ATTACHMENT_SIZE } from './attachment.utils.js';
+
+describe('Attachment Utils', () => {
+  describe('validateAttachment', () => {
+    it('should accept allowed types within the size limit', () => {
+      expect(() => validateAttachment({ originalname: 'spec.pdf', mimetype: 'application/pdf', size: 2048 })).not.toThrow();
+      expect(() => validateAttachment({ originalname: 'Shot.PNG', mimetype: 'image/png', size: 2048 })).not.toThrow();
+    });
+
+    it('should reject extensions outside the allow list', () => {
+      expect(() => validateAttachment({ originalname: 'run.exe', mimetype: 'application/octet-stream', size: 10 }))
+        .toThrow('Invalid file type for run.exe');
+    });
+
+    it('should reject a MIME type that does not match the extension', () => {
+      expect(() => validateAttachment({ originalname: 'photo.png', mimetype: 'text/html', size: 10 }))
+        .toThrow('Invalid file type');
+    });
+
+    it('should reject files over the size limit', () => {
+      expect(() => validateAttachment({ originalname: 'big.zip', mimetype: 'application/zip', size: MAX_ATTACHMENT_SIZE + 1 }))
+        .toThrow('File is too large: big.zip exceeds 10 MB');
+    });
+  });
+
+  describe('sanitizeFilename', () => {
+    it('should drop directory parts', () => {
+      expect(sanitizeFilename('../../etc/passwd')).toBe('passwd');
+      expect(sanitizeFilename('C:\\Users\\me\\report.xlsx')).toBe('report.xlsx');
+    });
+
+    it('should strip control and reserved characters', () => {
+      expect(sanitizeFilename('re\u0000po\u001frt\u007f.pdf')).toBe('report.pdf');
+      expect(sanitizeFilename('"notes" <v2>?.txt')).toBe('notes v2.txt');
+      expect(sanitizeFilename('résumé.pdf')).toBe('résumé.pdf');
+    });
+
+    it('should fall back to a default name', () => {
+      expect(sanitizeFilename('')).toBe('attachment');
+    });
+  });
+
+  describe('formatFileSize', () => {
+    it('should format bytes, kilobytes and megabytes', () => {
+      expect(formatFileSize(512)).toBe('512 B');
+      expect(formatFileSize(1536)).toBe('1.5 KB');
+      expect(formatFileSize(MAX_ATTACHMENT_SIZE)).toBe('10 MB');
+    });
+  });
+});
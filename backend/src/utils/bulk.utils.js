@@ -0,0 +1,54 @@
+/**
+ * Utility functions for bulk task operations
+ *
+ * A bulk request applies one action to many tasks. Each task is checked and
+ * updated on its own, so some can fail while the rest succeed.
+ */
+
+// Actions a bulk request can apply, and whether they need a value
+export const BULK_ACTIONS = {
+  status: { needsValue: true },
+  priority: { needsValue: true },
+  addAssignee: { needsValue: true },
+  removeAssignee: { needsValue: true },
+  addTag: { needsValue: true },
+  archive: { needsValue: false },
+  unarchive: { needsValue: false }
+};
+
+// Most tasks one request may touch
+export const MAX_BULK_TASKS = 100;
+
+/**
+ * Unique task ids from the request body, in the order given
+ */
+export function normalizeTaskIds(taskIds) {
+  if (!Array.isArray(taskIds)) {
+    return [];
+  }
+  return [...new Set(taskIds.map(id => String(id || '').trim()).filter(Boolean))];
+}
+
+/**
+ * Short description of an action for notifications, e.g. 'set the status to "Completed"'
+ */
+export function describeBulkAction(action, value) {
+  switch (action) {
+    case 'status':
+      return `set the status to "${value}"`;
+    case 'priority':
+      return `set the priority to ${value}`;
+    case 'addAssignee':
+      return `assigned ${value}`;
+    case 'removeAssignee':
+      return `unassigned ${value}`;
+    case 'addTag':
+      return `added the tag #${String(value).replace(/^#+/, '').trim()}`;
+    case 'archive':
+      return 'archived';
+    case 'unarchive':
+      return 'unarchived';
+    default:
+      return 'updated';
+  }
+}
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { BULK_ACTIONS, normalizeTaskIds, describeBulkAction } from './bulk.utils.js';
+
+describe('Bulk Utils', () => {
+  describe('BULK_ACTIONS', () => {
+    it('should only require a value for actions that set something', () => {
+      expect(Object.keys(BULK_ACTIONS)).toEqual([
+        'status', 'priority', 'addAssignee', 'removeAssignee', 'addTag', 'archive', 'unarchive'
+      ]);
+      expect(BULK_ACTIONS.archive.needsValue).toBe(false);
+      expect(BULK_ACTIONS.status.needsValue).toBe(true);
+    });
+  });
+
+  describe('normalizeTaskIds', () => {
+    it('should keep unique, non-empty ids in order', () => {
+      expect(normalizeTaskIds(['a', ' b ', 'a', '', null, 'c'])).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should return an empty list for anything but an array', () => {
+      expect(normalizeTaskIds('a,b')).toEqual([]);
+      expect(normalizeTaskIds(undefined)).toEqual([]);
+    });
+  });
+
+  describe('describeBulkAction', () => {
+    it('should describe each action', () => {
+      expect(describeBulkAction('status', 'Completed')).toBe('set the status to "Completed"');
+      expect(describeBulkAction('priority', 8)).toBe('set the priority to 8');
+      expect(describeBulkAction('addAssignee', 'jane@example.com')).toBe('assigned jane@example.com');
+      expect(describeBulkAction('removeAssignee', 'jane@example.com')).toBe('unassigned jane@example.com');
+      expect(describeBulkAction('addTag', '#release')).toBe('added the tag #release');
+      expect(describeBulkAction('archive')).toBe('archived');
+      expect(describeBulkAction('unarchive')).toBe('unarchived');
+    });
+  });
+});
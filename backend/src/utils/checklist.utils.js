@@ -0,0 +1,42 @@
+/**
+ * Utility functions for task and subtask checklists
+ *
+ * Work on the checklist array of a task or subtask (plain objects or Mongoose
+ * subdocuments). The array order is the display order.
+ */
+
+/**
+ * Number of checked items and the total, e.g. { done: 2, total: 5 }
+ */
+export function getChecklistProgress(checklist) {
+  const items = checklist || [];
+  return {
+    done: items.filter(item => item.done).length,
+    total: items.length
+  };
+}
+
+/**
+ * Items that are still unchecked
+ */
+export function getOpenChecklistItems(checklist) {
+  return (checklist || []).filter(item => !item.done);
+}
+
+/**
+ * Checklist items in the order given by `orderedIds`, which must list every
+ * item exactly once
+ */
+export function reorderChecklist(checklist, orderedIds) {
+  const items = checklist || [];
+  if (!Array.isArray(orderedIds) || orderedIds.length !== items.length) {
+    throw new Error('Invalid order: list every checklist item exactly once');
+  }
+
+  const byId = new Map(items.map(item => [String(item._id), item]));
+  const ordered = orderedIds.map(id => byId.get(String(id)));
+  if (ordered.some(item => !item) || new Set(orderedIds.map(String)).size !== items.length) {
+    throw new Error('Invalid order: list every checklist item exactly once');
+  }
+  return ordered;
+}
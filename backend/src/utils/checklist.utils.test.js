@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { getChecklistProgress, getOpenChecklistItems, reorderChecklist } from './checklist.utils.js';
+
+const checklist = [
+  { _id: 'a', text: 'Update README', done: true },
+  { _id: 'b', text: 'Ping finance', done: false },
+  { _id: 'c', text: 'Book room', done: false }
+];
+
+describe('Checklist Utils', () => {
+  describe('getChecklistProgress', () => {
+    it('should count checked items', () => {
+      expect(getChecklistProgress(checklist)).toEqual({ done: 1, total: 3 });
+    });
+
+    it('should handle a missing checklist', () => {
+      expect(getChecklistProgress(undefined)).toEqual({ done: 0, total: 0 });
+    });
+  });
+
+  describe('getOpenChecklistItems', () => {
+    it('should return unchecked items', () => {
+      expect(getOpenChecklistItems(checklist).map(item => item._id)).toEqual(['b', 'c']);
+    });
+  });
+
+  describe('reorderChecklist', () => {
+    it('should return the items in the given order', () => {
+      expect(reorderChecklist(checklist, ['c', 'a', 'b']).map(item => item._id)).toEqual(['c', 'a', 'b']);
+    });
+
+    it('should reject orders that leave out an item', () => {
+      expect(() => reorderChecklist(checklist, ['c', 'a'])).toThrow('Invalid order');
+    });
+
+    it('should reject unknown or repeated ids', () => {
+      expect(() => reorderChecklist(checklist, ['c', 'a', 'x'])).toThrow('Invalid order');
+      expect(() => reorderChecklist(checklist, ['c', 'c', 'a'])).toThrow('Invalid order');
+    });
+  });
+});
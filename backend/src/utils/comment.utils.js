@@ -0,0 +1,60 @@
+/**
+ * Utility functions for comment threads and reactions
+ *
+ * Work on the comments array of a task or subtask (plain objects or Mongoose
+ * subdocuments). Threads are one level deep: a reply always points at a
+ * top-level comment, so replying to a reply adds to the same thread.
+ */
+
+export const COMMENT_REACTIONS = ['👍', '👎', '😄', '🎉', '😕', '❤️', '🚀', '👀'];
+
+const findComment = (comments, commentId) =>
+  (comments || []).find(comment => String(comment._id) === String(commentId));
+
+/**
+ * Top-level comment a new reply to `parentId` belongs under; throws if there is
+ * no such comment
+ */
+export function getReplyParent(comments, parentId) {
+  const parent = findComment(comments, parentId);
+  if (!parent) {
+    throw new Error('Parent comment not found');
+  }
+
+  if (!parent.parentId) {
+    return parent;
+  }
+
+  const root = findComment(comments, parent.parentId);
+  if (!root) {
+    throw new Error('Parent comment not found');
+  }
+  return root;
+}
+
+/**
+ * Add the user's reaction, or remove it if they already reacted with that emoji.
+ * Returns true when the reaction was added.
+ */
+export function toggleReaction(comment, emoji, userId) {
+  if (!COMMENT_REACTIONS.includes(emoji)) {
+    throw new Error(`Invalid reaction: use one of ${COMMENT_REACTIONS.join(' ')}`);
+  }
+
+  const user = String(userId);
+  const reactions = comment.reactions || [];
+  const reaction = reactions.find(entry => entry.emoji === emoji);
+
+  if (reaction && reaction.users.some(id => String(id) === user)) {
+    reaction.users = reaction.users.filter(id => String(id) !== user);
+    comment.reactions = reactions.filter(entry => entry.users.length > 0);
+    return false;
+  }
+
+  if (reaction) {
+    reaction.users.push(userId);
+  } else {
+    comment.reactions = [...reactions, { emoji, users: [userId] }];
+  }
+  return true;
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { getReplyParent, toggleReaction } from './comment.utils.js';
+
+const comments = [
+  { _id: 'c1', text: 'Top-level', parentId: null },
+  { _id: 'r1', text: 'Reply', parentId: 'c1' }
+];
+
+describe('Comment Utils', () => {
+  describe('getReplyParent', () => {
+    it('should return a top-level comment as the parent', () => {
+      expect(getReplyParent(comments, 'c1')._id).toBe('c1');
+    });
+
+    it('should keep replies to a reply in the same thread', () => {
+      expect(getReplyParent(comments, 'r1')._id).toBe('c1');
+    });
+
+    it('should throw when the parent does not exist', () => {
+      expect(() => getReplyParent(comments, 'missing')).toThrow('Parent comment not found');
+    });
+  });
+
+  describe('toggleReaction', () => {
+    it('should add a reaction and count each user once', () => {
+      const comment = { reactions: [] };
+
+      expect(toggleReaction(comment, '👍', 'u1')).toBe(true);
+      expect(toggleReaction(comment, '👍', 'u2')).toBe(true);
+
+      expect(comment.reactions).toEqual([{ emoji: '👍', users: ['u1', 'u2'] }]);
+    });
+
+    it('should remove the reaction when the user toggles it again', () => {
+      const comment = { reactions: [{ emoji: '🎉', users: ['u1'] }, { emoji: '👍', users: ['u1', 'u2'] }] };
+
+      expect(toggleReaction(comment, '🎉', 'u1')).toBe(false);
+      expect(toggleReaction(comment, '👍', 'u2')).toBe(false);
+
+      expect(comment.reactions).toEqual([{ emoji: '👍', users: ['u1'] }]);
+    });
+
+    it('should reject emoji outside the reaction set', () => {
+      expect(() => toggleReaction({ reactions: [] }, '💩', 'u1')).toThrow('Invalid reaction');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Field mapping for converting a subtask into a task and back
+ *
+ * The models name their references differently (ownerId/owner,
+ * assigneeId/assignee, projectId/project). Converted items keep their _id,
+ * so records that point at the item by id stay attached to it.
+ */
+
+// Fields with the same name and meaning on both models
+const SHARED_FIELDS = [
+  '_id', 'title', 'description', 'status', 'statusCategory', 'priority', 'tags', 'customFields', 'dueDate',
+  'isRecurring', 'recurrenceInterval', 'recurrenceRule', 'recurrenceOccurrence',
+  'timeTaken', 'comments', 'checklist', 'createdAt'
+];
+
+const toId = (value) => value?._id || value;
+
+const pickSharedFields = (item) => {
+  const plain = typeof item.toObject === 'function' ? item.toObject() : { ...item };
+  const fields = {};
+  for (const field of SHARED_FIELDS) {
+    if (plain[field] !== undefined) {
+      fields[field] = plain[field];
+    }
+  }
+  return fields;
+};
+
+/**
+ * Task data for a promoted subtask, in the subtask's project.
+ * A task needs an assignee, so a subtask without one is assigned to its owner.
+ */
+export function subtaskToTaskFields(subtask) {
+  const assignees = (subtask.assigneeId || []).map(toId);
+  return {
+    ...pickSharedFields(subtask),
+    owner: toId(subtask.ownerId),
+    assignee: assignees.length > 0 ? assignees : [toId(subtask.ownerId)],
+    project: toId(subtask.projectId),
+    archived: false,
+    archivedAt: null
+  };
+}
+
+/**
+ * Subtask data for a task demoted under `parentTask`
+ */
+export function taskToSubtaskFields(task, parentTask) {
+  return {
+    ...pickSharedFields(task),
+    ownerId: toId(task.owner),
+    assigneeId: (task.assignee || []).map(toId),
+    parentTaskId: parentTask._id,
+    projectId: toId(parentTask.project),
+    archived: false,
+    archivedAt: null
+  };
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { subtaskToTaskFields, taskToSubtaskFields } from './convert.utils.js';
+
+const comments = [{ _id: 'c1', text: 'Looks bigger than expected', author: 'user1' }];
+
+describe('Convert Utils', () => {
+  describe('subtaskToTaskFields', () => {
+    const subtask = {
+      _id: 'sub1',
+      title: 'Rewrite importer',
+      description: 'Handle CSV and XLSX',
+      status: 'In Progress',
+      priority: 8,
+      tags: '#import',
+      ownerId: 'user1',
+      assigneeId: ['user2', 'user3'],
+      parentTaskId: 'task1',
+      projectId: 'project1',
+      dueDate: new Date('2025-04-01T00:00:00.000Z'),
+      isRecurring: true,
+      recurrenceRule: { frequency: 'weekly', interval: 1 },
+      timeTaken: 90,
+      comments,
+      checklist: [{ text: 'Parse headers', done: true }]
+    };
+
+    it('should map subtask references to task field names', () => {
+      expect(subtaskToTaskFields(subtask)).toMatchObject({
+        _id: 'sub1',
+        owner: 'user1',
+        assignee: ['user2', 'user3'],
+        project: 'project1',
+        archived: false
+      });
+    });
+
+    it('should keep progress, time, recurrence and comments', () => {
+      const fields = subtaskToTaskFields(subtask);
+
+      expect(fields).toMatchObject({
+        status: 'In Progress',
+        priority: 8,
+        timeTaken: 90,
+        isRecurring: true,
+        recurrenceRule: { frequency: 'weekly', interval: 1 },
+        comments
+      });
+      expect(fields).not.toHaveProperty('parentTaskId');
+      expect(fields).not.toHaveProperty('ownerId');
+    });
+
+    it('should assign the owner when the subtask has no assignees', () => {
+      const fields = subtaskToTaskFields({ ...subtask, assigneeId: [], ownerId: { _id: 'user9', username: 'x' } });
+
+      expect(fields.owner).toBe('user9');
+      expect(fields.assignee).toEqual(['user9']);
+    });
+  });
+
+  describe('taskToSubtaskFields', () => {
+    it('should map task references to subtask field names under the parent', () => {
+      const task = {
+        _id: 'task2',
+        title: 'Update docs',
+        owner: 'user1',
+        assignee: [{ _id: 'user2' }],
+        project: 'project1',
+        timeTaken: 15,
+        comments
+      };
+
+      const fields = taskToSubtaskFields(task, { _id: 'task1', project: 'project1' });
+
+      expect(fields).toMatchObject({
+        _id: 'task2',
+        ownerId: 'user1',
+        assigneeId: ['user2'],
+        parentTaskId: 'task1',
+        projectId: 'project1',
+        timeTaken: 15,
+        comments
+      });
+      expect(fields).not.toHaveProperty('owner');
+      expect(fields).not.toHaveProperty('project');
+    });
+  });
+});
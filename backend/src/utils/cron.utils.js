@@ -0,0 +1,141 @@
+/**
+ * Utility functions for cron expressions of scheduled jobs
+ *
+ * Expressions have the five standard fields, in UTC:
+ *   minute (0-59)  hour (0-23)  day of month (1-31)  month (1-12)  day of week (0-7, 0 and 7 are Sunday)
+ *
+ * Each field is "*", a number, a range ("1-5"), a step ("*\/15", "0-30/10",
+ * "5/15") or a comma-separated list of those. As in cron, when both the day of
+ * month and the day of week are restricted, a day matching either one matches.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// How far getNextRun looks ahead before giving up (e.g. on "0 0 30 2 *")
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function parseField(text, { name, min, max }, expression) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name} "${part}" in cron expression "${expression}"`);
+    }
+
+    const step = match[2] !== undefined ? Number(match[2]) : 1;
+    let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (end === undefined) {
+      // "5/15" runs from 5 to the end of the range
+      end = match[2] !== undefined ? max : start;
+    }
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} "${part}" in cron expression "${expression}": use ${min}-${max}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 * * * *"
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek } as Sets, and which day fields are restricted
+ */
+export function parseCronExpression(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": use five fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field, expression);
+  });
+  if (schedule.dayOfWeek.delete(7)) {
+    schedule.dayOfWeek.add(0);
+  }
+  schedule.restrictsDayOfMonth = !parts[2].startsWith('*');
+  schedule.restrictsDayOfWeek = !parts[4].startsWith('*');
+
+  return schedule;
+}
+
+/**
+ * Whether a cron expression is valid
+ */
+export function isValidCronExpression(expression) {
+  try {
+    parseCronExpression(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+  if (schedule.restrictsDayOfMonth && schedule.restrictsDayOfWeek) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Whether a minute matches a cron expression
+ * @param {string|Object} expression - Expression, or the result of parseCronExpression
+ * @param {Date} date - Any time within the minute
+ */
+export function matchesCron(expression, date) {
+  const schedule = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+  return schedule.month.has(date.getUTCMonth() + 1) &&
+    matchesDay(schedule, date) &&
+    schedule.hour.has(date.getUTCHours()) &&
+    schedule.minute.has(date.getUTCMinutes());
+}
+
+/**
+ * The first minute after `after` that matches a cron expression
+ * @param {string|Object} expression - Expression, or the result of parseCronExpression
+ * @param {Date} after - Exclusive
+ * @returns {Date|null} null when the expression never matches (e.g. "0 0 30 2 *")
+ */
+export function getNextRun(expression, after = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+  const date = new Date(after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = after.getTime() + MAX_LOOKAHEAD_MS;
+
+  // Skip whole months, days and hours that cannot match
+  while (date.getTime() <= limit) {
+    if (!schedule.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { parseCronExpression, isValidCronExpression, matchesCron, getNextRun } from './cron.utils.js';
+
+describe('Cron Utils', () => {
+  describe('parseCronExpression', () => {
+    it('should parse wildcards, numbers, ranges, steps and lists', () => {
+      const schedule = parseCronExpression('*/15 9-17 1,15 * 1-5');
+      expect([...schedule.minute]).toEqual([0, 15, 30, 45]);
+      expect([...schedule.hour]).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+      expect([...schedule.dayOfMonth]).toEqual([1, 15]);
+      expect(schedule.month.size).toBe(12);
+      expect([...schedule.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+      expect(schedule.restrictsDayOfMonth).toBe(true);
+    });
+
+    it('should read "5/15" as every 15 from 5 and 7 as Sunday', () => {
+      const schedule = parseCronExpression('5/15 0 * * 7');
+      expect([...schedule.minute]).toEqual([5, 20, 35, 50]);
+      expect([...schedule.dayOfWeek]).toEqual([0]);
+      expect(schedule.restrictsDayOfMonth).toBe(false);
+    });
+
+    it('should reject invalid expressions', () => {
+      expect(() => parseCronExpression('* * * *')).toThrow('use five fields');
+      expect(() => parseCronExpression('60 * * * *')).toThrow('Invalid minute "60"');
+      expect(() => parseCronExpression('* * * JAN *')).toThrow('Invalid month "JAN"');
+      expect(() => parseCronExpression('*/0 * * * *')).toThrow('Invalid minute "*/0"');
+      expect(() => parseCronExpression(null)).toThrow('Cron expression must be a string');
+      expect(isValidCronExpression('0 * * * *')).toBe(true);
+      expect(isValidCronExpression('0 24 * * *')).toBe(false);
+    });
+  });
+
+  describe('matchesCron', () => {
+    it('should match either restricted day field', () => {
+      // Monday 3 March 2025
+      expect(matchesCron('0 9 15 * 1', new Date('2025-03-03T09:00:30Z'))).toBe(true);
+      expect(matchesCron('0 9 15 * 1', new Date('2025-03-15T09:00:00Z'))).toBe(true);
+      expect(matchesCron('0 9 15 * 1', new Date('2025-03-04T09:00:00Z'))).toBe(false);
+      expect(matchesCron('0 9 * * 1', new Date('2025-03-03T10:00:00Z'))).toBe(false);
+    });
+  });
+
+  describe('getNextRun', () => {
+    it('should return the next matching minute after the given time', () => {
+      expect(getNextRun('0 * * * *', new Date('2025-03-03T09:00:00Z'))).toEqual(new Date('2025-03-03T10:00:00Z'));
+      expect(getNextRun('0 * * * *', new Date('2025-03-03T09:59:59Z'))).toEqual(new Date('2025-03-03T10:00:00Z'));
+      expect(getNextRun('*/15 * * * *', new Date('2025-03-03T09:07:00Z'))).toEqual(new Date('2025-03-03T09:15:00Z'));
+    });
+
+    it('should cross days, months and years', () => {
+      expect(getNextRun('30 2 * * 1', new Date('2025-03-03T03:00:00Z'))).toEqual(new Date('2025-03-10T02:30:00Z'));
+      expect(getNextRun('0 0 1 * *', new Date('2025-12-15T00:00:00Z'))).toEqual(new Date('2026-01-01T00:00:00Z'));
+      expect(getNextRun('0 0 29 2 *', new Date('2025-03-01T00:00:00Z'))).toEqual(new Date('2028-02-29T00:00:00Z'));
+    });
+
+    it('should return null for expressions that never match', () => {
+      expect(getNextRun('0 0 30 2 *', new Date('2025-03-01T00:00:00Z'))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,354 @@
+/**
+ * Utility functions for project custom fields
+ *
+ * A project defines its own fields ({ key, name, type, options, required });
+ * tasks and subtasks of the project store their values in `customFields`,
+ * an object keyed by field key. Keys are generated from the field name when
+ * the field is created and never change, so renaming a field keeps its values.
+ */
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'multiselect', 'user'];
+export const MAX_CUSTOM_FIELDS = 20;
+export const MAX_CUSTOM_FIELD_NAME_LENGTH = 50;
+export const MAX_CUSTOM_FIELD_TEXT_LENGTH = 500;
+
+const OPTION_TYPES = ['select', 'multiselect'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Accepts an array or a comma-separated string
+const toList = (value) => {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+const isObjectId = (value) => /^[a-f0-9]{24}$/i.test(String(value));
+
+/**
+ * Lower-case key for a field name, e.g. "Cost Centre" -> "cost_centre"
+ */
+export function toFieldKey(name) {
+  const key = String(name ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return key || 'field';
+}
+
+/**
+ * Validate a project's field definitions, keeping the keys of existing fields
+ * and generating keys for new ones.
+ * @param {Array} fields - Definitions as sent by the client
+ * @param {Array} existing - The project's current definitions
+ * @returns {Array} Clean definitions
+ */
+export function normalizeCustomFieldDefinitions(fields, existing = []) {
+  if (!Array.isArray(fields)) {
+    throw new Error('Custom fields must be an array');
+  }
+  if (fields.length > MAX_CUSTOM_FIELDS) {
+    throw new Error(`A project can have at most ${MAX_CUSTOM_FIELDS} custom fields`);
+  }
+
+  const existingByKey = new Map((existing || []).map(field => [field.key, field]));
+  const names = new Set();
+  const keys = new Set();
+  const definitions = [];
+
+  fields.forEach(field => {
+    const name = String(field?.name ?? '').trim();
+    if (!name) {
+      throw new Error('Custom field name is required');
+    }
+    if (name.length > MAX_CUSTOM_FIELD_NAME_LENGTH) {
+      throw new Error(`Custom field name cannot be longer than ${MAX_CUSTOM_FIELD_NAME_LENGTH} characters`);
+    }
+    if (names.has(name.toLowerCase())) {
+      throw new Error(`A custom field named "${name}" already exists`);
+    }
+    names.add(name.toLowerCase());
+
+    if (!CUSTOM_FIELD_TYPES.includes(field.type)) {
+      throw new Error(`Custom field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`);
+    }
+
+    const current = field.key ? existingByKey.get(field.key) : null;
+    if (current && current.type !== field.type) {
+      throw new Error(`The type of custom field "${name}" cannot be changed`);
+    }
+
+    let options = [];
+    if (OPTION_TYPES.includes(field.type)) {
+      options = [...new Set(toList(field.options))];
+      if (options.length === 0) {
+        throw new Error(`Custom field "${name}" needs at least one option`);
+      }
+    }
+
+    let key = current ? current.key : toFieldKey(name);
+    if (!current) {
+      const base = key;
+      for (let suffix = 2; keys.has(key) || existingByKey.has(key); suffix++) {
+        key = `${base}_${suffix}`;
+      }
+    }
+    keys.add(key);
+
+    definitions.push({ key, name, type: field.type, options, required: field.required === true });
+  });
+
+  return definitions;
+}
+
+/**
+ * Cast one value to the field's type
+ * @returns {*} The stored value, or null when the value is empty
+ */
+export function castCustomFieldValue(field, value) {
+  if (isEmpty(value)) {
+    return null;
+  }
+
+  switch (field.type) {
+    case 'text': {
+      const text = String(value).trim();
+      if (text.length > MAX_CUSTOM_FIELD_TEXT_LENGTH) {
+        throw new Error(`"${field.name}" cannot be longer than ${MAX_CUSTOM_FIELD_TEXT_LENGTH} characters`);
+      }
+      return text || null;
+    }
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(number)) {
+        throw new Error(`"${field.name}" must be a number`);
+      }
+      return number;
+    }
+    case 'date': {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new Error(`"${field.name}" must be a date`);
+      }
+      return date;
+    }
+    case 'select': {
+      const option = String(value).trim();
+      if (!field.options.includes(option)) {
+        throw new Error(`"${field.name}" must be one of: ${field.options.join(', ')}`);
+      }
+      return option;
+    }
+    case 'multiselect': {
+      const options = [...new Set(toList(value))];
+      const invalid = options.find(option => !field.options.includes(option));
+      if (invalid) {
+        throw new Error(`"${field.name}" must only contain: ${field.options.join(', ')}`);
+      }
+      return options.length > 0 ? options : null;
+    }
+    case 'user': {
+      const userId = String(value._id || value);
+      if (!isObjectId(userId)) {
+        throw new Error(`"${field.name}" must be a user`);
+      }
+      return userId;
+    }
+    default:
+      throw new Error(`Unknown custom field type "${field.type}"`);
+  }
+}
+
+/**
+ * Validate and cast custom field values against a project's definitions.
+ * @param {Array} fields - The project's definitions
+ * @param {Object} values - Values keyed by field key; empty values clear a field
+ * @param {Object} options
+ * @param {Object} options.existing - The item's current values, merged with `values`
+ * @param {boolean} options.requireAll - Whether every required field must have a value (on create)
+ * @returns {Object} The item's new values, without empty ones
+ */
+export function validateCustomFieldValues(fields, values, { existing = {}, requireAll = false } = {}) {
+  if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+    throw new Error('Custom field values must be an object');
+  }
+
+  const fieldsByKey = new Map((fields || []).map(field => [field.key, field]));
+  const result = {};
+
+  // Values of fields the project no longer defines are dropped
+  Object.entries(existing || {}).forEach(([key, value]) => {
+    if (fieldsByKey.has(key) && !isEmpty(value)) {
+      result[key] = value;
+    }
+  });
+
+  Object.entries(values || {}).forEach(([key, value]) => {
+    const field = fieldsByKey.get(key);
+    if (!field) {
+      throw new Error(`Unknown custom field "${key}"`);
+    }
+    const cast = castCustomFieldValue(field, value);
+    if (cast === null) {
+      delete result[key];
+    } else {
+      result[key] = cast;
+    }
+  });
+
+  fieldsByKey.forEach(field => {
+    const checked = requireAll || Object.prototype.hasOwnProperty.call(values || {}, field.key);
+    if (field.required && checked && result[field.key] === undefined) {
+      throw new Error(`"${field.name}" is required`);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * The values that are still valid for another project's field with the same key,
+ * e.g. when a task moves between projects
+ */
+export function pickCustomFieldValues(fields, values) {
+  const result = {};
+  (fields || []).forEach(field => {
+    const value = values?.[field.key];
+    if (isEmpty(value)) {
+      return;
+    }
+    try {
+      result[field.key] = castCustomFieldValue(field, value);
+    } catch {
+      // The value does not fit the other project's field
+    }
+  });
+  return result;
+}
+
+/**
+ * User IDs stored in `values` for fields of type "user"
+ */
+export function getCustomFieldUserIds(fields, values) {
+  return (fields || [])
+    .filter(field => field.type === 'user' && !isEmpty(values?.[field.key]))
+    .map(field => String(values[field.key]));
+}
+
+// "min..max" with either side optional; a value without ".." is an exact match
+const parseRange = (raw, parse) => {
+  const text = String(raw).trim();
+  if (!text.includes('..')) {
+    return { exact: parse(text) };
+  }
+  const [from, to] = text.split('..').map(part => part.trim());
+  return {
+    min: from ? parse(from) : undefined,
+    max: to ? parse(to) : undefined
+  };
+};
+
+/**
+ * Query condition for filtering on one field, as sent in `cf.<key>` query parameters:
+ * - text: case-insensitive "contains"
+ * - number and date: an exact value or a "min..max" range (either side optional);
+ *   a plain date matches the whole day
+ * - select and user: any of a comma-separated list
+ * - multiselect: every option of a comma-separated list
+ * @param {Object} field - Field definition
+ * @param {string} raw - Filter value from the query string
+ * @param {string} prefix - Path of the values object
+ * @returns {Object} Mongo condition
+ */
+export function buildCustomFieldCondition(field, raw, prefix = 'customFields') {
+  const path = `${prefix}.${field.key}`;
+  const invalid = () => new Error(`Invalid filter for custom field "${field.name}"`);
+
+  switch (field.type) {
+    case 'text':
+      return { [path]: new RegExp(escapeRegex(String(raw).trim()), 'i') };
+    case 'number': {
+      const parse = (text) => {
+        const number = Number(text);
+        if (text === '' || !Number.isFinite(number)) throw invalid();
+        return number;
+      };
+      const { exact, min, max } = parseRange(raw, parse);
+      if (exact !== undefined) return { [path]: exact };
+      if (min === undefined && max === undefined) throw invalid();
+      return { [path]: { ...(min !== undefined && { $gte: min }), ...(max !== undefined && { $lte: max }) } };
+    }
+    case 'date': {
+      const parse = (text) => {
+        const date = new Date(text);
+        if (isNaN(date.getTime())) throw invalid();
+        return { date, wholeDay: /^\d{4}-\d{2}-\d{2}$/.test(text) };
+      };
+      const endOfDay = ({ date, wholeDay }) => {
+        const end = new Date(date);
+        if (wholeDay) end.setUTCHours(23, 59, 59, 999);
+        return end;
+      };
+      const { exact, min, max } = parseRange(raw, parse);
+      if (exact) return { [path]: { $gte: exact.date, $lte: endOfDay(exact) } };
+      if (!min && !max) throw invalid();
+      return { [path]: { ...(min && { $gte: min.date }), ...(max && { $lte: endOfDay(max) }) } };
+    }
+    case 'select':
+    case 'user': {
+      const list = toList(raw);
+      if (list.length === 0) throw invalid();
+      return { [path]: list.length === 1 ? list[0] : { $in: list } };
+    }
+    case 'multiselect': {
+      const list = toList(raw);
+      if (list.length === 0) throw invalid();
+      return { [path]: { $all: list } };
+    }
+    default:
+      throw invalid();
+  }
+}
+
+/**
+ * Custom field filters from a query string: `?cf.cost_centre=CC-12` -> { cost_centre: 'CC-12' }
+ */
+export function getCustomFieldFilters(query = {}) {
+  const filters = {};
+  Object.entries(query).forEach(([name, value]) => {
+    if (name.startsWith('cf.') && name.length > 3 && value !== undefined && value !== '') {
+      filters[name.slice(3)] = Array.isArray(value) ? value.join(',') : value;
+    }
+  });
+  return filters;
+}
+
+/**
+ * A value as text for reports
+ * @param {Object} field - Field definition
+ * @param {*} value - Stored value
+ * @param {Object} options
+ * @param {Object} options.usernames - Usernames keyed by user ID, for user fields
+ * @param {Function} options.formatDate - Date formatter (ISO date by default)
+ * @returns {string}
+ */
+export function formatCustomFieldValue(field, value, { usernames = {}, formatDate } = {}) {
+  if (isEmpty(value)) {
+    return '';
+  }
+  switch (field.type) {
+    case 'date': {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) return '';
+      return formatDate ? formatDate(date) : date.toISOString().split('T')[0];
+    }
+    case 'multiselect':
+      return toList(value).join(', ');
+    case 'user':
+      return usernames[String(value)] || String(value);
+    default:
+      return String(value);
+  }
+}
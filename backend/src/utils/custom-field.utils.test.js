@@ -0,0 +1,192 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toFieldKey, normalizeCustomFieldDefinitions, castCustomFieldValue, validateCustomFieldValues,
+  pickCustomFieldValues, getCustomFieldUserIds, buildCustomFieldCondition, getCustomFieldFilters,
+  formatCustomFieldValue
+} from './custom-field.utils.js';
+
+const fields = [
+  { key: 'cost_centre', name: 'Cost centre', type: 'text', options: [], required: true },
+  { key: 'story_points', name: 'Story points', type: 'number', options: [], required: false },
+  { key: 'signed_on', name: 'Signed on', type: 'date', options: [], required: false },
+  { key: 'region', name: 'Region', type: 'select', options: ['APAC', 'EMEA'], required: false },
+  { key: 'channels', name: 'Channels', type: 'multiselect', options: ['Email', 'Phone', 'Chat'], required: false },
+  { key: 'account_manager', name: 'Account manager', type: 'user', options: [], required: false }
+];
+const fieldByKey = (key) => fields.find(field => field.key === key);
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+describe('Custom Field Utils', () => {
+  describe('toFieldKey', () => {
+    it('should turn a name into a lower-case key', () => {
+      expect(toFieldKey('Cost Centre')).toBe('cost_centre');
+      expect(toFieldKey('  Story-points (est.) ')).toBe('story_points_est');
+      expect(toFieldKey('!!!')).toBe('field');
+    });
+  });
+
+  describe('normalizeCustomFieldDefinitions', () => {
+    it('should generate keys and clean up options', () => {
+      const definitions = normalizeCustomFieldDefinitions([
+        { name: ' Client name ', type: 'text', options: ['ignored'] },
+        { name: 'Region', type: 'select', options: ['APAC', ' EMEA', 'APAC', ''], required: true }
+      ]);
+
+      expect(definitions).toEqual([
+        { key: 'client_name', name: 'Client name', type: 'text', options: [], required: false },
+        { key: 'region', name: 'Region', type: 'select', options: ['APAC', 'EMEA'], required: true }
+      ]);
+    });
+
+    it('should keep the key of existing fields when they are renamed', () => {
+      const definitions = normalizeCustomFieldDefinitions(
+        [{ key: 'cost_centre', name: 'Budget code', type: 'text' }, { name: 'Cost centre', type: 'text' }],
+        [fieldByKey('cost_centre')]
+      );
+
+      expect(definitions.map(field => [field.key, field.name])).toEqual([
+        ['cost_centre', 'Budget code'],
+        ['cost_centre_2', 'Cost centre']
+      ]);
+    });
+
+    it('should reject invalid definitions', () => {
+      expect(() => normalizeCustomFieldDefinitions('fields')).toThrow('Custom fields must be an array');
+      expect(() => normalizeCustomFieldDefinitions([{ name: ' ', type: 'text' }])).toThrow('Custom field name is required');
+      expect(() => normalizeCustomFieldDefinitions([{ name: 'Size', type: 'colour' }]))
+        .toThrow('Custom field type must be one of: text, number, date, select, multiselect, user');
+      expect(() => normalizeCustomFieldDefinitions([{ name: 'Size', type: 'text' }, { name: 'size', type: 'number' }]))
+        .toThrow('A custom field named "size" already exists');
+      expect(() => normalizeCustomFieldDefinitions([{ name: 'Region', type: 'select', options: [] }]))
+        .toThrow('Custom field "Region" needs at least one option');
+    });
+
+    it('should not allow changing the type of an existing field', () => {
+      expect(() => normalizeCustomFieldDefinitions(
+        [{ key: 'story_points', name: 'Story points', type: 'text' }],
+        [fieldByKey('story_points')]
+      )).toThrow('The type of custom field "Story points" cannot be changed');
+    });
+  });
+
+  describe('castCustomFieldValue', () => {
+    it('should cast values to the field type', () => {
+      expect(castCustomFieldValue(fieldByKey('cost_centre'), ' CC-12 ')).toBe('CC-12');
+      expect(castCustomFieldValue(fieldByKey('story_points'), '8')).toBe(8);
+      expect(castCustomFieldValue(fieldByKey('signed_on'), '2025-03-01')).toEqual(new Date('2025-03-01'));
+      expect(castCustomFieldValue(fieldByKey('region'), 'EMEA')).toBe('EMEA');
+      expect(castCustomFieldValue(fieldByKey('channels'), 'Email, Chat')).toEqual(['Email', 'Chat']);
+      expect(castCustomFieldValue(fieldByKey('account_manager'), userId)).toBe(userId);
+    });
+
+    it('should return null for empty values', () => {
+      expect(castCustomFieldValue(fieldByKey('cost_centre'), '')).toBeNull();
+      expect(castCustomFieldValue(fieldByKey('channels'), [])).toBeNull();
+      expect(castCustomFieldValue(fieldByKey('story_points'), null)).toBeNull();
+    });
+
+    it('should reject values that do not fit the field', () => {
+      expect(() => castCustomFieldValue(fieldByKey('story_points'), 'lots')).toThrow('"Story points" must be a number');
+      expect(() => castCustomFieldValue(fieldByKey('signed_on'), 'soon')).toThrow('"Signed on" must be a date');
+      expect(() => castCustomFieldValue(fieldByKey('region'), 'LATAM')).toThrow('"Region" must be one of: APAC, EMEA');
+      expect(() => castCustomFieldValue(fieldByKey('channels'), ['Email', 'Fax']))
+        .toThrow('"Channels" must only contain: Email, Phone, Chat');
+      expect(() => castCustomFieldValue(fieldByKey('account_manager'), 'bob')).toThrow('"Account manager" must be a user');
+    });
+  });
+
+  describe('validateCustomFieldValues', () => {
+    it('should merge new values into the existing ones', () => {
+      const values = validateCustomFieldValues(fields, { story_points: '5', region: '' }, {
+        existing: { cost_centre: 'CC-12', region: 'APAC', removed_field: 'x' }
+      });
+
+      expect(values).toEqual({ cost_centre: 'CC-12', story_points: 5 });
+    });
+
+    it('should require every required field on create', () => {
+      expect(() => validateCustomFieldValues(fields, { story_points: 3 }, { requireAll: true }))
+        .toThrow('"Cost centre" is required');
+      expect(validateCustomFieldValues(fields, undefined, { existing: { story_points: 3 } })).toEqual({ story_points: 3 });
+    });
+
+    it('should not allow clearing a required field', () => {
+      expect(() => validateCustomFieldValues(fields, { cost_centre: '' }, { existing: { cost_centre: 'CC-12' } }))
+        .toThrow('"Cost centre" is required');
+    });
+
+    it('should reject unknown fields and non-object values', () => {
+      expect(() => validateCustomFieldValues(fields, { colour: 'red' })).toThrow('Unknown custom field "colour"');
+      expect(() => validateCustomFieldValues(fields, ['CC-12'])).toThrow('Custom field values must be an object');
+    });
+  });
+
+  describe('pickCustomFieldValues', () => {
+    it('should keep only values that are valid for the other project', () => {
+      const target = [
+        { key: 'region', name: 'Region', type: 'select', options: ['EMEA'] },
+        { key: 'story_points', name: 'Story points', type: 'number', options: [] }
+      ];
+
+      expect(pickCustomFieldValues(target, { region: 'APAC', story_points: 8, cost_centre: 'CC-12' }))
+        .toEqual({ story_points: 8 });
+    });
+  });
+
+  describe('getCustomFieldUserIds', () => {
+    it('should list the users referenced by user fields', () => {
+      expect(getCustomFieldUserIds(fields, { account_manager: userId, cost_centre: 'CC-12' })).toEqual([userId]);
+      expect(getCustomFieldUserIds(fields, undefined)).toEqual([]);
+    });
+  });
+
+  describe('buildCustomFieldCondition', () => {
+    it('should match text case-insensitively', () => {
+      const condition = buildCustomFieldCondition(fieldByKey('cost_centre'), 'cc-1');
+
+      expect(condition['customFields.cost_centre'].test('CC-12')).toBe(true);
+      expect(condition['customFields.cost_centre'].test('DD-12')).toBe(false);
+    });
+
+    it('should support exact numbers and ranges', () => {
+      expect(buildCustomFieldCondition(fieldByKey('story_points'), '5')).toEqual({ 'customFields.story_points': 5 });
+      expect(buildCustomFieldCondition(fieldByKey('story_points'), '3..8'))
+        .toEqual({ 'customFields.story_points': { $gte: 3, $lte: 8 } });
+      expect(buildCustomFieldCondition(fieldByKey('story_points'), '..8'))
+        .toEqual({ 'customFields.story_points': { $lte: 8 } });
+      expect(() => buildCustomFieldCondition(fieldByKey('story_points'), 'a..b'))
+        .toThrow('Invalid filter for custom field "Story points"');
+    });
+
+    it('should match whole days for plain dates', () => {
+      const condition = buildCustomFieldCondition(fieldByKey('signed_on'), '2025-03-01..2025-03-31');
+
+      expect(condition['customFields.signed_on'].$gte).toEqual(new Date('2025-03-01T00:00:00.000Z'));
+      expect(condition['customFields.signed_on'].$lte).toEqual(new Date('2025-03-31T23:59:59.999Z'));
+    });
+
+    it('should match any selected option and every multiselect option', () => {
+      expect(buildCustomFieldCondition(fieldByKey('region'), 'APAC,EMEA'))
+        .toEqual({ 'customFields.region': { $in: ['APAC', 'EMEA'] } });
+      expect(buildCustomFieldCondition(fieldByKey('channels'), 'Email, Chat'))
+        .toEqual({ 'customFields.channels': { $all: ['Email', 'Chat'] } });
+    });
+  });
+
+  describe('getCustomFieldFilters', () => {
+    it('should collect cf.<key> query parameters', () => {
+      expect(getCustomFieldFilters({ 'cf.region': 'EMEA', 'cf.story_points': '', tags: 'bug', 'cf.': 'x' }))
+        .toEqual({ region: 'EMEA' });
+    });
+  });
+
+  describe('formatCustomFieldValue', () => {
+    it('should format values for reports', () => {
+      expect(formatCustomFieldValue(fieldByKey('channels'), ['Email', 'Chat'])).toBe('Email, Chat');
+      expect(formatCustomFieldValue(fieldByKey('signed_on'), new Date('2025-03-01'))).toBe('2025-03-01');
+      expect(formatCustomFieldValue(fieldByKey('account_manager'), userId, { usernames: { [userId]: 'alice' } })).toBe('alice');
+      expect(formatCustomFieldValue(fieldByKey('story_points'), 0)).toBe('0');
+      expect(formatCustomFieldValue(fieldByKey('region'), undefined)).toBe('');
+    });
+  });
+});
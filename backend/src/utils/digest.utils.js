@@ -0,0 +1,172 @@
+/**
+ * Utility functions for email digests
+ *
+ * Instead of one email per deadline, a user can get one digest a day or a
+ * week with their overdue and upcoming tasks and subtasks and their unread
+ * notifications. The digest goes out at a send hour in the user's timezone
+ * (and on a weekday for weekly digests).
+ */
+
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+// 0 = Sunday, as in Date#getDay
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const DEFAULT_DIGEST_SETTINGS = {
+  frequency: 'off',
+  hour: 8,
+  timezone: 'UTC',
+  weekday: 1
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether `timezone` is an IANA timezone name (e.g. "Asia/Singapore")
+ */
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone.trim() === '') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * A user's digest settings, with defaults for the ones never set
+ * @param {Object} stored - Stored settings ({ frequency, hour, timezone, weekday, lastSentAt })
+ * @returns {Object} { frequency, hour, timezone, weekday, lastSentAt }
+ */
+export function resolveDigestSettings(stored) {
+  const settings = { ...DEFAULT_DIGEST_SETTINGS, lastSentAt: null };
+  if (!stored || typeof stored !== 'object') {
+    return settings;
+  }
+  if (DIGEST_FREQUENCIES.includes(stored.frequency)) settings.frequency = stored.frequency;
+  if (Number.isInteger(stored.hour) && stored.hour >= 0 && stored.hour <= 23) settings.hour = stored.hour;
+  if (isValidTimezone(stored.timezone)) settings.timezone = stored.timezone;
+  if (Number.isInteger(stored.weekday) && stored.weekday >= 0 && stored.weekday <= 6) settings.weekday = stored.weekday;
+  if (stored.lastSentAt) settings.lastSentAt = new Date(stored.lastSentAt);
+  return settings;
+}
+
+/**
+ * Validate digest settings sent by a user
+ * @param {Object} input - Any of { frequency, hour, timezone, weekday }
+ * @returns {Object} The settings that were sent, checked
+ */
+export function normalizeDigestSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Digest settings must be an object');
+  }
+
+  const settings = {};
+  if (input.frequency !== undefined) {
+    if (!DIGEST_FREQUENCIES.includes(input.frequency)) {
+      throw new Error(`Digest frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+    }
+    settings.frequency = input.frequency;
+  }
+  if (input.hour !== undefined) {
+    const hour = Number(input.hour);
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      throw new Error('Digest hour must be a whole number from 0 to 23');
+    }
+    settings.hour = hour;
+  }
+  if (input.timezone !== undefined) {
+    if (!isValidTimezone(input.timezone)) {
+      throw new Error(`Unknown timezone "${input.timezone}"`);
+    }
+    settings.timezone = input.timezone;
+  }
+  if (input.weekday !== undefined) {
+    const weekday = Number(input.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      throw new Error('Digest weekday must be a whole number from 0 (Sunday) to 6 (Saturday)');
+    }
+    settings.weekday = weekday;
+  }
+  return settings;
+}
+
+/**
+ * The local date, hour and weekday of `date` in `timezone`
+ * @returns {Object} { dateKey: 'YYYY-MM-DD', hour, weekday }
+ */
+export function getLocalTime(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23',
+      weekday: 'short'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour) % 24,
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Whether a user's digest should go out at `now`: digests are on, the send
+ * hour has come on the user's local day (and weekday for weekly digests), and
+ * none went out that day. A run that was missed is caught up later that day.
+ */
+export function isDigestDue(settings, now = new Date()) {
+  if (!settings || settings.frequency === 'off' || !DIGEST_FREQUENCIES.includes(settings.frequency)) {
+    return false;
+  }
+
+  const local = getLocalTime(now, settings.timezone);
+  if (local.hour < settings.hour) {
+    return false;
+  }
+  if (settings.frequency === 'weekly' && local.weekday !== settings.weekday) {
+    return false;
+  }
+
+  if (settings.lastSentAt) {
+    const lastSent = new Date(settings.lastSentAt);
+    if (getLocalTime(lastSent, settings.timezone).dateKey === local.dateKey) {
+      return false;
+    }
+    if (settings.frequency === 'weekly' && now - lastSent < 6 * DAY_MS) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * End of the "upcoming" window of a digest: a day ahead for daily digests, a week for weekly ones
+ */
+export function getDigestWindowEnd(frequency, now = new Date()) {
+  return new Date(now.getTime() + (frequency === 'weekly' ? 7 : 1) * DAY_MS);
+}
+
+/**
+ * Split items with a due date into overdue and upcoming (due before `windowEnd`),
+ * each sorted by due date
+ * @param {Array} items - Items with a `dueDate`
+ * @returns {Object} { overdue, upcoming }
+ */
+export function groupDigestItems(items, now, windowEnd) {
+  const byDueDate = (a, b) => new Date(a.dueDate) - new Date(b.dueDate);
+  const withDueDate = (items || []).filter(item => item.dueDate);
+  return {
+    overdue: withDueDate.filter(item => new Date(item.dueDate) < now).sort(byDueDate),
+    upcoming: withDueDate
+      .filter(item => new Date(item.dueDate) >= now && new Date(item.dueDate) < windowEnd)
+      .sort(byDueDate)
+  };
+}
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_DIGEST_SETTINGS, isValidTimezone, resolveDigestSettings, normalizeDigestSettings, getLocalTime,
+  isDigestDue, getDigestWindowEnd, groupDigestItems
+} from './digest.utils.js';
+
+describe('Digest Utils', () => {
+  describe('isValidTimezone', () => {
+    it('should accept IANA timezone names', () => {
+      expect(isValidTimezone('Asia/Singapore')).toBe(true);
+      expect(isValidTimezone('UTC')).toBe(true);
+    });
+
+    it('should reject anything else', () => {
+      expect(isValidTimezone('Mars/Olympus')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+      expect(isValidTimezone(8)).toBe(false);
+    });
+  });
+
+  describe('resolveDigestSettings', () => {
+    it('should use the defaults when nothing is stored', () => {
+      expect(resolveDigestSettings(undefined)).toEqual({ ...DEFAULT_DIGEST_SETTINGS, lastSentAt: null });
+    });
+
+    it('should keep valid stored values and ignore invalid ones', () => {
+      const settings = resolveDigestSettings({ frequency: 'weekly', hour: 30, timezone: 'Asia/Singapore', weekday: 5 });
+      expect(settings).toMatchObject({ frequency: 'weekly', hour: 8, timezone: 'Asia/Singapore', weekday: 5 });
+    });
+  });
+
+  describe('normalizeDigestSettings', () => {
+    it('should accept any subset of settings', () => {
+      expect(normalizeDigestSettings({ frequency: 'daily', hour: '18' })).toEqual({ frequency: 'daily', hour: 18 });
+      expect(normalizeDigestSettings({})).toEqual({});
+    });
+
+    it('should reject invalid values', () => {
+      expect(() => normalizeDigestSettings(null)).toThrow('Digest settings must be an object');
+      expect(() => normalizeDigestSettings({ frequency: 'hourly' }))
+        .toThrow('Digest frequency must be one of: off, daily, weekly');
+      expect(() => normalizeDigestSettings({ hour: 24 })).toThrow('Digest hour must be a whole number from 0 to 23');
+      expect(() => normalizeDigestSettings({ hour: 7.5 })).toThrow('Digest hour must be a whole number from 0 to 23');
+      expect(() => normalizeDigestSettings({ timezone: 'Nowhere' })).toThrow('Unknown timezone "Nowhere"');
+      expect(() => normalizeDigestSettings({ weekday: 7 })).toThrow('Digest weekday must be a whole number');
+    });
+  });
+
+  describe('getLocalTime', () => {
+    it('should give the date, hour and weekday in the timezone', () => {
+      // Monday 2025-03-03 20:30 UTC is Tuesday 04:30 in Singapore
+      const date = new Date('2025-03-03T20:30:00Z');
+      expect(getLocalTime(date, 'UTC')).toEqual({ dateKey: '2025-03-03', hour: 20, weekday: 1 });
+      expect(getLocalTime(date, 'Asia/Singapore')).toEqual({ dateKey: '2025-03-04', hour: 4, weekday: 2 });
+    });
+  });
+
+  describe('isDigestDue', () => {
+    const daily = { frequency: 'daily', hour: 8, timezone: 'Asia/Singapore', weekday: 1, lastSentAt: null };
+
+    it('should not be due when digests are off', () => {
+      expect(isDigestDue({ ...daily, frequency: 'off' }, new Date('2025-03-03T01:00:00Z'))).toBe(false);
+    });
+
+    it('should be due from the send hour in the user\'s timezone', () => {
+      // 08:00 and 07:00 in Singapore
+      expect(isDigestDue(daily, new Date('2025-03-03T00:00:00Z'))).toBe(true);
+      expect(isDigestDue(daily, new Date('2025-03-02T23:00:00Z'))).toBe(false);
+    });
+
+    it('should go out once per local day and catch up missed runs', () => {
+      const sentToday = { ...daily, lastSentAt: new Date('2025-03-03T00:05:00Z') };
+      expect(isDigestDue(sentToday, new Date('2025-03-03T05:00:00Z'))).toBe(false);
+      expect(isDigestDue(sentToday, new Date('2025-03-04T00:00:00Z'))).toBe(true);
+
+      const sentYesterday = { ...daily, lastSentAt: new Date('2025-03-02T00:00:00Z') };
+      expect(isDigestDue(sentYesterday, new Date('2025-03-03T09:00:00Z'))).toBe(true);
+    });
+
+    it('should only send weekly digests on the chosen weekday', () => {
+      const weekly = { ...daily, frequency: 'weekly', timezone: 'UTC' };
+      expect(isDigestDue(weekly, new Date('2025-03-03T09:00:00Z'))).toBe(true);
+      expect(isDigestDue(weekly, new Date('2025-03-04T09:00:00Z'))).toBe(false);
+      expect(isDigestDue({ ...weekly, lastSentAt: new Date('2025-02-24T08:00:00Z') }, new Date('2025-03-03T09:00:00Z')))
+        .toBe(true);
+    });
+  });
+
+  describe('getDigestWindowEnd', () => {
+    it('should look a day ahead for daily digests and a week for weekly ones', () => {
+      const now = new Date('2025-03-03T00:00:00Z');
+      expect(getDigestWindowEnd('daily', now)).toEqual(new Date('2025-03-04T00:00:00Z'));
+      expect(getDigestWindowEnd('weekly', now)).toEqual(new Date('2025-03-10T00:00:00Z'));
+    });
+  });
+
+  describe('groupDigestItems', () => {
+    it('should split items into overdue and upcoming, sorted by due date', () => {
+      const now = new Date('2025-03-03T00:00:00Z');
+      const windowEnd = new Date('2025-03-04T00:00:00Z');
+      const items = [
+        { title: 'Later', dueDate: new Date('2025-03-05T00:00:00Z') },
+        { title: 'Soon', dueDate: new Date('2025-03-03T12:00:00Z') },
+        { title: 'Late', dueDate: new Date('2025-03-01T00:00:00Z') },
+        { title: 'Very late', dueDate: new Date('2025-02-01T00:00:00Z') },
+        { title: 'No date', dueDate: null }
+      ];
+
+      const { overdue, upcoming } = groupDigestItems(items, now, windowEnd);
+      expect(overdue.map(item => item.title)).toEqual(['Very late', 'Late']);
+      expect(upcoming.map(item => item.title)).toEqual(['Soon']);
+    });
+  });
+});
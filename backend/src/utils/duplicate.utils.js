@@ -0,0 +1,110 @@
+/**
+ * Utility functions for duplicating tasks, subtasks and projects
+ *
+ * Copies start over: status "To Do" (callers pass the first "todo" status of
+ * a custom workflow as an override), no time logged, no comments, unchecked
+ * checklists and a fresh recurrence series. Dates can be shifted by a whole
+ * number of days (see template.utils.js for how day offsets are counted).
+ */
+
+import { applyDueOffset } from './template.utils.js';
+
+/**
+ * `date` moved by `days` days, or null when there is no date
+ */
+export function shiftDate(date, days) {
+  return date ? applyDueOffset(date, days) : null;
+}
+
+/**
+ * Calendar days (UTC) from `fromDate` to `toDate`, ignoring the time of day
+ */
+export function getShiftDays(fromDate, toDate) {
+  const dayOf = (value) => {
+    const date = new Date(value);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  };
+  return Math.round((dayOf(toDate) - dayOf(fromDate)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Checklist items with the same text and owners, all unchecked
+ */
+export function copyChecklist(checklist) {
+  return (checklist || []).map(item => ({
+    text: item.text,
+    owner: item.owner || null
+  }));
+}
+
+/**
+ * Recurrence rule with its end date shifted, or null without a rule
+ */
+export function copyRecurrenceRule(rule, days = 0) {
+  if (!rule || !rule.frequency) {
+    return null;
+  }
+  const plain = typeof rule.toObject === 'function' ? rule.toObject() : { ...rule };
+  return { ...plain, endDate: shiftDate(plain.endDate, days) };
+}
+
+// Fields shared by tasks and subtasks
+const copyCommonFields = (item, days) => ({
+  title: item.title,
+  description: item.description || '',
+  priority: item.priority,
+  tags: [...(item.tags || [])],
+  customFields: { ...(item.customFields || {}) },
+  status: 'To Do',
+  statusCategory: 'todo',
+  timeTaken: 0,
+  dueDate: shiftDate(item.dueDate, days),
+  isRecurring: item.isRecurring || false,
+  recurrenceInterval: item.recurrenceInterval || null,
+  recurrenceRule: copyRecurrenceRule(item.recurrenceRule, days),
+  recurrenceOccurrence: 1,
+  checklist: copyChecklist(item.checklist),
+  archived: false,
+  archivedAt: null
+});
+
+/**
+ * Data for a new task copied from `task`, with dates shifted by `days`.
+ * `overrides` replaces any field, e.g. { project, owner }.
+ */
+export function buildTaskCopy(task, { days = 0, overrides = {} } = {}) {
+  return {
+    ...copyCommonFields(task, days),
+    owner: task.owner,
+    assignee: [...(task.assignee || [])],
+    project: task.project,
+    ...overrides
+  };
+}
+
+/**
+ * Data for a new subtask copied from `subtask`, with dates shifted by `days`.
+ * `overrides` replaces any field, e.g. { parentTaskId, projectId }.
+ */
+export function buildSubtaskCopy(subtask, { days = 0, overrides = {} } = {}) {
+  return {
+    ...copyCommonFields(subtask, days),
+    ownerId: subtask.ownerId,
+    assigneeId: [...(subtask.assigneeId || [])],
+    parentTaskId: subtask.parentTaskId,
+    projectId: subtask.projectId,
+    ...overrides
+  };
+}
+
+/**
+ * Whether a date falls before today (local time), as due dates may not
+ */
+export function isBeforeToday(date) {
+  if (!date) {
+    return false;
+  }
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return new Date(date) < today;
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { shiftDate, getShiftDays, copyChecklist, copyRecurrenceRule, buildTaskCopy, buildSubtaskCopy, isBeforeToday } from './duplicate.utils.js';
+
+const task = {
+  _id: 'task1',
+  title: 'Launch',
+  description: 'Ship it',
+  priority: 7,
+  tags: ['release'],
+  customFields: { story_points: 5 },
+  status: 'Completed',
+  owner: 'user1',
+  assignee: ['user1', 'user2'],
+  project: 'project1',
+  dueDate: new Date('2025-03-10T09:00:00.000Z'),
+  timeTaken: 120,
+  isRecurring: true,
+  recurrenceInterval: null,
+  recurrenceRule: { frequency: 'weekly', interval: 1, weekdays: [1], endDate: new Date('2025-06-30T00:00:00.000Z') },
+  recurrenceOccurrence: 4,
+  comments: [{ text: 'Done!' }],
+  checklist: [{ _id: 'c1', text: 'Tag release', done: true, owner: 'user2', completedBy: 'user2' }],
+  archived: true
+};
+
+describe('Duplicate Utils', () => {
+  describe('shiftDate', () => {
+    it('should move the date by whole days', () => {
+      expect(shiftDate(new Date('2025-03-10T09:00:00.000Z'), 21).toISOString()).toBe('2025-03-31T09:00:00.000Z');
+      expect(shiftDate(new Date('2025-03-10T09:00:00.000Z'), -10).toISOString()).toBe('2025-02-28T09:00:00.000Z');
+    });
+
+    it('should keep missing dates empty', () => {
+      expect(shiftDate(null, 5)).toBeNull();
+      expect(shiftDate(undefined, 5)).toBeNull();
+    });
+  });
+
+  describe('getShiftDays', () => {
+    it('should count calendar days regardless of the time of day', () => {
+      expect(getShiftDays(new Date('2025-01-01T15:00:00.000Z'), new Date('2025-05-01T00:00:00.000Z'))).toBe(120);
+      expect(getShiftDays(new Date('2025-05-01T23:00:00.000Z'), new Date('2025-05-01T01:00:00.000Z'))).toBe(0);
+      expect(getShiftDays(new Date('2025-05-03'), new Date('2025-05-01'))).toBe(-2);
+    });
+  });
+
+  describe('copyChecklist', () => {
+    it('should keep text and owners but uncheck every item', () => {
+      expect(copyChecklist(task.checklist)).toEqual([{ text: 'Tag release', owner: 'user2' }]);
+    });
+  });
+
+  describe('copyRecurrenceRule', () => {
+    it('should shift the end date', () => {
+      expect(copyRecurrenceRule(task.recurrenceRule, 1).endDate.toISOString()).toBe('2025-07-01T00:00:00.000Z');
+    });
+
+    it('should return null without a rule', () => {
+      expect(copyRecurrenceRule(null)).toBeNull();
+    });
+  });
+
+  describe('buildTaskCopy', () => {
+    it('should reset status, time, comments and the recurrence series', () => {
+      const copy = buildTaskCopy(task, { days: 7, overrides: { owner: 'user3' } });
+
+      expect(copy).toMatchObject({
+        title: 'Launch',
+        priority: 7,
+        tags: ['release'],
+        customFields: { story_points: 5 },
+        status: 'To Do',
+        statusCategory: 'todo',
+        timeTaken: 0,
+        owner: 'user3',
+        assignee: ['user1', 'user2'],
+        project: 'project1',
+        recurrenceOccurrence: 1,
+        archived: false
+      });
+      expect(copy.dueDate.toISOString()).toBe('2025-03-17T09:00:00.000Z');
+      expect(copy.checklist[0]).not.toHaveProperty('done');
+      expect(copy).not.toHaveProperty('comments');
+      expect(copy).not.toHaveProperty('_id');
+    });
+  });
+
+  describe('buildSubtaskCopy', () => {
+    it('should use the subtask field names and apply overrides', () => {
+      const subtask = {
+        title: 'Write notes',
+        priority: 5,
+        status: 'In Progress',
+        ownerId: 'user1',
+        assigneeId: ['user2'],
+        parentTaskId: 'task1',
+        projectId: 'project1',
+        timeTaken: 30
+      };
+
+      const copy = buildSubtaskCopy(subtask, { overrides: { parentTaskId: 'task2' } });
+
+      expect(copy).toMatchObject({
+        title: 'Write notes',
+        status: 'To Do',
+        timeTaken: 0,
+        ownerId: 'user1',
+        assigneeId: ['user2'],
+        parentTaskId: 'task2',
+        projectId: 'project1',
+        dueDate: null
+      });
+    });
+  });
+
+  describe('isBeforeToday', () => {
+    it('should compare against the start of today', () => {
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+
+      expect(isBeforeToday(yesterday)).toBe(true);
+      expect(isBeforeToday(new Date())).toBe(false);
+      expect(isBeforeToday(null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Utility functions for @mentions in comments
+ *
+ * Usernames are email addresses, so a mention is "@" followed by the full
+ * username: "Thanks @jane@example.com, can you review?". A mention has to start
+ * the text or follow whitespace or an opening bracket, which keeps plain email
+ * addresses ("mail jane@example.com") from being read as mentions. Trailing
+ * punctuation is not part of the username.
+ */
+
+const MENTION_REGEX = /(?<=^|[\s([{])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+/**
+ * Lowercase usernames mentioned in `text`, each listed once in order of appearance
+ */
+export function extractMentions(text) {
+  if (typeof text !== 'string' || text.length === 0) {
+    return [];
+  }
+
+  const usernames = [...text.matchAll(MENTION_REGEX)].map(match => match[1].toLowerCase());
+  return [...new Set(usernames)];
+}
+
+/**
+ * Mentioned users ({ _id }) whose ids are not in `previousIds`, so that editing a
+ * comment only notifies the users it newly mentions
+ */
+export function getNewMentions(previousIds = [], users = []) {
+  const before = new Set(previousIds.map(String));
+  return users.filter(user => !before.has(String(user._id)));
+}
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { extractMentions, getNewMentions } from './mention.utils.js';
+
+describe('Mention Utils', () => {
+  describe('extractMentions', () => {
+    it('should find usernames mentioned in the text', () => {
+      expect(extractMentions('@jane@example.com can you check with @bob.lee@example.co.uk?'))
+        .toEqual(['jane@example.com', 'bob.lee@example.co.uk']);
+    });
+
+    it('should leave trailing punctuation out of the username', () => {
+      expect(extractMentions('Thanks @jane@example.com.')).toEqual(['jane@example.com']);
+      expect(extractMentions('(cc @jane@example.com)')).toEqual(['jane@example.com']);
+    });
+
+    it('should lowercase and deduplicate usernames', () => {
+      expect(extractMentions('@Jane@Example.com and @jane@example.com')).toEqual(['jane@example.com']);
+    });
+
+    it('should ignore plain email addresses and a bare @', () => {
+      expect(extractMentions('Mail jane@example.com or ask @ the desk')).toEqual([]);
+      expect(extractMentions('me@jane@example.com')).toEqual([]);
+    });
+
+    it('should return an empty list for empty or missing text', () => {
+      expect(extractMentions('')).toEqual([]);
+      expect(extractMentions(undefined)).toEqual([]);
+    });
+  });
+
+  describe('getNewMentions', () => {
+    it('should keep only users that were not mentioned before', () => {
+      const users = [{ _id: 'a' }, { _id: 'b' }];
+
+      expect(getNewMentions(['a'], users)).toEqual([{ _id: 'b' }]);
+      expect(getNewMentions(undefined, users)).toEqual(users);
+    });
+  });
+});
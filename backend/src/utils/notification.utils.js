@@ -0,0 +1,147 @@
+/**
+ * Utility functions for notification preferences
+ *
+ * Every notification belongs to an event (e.g. "task-assigned" or "mention")
+ * and can go out on three channels: a notification in the in-app list
+ * (`inApp`), a live toast over the socket (`toast`) and an email (`email`).
+ * Users choose the channels per event; events they never changed use the
+ * defaults below, which match what was sent before preferences existed.
+ */
+
+export const NOTIFICATION_CHANNELS = ['inApp', 'toast', 'email'];
+
+/**
+ * Events users can set channels for. `socketEvent` is the event emitted to the
+ * user's socket for toasts; `defaults` are the channels used until the user
+ * changes them.
+ */
+export const NOTIFICATION_EVENTS = {
+  'task-assigned': {
+    label: 'Assigned to a task or subtask',
+    socketEvent: 'task-assigned',
+    defaults: { inApp: true, toast: true, email: false }
+  },
+  'task-unassigned': {
+    label: 'Removed from a task',
+    socketEvent: 'task-unassigned',
+    defaults: { inApp: false, toast: true, email: false }
+  },
+  'task-updated': {
+    label: 'Status changes on my tasks',
+    socketEvent: 'task-updated',
+    defaults: { inApp: false, toast: true, email: false }
+  },
+  comment: {
+    label: 'Comments on my tasks',
+    socketEvent: 'task-comment',
+    defaults: { inApp: true, toast: true, email: false }
+  },
+  reply: {
+    label: 'Replies to my comments',
+    socketEvent: 'comment-reply',
+    defaults: { inApp: true, toast: true, email: false }
+  },
+  mention: {
+    label: 'Mentions in comments',
+    socketEvent: 'comment-mention',
+    defaults: { inApp: true, toast: true, email: false }
+  },
+  'task-archived': {
+    label: 'Tasks archived',
+    socketEvent: 'task-archived',
+    defaults: { inApp: true, toast: true, email: false }
+  },
+  'task-unblocked': {
+    label: 'Blocked items that can start',
+    socketEvent: 'task-unblocked',
+    defaults: { inApp: true, toast: true, email: false }
+  },
+  'task-moved': {
+    label: 'Tasks moved to another project',
+    socketEvent: 'task-moved',
+    defaults: { inApp: true, toast: true, email: false }
+  },
+  'bulk-update': {
+    label: 'Bulk changes to my tasks',
+    socketEvent: 'tasks-bulk-updated',
+    defaults: { inApp: true, toast: true, email: false }
+  },
+  deadline: {
+    label: 'Upcoming and overdue deadlines',
+    socketEvent: 'task-deadline',
+    defaults: { inApp: true, toast: true, email: true }
+  }
+};
+
+export const NOTIFICATION_EVENT_TYPES = Object.keys(NOTIFICATION_EVENTS);
+
+/**
+ * Every event with its default channels
+ * @returns {Object} { [event]: { inApp, toast, email } }
+ */
+export function getDefaultPreferences() {
+  return Object.fromEntries(
+    NOTIFICATION_EVENT_TYPES.map(event => [event, { ...NOTIFICATION_EVENTS[event].defaults }])
+  );
+}
+
+/**
+ * A user's channels for every event: the stored choices over the defaults.
+ * Events or channels that no longer exist are ignored.
+ * @param {Object} stored - Stored preferences ({ [event]: { [channel]: boolean } })
+ * @returns {Object} { [event]: { inApp, toast, email } }
+ */
+export function resolvePreferences(stored) {
+  const preferences = getDefaultPreferences();
+  Object.entries(stored || {}).forEach(([event, channels]) => {
+    if (!preferences[event] || !channels || typeof channels !== 'object') {
+      return;
+    }
+    NOTIFICATION_CHANNELS.forEach(channel => {
+      if (typeof channels[channel] === 'boolean') {
+        preferences[event][channel] = channels[channel];
+      }
+    });
+  });
+  return preferences;
+}
+
+/**
+ * Validate preferences sent by a user
+ * @param {Object} input - { [event]: { [channel]: boolean } }, any subset of events and channels
+ * @returns {Object} The same shape, checked
+ */
+export function normalizePreferences(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Notification preferences must be an object');
+  }
+
+  const preferences = {};
+  Object.entries(input).forEach(([event, channels]) => {
+    if (!NOTIFICATION_EVENTS[event]) {
+      throw new Error(`Unknown notification event "${event}"`);
+    }
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+      throw new Error(`Channels for "${event}" must be an object`);
+    }
+    preferences[event] = {};
+    Object.entries(channels).forEach(([channel, enabled]) => {
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        throw new Error(`Unknown notification channel "${channel}"`);
+      }
+      if (typeof enabled !== 'boolean') {
+        throw new Error(`The "${channel}" setting for "${event}" must be true or false`);
+      }
+      preferences[event][channel] = enabled;
+    });
+  });
+  return preferences;
+}
+
+/**
+ * Whether a user with these (resolved) preferences gets `event` on `channel`
+ */
+export function isChannelEnabled(preferences, event, channel) {
+  const channels = preferences?.[event] || NOTIFICATION_EVENTS[event]?.defaults;
+  return channels?.[channel] === true;
+}
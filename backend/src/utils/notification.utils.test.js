@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+  NOTIFICATION_EVENTS, NOTIFICATION_EVENT_TYPES, getDefaultPreferences, resolvePreferences,
+  normalizePreferences, isChannelEnabled
+} from './notification.utils.js';
+
+describe('Notification Utils', () => {
+  describe('getDefaultPreferences', () => {
+    it('should list every event with its default channels', () => {
+      const defaults = getDefaultPreferences();
+      expect(Object.keys(defaults)).toEqual(NOTIFICATION_EVENT_TYPES);
+      expect(defaults['task-assigned']).toEqual({ inApp: true, toast: true, email: false });
+      expect(defaults.deadline).toEqual({ inApp: true, toast: true, email: true });
+    });
+
+    it('should return copies of the defaults', () => {
+      getDefaultPreferences().comment.email = true;
+      expect(NOTIFICATION_EVENTS.comment.defaults.email).toBe(false);
+    });
+  });
+
+  describe('resolvePreferences', () => {
+    it('should lay stored choices over the defaults', () => {
+      const preferences = resolvePreferences({ comment: { toast: false } });
+      expect(preferences.comment).toEqual({ inApp: true, toast: false, email: false });
+      expect(preferences.mention).toEqual(NOTIFICATION_EVENTS.mention.defaults);
+    });
+
+    it('should ignore unknown events, channels and non-boolean values', () => {
+      const preferences = resolvePreferences({
+        removed: { inApp: true },
+        comment: { sms: true, email: 'yes' }
+      });
+      expect(preferences.removed).toBeUndefined();
+      expect(preferences.comment).toEqual(NOTIFICATION_EVENTS.comment.defaults);
+    });
+
+    it('should use the defaults when nothing is stored', () => {
+      expect(resolvePreferences(undefined)).toEqual(getDefaultPreferences());
+    });
+  });
+
+  describe('normalizePreferences', () => {
+    it('should accept any subset of events and channels', () => {
+      expect(normalizePreferences({ comment: { email: true }, mention: {} }))
+        .toEqual({ comment: { email: true }, mention: {} });
+    });
+
+    it('should reject input that is not an object', () => {
+      expect(() => normalizePreferences(null)).toThrow('Notification preferences must be an object');
+      expect(() => normalizePreferences([])).toThrow('Notification preferences must be an object');
+    });
+
+    it('should reject unknown events and channels', () => {
+      expect(() => normalizePreferences({ nope: {} })).toThrow('Unknown notification event "nope"');
+      expect(() => normalizePreferences({ comment: { sms: true } })).toThrow('Unknown notification channel "sms"');
+    });
+
+    it('should reject channels that are not booleans', () => {
+      expect(() => normalizePreferences({ comment: true })).toThrow('Channels for "comment" must be an object');
+      expect(() => normalizePreferences({ comment: { email: 'yes' } }))
+        .toThrow('The "email" setting for "comment" must be true or false');
+    });
+  });
+
+  describe('isChannelEnabled', () => {
+    it('should read the channel from the preferences', () => {
+      const preferences = resolvePreferences({ 'task-updated': { toast: false, email: true } });
+      expect(isChannelEnabled(preferences, 'task-updated', 'toast')).toBe(false);
+      expect(isChannelEnabled(preferences, 'task-updated', 'email')).toBe(true);
+    });
+
+    it('should fall back to the defaults and be false for unknown events', () => {
+      expect(isChannelEnabled(undefined, 'comment', 'inApp')).toBe(true);
+      expect(isChannelEnabled({}, 'unknown', 'inApp')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+/**
+ * Utility functions for cursor (keyset) pagination
+ *
+ * Results are sorted by one field plus _id as a tie-breaker. A cursor is an opaque
+ * base64url string holding the sort field, direction and the last item's values,
+ * so the next page starts right after that item even if items are added meanwhile.
+ *
+ * MongoDB sorts null before any value, so items without a value for the sort field
+ * come first in ascending order and last in descending order.
+ */
+
+export const DEFAULT_PAGE_SIZE = 25;
+
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Page size from a query string value, defaulting to DEFAULT_PAGE_SIZE
+ */
+export function parseLimit(limit) {
+  if (limit === undefined || limit === null || limit === '') {
+    return DEFAULT_PAGE_SIZE;
+  }
+
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_PAGE_SIZE) {
+    throw new Error(`Invalid limit: must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return value;
+}
+
+/**
+ * Cursor pointing just after `doc` for the given sort ({ field, order: 1 | -1 })
+ */
+export function encodeCursor(sort, doc) {
+  const value = doc[sort.field];
+  const payload = {
+    f: sort.field,
+    o: sort.order,
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    id: String(doc._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Read a cursor created by encodeCursor. Throws if it is malformed or was
+ * created for a different sort. Set sort.type to 'date' for date fields.
+ */
+export function decodeCursor(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!payload || payload.f !== sort.field || payload.o !== sort.order ||
+      !mongoose.Types.ObjectId.isValid(payload.id)) {
+    throw new Error('Invalid cursor');
+  }
+
+  let value = payload.v;
+  if (value !== null && sort.type === 'date') {
+    value = new Date(value);
+    if (isNaN(value.getTime())) {
+      throw new Error('Invalid cursor');
+    }
+  }
+
+  return { value, id: new mongoose.Types.ObjectId(payload.id) };
+}
+
+/**
+ * Query condition matching the items that come after the cursor position
+ */
+export function buildCursorFilter(sort, { value, id }) {
+  const { field, order } = sort;
+  const after = order === 1 ? '$gt' : '$lt';
+  const sameValueAfterId = { [field]: value, _id: { [after]: id } };
+
+  if (value === null) {
+    // Nulls are first when ascending and last when descending
+    return order === 1
+      ? { $or: [sameValueAfterId, { [field]: { $ne: null } }] }
+      : sameValueAfterId;
+  }
+
+  const conditions = [{ [field]: { [after]: value } }, sameValueAfterId];
+  if (order === -1) {
+    conditions.push({ [field]: null });
+  }
+  return { $or: conditions };
+}
+
+/**
+ * Mongo sort object for the given sort, with _id as the tie-breaker
+ */
+export function toSortObject(sort) {
+  return { [sort.field]: sort.order, _id: sort.order };
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import mongoose from 'mongoose';
+import {
+  DEFAULT_PAGE_SIZE,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  toSortObject
+} from './pagination.utils.js';
+
+const id = new mongoose.Types.ObjectId();
+
+describe('Pagination Utils', () => {
+  describe('parseLimit', () => {
+    it('should default when no limit is given', () => {
+      expect(parseLimit(undefined)).toBe(DEFAULT_PAGE_SIZE);
+      expect(parseLimit('')).toBe(DEFAULT_PAGE_SIZE);
+    });
+
+    it('should accept whole numbers up to the maximum', () => {
+      expect(parseLimit('10')).toBe(10);
+    });
+
+    it('should reject invalid limits', () => {
+      expect(() => parseLimit('0')).toThrow('Invalid limit');
+      expect(() => parseLimit('101')).toThrow('Invalid limit');
+      expect(() => parseLimit('abc')).toThrow('Invalid limit');
+    });
+  });
+
+  describe('cursors', () => {
+    it('should round-trip a date cursor', () => {
+      const sort = { field: 'dueDate', order: 1, type: 'date' };
+      const dueDate = new Date('2025-03-14T10:00:00Z');
+
+      const cursor = encodeCursor(sort, { _id: id, dueDate });
+      const position = decodeCursor(cursor, sort);
+
+      expect(position.value).toEqual(dueDate);
+      expect(position.id.equals(id)).toBe(true);
+    });
+
+    it('should keep null values', () => {
+      const sort = { field: 'dueDate', order: 1, type: 'date' };
+
+      const position = decodeCursor(encodeCursor(sort, { _id: id, dueDate: null }), sort);
+
+      expect(position.value).toBeNull();
+    });
+
+    it('should reject a cursor created for another sort', () => {
+      const cursor = encodeCursor({ field: 'priority', order: -1 }, { _id: id, priority: 5 });
+
+      expect(() => decodeCursor(cursor, { field: 'priority', order: 1 })).toThrow('Invalid cursor');
+      expect(() => decodeCursor(cursor, { field: 'title', order: -1 })).toThrow('Invalid cursor');
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(() => decodeCursor('not-a-cursor', { field: 'title', order: 1 })).toThrow('Invalid cursor');
+    });
+  });
+
+  describe('buildCursorFilter', () => {
+    it('should continue after the value, using _id for ties', () => {
+      expect(buildCursorFilter({ field: 'priority', order: 1 }, { value: 5, id })).toEqual({
+        $or: [{ priority: { $gt: 5 } }, { priority: 5, _id: { $gt: id } }]
+      });
+    });
+
+    it('should include items without a value after the last value when descending', () => {
+      expect(buildCursorFilter({ field: 'dueDate', order: -1 }, { value: 'x', id })).toEqual({
+        $or: [{ dueDate: { $lt: 'x' } }, { dueDate: 'x', _id: { $lt: id } }, { dueDate: null }]
+      });
+    });
+
+    it('should move on to items with a value after the nulls when ascending', () => {
+      expect(buildCursorFilter({ field: 'dueDate', order: 1 }, { value: null, id })).toEqual({
+        $or: [{ dueDate: null, _id: { $gt: id } }, { dueDate: { $ne: null } }]
+      });
+    });
+
+    it('should sort by the field and then _id', () => {
+      expect(toSortObject({ field: 'title', order: -1 })).toEqual({ title: -1, _id: -1 });
+    });
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * Utility functions for recurring tasks and subtasks
+ *
+ * A recurrence rule is a small RRULE-style object:
+ *   frequency    - 'daily', 'weekly' or 'monthly'
+ *   interval     - repeat every N days/weeks/months
+ *   weekdays     - weekly only: days of the week (0 = Sunday ... 6 = Saturday)
+ *   monthlyType  - monthly only: 'dayOfMonth', 'nthWeekday' or 'lastBusinessDay'
+ *   dayOfMonth   - for 'dayOfMonth' (short months use their last day)
+ *   weekOfMonth  - for 'nthWeekday': 1-4, or -1 for the last one in the month
+ *   weekday      - for 'nthWeekday'
+ *   endDate      - optional: no occurrences after this date
+ *   count        - optional: maximum number of occurrences, including the first
+ *   skipWeekends - move occurrences that land on a weekend to the following Monday
+ *
+ * Items created before rules existed only have `recurrenceInterval` (every N days),
+ * which is read as a daily rule. Dates are calculated in UTC, keeping the time of day.
+ */
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+export const MONTHLY_TYPES = ['dayOfMonth', 'nthWeekday', 'lastBusinessDay'];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const isWeekday = (value) => Number.isInteger(value) && value >= 0 && value <= 6;
+
+const isWeekend = (date) => date.getUTCDay() === 0 || date.getUTCDay() === 6;
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// The given calendar day, at the same time of day as `time`
+const onDay = (time, year, month, day) => new Date(Date.UTC(
+  year, month, day,
+  time.getUTCHours(), time.getUTCMinutes(), time.getUTCSeconds(), time.getUTCMilliseconds()
+));
+
+/**
+ * Validates a recurrence rule from a request and fills in defaults from the due date
+ *
+ * @param {Object} rule - Rule as sent by the client
+ * @param {Date|string} dueDate - Due date of the first occurrence
+ * @returns {Object} - Normalized rule, ready to be stored
+ */
+export const normalizeRecurrenceRule = (rule, dueDate) => {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error('Recurrence rule must be an object');
+  }
+
+  if (!RECURRENCE_FREQUENCIES.includes(rule.frequency)) {
+    throw new Error('Recurrence frequency must be daily, weekly or monthly');
+  }
+
+  const interval = rule.interval === undefined || rule.interval === null ? 1 : Number(rule.interval);
+  if (!isPositiveInteger(interval)) {
+    throw new Error('Recurrence interval must be a positive number');
+  }
+
+  const due = dueDate ? new Date(dueDate) : null;
+  const normalized = {
+    frequency: rule.frequency,
+    interval,
+    weekdays: [],
+    monthlyType: null,
+    dayOfMonth: null,
+    weekOfMonth: null,
+    weekday: null,
+    endDate: null,
+    count: null,
+    skipWeekends: Boolean(rule.skipWeekends)
+  };
+
+  if (rule.frequency === 'weekly') {
+    const weekdays = (rule.weekdays || []).map(Number);
+    if (!weekdays.every(isWeekday)) {
+      throw new Error('Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)');
+    }
+    normalized.weekdays = [...new Set(weekdays)].sort((a, b) => a - b);
+    if (normalized.weekdays.length === 0 && due) {
+      normalized.weekdays = [due.getUTCDay()];
+    }
+  }
+
+  if (rule.frequency === 'monthly') {
+    const monthlyType = rule.monthlyType || 'dayOfMonth';
+    if (!MONTHLY_TYPES.includes(monthlyType)) {
+      throw new Error('Monthly recurrence must be dayOfMonth, nthWeekday or lastBusinessDay');
+    }
+    normalized.monthlyType = monthlyType;
+
+    if (monthlyType === 'dayOfMonth') {
+      const dayOfMonth = Number(rule.dayOfMonth ?? due?.getUTCDate());
+      if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+        throw new Error('Day of month must be between 1 and 31');
+      }
+      normalized.dayOfMonth = dayOfMonth;
+    }
+
+    if (monthlyType === 'nthWeekday') {
+      const weekOfMonth = Number(rule.weekOfMonth);
+      if (![1, 2, 3, 4, -1].includes(weekOfMonth)) {
+        throw new Error('Week of month must be 1, 2, 3, 4 or -1 (last)');
+      }
+      const weekday = Number(rule.weekday ?? due?.getUTCDay());
+      if (!isWeekday(weekday)) {
+        throw new Error('Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)');
+      }
+      normalized.weekOfMonth = weekOfMonth;
+      normalized.weekday = weekday;
+    }
+  }
+
+  if (rule.endDate) {
+    const endDate = new Date(rule.endDate);
+    if (isNaN(endDate.getTime())) {
+      throw new Error('Recurrence end date is invalid');
+    }
+    if (due && endDate.toISOString().split('T')[0] < due.toISOString().split('T')[0]) {
+      throw new Error('Recurrence end date cannot be before the due date');
+    }
+    normalized.endDate = endDate;
+  }
+
+  if (rule.count !== undefined && rule.count !== null && rule.count !== '') {
+    const count = Number(rule.count);
+    if (!isPositiveInteger(count)) {
+      throw new Error('Occurrence count must be a positive whole number');
+    }
+    normalized.count = count;
+  }
+
+  if (normalized.endDate && normalized.count) {
+    throw new Error('Use either an end date or an occurrence count, not both');
+  }
+
+  return normalized;
+};
+
+/**
+ * Returns the recurrence rule of a task or subtask, reading legacy
+ * `recurrenceInterval` items as "every N days"
+ *
+ * @param {Object} item - Task or subtask
+ * @returns {Object|null} - Rule, or null if the item does not recur
+ */
+export const getRecurrenceRule = (item) => {
+  if (!item || !item.isRecurring) {
+    return null;
+  }
+
+  const rule = item.recurrenceRule?.toObject ? item.recurrenceRule.toObject() : item.recurrenceRule;
+  if (rule && rule.frequency) {
+    return rule;
+  }
+
+  if (item.recurrenceInterval > 0) {
+    return { frequency: 'daily', interval: item.recurrenceInterval, weekdays: [], skipWeekends: false };
+  }
+
+  return null;
+};
+
+const nextWeekly = (from, rule) => {
+  const weekdays = rule.weekdays && rule.weekdays.length ? rule.weekdays : [from.getUTCDay()];
+  const daysSinceMonday = (from.getUTCDay() + 6) % 7;
+
+  // Later days in the same (Monday-based) week
+  for (let offset = 1; offset < 7 - daysSinceMonday; offset++) {
+    const day = addDays(from, offset);
+    if (weekdays.includes(day.getUTCDay())) {
+      return day;
+    }
+  }
+
+  // Otherwise the first matching day `interval` weeks later
+  const weekStart = addDays(from, (rule.interval || 1) * 7 - daysSinceMonday);
+  let day = weekStart;
+  while (!weekdays.includes(day.getUTCDay())) {
+    day = addDays(day, 1);
+  }
+  return day;
+};
+
+const monthlyOccurrence = (time, year, month, rule) => {
+  const lastDay = daysInMonth(year, month);
+
+  if (rule.monthlyType === 'lastBusinessDay') {
+    let day = onDay(time, year, month, lastDay);
+    while (isWeekend(day)) {
+      day = addDays(day, -1);
+    }
+    return day;
+  }
+
+  if (rule.monthlyType === 'nthWeekday') {
+    if (rule.weekOfMonth === -1) {
+      let day = onDay(time, year, month, lastDay);
+      while (day.getUTCDay() !== rule.weekday) {
+        day = addDays(day, -1);
+      }
+      return day;
+    }
+    const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    const firstMatch = 1 + ((rule.weekday - firstWeekday + 7) % 7);
+    return onDay(time, year, month, firstMatch + (rule.weekOfMonth - 1) * 7);
+  }
+
+  const dayOfMonth = rule.dayOfMonth || time.getUTCDate();
+  return onDay(time, year, month, Math.min(dayOfMonth, lastDay));
+};
+
+const nextMonthly = (from, rule) => {
+  // A due date earlier in the month than the rule's day still recurs this month
+  const thisMonth = monthlyOccurrence(from, from.getUTCFullYear(), from.getUTCMonth(), rule);
+  if (thisMonth > from) {
+    return thisMonth;
+  }
+
+  const target = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + (rule.interval || 1), 1));
+  return monthlyOccurrence(from, target.getUTCFullYear(), target.getUTCMonth(), rule);
+};
+
+/**
+ * Calculates the due date of the occurrence after the given one
+ *
+ * @param {Date|string} from - Due date of the current occurrence
+ * @param {Object} rule - Recurrence rule
+ * @returns {Date} - Due date of the next occurrence
+ */
+export const getNextOccurrence = (from, rule) => {
+  const date = new Date(from);
+  let next;
+
+  if (rule.frequency === 'weekly') {
+    next = nextWeekly(date, rule);
+  } else if (rule.frequency === 'monthly') {
+    next = nextMonthly(date, rule);
+  } else {
+    next = addDays(date, rule.interval || 1);
+  }
+
+  if (rule.skipWeekends) {
+    while (isWeekend(next)) {
+      next = addDays(next, 1);
+    }
+  }
+
+  return next;
+};
+
+/**
+ * Checks the rule's end date and occurrence count
+ *
+ * @param {Date} date - Due date of the occurrence
+ * @param {number} occurrence - Occurrence number (the first item is 1)
+ * @param {Object} rule - Recurrence rule
+ * @returns {boolean} - True if the occurrence should be created
+ */
+export const isWithinRecurrence = (date, occurrence, rule) => {
+  if (rule.count && occurrence > rule.count) {
+    return false;
+  }
+
+  if (rule.endDate) {
+    const endOfDay = new Date(rule.endDate);
+    endOfDay.setUTCHours(23, 59, 59, 999);
+    if (date > endOfDay) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Lists the due dates of the occurrences following the given one,
+ * stopping early when the rule ends
+ *
+ * @param {Date|string} dueDate - Due date of the current occurrence
+ * @param {Object} rule - Recurrence rule
+ * @param {number} limit - Maximum number of dates to return
+ * @param {number} occurrence - Occurrence number of `dueDate`
+ * @returns {Date[]} - Upcoming due dates
+ */
+export const getUpcomingOccurrences = (dueDate, rule, limit = 5, occurrence = 1) => {
+  const dates = [];
+  let current = new Date(dueDate);
+
+  for (let next = occurrence + 1; dates.length < limit; next++) {
+    current = getNextOccurrence(current, rule);
+    if (!isWithinRecurrence(current, next, rule)) {
+      break;
+    }
+    dates.push(current);
+  }
+
+  return dates;
+};
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeRecurrenceRule,
+  getRecurrenceRule,
+  getNextOccurrence,
+  isWithinRecurrence,
+  getUpcomingOccurrences
+} from './recurrence.utils.js';
+
+const dates = (list) => list.map(date => date.toISOString().split('T')[0]);
+
+describe('Recurrence Utils', () => {
+  describe('normalizeRecurrenceRule', () => {
+    it('should fill in defaults from the due date', () => {
+      const rule = normalizeRecurrenceRule({ frequency: 'monthly' }, '2025-03-14');
+
+      expect(rule).toMatchObject({
+        frequency: 'monthly',
+        interval: 1,
+        monthlyType: 'dayOfMonth',
+        dayOfMonth: 14,
+        skipWeekends: false
+      });
+    });
+
+    it('should default weekly rules to the weekday of the due date', () => {
+      const rule = normalizeRecurrenceRule({ frequency: 'weekly' }, '2025-03-05');
+
+      expect(rule.weekdays).toEqual([3]);
+    });
+
+    it('should reject invalid rules', () => {
+      expect(() => normalizeRecurrenceRule({ frequency: 'yearly' }))
+        .toThrow('Recurrence frequency must be daily, weekly or monthly');
+      expect(() => normalizeRecurrenceRule({ frequency: 'daily', interval: 0 }))
+        .toThrow('Recurrence interval must be a positive number');
+      expect(() => normalizeRecurrenceRule({ frequency: 'weekly', weekdays: [7] }))
+        .toThrow('Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)');
+      expect(() => normalizeRecurrenceRule({ frequency: 'monthly', monthlyType: 'nthWeekday', weekOfMonth: 5, weekday: 1 }))
+        .toThrow('Week of month must be 1, 2, 3, 4 or -1 (last)');
+      expect(() => normalizeRecurrenceRule({ frequency: 'daily', count: 1.5 }))
+        .toThrow('Occurrence count must be a positive whole number');
+    });
+
+    it('should reject an end date before the due date', () => {
+      expect(() => normalizeRecurrenceRule({ frequency: 'daily', endDate: '2025-03-01' }, '2025-03-05'))
+        .toThrow('Recurrence end date cannot be before the due date');
+    });
+
+    it('should not allow both an end date and a count', () => {
+      expect(() => normalizeRecurrenceRule({ frequency: 'daily', endDate: '2025-04-01', count: 3 }, '2025-03-05'))
+        .toThrow('Use either an end date or an occurrence count, not both');
+    });
+  });
+
+  describe('getRecurrenceRule', () => {
+    it('should read legacy recurrenceInterval items as daily rules', () => {
+      expect(getRecurrenceRule({ isRecurring: true, recurrenceInterval: 7, recurrenceRule: null }))
+        .toMatchObject({ frequency: 'daily', interval: 7 });
+    });
+
+    it('should prefer the stored rule', () => {
+      const recurrenceRule = { frequency: 'weekly', interval: 1, weekdays: [1] };
+
+      expect(getRecurrenceRule({ isRecurring: true, recurrenceInterval: null, recurrenceRule }))
+        .toBe(recurrenceRule);
+    });
+
+    it('should return null for non-recurring items', () => {
+      expect(getRecurrenceRule({ isRecurring: false, recurrenceRule: { frequency: 'daily' } })).toBeNull();
+    });
+  });
+
+  describe('getNextOccurrence', () => {
+    it('should add the legacy interval in days', () => {
+      const next = getNextOccurrence('2025-03-05T09:30:00.000Z', { frequency: 'daily', interval: 7 });
+
+      expect(next.toISOString()).toBe('2025-03-12T09:30:00.000Z');
+    });
+
+    it('should move to the next weekday for "every weekday"', () => {
+      const rule = { frequency: 'weekly', interval: 1, weekdays: [1, 2, 3, 4, 5] };
+
+      expect(dates(getUpcomingOccurrences('2025-03-06', rule, 4)))
+        .toEqual(['2025-03-07', '2025-03-10', '2025-03-11', '2025-03-12']);
+    });
+
+    it('should skip weeks for "every 2nd Monday"', () => {
+      const rule = { frequency: 'weekly', interval: 2, weekdays: [1] };
+
+      expect(dates(getUpcomingOccurrences('2025-03-03', rule, 3)))
+        .toEqual(['2025-03-17', '2025-03-31', '2025-04-14']);
+    });
+
+    it('should find the nth weekday of the month', () => {
+      const rule = { frequency: 'monthly', interval: 1, monthlyType: 'nthWeekday', weekOfMonth: 2, weekday: 1 };
+
+      expect(dates(getUpcomingOccurrences('2025-03-10', rule, 3)))
+        .toEqual(['2025-04-14', '2025-05-12', '2025-06-09']);
+    });
+
+    it('should find the last business day of the month', () => {
+      const rule = { frequency: 'monthly', interval: 1, monthlyType: 'lastBusinessDay' };
+
+      // May 31st 2025 is a Saturday
+      expect(dates(getUpcomingOccurrences('2025-04-02', rule, 3)))
+        .toEqual(['2025-04-30', '2025-05-30', '2025-06-30']);
+    });
+
+    it('should use the last day of short months', () => {
+      const rule = { frequency: 'monthly', interval: 1, monthlyType: 'dayOfMonth', dayOfMonth: 31 };
+
+      expect(dates(getUpcomingOccurrences('2025-01-31', rule, 2)))
+        .toEqual(['2025-02-28', '2025-03-31']);
+    });
+
+    it('should move weekend dates to Monday when skipping weekends', () => {
+      const rule = { frequency: 'daily', interval: 1, skipWeekends: true };
+
+      expect(dates(getUpcomingOccurrences('2025-03-06', rule, 3)))
+        .toEqual(['2025-03-07', '2025-03-10', '2025-03-11']);
+    });
+  });
+
+  describe('isWithinRecurrence', () => {
+    it('should stop after the occurrence count', () => {
+      const rule = { frequency: 'daily', interval: 1, count: 3 };
+
+      expect(isWithinRecurrence(new Date('2025-03-07'), 3, rule)).toBe(true);
+      expect(isWithinRecurrence(new Date('2025-03-08'), 4, rule)).toBe(false);
+    });
+
+    it('should include occurrences due on the end date', () => {
+      const rule = { frequency: 'daily', interval: 1, endDate: new Date('2025-03-07') };
+
+      expect(dates(getUpcomingOccurrences('2025-03-05T15:00:00.000Z', rule, 5)))
+        .toEqual(['2025-03-06', '2025-03-07']);
+    });
+  });
+});
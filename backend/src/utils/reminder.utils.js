@@ -0,0 +1,123 @@
+/**
+ * Utility functions for deadline reminders
+ *
+ * Reminders go out at offsets before an item's due date (3 days, 1 day and
+ * 1 hour by default, set with REMINDER_OFFSETS, e.g. "3d,1d,1h"), then once a
+ * day while the item is overdue. Each reminder has a type ("before-1d",
+ * "overdue-2", ...) that the reminder log records per item, user and due
+ * date, so a reminder is sent once however often the check runs.
+ *
+ * Open, unarchived tasks and subtasks get reminders; they go to the assignees
+ * and owner, and to the project owner on overdue items when
+ * REMINDER_NOTIFY_PROJECT_OWNER is "true".
+ */
+
+export const DEFAULT_REMINDER_OFFSETS = '3d,1d,1h';
+
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const DAY_MS = UNIT_MS.d;
+
+/**
+ * Parse a duration such as "90m", "1h", "3d" or "1w"
+ * @returns {number} Milliseconds
+ */
+export function parseDuration(value) {
+  const match = /^(\d+)\s*([mhdw])$/i.exec(String(value).trim());
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid reminder offset "${value}": use a number and m, h, d or w, e.g. "3d"`);
+  }
+  return Number(match[1]) * UNIT_MS[match[2].toLowerCase()];
+}
+
+/**
+ * Parse the reminder offsets, e.g. "3d,1d,1h"
+ * @param {string} value - Comma-separated durations; the defaults when empty
+ * @returns {Array} [{ label: '3d', ms }], furthest first, without duplicates
+ */
+export function parseReminderOffsets(value) {
+  const text = value && String(value).trim() ? String(value) : DEFAULT_REMINDER_OFFSETS;
+  const offsets = new Map();
+  text.split(',').forEach(part => {
+    const label = part.trim().toLowerCase();
+    if (!label) return;
+    const ms = parseDuration(label);
+    if (![...offsets.values()].includes(ms)) {
+      offsets.set(label, ms);
+    }
+  });
+  return [...offsets.entries()]
+    .map(([label, ms]) => ({ label, ms }))
+    .sort((a, b) => b.ms - a.ms);
+}
+
+/**
+ * The reminder an item with `dueDate` is due for at `now`
+ *
+ * Before the due date this is the closest offset that has been reached (a
+ * run that was missed does not send the earlier ones as well); from the due
+ * date on it is one overdue reminder per day ("overdue-1" on the first day).
+ * @param {Date} dueDate - The item's due date
+ * @param {Date} now - Time of the check
+ * @param {Array} offsets - Parsed offsets (see parseReminderOffsets)
+ * @returns {Object|null} { type, kind: 'upcoming' | 'overdue' }, or null when no reminder is due yet
+ */
+export function getReminderType(dueDate, now, offsets) {
+  if (!dueDate) {
+    return null;
+  }
+  const remaining = new Date(dueDate).getTime() - now.getTime();
+
+  if (remaining <= 0) {
+    const day = Math.floor(-remaining / DAY_MS) + 1;
+    return { type: `overdue-${day}`, kind: 'overdue' };
+  }
+
+  const reached = offsets.filter(offset => remaining <= offset.ms);
+  if (reached.length === 0) {
+    return null;
+  }
+  const closest = reached[reached.length - 1];
+  return { type: `before-${closest.label}`, kind: 'upcoming' };
+}
+
+/**
+ * How far ahead the check has to look for items with upcoming reminders
+ */
+export function getReminderHorizon(now, offsets) {
+  const furthest = offsets.length > 0 ? offsets[0].ms : 0;
+  return new Date(now.getTime() + furthest);
+}
+
+/**
+ * Who gets a task's or subtask's reminder: its assignees and owner, and on
+ * overdue items the project owner too when `notifyProjectOwner` is set
+ * @param {string} itemType - 'task' or 'subtask'
+ * @param {Object} item - The task or subtask, with its project populated (for its owner)
+ * @param {Object} reminder - From getReminderType
+ * @param {Object} options - { notifyProjectOwner }
+ * @returns {Array<string>} User IDs, without duplicates
+ */
+export function getReminderRecipients(itemType, item, reminder, { notifyProjectOwner = false } = {}) {
+  const recipients = itemType === 'subtask'
+    ? [...(item.assigneeId || []), item.ownerId]
+    : [...(item.assignee || []), item.owner];
+  const project = itemType === 'subtask' ? item.projectId : item.project;
+  if (notifyProjectOwner && reminder.kind === 'overdue' && project?.owner) {
+    recipients.push(project.owner);
+  }
+  return [...new Set(recipients.filter(Boolean).map(id => String(id?._id || id)))];
+}
+
+/**
+ * Whether an update moved an item's due date (which resets its reminders)
+ */
+export function hasDueDateChanged(before, after) {
+  const time = (date) => (date ? new Date(date).getTime() : null);
+  return time(before) !== time(after);
+}
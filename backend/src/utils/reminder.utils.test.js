@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseDuration, parseReminderOffsets, getReminderType, getReminderHorizon, getReminderRecipients,
+  hasDueDateChanged
+} from './reminder.utils.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe('Reminder Utils', () => {
+  const now = new Date('2025-03-03T09:00:00Z');
+  const offsets = parseReminderOffsets('3d,1d,1h');
+
+  describe('parseDuration', () => {
+    it('should parse minutes, hours, days and weeks', () => {
+      expect(parseDuration('30m')).toBe(30 * 60 * 1000);
+      expect(parseDuration('2h')).toBe(2 * HOUR_MS);
+      expect(parseDuration('3d')).toBe(3 * DAY_MS);
+      expect(parseDuration('1W')).toBe(7 * DAY_MS);
+    });
+
+    it('should reject anything else', () => {
+      expect(() => parseDuration('3')).toThrow('Invalid reminder offset "3"');
+      expect(() => parseDuration('0d')).toThrow('Invalid reminder offset');
+      expect(() => parseDuration('1y')).toThrow('Invalid reminder offset');
+    });
+  });
+
+  describe('parseReminderOffsets', () => {
+    it('should use 3d, 1d and 1h by default', () => {
+      expect(parseReminderOffsets(undefined).map(offset => offset.label)).toEqual(['3d', '1d', '1h']);
+      expect(parseReminderOffsets('  ').map(offset => offset.label)).toEqual(['3d', '1d', '1h']);
+    });
+
+    it('should sort furthest first and drop duplicates', () => {
+      const parsed = parseReminderOffsets('1h, 2d, 48h, ,1w');
+      expect(parsed).toEqual([
+        { label: '1w', ms: 7 * DAY_MS },
+        { label: '2d', ms: 2 * DAY_MS },
+        { label: '1h', ms: HOUR_MS }
+      ]);
+    });
+  });
+
+  describe('getReminderType', () => {
+    const dueIn = (ms) => new Date(now.getTime() + ms);
+
+    it('should return null without a due date or before the first offset', () => {
+      expect(getReminderType(null, now, offsets)).toBeNull();
+      expect(getReminderType(dueIn(4 * DAY_MS), now, offsets)).toBeNull();
+    });
+
+    it('should return the closest offset reached before the due date', () => {
+      expect(getReminderType(dueIn(3 * DAY_MS), now, offsets)).toEqual({ type: 'before-3d', kind: 'upcoming' });
+      expect(getReminderType(dueIn(2 * DAY_MS), now, offsets)).toEqual({ type: 'before-3d', kind: 'upcoming' });
+      expect(getReminderType(dueIn(20 * HOUR_MS), now, offsets)).toEqual({ type: 'before-1d', kind: 'upcoming' });
+      expect(getReminderType(dueIn(30 * 60 * 1000), now, offsets)).toEqual({ type: 'before-1h', kind: 'upcoming' });
+    });
+
+    it('should return one overdue reminder per day after the due date', () => {
+      expect(getReminderType(now, now, offsets)).toEqual({ type: 'overdue-1', kind: 'overdue' });
+      expect(getReminderType(dueIn(-23 * HOUR_MS), now, offsets).type).toBe('overdue-1');
+      expect(getReminderType(dueIn(-DAY_MS), now, offsets).type).toBe('overdue-2');
+      expect(getReminderType(dueIn(-5 * DAY_MS - HOUR_MS), now, offsets).type).toBe('overdue-6');
+    });
+  });
+
+  describe('getReminderHorizon', () => {
+    it('should look as far ahead as the furthest offset', () => {
+      expect(getReminderHorizon(now, offsets)).toEqual(new Date(now.getTime() + 3 * DAY_MS));
+      expect(getReminderHorizon(now, [])).toEqual(now);
+    });
+  });
+
+  describe('getReminderRecipients', () => {
+    const upcoming = { type: 'before-1d', kind: 'upcoming' };
+    const overdue = { type: 'overdue-1', kind: 'overdue' };
+    const task = { assignee: ['a', 'b'], owner: 'a', project: { _id: 'p', owner: 'boss' } };
+    const subtask = { assigneeId: ['c', 'd'], ownerId: 'd', projectId: { _id: 'p', owner: 'boss' } };
+
+    it('should remind the assignees and owner once each', () => {
+      expect(getReminderRecipients('task', task, upcoming)).toEqual(['a', 'b']);
+      expect(getReminderRecipients('subtask', subtask, upcoming)).toEqual(['c', 'd']);
+      expect(getReminderRecipients('subtask', { ownerId: 'd' }, upcoming)).toEqual(['d']);
+    });
+
+    it('should add the project owner on overdue items when asked to', () => {
+      const options = { notifyProjectOwner: true };
+      expect(getReminderRecipients('task', task, overdue)).toEqual(['a', 'b']);
+      expect(getReminderRecipients('task', task, upcoming, options)).toEqual(['a', 'b']);
+      expect(getReminderRecipients('task', task, overdue, options)).toEqual(['a', 'b', 'boss']);
+      expect(getReminderRecipients('subtask', subtask, overdue, options)).toEqual(['c', 'd', 'boss']);
+    });
+  });
+
+  describe('hasDueDateChanged', () => {
+    it('should compare due dates by time', () => {
+      expect(hasDueDateChanged(new Date(now), new Date(now))).toBe(false);
+      expect(hasDueDateChanged(now.toISOString(), now)).toBe(false);
+      expect(hasDueDateChanged(null, undefined)).toBe(false);
+      expect(hasDueDateChanged(now, new Date(now.getTime() + DAY_MS))).toBe(true);
+      expect(hasDueDateChanged(now, null)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Utility functions for global search
+ *
+ * MongoDB text search finds the matching documents; these helpers work out which
+ * part of a document matched and cut a short snippet around it. Snippets are plain
+ * text with the matched ranges listed separately, so clients never render HTML
+ * taken from user content.
+ */
+
+export const MIN_QUERY_LENGTH = 2;
+
+export const MAX_QUERY_LENGTH = 100;
+
+const SNIPPET_RADIUS = 60;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Trimmed search query; throws if it is too short or too long
+ */
+export function normalizeSearchQuery(query) {
+  const value = typeof query === 'string' ? query.trim() : '';
+  if (value.length < MIN_QUERY_LENGTH) {
+    throw new Error(`Search query must be at least ${MIN_QUERY_LENGTH} characters`);
+  }
+  if (value.length > MAX_QUERY_LENGTH) {
+    throw new Error(`Search query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+  return value;
+}
+
+/**
+ * Lowercase words to highlight. Excluded words (-word) are dropped and a few
+ * common suffixes are removed, roughly matching MongoDB's stemming so that
+ * "designs" highlights "design" and "designing".
+ */
+export function getSearchTerms(query) {
+  const words = query.toLowerCase().match(/-?[\p{L}\p{N}]+/gu) || [];
+  const terms = words
+    .filter(word => !word.startsWith('-'))
+    .map(word => {
+      const stem = word.replace(/(ing|ed|es|s)$/, '');
+      return stem.length >= 3 ? stem : word;
+    });
+  return [...new Set(terms)];
+}
+
+/**
+ * Regex matching any search term at the start of a word
+ */
+export function buildTermsRegex(terms) {
+  if (terms.length === 0) {
+    return null;
+  }
+  const alternatives = terms.map(escapeRegex).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+/**
+ * Snippet of `text` around the first match, or null when nothing matches.
+ * Returns { text, highlights } where highlights are [start, end) ranges in the snippet.
+ */
+export function buildSnippet(text, terms, radius = SNIPPET_RADIUS) {
+  const regex = buildTermsRegex(terms);
+  if (!text || !regex) {
+    return null;
+  }
+
+  const matches = [...String(text).matchAll(regex)];
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const source = String(text);
+  let start = Math.max(0, matches[0].index - radius);
+  let end = Math.min(source.length, matches[0].index + matches[0][0].length + radius);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    if (space !== -1 && space < matches[0].index) start = space + 1;
+  }
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    if (space > matches[0].index + matches[0][0].length) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+  const highlights = matches
+    .filter(match => match.index >= start && match.index + match[0].length <= end)
+    .map(match => [
+      match.index - start + prefix.length,
+      match.index - start + prefix.length + match[0].length
+    ]);
+
+  return {
+    text: `${prefix}${source.slice(start, end)}${suffix}`,
+    highlights
+  };
+}
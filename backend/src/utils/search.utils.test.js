@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeSearchQuery,
+  getSearchTerms,
+  buildSnippet
+} from './search.utils.js';
+
+const highlighted = (snippet) => snippet.highlights.map(([start, end]) => snippet.text.slice(start, end));
+
+describe('Search Utils', () => {
+  describe('normalizeSearchQuery', () => {
+    it('should trim the query', () => {
+      expect(normalizeSearchQuery('  budget ')).toBe('budget');
+    });
+
+    it('should reject queries that are too short or too long', () => {
+      expect(() => normalizeSearchQuery(' a ')).toThrow('Search query must be at least 2 characters');
+      expect(() => normalizeSearchQuery(undefined)).toThrow('Search query must be at least 2 characters');
+      expect(() => normalizeSearchQuery('x'.repeat(101))).toThrow('Search query must be at most 100 characters');
+    });
+  });
+
+  describe('getSearchTerms', () => {
+    it('should drop excluded words and common suffixes', () => {
+      expect(getSearchTerms('Designs review -draft')).toEqual(['design', 'review']);
+    });
+
+    it('should keep short words whole', () => {
+      expect(getSearchTerms('UI bugs')).toEqual(['ui', 'bug']);
+    });
+  });
+
+  describe('buildSnippet', () => {
+    it('should highlight every match in a short text', () => {
+      const snippet = buildSnippet('Design review for the new design system', ['design']);
+
+      expect(snippet.text).toBe('Design review for the new design system');
+      expect(highlighted(snippet)).toEqual(['Design', 'design']);
+    });
+
+    it('should match words that start with a term', () => {
+      const snippet = buildSnippet('Redesigning the designer tools', ['design']);
+
+      expect(highlighted(snippet)).toEqual(['designer']);
+    });
+
+    it('should cut long text around the first match', () => {
+      const text = `${'lorem ipsum '.repeat(20)}quarterly budget${' dolor sit'.repeat(20)}`;
+      const snippet = buildSnippet(text, ['budget'], 20);
+
+      expect(snippet.text.startsWith('…')).toBe(true);
+      expect(snippet.text.endsWith('…')).toBe(true);
+      expect(highlighted(snippet)).toEqual(['budget']);
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(buildSnippet('Nothing here', ['budget'])).toBeNull();
+      expect(buildSnippet('', ['budget'])).toBeNull();
+    });
+  });
+});
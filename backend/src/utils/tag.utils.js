@@ -0,0 +1,99 @@
+/**
+ * Utility functions for tags
+ *
+ * Projects, tasks and subtasks store tags as arrays of names. Names are
+ * compared case-insensitively, so "Bug" and "bug" are the same tag; the
+ * spelling that was used first is kept. Before the tag registry, tasks and
+ * subtasks stored their tags as one '#'-separated string ("bug#urgent"),
+ * which is still accepted as input.
+ */
+
+export const MAX_TAG_LENGTH = 30;
+
+// Colours given to tags that are created without one
+export const TAG_COLORS = [
+  '#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6',
+  '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16'
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * A tag name without leading '#' and surrounding or repeated whitespace
+ */
+export function normalizeTagName(name) {
+  return String(name ?? '').trim().replace(/^#+/, '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Lower-cased name used to compare tags and to keep registry names unique
+ */
+export function getTagKey(name) {
+  return normalizeTagName(name).toLowerCase();
+}
+
+/**
+ * Unique, non-empty tag names from an array or a legacy '#'-separated string
+ */
+export function normalizeTags(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split('#');
+  const seen = new Set();
+  const tags = [];
+  list.forEach(item => {
+    const name = normalizeTagName(item);
+    const key = name.toLowerCase();
+    if (name && !seen.has(key)) {
+      seen.add(key);
+      tags.push(name);
+    }
+  });
+  return tags;
+}
+
+/**
+ * `tags` with `tag` appended, unless it is already there
+ */
+export function addTagToList(tags, tag) {
+  return normalizeTags([...normalizeTags(tags), tag]);
+}
+
+/**
+ * `tags` without `tag` (ignoring case)
+ */
+export function removeTagFromList(tags, tag) {
+  const key = getTagKey(tag);
+  return normalizeTags(tags).filter(name => name.toLowerCase() !== key);
+}
+
+/**
+ * Whether `color` is a 6-digit hex colour such as "#3b82f6"
+ */
+export function isValidTagColor(color) {
+  return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+}
+
+/**
+ * A colour from TAG_COLORS, always the same one for the same name
+ */
+export function pickTagColor(name) {
+  const key = getTagKey(name);
+  let hash = 0;
+  for (const char of key) {
+    hash = (hash * 31 + char.charCodeAt(0)) % 2147483647;
+  }
+  return TAG_COLORS[hash % TAG_COLORS.length];
+}
+
+/**
+ * Query conditions matching items that have every one of `tags` (ignoring case).
+ * `tags` is an array or a comma-separated list, as sent in query strings.
+ */
+export function buildTagConditions(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+  return normalizeTags(list).map(name => ({
+    tags: new RegExp(`^${escapeRegex(name)}$`, 'i')
+  }));
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TAG_COLORS, normalizeTagName, getTagKey, normalizeTags, addTagToList, removeTagFromList,
+  isValidTagColor, pickTagColor, buildTagConditions
+} from './tag.utils.js';
+
+describe('Tag Utils', () => {
+  describe('normalizeTagName', () => {
+    it('should strip leading # and extra whitespace', () => {
+      expect(normalizeTagName('  #release  ')).toBe('release');
+      expect(normalizeTagName('##needs   review')).toBe('needs review');
+      expect(normalizeTagName(undefined)).toBe('');
+    });
+  });
+
+  describe('getTagKey', () => {
+    it('should lower-case the normalized name', () => {
+      expect(getTagKey(' #Bug ')).toBe('bug');
+    });
+  });
+
+  describe('normalizeTags', () => {
+    it('should keep unique, non-empty names in order, ignoring case', () => {
+      expect(normalizeTags(['Bug', ' urgent ', 'bug', '', '#frontend'])).toEqual(['Bug', 'urgent', 'frontend']);
+    });
+
+    it('should split a legacy #-separated string', () => {
+      expect(normalizeTags('#bug# urgent ##frontend')).toEqual(['bug', 'urgent', 'frontend']);
+      expect(normalizeTags('')).toEqual([]);
+    });
+
+    it('should return an empty array without tags', () => {
+      expect(normalizeTags(undefined)).toEqual([]);
+      expect(normalizeTags(null)).toEqual([]);
+    });
+  });
+
+  describe('addTagToList', () => {
+    it('should append a new tag', () => {
+      expect(addTagToList(['bug', 'urgent'], '#frontend')).toEqual(['bug', 'urgent', 'frontend']);
+      expect(addTagToList([], 'release')).toEqual(['release']);
+    });
+
+    it('should not add a tag twice, ignoring case', () => {
+      expect(addTagToList(['Bug', 'urgent'], 'bug')).toEqual(['Bug', 'urgent']);
+    });
+
+    it('should ignore empty tags', () => {
+      expect(addTagToList(['bug'], '  #  ')).toEqual(['bug']);
+    });
+  });
+
+  describe('removeTagFromList', () => {
+    it('should remove a tag ignoring case', () => {
+      expect(removeTagFromList(['Bug', 'urgent'], 'bug')).toEqual(['urgent']);
+      expect(removeTagFromList(['urgent'], 'missing')).toEqual(['urgent']);
+    });
+  });
+
+  describe('isValidTagColor', () => {
+    it('should only accept 6-digit hex colours', () => {
+      expect(isValidTagColor('#3b82f6')).toBe(true);
+      expect(isValidTagColor('#3B82F6')).toBe(true);
+      expect(isValidTagColor('#fff')).toBe(false);
+      expect(isValidTagColor('blue')).toBe(false);
+      expect(isValidTagColor(undefined)).toBe(false);
+    });
+  });
+
+  describe('pickTagColor', () => {
+    it('should pick the same palette colour for the same name', () => {
+      expect(TAG_COLORS).toContain(pickTagColor('release'));
+      expect(pickTagColor('Release')).toBe(pickTagColor('#release'));
+    });
+  });
+
+  describe('buildTagConditions', () => {
+    it('should build one case-insensitive exact match per tag', () => {
+      const conditions = buildTagConditions('urgent, #Backend');
+
+      expect(conditions).toHaveLength(2);
+      expect(conditions[0].tags.test('URGENT')).toBe(true);
+      expect(conditions[0].tags.test('urgently')).toBe(false);
+      expect(conditions[1].tags.test('backend')).toBe(true);
+    });
+
+    it('should accept arrays and escape regex characters', () => {
+      const [condition] = buildTagConditions(['c++']);
+
+      expect(condition.tags.test('C++')).toBe(true);
+      expect(condition.tags.test('cc')).toBe(false);
+    });
+
+    it('should return no conditions without tags', () => {
+      expect(buildTagConditions(undefined)).toEqual([]);
+      expect(buildTagConditions('')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Utility functions for task templates
+ *
+ * Templates store due dates as whole-day offsets from an anchor date, so a
+ * template saved from a task due on 31 Jan with a subtask due on 28 Jan keeps
+ * the task at offset 0 and the subtask at -3. Instantiating the template with
+ * another anchor date (e.g. 30 Apr) shifts every due date by the same amount.
+ * Items without a due date have a null offset.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an anchor date, throwing on invalid input
+ */
+export function parseAnchorDate(value) {
+  const date = new Date(value);
+  if (value === undefined || value === null || value === '' || isNaN(date.getTime())) {
+    throw new Error('Invalid anchor date');
+  }
+  return date;
+}
+
+/**
+ * Whole days from `anchorDate` to `dueDate` (negative when due before the anchor),
+ * or null when there is no due date
+ */
+export function getDueOffsetDays(dueDate, anchorDate) {
+  if (!dueDate) {
+    return null;
+  }
+  return Math.round((new Date(dueDate).getTime() - new Date(anchorDate).getTime()) / DAY_MS);
+}
+
+/**
+ * Due date `offsetDays` days after `anchorDate` (keeping its time of day),
+ * or null when the offset is null
+ */
+export function applyDueOffset(anchorDate, offsetDays) {
+  if (offsetDays === null || offsetDays === undefined) {
+    return null;
+  }
+  const date = new Date(anchorDate);
+  date.setUTCDate(date.getUTCDate() + offsetDays);
+  return date;
+}
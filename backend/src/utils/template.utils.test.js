@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { parseAnchorDate, getDueOffsetDays, applyDueOffset } from './template.utils.js';
+
+describe('Template Utils', () => {
+  describe('parseAnchorDate', () => {
+    it('should parse ISO dates', () => {
+      expect(parseAnchorDate('2025-04-30').toISOString()).toBe('2025-04-30T00:00:00.000Z');
+    });
+
+    it('should reject missing or invalid dates', () => {
+      expect(() => parseAnchorDate(undefined)).toThrow('Invalid anchor date');
+      expect(() => parseAnchorDate('')).toThrow('Invalid anchor date');
+      expect(() => parseAnchorDate('not a date')).toThrow('Invalid anchor date');
+    });
+  });
+
+  describe('getDueOffsetDays', () => {
+    const anchor = new Date('2025-01-31T00:00:00.000Z');
+
+    it('should count whole days before and after the anchor', () => {
+      expect(getDueOffsetDays(new Date('2025-01-28T00:00:00.000Z'), anchor)).toBe(-3);
+      expect(getDueOffsetDays(new Date('2025-02-07T00:00:00.000Z'), anchor)).toBe(7);
+      expect(getDueOffsetDays(anchor, anchor)).toBe(0);
+    });
+
+    it('should round times of day to the nearest day', () => {
+      expect(getDueOffsetDays(new Date('2025-02-01T15:00:00.000Z'), anchor)).toBe(2);
+      expect(getDueOffsetDays(new Date('2025-02-01T09:00:00.000Z'), anchor)).toBe(1);
+    });
+
+    it('should return null without a due date', () => {
+      expect(getDueOffsetDays(null, anchor)).toBeNull();
+    });
+  });
+
+  describe('applyDueOffset', () => {
+    const anchor = new Date('2025-04-30T09:00:00.000Z');
+
+    it('should shift the anchor by the offset, keeping its time of day', () => {
+      expect(applyDueOffset(anchor, -3).toISOString()).toBe('2025-04-27T09:00:00.000Z');
+      expect(applyDueOffset(anchor, 2).toISOString()).toBe('2025-05-02T09:00:00.000Z');
+    });
+
+    it('should return null for a null offset', () => {
+      expect(applyDueOffset(anchor, null)).toBeNull();
+      expect(applyDueOffset(anchor, undefined)).toBeNull();
+    });
+  });
+});
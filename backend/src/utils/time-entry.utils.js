@@ -0,0 +1,33 @@
+/**
+ * Utility functions for time entry dates
+ *
+ * A time entry records the calendar day the work was done, not a moment in
+ * time. It is stored as midnight UTC of that day, so the day reads the same
+ * wherever it is read and timesheets can bucket entries by their UTC date.
+ * The day comes from the client, which knows the user's local date; a date
+ * string keeps the day it was written with, whatever its time or offset.
+ */
+
+const DATE_PREFIX = /^(\d{4})-(\d{2})-(\d{2})/;
+
+/**
+ * The day of `value` as midnight UTC
+ * @param {string|Date} value - "YYYY-MM-DD", an ISO timestamp (its written date is kept) or a Date (its UTC date)
+ * @returns {Date}
+ */
+export function toEntryDay(value) {
+  const match = typeof value === 'string' ? DATE_PREFIX.exec(value.trim()) : null;
+  if (match) {
+    const day = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    if (isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== match[0]) {
+      throw new Error('Invalid date');
+    }
+    return day;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error('Invalid date');
+  }
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { toEntryDay } from './time-entry.utils.js';
+
+describe('Time Entry Utils', () => {
+  describe('toEntryDay', () => {
+    it('should store a date as midnight UTC of that day', () => {
+      expect(toEntryDay('2025-03-09').toISOString()).toBe('2025-03-09T00:00:00.000Z');
+      expect(toEntryDay(new Date('2025-03-09T15:30:00Z')).toISOString()).toBe('2025-03-09T00:00:00.000Z');
+    });
+
+    it('should keep the local day of a timestamp logged near midnight', () => {
+      // 21:30 on Sunday in New York is already Monday in UTC
+      expect(toEntryDay('2025-03-09T21:30:00-05:00').toISOString()).toBe('2025-03-09T00:00:00.000Z');
+      // 00:15 on Monday in Singapore is still Sunday in UTC
+      expect(toEntryDay('2025-03-10T00:15:00+08:00').toISOString()).toBe('2025-03-10T00:00:00.000Z');
+    });
+
+    it('should reject invalid dates', () => {
+      expect(() => toEntryDay('not-a-date')).toThrow('Invalid date');
+      expect(() => toEntryDay('2025-02-30')).toThrow('Invalid date');
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Utility functions for project workflows
+ *
+ * A project defines its own ordered task statuses, each mapped to one of four
+ * categories (todo, active, blocked, done), and optionally the transitions
+ * allowed between them. Projects without statuses use the default workflow.
+ * Tasks and subtasks store the status name and its category (`statusCategory`),
+ * so boards, recurrence and reports can work off the category.
+ */
+
+export const STATUS_CATEGORIES = ['todo', 'active', 'blocked', 'done'];
+
+// Category names in reports and summaries; they match the default statuses
+export const CATEGORY_LABELS = {
+  todo: 'To Do',
+  active: 'In Progress',
+  blocked: 'Blocked',
+  done: 'Completed'
+};
+
+export const DEFAULT_WORKFLOW_STATUSES = [
+  { name: 'To Do', category: 'todo' },
+  { name: 'In Progress', category: 'active' },
+  { name: 'Blocked', category: 'blocked' },
+  { name: 'Completed', category: 'done' }
+];
+
+export const MAX_WORKFLOW_STATUSES = 12;
+export const MAX_STATUS_NAME_LENGTH = 30;
+
+const DEFAULT_CATEGORY_BY_STATUS = Object.fromEntries(
+  DEFAULT_WORKFLOW_STATUSES.map(status => [status.name, status.category])
+);
+
+const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * Category of a default status name, e.g. for items saved before workflows existed
+ */
+export function getDefaultStatusCategory(status) {
+  return DEFAULT_CATEGORY_BY_STATUS[status] || 'todo';
+}
+
+/**
+ * The project's statuses, or the default ones when it has none
+ * @param {Object} project - Project (or anything with a `workflow`)
+ * @returns {Array} [{ name, category }]
+ */
+export function getWorkflowStatuses(project) {
+  const statuses = project?.workflow?.statuses;
+  return statuses && statuses.length > 0 ? statuses : DEFAULT_WORKFLOW_STATUSES;
+}
+
+export function getStatusNames(project) {
+  return getWorkflowStatuses(project).map(status => status.name);
+}
+
+/**
+ * Category of a status in the project's workflow, or null if the workflow has no such status
+ */
+export function getStatusCategory(project, status) {
+  return getWorkflowStatuses(project).find(entry => entry.name === status)?.category || null;
+}
+
+/**
+ * Category of a task or subtask, also for items without a stored category
+ */
+export function getItemStatusCategory(item) {
+  return item?.statusCategory || getDefaultStatusCategory(item?.status);
+}
+
+export function isDoneCategory(category) {
+  return category === 'done';
+}
+
+/**
+ * Status new items start in: the first status of the "todo" category
+ */
+export function getInitialStatus(project) {
+  const statuses = getWorkflowStatuses(project);
+  return (statuses.find(status => status.category === 'todo') || statuses[0]).name;
+}
+
+/**
+ * Whether the workflow allows moving an item from one status to another.
+ * Without transitions every move is allowed; items in a status the workflow
+ * no longer has can move anywhere.
+ */
+export function canTransition(project, from, to) {
+  const transitions = project?.workflow?.transitions || [];
+  if (from === to || transitions.length === 0 || !getStatusCategory(project, from)) {
+    return true;
+  }
+  return transitions.some(transition => transition.from === from && transition.to === to);
+}
+
+/**
+ * Statuses an item in `from` can be moved to, in workflow order (including `from`)
+ */
+export function getAllowedStatuses(project, from) {
+  return getStatusNames(project).filter(name => canTransition(project, from, name));
+}
+
+/**
+ * Status in another workflow for an item: the same name if it exists there,
+ * otherwise the first status of the same category, otherwise the initial status
+ */
+export function mapStatusToWorkflow(status, category, project) {
+  const statuses = getWorkflowStatuses(project);
+  const match = statuses.find(entry => entry.name === status) ||
+    statuses.find(entry => entry.category === category);
+  return match ? match.name : getInitialStatus(project);
+}
+
+/**
+ * Validate a project's workflow
+ * @param {Object} workflow - { statuses: [{ name, category, previousName }], transitions: [{ from, to }] }
+ * @returns {{ statuses: Array, transitions: Array, renamed: Object }} Clean workflow, and
+ *   old status names mapped to new ones for statuses sent with a `previousName`
+ */
+export function normalizeWorkflow(workflow) {
+  if (!workflow || typeof workflow !== 'object' || !Array.isArray(workflow.statuses)) {
+    throw new Error('Workflow must have a list of statuses');
+  }
+  if (workflow.statuses.length > MAX_WORKFLOW_STATUSES) {
+    throw new Error(`A workflow can have at most ${MAX_WORKFLOW_STATUSES} statuses`);
+  }
+
+  const statuses = [];
+  const renamed = {};
+  workflow.statuses.forEach(entry => {
+    const name = String(entry?.name ?? '').trim();
+    if (!name) {
+      throw new Error('Status name is required');
+    }
+    if (name.length > MAX_STATUS_NAME_LENGTH) {
+      throw new Error(`Status name cannot be longer than ${MAX_STATUS_NAME_LENGTH} characters`);
+    }
+    if (statuses.some(status => sameName(status.name, name))) {
+      throw new Error(`A status named "${name}" already exists`);
+    }
+    if (!STATUS_CATEGORIES.includes(entry.category)) {
+      throw new Error(`Status category must be one of: ${STATUS_CATEGORIES.join(', ')}`);
+    }
+    statuses.push({ name, category: entry.category });
+
+    const previousName = typeof entry.previousName === 'string' ? entry.previousName.trim() : '';
+    if (previousName && previousName !== name) {
+      renamed[previousName] = name;
+    }
+  });
+
+  if (!statuses.some(status => status.category === 'todo') || !statuses.some(status => status.category === 'done')) {
+    throw new Error('A workflow needs at least one "todo" and one "done" status');
+  }
+
+  const names = new Set(statuses.map(status => status.name));
+  const seen = new Set();
+  const transitions = [];
+  (workflow.transitions || []).forEach(transition => {
+    const from = String(transition?.from ?? '').trim();
+    const to = String(transition?.to ?? '').trim();
+    if (!names.has(from) || !names.has(to)) {
+      throw new Error('Transitions can only use statuses of the workflow');
+    }
+    const key = `${from}\n${to}`;
+    if (from !== to && !seen.has(key)) {
+      seen.add(key);
+      transitions.push({ from, to });
+    }
+  });
+
+  return { statuses, transitions, renamed };
+}
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_WORKFLOW_STATUSES, getDefaultStatusCategory, getWorkflowStatuses, getStatusCategory,
+  getItemStatusCategory, getInitialStatus, canTransition, getAllowedStatuses, mapStatusToWorkflow,
+  normalizeWorkflow
+} from './workflow.utils.js';
+
+const project = {
+  workflow: {
+    statuses: [
+      { name: 'Backlog', category: 'todo' },
+      { name: 'In Review', category: 'active' },
+      { name: 'QA', category: 'active' },
+      { name: 'Awaiting Client', category: 'blocked' },
+      { name: 'Shipped', category: 'done' }
+    ],
+    transitions: [
+      { from: 'Backlog', to: 'In Review' },
+      { from: 'In Review', to: 'QA' },
+      { from: 'QA', to: 'In Review' },
+      { from: 'QA', to: 'Shipped' }
+    ]
+  }
+};
+
+describe('Workflow Utils', () => {
+  describe('getWorkflowStatuses', () => {
+    it('should fall back to the default workflow', () => {
+      expect(getWorkflowStatuses({ workflow: { statuses: [] } })).toBe(DEFAULT_WORKFLOW_STATUSES);
+      expect(getWorkflowStatuses(null)).toBe(DEFAULT_WORKFLOW_STATUSES);
+      expect(getWorkflowStatuses(project).map(status => status.name)[0]).toBe('Backlog');
+    });
+  });
+
+  describe('status categories', () => {
+    it('should look up the category of a status in the workflow', () => {
+      expect(getStatusCategory(project, 'QA')).toBe('active');
+      expect(getStatusCategory(project, 'Completed')).toBeNull();
+      expect(getStatusCategory(null, 'Completed')).toBe('done');
+    });
+
+    it('should use the stored category, or the default one for older items', () => {
+      expect(getItemStatusCategory({ status: 'Shipped', statusCategory: 'done' })).toBe('done');
+      expect(getItemStatusCategory({ status: 'Blocked' })).toBe('blocked');
+      expect(getDefaultStatusCategory('Whatever')).toBe('todo');
+    });
+
+    it('should start new items in the first "todo" status', () => {
+      expect(getInitialStatus(project)).toBe('Backlog');
+      expect(getInitialStatus(null)).toBe('To Do');
+    });
+  });
+
+  describe('transitions', () => {
+    it('should only allow listed transitions when the workflow has any', () => {
+      expect(canTransition(project, 'Backlog', 'In Review')).toBe(true);
+      expect(canTransition(project, 'Backlog', 'Shipped')).toBe(false);
+      expect(canTransition(project, 'QA', 'QA')).toBe(true);
+      expect(canTransition(null, 'To Do', 'Completed')).toBe(true);
+    });
+
+    it('should let items in unknown statuses move anywhere', () => {
+      expect(canTransition(project, 'To Do', 'Shipped')).toBe(true);
+    });
+
+    it('should list the statuses an item can move to in workflow order', () => {
+      expect(getAllowedStatuses(project, 'QA')).toEqual(['In Review', 'QA', 'Shipped']);
+    });
+  });
+
+  describe('mapStatusToWorkflow', () => {
+    it('should keep the name, else pick a status of the same category', () => {
+      expect(mapStatusToWorkflow('QA', 'active', project)).toBe('QA');
+      expect(mapStatusToWorkflow('In Progress', 'active', project)).toBe('In Review');
+      expect(mapStatusToWorkflow('Completed', 'done', project)).toBe('Shipped');
+      expect(mapStatusToWorkflow('Shipped', 'done', null)).toBe('Completed');
+    });
+  });
+
+  describe('normalizeWorkflow', () => {
+    it('should clean up statuses and transitions and collect renames', () => {
+      const workflow = normalizeWorkflow({
+        statuses: [
+          { name: ' Backlog ', category: 'todo', previousName: 'To Do' },
+          { name: 'Done', category: 'done', previousName: 'Done' }
+        ],
+        transitions: [
+          { from: 'Backlog', to: 'Done' },
+          { from: 'Backlog', to: 'Done' },
+          { from: 'Done', to: 'Done' }
+        ]
+      });
+
+      expect(workflow).toEqual({
+        statuses: [{ name: 'Backlog', category: 'todo' }, { name: 'Done', category: 'done' }],
+        transitions: [{ from: 'Backlog', to: 'Done' }],
+        renamed: { 'To Do': 'Backlog' }
+      });
+    });
+
+    it('should reject invalid workflows', () => {
+      expect(() => normalizeWorkflow({})).toThrow('Workflow must have a list of statuses');
+      expect(() => normalizeWorkflow({ statuses: [{ name: 'QA', category: 'review' }] }))
+        .toThrow('Status category must be one of: todo, active, blocked, done');
+      expect(() => normalizeWorkflow({
+        statuses: [{ name: 'QA', category: 'todo' }, { name: 'qa', category: 'done' }]
+      })).toThrow('A status named "qa" already exists');
+      expect(() => normalizeWorkflow({ statuses: [{ name: 'QA', category: 'active' }] }))
+        .toThrow('A workflow needs at least one "todo" and one "done" status');
+      expect(() => normalizeWorkflow({
+        statuses: [{ name: 'Open', category: 'todo' }, { name: 'Done', category: 'done' }],
+        transitions: [{ from: 'Open', to: 'Closed' }]
+      })).toThrow('Transitions can only use statuses of the workflow');
+    });
+  });
+});
@@ -10,6 +10,7 @@ import { ProjectProvider } from "./context/ProjectContext";
 import { NotificationProvider } from "./context/NotificationContext";
 import { NotificationCenterProvider } from "./context/NotificationsCenterContext";
 import { SubtaskProvider } from "./context/SubtaskContext";
+import { TagProvider } from "./context/TagContext";
 import { ThemeProvider } from "./context/ThemeContext";
 import { useSocket } from "./hooks/useSocket";
 import NotificationContainer from "./components/common/Notifications/NotificationContainer";
@@ -22,6 +23,8 @@ import ProjectsPage from "./pages/ProjectsPage";
 import ProjectTasksPage from "./pages/ProjectTasksPage";
 import ReportsPage from "./pages/ReportsPage";
 import NotificationsPage from "./pages/NotificationsPage.jsx";
+import TimesheetPage from "./pages/TimesheetPage";
+import SettingsPage from "./pages/SettingsPage";
 
 function SocketManager() {
   useSocket(); // Start the socket connection
@@ -37,69 +40,87 @@ function App() {
             <TaskProvider>
               <ProjectProvider>
                 <SubtaskProvider>
-                  <Router>
-                    <SocketManager />
-                    <Routes>
-                      <Route path="/login" element={<LoginPage />} />
-                      <Route
-                        path="/dashboard"
-                        element={
-                          <ProtectedRoute>
-                            <DashboardPage />
-                          </ProtectedRoute>
-                        }
-                      />
-                      <Route
-                        path="/tasks"
-                        element={
-                          <ProtectedRoute>
-                            <TasksPage />
-                          </ProtectedRoute>
-                        }
-                      />
-                      <Route
-                        path="/projects"
-                        element={
-                          <ProtectedRoute>
-                            <ProjectsPage />
-                          </ProtectedRoute>
-                        }
-                      />
-                      <Route
-                        path="/projects/:projectId/tasks"
-                        element={
-                          <ProtectedRoute>
-                            <ProjectTasksPage />
-                          </ProtectedRoute>
-                        }
-                      />
-                      <Route
-                        path="/notifications"
-                        element={
-                          <ProtectedRoute>
-                            <NotificationsPage />
-                          </ProtectedRoute>
-                        }
-                      />
-                      <Route
-                        path="/reports"
-                        element={
-                          <AdminRoute>
-                            <ReportsPage />
-                          </AdminRoute>
-                        }
-                      />
-                      <Route
-                        path="/"
-                        element={<Navigate to="/dashboard" replace />}
-                      />
-                      <Route
-                        path="*"
-                        element={<Navigate to="/dashboard" replace />}
-                      />
-                    </Routes>
-                    <NotificationContainer />
-                  </Router>
+                  <TagProvider>
+                    <Router>
+                      <SocketManager />
+                      <Routes>
+                        <Route path="/login" element={<LoginPage />} />
+                        <Route
+                          path="/dashboard"
+                          element={
+                            <ProtectedRoute>
+                              <DashboardPage />
+                            </ProtectedRoute>
+                          }
+                        />
+                        <Route
+                          path="/tasks"
+                          element={
+                            <ProtectedRoute>
+                              <TasksPage />
+                            </ProtectedRoute>
+                          }
+                        />
+                        <Route
+                          path="/projects"
+                          element={
+                            <ProtectedRoute>
+                              <ProjectsPage />
+                            </ProtectedRoute>
+                          }
+                        />
+                        <Route
+                          path="/projects/:projectId/tasks"
+                          element={
+                            <ProtectedRoute>
+                              <ProjectTasksPage />
+                            </ProtectedRoute>
+                          }
+                        />
+                        <Route
+                          path="/notifications"
+                          element={
+                            <ProtectedRoute>
+                              <NotificationsPage />
+                            </ProtectedRoute>
+                          }
+                        />
+                        <Route
+                          path="/timesheet"
+                          element={
+                            <ProtectedRoute>
+                              <TimesheetPage />
+                            </ProtectedRoute>
+                          }
+                        />
+                        <Route
+                          path="/settings"
+                          element={
+                            <ProtectedRoute>
+                              <SettingsPage />
+                            </ProtectedRoute>
+                          }
+                        />
+                        <Route
+                          path="/reports"
+                          element={
+                            <AdminRoute>
+                              <ReportsPage />
+                            </AdminRoute>
+                          }
+                        />
+                        <Route
+                          path="/"
+                          element={<Navigate to="/dashboard" replace />}
+                        />
+                        <Route
+                          path="*"
+                          element={<Navigate to="/dashboard" replace />}
+                        />
+                      </Routes>
+                      <NotificationContainer />
+                    </Router>
+                  </TagProvider>
                 </SubtaskProvider>
               </ProjectProvider>
             </TaskProvider>
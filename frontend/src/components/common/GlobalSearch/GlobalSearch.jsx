@@ -0,0 +1,196 @@
+import { useState, useEffect, useRef, useId } from 'react';
+import { useNavigate } from 'react-router-dom';
+import apiService from '../../../services/api';
+import styles from './GlobalSearch.module.css';
+
+const SEARCH_DELAY_MS = 250;
+const MIN_QUERY_LENGTH = 2;
+
+const TYPE_LABELS = {
+  project: 'Project',
+  task: 'Task',
+  subtask: 'Subtask',
+  comment: 'Comment',
+};
+
+// Where a result opens: projects show their task list, everything else is
+// scrolled to on its project's task page
+const resultPath = (result) => (result.type === 'project'
+  ? `/projects/${result.projectId}/tasks`
+  : `/projects/${result.projectId}/tasks?taskId=${result.taskId}`);
+
+/**
+ * Snippet text with the matched ranges wrapped in <mark>
+ */
+function Snippet({ snippet }) {
+  if (!snippet) return null;
+
+  const parts = [];
+  let position = 0;
+  snippet.highlights.forEach(([start, end]) => {
+    if (start > position) parts.push(snippet.text.slice(position, start));
+    parts.push(<mark key={start} className={styles.mark}>{snippet.text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(snippet.text.slice(position));
+
+  return <span className={styles.snippet}>{parts}</span>;
+}
+
+/**
+ * Search box in the header. Ctrl/Cmd+K focuses it; arrow keys move through
+ * the results, Enter opens one and Escape closes the list.
+ */
+function GlobalSearch() {
+  const navigate = useNavigate();
+  const listId = useId();
+  const inputRef = useRef(null);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const trimmed = query.trim();
+
+  useEffect(() => {
+    const handleShortcut = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        inputRef.current?.focus();
+      }
+    };
+    document.addEventListener('keydown', handleShortcut);
+    return () => document.removeEventListener('keydown', handleShortcut);
+  }, []);
+
+  useEffect(() => {
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setError(null);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiService.search(trimmed);
+        if (!cancelled) {
+          setResults(response.data.results);
+          setActiveIndex(-1);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setResults([]);
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [trimmed]);
+
+  const openResult = (result) => {
+    setOpen(false);
+    setQuery('');
+    inputRef.current?.blur();
+    navigate(resultPath(result));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex(index => (results.length === 0 ? -1 : (index + 1) % results.length));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => (results.length === 0 ? -1 : (index <= 0 ? results.length - 1 : index - 1)));
+    } else if (e.key === 'Enter') {
+      const result = results[activeIndex] || results[0];
+      if (result) {
+        e.preventDefault();
+        openResult(result);
+      }
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      inputRef.current?.blur();
+    }
+  };
+
+  const showList = open && trimmed.length >= MIN_QUERY_LENGTH;
+  const optionId = (index) => `${listId}-option-${index}`;
+
+  return (
+    <div className={styles.search}>
+      <input
+        ref={inputRef}
+        type="search"
+        className={styles.input}
+        placeholder="Search… (Ctrl+K)"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        aria-label="Search projects, tasks, subtasks and comments"
+        aria-expanded={showList}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={showList && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+      />
+
+      {showList && (
+        <div className={styles.dropdown}>
+          {loading && results.length === 0 ? (
+            <div className={styles.status}>Searching…</div>
+          ) : error ? (
+            <div className={styles.error}>{error}</div>
+          ) : results.length === 0 ? (
+            <div className={styles.status}>No results for “{trimmed}”</div>
+          ) : (
+            <ul id={listId} role="listbox" className={styles.results}>
+              {results.map((result, index) => (
+                <li
+                  key={`${result.type}-${result.id}`}
+                  id={optionId(index)}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  className={`${styles.result} ${index === activeIndex ? styles.active : ''}`}
+                  // Keep focus in the input so the blur doesn't close the list first
+                  onMouseDown={(e) => e.preventDefault()}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  onClick={() => openResult(result)}
+                >
+                  <div className={styles.resultHeader}>
+                    <span className={`${styles.type} ${styles[result.type]}`}>{TYPE_LABELS[result.type]}</span>
+                    <span className={styles.title}>{result.title}</span>
+                    {result.archived && <span className={styles.archived}>Archived</span>}
+                  </div>
+                  <Snippet snippet={result.snippet} />
+                  {result.type !== 'project' && result.projectName && (
+                    <span className={styles.projectName}>{result.projectName}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GlobalSearch;
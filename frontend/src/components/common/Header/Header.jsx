@@ -4,6 +4,7 @@ import { useNotificationCenter } from '../../../context/NotificationsCenterConte
 import Button from '../Button/Button';
 import styles from './Header.module.css';
 import ThemeToggle from '../ThemeToggle/ThemeToggle';
+import GlobalSearch from '../GlobalSearch/GlobalSearch';
 
 function Header() {
   const { user, logout } = useAuth();
@@ -39,6 +40,9 @@ function Header() {
           <Link to="/projects" className={styles.navLink}>
             Projects
           </Link>
+          <Link to="/timesheet" className={styles.navLink}>
+            Timesheet
+          </Link>
           <Link to="/notifications" className={styles.navLink}>
             Notifications
             {unreadCount > 0 && ( 
@@ -50,12 +54,16 @@ function Header() {
               Report Generation
             </Link>
           )}
+          <Link to="/settings" className={styles.navLink}>
+            Settings
+          </Link>
         </nav>
 
         <div className={styles.userSection}>
           {/* <span className={styles.userName}>
             {user?.name || user?.email || user?.username}
           </span> */}
+          <GlobalSearch />
           <ThemeToggle />
           <Button variant="ghost" size="small" onClick={handleLogout}>
             Logout
@@ -4,6 +4,30 @@ import styles from './NotificationCard.module.css';
 // Enhanced notification display function
 const getNotificationDetails = (notification) => {
   const message = notification.message || '';
+
+  if (notification.type === 'mention') {
+    return {
+      type: 'mention',
+      action: 'mentioned',
+      details: message // "John mentioned you in a comment on task: 'Fix bug'"
+    };
+  }
+
+  if (notification.type === 'reply') {
+    return {
+      type: 'reply',
+      action: 'replied to',
+      details: message // "John replied to your comment on task: 'Fix bug'"
+    };
+  }
+
+  if (notification.type === 'deadline') {
+    return {
+      type: 'deadline',
+      action: 'is due',
+      details: message // 'REMINDER: Subtask "Write tests" Deadline Approaching'
+    };
+  }
   
   // Extract more context from the message
   if (message.includes('commented')) {
@@ -80,6 +104,11 @@ export default function NotificationCard({ notification, onMarkRead, onDelete })
           {notification.projectName && (
             <div>Project: {notification.projectName}</div>
           )}
+
+          {/* Show the due date of deadline reminders */}
+          {notification.type === 'deadline' && notification.deadline && (
+            <div>Due: {new Date(notification.deadline).toLocaleString()}</div>
+          )}
           
           {/* Show archived by if available */}
           {notification.archivedBy && (
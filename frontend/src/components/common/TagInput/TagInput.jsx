@@ -0,0 +1,145 @@
+import { useState, useRef, useEffect, useId } from 'react';
+import { useTags } from '../../../hooks/useTags';
+import TagList from '../TagList/TagList';
+import styles from './TagInput.module.css';
+
+const MAX_SUGGESTIONS = 8;
+
+const normalizeName = (name) => name.trim().replace(/^#+/, '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Tag picker: chips for the chosen tags and a text field that suggests
+ * registered tags (global ones plus the project's own). A name that is not
+ * registered is added with "," (or Enter when nothing is suggested) and joins
+ * the registry when the item is saved.
+ */
+function TagInput({
+  label = 'Tags',
+  value = [],
+  onChange,
+  projectId,
+  placeholder = 'Add a tag...',
+  error,
+  helperText,
+  disabled = false
+}) {
+  const { fetchTags, getTagsForProject } = useTags();
+  const [text, setText] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const containerRef = useRef(null);
+  const inputId = useId();
+
+  // Pick up tags registered since the list was loaded (e.g. typed on other items)
+  useEffect(() => {
+    fetchTags();
+  }, [fetchTags]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const chosenKeys = new Set(value.map(tag => tag.toLowerCase()));
+  const term = normalizeName(text).toLowerCase();
+  const suggestions = getTagsForProject(projectId)
+    .filter(tag => !chosenKeys.has(tag.key) && tag.key.includes(term))
+    .slice(0, MAX_SUGGESTIONS);
+
+  const addTag = (name) => {
+    const tagName = normalizeName(name);
+    if (tagName && !chosenKeys.has(tagName.toLowerCase())) {
+      onChange([...value, tagName]);
+    }
+    setText('');
+    setHighlighted(0);
+  };
+
+  const removeTag = (name) => {
+    onChange(value.filter(tag => tag !== name));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      // Enter picks the highlighted suggestion; "," always adds the typed name
+      e.preventDefault();
+      const suggestion = isOpen && suggestions[highlighted];
+      addTag(suggestion ? suggestion.name : text);
+    } else if (e.key === ',') {
+      e.preventDefault();
+      addTag(text);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setHighlighted(index => Math.min(index + 1, suggestions.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    } else if (e.key === 'Backspace' && !text && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div className={styles.container} ref={containerRef}>
+      {label && (
+        <label htmlFor={inputId} className={styles.label}>{label}</label>
+      )}
+      <div className={`${styles.field} ${error ? styles.hasError : ''} ${disabled ? styles.disabled : ''}`}>
+        <TagList tags={value} projectId={projectId} onRemove={disabled ? undefined : removeTag} />
+        <input
+          id={inputId}
+          type="text"
+          className={styles.input}
+          value={text}
+          placeholder={value.length === 0 ? placeholder : ''}
+          onChange={(e) => {
+            setText(e.target.value);
+            setHighlighted(0);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => text && addTag(text)}
+          onKeyDown={handleKeyDown}
+          disabled={disabled}
+          autoComplete="off"
+        />
+      </div>
+
+      {isOpen && !disabled && suggestions.length > 0 && (
+        <ul className={styles.dropdown} role="listbox">
+          {suggestions.map((tag, index) => (
+            <li
+              key={tag._id}
+              role="option"
+              aria-selected={index === highlighted}
+              className={`${styles.option} ${index === highlighted ? styles.highlighted : ''}`}
+              // mousedown so the choice is made before the input's blur adds the typed text
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(tag.name);
+              }}
+            >
+              <span className={styles.swatch} style={{ backgroundColor: tag.color }} />
+              <span className={styles.name}>{tag.name}</span>
+              {tag.project && <span className={styles.scope}>{tag.project.name || 'Project'}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <div className={styles.errorMessage}>{error}</div>}
+      {!error && helperText && <div className={styles.helperText}>{helperText}</div>}
+    </div>
+  );
+}
+
+export default TagInput;
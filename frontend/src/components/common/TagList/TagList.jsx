@@ -0,0 +1,46 @@
+import { useTags } from '../../../hooks/useTags';
+import styles from './TagList.module.css';
+
+/**
+ * Tag names shown as chips in their registry colour. Tags that are not in the
+ * registry (yet) use the neutral chip style. With `onRemove`, each chip gets a
+ * remove button.
+ */
+function TagList({ tags = [], projectId, onRemove, className = '' }) {
+  const { findTag } = useTags();
+
+  if (!tags || tags.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className={`${styles.list} ${className}`}>
+      {tags.map(name => {
+        const tag = findTag(name, projectId);
+        return (
+          <li
+            key={name}
+            className={styles.tag}
+            style={tag ? { '--tag-color': tag.color } : undefined}
+            title={tag?.description || undefined}
+          >
+            <span className={styles.dot} aria-hidden="true" />
+            {name}
+            {onRemove && (
+              <button
+                type="button"
+                className={styles.remove}
+                onClick={() => onRemove(name)}
+                aria-label={`Remove tag ${name}`}
+              >
+                ×
+              </button>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default TagList;
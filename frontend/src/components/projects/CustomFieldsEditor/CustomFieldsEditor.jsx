@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import Button from '../../common/Button/Button';
+import { CUSTOM_FIELD_TYPES } from '../../tasks/CustomFieldInputs/customFields';
+import styles from './CustomFieldsEditor.module.css';
+
+const OPTION_TYPES = ['select', 'multiselect'];
+
+const toRow = (field) => ({
+  key: field.key,
+  name: field.name,
+  type: field.type,
+  options: (field.options || []).join(', '),
+  required: !!field.required,
+});
+
+/**
+ * Edit a project's custom field definitions. Existing fields keep their key,
+ * so renaming a field keeps its values; their type cannot be changed.
+ * Removing a field removes its values from every task and subtask.
+ *
+ * Props:
+ * - fields: Array - The project's current definitions
+ * - onSave: Function - Called with the new definitions, resolves to { success, error }
+ * - onCancel: Function - Close without saving
+ */
+export default function CustomFieldsEditor({ fields = [], onSave, onCancel }) {
+  const [rows, setRows] = useState(() => fields.map(toRow));
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const updateRow = (index, changes) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+    setError(null);
+  };
+
+  const addRow = () => {
+    setRows(prev => [...prev, { key: null, name: '', type: 'text', options: '', required: false }]);
+  };
+
+  const removeRow = (index) => {
+    const row = rows[index];
+    if (row.key && !window.confirm(`Remove "${row.name}"? Its values are removed from every task and subtask.`)) {
+      return;
+    }
+    setRows(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (rows.some(row => !row.name.trim())) {
+      setError('Every field needs a name');
+      return;
+    }
+    const missingOptions = rows.find(row => OPTION_TYPES.includes(row.type) && !row.options.trim());
+    if (missingOptions) {
+      setError(`${missingOptions.name} needs at least one option`);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const result = await onSave(rows.map(row => ({
+        ...(row.key && { key: row.key }),
+        name: row.name.trim(),
+        type: row.type,
+        options: OPTION_TYPES.includes(row.type)
+          ? row.options.split(',').map(option => option.trim()).filter(Boolean)
+          : [],
+        required: row.required,
+      })));
+      if (result && !result.success) {
+        setError(result.error || 'Failed to save custom fields');
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className={styles.editor} onSubmit={handleSubmit}>
+      <h2>Custom Fields</h2>
+      <p className={styles.hint}>
+        Extra fields shown on every task and subtask of this project, e.g. a cost centre or a
+        story-point estimate. They can be filtered on and are included in reports.
+      </p>
+
+      {rows.length === 0 && <p className={styles.empty}>This project has no custom fields.</p>}
+
+      {rows.map((row, index) => (
+        <div key={row.key || `new-${index}`} className={styles.row}>
+          <input
+            type="text"
+            value={row.name}
+            onChange={(e) => updateRow(index, { name: e.target.value })}
+            placeholder="Field name"
+            maxLength={50}
+            aria-label="Field name"
+            className={styles.nameInput}
+          />
+          <select
+            value={row.type}
+            onChange={(e) => updateRow(index, { type: e.target.value })}
+            disabled={!!row.key}
+            aria-label="Field type"
+            className={styles.typeSelect}
+          >
+            {CUSTOM_FIELD_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+          {OPTION_TYPES.includes(row.type) && (
+            <input
+              type="text"
+              value={row.options}
+              onChange={(e) => updateRow(index, { options: e.target.value })}
+              placeholder="Options, comma separated"
+              aria-label="Options"
+              className={styles.optionsInput}
+            />
+          )}
+          <label className={styles.requiredLabel}>
+            <input
+              type="checkbox"
+              checked={row.required}
+              onChange={(e) => updateRow(index, { required: e.target.checked })}
+            />
+            Required
+          </label>
+          <Button variant="danger" size="small" onClick={() => removeRow(index)} disabled={isSaving}>
+            Remove
+          </Button>
+        </div>
+      ))}
+
+      <div>
+        <Button variant="secondary" size="small" onClick={addRow} disabled={isSaving || rows.length >= 20}>
+          + Add Field
+        </Button>
+      </div>
+
+      {error && <p className={styles.error}>{error}</p>}
+
+      <div className={styles.actions}>
+        <Button variant="secondary" onClick={onCancel} disabled={isSaving}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Save'}
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import Button from '../../common/Button/Button';
+import { todayInputValue } from '../../tasks/TaskTemplates/templates';
+import styles from './DuplicateProjectForm.module.css';
+
+/**
+ * Ask for the name and start date of a project copy. Every task and subtask
+ * is copied with its due date moved by as many days as the start date is
+ * after the original project's creation date.
+ *
+ * Props:
+ * - project: Object - Project being copied
+ * - onSubmit: Function - Called with { name, startDate }
+ * - onCancel: Function - Close without copying
+ */
+export default function DuplicateProjectForm({ project, onSubmit, onCancel }) {
+  const [name, setName] = useState(`${project.name} (copy)`);
+  const [startDate, setStartDate] = useState(todayInputValue());
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || !startDate) return;
+
+    setIsSaving(true);
+    try {
+      await onSubmit({ name: name.trim(), startDate });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className={styles.duplicateForm} onSubmit={handleSubmit}>
+      <h2>Duplicate Project</h2>
+      <p className={styles.hint}>
+        All active tasks and subtasks are copied and reset to &quot;To Do&quot;. Comments and
+        logged time are not copied.
+      </p>
+
+      <label className={styles.field}>
+        Project name
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          required
+        />
+      </label>
+
+      <label className={styles.field}>
+        Start date
+        <input
+          type="date"
+          value={startDate}
+          min={todayInputValue()}
+          onChange={(e) => setStartDate(e.target.value)}
+          required
+        />
+      </label>
+
+      <div className={styles.actions}>
+        <Button variant="secondary" onClick={onCancel} disabled={isSaving}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" disabled={!name.trim() || !startDate || isSaving}>
+          {isSaving ? 'Duplicating...' : 'Duplicate'}
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -9,6 +9,7 @@
  * - Prevents navigation to tasks when user lacks access (canViewTasks = false)
  * - Role-based permission checks for editing projects
  * - Admin-only archive/unarchive controls
+ * - Users with task access can duplicate the project
  * - Manager with task access can edit projects
  * - Uses ARIA attributes for accessibility
  *
@@ -19,14 +20,16 @@
  * - onEdit: Function - Callback to edit the project
  * - onArchive: Function - Callback to archive the project
  * - onUnarchive: Function - Callback to unarchive the project
+ * - onDuplicate: Function - Callback to duplicate the project
  */
 
 import { useNavigate } from 'react-router-dom';
 import Button from '../../common/Button/Button';
 import Card from '../../common/Card/Card';
+import TagList from '../../common/TagList/TagList';
 import styles from './ProjectCard.module.css';
 
-function ProjectCard({ project, canViewTasks = true, currentUser, onEdit, onArchive, onUnarchive }) {
+function ProjectCard({ project, canViewTasks = true, currentUser, onEdit, onArchive, onUnarchive, onDuplicate }) {
   const navigate = useNavigate();
 
   // Calculate permissions based on user role and task access
@@ -41,6 +44,9 @@ function ProjectCard({ project, canViewTasks = true, currentUser, onEdit, onArch
   // Can archive/unarchive only if: admin
   const canArchive = isAdmin;
 
+  // Can duplicate if: admin, or anyone who can see the tasks being copied
+  const canDuplicate = Boolean(onDuplicate) && !project.archived && (isAdmin || canViewTasks);
+
   const getStatusBadgeClass = (status) => {
     switch (status) {
       case 'To Do':
@@ -134,15 +140,7 @@ function ProjectCard({ project, canViewTasks = true, currentUser, onEdit, onArch
           </div>
         </div>
 
-        {project.tags && project.tags.length > 0 && (
-          <div className={styles.tags}>
-            {project.tags.map((tag, index) => (
-              <span key={index} className={styles.tag}>
-                {tag}
-              </span>
-            ))}
-          </div>
-        )}
+        <TagList tags={project.tags} className={styles.tags} />
 
         {!canViewTasks && (
           <div className={styles.accessMessage}>
@@ -156,6 +154,11 @@ function ProjectCard({ project, canViewTasks = true, currentUser, onEdit, onArch
               Edit
             </Button>
           )}
+          {canDuplicate && (
+            <Button variant="secondary" size="small" onClick={(e) => { e.stopPropagation(); onDuplicate(project); }}>
+              Duplicate
+            </Button>
+          )}
           {canArchive && (
             !project.archived ? (
               <Button variant="warning" size="small" onClick={(e) => { e.stopPropagation(); onArchive(project._id); }}>
@@ -1,11 +1,15 @@
+import { useState } from 'react';
 import { useForm } from 'react-hook-form';
 import Button from '../../common/Button/Button';
 import Input from '../../common/Input/Input';
+import TagInput from '../../common/TagInput/TagInput';
 import Card from '../../common/Card/Card';
 import styles from './ProjectForm.module.css';
 
 function ProjectForm({ project, onSubmit, onCancel }) {
   const isEditing = !!project;
+  // Project tags are global tags, so only global tags are suggested
+  const [tags, setTags] = useState(project?.tags || []);
 
   const {
     register,
@@ -18,15 +22,14 @@ function ProjectForm({ project, onSubmit, onCancel }) {
       status: project?.status || 'To Do',
       priority: project?.priority || '',
       dueDate: project?.dueDate ? new Date(project.dueDate).toISOString().split('T')[0] : '',
-      tags: project?.tags?.join(', ') || '',
+      requireChecklistCompletion: project?.requireChecklistCompletion || false,
     },
   });
 
   const onFormSubmit = async (data) => {
-    // Convert tags from comma-separated string to array
     const formattedData = {
       ...data,
-      tags: data.tags ? data.tags.split(',').map(tag => tag.trim()).filter(tag => tag) : [],
+      tags,
       priority: data.priority ? Number(data.priority) : undefined,
       dueDate: data.dueDate || undefined,
     };
@@ -122,13 +125,17 @@ function ProjectForm({ project, onSubmit, onCancel }) {
             placeholder="Optional"
           />
 
-          <Input
-            label="Tags"
-            {...register('tags')}
-            error={errors.tags?.message}
-            placeholder="#frontend,#urgent,#backend (hashtag-separated)"
+          <TagInput
+            value={tags}
+            onChange={setTags}
+            placeholder="e.g., frontend, urgent, backend"
           />
 
+          <label className={styles.checkboxLabel}>
+            <input type="checkbox" {...register('requireChecklistCompletion')} />
+            Tasks and subtasks can only be completed once every checklist item is checked
+          </label>
+
           <div className={styles.actions}>
             <Button
               type="button"
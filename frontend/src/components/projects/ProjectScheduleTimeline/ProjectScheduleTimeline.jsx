@@ -1,5 +1,6 @@
 import React, { useMemo, useState, useRef, useEffect } from "react";
 import styles from "./ProjectScheduleTimeline.module.css";
+import { isDone } from "../WorkflowEditor/workflow";
 
 function getMonthMeta(baseDate = new Date()) {
   const y = baseDate.getFullYear();
@@ -21,7 +22,7 @@ function formatDDMMYYYY(dateStr) {
   ).padStart(2, "0")}/${d.getFullYear()}`;
 }
 
-export default function ProjectScheduleTimeline({ tasks = [], members = [] }) {
+export default function ProjectScheduleTimeline({ tasks = [], members = [], dependencies = [] }) {
   const [cursor, setCursor] = useState(() => new Date());
   const [hideWeekends, setHideWeekends] = useState(false);
 
@@ -112,6 +113,47 @@ export default function ProjectScheduleTimeline({ tasks = [], members = [] }) {
     setTodayLineLeft(left);
   }, [todayColIdx, visibleDays.length, meta.year, meta.monthIndex, hideWeekends]);
 
+  // Dependency arrows: remember the first chip rendered for each task and
+  // draw blocker -> blocked arrows between them on an SVG overlay
+  const chipRefs = useRef(new Map());
+  const registerChip = (taskId) => (el) => {
+    if (el && !chipRefs.current.has(taskId)) {
+      chipRefs.current.set(taskId, el);
+    }
+  };
+  chipRefs.current = new Map();
+
+  const [arrows, setArrows] = useState([]);
+  useEffect(() => {
+    const computeArrows = () => {
+      const grid = gridRef.current;
+      if (!grid) return;
+      const gridRect = grid.getBoundingClientRect();
+      const next = [];
+      dependencies
+        .filter((d) => d.blockerType === "task" && d.blockedType === "task")
+        .forEach((d) => {
+          const from = chipRefs.current.get(String(d.blocker));
+          const to = chipRefs.current.get(String(d.blocked));
+          if (!from || !to) return;
+          const fromRect = from.getBoundingClientRect();
+          const toRect = to.getBoundingClientRect();
+          next.push({
+            id: d._id,
+            x1: fromRect.right - gridRect.left,
+            y1: fromRect.top - gridRect.top + fromRect.height / 2,
+            x2: toRect.left - gridRect.left,
+            y2: toRect.top - gridRect.top + toRect.height / 2,
+          });
+        });
+      setArrows(next);
+    };
+
+    computeArrows();
+    window.addEventListener("resize", computeArrows);
+    return () => window.removeEventListener("resize", computeArrows);
+  }, [dependencies, tasks, visibleDays, members]);
+
   return (
     <div className={styles.wrapper}>
       <div className={styles.toolbar}>
@@ -238,14 +280,15 @@ export default function ProjectScheduleTimeline({ tasks = [], members = [] }) {
                   {showTasks.map((task, idx) => {
                     const overdue =
                       new Date(task.dueDate).setHours(0, 0, 0, 0) < today &&
-                      task.status !== "Completed";
+                      !isDone(task);
                     const approaching =
                       new Date(task.dueDate).setHours(0, 0, 0, 0) >= today &&
                       (new Date(task.dueDate).setHours(0, 0, 0, 0) - today) / 86400000 <= 7 &&
-                      task.status !== "Completed";
+                      !isDone(task);
                     return (
                       <div
                         key={task._id + "-" + idx}
+                        ref={registerChip(String(task._id))}
                         className={`${styles.item} ${overdue ? styles.overdue : approaching ? styles.approaching : styles.normal}`}
                         title={`Title: ${task.title}
 Due: ${formatDDMMYYYY(task.dueDate)}
@@ -275,6 +318,34 @@ Click for details`}
             })}
           </React.Fragment>
         ))}
+
+        {arrows.length > 0 && (
+          <svg className={styles.dependencyOverlay} aria-hidden="true">
+            <defs>
+              <marker
+                id="dependency-arrowhead"
+                markerWidth="8"
+                markerHeight="8"
+                refX="7"
+                refY="4"
+                orient="auto"
+              >
+                <path d="M0,0 L8,4 L0,8 z" className={styles.dependencyArrowHead} />
+              </marker>
+            </defs>
+            {arrows.map((a) => {
+              const bend = Math.max(30, Math.abs(a.x2 - a.x1) / 2);
+              return (
+                <path
+                  key={a.id}
+                  className={styles.dependencyArrow}
+                  d={`M${a.x1},${a.y1} C${a.x1 + bend},${a.y1} ${a.x2 - bend},${a.y2} ${a.x2},${a.y2}`}
+                  markerEnd="url(#dependency-arrowhead)"
+                />
+              );
+            })}
+          </svg>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,213 @@
+import { useState } from 'react';
+import Button from '../../common/Button/Button';
+import { STATUS_CATEGORIES, getWorkflowStatuses } from './workflow';
+import styles from './WorkflowEditor.module.css';
+
+const MAX_STATUSES = 12;
+
+// Rows and transitions use a stable id, so renaming a status keeps its transitions
+const toRow = (status) => ({
+  id: status.name,
+  name: status.name,
+  category: status.category,
+  previousName: status.name,
+});
+
+let nextRowId = 0;
+
+/**
+ * Edit a project's workflow: its ordered statuses, the category of each
+ * (To Do, In Progress, Blocked, Completed) and optionally the moves allowed
+ * between them. Renamed statuses keep their tasks; tasks in a removed status
+ * move to the first status of the same category.
+ *
+ * Props:
+ * - project: Object - The project, with its current `workflow`
+ * - onSave: Function - Called with the new workflow, resolves to { success, error }
+ * - onCancel: Function - Close without saving
+ */
+export default function WorkflowEditor({ project, onSave, onCancel }) {
+  const [rows, setRows] = useState(() => getWorkflowStatuses(project).map(toRow));
+  const [transitions, setTransitions] = useState(() => (project?.workflow?.transitions || [])
+    .map(transition => ({ from: transition.from, to: transition.to })));
+  const [restrictTransitions, setRestrictTransitions] = useState(
+    () => (project?.workflow?.transitions || []).length > 0
+  );
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const updateRow = (index, changes) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+    setError(null);
+  };
+
+  const moveRow = (index, offset) => {
+    setRows(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const addRow = () => {
+    nextRowId += 1;
+    setRows(prev => [...prev, { id: `new-${nextRowId}`, name: '', category: 'active', previousName: null }]);
+  };
+
+  const removeRow = (index) => {
+    const row = rows[index];
+    if (row.previousName && !window.confirm(`Remove "${row.name}"? Its tasks move to another status of the same category.`)) {
+      return;
+    }
+    setRows(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const isAllowed = (from, to) => transitions.some(transition => transition.from === from && transition.to === to);
+
+  const toggleTransition = (from, to) => {
+    setTransitions(prev => (isAllowed(from, to)
+      ? prev.filter(transition => !(transition.from === from && transition.to === to))
+      : [...prev, { from, to }]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const namesById = Object.fromEntries(rows.map(row => [row.id, row.name.trim()]));
+    if (rows.some(row => !namesById[row.id])) {
+      setError('Every status needs a name');
+      return;
+    }
+    if (!rows.some(row => row.category === 'todo') || !rows.some(row => row.category === 'done')) {
+      setError('The workflow needs at least one "To Do" and one "Completed" status');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const result = await onSave({
+        statuses: rows.map(row => ({
+          name: row.name.trim(),
+          category: row.category,
+          ...(row.previousName && { previousName: row.previousName }),
+        })),
+        transitions: restrictTransitions
+          ? transitions
+            .filter(transition => namesById[transition.from] && namesById[transition.to])
+            .map(transition => ({ from: namesById[transition.from], to: namesById[transition.to] }))
+          : [],
+      });
+      if (result && !result.success) {
+        setError(result.error || 'Failed to save workflow');
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const namedRows = rows.filter(row => row.name.trim());
+
+  return (
+    <form className={styles.editor} onSubmit={handleSubmit}>
+      <h2>Workflow</h2>
+      <p className={styles.hint}>
+        The statuses of this project's tasks and subtasks, in board order. The category of a
+        status decides how it counts on the board, for recurring tasks and in reports.
+      </p>
+
+      {rows.map((row, index) => (
+        <div key={row.id} className={styles.row}>
+          <input
+            type="text"
+            value={row.name}
+            onChange={(e) => updateRow(index, { name: e.target.value })}
+            placeholder="Status name"
+            maxLength={30}
+            aria-label="Status name"
+            className={styles.nameInput}
+          />
+          <select
+            value={row.category}
+            onChange={(e) => updateRow(index, { category: e.target.value })}
+            aria-label="Status category"
+            className={styles.categorySelect}
+          >
+            {STATUS_CATEGORIES.map(category => (
+              <option key={category.value} value={category.value}>{category.label}</option>
+            ))}
+          </select>
+          <Button variant="ghost" size="small" onClick={() => moveRow(index, -1)} disabled={isSaving || index === 0}>
+            ↑
+          </Button>
+          <Button
+            variant="ghost"
+            size="small"
+            onClick={() => moveRow(index, 1)}
+            disabled={isSaving || index === rows.length - 1}
+          >
+            ↓
+          </Button>
+          <Button variant="danger" size="small" onClick={() => removeRow(index)} disabled={isSaving || rows.length <= 2}>
+            Remove
+          </Button>
+        </div>
+      ))}
+
+      <div>
+        <Button variant="secondary" size="small" onClick={addRow} disabled={isSaving || rows.length >= MAX_STATUSES}>
+          + Add Status
+        </Button>
+      </div>
+
+      <label className={styles.checkboxLabel}>
+        <input
+          type="checkbox"
+          checked={restrictTransitions}
+          onChange={(e) => setRestrictTransitions(e.target.checked)}
+        />
+        Only allow selected moves between statuses
+      </label>
+
+      {restrictTransitions && namedRows.length > 1 && (
+        <table className={styles.transitions}>
+          <thead>
+            <tr>
+              <th scope="col">From \ To</th>
+              {namedRows.map(row => <th key={row.id} scope="col">{row.name}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {namedRows.map(from => (
+              <tr key={from.id}>
+                <th scope="row">{from.name}</th>
+                {namedRows.map(to => (
+                  <td key={to.id}>
+                    {from.id !== to.id && (
+                      <input
+                        type="checkbox"
+                        checked={isAllowed(from.id, to.id)}
+                        onChange={() => toggleTransition(from.id, to.id)}
+                        aria-label={`Allow moving from ${from.name} to ${to.name}`}
+                      />
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {error && <p className={styles.error}>{error}</p>}
+
+      <div className={styles.actions}>
+        <Button variant="secondary" onClick={onCancel} disabled={isSaving}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Save'}
+        </Button>
+      </div>
+    </form>
+  );
+}
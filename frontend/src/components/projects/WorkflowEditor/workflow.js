@@ -0,0 +1,79 @@
+// Helpers shared by the board, status popup, forms and cards.
+// Workflows and status categories are defined in backend/src/utils/workflow.utils.js.
+
+export const STATUS_CATEGORIES = [
+  { value: 'todo', label: 'To Do' },
+  { value: 'active', label: 'In Progress' },
+  { value: 'blocked', label: 'Blocked' },
+  { value: 'done', label: 'Completed' },
+];
+
+export const CATEGORY_LABELS = Object.fromEntries(
+  STATUS_CATEGORIES.map(category => [category.value, category.label])
+);
+
+export const DEFAULT_WORKFLOW_STATUSES = [
+  { name: 'To Do', category: 'todo' },
+  { name: 'In Progress', category: 'active' },
+  { name: 'Blocked', category: 'blocked' },
+  { name: 'Completed', category: 'done' },
+];
+
+// One column per category, e.g. for boards with tasks of several projects
+export const CATEGORY_STATUSES = STATUS_CATEGORIES.map(category => ({
+  name: category.label,
+  category: category.value,
+}));
+
+const DEFAULT_CATEGORY_BY_STATUS = Object.fromEntries(
+  DEFAULT_WORKFLOW_STATUSES.map(status => [status.name, status.category])
+);
+
+/**
+ * The project's statuses ({ name, category }), or the default ones when it has none
+ */
+export function getWorkflowStatuses(project) {
+  const statuses = project?.workflow?.statuses;
+  return statuses && statuses.length > 0 ? statuses : DEFAULT_WORKFLOW_STATUSES;
+}
+
+/**
+ * Category of a task or subtask, also for items saved before workflows existed
+ */
+export function getItemStatusCategory(item) {
+  return item?.statusCategory || DEFAULT_CATEGORY_BY_STATUS[item?.status] || 'todo';
+}
+
+export function isDone(item) {
+  return getItemStatusCategory(item) === 'done';
+}
+
+export function getInitialStatus(project) {
+  const statuses = getWorkflowStatuses(project);
+  return (statuses.find(status => status.category === 'todo') || statuses[0]).name;
+}
+
+/**
+ * Statuses an item in `from` can be moved to, in workflow order (including `from`).
+ * Without transitions every move is allowed.
+ */
+export function getAllowedStatuses(project, from) {
+  const statuses = getWorkflowStatuses(project);
+  const transitions = project?.workflow?.transitions || [];
+  const known = statuses.some(status => status.name === from);
+  return statuses
+    .map(status => status.name)
+    .filter(name => name === from || transitions.length === 0 || !known ||
+      transitions.some(transition => transition.from === from && transition.to === name));
+}
+
+/**
+ * Status of the project's workflow for a status of another workflow: the same name
+ * if the project has it, else its first status of the same category
+ */
+export function mapStatusToWorkflow(status, category, project) {
+  const statuses = getWorkflowStatuses(project);
+  const match = statuses.find(entry => entry.name === status) ||
+    statuses.find(entry => entry.category === category);
+  return match ? match.name : getInitialStatus(project);
+}
@@ -0,0 +1,157 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import Button from '../../common/Button/Button';
+import apiService from '../../../services/api';
+import { useAuth } from '../../../context/AuthContext';
+import { useNotifications } from '../../../hooks/useNotifications';
+import { ALLOWED_EXTENSIONS, formatFileSize, getAttachmentError } from './attachmentRules';
+import styles from './AttachmentsPanel.module.css';
+
+/**
+ * Files attached to a task or subtask, including those added to its comments.
+ * Files can be deleted by whoever uploaded them, the item's owner and admins.
+ */
+export default function AttachmentsPanel({ itemType = 'task', itemId, ownerId, canUpload = false }) {
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isUploading, setIsUploading] = useState(false);
+  const fileInputRef = useRef(null);
+  const { user } = useAuth();
+  const { addNotification } = useNotifications();
+
+  const fetchAttachments = useCallback(async () => {
+    if (!itemId) return;
+    try {
+      setLoading(true);
+      const response = await apiService.getAttachments(itemType, itemId);
+      setAttachments(response.data || []);
+    } catch (error) {
+      console.error('Error fetching attachments:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [itemType, itemId]);
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [fetchAttachments]);
+
+  const handleFilesSelected = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const error = getAttachmentError(files);
+    if (error) {
+      addNotification(error, 'error');
+      return;
+    }
+
+    setIsUploading(true);
+    try {
+      const response = await apiService.uploadAttachments(itemType, itemId, files);
+      addNotification(response.message || 'Files uploaded successfully', 'success');
+      await fetchAttachments();
+    } catch (error) {
+      addNotification(error.message || 'Failed to upload files', 'error');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      await apiService.downloadAttachment(attachment);
+    } catch (error) {
+      addNotification(error.message || 'Failed to download file', 'error');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.originalName}?`)) return;
+    try {
+      await apiService.deleteAttachment(attachment._id);
+      addNotification('Attachment deleted successfully', 'success');
+      setAttachments(prev => prev.filter(a => a._id !== attachment._id));
+    } catch (error) {
+      addNotification(error.message || 'Failed to delete attachment', 'error');
+    }
+  };
+
+  const canDelete = (attachment) => {
+    if (!user) return false;
+    const userId = user.id || user._id;
+    return user.roles?.includes('admin')
+      || attachment.uploadedBy?._id === userId
+      || (ownerId?._id || ownerId) === userId;
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  return (
+    <div className={styles.attachmentSection}>
+      <div className={styles.header}>
+        <h4>Attachments{attachments.length > 0 ? ` (${attachments.length})` : ''}</h4>
+        {canUpload && (
+          <>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={ALLOWED_EXTENSIONS.join(',')}
+              className={styles.fileInput}
+              onChange={handleFilesSelected}
+            />
+            <Button
+              variant="secondary"
+              size="small"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isUploading}
+            >
+              {isUploading ? 'Uploading...' : 'Add Files'}
+            </Button>
+          </>
+        )}
+      </div>
+
+      {attachments.length > 0 ? (
+        <ul className={styles.attachmentList}>
+          {attachments.map(attachment => (
+            <li key={attachment._id} className={styles.attachmentItem}>
+              <button
+                type="button"
+                className={styles.fileName}
+                onClick={() => handleDownload(attachment)}
+                title="Download"
+              >
+                {attachment.originalName}
+              </button>
+              <span className={styles.meta}>
+                {formatFileSize(attachment.size)}
+                {' · '}
+                {attachment.uploadedBy?.username || 'Unknown user'}
+                {' · '}
+                {new Date(attachment.createdAt).toLocaleDateString()}
+                {attachment.comment && ' · in a comment'}
+              </span>
+              {canDelete(attachment) && (
+                <button
+                  type="button"
+                  className={styles.removeButton}
+                  onClick={() => handleDelete(attachment)}
+                  aria-label={`Delete ${attachment.originalName}`}
+                  title="Delete attachment"
+                >
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className={styles.empty}>No files attached</p>
+      )}
+    </div>
+  );
+}
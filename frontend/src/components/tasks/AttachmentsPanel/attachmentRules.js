@@ -0,0 +1,32 @@
+// Must match the limits in backend/src/utils/attachment.utils.js
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_UPLOAD = 5;
+export const ALLOWED_EXTENSIONS = [
+  '.pdf', '.png', '.jpg', '.jpeg', '.gif', '.webp', '.txt', '.csv',
+  '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.zip'
+];
+
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 102.4) / 10} KB`;
+  return `${Math.round(bytes / (1024 * 102.4)) / 10} MB`;
+}
+
+/**
+ * Error message for files the server would reject, or null when they are fine
+ */
+export function getAttachmentError(files) {
+  if (files.length > MAX_ATTACHMENTS_PER_UPLOAD) {
+    return `You can upload at most ${MAX_ATTACHMENTS_PER_UPLOAD} files at once`;
+  }
+  for (const file of files) {
+    const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+    if (!file.name.includes('.') || !ALLOWED_EXTENSIONS.includes(extension)) {
+      return `${file.name} is not an allowed file type`;
+    }
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      return `${file.name} is larger than ${formatFileSize(MAX_ATTACHMENT_SIZE)}`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import Button from '../../common/Button/Button';
+import apiService from '../../../services/api';
+import { useNotifications } from '../../../hooks/useNotifications';
+import { DEFAULT_WORKFLOW_STATUSES } from '../../projects/WorkflowEditor/workflow';
+import styles from './BulkActionBar.module.css';
+
+const DEFAULT_STATUS_OPTIONS = DEFAULT_WORKFLOW_STATUSES.map(status => status.name);
+const PRIORITY_OPTIONS = Array.from({ length: 10 }, (_, i) => i + 1);
+
+// Actions offered in the bar; `input` is the kind of value each one needs
+const ACTIONS = [
+  { value: 'status', label: 'Set status', input: 'status' },
+  { value: 'priority', label: 'Set priority', input: 'priority' },
+  { value: 'addAssignee', label: 'Add assignee', input: 'text', placeholder: 'Username' },
+  { value: 'removeAssignee', label: 'Remove assignee', input: 'text', placeholder: 'Username' },
+  { value: 'addTag', label: 'Add tag', input: 'text', placeholder: 'Tag' },
+  { value: 'archive', label: 'Archive', archived: false },
+  { value: 'unarchive', label: 'Unarchive', archived: true },
+];
+
+const defaultValueFor = (action, statuses) => {
+  if (action?.input === 'status') return statuses[0];
+  if (action?.input === 'priority') return '5';
+  return '';
+};
+
+/**
+ * Apply one action to every selected task. Tasks that fail (e.g. no
+ * permission) stay selected so they can be retried or checked one by one.
+ * `statuses` are the status names offered, e.g. the project's workflow.
+ */
+export default function BulkActionBar({
+  selectedIds,
+  totalCount,
+  showArchived = false,
+  onSelectAll,
+  onClear,
+  onSelectionChange,
+  onComplete,
+  statuses = DEFAULT_STATUS_OPTIONS,
+}) {
+  const actions = ACTIONS.filter((action) => action.archived === undefined || action.archived === showArchived);
+  const [actionName, setActionName] = useState(actions[0].value);
+  const [value, setValue] = useState(defaultValueFor(actions[0], statuses));
+  const [isApplying, setIsApplying] = useState(false);
+  const { addNotification } = useNotifications();
+
+  if (selectedIds.length === 0) {
+    return null;
+  }
+
+  const action = actions.find((item) => item.value === actionName) || actions[0];
+  const needsValue = Boolean(action.input);
+  const canApply = !isApplying && (!needsValue || String(value).trim() !== '');
+
+  const handleActionChange = (e) => {
+    const next = actions.find((item) => item.value === e.target.value);
+    setActionName(next.value);
+    setValue(defaultValueFor(next, statuses));
+  };
+
+  const handleApply = async () => {
+    setIsApplying(true);
+    try {
+      const response = await apiService.bulkUpdateTasks(
+        selectedIds,
+        action.value,
+        needsValue ? String(value).trim() : undefined
+      );
+      const { results, succeeded, failed } = response.data;
+
+      if (failed === 0) {
+        addNotification(`Updated ${succeeded} task${succeeded === 1 ? '' : 's'}`, 'success');
+        onClear();
+      } else {
+        const failedResults = results.filter((result) => !result.success);
+        addNotification(
+          `Updated ${succeeded} of ${results.length} tasks. ${failed} failed: ${failedResults[0].error}`,
+          succeeded > 0 ? 'warning' : 'error',
+          7000
+        );
+        onSelectionChange(failedResults.map((result) => result.taskId));
+      }
+      onComplete?.();
+    } catch (error) {
+      addNotification(error.message || 'Failed to update tasks', 'error');
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  return (
+    <div className={styles.bulkBar} role="toolbar" aria-label="Bulk actions">
+      <span className={styles.count}>
+        {selectedIds.length} selected
+      </span>
+      {selectedIds.length < totalCount && (
+        <button type="button" className={styles.linkButton} onClick={onSelectAll}>
+          Select all ({totalCount})
+        </button>
+      )}
+      <button type="button" className={styles.linkButton} onClick={onClear}>
+        Clear
+      </button>
+
+      <div className={styles.controls}>
+        <select
+          className={styles.control}
+          value={action.value}
+          onChange={handleActionChange}
+          aria-label="Bulk action"
+        >
+          {actions.map((item) => (
+            <option key={item.value} value={item.value}>{item.label}</option>
+          ))}
+        </select>
+
+        {action.input === 'status' && (
+          <select className={styles.control} value={value} onChange={(e) => setValue(e.target.value)} aria-label="Status">
+            {statuses.map((status) => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+        )}
+        {action.input === 'priority' && (
+          <select className={styles.control} value={value} onChange={(e) => setValue(e.target.value)} aria-label="Priority">
+            {PRIORITY_OPTIONS.map((priority) => (
+              <option key={priority} value={priority}>P{priority}</option>
+            ))}
+          </select>
+        )}
+        {action.input === 'text' && (
+          <input
+            type="text"
+            className={styles.control}
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder={action.placeholder}
+            aria-label={action.placeholder}
+          />
+        )}
+
+        <Button variant="primary" size="small" onClick={handleApply} disabled={!canApply}>
+          {isApplying ? 'Applying...' : 'Apply'}
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,264 @@
+import { useState, useEffect, useCallback } from 'react';
+import Button from '../../common/Button/Button';
+import apiService from '../../../services/api';
+import { useAuth } from '../../../context/AuthContext';
+import { useNotifications } from '../../../hooks/useNotifications';
+import { getChecklistProgress } from './checklist';
+import styles from './ChecklistPanel.module.css';
+
+/**
+ * Compact "☑ done/total" bar for card headers; renders nothing for empty checklists
+ */
+export function ChecklistProgress({ progress }) {
+  if (!progress || progress.total === 0) return null;
+
+  const percent = Math.round((progress.done / progress.total) * 100);
+  return (
+    <span className={styles.progress} title={`${progress.done} of ${progress.total} checklist items done`}>
+      <span className={styles.progressBar}>
+        <span className={styles.progressFill} style={{ width: `${percent}%` }} />
+      </span>
+      ☑ {progress.done}/{progress.total}
+    </span>
+  );
+}
+
+/**
+ * Lightweight checklist for a task or subtask: add, check off, reorder (drag or
+ * arrows) and give items an optional owner from the item's participants.
+ * People who can't edit the checklist can still check off items they own.
+ */
+export default function ChecklistPanel({ itemType = 'task', itemId, people = [], canEdit = false, onProgressChange }) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newText, setNewText] = useState('');
+  const [newOwner, setNewOwner] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [draggedId, setDraggedId] = useState(null);
+  const { user } = useAuth();
+  const { addNotification } = useNotifications();
+  const userId = user?.id || user?._id;
+
+  const applyChecklist = useCallback((checklist) => {
+    const nextItems = checklist?.items || [];
+    setItems(nextItems);
+    onProgressChange?.(getChecklistProgress(nextItems));
+  }, [onProgressChange]);
+
+  const fetchChecklist = useCallback(async () => {
+    if (!itemId) return;
+    try {
+      setLoading(true);
+      const response = await apiService.getChecklist(itemType, itemId);
+      applyChecklist(response.data);
+    } catch (error) {
+      console.error('Error fetching checklist:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [itemType, itemId, applyChecklist]);
+
+  useEffect(() => {
+    fetchChecklist();
+  }, [fetchChecklist]);
+
+  const run = async (request, failureMessage) => {
+    try {
+      const response = await request();
+      applyChecklist(response.data);
+      return true;
+    } catch (error) {
+      addNotification(error.message || failureMessage, 'error');
+      return false;
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newText.trim()) return;
+
+    setIsSaving(true);
+    const added = await run(
+      () => apiService.addChecklistItem(itemType, itemId, newText.trim(), newOwner || null),
+      'Failed to add checklist item'
+    );
+    setIsSaving(false);
+    if (added) {
+      setNewText('');
+      setNewOwner('');
+    }
+  };
+
+  const handleToggle = (item) => run(
+    () => apiService.updateChecklistItem(itemType, itemId, item._id, { done: !item.done }),
+    'Failed to update checklist item'
+  );
+
+  const handleOwnerChange = (item, owner) => run(
+    () => apiService.updateChecklistItem(itemType, itemId, item._id, { owner: owner || null }),
+    'Failed to update checklist item'
+  );
+
+  const handleRemove = (item) => run(
+    () => apiService.removeChecklistItem(itemType, itemId, item._id),
+    'Failed to remove checklist item'
+  );
+
+  const saveOrder = (ordered) => {
+    setItems(ordered);
+    return run(
+      () => apiService.reorderChecklist(itemType, itemId, ordered.map(item => item._id)),
+      'Failed to reorder checklist'
+    );
+  };
+
+  const handleMove = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= items.length) return;
+    const ordered = [...items];
+    [ordered[index], ordered[target]] = [ordered[target], ordered[index]];
+    saveOrder(ordered);
+  };
+
+  const handleDrop = (targetId) => {
+    if (!draggedId || draggedId === targetId) return;
+    const ordered = items.filter(item => item._id !== draggedId);
+    const targetIndex = ordered.findIndex(item => item._id === targetId);
+    ordered.splice(targetIndex, 0, items.find(item => item._id === draggedId));
+    setDraggedId(null);
+    saveOrder(ordered);
+  };
+
+  // Keep an owner who is no longer a participant selectable
+  const ownerOptions = (item) => (
+    item.owner?._id && !people.some(person => person._id === item.owner._id)
+      ? [...people, item.owner]
+      : people
+  );
+
+  const canToggle = (item) => canEdit || (item.owner && (item.owner._id || item.owner) === userId);
+
+  if (loading) {
+    return null;
+  }
+
+  const progress = getChecklistProgress(items);
+
+  return (
+    <div className={styles.checklistSection}>
+      <div className={styles.header}>
+        <h4>Checklist</h4>
+        <ChecklistProgress progress={progress} />
+      </div>
+
+      {items.length > 0 ? (
+        <ul className={styles.checklist}>
+          {items.map((item, index) => (
+            <li
+              key={item._id}
+              className={`${styles.checklistItem} ${draggedId === item._id ? styles.dragging : ''}`}
+              draggable={canEdit}
+              onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                setDraggedId(item._id);
+              }}
+              onDragEnd={() => setDraggedId(null)}
+              onDragOver={(e) => canEdit && e.preventDefault()}
+              onDrop={(e) => {
+                e.preventDefault();
+                handleDrop(item._id);
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={item.done}
+                disabled={!canToggle(item)}
+                onChange={() => handleToggle(item)}
+                aria-label={`Mark "${item.text}" as ${item.done ? 'not done' : 'done'}`}
+              />
+              <span className={`${styles.itemText} ${item.done ? styles.done : ''}`}>{item.text}</span>
+
+              {canEdit ? (
+                <select
+                  className={styles.ownerSelect}
+                  value={item.owner?._id || item.owner || ''}
+                  onChange={(e) => handleOwnerChange(item, e.target.value)}
+                  aria-label={`Owner of "${item.text}"`}
+                >
+                  <option value="">No owner</option>
+                  {ownerOptions(item).map(person => (
+                    <option key={person._id} value={person._id}>{person.username}</option>
+                  ))}
+                </select>
+              ) : (
+                item.owner?.username && <span className={styles.owner}>{item.owner.username}</span>
+              )}
+
+              {canEdit && (
+                <span className={styles.itemActions}>
+                  <button
+                    type="button"
+                    onClick={() => handleMove(index, -1)}
+                    disabled={index === 0}
+                    aria-label={`Move "${item.text}" up`}
+                    title="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleMove(index, 1)}
+                    disabled={index === items.length - 1}
+                    aria-label={`Move "${item.text}" down`}
+                    title="Move down"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    className={styles.removeButton}
+                    onClick={() => handleRemove(item)}
+                    aria-label={`Remove "${item.text}"`}
+                    title="Remove item"
+                  >
+                    ×
+                  </button>
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className={styles.empty}>No checklist items</p>
+      )}
+
+      {canEdit && (
+        <form className={styles.addForm} onSubmit={handleAdd}>
+          <input
+            type="text"
+            className={styles.textInput}
+            value={newText}
+            onChange={(e) => setNewText(e.target.value)}
+            placeholder="Add an item, e.g. update README"
+            maxLength={200}
+            disabled={isSaving}
+          />
+          <select
+            className={styles.ownerSelect}
+            value={newOwner}
+            onChange={(e) => setNewOwner(e.target.value)}
+            aria-label="Owner of the new item"
+          >
+            <option value="">No owner</option>
+            {people.map(person => (
+              <option key={person._id} value={person._id}>{person.username}</option>
+            ))}
+          </select>
+          <Button type="submit" variant="secondary" size="small" disabled={isSaving || !newText.trim()}>
+            {isSaving ? 'Adding...' : 'Add'}
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,7 @@
+// Same counts as getChecklistProgress in backend/src/utils/checklist.utils.js
+export function getChecklistProgress(items = []) {
+  return {
+    done: items.filter(item => item.done).length,
+    total: items.length
+  };
+}
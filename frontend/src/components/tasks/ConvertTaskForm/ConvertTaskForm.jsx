@@ -0,0 +1,101 @@
+import { useState, useEffect } from 'react';
+import Button from '../../common/Button/Button';
+import apiService from '../../../services/api';
+import { useNotifications } from '../../../hooks/useNotifications';
+import styles from './ConvertTaskForm.module.css';
+
+/**
+ * Turn a task into a subtask of another active task in the same project.
+ * Only tasks without subtasks can be converted.
+ */
+export default function ConvertTaskForm({ task, onConverted, onClose }) {
+  const [parentTasks, setParentTasks] = useState([]);
+  const [hasSubtasks, setHasSubtasks] = useState(false);
+  const [parentTaskId, setParentTaskId] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const { addNotification } = useNotifications();
+  const projectId = task.project?._id || task.project;
+
+  useEffect(() => {
+    const loadOptions = async () => {
+      try {
+        const [tasksResponse, subtasksResponse] = await Promise.all([
+          apiService.getTasksByProject(projectId),
+          apiService.getSubtasksByParentTask(task._id)
+        ]);
+        setParentTasks((tasksResponse.data || []).filter(candidate =>
+          candidate._id !== task._id && !candidate.archived
+        ));
+        setHasSubtasks((subtasksResponse.data || []).length > 0);
+      } catch (error) {
+        addNotification(error.message || 'Failed to load tasks', 'error');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadOptions();
+  }, [projectId, task._id, addNotification]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!parentTaskId) return;
+
+    setIsSaving(true);
+    try {
+      const response = await apiService.convertTaskToSubtask(task._id, parentTaskId);
+      addNotification(response.message || 'Task converted to a subtask', 'success');
+      onConverted?.(response.data);
+    } catch (error) {
+      addNotification(error.message || 'Failed to convert task', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderBody = () => {
+    if (isLoading) {
+      return <p className={styles.hint}>Loading tasks...</p>;
+    }
+    if (hasSubtasks) {
+      return <p className={styles.hint}>This task has subtasks of its own, so it cannot become a subtask.</p>;
+    }
+    if (parentTasks.length === 0) {
+      return <p className={styles.hint}>There are no other tasks in this project to put it under.</p>;
+    }
+    return (
+      <label className={styles.field}>
+        Parent task
+        <select value={parentTaskId} onChange={(e) => setParentTaskId(e.target.value)} required>
+          <option value="">Select a task</option>
+          {parentTasks.map(candidate => (
+            <option key={candidate._id} value={candidate._id}>
+              {candidate.title}
+            </option>
+          ))}
+        </select>
+      </label>
+    );
+  };
+
+  return (
+    <form className={styles.convertForm} onSubmit={handleSubmit}>
+      <h2>Convert to Subtask</h2>
+      <p className={styles.hint}>
+        &quot;{task.title}&quot; keeps its comments, logged time, assignees and recurrence.
+      </p>
+
+      {renderBody()}
+
+      <div className={styles.actions}>
+        <Button variant="secondary" onClick={onClose} disabled={isSaving}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" disabled={!parentTaskId || hasSubtasks || isSaving}>
+          {isSaving ? 'Converting...' : 'Convert'}
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,114 @@
+import styles from './CustomFieldInputs.module.css';
+
+/**
+ * Inputs for a project's custom fields. `value` holds form values keyed by
+ * field key (see customFieldValuesFromItem); `users` are the choices for user fields.
+ */
+function CustomFieldInputs({ fields = [], value = {}, onChange, users = [], error, disabled = false }) {
+  if (fields.length === 0) {
+    return null;
+  }
+
+  const update = (key, fieldValue) => onChange({ ...value, [key]: fieldValue });
+
+  const toggleOption = (key, option) => {
+    const selected = value[key] || [];
+    update(key, selected.includes(option)
+      ? selected.filter(item => item !== option)
+      : [...selected, option]);
+  };
+
+  const renderInput = (field) => {
+    const fieldValue = value[field.key] ?? (field.type === 'multiselect' ? [] : '');
+    const inputId = `custom-field-${field.key}`;
+
+    switch (field.type) {
+      case 'number':
+      case 'date':
+      case 'text':
+        return (
+          <input
+            id={inputId}
+            type={field.type}
+            step={field.type === 'number' ? 'any' : undefined}
+            className={styles.input}
+            value={fieldValue}
+            onChange={(e) => update(field.key, e.target.value)}
+            disabled={disabled}
+          />
+        );
+      case 'select':
+        return (
+          <select
+            id={inputId}
+            className={styles.input}
+            value={fieldValue}
+            onChange={(e) => update(field.key, e.target.value)}
+            disabled={disabled}
+          >
+            <option value="">None</option>
+            {field.options.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+      case 'multiselect':
+        return (
+          <div className={styles.options} id={inputId}>
+            {field.options.map(option => (
+              <button
+                key={option}
+                type="button"
+                className={`${styles.option} ${fieldValue.includes(option) ? styles.optionSelected : ''}`}
+                onClick={() => toggleOption(field.key, option)}
+                aria-pressed={fieldValue.includes(option)}
+                disabled={disabled}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+        );
+      case 'user':
+        return (
+          <select
+            id={inputId}
+            className={styles.input}
+            value={fieldValue}
+            onChange={(e) => update(field.key, e.target.value)}
+            disabled={disabled}
+          >
+            <option value="">None</option>
+            {users.map(user => (
+              <option key={user._id} value={user._id}>{user.username}</option>
+            ))}
+            {fieldValue && !users.some(user => user._id === fieldValue) && (
+              <option value={fieldValue}>Current user</option>
+            )}
+          </select>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <fieldset className={styles.fields}>
+      <legend className={styles.legend}>Custom Fields</legend>
+      <div className={styles.grid}>
+        {fields.map(field => (
+          <div key={field.key} className={styles.field}>
+            <label className={styles.label} htmlFor={`custom-field-${field.key}`}>
+              {field.name}
+              {field.required && <span className={styles.required}>*</span>}
+            </label>
+            {renderInput(field)}
+          </div>
+        ))}
+      </div>
+      {error && <div className={styles.error}>{error}</div>}
+    </fieldset>
+  );
+}
+
+export default CustomFieldInputs;
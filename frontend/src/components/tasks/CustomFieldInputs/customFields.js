@@ -0,0 +1,71 @@
+// Helpers shared by CustomFieldInputs, the task/subtask forms and cards.
+// Field definitions and value types are defined in backend/src/utils/custom-field.utils.js.
+
+export const CUSTOM_FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'select', label: 'Single select' },
+  { value: 'multiselect', label: 'Multi select' },
+  { value: 'user', label: 'User' },
+];
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Form state for an item's stored values: dates as YYYY-MM-DD, the rest as strings or arrays
+ */
+export function customFieldValuesFromItem(item) {
+  const values = {};
+  Object.entries(item?.customFields || {}).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      values[key] = [...value];
+    } else if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+      values[key] = value.split('T')[0];
+    } else {
+      values[key] = value === null || value === undefined ? '' : String(value);
+    }
+  });
+  return values;
+}
+
+/**
+ * Payload for the API: one entry per field of the project; empty values clear the field
+ */
+export function toCustomFieldValues(fields, values) {
+  return Object.fromEntries((fields || []).map(field => {
+    const value = values?.[field.key];
+    return [field.key, isEmpty(value) ? null : value];
+  }));
+}
+
+/**
+ * Error message for the first required field without a value, or null
+ */
+export function validateCustomFields(fields, values) {
+  const missing = (fields || []).find(field => field.required && isEmpty(values?.[field.key]));
+  return missing ? `${missing.name} is required` : null;
+}
+
+/**
+ * A stored value as text, e.g. for task cards
+ * @param {Object} field - Field definition
+ * @param {*} value - Stored value
+ * @param {Array} users - Users ({ _id, username }) to show names for user fields
+ */
+export function formatCustomFieldValue(field, value, users = []) {
+  if (isEmpty(value)) {
+    return '';
+  }
+  switch (field.type) {
+    case 'date':
+      return new Date(value).toLocaleDateString();
+    case 'multiselect':
+      return [].concat(value).join(', ');
+    case 'user':
+      return users.find(user => user._id === value)?.username || 'Unknown user';
+    default:
+      return String(value);
+  }
+}
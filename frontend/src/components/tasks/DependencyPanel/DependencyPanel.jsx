@@ -0,0 +1,182 @@
+import { useState, useEffect, useCallback } from 'react';
+import Button from '../../common/Button/Button';
+import SearchableSelect from '../../common/SearchableSelect/SearchableSelect';
+import apiService from '../../../services/api';
+import { useNotifications } from '../../../hooks/useNotifications';
+import { isDone } from '../../projects/WorkflowEditor/workflow';
+import styles from './DependencyPanel.module.css';
+
+/**
+ * "Blocked by" / "Blocks" links for a task or subtask.
+ * Blockers can be any other task or subtask in the same project.
+ */
+export default function DependencyPanel({ itemType = 'task', itemId, projectId, canEdit = false }) {
+  const [dependencies, setDependencies] = useState({ blockedBy: [], blocks: [] });
+  const [loading, setLoading] = useState(true);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [candidates, setCandidates] = useState([]);
+  const [selectedBlocker, setSelectedBlocker] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const { addNotification } = useNotifications();
+
+  const fetchDependencies = useCallback(async () => {
+    if (!itemId) return;
+    try {
+      setLoading(true);
+      const response = await apiService.getDependencies(itemType, itemId);
+      setDependencies(response.data || { blockedBy: [], blocks: [] });
+    } catch (error) {
+      console.error('Error fetching dependencies:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [itemType, itemId]);
+
+  useEffect(() => {
+    fetchDependencies();
+  }, [fetchDependencies]);
+
+  const handleShowAddForm = async () => {
+    setShowAddForm(true);
+    if (!projectId) return;
+
+    try {
+      const [tasksResponse, subtasksResponse] = await Promise.all([
+        apiService.getTasksByProject(projectId),
+        apiService.getSubtasksByProject(projectId)
+      ]);
+      const tasks = (tasksResponse.data || []).filter(t => !t.archived);
+      const subtasks = (subtasksResponse.data || []).filter(s => !s.archived);
+
+      const linkedKeys = new Set(dependencies.blockedBy.map(d => `${d.itemType}:${d.item._id}`));
+      linkedKeys.add(`${itemType}:${itemId}`);
+
+      setCandidates([
+        ...tasks.map(t => ({ key: `task:${t._id}`, label: `Task: ${t.title}` })),
+        ...subtasks.map(s => ({ key: `subtask:${s._id}`, label: `Subtask: ${s.title}` }))
+      ].filter(c => !linkedKeys.has(c.key)));
+    } catch (error) {
+      addNotification(error.message || 'Failed to load project tasks', 'error');
+    }
+  };
+
+  const handleAddBlocker = async () => {
+    if (!selectedBlocker) {
+      addNotification('Please select a blocker', 'error');
+      return;
+    }
+
+    const [blockerType, blockerId] = selectedBlocker.split(':');
+    setIsSaving(true);
+    try {
+      await apiService.addDependency(itemType, itemId, blockerType, blockerId);
+      addNotification('Dependency added successfully', 'success');
+      setSelectedBlocker('');
+      setShowAddForm(false);
+      await fetchDependencies();
+    } catch (error) {
+      addNotification(error.message || 'Failed to add dependency', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemove = async (dependencyId) => {
+    try {
+      await apiService.removeDependency(itemType, itemId, dependencyId);
+      addNotification('Dependency removed successfully', 'success');
+      await fetchDependencies();
+    } catch (error) {
+      addNotification(error.message || 'Failed to remove dependency', 'error');
+    }
+  };
+
+  const renderItem = (entry, removable) => (
+    <li key={entry._id} className={styles.dependencyItem}>
+      <span className={styles.itemType}>{entry.itemType === 'subtask' ? 'Subtask' : 'Task'}</span>
+      <span className={styles.itemTitle}>{entry.item.title}</span>
+      <span className={`${styles.itemStatus} ${isDone(entry.item) ? styles.done : styles.open}`}>
+        {entry.item.status}
+      </span>
+      {removable && (
+        <button
+          type="button"
+          className={styles.removeButton}
+          onClick={() => handleRemove(entry._id)}
+          aria-label={`Remove blocker ${entry.item.title}`}
+          title="Remove blocker"
+        >
+          ×
+        </button>
+      )}
+    </li>
+  );
+
+  if (loading) {
+    return null;
+  }
+
+  const openBlockers = dependencies.blockedBy.filter(d => !isDone(d.item));
+
+  return (
+    <div className={styles.dependencySection}>
+      <div className={styles.header}>
+        <h4>Dependencies</h4>
+        {canEdit && !showAddForm && (
+          <Button variant="secondary" size="small" onClick={handleShowAddForm}>
+            Add Blocker
+          </Button>
+        )}
+      </div>
+
+      {openBlockers.length > 0 && (
+        <p className={styles.warning}>
+          Blocked by {openBlockers.length} open item{openBlockers.length > 1 ? 's' : ''}
+        </p>
+      )}
+
+      {showAddForm && (
+        <div className={styles.addForm}>
+          <SearchableSelect
+            options={candidates}
+            value={selectedBlocker}
+            onChange={setSelectedBlocker}
+            placeholder="Select a task or subtask"
+            getOptionLabel={(option) => option.label}
+            getOptionValue={(option) => option.key}
+          />
+          <div className={styles.formActions}>
+            <Button variant="primary" size="small" onClick={handleAddBlocker} disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save'}
+            </Button>
+            <Button variant="secondary" size="small" onClick={() => setShowAddForm(false)}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+
+      <div className={styles.group}>
+        <h5 className={styles.groupTitle}>Blocked by</h5>
+        {dependencies.blockedBy.length > 0 ? (
+          <ul className={styles.dependencyList}>
+            {dependencies.blockedBy.map(entry => renderItem(entry, canEdit))}
+          </ul>
+        ) : (
+          <p className={styles.empty}>Nothing</p>
+        )}
+      </div>
+
+      <div className={styles.group}>
+        <h5 className={styles.groupTitle}>Blocks</h5>
+        {dependencies.blocks.length > 0 ? (
+          <ul className={styles.dependencyList}>
+            {dependencies.blocks.map(entry => renderItem(entry, false))}
+          </ul>
+        ) : (
+          <p className={styles.empty}>Nothing</p>
+        )}
+      </div>
+    </div>
+  );
+}
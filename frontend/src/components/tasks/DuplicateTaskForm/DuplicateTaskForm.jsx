@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import Button from '../../common/Button/Button';
+import apiService from '../../../services/api';
+import { useNotifications } from '../../../hooks/useNotifications';
+import { todayInputValue } from '../TaskTemplates/templates';
+import styles from './DuplicateTaskForm.module.css';
+
+// A date as YYYY-MM-DD in local time, the format of date inputs
+const toInputValue = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const pad = (part) => String(part).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Copy a task into the same project. The copy starts at "To Do" with no time
+ * logged and no comments; subtasks are copied on request and keep their due
+ * dates relative to the task's.
+ */
+export default function DuplicateTaskForm({ task, onDuplicated, onClose }) {
+  const [includeSubtasks, setIncludeSubtasks] = useState(false);
+  const [dueDate, setDueDate] = useState(toInputValue(task.dueDate));
+  const [isSaving, setIsSaving] = useState(false);
+  const { addNotification } = useNotifications();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setIsSaving(true);
+    try {
+      const response = await apiService.duplicateTask(task._id, {
+        includeSubtasks,
+        dueDate: dueDate || null
+      });
+      addNotification(`Created "${response.data.task.title}"`, 'success');
+      onDuplicated?.(response.data);
+    } catch (error) {
+      addNotification(error.message || 'Failed to duplicate task', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className={styles.duplicateForm} onSubmit={handleSubmit}>
+      <h2>Duplicate Task</h2>
+      <p className={styles.hint}>
+        The copy keeps the description, priority, tags, assignees and checklist items. Comments,
+        logged time and progress are not copied.
+      </p>
+
+      <label className={styles.field}>
+        Due date
+        <input
+          type="date"
+          value={dueDate}
+          min={todayInputValue()}
+          onChange={(e) => setDueDate(e.target.value)}
+        />
+      </label>
+
+      <label className={styles.checkboxLabel}>
+        <input
+          type="checkbox"
+          checked={includeSubtasks}
+          onChange={(e) => setIncludeSubtasks(e.target.checked)}
+        />
+        Include subtasks
+      </label>
+
+      <div className={styles.actions}>
+        <Button variant="secondary" onClick={onClose} disabled={isSaving}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" disabled={isSaving}>
+          {isSaving ? 'Duplicating...' : 'Duplicate'}
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,304 @@
+import { useState, useEffect, useMemo } from 'react';
+import Button from '../../common/Button/Button';
+import apiService from '../../../services/api';
+import { useNotifications } from '../../../hooks/useNotifications';
+import { DEFAULT_WORKFLOW_STATUSES, getItemStatusCategory, isDone } from '../../projects/WorkflowEditor/workflow';
+import styles from './KanbanBoard.module.css';
+
+const PRIORITY_LANES = [
+  { key: 'high', label: 'High priority (8-10)', matches: (p) => p >= 8 },
+  { key: 'medium', label: 'Medium priority (4-7)', matches: (p) => p >= 4 && p < 8 },
+  { key: 'low', label: 'Low priority (1-3)', matches: (p) => p < 4 },
+];
+
+const limitsToMap = (wipLimits = []) =>
+  Object.fromEntries(wipLimits.map(({ status, limit }) => [status, limit]));
+
+/**
+ * Group tasks into swimlanes. With assignee lanes a task shows up once per assignee.
+ */
+function buildLanes(tasks, swimlane) {
+  if (swimlane === 'priority') {
+    return PRIORITY_LANES
+      .map(lane => ({ ...lane, tasks: tasks.filter(task => lane.matches(task.priority || 5)) }))
+      .filter(lane => lane.tasks.length > 0);
+  }
+
+  if (swimlane === 'assignee') {
+    const lanes = new Map();
+    const unassigned = [];
+    tasks.forEach(task => {
+      const assignees = (task.assignee || []).filter(Boolean);
+      if (assignees.length === 0) {
+        unassigned.push(task);
+        return;
+      }
+      assignees.forEach(assignee => {
+        const id = assignee._id || assignee;
+        if (!lanes.has(id)) {
+          lanes.set(id, { key: id, label: assignee.username || 'Unknown user', tasks: [] });
+        }
+        lanes.get(id).tasks.push(task);
+      });
+    });
+
+    const sorted = [...lanes.values()].sort((a, b) => a.label.localeCompare(b.label));
+    if (unassigned.length > 0) {
+      sorted.push({ key: 'unassigned', label: 'Unassigned', tasks: unassigned });
+    }
+    return sorted;
+  }
+
+  return [{ key: 'all', label: null, tasks }];
+}
+
+/**
+ * Column of a task: its own status, or the first column of its status category
+ * (e.g. a custom status on a board with one column per category)
+ */
+function getColumnName(task, statuses) {
+  if (statuses.some(status => status.name === task.status)) {
+    return task.status;
+  }
+  const category = getItemStatusCategory(task);
+  return statuses.find(status => status.category === category)?.name || statuses[0].name;
+}
+
+/**
+ * Kanban board with one column per status of `statuses` (the project's workflow).
+ * Dropping a card calls onMove(task, status), which goes through updateTask so the
+ * usual permission and workflow transition checks apply.
+ */
+function KanbanBoard({
+  tasks,
+  onMove,
+  onOpen,
+  wipLimits,
+  onSaveWipLimits,
+  showProject = false,
+  statuses = DEFAULT_WORKFLOW_STATUSES,
+}) {
+  const { addNotification } = useNotifications();
+  const [swimlane, setSwimlane] = useState('none');
+  const [subtaskCounts, setSubtaskCounts] = useState({});
+  const [draggedTaskId, setDraggedTaskId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [movingTaskId, setMovingTaskId] = useState(null);
+  const [editingLimits, setEditingLimits] = useState(false);
+  const [limitDraft, setLimitDraft] = useState({});
+  const [savingLimits, setSavingLimits] = useState(false);
+
+  const limits = useMemo(() => limitsToMap(wipLimits), [wipLimits]);
+  const lanes = useMemo(() => buildLanes(tasks, swimlane), [tasks, swimlane]);
+  const columns = useMemo(() => statuses.map(status => status.name), [statuses]);
+
+  const columnCounts = useMemo(() => {
+    const counts = Object.fromEntries(columns.map(status => [status, 0]));
+    tasks.forEach(task => {
+      counts[getColumnName(task, statuses)] += 1;
+    });
+    return counts;
+  }, [tasks, columns, statuses]);
+
+  const taskIdsKey = tasks.map(task => task._id).join(',');
+
+  useEffect(() => {
+    if (!taskIdsKey) {
+      setSubtaskCounts({});
+      return;
+    }
+    apiService.getSubtaskCounts(taskIdsKey.split(','))
+      .then(response => setSubtaskCounts(response.data || {}))
+      .catch(err => console.error('Error fetching subtask counts:', err));
+  }, [taskIdsKey]);
+
+  const handleDrop = async (status) => {
+    const task = tasks.find(t => t._id === draggedTaskId);
+    setDraggedTaskId(null);
+    setDropTarget(null);
+    if (!task || getColumnName(task, statuses) === status) return;
+
+    const limit = limits[status];
+    if (limit && columnCounts[status] >= limit) {
+      addNotification(`WIP limit reached for ${status} (${limit})`, 'error');
+      return;
+    }
+
+    setMovingTaskId(task._id);
+    const result = await onMove(task, status);
+    setMovingTaskId(null);
+
+    if (result && !result.success) {
+      addNotification(result.error || 'Failed to move task', 'error');
+    }
+  };
+
+  const startEditingLimits = () => {
+    setLimitDraft(Object.fromEntries(columns.map(status => [status, limits[status] || ''])));
+    setEditingLimits(true);
+  };
+
+  const saveLimits = async () => {
+    setSavingLimits(true);
+    const result = await onSaveWipLimits(
+      columns.map(status => ({ status, limit: limitDraft[status] === '' ? null : Number(limitDraft[status]) }))
+    );
+    setSavingLimits(false);
+
+    if (result.success) {
+      setEditingLimits(false);
+      addNotification('WIP limits updated', 'success');
+    } else {
+      addNotification(result.error || 'Failed to update WIP limits', 'error');
+    }
+  };
+
+  const columnStyle = { gridTemplateColumns: `repeat(${columns.length}, minmax(200px, 1fr))` };
+
+  const renderCard = (task, laneKey) => {
+    const counts = subtaskCounts[task._id];
+    const isOverdue = task.dueDate && !isDone(task) && new Date(task.dueDate) < new Date();
+    const projectName = typeof task.project === 'object' ? task.project?.name : null;
+
+    return (
+      <div
+        key={`${laneKey}-${task._id}`}
+        className={[
+          styles.card,
+          draggedTaskId === task._id && styles.dragging,
+          movingTaskId === task._id && styles.moving,
+        ].filter(Boolean).join(' ')}
+        draggable={movingTaskId !== task._id}
+        onDragStart={(e) => {
+          e.dataTransfer.effectAllowed = 'move';
+          e.dataTransfer.setData('text/plain', task._id);
+          setDraggedTaskId(task._id);
+        }}
+        onDragEnd={() => {
+          setDraggedTaskId(null);
+          setDropTarget(null);
+        }}
+        onClick={() => onOpen && onOpen(task)}
+      >
+        <div className={styles.cardTitle}>{task.title}</div>
+        {showProject && projectName && (
+          <div className={styles.cardProject}>{projectName}</div>
+        )}
+        <div className={styles.cardMeta}>
+          <span className={styles.priority}>P{task.priority}</span>
+          {task.dueDate && (
+            <span className={isOverdue ? styles.overdue : ''}>
+              {new Date(task.dueDate).toLocaleDateString()}
+            </span>
+          )}
+          {counts && counts.total > 0 && (
+            <span className={styles.subtasks} title="Completed subtasks">
+              ☑ {counts.completed}/{counts.total}
+            </span>
+          )}
+        </div>
+        {task.assignee?.length > 0 && (
+          <div className={styles.assignees}>
+            {task.assignee.map(a => a.username || a).join(', ')}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className={styles.board}>
+      <div className={styles.toolbar}>
+        <label className={styles.toolbarLabel}>
+          Swimlanes:
+          <select
+            value={swimlane}
+            onChange={(e) => setSwimlane(e.target.value)}
+            className={styles.select}
+          >
+            <option value="none">None</option>
+            <option value="assignee">By assignee</option>
+            <option value="priority">By priority</option>
+          </select>
+        </label>
+        {onSaveWipLimits && !editingLimits && (
+          <Button variant="ghost" size="small" onClick={startEditingLimits}>
+            Edit WIP limits
+          </Button>
+        )}
+      </div>
+
+      {editingLimits && (
+        <div className={styles.limitEditor}>
+          {columns.map(status => (
+            <label key={status} className={styles.toolbarLabel}>
+              {status}
+              <input
+                type="number"
+                min="1"
+                placeholder="No limit"
+                className={styles.limitInput}
+                value={limitDraft[status]}
+                onChange={(e) => setLimitDraft(prev => ({ ...prev, [status]: e.target.value }))}
+              />
+            </label>
+          ))}
+          <Button variant="primary" size="small" onClick={saveLimits} disabled={savingLimits}>
+            {savingLimits ? 'Saving...' : 'Save'}
+          </Button>
+          <Button variant="secondary" size="small" onClick={() => setEditingLimits(false)} disabled={savingLimits}>
+            Cancel
+          </Button>
+        </div>
+      )}
+
+      <div className={styles.columnHeaders} style={columnStyle}>
+        {columns.map(status => {
+          const limit = limits[status];
+          const overLimit = limit && columnCounts[status] > limit;
+          return (
+            <div key={status} className={`${styles.columnHeader} ${overLimit ? styles.overLimit : ''}`}>
+              <span>{status}</span>
+              <span className={styles.columnCount}>
+                {columnCounts[status]}{limit ? ` / ${limit}` : ''}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+
+      {lanes.map(lane => (
+        <div key={lane.key} className={styles.lane}>
+          {lane.label && <div className={styles.laneHeader}>{lane.label}</div>}
+          <div className={styles.columns} style={columnStyle}>
+            {columns.map(status => {
+              const targetKey = `${lane.key}-${status}`;
+              return (
+                <div
+                  key={status}
+                  className={`${styles.column} ${dropTarget === targetKey ? styles.dropTarget : ''}`}
+                  onDragOver={(e) => {
+                    e.preventDefault();
+                    if (dropTarget !== targetKey) setDropTarget(targetKey);
+                  }}
+                  onDragLeave={() => setDropTarget(null)}
+                  onDrop={(e) => {
+                    e.preventDefault();
+                    handleDrop(status);
+                  }}
+                  aria-label={`${status} column`}
+                >
+                  {lane.tasks
+                    .filter(task => getColumnName(task, statuses) === status)
+                    .map(task => renderCard(task, lane.key))}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default KanbanBoard;
@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react';
+import Button from '../../common/Button/Button';
+import apiService from '../../../services/api';
+import { useNotifications } from '../../../hooks/useNotifications';
+import styles from './MoveTaskForm.module.css';
+
+/**
+ * Move a task and its subtasks to another project the user can see.
+ * Archived and completed projects are not offered, as tasks cannot be moved into them.
+ */
+export default function MoveTaskForm({ task, onMoved, onClose }) {
+  const [projects, setProjects] = useState([]);
+  const [projectId, setProjectId] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const { addNotification } = useNotifications();
+  const currentProjectId = task.project?._id || task.project;
+
+  useEffect(() => {
+    const loadProjects = async () => {
+      try {
+        const response = await apiService.getProjects();
+        const available = (response.data || response).filter(project =>
+          project._id !== currentProjectId &&
+          !project.archived &&
+          project.status !== 'Completed' &&
+          project.canViewTasks !== false
+        );
+        setProjects(available);
+      } catch (error) {
+        addNotification(error.message || 'Failed to load projects', 'error');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadProjects();
+  }, [currentProjectId, addNotification]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!projectId) return;
+
+    setIsSaving(true);
+    try {
+      const response = await apiService.moveTask(task._id, projectId);
+      addNotification(response.message || 'Task moved', 'success');
+      onMoved?.(response.data);
+    } catch (error) {
+      addNotification(error.message || 'Failed to move task', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className={styles.moveForm} onSubmit={handleSubmit}>
+      <h2>Move Task</h2>
+      <p className={styles.hint}>
+        &quot;{task.title}&quot; and its subtasks will move to the selected project. Assignees are
+        added to that project&apos;s members, and dependencies on tasks that stay behind are removed.
+      </p>
+
+      {isLoading ? (
+        <p className={styles.hint}>Loading projects...</p>
+      ) : projects.length === 0 ? (
+        <p className={styles.hint}>There are no other projects to move this task to.</p>
+      ) : (
+        <label className={styles.field}>
+          Target project
+          <select value={projectId} onChange={(e) => setProjectId(e.target.value)} required>
+            <option value="">Select a project</option>
+            {projects.map(project => (
+              <option key={project._id} value={project._id}>
+                {project.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <div className={styles.actions}>
+        <Button variant="secondary" onClick={onClose} disabled={isSaving}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" disabled={!projectId || isSaving}>
+          {isSaving ? 'Moving...' : 'Move'}
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import apiService from '../../../services/api';
+import { WEEKDAYS, WEEKS_OF_MONTH, toRecurrenceRule, validateRecurrence } from './recurrence';
+import styles from './RecurrenceEditor.module.css';
+
+const PREVIEW_DELAY_MS = 300;
+
+/**
+ * Controlled editor for a recurrence rule, with a preview of the next five due dates.
+ * `value` is the editor state from recurrenceFromItem / DEFAULT_RECURRENCE.
+ */
+function RecurrenceEditor({ value, onChange, dueDate, error }) {
+  const [preview, setPreview] = useState([]);
+  const [previewError, setPreviewError] = useState(null);
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const toggleWeekday = (day) => {
+    const weekdays = value.weekdays.includes(day)
+      ? value.weekdays.filter(d => d !== day)
+      : [...value.weekdays, day];
+    update({ weekdays });
+  };
+
+  const localError = validateRecurrence(value, dueDate);
+  const ruleKey = JSON.stringify(toRecurrenceRule(value));
+
+  // Ask the API for the next dates whenever the rule or due date changes
+  useEffect(() => {
+    if (!dueDate || localError) {
+      setPreview([]);
+      setPreviewError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiService.previewRecurrence(dueDate, JSON.parse(ruleKey));
+        if (!cancelled) {
+          setPreview(response.data.dates);
+          setPreviewError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setPreview([]);
+          setPreviewError(err.message);
+        }
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [dueDate, ruleKey, localError]);
+
+  const unit = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' }[value.frequency];
+
+  return (
+    <div className={styles.editor}>
+      <div className={styles.row}>
+        <label className={styles.label}>
+          Repeat every
+          <input
+            type="number"
+            min="1"
+            className={styles.numberInput}
+            value={value.interval}
+            onChange={(e) => update({ interval: e.target.value })}
+            aria-label="Repeat interval"
+          />
+        </label>
+        <select
+          className={styles.select}
+          value={value.frequency}
+          onChange={(e) => update({ frequency: e.target.value })}
+          aria-label="Repeat frequency"
+        >
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+        </select>
+        <span className={styles.hint}>{unit}</span>
+      </div>
+
+      {value.frequency === 'weekly' && (
+        <div className={styles.row}>
+          <span className={styles.label}>On</span>
+          <div className={styles.weekdays}>
+            {WEEKDAYS.map(day => (
+              <button
+                key={day.value}
+                type="button"
+                className={`${styles.weekday} ${value.weekdays.includes(day.value) ? styles.weekdaySelected : ''}`}
+                onClick={() => toggleWeekday(day.value)}
+                aria-pressed={value.weekdays.includes(day.value)}
+              >
+                {day.label}
+              </button>
+            ))}
+          </div>
+          {value.weekdays.length === 0 && (
+            <span className={styles.hint}>Same weekday as the due date</span>
+          )}
+        </div>
+      )}
+
+      {value.frequency === 'monthly' && (
+        <div className={styles.row}>
+          <span className={styles.label}>On</span>
+          <select
+            className={styles.select}
+            value={value.monthlyType}
+            onChange={(e) => update({ monthlyType: e.target.value })}
+            aria-label="Day of the month"
+          >
+            <option value="dayOfMonth">Same day as the due date</option>
+            <option value="nthWeekday">A weekday of the month</option>
+            <option value="lastBusinessDay">Last business day</option>
+          </select>
+          {value.monthlyType === 'nthWeekday' && (
+            <>
+              <select
+                className={styles.select}
+                value={value.weekOfMonth}
+                onChange={(e) => update({ weekOfMonth: Number(e.target.value) })}
+                aria-label="Week of the month"
+              >
+                {WEEKS_OF_MONTH.map(week => (
+                  <option key={week.value} value={week.value}>{week.label}</option>
+                ))}
+              </select>
+              <select
+                className={styles.select}
+                value={value.weekday}
+                onChange={(e) => update({ weekday: Number(e.target.value) })}
+                aria-label="Weekday"
+              >
+                {WEEKDAYS.map(day => (
+                  <option key={day.value} value={day.value}>{day.name}</option>
+                ))}
+              </select>
+            </>
+          )}
+        </div>
+      )}
+
+      <div className={styles.row}>
+        <span className={styles.label}>Ends</span>
+        <select
+          className={styles.select}
+          value={value.ends}
+          onChange={(e) => update({ ends: e.target.value })}
+          aria-label="Ends"
+        >
+          <option value="never">Never</option>
+          <option value="date">On date</option>
+          <option value="count">After a number of occurrences</option>
+        </select>
+        {value.ends === 'date' && (
+          <input
+            type="date"
+            className={styles.dateInput}
+            value={value.endDate}
+            min={dueDate || undefined}
+            onChange={(e) => update({ endDate: e.target.value })}
+            aria-label="End date"
+          />
+        )}
+        {value.ends === 'count' && (
+          <input
+            type="number"
+            min="1"
+            className={styles.numberInput}
+            value={value.count}
+            onChange={(e) => update({ count: e.target.value })}
+            aria-label="Number of occurrences"
+          />
+        )}
+      </div>
+
+      <label className={styles.checkboxLabel}>
+        <input
+          type="checkbox"
+          checked={value.skipWeekends}
+          onChange={(e) => update({ skipWeekends: e.target.checked })}
+        />
+        Skip weekends (move to the following Monday)
+      </label>
+
+      {(error || localError) && (
+        <div className={styles.error}>{error || localError}</div>
+      )}
+
+      <div className={styles.preview}>
+        <span className={styles.previewTitle}>Next due dates</span>
+        {!dueDate ? (
+          <span className={styles.hint}>Set a due date to see upcoming dates</span>
+        ) : previewError ? (
+          <span className={styles.error}>{previewError}</span>
+        ) : preview.length === 0 ? (
+          <span className={styles.hint}>No further occurrences</span>
+        ) : (
+          <ol className={styles.previewList}>
+            {preview.map(date => (
+              <li key={date}>
+                {new Date(date).toLocaleDateString(undefined, {
+                  weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC'
+                })}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RecurrenceEditor;
@@ -0,0 +1,174 @@
+// Helpers shared by RecurrenceEditor, the task/subtask forms and cards.
+// The rule format is defined in backend/src/utils/recurrence.utils.js.
+
+export const WEEKDAYS = [
+  { value: 1, label: 'Mon', name: 'Monday' },
+  { value: 2, label: 'Tue', name: 'Tuesday' },
+  { value: 3, label: 'Wed', name: 'Wednesday' },
+  { value: 4, label: 'Thu', name: 'Thursday' },
+  { value: 5, label: 'Fri', name: 'Friday' },
+  { value: 6, label: 'Sat', name: 'Saturday' },
+  { value: 0, label: 'Sun', name: 'Sunday' },
+];
+
+export const WEEKS_OF_MONTH = [
+  { value: 1, label: 'First' },
+  { value: 2, label: 'Second' },
+  { value: 3, label: 'Third' },
+  { value: 4, label: 'Fourth' },
+  { value: -1, label: 'Last' },
+];
+
+const BUSINESS_DAYS = [1, 2, 3, 4, 5];
+
+export const DEFAULT_RECURRENCE = {
+  frequency: 'daily',
+  interval: 1,
+  weekdays: [],
+  monthlyType: 'dayOfMonth',
+  weekOfMonth: 1,
+  weekday: 1,
+  ends: 'never',
+  endDate: '',
+  count: '',
+  skipWeekends: false,
+};
+
+const weekdayName = (value) => WEEKDAYS.find(d => d.value === value)?.name || '';
+
+const plural = (count, unit) => (count === 1 ? unit : `${count} ${unit}s`);
+
+/**
+ * Editor state for a task or subtask. Legacy items that only have
+ * recurrenceInterval are shown as "every N days".
+ */
+export function recurrenceFromItem(item) {
+  const rule = item?.recurrenceRule;
+  if (!rule?.frequency) {
+    return {
+      ...DEFAULT_RECURRENCE,
+      interval: item?.recurrenceInterval || 1,
+    };
+  }
+
+  return {
+    ...DEFAULT_RECURRENCE,
+    frequency: rule.frequency,
+    interval: rule.interval || 1,
+    weekdays: rule.weekdays || [],
+    monthlyType: rule.monthlyType || 'dayOfMonth',
+    weekOfMonth: rule.weekOfMonth ?? 1,
+    weekday: rule.weekday ?? 1,
+    ends: rule.endDate ? 'date' : rule.count ? 'count' : 'never',
+    endDate: rule.endDate ? new Date(rule.endDate).toISOString().split('T')[0] : '',
+    count: rule.count || '',
+    skipWeekends: !!rule.skipWeekends,
+  };
+}
+
+/**
+ * Rule to send to the API from the editor state
+ */
+export function toRecurrenceRule(value) {
+  const rule = {
+    frequency: value.frequency,
+    interval: Number(value.interval),
+    skipWeekends: !!value.skipWeekends,
+  };
+
+  if (value.frequency === 'weekly') {
+    rule.weekdays = value.weekdays;
+  }
+
+  if (value.frequency === 'monthly') {
+    rule.monthlyType = value.monthlyType;
+    if (value.monthlyType === 'nthWeekday') {
+      rule.weekOfMonth = Number(value.weekOfMonth);
+      rule.weekday = Number(value.weekday);
+    }
+  }
+
+  if (value.ends === 'date') {
+    rule.endDate = value.endDate;
+  } else if (value.ends === 'count') {
+    rule.count = Number(value.count);
+  }
+
+  return rule;
+}
+
+/**
+ * Client-side checks; the API validates the rule again
+ */
+export function validateRecurrence(value, dueDate) {
+  const interval = Number(value.interval);
+  if (!Number.isInteger(interval) || interval <= 0) {
+    return 'Recurrence interval must be a positive number';
+  }
+  if (value.ends === 'date') {
+    if (!value.endDate) {
+      return 'Choose an end date';
+    }
+    if (dueDate && value.endDate < dueDate) {
+      return 'Recurrence end date cannot be before the due date';
+    }
+  }
+  if (value.ends === 'count') {
+    const count = Number(value.count);
+    if (!Number.isInteger(count) || count <= 0) {
+      return 'Occurrence count must be a positive whole number';
+    }
+  }
+  return null;
+}
+
+/**
+ * Human readable summary, e.g. "Every weekday, 10 times"
+ */
+export function describeRecurrence(item) {
+  if (!item?.isRecurring) {
+    return '';
+  }
+
+  const rule = item.recurrenceRule;
+  if (!rule?.frequency) {
+    return `Every ${item.recurrenceInterval} days`;
+  }
+
+  const interval = rule.interval || 1;
+  let text;
+
+  if (rule.frequency === 'weekly') {
+    const weekdays = rule.weekdays || [];
+    const isEveryWeekday = weekdays.length === 5 && BUSINESS_DAYS.every(d => weekdays.includes(d));
+    if (isEveryWeekday && interval === 1) {
+      text = 'Every weekday';
+    } else {
+      const days = WEEKDAYS.filter(d => weekdays.includes(d.value)).map(d => d.label).join(', ');
+      text = `Every ${plural(interval, 'week')}${days ? ` on ${days}` : ''}`;
+    }
+  } else if (rule.frequency === 'monthly') {
+    const every = `Every ${plural(interval, 'month')}`;
+    if (rule.monthlyType === 'lastBusinessDay') {
+      text = `${every} on the last business day`;
+    } else if (rule.monthlyType === 'nthWeekday') {
+      const week = WEEKS_OF_MONTH.find(w => w.value === rule.weekOfMonth)?.label.toLowerCase();
+      text = `${every} on the ${week} ${weekdayName(rule.weekday)}`;
+    } else {
+      text = `${every} on day ${rule.dayOfMonth}`;
+    }
+  } else {
+    text = `Every ${plural(interval, 'day')}`;
+  }
+
+  if (rule.skipWeekends) {
+    text += ', skipping weekends';
+  }
+  if (rule.endDate) {
+    text += `, until ${new Date(rule.endDate).toLocaleDateString()}`;
+  } else if (rule.count) {
+    text += `, ${rule.count} times`;
+  }
+
+  return text;
+}
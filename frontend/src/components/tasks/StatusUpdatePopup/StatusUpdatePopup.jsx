@@ -1,9 +1,14 @@
 import { useRef, useEffect } from 'react';
+import { DEFAULT_WORKFLOW_STATUSES } from '../../projects/WorkflowEditor/workflow';
 import styles from './StatusUpdatePopup.module.css';
 
-const STATUS_OPTIONS = ['To Do', 'In Progress', 'Blocked', 'Completed'];
+const DEFAULT_STATUS_OPTIONS = DEFAULT_WORKFLOW_STATUSES.map(status => status.name);
 
-function StatusUpdatePopup({ currentStatus, onStatusChange, onClose, position }) {
+/**
+ * `statuses` are the names the item can move to from its current status
+ * (see getAllowedStatuses); the default statuses when not given.
+ */
+function StatusUpdatePopup({ currentStatus, statuses = DEFAULT_STATUS_OPTIONS, onStatusChange, onClose, position }) {
   const popupRef = useRef(null);
 
   useEffect(() => {
@@ -40,7 +45,7 @@ function StatusUpdatePopup({ currentStatus, onStatusChange, onClose, position })
         <span className={styles.popupTitle}>Update Status</span>
       </div>
       <div className={styles.statusOptions}>
-        {STATUS_OPTIONS.map((status) => (
+        {statuses.map((status) => (
           <button
             key={status}
             className={`${styles.statusOption} ${status === currentStatus ? styles.currentStatus : ''}`}
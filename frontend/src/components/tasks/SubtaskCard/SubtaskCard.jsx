@@ -1,30 +1,43 @@
 import { useState } from 'react';
 import CommentSection from '../TaskComment/TaskCommentSection';
 import TimeDisplayBadge from '../TimeLoggingInput/TimeDisplayBadge';
-import apiService from '../../../services/api';
-import { useNotifications } from '../../../hooks/useNotifications';
+import TagList from '../../common/TagList/TagList';
+import TimeEntryList from '../TimeLoggingInput/TimeEntryList';
+import DependencyPanel from '../DependencyPanel/DependencyPanel';
+import AttachmentsPanel from '../AttachmentsPanel/AttachmentsPanel';
+import ChecklistPanel, { ChecklistProgress } from '../ChecklistPanel/ChecklistPanel';
+import { getChecklistProgress } from '../ChecklistPanel/checklist';
+import { describeRecurrence } from '../RecurrenceEditor/recurrence';
+import { getItemStatusCategory } from '../../projects/WorkflowEditor/workflow';
 import { useAuth } from '../../../context/AuthContext';
 import styles from './SubtaskCard.module.css';
 
-const SubtaskCard = ({ subtask, onEdit, onArchive, onUnarchive, isArchived, onRefresh, onTotalTimeUpdate }) => {
+const SubtaskCard = ({ subtask, onEdit, onArchive, onUnarchive, onConvert, isArchived, onRefresh, onTotalTimeUpdate }) => {
   const [isExpanded, setIsExpanded] = useState(false);
-  const [isUpdatingTime, setIsUpdatingTime] = useState(false);
   const [currentTimeTaken, setCurrentTimeTaken] = useState(subtask.timeTaken || 0);
-  const { addNotification } = useNotifications();
+  const [checklistProgress, setChecklistProgress] = useState(() => getChecklistProgress(subtask.checklist));
   const { user } = useAuth();
 
   // Only Admin and Manager can edit/archive subtasks
   const canEditSubtask = user?.roles?.includes('admin') || user?.roles?.includes('manager');
 
-  const getStatusBadgeClass = (status) => {
-    switch (status) {
-      case 'To Do':
-        return styles.statusTodo;
-      case 'In Progress':
+  // Owner and assignees can also manage the checklist, and can be given checklist items
+  const checklistPeople = [subtask.ownerId, ...[].concat(subtask.assigneeId || [])]
+    .filter((person, index, people) => person?.username
+      && people.findIndex(other => other?._id === person._id) === index);
+  const isParticipant = checklistPeople.some(person => person._id === (user?.id || user?._id));
+
+  // Managers, admins, the owner and assignees can promote an active subtask to a task
+  const canConvert = Boolean(onConvert) && !isArchived && (canEditSubtask || isParticipant);
+
+  // Badge colour by status category, so custom statuses get the colour of their category
+  const getStatusBadgeClass = (item) => {
+    switch (getItemStatusCategory(item)) {
+      case 'active':
         return styles.statusInProgress;
-      case 'Completed':
+      case 'done':
         return styles.statusCompleted;
-      case 'Blocked':
+      case 'blocked':
         return styles.statusBlocked;
       default:
         return styles.statusTodo;
@@ -47,29 +60,16 @@ const SubtaskCard = ({ subtask, onEdit, onArchive, onUnarchive, isArchived, onRe
     });
   };
 
-  const handleUpdateSubtaskTime = async (timeTaken) => {
-    setIsUpdatingTime(true);
-    try {
-      await apiService.updateSubtaskTimeTaken(subtask._id, timeTaken);
-      
-      // Update local state immediately to show new time in UI
-      setCurrentTimeTaken(timeTaken);
-      addNotification('Subtask time logged successfully', 'success');
-      
-      // Refresh the parent task to recalculate total time
-      if (onRefresh) {
-        await onRefresh();
-      }
-      
-      // Trigger total time update in parent
-      if (onTotalTimeUpdate) {
-        await onTotalTimeUpdate();
-      }
-    } catch (error) {
-      console.error('Error updating subtask time:', error);
-      addNotification(error.message || 'Failed to log subtask time', 'error');
-    } finally {
-      setIsUpdatingTime(false);
+  // Time entries changed: show the new total and let the parent task recalculate
+  const handleTimeLogged = async (total) => {
+    setCurrentTimeTaken(total);
+
+    if (onRefresh) {
+      await onRefresh();
+    }
+
+    if (onTotalTimeUpdate) {
+      await onTotalTimeUpdate();
     }
   };
 
@@ -87,12 +87,13 @@ const SubtaskCard = ({ subtask, onEdit, onArchive, onUnarchive, isArchived, onRe
           </button>
         </div>
         <div className={styles.badges}>
-          <span className={`${styles.badge} ${getStatusBadgeClass(subtask.status)}`}>
+          <span className={`${styles.badge} ${getStatusBadgeClass(subtask)}`}>
             {subtask.status}
           </span>
           <span className={`${styles.badge} ${getPriorityBadgeClass(subtask.priority)}`}>
             P{subtask.priority}
           </span>
+          <ChecklistProgress progress={checklistProgress} />
         </div>
       </div>
 
@@ -131,30 +132,24 @@ const SubtaskCard = ({ subtask, onEdit, onArchive, onUnarchive, isArchived, onRe
             {subtask.isRecurring && (
               <div className={styles.infoItem}>
                 <span className={styles.label}>Recurring:</span>
-                <span className={styles.value}>Every {subtask.recurrenceInterval} days</span>
+                <span className={styles.value}>{describeRecurrence(subtask)}</span>
               </div>
             )}
-            {subtask.tags && (
+            {subtask.tags?.length > 0 && (
               <div className={styles.infoItem}>
                 <span className={styles.label}>Tags:</span>
-                <span className={styles.value}>{subtask.tags}</span>
+                <TagList tags={subtask.tags} projectId={subtask.projectId?._id || subtask.projectId} />
               </div>
             )}
             <div className={styles.infoItem}>
               <span className={styles.label}>Time Logged:</span>
-              <TimeDisplayBadge
-                timeTaken={currentTimeTaken}
-                onTimeUpdate={handleUpdateSubtaskTime}
-                isLoading={isUpdatingTime}
-                canEdit={!isArchived}
-                type="subtask"
-              />
+              <TimeDisplayBadge timeTaken={currentTimeTaken} />
             </div>
           </div>
 
-          {canEditSubtask && (
+          {(canEditSubtask || canConvert) && (
             <div className={styles.actions}>
-              {!isArchived && (
+              {canEditSubtask && !isArchived && (
                 <button
                   className={`${styles.button} ${styles.editButton}`}
                   onClick={() => onEdit(subtask)}
@@ -162,7 +157,15 @@ const SubtaskCard = ({ subtask, onEdit, onArchive, onUnarchive, isArchived, onRe
                   Edit
                 </button>
               )}
-              {isArchived ? (
+              {canConvert && (
+                <button
+                  className={`${styles.button} ${styles.convertButton}`}
+                  onClick={() => onConvert(subtask)}
+                >
+                  Convert to Task
+                </button>
+              )}
+              {canEditSubtask && (isArchived ? (
                 <button
                   className={`${styles.button} ${styles.unarchiveButton}`}
                   onClick={() => onUnarchive(subtask)}
@@ -176,10 +179,39 @@ const SubtaskCard = ({ subtask, onEdit, onArchive, onUnarchive, isArchived, onRe
                 >
                   Archive
                 </button>
-              )}
+              ))}
             </div>
           )}
 
+          <TimeEntryList
+            itemType="subtask"
+            itemId={subtask._id}
+            canLog={!isArchived}
+            onChange={handleTimeLogged}
+          />
+
+          <DependencyPanel
+            itemType="subtask"
+            itemId={subtask._id}
+            projectId={subtask.projectId?._id || subtask.projectId}
+            canEdit={!isArchived && canEditSubtask}
+          />
+
+          <ChecklistPanel
+            itemType="subtask"
+            itemId={subtask._id}
+            people={checklistPeople}
+            canEdit={!isArchived && (canEditSubtask || isParticipant)}
+            onProgressChange={setChecklistProgress}
+          />
+
+          <AttachmentsPanel
+            itemType="subtask"
+            itemId={subtask._id}
+            ownerId={subtask.ownerId}
+            canUpload={!isArchived}
+          />
+
           {/* Comments Section */}
           <CommentSection
             subtask={subtask}
@@ -1,6 +1,12 @@
 import { useState, useEffect } from 'react';
 import Button from '../../common/Button/Button';
 import Input from '../../common/Input/Input';
+import TagInput from '../../common/TagInput/TagInput';
+import RecurrenceEditor from '../RecurrenceEditor/RecurrenceEditor';
+import CustomFieldInputs from '../CustomFieldInputs/CustomFieldInputs';
+import { customFieldValuesFromItem, toCustomFieldValues, validateCustomFields } from '../CustomFieldInputs/customFields';
+import { getAllowedStatuses, getInitialStatus } from '../../projects/WorkflowEditor/workflow';
+import { DEFAULT_RECURRENCE, recurrenceFromItem, toRecurrenceRule, validateRecurrence } from '../RecurrenceEditor/recurrence';
 import styles from './SubtaskForm.module.css';
 
 const SubtaskForm = ({
@@ -10,18 +16,21 @@ const SubtaskForm = ({
   parentTaskId,
   projectId,
   ownerId,
-  parentTaskAssignees = [] // Array of parent task assignees
+  parentTaskAssignees = [], // Array of parent task assignees
+  customFieldDefinitions = [], // The project's custom fields
+  project = null // The project, for its workflow statuses
 }) => {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    status: 'To Do',
+    status: getInitialStatus(project),
     priority: 5,
     dueDate: '',
     assigneeId: '',
     isRecurring: false,
-    recurrenceInterval: 1,
-    tags: ''
+    recurrence: DEFAULT_RECURRENCE,
+    tags: [],
+    customFields: {}
   });
 
   const [errors, setErrors] = useState({});
@@ -35,13 +44,14 @@ const SubtaskForm = ({
       setFormData({
         title: initialData.title || '',
         description: initialData.description || '',
-        status: initialData.status || 'To Do',
+        status: initialData.status,
         priority: initialData.priority || 5,
         dueDate: initialData.dueDate ? new Date(initialData.dueDate).toISOString().split('T')[0] : '',
         assigneeId: initialData.assigneeId?._id || initialData.assigneeId || '',
         isRecurring: initialData.isRecurring || false,
-        recurrenceInterval: initialData.recurrenceInterval || 1,
-        tags: initialData.tags || ''
+        recurrence: recurrenceFromItem(initialData),
+        tags: initialData.tags || [],
+        customFields: customFieldValuesFromItem(initialData)
       });
 
       // Initialize selected assignees for edit mode
@@ -164,17 +174,18 @@ const SubtaskForm = ({
     }
 
     if (formData.isRecurring) {
-      if (!formData.recurrenceInterval || formData.recurrenceInterval <= 0) {
-        newErrors.recurrenceInterval = 'Recurrence interval must be a positive number';
+      const recurrenceError = validateRecurrence(formData.recurrence, formData.dueDate);
+      if (recurrenceError) {
+        newErrors.recurrence = recurrenceError;
       }
       if (!formData.dueDate) {
         newErrors.dueDate = 'Due date is required for recurring subtasks';
       }
-    } else {
-      // Clear recurrenceInterval when not recurring
-      if (formData.recurrenceInterval) {
-        setFormData(prev => ({ ...prev, recurrenceInterval: 1 }));
-      }
+    }
+
+    const customFieldError = validateCustomFields(customFieldDefinitions, formData.customFields);
+    if (customFieldError) {
+      newErrors.customFields = customFieldError;
     }
 
     setErrors(newErrors);
@@ -188,8 +199,9 @@ const SubtaskForm = ({
       return;
     }
 
+    const { recurrence, ...fields } = formData;
     const formattedData = {
-      ...formData,
+      ...fields,
       parentTaskId,
       projectId,
       ownerId,
@@ -198,8 +210,10 @@ const SubtaskForm = ({
       assigneeId: selectedAssignees.map(a => a._id),
       // Ensure boolean values are properly formatted
       isRecurring: Boolean(formData.isRecurring),
-      recurrenceInterval: formData.isRecurring ? Number(formData.recurrenceInterval) : undefined,
-      tags: formData.tags || ''
+      recurrenceInterval: null,
+      recurrenceRule: formData.isRecurring ? toRecurrenceRule(recurrence) : null,
+      tags: formData.tags,
+      customFields: toCustomFieldValues(customFieldDefinitions, formData.customFields)
     };
 
     onSubmit(formattedData);
@@ -255,10 +269,9 @@ const SubtaskForm = ({
               className={styles.select}
               required
             >
-              <option value="To Do">To Do</option>
-              <option value="In Progress">In Progress</option>
-              <option value="Completed">Completed</option>
-              <option value="Blocked">Blocked</option>
+              {getAllowedStatuses(project, initialData?.status).map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
             </select>
           </div>
 
@@ -293,15 +306,25 @@ const SubtaskForm = ({
             onChange={handleChange}
           />
           
-          <Input
-            label="Tags"
-            name="tags"
+          <TagInput
             value={formData.tags}
-            onChange={handleChange}
-            placeholder="e.g., bug#urgent#frontend"
+            onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+            projectId={projectId}
+            placeholder="e.g., bug, urgent, frontend"
           />
         </div>
 
+        <CustomFieldInputs
+          fields={customFieldDefinitions}
+          value={formData.customFields}
+          onChange={(customFields) => {
+            setFormData(prev => ({ ...prev, customFields }));
+            setErrors(prev => ({ ...prev, customFields: undefined }));
+          }}
+          users={parentTaskAssignees}
+          error={errors.customFields}
+        />
+
         {/* Manage Assignees Section */}
         <div className={styles.assigneesSection}>
           <h4 className={styles.assigneesTitle}>
@@ -407,20 +430,18 @@ const SubtaskForm = ({
                 Recurring Subtask
               </label>
             </div>
-            {formData.isRecurring && (
-              <div className={styles.halfWidth}>
-                <Input
-                  label="Recurrence Interval (days)"
-                  name="recurrenceInterval"
-                  type="number"
-                  min="1"
-                  value={formData.recurrenceInterval}
-                  onChange={handleChange}
-                  error={errors.recurrenceInterval}
-                />
-              </div>
-            )}
           </div>
+          {formData.isRecurring && (
+            <RecurrenceEditor
+              value={formData.recurrence}
+              onChange={(recurrence) => {
+                setFormData(prev => ({ ...prev, recurrence }));
+                setErrors(prev => ({ ...prev, recurrence: undefined }));
+              }}
+              dueDate={formData.dueDate}
+              error={errors.recurrence}
+            />
+          )}
         </div>
 
         <div className={styles.formActions}>
@@ -4,6 +4,7 @@ import { useAuth } from '../../../context/AuthContext';
 import SubtaskCard from '../SubtaskCard/SubtaskCard';
 import Button from '../../common/Button/Button';
 import Modal from '../../common/Modal/Modal';
+import { getItemStatusCategory } from '../../projects/WorkflowEditor/workflow';
 import styles from './SubtaskList.module.css';
 
 const SubtaskList = ({
@@ -12,6 +13,7 @@ const SubtaskList = ({
   onShowSubtaskForm,
   onArchiveSubtask,
   onUnarchiveSubtask,
+  onConvertSubtask,
   onTotalTimeUpdate
 }) => {
   const {
@@ -71,18 +73,12 @@ const SubtaskList = ({
     onUnarchiveSubtask(subtask);
   };
 
+  // Counts per status category, so custom statuses are counted too
   const getStatusStats = () => {
-    const stats = {
-      'To Do': 0,
-      'In Progress': 0,
-      'Completed': 0,
-      'Blocked': 0
-    };
+    const stats = { todo: 0, active: 0, done: 0, blocked: 0 };
 
     activeSubtasks.forEach(subtask => {
-      if (Object.prototype.hasOwnProperty.call(stats, subtask.status)) {
-        stats[subtask.status]++;
-      }
+      stats[getItemStatusCategory(subtask)]++;
     });
 
     return stats;
@@ -107,10 +103,10 @@ const SubtaskList = ({
             )}
           </h3>
           <div className={styles.stats}>
-            <span className={styles.stat}>To Do: {stats['To Do']}</span>
-            <span className={styles.stat}>In Progress: {stats['In Progress']}</span>
-            <span className={styles.stat}>Completed: {stats['Completed']}</span>
-            <span className={styles.stat}>Blocked: {stats['Blocked']}</span>
+            <span className={styles.stat}>To Do: {stats.todo}</span>
+            <span className={styles.stat}>In Progress: {stats.active}</span>
+            <span className={styles.stat}>Completed: {stats.done}</span>
+            <span className={styles.stat}>Blocked: {stats.blocked}</span>
           </div>
         </div>
         {canCreateSubtask && (
@@ -136,6 +132,7 @@ const SubtaskList = ({
               onEdit={handleEdit}
               onArchive={handleArchive}
               onUnarchive={handleUnarchive}
+              onConvert={onConvertSubtask}
               isArchived={false}
               onTotalTimeUpdate={onTotalTimeUpdate}
             />
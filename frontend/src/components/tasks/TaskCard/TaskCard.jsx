@@ -1,17 +1,32 @@
 import { format } from "date-fns";
-import { useState, useRef, useEffect, useCallback } from "react";
+import { useState, useRef, useEffect, useCallback, useContext } from "react";
 import Button from "../../common/Button/Button";
 import Card from "../../common/Card/Card";
 import CommentSection from "../TaskComment/TaskCommentSection";
 import Modal from '../../common/Modal/Modal';
+import TagList from '../../common/TagList/TagList';
 import SubtaskList from '../SubtaskList/SubtaskList';
 import SubtaskForm from '../SubtaskForm/SubtaskForm';
 import StatusUpdatePopup from '../StatusUpdatePopup/StatusUpdatePopup';
 import TimeDisplayBadge from '../TimeLoggingInput/TimeDisplayBadge';
+import TimeEntryList from '../TimeLoggingInput/TimeEntryList';
+import TaskHistory from '../TaskHistory/TaskHistory';
+import DependencyPanel from '../DependencyPanel/DependencyPanel';
+import AttachmentsPanel from '../AttachmentsPanel/AttachmentsPanel';
+import SaveTemplateForm from '../TaskTemplates/SaveTemplateForm';
+import DuplicateTaskForm from '../DuplicateTaskForm/DuplicateTaskForm';
+import MoveTaskForm from '../MoveTaskForm/MoveTaskForm';
+import ConvertTaskForm from '../ConvertTaskForm/ConvertTaskForm';
+import ChecklistPanel, { ChecklistProgress } from '../ChecklistPanel/ChecklistPanel';
+import { getChecklistProgress } from '../ChecklistPanel/checklist';
+import { formatCustomFieldValue } from '../CustomFieldInputs/customFields';
+import { getAllowedStatuses, getItemStatusCategory, isDone } from '../../projects/WorkflowEditor/workflow';
 import { useSubtasks } from '../../../context/SubtaskContext';
+import { ProjectContext } from '../../../context/ProjectContext';
 import { useNotifications } from '../../../hooks/useNotifications';
 import { useAuth } from '../../../context/AuthContext';
 import apiService from '../../../services/api';
+import { describeRecurrence } from '../RecurrenceEditor/recurrence';
 import styles from "./TaskCard.module.css";
 
 function TaskCard({
@@ -21,8 +36,11 @@ function TaskCard({
   onUnarchive,
   isArchived,
   onRefresh,
+  isSelected = false,
+  onSelect,
 }) {
   const [isExpanded, setIsExpanded] = useState(false);
+  const [activeTab, setActiveTab] = useState('details');
   const [showSubtasks, setShowSubtasks] = useState(false);
   const [showSubtaskForm, setShowSubtaskForm] = useState(false);
   const [editingSubtask, setEditingSubtask] = useState(null);
@@ -36,9 +54,13 @@ function TaskCard({
   // Status update popup state
   const [showStatusPopup, setShowStatusPopup] = useState(false);
   const [statusPopupPosition, setStatusPopupPosition] = useState({ top: 0, left: 0 });
+  const [checklistProgress, setChecklistProgress] = useState(() => getChecklistProgress(task.checklist));
+  const [showTemplateForm, setShowTemplateForm] = useState(false);
+  const [showDuplicateForm, setShowDuplicateForm] = useState(false);
+  const [showMoveForm, setShowMoveForm] = useState(false);
+  const [showConvertForm, setShowConvertForm] = useState(false);
   const statusBadgeRef = useRef(null);
   // State for total time calculation
-  const [isUpdatingTime, setIsUpdatingTime] = useState(false);
   const [totalTimeData, setTotalTimeData] = useState({ 
     taskTimeTaken: task?.timeTaken || 0, 
     subtasksTotalTime: 0, 
@@ -48,10 +70,20 @@ function TaskCard({
   const { createSubtask, updateSubtask, archiveSubtask, unarchiveSubtask, fetchSubtasksByParentTask } = useSubtasks();
   const { addNotification } = useNotifications();
   const { user } = useAuth();
+  // The project's custom field definitions; the context is optional so the card also renders on its own
+  const projects = useContext(ProjectContext)?.projects;
+  const taskProjectId = task.project?._id || task.project;
+  const taskProject = projects?.find(p => p._id === taskProjectId);
+  const customFieldDefinitions = taskProject?.customFields || [];
   const canArchive = user?.roles?.includes('manager') || user?.roles?.includes('admin');
   // ASSIGNEE-SCOPE: Only managers/admins can assign
   const canAssign = user?.roles?.includes('manager') || user?.roles?.includes('admin');
 
+  // Owner and assignees, who can be given checklist items
+  const checklistPeople = [task.owner, ...(task.assignee || [])]
+    .filter((person, index, people) => person?.username
+      && people.findIndex(other => other?._id === person._id) === index);
+
   const canEdit = () => {
     if (!user) return false;
     
@@ -90,16 +122,14 @@ function TaskCard({
   };
 
 
-  const getStatusBadgeClass = (status) => {
-    switch (status) {
-      case "To Do":
-        return styles.statusTodo;
-      case "In Progress":
+  // Badge colour by status category, so custom statuses get the colour of their category
+  const getStatusBadgeClass = (item) => {
+    switch (getItemStatusCategory(item)) {
+      case "active":
         return styles.statusInProgress;
-      case "Done":
-      case "Completed":
+      case "done":
         return styles.statusDone;
-      case "Blocked":
+      case "blocked":
         return styles.statusBlocked;
       default:
         return styles.statusTodo;
@@ -112,8 +142,8 @@ function TaskCard({
     return styles.priorityLow;
   };
 
-  const isOverdue = (dateString, status) => {
-    if (!dateString || status === 'Done') return false;
+  const isOverdue = (dateString, item) => {
+    if (!dateString || isDone(item)) return false;
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     const dueDate = new Date(dateString);
@@ -302,6 +332,24 @@ function TaskCard({
     }
   };
 
+  // The subtask becomes a task of its own: drop it here and reload the task list
+  const handleConvertSubtask = async (subtask) => {
+    if (!window.confirm(`Convert "${subtask.title}" into a task? It keeps its comments, logged time and assignees.`)) {
+      return;
+    }
+    try {
+      await apiService.convertSubtaskToTask(subtask._id);
+      addNotification('Subtask converted to a task', 'success');
+      await fetchSubtasksByParentTask(task._id);
+      await fetchTaskTotalTime();
+      if (onRefresh) {
+        await onRefresh();
+      }
+    } catch (error) {
+      addNotification(error.message || 'Failed to convert subtask', 'error');
+    }
+  };
+
   // Status update handlers
   const handleStatusBadgeClick = (e) => {
     e.stopPropagation();
@@ -317,12 +365,15 @@ function TaskCard({
 
   const handleStatusChange = async (newStatus) => {
     try {
-      await apiService.request(`/tasks/${task._id}`, {
+      const response = await apiService.request(`/tasks/${task._id}`, {
         method: 'PUT',
         body: JSON.stringify({ status: newStatus })
       });
 
       addNotification(`Task status updated to "${newStatus}"`, 'success');
+      if (response?.warning) {
+        addNotification(response.warning, 'warning', 7000);
+      }
 
       // Refresh task data
       if (onRefresh) {
@@ -333,41 +384,6 @@ function TaskCard({
     }
   };
 
-  // Manual Time Logging handlers
-  const handleUpdateTaskTime = async (timeTaken) => {
-    setIsUpdatingTime(true);
-    try {
-      await apiService.updateTaskTimeTaken(task._id, timeTaken);
-      addNotification('Task time logged successfully', 'success');
-      
-      // Try to fetch updated total time
-      try {
-        const timeData = await apiService.getTaskTotalTime(task._id);
-        setTotalTimeData(timeData.data);
-      } catch (timeError) {
-        console.error('Error fetching total time:', timeError);
-        // Even if fetching fails, refresh task data which will update UI
-        // Set minimal total time based on what we know
-        setTotalTimeData({
-          taskId: task._id,
-          taskTimeTaken: timeTaken,
-          subtasksTotalTime: 0,
-          totalTime: timeTaken
-        });
-      }
-      
-      // Refresh task data to ensure everything is in sync
-      if (onRefresh) {
-        await onRefresh();
-      }
-    } catch (error) {
-      console.error('Error logging task time:', error);
-      addNotification(error.message || 'Failed to log task time', 'error');
-    } finally {
-      setIsUpdatingTime(false);
-    }
-  };
-
   const fetchTaskTotalTime = useCallback(async () => {
     try {
       const timeData = await apiService.getTaskTotalTime(task._id);
@@ -377,6 +393,38 @@ function TaskCard({
     }
   }, [task._id]);
 
+  // Time entries changed: refresh totals and the task itself
+  const handleTimeLogged = async () => {
+    await fetchTaskTotalTime();
+    if (onRefresh) {
+      await onRefresh();
+    }
+  };
+
+  // The copy belongs in the same list, so reload it
+  const handleTaskDuplicated = async () => {
+    setShowDuplicateForm(false);
+    if (onRefresh) {
+      await onRefresh();
+    }
+  };
+
+  // The task now belongs to another project, so reload the list
+  const handleTaskMoved = async () => {
+    setShowMoveForm(false);
+    if (onRefresh) {
+      await onRefresh();
+    }
+  };
+
+  // The task is now a subtask of another task, so reload the list
+  const handleTaskConverted = async () => {
+    setShowConvertForm(false);
+    if (onRefresh) {
+      await onRefresh();
+    }
+  };
+
   // Fetch total time when task expands or task changes
   useEffect(() => {
     if (isExpanded && task._id) {
@@ -412,7 +460,7 @@ function TaskCard({
     <>
       <Card
         hoverable
-        className={`${styles.taskCard} ${isExpanded ? styles.expanded : styles.collapsed}`}
+        className={`${styles.taskCard} ${isExpanded ? styles.expanded : styles.collapsed} ${isSelected ? styles.selected : ''}`}
       >
         <Card.Body className={styles.cardBody}>
           {/* Compact header - always visible */}
@@ -421,6 +469,16 @@ function TaskCard({
             onClick={() => setIsExpanded(!isExpanded)}
           >
             <div className={styles.headerLeft}>
+              {onSelect && (
+                <input
+                  type="checkbox"
+                  className={styles.selectCheckbox}
+                  checked={isSelected}
+                  onChange={() => onSelect(task._id)}
+                  onClick={(e) => e.stopPropagation()}
+                  aria-label={`Select ${task.title}`}
+                />
+              )}
               <button className={styles.expandButton} type="button">
                 <span className={styles.expandIcon}>
                   {isExpanded ? "▼" : "▶"}
@@ -430,14 +488,14 @@ function TaskCard({
             </div>
             <div className={styles.compactBadges}>
               {/* Show OVERDUE badge if task is overdue */}
-              {isOverdue(task.dueDate, task.status) && (
+              {isOverdue(task.dueDate, task) && (
                 <span className={`${styles.statusBadge} ${styles.statusOverdue}`}>
                   ⚠️ OVERDUE
                 </span>
               )}
               <span
                 ref={statusBadgeRef}
-                className={`${styles.statusBadge} ${getStatusBadgeClass(task.status)} ${!isArchived && canEdit() ? styles.clickable : ''}`}
+                className={`${styles.statusBadge} ${getStatusBadgeClass(task)} ${!isArchived && canEdit() ? styles.clickable : ''}`}
                 onClick={handleStatusBadgeClick}
                 style={{ cursor: !isArchived && canEdit() ? 'pointer' : 'default', position: 'relative' }}
               >
@@ -448,15 +506,16 @@ function TaskCard({
               >
                 P{task.priority}
               </span>
+              <ChecklistProgress progress={checklistProgress} />
             </div>
           </div>
 
           {/* Compact info - always visible */}
           <div className={styles.compactInfo}>
             <div className={styles.compactMeta}>
-              <span className={isOverdue(task.dueDate, task.status) ? styles.overdueMeta : ''}>
+              <span className={isOverdue(task.dueDate, task) ? styles.overdueMeta : ''}>
                 <strong>Due:</strong> {formatDueDate(task.dueDate)}
-                {isOverdue(task.dueDate, task.status) && ' ⚠️'}
+                {isOverdue(task.dueDate, task) && ' ⚠️'}
               </span>
               <span>
                 <strong>Project:</strong>{" "}
@@ -476,6 +535,54 @@ function TaskCard({
                   Edit
                 </Button>
               )}
+              {!isArchived && canEdit() && (
+                <Button
+                  variant="secondary"
+                  size="small"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setShowTemplateForm(true);
+                  }}
+                >
+                  Save as Template
+                </Button>
+              )}
+              {!isArchived && canEdit() && (
+                <Button
+                  variant="secondary"
+                  size="small"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setShowDuplicateForm(true);
+                  }}
+                >
+                  Duplicate
+                </Button>
+              )}
+              {!isArchived && canEdit() && (
+                <Button
+                  variant="secondary"
+                  size="small"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setShowMoveForm(true);
+                  }}
+                >
+                  Move
+                </Button>
+              )}
+              {!isArchived && canEdit() && (
+                <Button
+                  variant="secondary"
+                  size="small"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setShowConvertForm(true);
+                  }}
+                >
+                  Convert to Subtask
+                </Button>
+              )}
               {/* ASSIGNEE-SCOPE: Manage Assignees button visible only to Manager and Admin */}
               {!isArchived && (user?.roles?.includes('manager') || user?.roles?.includes('admin')) && (
                 <Button
@@ -518,113 +625,187 @@ function TaskCard({
           {/* Expandable details */}
           {isExpanded && (
             <div className={styles.expandedContent}>
-              {task.description && (
-                <div className={styles.descriptionSection}>
-                  <p className={styles.description}>{task.description}</p>
-                </div>
-              )}
+              <div className={styles.tabs} role="tablist">
+                <button
+                  type="button"
+                  role="tab"
+                  aria-selected={activeTab === 'details'}
+                  className={`${styles.tab} ${activeTab === 'details' ? styles.activeTab : ''}`}
+                  onClick={() => setActiveTab('details')}
+                >
+                  Details
+                </button>
+                <button
+                  type="button"
+                  role="tab"
+                  aria-selected={activeTab === 'history'}
+                  className={`${styles.tab} ${activeTab === 'history' ? styles.activeTab : ''}`}
+                  onClick={() => setActiveTab('history')}
+                >
+                  History
+                </button>
+              </div>
 
-              <div className={styles.metadata}>
-                <div className={styles.metaItem}>
-                  <span className={styles.metaLabel}>Owner:</span>
-                  <span className={styles.metaValue}>
-                    {task.owner?.username || task.owner?.name || "Unknown"}
-                  </span>
-                </div>
-                <div className={styles.metaItem}>
-                  <span className={styles.metaLabel}>Assigned:</span>
-                  <span className={styles.metaValue}>
-                    {formatAssignee(task.assignee)}
-                  </span>
-                </div>
-                {task.tags && (
-                  <div className={styles.metaItem}>
-                    <span className={styles.metaLabel}>Tags:</span>
-                    <span className={styles.metaValue}>{task.tags}</span>
-                  </div>
-                )}
-                {task.isRecurring && (
-                  <div className={styles.metaItem}>
-                    <span className={styles.metaLabel}>Recurring:</span>
-                    <span className={styles.metaValue}>
-                      Every {task.recurrenceInterval} days
-                    </span>
+              {activeTab === 'history' ? (
+                <TaskHistory itemId={task._id} type="task" />
+              ) : (
+                <>
+                  {task.description && (
+                    <div className={styles.descriptionSection}>
+                      <p className={styles.description}>{task.description}</p>
+                    </div>
+                  )}
+
+                  <div className={styles.metadata}>
+                    <div className={styles.metaItem}>
+                      <span className={styles.metaLabel}>Owner:</span>
+                      <span className={styles.metaValue}>
+                        {task.owner?.username || task.owner?.name || "Unknown"}
+                      </span>
+                    </div>
+                    <div className={styles.metaItem}>
+                      <span className={styles.metaLabel}>Assigned:</span>
+                      <span className={styles.metaValue}>
+                        {formatAssignee(task.assignee)}
+                      </span>
+                    </div>
+                    {task.tags?.length > 0 && (
+                      <div className={styles.metaItem}>
+                        <span className={styles.metaLabel}>Tags:</span>
+                        <TagList tags={task.tags} projectId={task.project?._id || task.project} />
+                      </div>
+                    )}
+                    {customFieldDefinitions
+                      .filter(field => formatCustomFieldValue(field, task.customFields?.[field.key]))
+                      .map(field => (
+                        <div key={field.key} className={styles.metaItem}>
+                          <span className={styles.metaLabel}>{field.name}:</span>
+                          <span className={styles.metaValue}>
+                            {formatCustomFieldValue(field, task.customFields[field.key], task.assignee || [])}
+                          </span>
+                        </div>
+                      ))}
+                    {task.isRecurring && (
+                      <div className={styles.metaItem}>
+                        <span className={styles.metaLabel}>Recurring:</span>
+                        <span className={styles.metaValue}>
+                          {describeRecurrence(task)}
+                        </span>
+                      </div>
+                    )}
+                    <div className={styles.metaItem}>
+                      <span className={styles.metaLabel}>Time Logged:</span>
+                      <TimeDisplayBadge timeTaken={task.timeTaken || 0} />
+                    </div>
                   </div>
-                )}
-                <div className={styles.metaItem}>
-                  <span className={styles.metaLabel}>Time Logged:</span>
-                  <TimeDisplayBadge
-                    timeTaken={task.timeTaken || 0}
-                    onTimeUpdate={handleUpdateTaskTime}
-                    isLoading={isUpdatingTime}
+
+                  <TimeEntryList
+                    itemType="task"
+                    itemId={task._id}
+                    canLog={!isArchived && canEdit()}
+                    onChange={handleTimeLogged}
+                  />
+
+                  <DependencyPanel
+                    itemType="task"
+                    itemId={task._id}
+                    projectId={task.project?._id || task.project}
                     canEdit={!isArchived && canEdit()}
-                    type="task"
                   />
-                </div>
-              </div>
 
-              <CommentSection
-                task={task}
-                // onCommentAdded={(updatedTask) => {
-                //   // Comments are now handled locally in CommentSection
-                //   // No need to refresh the entire page
-                //   // The updatedTask can be used for other updates if needed
-                // }}
-              />
-
-              {/* Time Summary Section */}
-              <div className={styles.timeSummarySection}>
-                <h4 className={styles.timeSummaryTitle}>Time Summary</h4>
-                <div className={styles.timeSummaryGrid}>
-                  <div className={styles.timeSummaryItem}>
-                    <span className={styles.timeSummaryLabel}>Task Time:</span>
-                    <span className={styles.timeSummaryValue}>
-                      {task.timeTaken ? `${task.timeTaken} mins` : 'Not logged'}
-                    </span>
-                  </div>
-                  <div className={styles.timeSummaryItem}>
-                    <span className={styles.timeSummaryLabel}>Subtask Total:</span>
-                    <span className={styles.timeSummaryValue}>
-                      {totalTimeData.subtasksTotalTime ? `${totalTimeData.subtasksTotalTime} mins` : 'No time'}
-                    </span>
-                  </div>
-                  <div className={`${styles.timeSummaryItem} ${styles.totalTimeItem}`}>
-                    <span className={styles.timeSummaryLabel}>Combined Total:</span>
-                    <span className={styles.timeSummaryValueTotal}>
-                      {totalTimeData.totalTime ? `${totalTimeData.totalTime} mins` : '0 mins'}
-                    </span>
-                  </div>
-                </div>
-              </div>
+                  <ChecklistPanel
+                    itemType="task"
+                    itemId={task._id}
+                    people={checklistPeople}
+                    canEdit={!isArchived && canEdit()}
+                    onProgressChange={setChecklistProgress}
+                  />
 
-              {/* Subtasks Section */}
-              {!isArchived && canEdit() && (
-                <div className={styles.subtasksSection}>
-                  <div className={styles.subtasksHeader}>
-                    <h4>Subtasks</h4>
-                    <Button 
-                      variant="secondary" 
-                      size="small" 
-                      onClick={() => setShowSubtasks(!showSubtasks)}
-                    >
-                      {showSubtasks ? 'Hide Subtasks' : 'Show Subtasks'}
-                    </Button>
+                  <AttachmentsPanel
+                    itemType="task"
+                    itemId={task._id}
+                    ownerId={task.owner}
+                    canUpload={!isArchived}
+                  />
+
+                  <CommentSection
+                    task={task}
+                    // onCommentAdded={(updatedTask) => {
+                    //   // Comments are now handled locally in CommentSection
+                    //   // No need to refresh the entire page
+                    //   // The updatedTask can be used for other updates if needed
+                    // }}
+                  />
+
+                  {/* Time Summary Section */}
+                  <div className={styles.timeSummarySection}>
+                    <h4 className={styles.timeSummaryTitle}>Time Summary</h4>
+                    <div className={styles.timeSummaryGrid}>
+                      <div className={styles.timeSummaryItem}>
+                        <span className={styles.timeSummaryLabel}>Task Time:</span>
+                        <span className={styles.timeSummaryValue}>
+                          {task.timeTaken ? `${task.timeTaken} mins` : 'Not logged'}
+                        </span>
+                      </div>
+                      <div className={styles.timeSummaryItem}>
+                        <span className={styles.timeSummaryLabel}>Subtask Total:</span>
+                        <span className={styles.timeSummaryValue}>
+                          {totalTimeData.subtasksTotalTime ? `${totalTimeData.subtasksTotalTime} mins` : 'No time'}
+                        </span>
+                      </div>
+                      <div className={`${styles.timeSummaryItem} ${styles.totalTimeItem}`}>
+                        <span className={styles.timeSummaryLabel}>Combined Total:</span>
+                        <span className={styles.timeSummaryValueTotal}>
+                          {totalTimeData.totalTime ? `${totalTimeData.totalTime} mins` : '0 mins'}
+                        </span>
+                      </div>
+                      {totalTimeData.byUser?.length > 0 && (
+                        <div className={`${styles.timeSummaryItem} ${styles.totalTimeItem}`}>
+                          <span className={styles.timeSummaryLabel}>By Person:</span>
+                          <ul className={styles.timeByUserList}>
+                            {totalTimeData.byUser.map(entry => (
+                              <li key={entry.userId || 'unattributed'}>
+                                <span>{entry.username}</span>
+                                <span className={styles.timeSummaryValue}>{entry.minutes} mins</span>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                    </div>
                   </div>
-                  {showSubtasks && (
-                    <div className={styles.subtasksContainer}>
-                      <SubtaskList
-                        parentTask={task}
-                        parentTaskId={task._id}
-                        projectId={task.project?._id || task.project}
-                        ownerId={user?._id || user?.id}
-                        onShowSubtaskForm={handleShowSubtaskForm}
-                        onArchiveSubtask={handleArchiveSubtask}
-                        onUnarchiveSubtask={handleUnarchiveSubtask}
-                        onTotalTimeUpdate={fetchTaskTotalTime}
-                      />
+
+                  {/* Subtasks Section */}
+                  {!isArchived && canEdit() && (
+                    <div className={styles.subtasksSection}>
+                      <div className={styles.subtasksHeader}>
+                        <h4>Subtasks</h4>
+                        <Button 
+                          variant="secondary" 
+                          size="small" 
+                          onClick={() => setShowSubtasks(!showSubtasks)}
+                        >
+                          {showSubtasks ? 'Hide Subtasks' : 'Show Subtasks'}
+                        </Button>
+                      </div>
+                      {showSubtasks && (
+                        <div className={styles.subtasksContainer}>
+                          <SubtaskList
+                            parentTask={task}
+                            parentTaskId={task._id}
+                            projectId={task.project?._id || task.project}
+                            ownerId={user?._id || user?.id}
+                            onShowSubtaskForm={handleShowSubtaskForm}
+                            onArchiveSubtask={handleArchiveSubtask}
+                            onUnarchiveSubtask={handleUnarchiveSubtask}
+                            onConvertSubtask={handleConvertSubtask}
+                            onTotalTimeUpdate={fetchTaskTotalTime}
+                          />
+                        </div>
+                      )}
                     </div>
                   )}
-                </div>
+                </>
               )}
             </div>
           )}
@@ -645,6 +826,64 @@ function TaskCard({
             projectId={task.project?._id || task.project}
             ownerId={user?._id || user?.id}
             parentTaskAssignees={task.assignee || []}
+            customFieldDefinitions={customFieldDefinitions}
+            project={taskProject}
+          />
+        </Modal>
+      )}
+
+      {showTemplateForm && (
+        <Modal
+          isOpen={showTemplateForm}
+          onClose={() => setShowTemplateForm(false)}
+          size="medium"
+        >
+          <SaveTemplateForm
+            task={task}
+            onSaved={() => setShowTemplateForm(false)}
+            onClose={() => setShowTemplateForm(false)}
+          />
+        </Modal>
+      )}
+
+      {showDuplicateForm && (
+        <Modal
+          isOpen={showDuplicateForm}
+          onClose={() => setShowDuplicateForm(false)}
+          size="medium"
+        >
+          <DuplicateTaskForm
+            task={task}
+            onDuplicated={handleTaskDuplicated}
+            onClose={() => setShowDuplicateForm(false)}
+          />
+        </Modal>
+      )}
+
+      {showMoveForm && (
+        <Modal
+          isOpen={showMoveForm}
+          onClose={() => setShowMoveForm(false)}
+          size="medium"
+        >
+          <MoveTaskForm
+            task={task}
+            onMoved={handleTaskMoved}
+            onClose={() => setShowMoveForm(false)}
+          />
+        </Modal>
+      )}
+
+      {showConvertForm && (
+        <Modal
+          isOpen={showConvertForm}
+          onClose={() => setShowConvertForm(false)}
+          size="medium"
+        >
+          <ConvertTaskForm
+            task={task}
+            onConverted={handleTaskConverted}
+            onClose={() => setShowConvertForm(false)}
           />
         </Modal>
       )}
@@ -786,6 +1025,7 @@ function TaskCard({
       {showStatusPopup && (
         <StatusUpdatePopup
           currentStatus={task.status}
+          statuses={getAllowedStatuses(taskProject, task.status)}
           onStatusChange={handleStatusChange}
           onClose={() => setShowStatusPopup(false)}
           position={statusPopupPosition}
@@ -7,6 +7,7 @@ import { TaskContext } from '../../../context/TaskContext';
 import { ProjectContext } from '../../../context/ProjectContext';
 import { NotificationContext } from '../../../context/NotificationContext';
 import { SubtaskProvider } from '../../../context/SubtaskContext';
+import { TagContext } from '../../../context/TagContext';
 import { vi } from 'vitest';
 
 /**
@@ -49,7 +50,7 @@ export const testTasks = {
     description: 'Build JWT-based authentication system',
     priority: 8,
     status: 'In Progress',
-    tags: 'authentication, security',
+    tags: ['authentication', 'security'],
     owner: 'manager-id',
     assignee: ['manager-id', 'staff1-id'],
     project: 'project-1',
@@ -63,7 +64,7 @@ export const testTasks = {
     description: 'Subtask: Create authentication flow diagrams',
     priority: 6,
     status: 'To Do',
-    tags: 'design, planning',
+    tags: ['design', 'planning'],
     owner: 'staff1-id',
     assignee: ['staff1-id'],
     project: 'project-1',
@@ -77,7 +78,7 @@ export const testTasks = {
     description: 'Optimize slow queries',
     priority: 7,
     status: 'To Do',
-    tags: 'database, performance',
+    tags: ['database', 'performance'],
     owner: 'manager-id',
     assignee: ['manager-id'],
     project: 'project-1',
@@ -91,7 +92,7 @@ export const testTasks = {
     description: 'Subtask: Analyze current indexes',
     priority: 5,
     status: 'To Do',
-    tags: 'database, analysis',
+    tags: ['database', 'analysis'],
     owner: 'staff2-id',
     assignee: ['staff2-id'],
     project: 'project-1',
@@ -105,7 +106,7 @@ export const testTasks = {
     description: 'Write comprehensive API docs',
     priority: 5,
     status: 'To Do',
-    tags: 'documentation',
+    tags: ['documentation'],
     owner: 'manager-id',
     assignee: ['manager-id'],
     project: 'project-1',
@@ -119,7 +120,7 @@ export const testTasks = {
     description: 'Fix redirect loop on login',
     priority: 9,
     status: 'Blocked',
-    tags: 'bug, urgent',
+    tags: ['bug', 'urgent'],
     owner: 'manager-id',
     assignee: ['manager-id'],
     project: 'project-1',
@@ -133,7 +134,7 @@ export const testTasks = {
     description: 'Build notification system',
     priority: 6,
     status: 'To Do',
-    tags: 'feature, notifications',
+    tags: ['feature', 'notifications'],
     owner: 'manager-id',
     assignee: ['manager-id'],
     project: 'project-1',
@@ -152,6 +153,7 @@ export const testTasks = {
  * @param {Object} options.authContextValue - Custom auth context value
  * @param {Object} options.taskContextValue - Custom task context value
  * @param {Object} options.projectContextValue - Custom project context value
+ * @param {Object} options.tagContextValue - Custom tag context value
  * @returns {Object} Render result with utilities
  */
 export function renderWithAuth(ui, options = {}) {
@@ -162,6 +164,7 @@ export function renderWithAuth(ui, options = {}) {
     taskContextValue,
     projectContextValue,
     notificationContextValue,
+    tagContextValue,
     ...renderOptions
   } = options;
 
@@ -217,10 +220,24 @@ export function renderWithAuth(ui, options = {}) {
     removeNotification: vi.fn()
   };
 
+  // Default tag context (no registered tags)
+  const defaultTagContext = {
+    tags: [],
+    loading: false,
+    error: null,
+    fetchTags: vi.fn(),
+    createTag: vi.fn(),
+    updateTag: vi.fn(),
+    deleteTag: vi.fn(),
+    getTagsForProject: vi.fn(() => []),
+    findTag: vi.fn(() => null)
+  };
+
   const finalAuthContext = { ...defaultAuthContext, ...authContextValue };
   const finalTaskContext = { ...defaultTaskContext, ...taskContextValue };
   const finalProjectContext = { ...defaultProjectContext, ...projectContextValue };
   const finalNotificationContext = { ...defaultNotificationContext, ...notificationContextValue };
+  const finalTagContext = { ...defaultTagContext, ...tagContextValue };
 
   function Wrapper({ children }) {
     return (
@@ -229,9 +246,11 @@ export function renderWithAuth(ui, options = {}) {
           <NotificationContext.Provider value={finalNotificationContext}>
             <ProjectContext.Provider value={finalProjectContext}>
               <TaskContext.Provider value={finalTaskContext}>
-                <SubtaskProvider>
-                  {children}
-                </SubtaskProvider>
+                <TagContext.Provider value={finalTagContext}>
+                  <SubtaskProvider>
+                    {children}
+                  </SubtaskProvider>
+                </TagContext.Provider>
               </TaskContext.Provider>
             </ProjectContext.Provider>
           </NotificationContext.Provider>
@@ -0,0 +1,136 @@
+import { useState, useRef, useId } from 'react';
+import api from '../../../services/api';
+import styles from './MentionTextarea.module.css';
+
+const MAX_SUGGESTIONS = 6;
+
+// A mention being typed just before the caret: "@" at the start of the text or
+// after whitespace or an opening bracket, followed by part of a username
+const ACTIVE_MENTION_REGEX = /(?:^|[\s([{])@([^\s@]*@?[^\s@]*)$/;
+
+// The user list is shared by every comment box and only fetched once someone starts a mention
+let usersRequest = null;
+const loadUsers = () => {
+    if (!usersRequest) {
+        usersRequest = api.getAllUsers()
+            .then(response => response.data || [])
+            .catch(error => {
+                usersRequest = null;
+                throw error;
+            });
+    }
+    return usersRequest;
+};
+
+/**
+ * Textarea that suggests usernames after "@". Arrow keys move through the
+ * suggestions, Enter or Tab inserts one and Escape closes the list.
+ */
+export default function MentionTextarea({ value, onChange, ...textareaProps }) {
+    const textareaRef = useRef(null);
+    const listId = useId();
+    const [users, setUsers] = useState([]);
+    const [mention, setMention] = useState(null);
+    const [activeIndex, setActiveIndex] = useState(0);
+
+    const suggestions = mention
+        ? users
+            .filter(user => user.username.toLowerCase().includes(mention.query.toLowerCase()))
+            .slice(0, MAX_SUGGESTIONS)
+        : [];
+    const showList = suggestions.length > 0;
+
+    const updateMention = (text, caret) => {
+        const match = text.slice(0, caret).match(ACTIVE_MENTION_REGEX);
+        if (!match) {
+            setMention(null);
+            return;
+        }
+
+        setMention({ query: match[1], start: caret - match[1].length - 1 });
+        setActiveIndex(0);
+        loadUsers()
+            .then(setUsers)
+            .catch(error => console.error('Error loading users for mentions:', error));
+    };
+
+    const handleChange = (e) => {
+        onChange(e.target.value);
+        updateMention(e.target.value, e.target.selectionStart);
+    };
+
+    const selectUser = (user) => {
+        const before = value.slice(0, mention.start);
+        const after = value.slice(mention.start + mention.query.length + 1).replace(/^ /, '');
+        const inserted = `@${user.username} `;
+
+        onChange(`${before}${inserted}${after}`);
+        setMention(null);
+
+        // Put the caret after the inserted mention once the new value has rendered
+        const caret = before.length + inserted.length;
+        requestAnimationFrame(() => {
+            textareaRef.current?.focus();
+            textareaRef.current?.setSelectionRange(caret, caret);
+        });
+    };
+
+    const handleKeyDown = (e) => {
+        if (!showList) return;
+
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex(index => (index + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            selectUser(suggestions[activeIndex] || suggestions[0]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            setMention(null);
+        }
+    };
+
+    const optionId = (index) => `${listId}-option-${index}`;
+
+    return (
+        <div className={styles.wrapper}>
+            <textarea
+                {...textareaProps}
+                ref={textareaRef}
+                value={value}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                onBlur={() => setMention(null)}
+                role="combobox"
+                aria-autocomplete="list"
+                aria-expanded={showList}
+                aria-controls={listId}
+                aria-activedescendant={showList ? optionId(activeIndex) : undefined}
+            />
+
+            {showList && (
+                <ul id={listId} role="listbox" className={styles.suggestions}>
+                    {suggestions.map((user, index) => (
+                        <li
+                            key={user.id}
+                            id={optionId(index)}
+                            role="option"
+                            aria-selected={index === activeIndex}
+                            className={`${styles.suggestion} ${index === activeIndex ? styles.active : ''}`}
+                            // Keep focus in the textarea so the blur doesn't close the list first
+                            onMouseDown={(e) => e.preventDefault()}
+                            onMouseEnter={() => setActiveIndex(index)}
+                            onClick={() => selectUser(user)}
+                        >
+                            <span className={styles.username}>@{user.username}</span>
+                            {user.department && <span className={styles.department}>{user.department}</span>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
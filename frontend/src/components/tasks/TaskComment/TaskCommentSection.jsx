@@ -1,9 +1,33 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../../../context/AuthContext';
 import api from '../../../services/api';
 import Modal from '../../common/Modal/Modal';
+import MentionTextarea from './MentionTextarea';
+import { ALLOWED_EXTENSIONS, formatFileSize, getAttachmentError } from '../AttachmentsPanel/attachmentRules';
 import styles from './TaskCommentSection.module.css';
 
+// Must match COMMENT_REACTIONS on the server
+const REACTIONS = ['👍', '👎', '😄', '🎉', '😕', '❤️', '🚀', '👀'];
+
+// Same rule as the server: "@username" at the start or after whitespace or an opening bracket
+const MENTION_REGEX = /(?<=^|[\s([{])@[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+/**
+ * Comment text with @mentions highlighted
+ */
+function CommentText({ text }) {
+    const parts = [];
+    let position = 0;
+    for (const match of text.matchAll(MENTION_REGEX)) {
+        if (match.index > position) parts.push(text.slice(position, match.index));
+        parts.push(<span key={match.index} className={styles.mention}>{match[0]}</span>);
+        position = match.index + match[0].length;
+    }
+    parts.push(text.slice(position));
+
+    return <p>{parts}</p>;
+}
+
 export default function CommentSection({ task, subtask, onCommentAdded, type = 'task' }) {
     const item = type === 'subtask' ? subtask : task;
     const [commentText, setCommentText] = useState('');
@@ -13,6 +37,13 @@ export default function CommentSection({ task, subtask, onCommentAdded, type = '
     const [commentToDelete, setCommentToDelete] = useState(null);
     const [editingCommentId, setEditingCommentId] = useState(null);
     const [editText, setEditText] = useState('');
+    const [replyingTo, setReplyingTo] = useState(null);
+    const [replyText, setReplyText] = useState('');
+    const [collapsedThreads, setCollapsedThreads] = useState(() => new Set());
+    const [pickerFor, setPickerFor] = useState(null);
+    const [history, setHistory] = useState(null);
+    const [commentFiles, setCommentFiles] = useState([]);
+    const [commentAttachments, setCommentAttachments] = useState([]);
     const { user } = useAuth();
 
     // Update local comments when task/subtask prop changes
@@ -20,6 +51,21 @@ export default function CommentSection({ task, subtask, onCommentAdded, type = '
         setComments(item?.comments || []);
     }, [item?.comments]);
 
+    // Files attached to comments (item-level files are shown in the attachments panel)
+    const fetchCommentAttachments = useCallback(async () => {
+        if (!item?._id) return;
+        try {
+            const response = await api.getAttachments(type, item._id);
+            setCommentAttachments((response.data || []).filter(attachment => attachment.comment));
+        } catch (error) {
+            console.error('Error fetching comment attachments:', error);
+        }
+    }, [type, item?._id]);
+
+    useEffect(() => {
+        fetchCommentAttachments();
+    }, [fetchCommentAttachments]);
+
     // Check if user can comment based on roles
     const canComment = () => {
         if (!user) return false;
@@ -70,6 +116,12 @@ export default function CommentSection({ task, subtask, onCommentAdded, type = '
         e.preventDefault();
         if (!commentText.trim()) return;
 
+        const fileError = getAttachmentError(commentFiles);
+        if (fileError) {
+            alert(fileError);
+            return;
+        }
+
         try {
             setLoading(true);
             const response = type === 'subtask'
@@ -86,11 +138,26 @@ export default function CommentSection({ task, subtask, onCommentAdded, type = '
 
             setCommentText('');
 
+            // Upload selected files to the comment that was just added
+            if (commentFiles.length > 0 && updatedItem.comments) {
+                const previousIds = new Set(comments.map(comment => comment._id));
+                const newComment = updatedItem.comments.find(comment => !previousIds.has(comment._id));
+                if (newComment) {
+                    try {
+                        await api.uploadAttachments(type, item._id, commentFiles, newComment._id);
+                        await fetchCommentAttachments();
+                    } catch (error) {
+                        alert(`Comment posted, but the files could not be uploaded: ${error.message}`);
+                    }
+                }
+                setCommentFiles([]);
+            }
+
             // Optionally notify parent component (but don't trigger full page refresh)
             onCommentAdded?.(updatedItem);
         } catch (error) {
             console.error('Error adding comment:', error);
-            alert(error.response?.data?.message || 'Failed to add comment');
+            alert(error.response?.data?.message || error.message || 'Failed to add comment');
         } finally {
             setLoading(false);
         }
@@ -170,8 +237,307 @@ export default function CommentSection({ task, subtask, onCommentAdded, type = '
             onCommentAdded?.(updatedItem);
         } catch (error) {
             console.error('Error editing comment:', error);
-            alert(error.response?.data?.message || 'Failed to edit comment');
+            alert(error.response?.data?.message || error.message || 'Failed to edit comment');
+        }
+    };
+
+    // Keep local comments in sync with the item returned by the API
+    const applyResponse = (response) => {
+        const updatedItem = response.data || response;
+        if (updatedItem.comments) {
+            setComments(updatedItem.comments);
         }
+        onCommentAdded?.(updatedItem);
+    };
+
+    const handleReplySubmit = async (e, parentId) => {
+        e.preventDefault();
+        if (!replyText.trim()) return;
+
+        try {
+            setLoading(true);
+            const response = type === 'subtask'
+                ? await api.addSubtaskComment(item._id, replyText, parentId)
+                : await api.addTaskComment(item._id, replyText, parentId);
+
+            applyResponse(response);
+            setReplyText('');
+            setReplyingTo(null);
+
+            // Make sure the new reply is visible
+            setCollapsedThreads(prev => {
+                const next = new Set(prev);
+                next.delete(parentId);
+                return next;
+            });
+        } catch (error) {
+            console.error('Error adding reply:', error);
+            alert(error.message || 'Failed to add reply');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleToggleReaction = async (commentId, emoji) => {
+        setPickerFor(null);
+
+        try {
+            const response = type === 'subtask'
+                ? await api.toggleSubtaskCommentReaction(item._id, commentId, emoji)
+                : await api.toggleTaskCommentReaction(item._id, commentId, emoji);
+
+            applyResponse(response);
+        } catch (error) {
+            console.error('Error updating reaction:', error);
+            alert(error.message || 'Failed to update reaction');
+        }
+    };
+
+    const toggleThread = (commentId) => {
+        setCollapsedThreads(prev => {
+            const next = new Set(prev);
+            if (next.has(commentId)) {
+                next.delete(commentId);
+            } else {
+                next.add(commentId);
+            }
+            return next;
+        });
+    };
+
+    // Previous versions of an edited comment, shown under it; clicking again hides them
+    const handleShowHistory = async (commentId) => {
+        if (history?.commentId === commentId) {
+            setHistory(null);
+            return;
+        }
+
+        setHistory({ commentId, versions: [], loading: true });
+        try {
+            const response = type === 'subtask'
+                ? await api.getSubtaskCommentHistory(item._id, commentId)
+                : await api.getTaskCommentHistory(item._id, commentId);
+
+            setHistory({ commentId, versions: response.data.versions, loading: false });
+        } catch (error) {
+            setHistory({ commentId, versions: [], loading: false, error: error.message || 'Failed to load edit history' });
+        }
+    };
+
+    const userId = user?.id || user?._id;
+    const isAdmin = user?.roles?.includes('admin');
+    const canReact = canComment();
+
+    // Threads: top-level comments with their replies. A reply whose parent is gone is shown on its own.
+    const commentIds = new Set(comments.map(comment => comment._id));
+    const topLevelComments = comments.filter(comment => !comment.parentId || !commentIds.has(comment.parentId));
+    const repliesByParent = {};
+    comments
+        .filter(comment => comment.parentId && commentIds.has(comment.parentId))
+        .forEach(reply => {
+            (repliesByParent[reply.parentId] = repliesByParent[reply.parentId] || []).push(reply);
+        });
+
+    const handleDownloadAttachment = async (attachment) => {
+        try {
+            await api.downloadAttachment(attachment);
+        } catch (error) {
+            alert(error.message || 'Failed to download file');
+        }
+    };
+
+    const renderCommentAttachments = (commentId) => {
+        const attachments = commentAttachments.filter(attachment => attachment.comment === commentId);
+        if (attachments.length === 0) return null;
+
+        return (
+            <ul className={styles.commentAttachments}>
+                {attachments.map(attachment => (
+                    <li key={attachment._id}>
+                        <button
+                            type="button"
+                            onClick={() => handleDownloadAttachment(attachment)}
+                            title="Download"
+                        >
+                            📎 {attachment.originalName}
+                        </button>
+                        <span>{formatFileSize(attachment.size)}</span>
+                    </li>
+                ))}
+            </ul>
+        );
+    };
+
+    // One comment; replies are indented and can't be replied to themselves
+    const renderComment = (comment, isReply) => {
+        const commentAuthorId = comment.author?._id || comment.author;
+        const isOwnComment = userId && commentAuthorId && commentAuthorId.toString() === userId.toString();
+        const isEditing = editingCommentId === comment._id;
+        const canSeeHistory = isOwnComment || isAdmin;
+
+        return (
+            <div key={comment._id} className={`${styles.comment} ${isReply ? styles.reply : ''}`}>
+                <div className={styles.commentHeader}>
+                    <strong>{comment.authorName}</strong>
+                    {!isEditing && (
+                        <div className={styles.commentActions}>
+                            {isOwnComment && (
+                                <button
+                                    className={styles.editButton}
+                                    onClick={() => handleEditClick(comment)}
+                                    title="Edit comment"
+                                >
+                                    <svg
+                                        width="16"
+                                        height="16"
+                                        viewBox="0 0 16 16"
+                                        fill="currentColor"
+                                    >
+                                        <path d="M12.146.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1 0 .708l-10 10a.5.5 0 0 1-.168.11l-5 2a.5.5 0 0 1-.65-.65l2-5a.5.5 0 0 1 .11-.168l10-10zM11.207 2.5 13.5 4.793 14.793 3.5 12.5 1.207 11.207 2.5zm1.586 3L10.5 3.207 4 9.707V10h.5a.5.5 0 0 1 .5.5v.5h.5a.5.5 0 0 1 .5.5v.5h.293l6.5-6.5zm-9.761 5.175-.106.106-1.528 3.821 3.821-1.528.106-.106A.5.5 0 0 1 5 12.5V12h-.5a.5.5 0 0 1-.5-.5V11h-.5a.5.5 0 0 1-.468-.325z"/>
+                                    </svg>
+                                </button>
+                            )}
+                            {user?.roles?.includes('admin') && (
+                                <button
+                                    className={styles.deleteButton}
+                                    onClick={() => handleDeleteClick(comment._id)}
+                                    title="Delete comment"
+                                >
+                                    <svg
+                                        width="16"
+                                        height="16"
+                                        viewBox="0 0 16 16"
+                                        fill="currentColor"
+                                    >
+                                        <path d="M5.5 5.5A.5.5 0 0 1 6 6v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm2.5 0a.5.5 0 0 1 .5.5v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm3 .5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V6z"/>
+                                        <path fillRule="evenodd" d="M14.5 3a1 1 0 0 1-1 1H13v9a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V4h-.5a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1H6a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1h3.5a1 1 0 0 1 1 1v1zM4.118 4 4 4.059V13a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1V4.059L11.882 4H4.118zM2.5 3V2h11v1h-11z"/>
+                                    </svg>
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </div>
+                {isEditing ? (
+                    <div className={styles.editForm}>
+                        <MentionTextarea
+                            value={editText}
+                            onChange={setEditText}
+                            rows={3}
+                            className={styles.editTextarea}
+                        />
+                        <div className={styles.editActions}>
+                            <button
+                                className={styles.saveButton}
+                                onClick={() => handleSaveEdit(comment._id)}
+                                disabled={!editText.trim()}
+                            >
+                                Save
+                            </button>
+                            <button
+                                className={styles.cancelButton}
+                                onClick={handleCancelEdit}
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                ) : (
+                    <>
+                        <CommentText text={comment.text} />
+                        {renderCommentAttachments(comment._id)}
+                        <small>
+                            {new Date(comment.createdAt).toLocaleString()}
+                            {comment.editedAt && (canSeeHistory ? (
+                                <button
+                                    type="button"
+                                    className={styles.editedMarker}
+                                    onClick={() => handleShowHistory(comment._id)}
+                                    title="Show previous versions"
+                                >
+                                    (edited)
+                                </button>
+                            ) : (
+                                <span className={styles.editedMarker}>(edited)</span>
+                            ))}
+                        </small>
+                        {history?.commentId === comment._id && (
+                            <div className={styles.history}>
+                                {history.loading ? (
+                                    <span>Loading previous versions...</span>
+                                ) : history.error ? (
+                                    <span className={styles.historyError}>{history.error}</span>
+                                ) : (
+                                    <ol>
+                                        {history.versions.map((version, index) => (
+                                            <li key={index}>
+                                                <span>Replaced {new Date(version.replacedAt).toLocaleString()}</span>
+                                                <p>{version.text}</p>
+                                            </li>
+                                        ))}
+                                    </ol>
+                                )}
+                            </div>
+                        )}
+                        <div className={styles.reactions}>
+                            {(comment.reactions || []).map(reaction => {
+                                const reacted = reaction.users.some(id => String(id) === String(userId));
+                                return (
+                                    <button
+                                        key={reaction.emoji}
+                                        type="button"
+                                        className={`${styles.reaction} ${reacted ? styles.reacted : ''}`}
+                                        onClick={() => handleToggleReaction(comment._id, reaction.emoji)}
+                                        disabled={!canReact}
+                                        aria-pressed={reacted}
+                                    >
+                                        {reaction.emoji} {reaction.users.length}
+                                    </button>
+                                );
+                            })}
+                            {canReact && (
+                                <div className={styles.reactionPickerWrapper}>
+                                    <button
+                                        type="button"
+                                        className={styles.addReaction}
+                                        onClick={() => setPickerFor(pickerFor === comment._id ? null : comment._id)}
+                                        title="Add reaction"
+                                        aria-label="Add reaction"
+                                        aria-expanded={pickerFor === comment._id}
+                                    >
+                                        ☺+
+                                    </button>
+                                    {pickerFor === comment._id && (
+                                        <div className={styles.reactionPicker}>
+                                            {REACTIONS.map(emoji => (
+                                                <button
+                                                    key={emoji}
+                                                    type="button"
+                                                    onClick={() => handleToggleReaction(comment._id, emoji)}
+                                                >
+                                                    {emoji}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+                            {canReact && !isReply && (
+                                <button
+                                    type="button"
+                                    className={styles.replyButton}
+                                    onClick={() => {
+                                        setReplyingTo(comment._id);
+                                        setReplyText('');
+                                    }}
+                                >
+                                    Reply
+                                </button>
+                            )}
+                        </div>
+                    </>
+                )}
+            </div>
+        );
     };
 
     return (
@@ -180,84 +546,61 @@ export default function CommentSection({ task, subtask, onCommentAdded, type = '
             
             {/* Display existing comments */}
             <div className={styles.commentsList}>
-                {comments && comments.length > 0 ? (
-                    comments.map((comment) => {
-                        const userId = user?.id || user?._id;
-                        const commentAuthorId = comment.author?._id || comment.author;
-                        const isOwnComment = userId && commentAuthorId && commentAuthorId.toString() === userId.toString();
-                        const isEditing = editingCommentId === comment._id;
+                {topLevelComments.length > 0 ? (
+                    topLevelComments.map((comment) => {
+                        const replies = repliesByParent[comment._id] || [];
+                        const collapsed = collapsedThreads.has(comment._id);
 
                         return (
-                            <div key={comment._id} className={styles.comment}>
-                                <div className={styles.commentHeader}>
-                                    <strong>{comment.authorName}</strong>
-                                    {!isEditing && (
-                                        <div className={styles.commentActions}>
-                                            {isOwnComment && (
-                                                <button
-                                                    className={styles.editButton}
-                                                    onClick={() => handleEditClick(comment)}
-                                                    title="Edit comment"
-                                                >
-                                                    <svg
-                                                        width="16"
-                                                        height="16"
-                                                        viewBox="0 0 16 16"
-                                                        fill="currentColor"
-                                                    >
-                                                        <path d="M12.146.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1 0 .708l-10 10a.5.5 0 0 1-.168.11l-5 2a.5.5 0 0 1-.65-.65l2-5a.5.5 0 0 1 .11-.168l10-10zM11.207 2.5 13.5 4.793 14.793 3.5 12.5 1.207 11.207 2.5zm1.586 3L10.5 3.207 4 9.707V10h.5a.5.5 0 0 1 .5.5v.5h.5a.5.5 0 0 1 .5.5v.5h.293l6.5-6.5zm-9.761 5.175-.106.106-1.528 3.821 3.821-1.528.106-.106A.5.5 0 0 1 5 12.5V12h-.5a.5.5 0 0 1-.5-.5V11h-.5a.5.5 0 0 1-.468-.325z"/>
-                                                    </svg>
-                                                </button>
-                                            )}
-                                            {user?.roles?.includes('admin') && (
-                                                <button
-                                                    className={styles.deleteButton}
-                                                    onClick={() => handleDeleteClick(comment._id)}
-                                                    title="Delete comment"
-                                                >
-                                                    <svg
-                                                        width="16"
-                                                        height="16"
-                                                        viewBox="0 0 16 16"
-                                                        fill="currentColor"
-                                                    >
-                                                        <path d="M5.5 5.5A.5.5 0 0 1 6 6v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm2.5 0a.5.5 0 0 1 .5.5v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm3 .5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V6z"/>
-                                                        <path fillRule="evenodd" d="M14.5 3a1 1 0 0 1-1 1H13v9a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V4h-.5a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1H6a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1h3.5a1 1 0 0 1 1 1v1zM4.118 4 4 4.059V13a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1V4.059L11.882 4H4.118zM2.5 3V2h11v1h-11z"/>
-                                                    </svg>
-                                                </button>
-                                            )}
-                                        </div>
-                                    )}
-                                </div>
-                                {isEditing ? (
-                                    <div className={styles.editForm}>
-                                        <textarea
-                                            value={editText}
-                                            onChange={(e) => setEditText(e.target.value)}
-                                            rows={3}
+                            <div key={comment._id} className={styles.thread}>
+                                {renderComment(comment, false)}
+
+                                {replies.length > 0 && (
+                                    <button
+                                        type="button"
+                                        className={styles.threadToggle}
+                                        onClick={() => toggleThread(comment._id)}
+                                        aria-expanded={!collapsed}
+                                    >
+                                        {collapsed
+                                            ? `▸ Show ${replies.length} ${replies.length === 1 ? 'reply' : 'replies'}`
+                                            : '▾ Hide replies'}
+                                    </button>
+                                )}
+
+                                {!collapsed && replies.length > 0 && (
+                                    <div className={styles.replies}>
+                                        {replies.map(reply => renderComment(reply, true))}
+                                    </div>
+                                )}
+
+                                {replyingTo === comment._id && (
+                                    <form className={styles.replyForm} onSubmit={(e) => handleReplySubmit(e, comment._id)}>
+                                        <MentionTextarea
+                                            value={replyText}
+                                            onChange={setReplyText}
+                                            placeholder={`Reply to ${comment.authorName}...`}
+                                            rows={2}
+                                            disabled={loading}
                                             className={styles.editTextarea}
                                         />
                                         <div className={styles.editActions}>
                                             <button
+                                                type="submit"
                                                 className={styles.saveButton}
-                                                onClick={() => handleSaveEdit(comment._id)}
-                                                disabled={!editText.trim()}
+                                                disabled={loading || !replyText.trim()}
                                             >
-                                                Save
+                                                {loading ? 'Posting...' : 'Reply'}
                                             </button>
                                             <button
+                                                type="button"
                                                 className={styles.cancelButton}
-                                                onClick={handleCancelEdit}
+                                                onClick={() => setReplyingTo(null)}
                                             >
                                                 Cancel
                                             </button>
                                         </div>
-                                    </div>
-                                ) : (
-                                    <>
-                                        <p>{comment.text}</p>
-                                        <small>{new Date(comment.createdAt).toLocaleString()}</small>
-                                    </>
+                                    </form>
                                 )}
                             </div>
                         );
@@ -270,16 +613,33 @@ export default function CommentSection({ task, subtask, onCommentAdded, type = '
             {/* Add new comment - only show if user has permission */}
             {canComment() ? (
                 <form onSubmit={handleSubmit} className={styles.commentForm}>
-                    <textarea
+                    <MentionTextarea
                         value={commentText}
-                        onChange={(e) => setCommentText(e.target.value)}
-                        placeholder="Add a comment..."
+                        onChange={setCommentText}
+                        placeholder="Add a comment... Type @ to mention someone"
                         rows={3}
                         disabled={loading}
                     />
-                    <button type="submit" disabled={loading || !commentText.trim()}>
-                        {loading ? 'Posting...' : 'Post Comment'}
-                    </button>
+                    <div className={styles.formFooter}>
+                        <label className={styles.attachLabel}>
+                            <input
+                                type="file"
+                                multiple
+                                accept={ALLOWED_EXTENSIONS.join(',')}
+                                onChange={(e) => setCommentFiles(Array.from(e.target.files || []))}
+                                disabled={loading}
+                            />
+                            📎 Attach files
+                        </label>
+                        {commentFiles.length > 0 && (
+                            <span className={styles.selectedFiles}>
+                                {commentFiles.map(file => file.name).join(', ')}
+                            </span>
+                        )}
+                        <button type="submit" disabled={loading || !commentText.trim()}>
+                            {loading ? 'Posting...' : 'Post Comment'}
+                        </button>
+                    </div>
                 </form>
             ) : (
                 <p className={styles.noPermission} style={{ color: '#666', fontStyle: 'italic', marginTop: '10px' }}>
@@ -1,11 +1,17 @@
 import { useForm } from 'react-hook-form';
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useProjects } from '../../../context/ProjectContext';
+import { getAllowedStatuses, getInitialStatus } from '../../projects/WorkflowEditor/workflow';
 import { useAuth } from '../../../context/AuthContext';
 import Button from '../../common/Button/Button';
 import Input from '../../common/Input/Input';
+import TagInput from '../../common/TagInput/TagInput';
 import Card from '../../common/Card/Card';
 import apiService from '../../../services/api';
+import RecurrenceEditor from '../RecurrenceEditor/RecurrenceEditor';
+import CustomFieldInputs from '../CustomFieldInputs/CustomFieldInputs';
+import { customFieldValuesFromItem, toCustomFieldValues, validateCustomFields } from '../CustomFieldInputs/customFields';
+import { recurrenceFromItem, toRecurrenceRule, validateRecurrence } from '../RecurrenceEditor/recurrence';
 import styles from './TaskForm.module.css';
 
 function TaskForm({ task, onSubmit, onCancel, initialProject }) {
@@ -27,11 +33,17 @@ function TaskForm({ task, onSubmit, onCancel, initialProject }) {
   const [eligibleAssignees, setEligibleAssignees] = useState([]);
   const [selectedAssignees, setSelectedAssignees] = useState([]);
   const [selectedAssignee, setSelectedAssignee] = useState('');
+  const [tags, setTags] = useState(task?.tags || []);
+  const [recurrence, setRecurrence] = useState(() => recurrenceFromItem(task));
+  const [recurrenceError, setRecurrenceError] = useState(null);
+  const [customFields, setCustomFields] = useState(() => customFieldValuesFromItem(task));
+  const [customFieldError, setCustomFieldError] = useState(null);
 
   const {
     register,
     handleSubmit,
     watch,
+    setValue,
     formState: { errors, isSubmitting },
   } = useForm({
     defaultValues: {
@@ -42,14 +54,25 @@ function TaskForm({ task, onSubmit, onCancel, initialProject }) {
       dueDate: task?.dueDate ? new Date(task.dueDate).toISOString().split('T')[0] : '',
       project: task?.project?._id || task?.project || initialProject || '',
       assignee: task?.assignee?.map(a => a._id || a) || [],
-      tags: task?.tags || '',
       isRecurring: task?.isRecurring || false,
-      recurrenceInterval: task?.recurrenceInterval || '',
     },
   });
 
   const watchedProject = watch('project');
   const watchedIsRecurring = watch('isRecurring');
+  const watchedDueDate = watch('dueDate');
+  const watchedStatus = watch('status');
+  const selectedProject = projects.find(p => p._id === watchedProject);
+  const projectCustomFields = selectedProject?.customFields || [];
+  // Statuses of the project's workflow the task can move to from its saved status
+  const statusOptions = useMemo(() => getAllowedStatuses(selectedProject, task?.status), [selectedProject, task?.status]);
+
+  // New tasks start in the first status of the chosen project's workflow
+  useEffect(() => {
+    if (!isEditing && !statusOptions.includes(watchedStatus)) {
+      setValue('status', getInitialStatus(selectedProject));
+    }
+  }, [isEditing, statusOptions, watchedStatus, selectedProject, setValue]);
 
   // Fetch all users for managers/admins in create mode, or all users in edit mode
   useEffect(() => {
@@ -302,6 +325,20 @@ function TaskForm({ task, onSubmit, onCancel, initialProject }) {
             return;
         }
 
+        if (data.isRecurring) {
+            const error = validateRecurrence(recurrence, data.dueDate);
+            setRecurrenceError(error);
+            if (error) {
+                return;
+            }
+        }
+
+        const fieldError = validateCustomFields(projectCustomFields, customFields);
+        setCustomFieldError(fieldError);
+        if (fieldError) {
+            return;
+        }
+
         console.log('🔵 Form data before processing:', data);
         console.log('🔵 isEditing:', isEditing);
 
@@ -311,9 +348,11 @@ function TaskForm({ task, onSubmit, onCancel, initialProject }) {
             dueDate: data.dueDate || null,
             // Use selectedAssignees state for assignee data
             assignee: selectedAssignees.map(a => a._id),
-            tags: data.tags || '',
+            tags,
+            customFields: toCustomFieldValues(projectCustomFields, customFields),
             isRecurring: !!data.isRecurring,
-            recurrenceInterval: data.isRecurring ? parseInt(data.recurrenceInterval, 10) || null : null,
+            recurrenceInterval: null,
+            recurrenceRule: data.isRecurring ? toRecurrenceRule(recurrence) : null,
         };
 
         console.log('🔵 Formatted data before delete:', formattedData);
@@ -377,10 +416,9 @@ function TaskForm({ task, onSubmit, onCancel, initialProject }) {
                 className={styles.select}
                 {...register('status', { required: 'Status is required' })}
               >
-                <option value="To Do">To Do</option>
-                <option value="In Progress">In Progress</option>
-                <option value="Blocked">Blocked</option>
-                <option value="Completed">Completed</option>
+                {statusOptions.map(status => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
               </select>
               {errors.status && (
                 <div className={styles.errorMessage}>{errors.status.message}</div>
@@ -459,13 +497,22 @@ function TaskForm({ task, onSubmit, onCancel, initialProject }) {
               </div>
             )}
 
-            <Input
-              label="Tags"
-              placeholder="e.g., bug#urgent#frontend"
-              {...register('tags')}
+            <TagInput
+              value={tags}
+              onChange={setTags}
+              projectId={watchedProject}
+              placeholder="e.g., bug, urgent, frontend"
             />
           </div>
 
+          <CustomFieldInputs
+            fields={projectCustomFields}
+            value={customFields}
+            onChange={setCustomFields}
+            users={eligibleAssignees}
+            error={customFieldError}
+          />
+
           <div className={styles.row}>
             <Input
               label="Due Date"
@@ -595,28 +642,20 @@ function TaskForm({ task, onSubmit, onCancel, initialProject }) {
                 Recurring Task
               </label>
             </div>
-            {watchedIsRecurring && (
-              <div className={styles.selectContainer} style={{ minWidth: 200 }}>
-                <Input
-                  label="Recurrence Interval (days)"
-                  type="number"
-                  min="1"
-                  required={watchedIsRecurring}
-                  {...register('recurrenceInterval', {
-                    required: watchedIsRecurring ? 'Interval is required' : false,
-                    min: {
-                      value: 1,
-                      message: 'Interval must be at least 1 day',
-                    },
-                    validate: value =>
-                      !watchedIsRecurring || (value && parseInt(value, 10) > 0) || 'Interval must be a positive number',
-                  })}
-                  error={errors.recurrenceInterval?.message}
-                />
-              </div>
-            )}
           </div>
 
+          {watchedIsRecurring && (
+            <RecurrenceEditor
+              value={recurrence}
+              onChange={(value) => {
+                setRecurrence(value);
+                setRecurrenceError(null);
+              }}
+              dueDate={watchedDueDate}
+              error={recurrenceError}
+            />
+          )}
+
           <div className={styles.actions}>
             <Button
               type="button"
@@ -0,0 +1,133 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import api from '../../../services/api';
+import { describeRecurrence } from '../RecurrenceEditor/recurrence';
+import styles from './TaskHistory.module.css';
+
+// Display labels for tracked fields (task and subtask field names)
+const FIELD_LABELS = {
+    title: 'Title',
+    description: 'Description',
+    status: 'Status',
+    priority: 'Priority',
+    dueDate: 'Due date',
+    tags: 'Tags',
+    owner: 'Owner',
+    ownerId: 'Owner',
+    assignee: 'Assignees',
+    assigneeId: 'Assignees',
+    isRecurring: 'Recurring',
+    recurrenceInterval: 'Recurrence interval',
+    recurrenceRule: 'Recurrence',
+    archived: 'Archived',
+    project: 'Project',
+    projectId: 'Project',
+    itemType: 'Type'
+};
+
+const DATE_FIELDS = ['dueDate'];
+
+const PROJECT_FIELDS = ['project', 'projectId'];
+
+function formatValue(field, value) {
+    if (value === null || value === undefined || value === '') {
+        return 'None';
+    }
+
+    if (Array.isArray(value)) {
+        return value.length > 0 ? value.map(v => formatValue(field, v)).join(', ') : 'None';
+    }
+
+    if (field === 'itemType') {
+        return value === 'task' ? 'Task' : 'Subtask';
+    }
+
+    if (field === 'recurrenceRule') {
+        return describeRecurrence({ isRecurring: true, recurrenceRule: value });
+    }
+
+    // Project references are resolved by the server to { _id, name }
+    if (PROJECT_FIELDS.includes(field)) {
+        return value.name || 'Deleted project';
+    }
+
+    // User references are resolved by the server to { _id, username }
+    if (typeof value === 'object') {
+        return value.username || 'Unknown user';
+    }
+
+    if (typeof value === 'boolean') {
+        return value ? 'Yes' : 'No';
+    }
+
+    if (DATE_FIELDS.includes(field)) {
+        return format(new Date(value), 'MMM dd, yyyy');
+    }
+
+    return String(value);
+}
+
+export default function TaskHistory({ itemId, type = 'task' }) {
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!itemId) return;
+
+        const fetchHistory = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const response = type === 'subtask'
+                    ? await api.getSubtaskHistory(itemId)
+                    : await api.getTaskHistory(itemId);
+                setEntries(response.data || []);
+            } catch (err) {
+                setError(err.message || 'Failed to load history');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchHistory();
+    }, [itemId, type]);
+
+    if (loading) {
+        return <p className={styles.emptyState}>Loading history...</p>;
+    }
+
+    if (error) {
+        return <p className={styles.error}>{error}</p>;
+    }
+
+    if (entries.length === 0) {
+        return <p className={styles.emptyState}>No changes recorded yet</p>;
+    }
+
+    // Newest changes first
+    const sortedEntries = [...entries].reverse();
+
+    return (
+        <div className={styles.historySection}>
+            <ul className={styles.historyList}>
+                {sortedEntries.map(entry => (
+                    <li key={entry._id} className={styles.historyEntry}>
+                        <div className={styles.entryHeader}>
+                            <strong>{entry.actor?.username || 'Unknown user'}</strong>
+                            <span className={styles.timestamp}>
+                                {format(new Date(entry.createdAt), 'MMM dd, yyyy HH:mm')}
+                            </span>
+                        </div>
+                        <div className={styles.change}>
+                            <span className={styles.fieldName}>{FIELD_LABELS[entry.field] || entry.field}</span>
+                            <span className={styles.oldValue}>{formatValue(entry.field, entry.oldValue)}</span>
+                            <span className={styles.arrow}>→</span>
+                            <span className={styles.newValue}>{formatValue(entry.field, entry.newValue)}</span>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
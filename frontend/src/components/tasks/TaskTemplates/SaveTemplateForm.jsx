@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import Button from '../../common/Button/Button';
+import apiService from '../../../services/api';
+import { useAuth } from '../../../context/AuthContext';
+import { useNotifications } from '../../../hooks/useNotifications';
+import styles from './TaskTemplates.module.css';
+
+/**
+ * Save a task and its subtasks as a template for its project. Managers and
+ * admins can make the template global instead.
+ */
+export default function SaveTemplateForm({ task, onSaved, onClose }) {
+  const [name, setName] = useState(task.title);
+  const [description, setDescription] = useState('');
+  const [isGlobal, setIsGlobal] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const { user } = useAuth();
+  const { addNotification } = useNotifications();
+  const canCreateGlobal = user?.roles?.includes('manager') || user?.roles?.includes('admin');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    setIsSaving(true);
+    try {
+      const response = await apiService.createTemplate({
+        taskId: task._id,
+        name: name.trim(),
+        description,
+        global: isGlobal
+      });
+      addNotification(`Saved template "${response.data.name}"`, 'success');
+      onSaved?.(response.data);
+    } catch (error) {
+      addNotification(error.message || 'Failed to save template', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className={styles.templateForm} onSubmit={handleSubmit}>
+      <h2>Save as Template</h2>
+      <p className={styles.empty}>
+        The template keeps this task&apos;s subtasks, tags, priorities and assignees. Due dates are
+        saved relative to this task&apos;s due date.
+      </p>
+
+      <label className={styles.field}>
+        Template name
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={100}
+          required
+        />
+      </label>
+
+      <label className={styles.field}>
+        Description (optional)
+        <textarea
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          rows={3}
+          placeholder="When to use this template"
+        />
+      </label>
+
+      {canCreateGlobal && (
+        <label className={styles.checkboxLabel}>
+          <input
+            type="checkbox"
+            checked={isGlobal}
+            onChange={(e) => setIsGlobal(e.target.checked)}
+          />
+          Make available in all projects
+        </label>
+      )}
+
+      <div className={styles.actions}>
+        <Button variant="secondary" onClick={onClose} disabled={isSaving}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" disabled={!name.trim() || isSaving}>
+          {isSaving ? 'Saving...' : 'Save Template'}
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,162 @@
+import { useState, useEffect, useCallback } from 'react';
+import Button from '../../common/Button/Button';
+import apiService from '../../../services/api';
+import { useAuth } from '../../../context/AuthContext';
+import { useNotifications } from '../../../hooks/useNotifications';
+import { describeDueOffset, todayInputValue } from './templates';
+import styles from './TaskTemplates.module.css';
+
+/**
+ * Pick one of a project's templates (or a global one) and create its task and
+ * subtasks, with due dates counted from the chosen anchor date.
+ * Templates can be deleted by whoever saved them and admins.
+ */
+export default function TemplatePicker({ projectId, onCreated, onClose }) {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState('');
+  const [anchorDate, setAnchorDate] = useState(todayInputValue);
+  const [isCreating, setIsCreating] = useState(false);
+  const { user } = useAuth();
+  const { addNotification } = useNotifications();
+  const userId = user?.id || user?._id;
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.getTemplates(projectId);
+      setTemplates(response.data || []);
+    } catch (error) {
+      addNotification(error.message || 'Failed to load templates', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, addNotification]);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const selected = templates.find(template => template._id === selectedId);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!selected || !anchorDate) return;
+
+    setIsCreating(true);
+    try {
+      const response = await apiService.instantiateTemplate(selected._id, projectId, anchorDate);
+      addNotification(`Created "${response.data.task.title}" from template`, 'success');
+      onCreated?.(response.data.task);
+    } catch (error) {
+      addNotification(error.message || 'Failed to create task from template', 'error');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+    try {
+      await apiService.deleteTemplate(template._id);
+      addNotification('Template deleted successfully', 'success');
+      setTemplates(prev => prev.filter(t => t._id !== template._id));
+      if (selectedId === template._id) setSelectedId('');
+    } catch (error) {
+      addNotification(error.message || 'Failed to delete template', 'error');
+    }
+  };
+
+  const canDelete = (template) =>
+    user?.roles?.includes('admin') || (template.createdBy?._id || template.createdBy) === userId;
+
+  return (
+    <form className={styles.templateForm} onSubmit={handleCreate}>
+      <h2>Create Task from Template</h2>
+
+      {loading ? (
+        <p className={styles.empty}>Loading templates...</p>
+      ) : templates.length === 0 ? (
+        <p className={styles.empty}>
+          No templates yet. Use &quot;Save as Template&quot; on a task to create one.
+        </p>
+      ) : (
+        <ul className={styles.templateList}>
+          {templates.map(template => (
+            <li
+              key={template._id}
+              className={`${styles.templateItem} ${selectedId === template._id ? styles.selected : ''}`}
+            >
+              <label className={styles.templateLabel}>
+                <input
+                  type="radio"
+                  name="template"
+                  value={template._id}
+                  checked={selectedId === template._id}
+                  onChange={() => setSelectedId(template._id)}
+                />
+                <span className={styles.templateName}>{template.name}</span>
+                <span className={styles.scope}>{template.project ? template.project.name : 'Global'}</span>
+              </label>
+              {template.description && <p className={styles.templateDescription}>{template.description}</p>}
+              <span className={styles.meta}>
+                {template.subtasks.length} subtask{template.subtasks.length === 1 ? '' : 's'}
+                {template.createdBy?.username && ` · saved by ${template.createdBy.username}`}
+              </span>
+              {canDelete(template) && (
+                <button
+                  type="button"
+                  className={styles.removeButton}
+                  onClick={() => handleDelete(template)}
+                  aria-label={`Delete template ${template.name}`}
+                  title="Delete template"
+                >
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {selected && (
+        <div className={styles.preview}>
+          <h4>{selected.task.title}</h4>
+          <p className={styles.meta}>
+            Priority {selected.task.priority} · {describeDueOffset(selected.task.dueOffsetDays)}
+            {selected.task.assignees.length > 0 && ` · ${selected.task.assignees.map(a => a.username).join(', ')}`}
+          </p>
+          {selected.subtasks.length > 0 && (
+            <ul className={styles.subtaskList}>
+              {selected.subtasks.map((subtask, index) => (
+                <li key={index}>
+                  {subtask.title}
+                  <span className={styles.meta}> · {describeDueOffset(subtask.dueOffsetDays)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <label className={styles.field}>
+        Anchor date
+        <input
+          type="date"
+          value={anchorDate}
+          onChange={(e) => setAnchorDate(e.target.value)}
+          required
+        />
+      </label>
+
+      <div className={styles.actions}>
+        <Button variant="secondary" onClick={onClose} disabled={isCreating}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" disabled={!selected || !anchorDate || isCreating}>
+          {isCreating ? 'Creating...' : 'Create Task'}
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,20 @@
+/**
+ * Describe a template item's due date offset, e.g. "3 days before the anchor date"
+ */
+export function describeDueOffset(offsetDays) {
+  if (offsetDays === null || offsetDays === undefined) return 'No due date';
+  if (offsetDays === 0) return 'Due on the anchor date';
+
+  const days = Math.abs(offsetDays);
+  const unit = days === 1 ? 'day' : 'days';
+  return `Due ${days} ${unit} ${offsetDays < 0 ? 'before' : 'after'} the anchor date`;
+}
+
+/**
+ * Today's date as YYYY-MM-DD, the format of date inputs
+ */
+export function todayInputValue() {
+  const today = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+}
@@ -0,0 +1,226 @@
+import { useState, useEffect, useCallback } from 'react';
+import Button from '../../common/Button/Button';
+import TimeLoggingInput from './TimeLoggingInput';
+import { getLocalDateKey, formatEntryDate } from './entryDate';
+import apiService from '../../../services/api';
+import { useAuth } from '../../../context/AuthContext';
+import { useNotifications } from '../../../hooks/useNotifications';
+import styles from './TimeEntryList.module.css';
+
+const formatMinutes = (minutes) => {
+  if (!minutes) return '0 mins';
+  if (minutes < 60) return `${minutes} mins`;
+
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  if (mins === 0) return `${hours}h`;
+  return `${hours}h ${mins}m`;
+};
+
+const formatElapsed = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+};
+
+/**
+ * Per-user time entries for a task or subtask, with a start/stop timer.
+ * The timer lives on the server, so it keeps running across page reloads.
+ * onChange receives the item's new total (in minutes) after any change.
+ */
+export default function TimeEntryList({ itemType = 'task', itemId, canLog = false, onChange }) {
+  const [entries, setEntries] = useState([]);
+  const [runningTimer, setRunningTimer] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [showForm, setShowForm] = useState(false);
+  const [editingEntry, setEditingEntry] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const { user } = useAuth();
+  const { addNotification } = useNotifications();
+  const userId = user?.id || user?._id;
+
+  const fetchEntries = useCallback(async () => {
+    if (!itemId) return [];
+    try {
+      const [entriesResponse, timerResponse] = await Promise.all([
+        apiService.getTimeEntries(itemType, itemId),
+        apiService.getRunningTimer()
+      ]);
+      const list = entriesResponse.data || [];
+      setEntries(list);
+      setRunningTimer(timerResponse.data || null);
+      return list;
+    } catch (error) {
+      console.error('Error fetching time entries:', error);
+      return [];
+    }
+  }, [itemType, itemId]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const isRunningHere = runningTimer && String(runningTimer.item) === String(itemId);
+
+  // Tick the elapsed time display while this item's timer runs
+  useEffect(() => {
+    if (!isRunningHere) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isRunningHere]);
+
+  const refreshAfterChange = async () => {
+    const list = await fetchEntries();
+    if (onChange) {
+      const total = list
+        .filter(entry => !entry.running)
+        .reduce((sum, entry) => sum + (entry.minutes || 0), 0);
+      await onChange(total);
+    }
+  };
+
+  const handleSave = async (entry) => {
+    setIsSaving(true);
+    try {
+      if (editingEntry) {
+        await apiService.updateTimeEntry(editingEntry._id, entry);
+        addNotification('Time entry updated successfully', 'success');
+      } else {
+        await apiService.addTimeEntry(itemType, itemId, entry);
+        addNotification('Time logged successfully', 'success');
+      }
+      setShowForm(false);
+      setEditingEntry(null);
+      await refreshAfterChange();
+    } catch (error) {
+      addNotification(error.message || 'Failed to save time entry', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (entryId) => {
+    if (!window.confirm('Delete this time entry?')) return;
+    try {
+      await apiService.deleteTimeEntry(entryId);
+      addNotification('Time entry deleted successfully', 'success');
+      await refreshAfterChange();
+    } catch (error) {
+      addNotification(error.message || 'Failed to delete time entry', 'error');
+    }
+  };
+
+  const handleStartTimer = async () => {
+    try {
+      const response = await apiService.startTimer(itemType, itemId, getLocalDateKey());
+      setRunningTimer(response.data);
+      setNow(Date.now());
+      addNotification('Timer started', 'success');
+    } catch (error) {
+      addNotification(error.message || 'Failed to start timer', 'error');
+    }
+  };
+
+  const handleStopTimer = async () => {
+    try {
+      const response = await apiService.stopTimer();
+      setRunningTimer(null);
+      addNotification(`Logged ${formatMinutes(response.data?.minutes)}`, 'success');
+      await refreshAfterChange();
+    } catch (error) {
+      addNotification(error.message || 'Failed to stop timer', 'error');
+    }
+  };
+
+  const isOwnEntry = (entry) => entry.user && String(entry.user._id || entry.user) === String(userId);
+  const finishedEntries = entries.filter(entry => !entry.running);
+
+  return (
+    <div className={styles.timeEntrySection}>
+      <div className={styles.header}>
+        <h4>Time Entries</h4>
+        {canLog && (
+          <div className={styles.headerActions}>
+            {isRunningHere ? (
+              <Button variant="danger" size="small" onClick={handleStopTimer}>
+                Stop Timer {formatElapsed(now - new Date(runningTimer.startedAt).getTime())}
+              </Button>
+            ) : (
+              <Button
+                variant="secondary"
+                size="small"
+                onClick={handleStartTimer}
+                disabled={!!runningTimer}
+                title={runningTimer ? `Timer already running on "${runningTimer.itemTitle}"` : 'Start a timer'}
+              >
+                Start Timer
+              </Button>
+            )}
+            {!showForm && (
+              <Button
+                variant="secondary"
+                size="small"
+                onClick={() => { setEditingEntry(null); setShowForm(true); }}
+              >
+                Log Time
+              </Button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {runningTimer && !isRunningHere && canLog && (
+        <p className={styles.timerElsewhere}>
+          Your timer is running on &quot;{runningTimer.itemTitle}&quot;
+        </p>
+      )}
+
+      {showForm && (
+        <TimeLoggingInput
+          key={editingEntry?._id || 'new'}
+          initialEntry={editingEntry}
+          onSave={handleSave}
+          onCancel={() => { setShowForm(false); setEditingEntry(null); }}
+          isLoading={isSaving}
+        />
+      )}
+
+      {finishedEntries.length > 0 ? (
+        <ul className={styles.entryList}>
+          {finishedEntries.map(entry => (
+            <li key={entry._id} className={styles.entryItem}>
+              <span className={styles.entryMinutes}>{formatMinutes(entry.minutes)}</span>
+              <span className={styles.entryMeta}>
+                {entry.user?.username || 'Unattributed'} · {formatEntryDate(entry.date)}
+              </span>
+              {entry.note && <span className={styles.entryNote}>{entry.note}</span>}
+              {canLog && isOwnEntry(entry) && (
+                <span className={styles.entryActions}>
+                  <button
+                    type="button"
+                    className={styles.entryButton}
+                    onClick={() => { setEditingEntry(entry); setShowForm(true); }}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    className={`${styles.entryButton} ${styles.deleteButton}`}
+                    onClick={() => handleDelete(entry._id)}
+                  >
+                    Delete
+                  </button>
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className={styles.empty}>No time logged yet</p>
+      )}
+    </div>
+  );
+}
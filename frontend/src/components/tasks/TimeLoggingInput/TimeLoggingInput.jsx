@@ -1,13 +1,17 @@
 import { useState } from 'react';
 import styles from './TimeLoggingInput.module.css';
+import { getLocalDateKey, getEntryDateKey } from './entryDate';
 
-const TimeLoggingInput = ({ 
-  currentTime = 0, 
-  onSave, 
-  onCancel, 
+// Form for a single time entry; used both to log new time and to edit an entry
+const TimeLoggingInput = ({
+  initialEntry = null,
+  onSave,
+  onCancel,
   isLoading = false
 }) => {
-  const [inputValue, setInputValue] = useState(currentTime.toString());
+  const [inputValue, setInputValue] = useState(initialEntry ? initialEntry.minutes.toString() : '');
+  const [date, setDate] = useState(initialEntry ? getEntryDateKey(initialEntry.date) : getLocalDateKey());
+  const [note, setNote] = useState(initialEntry?.note || '');
   const [error, setError] = useState('');
 
   const handleChange = (e) => {
@@ -23,12 +27,12 @@ const TimeLoggingInput = ({
     }
 
     const numValue = Number(inputValue);
-    if (isNaN(numValue) || numValue < 0) {
+    if (isNaN(numValue) || numValue <= 0) {
       setError('Time must be a positive number');
       return;
     }
 
-    onSave(numValue);
+    onSave({ minutes: numValue, date, note: note.trim() });
   };
 
   const handleKeyPress = (e) => {
@@ -42,7 +46,7 @@ const TimeLoggingInput = ({
   const formatDisplayTime = (minutes) => {
     if (minutes === 0) return '0 mins';
     if (minutes < 60) return `${minutes} mins`;
-    
+
     const hours = Math.floor(minutes / 60);
     const mins = minutes % 60;
     if (mins === 0) return `${hours}h`;
@@ -52,7 +56,7 @@ const TimeLoggingInput = ({
   return (
     <div className={styles.timeLoggingContainer}>
       <label className={styles.label}>
-        Time Taken (minutes)
+        Time Spent (minutes)
       </label>
       <div className={styles.inputWrapper}>
         <input
@@ -62,7 +66,7 @@ const TimeLoggingInput = ({
           onKeyPress={handleKeyPress}
           className={`${styles.input} ${error ? styles.inputError : ''}`}
           placeholder="Enter time in minutes"
-          min="0"
+          min="1"
           disabled={isLoading}
           autoFocus
         />
@@ -73,6 +77,33 @@ const TimeLoggingInput = ({
         )}
       </div>
 
+      <div className={styles.fieldRow}>
+        <label className={styles.fieldLabel}>
+          Date
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            onKeyPress={handleKeyPress}
+            className={styles.input}
+            disabled={isLoading}
+          />
+        </label>
+        <label className={`${styles.fieldLabel} ${styles.noteField}`}>
+          Note
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            onKeyPress={handleKeyPress}
+            className={styles.input}
+            placeholder="What did you work on? (optional)"
+            maxLength={500}
+            disabled={isLoading}
+          />
+        </label>
+      </div>
+
       {error && <span className={styles.error}>{error}</span>}
 
       <div className={styles.actions}>
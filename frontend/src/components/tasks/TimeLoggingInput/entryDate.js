@@ -0,0 +1,17 @@
+// Time entries store the day the work was done as midnight UTC
+// (toEntryDay in backend/src/utils/time-entry.utils.js)
+
+// Today's date in the user's timezone, as YYYY-MM-DD
+export function getLocalDateKey(date = new Date()) {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 10);
+}
+
+// An entry's day as YYYY-MM-DD
+export function getEntryDateKey(entryDate) {
+  return new Date(entryDate).toISOString().slice(0, 10);
+}
+
+export function formatEntryDate(entryDate) {
+  return new Date(entryDate).toLocaleDateString(undefined, { timeZone: 'UTC' });
+}
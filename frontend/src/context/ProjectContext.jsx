@@ -99,6 +99,19 @@ export function ProjectProvider({ children }) {
     }
   };
 
+  const duplicateProject = async (projectId, options) => {
+    try {
+      setError(null);
+      const response = await apiService.duplicateProject(projectId, options);
+      const copiedProject = response.data || response;
+      setProjects(prevProjects => [...prevProjects, copiedProject]);
+      return { success: true, data: copiedProject, message: response.message };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
   const getProjectById = useCallback(async (projectId) => {
     try {
       setError(null);
@@ -120,6 +133,7 @@ export function ProjectProvider({ children }) {
     deleteProject,
     archiveProject,
     unarchiveProject,
+    duplicateProject,
     getProjectById,
   };
 
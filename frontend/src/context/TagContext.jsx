@@ -0,0 +1,111 @@
+import { createContext, useState, useEffect, useCallback } from 'react';
+import apiService from '../services/api';
+import { useAuth } from './AuthContext';
+
+const TagContext = createContext();
+
+const tagKey = (name) => String(name || '').trim().replace(/^#+/, '').trim().toLowerCase();
+
+export function TagProvider({ children }) {
+  const { isAuthenticated, loading: authLoading } = useAuth();
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Every registered tag the user can see (global tags and those of their projects)
+  const fetchTags = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiService.getTags();
+      setTags(response.data || []);
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!authLoading && isAuthenticated) {
+      fetchTags();
+    } else if (!isAuthenticated) {
+      setTags([]);
+    }
+  }, [isAuthenticated, authLoading, fetchTags]);
+
+  const createTag = async (tagData) => {
+    try {
+      setError(null);
+      const response = await apiService.createTag(tagData);
+      const newTag = response.data;
+      setTags(prevTags => [...prevTags, newTag].sort((a, b) => a.key.localeCompare(b.key)));
+      return { success: true, data: newTag };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  const updateTag = async (tagId, updates) => {
+    try {
+      setError(null);
+      const response = await apiService.updateTag(tagId, updates);
+      const updatedTag = response.data;
+      setTags(prevTags => prevTags.map(tag => (tag._id === tagId ? updatedTag : tag)));
+      return { success: true, data: updatedTag };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  const deleteTag = async (tagId) => {
+    try {
+      setError(null);
+      const response = await apiService.deleteTag(tagId);
+      setTags(prevTags => prevTags.filter(tag => tag._id !== tagId));
+      return { success: true, data: response.data };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Tags usable in a project: global ones plus the project's own (only global ones without a project)
+  const getTagsForProject = useCallback((projectId) => {
+    return tags.filter(tag => !tag.project || (projectId && (tag.project._id || tag.project) === projectId));
+  }, [tags]);
+
+  // Registry entry for a tag name, preferring the project's own tag over a global one
+  const findTag = useCallback((name, projectId) => {
+    const key = tagKey(name);
+    const matches = tags.filter(tag => tag.key === key);
+    return matches.find(tag => projectId && (tag.project?._id || tag.project) === projectId) ||
+      matches.find(tag => !tag.project) ||
+      matches[0] ||
+      null;
+  }, [tags]);
+
+  const value = {
+    tags,
+    loading,
+    error,
+    fetchTags,
+    createTag,
+    updateTag,
+    deleteTag,
+    getTagsForProject,
+    findTag,
+  };
+
+  return (
+    <TagContext.Provider value={value}>
+      {children}
+    </TagContext.Provider>
+  );
+}
+
+export { TagContext };
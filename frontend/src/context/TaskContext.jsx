@@ -1,4 +1,4 @@
-import { createContext, useContext, useState, useCallback } from 'react';
+import { createContext, useContext, useState, useCallback, useRef } from 'react';
 import apiService from '../services/api';
 
 export const TaskContext = createContext();
@@ -7,6 +7,9 @@ export function TaskProvider({ children }) {
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [taskCounts, setTaskCounts] = useState(null);
+  const latestPageRequest = useRef(0);
 
   const fetchTasks = useCallback(async (filters = {}) => {
     try {
@@ -23,6 +26,41 @@ export function TaskProvider({ children }) {
     }
   }, []);
 
+  /**
+   * Fetch one page of tasks with server-side filters and sorting
+   *
+   * Parameters:
+   * - params: Query parameters for GET /api/tasks (limit is required for paging)
+   * - append: Add the page to the loaded tasks instead of replacing them
+   *
+   * Stores the pagination info (nextCursor, hasMore) and the per-status counts.
+   * Responses for older requests are ignored so quick filter changes can't race.
+   */
+  const fetchTaskPage = useCallback(async (params = {}, { append = false } = {}) => {
+    const requestId = ++latestPageRequest.current;
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiService.getTasks(params);
+      if (requestId !== latestPageRequest.current) {
+        return { success: false, stale: true };
+      }
+      setTasks(prevTasks => (append ? [...prevTasks, ...response.data] : response.data));
+      setPagination(response.pagination || null);
+      setTaskCounts(response.counts || null);
+      return { success: true };
+    } catch (err) {
+      if (requestId === latestPageRequest.current) {
+        setError(err.message);
+      }
+      return { success: false, error: err.message };
+    } finally {
+      if (requestId === latestPageRequest.current) {
+        setLoading(false);
+      }
+    }
+  }, []);
+
   const createTask = async (taskData) => {
     try {
       setError(null);
@@ -39,7 +77,7 @@ export function TaskProvider({ children }) {
   const updateTask = async (taskId, taskData) => {
     try {
       setError(null);
-      await apiService.updateTask(taskId, taskData);
+      const updateResponse = await apiService.updateTask(taskId, taskData);
 
       // Fetch the updated task again to ensure we have all populated fields
       const freshTaskResponse = await apiService.getTaskById(taskId);
@@ -50,7 +88,7 @@ export function TaskProvider({ children }) {
           task._id === taskId ? freshTask : task
         )
       );
-      return { success: true, data: freshTask };
+      return { success: true, data: freshTask, warning: updateResponse?.warning };
     } catch (err) {
       setError(err.message);
       return { success: false, error: err.message };
@@ -155,7 +193,10 @@ export function TaskProvider({ children }) {
     tasks,
     loading,
     error,
+    pagination,
+    taskCounts,
     fetchTasks,
+    fetchTaskPage,
     fetchTasksByProject,
     createTask,
     updateTask,
@@ -56,11 +56,35 @@ export function useSocket() {
       stableAddNotification(data.message, "info", 5000);
     });
 
+    socket.on("comment-mention", (data) => {
+      stableAddNotification(data.message, "info", 7000);
+    });
+
+    socket.on("comment-reply", (data) => {
+      stableAddNotification(data.message, "info", 7000);
+    });
+
     socket.on("task-archived", (data) => {
       console.log("🔔 Received task-archived event:", data);
       stableAddNotification(data.message, "warning", 5000);
     });
 
+    socket.on("task-moved", (data) => {
+      stableAddNotification(data.message, "info", 7000);
+    });
+
+    socket.on("tasks-bulk-updated", (data) => {
+      stableAddNotification(data.message, "info", 7000);
+    });
+
+        socket.on("task-unblocked", (data) => {
+      stableAddNotification(data.message, "success", 7000);
+    });
+
+    socket.on("task-deadline", (data) => {
+      stableAddNotification(data.message, "warning", 7000);
+    });
+
     socket.on("task-created", (data) => {
       stableAddNotification(data.message, "success", 5000);
     });
@@ -0,0 +1,10 @@
+import { useContext } from 'react';
+import { TagContext } from '../context/TagContext';
+
+export const useTags = () => {
+  const context = useContext(TagContext);
+  if (!context) {
+    throw new Error('useTags must be used within TagProvider');
+  }
+  return context;
+};
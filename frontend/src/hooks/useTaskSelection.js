@@ -0,0 +1,30 @@
+import { useState, useMemo, useCallback } from "react";
+
+/**
+ * Checkbox selection over a list of tasks. Only ids of tasks that are still in
+ * the list count as selected, so filtering or reloading drops stale picks.
+ */
+export function useTaskSelection(tasks) {
+  const [pickedIds, setPickedIds] = useState([]);
+
+  const selectedIds = useMemo(() => {
+    const visibleIds = new Set(tasks.map((task) => task._id));
+    return pickedIds.filter((id) => visibleIds.has(id));
+  }, [tasks, pickedIds]);
+
+  const toggle = useCallback((taskId) => {
+    setPickedIds((prev) =>
+      prev.includes(taskId) ? prev.filter((id) => id !== taskId) : [...prev, taskId]
+    );
+  }, []);
+
+  const selectAll = useCallback(() => {
+    setPickedIds(tasks.map((task) => task._id));
+  }, [tasks]);
+
+  const clear = useCallback(() => setPickedIds([]), []);
+
+  const isSelected = useCallback((taskId) => selectedIds.includes(taskId), [selectedIds]);
+
+  return { selectedIds, isSelected, toggle, selectAll, clear, setSelection: setPickedIds };
+}
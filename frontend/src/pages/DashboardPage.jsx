@@ -7,6 +7,7 @@ import { useProjects } from '../context/ProjectContext';
 import Header from '../components/common/Header/Header';
 import Button from '../components/common/Button/Button';
 import Spinner from '../components/common/Spinner/Spinner';
+import { getItemStatusCategory } from '../components/projects/WorkflowEditor/workflow';
 import styles from './DashboardPage.module.css';
 
 function DashboardPage() {
@@ -22,9 +23,9 @@ function DashboardPage() {
 
   const getTaskStats = () => {
     const total = tasks.length;
-    const inProgress = tasks.filter(task => task.status === 'In Progress').length;
-    const completed = tasks.filter(task => task.status === 'Completed').length;
-    const pending = tasks.filter(task => task.status === 'To Do').length;
+    const inProgress = tasks.filter(task => getItemStatusCategory(task) === 'active').length;
+    const completed = tasks.filter(task => getItemStatusCategory(task) === 'done').length;
+    const pending = tasks.filter(task => getItemStatusCategory(task) === 'todo').length;
     return { total, inProgress, completed, pending };
   };
 
@@ -36,7 +37,7 @@ function DashboardPage() {
 
   const getCompletionRate = () => {
     if (tasks.length === 0) return 0;
-    const completed = tasks.filter(task => task.status === 'Completed').length;
+    const completed = tasks.filter(task => getItemStatusCategory(task) === 'done').length;
     return Math.round((completed / tasks.length) * 100);
   };
 
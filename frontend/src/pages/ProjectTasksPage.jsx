@@ -18,8 +18,8 @@
  * - Backend enforces authorization and returns 403 if access is denied
  */
 
-import { useState, useEffect, useMemo, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useTasks } from '../context/TaskContext';
 import { useProjects } from '../context/ProjectContext';
 import { useAuth } from '../context/AuthContext';
@@ -28,15 +28,24 @@ import Button from '../components/common/Button/Button';
 import Spinner from '../components/common/Spinner/Spinner';
 import TaskCard from '../components/tasks/TaskCard/TaskCard';
 import TaskForm from '../components/tasks/TaskForm/TaskForm';
+import KanbanBoard from '../components/tasks/KanbanBoard/KanbanBoard';
 import Modal from '../components/common/Modal/Modal';
+import TemplatePicker from '../components/tasks/TaskTemplates/TemplatePicker';
+import BulkActionBar from '../components/tasks/BulkActionBar/BulkActionBar';
 import styles from './ProjectTasksPage.module.css';
+import CustomFieldsEditor from '../components/projects/CustomFieldsEditor/CustomFieldsEditor';
+import WorkflowEditor from '../components/projects/WorkflowEditor/WorkflowEditor';
+import { getWorkflowStatuses, isDone } from '../components/projects/WorkflowEditor/workflow';
 import ProjectScheduleTimeline from '../components/projects/ProjectScheduleTimeline/ProjectScheduleTimeline';
+import apiService from '../services/api';
+import { useTaskSelection } from '../hooks/useTaskSelection';
 
 function ProjectTasksPage() {
   const { projectId } = useParams();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const { fetchTasksByProject, createTask, updateTask, archiveTask, unarchiveTask } = useTasks();
-  const { getProjectById } = useProjects();
+  const { getProjectById, updateProject } = useProjects();
   const { user } = useAuth();
   const userId = user?.id || user?._id;
 
@@ -52,8 +61,14 @@ function ProjectTasksPage() {
   const [viewMode, setViewMode] = useState('list');
   const [activeTab, setActiveTab] = useState('active');
   const [showArchiveModal, setShowArchiveModal] = useState(false);
+  const [showTemplatePicker, setShowTemplatePicker] = useState(false);
+  const [showCustomFields, setShowCustomFields] = useState(false);
+  const [showWorkflow, setShowWorkflow] = useState(false);
   const [taskToArchive, setTaskToArchive] = useState(null);
   const [assignmentView, setAssignmentView] = useState('all'); // 'my-tasks', 'team-tasks', 'all'
+  const [dependencies, setDependencies] = useState([]);
+  const [highlightedTaskId, setHighlightedTaskId] = useState(null);
+  const taskRefs = useRef({});
 
   const loadProjectTasks = useCallback(async () => {
     try {
@@ -98,6 +113,43 @@ function ProjectTasksPage() {
     loadProjectTasks();
   }, [loadProjectTasks]);
 
+  // Dependency links are only drawn on the timeline, so fetch them lazily
+  useEffect(() => {
+    if (viewMode !== 'timeline') return;
+    apiService.getProjectDependencies(projectId)
+      .then(response => setDependencies(response.data || []))
+      .catch(err => console.error('Error fetching project dependencies:', err));
+  }, [viewMode, projectId, tasks]);
+
+  // Linked tasks (?taskId=, e.g. from search) are shown in the list and scrolled to
+  const linkedTaskId = searchParams.get('taskId');
+  useEffect(() => {
+    if (!linkedTaskId || loading) return;
+
+    const task = tasks.find(t => t._id === linkedTaskId);
+    if (!task) return;
+
+    setViewMode(mode => (mode === 'list' || mode === 'grid' ? mode : 'list'));
+    setActiveTab(task.archived ? 'archived' : 'active');
+    setAssignmentView('all');
+    setFilterTag('');
+    setHighlightedTaskId(linkedTaskId);
+    setSearchParams({}, { replace: true });
+  }, [linkedTaskId, loading, tasks, setSearchParams]);
+
+  useEffect(() => {
+    if (!highlightedTaskId) return;
+
+    const timer = setTimeout(() => {
+      taskRefs.current[highlightedTaskId]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, 300);
+    const clear = setTimeout(() => setHighlightedTaskId(null), 3000);
+    return () => {
+      clearTimeout(timer);
+      clearTimeout(clear);
+    };
+  }, [highlightedTaskId]);
+
   const handleBackToProjects = () => {
     navigate('/projects');
   };
@@ -107,6 +159,12 @@ function ProjectTasksPage() {
     setShowForm(true);
   };
 
+  // Tasks created from a template come with subtasks, so reload the project
+  const handleTemplateTaskCreated = () => {
+    setShowTemplatePicker(false);
+    loadProjectTasks();
+  };
+
   const handleEditTask = (task) => {
     setEditingTask(task);
     setShowForm(true);
@@ -149,6 +207,47 @@ function ProjectTasksPage() {
     }
   };
 
+  // Board moves go through updateTask, so the server's permission checks apply
+  const handleMoveTask = async (task, status) => {
+    const result = await updateTask(task._id, { status });
+    if (result.success) {
+      setTasks(prevTasks =>
+        prevTasks.map(t => (t._id === task._id ? result.data : t))
+      );
+    }
+    return result;
+  };
+
+  const handleSaveWipLimits = async (wipLimits) => {
+    const result = await updateProject(projectId, { wipLimits });
+    if (result.success) {
+      setProject(prev => ({ ...prev, wipLimits: result.data.wipLimits }));
+    }
+    return result;
+  };
+
+  const handleSaveCustomFields = async (customFields) => {
+    const result = await updateProject(projectId, { customFields });
+    if (result.success) {
+      setProject(prev => ({ ...prev, customFields: result.data.customFields }));
+      setShowCustomFields(false);
+      // Values of removed fields are gone from the tasks
+      loadProjectTasks();
+    }
+    return result;
+  };
+
+  const handleSaveWorkflow = async (workflow) => {
+    const result = await updateProject(projectId, { workflow });
+    if (result.success) {
+      setProject(prev => ({ ...prev, workflow: result.data.workflow, wipLimits: result.data.wipLimits }));
+      setShowWorkflow(false);
+      // Tasks in renamed or removed statuses have moved
+      loadProjectTasks();
+    }
+    return result;
+  };
+
   const handleFormSubmit = async (formData) => {
     try {
       if (editingTask) {
@@ -188,10 +287,7 @@ function ProjectTasksPage() {
   const availableTags = useMemo(() => {
     const tagsSet = new Set();
     tasks.forEach(task => {
-      if (task.tags) {
-        const taskTags = task.tags.split('#').map(tag => tag.trim()).filter(Boolean);
-        taskTags.forEach(tag => tagsSet.add(tag));
-      }
+      (task.tags || []).forEach(tag => tagsSet.add(tag));
     });
     return Array.from(tagsSet).sort();
   }, [tasks]);
@@ -223,20 +319,16 @@ function ProjectTasksPage() {
 
     // 2. Apply status filter (Active/Done/Archived)
     if (activeTab === 'active') {
-      filtered = filtered.filter(task => !task.archived && task.status !== 'Done');
+      filtered = filtered.filter(task => !task.archived && !isDone(task));
     } else if (activeTab === 'done') {
-      filtered = filtered.filter(task => !task.archived && task.status === 'Done');
+      filtered = filtered.filter(task => !task.archived && isDone(task));
     } else if (activeTab === 'archived') {
       filtered = filtered.filter(task => task.archived);
     }
 
     // 3. Apply tag filter
     if (filterTag) {
-      filtered = filtered.filter(task => {
-        if (!task.tags) return false;
-        const taskTags = task.tags.split('#').map(tag => tag.trim()).filter(Boolean);
-        return taskTags.includes(filterTag);
-      });
+      filtered = filtered.filter(task => (task.tags || []).includes(filterTag));
     }
 
     // 4. Sort
@@ -258,14 +350,36 @@ function ProjectTasksPage() {
     return filtered;
   }, [tasks, assignmentView, activeTab, filterTag, sortBy, userId]);
 
+  // The board shows every status column, so it ignores the Active/Done/Archived tabs
+  const boardTasks = useMemo(() => {
+    return tasks.filter(task => {
+      if (task.archived) return false;
+
+      const isAssignedToMe = task.assignee?.some(assignee => (assignee._id || assignee) === userId);
+      if (assignmentView === 'my-tasks' && !isAssignedToMe) return false;
+      if (assignmentView === 'team-tasks' && isAssignedToMe) return false;
+
+      if (filterTag && !(task.tags || []).includes(filterTag)) return false;
+      return true;
+    }).sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  }, [tasks, assignmentView, filterTag, userId]);
+
+  const workflowStatuses = getWorkflowStatuses(project);
+
+  const canEditWipLimits = !!project && (
+    (project.owner?._id || project.owner) === userId ||
+    user?.role === 'admin' ||
+    user?.role === 'manager'
+  );
+
   // Calculate counts based on current status tab
   const taskCounts = useMemo(() => {
     // First filter by status tab
     let statusFilteredTasks = [...tasks];
     if (activeTab === 'active') {
-      statusFilteredTasks = tasks.filter(task => !task.archived && task.status !== 'Done');
+      statusFilteredTasks = tasks.filter(task => !task.archived && !isDone(task));
     } else if (activeTab === 'done') {
-      statusFilteredTasks = tasks.filter(task => !task.archived && task.status === 'Done');
+      statusFilteredTasks = tasks.filter(task => !task.archived && isDone(task));
     } else if (activeTab === 'archived') {
       statusFilteredTasks = tasks.filter(task => task.archived);
     }
@@ -293,6 +407,9 @@ function ProjectTasksPage() {
     };
   }, [tasks, userId, activeTab]);
 
+  // Checkbox selection for bulk actions (list and grid views)
+  const selection = useTaskSelection(filteredAndSortedTasks);
+
   if (loading) {
     return (
       <div>
@@ -348,9 +465,24 @@ function ProjectTasksPage() {
                 </Button>
                 <h1>{project?.name || 'Project'} Tasks</h1>
               </div>
-              <Button variant="primary" onClick={handleCreateTask}>
-                New Task
-              </Button>
+              <div className={styles.headerActions}>
+                {canEditWipLimits && (
+                  <Button variant="secondary" onClick={() => setShowWorkflow(true)}>
+                    Workflow
+                  </Button>
+                )}
+                {canEditWipLimits && (
+                  <Button variant="secondary" onClick={() => setShowCustomFields(true)}>
+                    Custom Fields
+                  </Button>
+                )}
+                <Button variant="secondary" onClick={() => setShowTemplatePicker(true)}>
+                  From Template
+                </Button>
+                <Button variant="primary" onClick={handleCreateTask}>
+                  New Task
+                </Button>
+              </div>
             </div>
 
             {tasks.length > 0 && (
@@ -418,6 +550,12 @@ function ProjectTasksPage() {
                   >
                     📅 Project Schedule Timeline View
                   </button>
+                  <button
+                    className={`${styles.viewButton} ${viewMode === 'board' ? styles.active : ''}`}
+                    onClick={() => setViewMode('board')}
+                  >
+                    ▥ Board View
+                  </button>
                 </div>
 
                 {viewMode !== 'timeline' && (
@@ -476,29 +614,57 @@ function ProjectTasksPage() {
               </div>
             ) : (
               <>
-                {filteredAndSortedTasks.length === 0 ? (
+                {viewMode === 'board' ? (
+                  <KanbanBoard
+                    tasks={boardTasks}
+                    onMove={handleMoveTask}
+                    onOpen={handleEditTask}
+                    wipLimits={project?.wipLimits}
+                    statuses={workflowStatuses}
+                    onSaveWipLimits={canEditWipLimits ? handleSaveWipLimits : undefined}
+                  />
+                ) : filteredAndSortedTasks.length === 0 ? (
                   <div className={styles.emptyState}>
                     <h3>No tasks match your filters</h3>
                     <p>Try adjusting your filters or create a new task.</p>
                   </div>
                 ) : (
                   viewMode === 'timeline' ? (
-                    <ProjectScheduleTimeline tasks={filteredAndSortedTasks} members={project.members} />
+                    <ProjectScheduleTimeline tasks={filteredAndSortedTasks} members={project.members} dependencies={dependencies} />
                   ) : (
-                    <div className={viewMode === 'grid' ? styles.taskGrid : styles.taskList}>
-                      {filteredAndSortedTasks.map((task) => (
-                        // your existing TaskCard rendering
-                        <TaskCard
-                        key={task._id}
-                        task={task}
-                        onEdit={handleEditTask}
-                        onArchive={handleArchiveTask}
-                        onUnarchive={handleUnarchiveTask}
-                        isArchived={task.archived}
-                        onRefresh={loadProjectTasks}
+                    <>
+                      <BulkActionBar
+                        key={activeTab}
+                        selectedIds={selection.selectedIds}
+                        totalCount={filteredAndSortedTasks.length}
+                        showArchived={activeTab === 'archived'}
+                        onSelectAll={selection.selectAll}
+                        onClear={selection.clear}
+                        onSelectionChange={selection.setSelection}
+                        onComplete={loadProjectTasks}
+                        statuses={workflowStatuses.map(status => status.name)}
                       />
-                      ))}
-                    </div>
+                      <div className={viewMode === 'grid' ? styles.taskGrid : styles.taskList}>
+                        {filteredAndSortedTasks.map((task) => (
+                          <div
+                            key={task._id}
+                            ref={(el) => { taskRefs.current[task._id] = el; }}
+                            className={highlightedTaskId === task._id ? styles.highlightedTask : undefined}
+                          >
+                            <TaskCard
+                              task={task}
+                              onEdit={handleEditTask}
+                              onArchive={handleArchiveTask}
+                              onUnarchive={handleUnarchiveTask}
+                              isArchived={task.archived}
+                              onRefresh={loadProjectTasks}
+                              isSelected={selection.isSelected(task._id)}
+                              onSelect={selection.toggle}
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    </>
                   )
                   )}
               </>
@@ -506,6 +672,46 @@ function ProjectTasksPage() {
           </>
         )}
 
+        <Modal
+          isOpen={showTemplatePicker}
+          onClose={() => setShowTemplatePicker(false)}
+          size="large"
+        >
+          <TemplatePicker
+            projectId={projectId}
+            onCreated={handleTemplateTaskCreated}
+            onClose={() => setShowTemplatePicker(false)}
+          />
+        </Modal>
+
+        {showCustomFields && (
+          <Modal
+            isOpen={showCustomFields}
+            onClose={() => setShowCustomFields(false)}
+            size="large"
+          >
+            <CustomFieldsEditor
+              fields={project?.customFields || []}
+              onSave={handleSaveCustomFields}
+              onCancel={() => setShowCustomFields(false)}
+            />
+          </Modal>
+        )}
+
+        {showWorkflow && (
+          <Modal
+            isOpen={showWorkflow}
+            onClose={() => setShowWorkflow(false)}
+            size="large"
+          >
+            <WorkflowEditor
+              project={project}
+              onSave={handleSaveWorkflow}
+              onCancel={() => setShowWorkflow(false)}
+            />
+          </Modal>
+        )}
+
         <Modal
           isOpen={showArchiveModal}
           onClose={cancelArchive}
@@ -1,18 +1,23 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useProjects } from '../context/ProjectContext';
 import { useAuth } from '../context/AuthContext';
+import { useNotifications } from '../hooks/useNotifications';
 import Header from '../components/common/Header/Header';
 import Button from '../components/common/Button/Button';
 import Spinner from '../components/common/Spinner/Spinner';
 import ProjectCard from '../components/projects/ProjectCard/ProjectCard';
 import ProjectForm from '../components/projects/ProjectForm/ProjectForm';
+import DuplicateProjectForm from '../components/projects/DuplicateProjectForm/DuplicateProjectForm';
+import Modal from '../components/common/Modal/Modal';
 import styles from './ProjectsPage.module.css';
 
 function ProjectsPage() {
-  const { projects, loading, error, fetchProjects, createProject, updateProject, archiveProject, unarchiveProject } = useProjects();
+  const { projects, loading, error, fetchProjects, createProject, updateProject, archiveProject, unarchiveProject, duplicateProject } = useProjects();
   const { user } = useAuth();
+  const { addNotification } = useNotifications();
   const [showForm, setShowForm] = useState(false);
   const [editingProject, setEditingProject] = useState(null);
+  const [duplicatingProject, setDuplicatingProject] = useState(null);
   const [sortBy, setSortBy] = useState('dateCreated');
   const [filterTag, setFilterTag] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
@@ -44,6 +49,16 @@ function ProjectsPage() {
     }
   };
 
+  const handleDuplicateSubmit = async ({ name, startDate }) => {
+    const result = await duplicateProject(duplicatingProject._id, { name, startDate });
+    if (result.success) {
+      addNotification(result.message || `Created "${result.data.name}"`, 'success');
+      setDuplicatingProject(null);
+    } else {
+      addNotification(result.error || 'Failed to duplicate project', 'error');
+    }
+  };
+
   const handleFormSubmit = async (formData) => {
     try {
       if (editingProject) {
@@ -415,6 +430,7 @@ function ProjectsPage() {
                       onEdit={handleEditProject}
                       onArchive={handleArchiveProject}
                       onUnarchive={handleUnarchiveProject}
+                      onDuplicate={setDuplicatingProject}
                     />
                   </div>
                 ))}
@@ -423,6 +439,20 @@ function ProjectsPage() {
           </>
         )}
       </div>
+
+      {duplicatingProject && (
+        <Modal
+          isOpen={Boolean(duplicatingProject)}
+          onClose={() => setDuplicatingProject(null)}
+          size="medium"
+        >
+          <DuplicateProjectForm
+            project={duplicatingProject}
+            onSubmit={handleDuplicateSubmit}
+            onCancel={() => setDuplicatingProject(null)}
+          />
+        </Modal>
+      )}
     </div>
   );
 }
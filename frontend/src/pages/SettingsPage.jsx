@@ -0,0 +1,249 @@
+import { useState, useEffect } from 'react';
+import Header from '../components/common/Header/Header';
+import Button from '../components/common/Button/Button';
+import Card from '../components/common/Card/Card';
+import Spinner from '../components/common/Spinner/Spinner';
+import apiService from '../services/api';
+import { useNotifications } from '../hooks/useNotifications';
+import styles from './SettingsPage.module.css';
+
+const CHANNEL_LABELS = {
+  inApp: 'In-app',
+  toast: 'Pop-up',
+  email: 'Email',
+};
+
+const FREQUENCY_LABELS = {
+  off: 'Off (one email per deadline)',
+  daily: 'Daily',
+  weekly: 'Weekly',
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [browserTimezone];
+
+// The digest settings the user can change (not when the last digest went out)
+const toDigestForm = ({ frequency, hour, timezone, weekday }) => ({ frequency, hour, timezone, weekday });
+
+function SettingsPage() {
+  const { addNotification } = useNotifications();
+
+  const [events, setEvents] = useState([]);
+  const [channels, setChannels] = useState([]);
+  const [preferences, setPreferences] = useState({});
+  const [savedPreferences, setSavedPreferences] = useState({});
+  const [digestFrequencies, setDigestFrequencies] = useState([]);
+  const [digest, setDigest] = useState(null);
+  const [savedDigest, setSavedDigest] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const applyResponse = (data) => {
+    setEvents(data.events);
+    setChannels(data.channels);
+    setPreferences(data.preferences);
+    setSavedPreferences(data.preferences);
+    setDigestFrequencies(data.digestFrequencies);
+    setDigest(toDigestForm(data.digest));
+    setSavedDigest(toDigestForm(data.digest));
+  };
+
+  useEffect(() => {
+    const loadPreferences = async () => {
+      try {
+        const response = await apiService.getNotificationPreferences();
+        applyResponse(response.data);
+      } catch (err) {
+        console.error('Error loading notification preferences:', err);
+        setError(err.message || 'Failed to load notification preferences');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadPreferences();
+  }, []);
+
+  const toggle = (event, channel) => {
+    setPreferences(prev => ({
+      ...prev,
+      [event]: { ...prev[event], [channel]: !prev[event]?.[channel] },
+    }));
+  };
+
+  const updateDigest = (changes) => {
+    setDigest(prev => {
+      const next = { ...prev, ...changes };
+      // Turning digests on suggests the browser's timezone over the default
+      if (prev.frequency === 'off' && next.frequency !== 'off' && prev.timezone === 'UTC') {
+        next.timezone = browserTimezone;
+      }
+      return next;
+    });
+  };
+
+  const hasChanges = JSON.stringify(preferences) !== JSON.stringify(savedPreferences) ||
+    JSON.stringify(digest) !== JSON.stringify(savedDigest);
+
+  const handleDiscard = () => {
+    setPreferences(savedPreferences);
+    setDigest(savedDigest);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await apiService.updateNotificationPreferences(preferences, digest);
+      applyResponse(response.data);
+      addNotification('Notification settings saved', 'success');
+    } catch (err) {
+      setError(err.message || 'Failed to save notification settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <Header />
+      <div className={styles.page}>
+        <div className={styles.header}>
+          <div>
+            <h1>Settings</h1>
+            <p className={styles.subtitle}>
+              Choose how you hear about each kind of notification. Emails go to your username
+              when it is an email address.
+            </p>
+          </div>
+          <div className={styles.actions}>
+            <Button
+              variant="secondary"
+              size="small"
+              onClick={handleDiscard}
+              disabled={!hasChanges || saving}
+            >
+              Discard
+            </Button>
+            <Button variant="primary" size="small" onClick={handleSave} disabled={!hasChanges || saving}>
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        </div>
+
+        {error && <div className={styles.error}>{error}</div>}
+
+        {loading ? (
+          <Spinner size="large" center />
+        ) : events.length > 0 && (
+          <Card>
+            <h2 className={styles.sectionTitle}>Notifications</h2>
+            <div className={styles.tableWrapper}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th className={styles.eventColumn}>Event</th>
+                    {channels.map(channel => (
+                      <th key={channel} className={styles.cell}>{CHANNEL_LABELS[channel] || channel}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {events.map(event => (
+                    <tr key={event.type}>
+                      <td className={styles.eventColumn}>{event.label}</td>
+                      {channels.map(channel => (
+                        <td key={channel} className={styles.cell}>
+                          <input
+                            type="checkbox"
+                            checked={!!preferences[event.type]?.[channel]}
+                            onChange={() => toggle(event.type, channel)}
+                            disabled={saving}
+                            aria-label={`${event.label}: ${CHANNEL_LABELS[channel] || channel}`}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+        )}
+
+        {!loading && digest && (
+          <Card className={styles.section}>
+            <h2 className={styles.sectionTitle}>Email digest</h2>
+            <p className={styles.hint}>
+              One email with your overdue and upcoming tasks and subtasks and your unread
+              notifications, instead of one email per deadline.
+            </p>
+            <div className={styles.digestFields}>
+              <label className={styles.field}>
+                Frequency
+                <select
+                  value={digest.frequency}
+                  onChange={(e) => updateDigest({ frequency: e.target.value })}
+                  disabled={saving}
+                >
+                  {digestFrequencies.map(frequency => (
+                    <option key={frequency} value={frequency}>{FREQUENCY_LABELS[frequency] || frequency}</option>
+                  ))}
+                </select>
+              </label>
+              {digest.frequency === 'weekly' && (
+                <label className={styles.field}>
+                  Day
+                  <select
+                    value={digest.weekday}
+                    onChange={(e) => updateDigest({ weekday: Number(e.target.value) })}
+                    disabled={saving}
+                  >
+                    {WEEKDAYS.map((day, index) => <option key={day} value={index}>{day}</option>)}
+                  </select>
+                </label>
+              )}
+              {digest.frequency !== 'off' && (
+                <>
+                  <label className={styles.field}>
+                    Send at
+                    <select
+                      value={digest.hour}
+                      onChange={(e) => updateDigest({ hour: Number(e.target.value) })}
+                      disabled={saving}
+                    >
+                      {HOURS.map(hour => (
+                        <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className={styles.field}>
+                    Timezone
+                    <select
+                      value={digest.timezone}
+                      onChange={(e) => updateDigest({ timezone: e.target.value })}
+                      disabled={saving}
+                    >
+                      {[...new Set([digest.timezone, ...TIMEZONES])].map(timezone => (
+                        <option key={timezone} value={timezone}>{timezone}</option>
+                      ))}
+                    </select>
+                  </label>
+                </>
+              )}
+            </div>
+          </Card>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default SettingsPage;
@@ -1,4 +1,4 @@
-import { useState, useEffect, useMemo, useRef } from 'react';
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { useTasks } from '../context/TaskContext';
 import { useProjects } from '../context/ProjectContext';
@@ -7,12 +7,30 @@ import Button from '../components/common/Button/Button';
 import Spinner from '../components/common/Spinner/Spinner';
 import TaskCard from '../components/tasks/TaskCard/TaskCard';
 import TaskForm from '../components/tasks/TaskForm/TaskForm';
+import KanbanBoard from '../components/tasks/KanbanBoard/KanbanBoard';
+import BulkActionBar from '../components/tasks/BulkActionBar/BulkActionBar';
 import Modal from '../components/common/Modal/Modal';
+import { useTaskSelection } from '../hooks/useTaskSelection';
+import { CATEGORY_LABELS, CATEGORY_STATUSES, mapStatusToWorkflow } from '../components/projects/WorkflowEditor/workflow';
 import styles from './TasksPage.module.css';
 
+const PAGE_SIZE = 25;
+const BOARD_PAGE_SIZE = 100;
+
+// Status categories shown in each tab; archived tasks can be in any category.
+// Projects name their own statuses, so the tabs and filter work off the categories.
+const TAB_CATEGORIES = {
+  active: ['todo', 'active', 'blocked'],
+  done: ['done'],
+  archived: ['todo', 'active', 'blocked', 'done'],
+};
+
 function TasksPage() {
-  const { tasks, loading, error, fetchTasks, createTask, updateTask, archiveTask, unarchiveTask } = useTasks();
-  const { fetchProjects } = useProjects();
+  const {
+    tasks, loading, error, pagination, taskCounts,
+    fetchTaskPage, createTask, updateTask, archiveTask, unarchiveTask
+  } = useTasks();
+  const { projects, fetchProjects } = useProjects();
   const [searchParams, setSearchParams] = useSearchParams();
   const [showForm, setShowForm] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
@@ -20,16 +38,45 @@ function TasksPage() {
   const [filterTag, setFilterTag] = useState('');
   const [filterProject, setFilterProject] = useState('');
   const [filterStatus, setFilterStatus] = useState('');
-  const [viewMode, setViewMode] = useState('list'); // 'list' or 'grid'
+  const [viewMode, setViewMode] = useState('list'); // 'list', 'grid' or 'board'
   const [activeTab, setActiveTab] = useState('active'); // 'active', 'done', or 'archived'
   const [showArchiveModal, setShowArchiveModal] = useState(false);
   const [taskToArchive, setTaskToArchive] = useState(null);
   const taskRefs = useRef({});
 
+  // Filtering, sorting and paging are done by GET /api/tasks
+  const queryParams = useMemo(() => {
+    const params = {
+      sortBy,
+      limit: viewMode === 'board' ? BOARD_PAGE_SIZE : PAGE_SIZE,
+    };
+
+    if (viewMode === 'board') {
+      // The board has a column per status category, so the tabs and status filter don't apply
+      params.archived = 'false';
+    } else {
+      params.archived = activeTab === 'archived' ? 'true' : 'false';
+      params.statusCategory = filterStatus || TAB_CATEGORIES[activeTab].join(',');
+    }
+
+    if (filterTag) params.tags = filterTag;
+    if (filterProject) params.project = filterProject;
+    return params;
+  }, [sortBy, viewMode, activeTab, filterStatus, filterTag, filterProject]);
+
+  const loadTasks = useCallback(() => fetchTaskPage(queryParams), [fetchTaskPage, queryParams]);
+
+  const loadMoreTasks = () => {
+    fetchTaskPage({ ...queryParams, cursor: pagination.nextCursor }, { append: true });
+  };
+
+  useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
+
   useEffect(() => {
-    fetchTasks();
     fetchProjects();
-  }, [fetchTasks, fetchProjects]);
+  }, [fetchProjects]);
 
   // Auto-scroll and expand task from URL parameter
   useEffect(() => {
@@ -67,6 +114,7 @@ function TasksPage() {
       await archiveTask(taskToArchive);
       setShowArchiveModal(false);
       setTaskToArchive(null);
+      loadTasks();
     }
   };
 
@@ -77,6 +125,7 @@ function TasksPage() {
 
   const handleUnarchiveTask = async (taskId) => {
     await unarchiveTask(taskId);
+    loadTasks();
   };
 
   const handleFormSubmit = async (formData) => {
@@ -88,6 +137,8 @@ function TasksPage() {
       }
       setShowForm(false);
       setEditingTask(null);
+      // Status or tag changes can move the task to another tab
+      loadTasks();
     } catch (err) {
       console.error('Error saving task:', err);
     }
@@ -98,98 +149,48 @@ function TasksPage() {
     setEditingTask(null);
   };
 
-  // Get all unique tags from all tasks
+  const handleTabChange = (tab) => {
+    setActiveTab(tab);
+    setFilterStatus('');
+  };
+
+  // Tags from the loaded tasks, keeping the selected tag while it has no matches
   const availableTags = useMemo(() => {
-    const tagsSet = new Set();
+    const tagsSet = new Set(filterTag ? [filterTag] : []);
     tasks.forEach(task => {
-      if (task.tags) {
-        const taskTags = task.tags.split('#').map(tag => tag.trim()).filter(Boolean);
-        taskTags.forEach(tag => tagsSet.add(tag));
-      }
+      (task.tags || []).forEach(tag => tagsSet.add(tag));
     });
     return Array.from(tagsSet).sort();
-  }, [tasks]);
+  }, [tasks, filterTag]);
 
-  // Get all unique projects from all tasks
   const availableProjects = useMemo(() => {
-    const projectsSet = new Set();
-    tasks.forEach(task => {
-      if (task.project) {
-        const projectName = typeof task.project === 'object' ? task.project.name : task.project;
-        if (projectName) projectsSet.add(projectName);
-      }
-    });
-    return Array.from(projectsSet).sort();
-  }, [tasks]);
-
-  // Filter and sort tasks
-  const filteredAndSortedTasks = useMemo(() => {
-    let filtered = [...tasks];
-
-    // Apply tab filter
-    if (activeTab === 'active') {
-      filtered = filtered.filter(task => !task.archived && task.status !== 'Completed');
-    } else if (activeTab === 'done') {
-      filtered = filtered.filter(task => !task.archived && task.status === 'Completed');
-    } else if (activeTab === 'archived') {
-      filtered = filtered.filter(task => task.archived);
-    }
-
-    // Apply tag filter
-    if (filterTag) {
-      filtered = filtered.filter(task => {
-        if (!task.tags) return false;
-        const taskTags = task.tags.split('#').map(tag => tag.trim()).filter(Boolean);
-        return taskTags.includes(filterTag);
-      });
-    }
-
-    // Apply project filter
-    if (filterProject) {
-      filtered = filtered.filter(task => {
-        if (!task.project) return false;
-        const projectName = typeof task.project === 'object' ? task.project.name : task.project;
-        return projectName === filterProject;
-      });
-    }
-
-    // Apply status filter
-    if (filterStatus) {
-      filtered = filtered.filter(task => task.status === filterStatus);
-    }
-
-    // Apply sorting
-    filtered.sort((a, b) => {
-      switch (sortBy) {
-        case 'priority':
-          // Higher priority (10) should come first
-          return (b.priority || 0) - (a.priority || 0);
-
-        case 'dueDate':
-          // Tasks with no due date go to the end
-          if (!a.dueDate) return 1;
-          if (!b.dueDate) return -1;
-          return new Date(a.dueDate) - new Date(b.dueDate);
-
-        case 'dateCreated':
-          // Most recent first
-          return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
-
-        case 'project': {
-          const projectA = typeof a.project === 'object' ? (a.project?.name || '') : (a.project || '');
-          const projectB = typeof b.project === 'object' ? (b.project?.name || '') : (b.project || '');
-          return projectA.localeCompare(projectB);
-        }
-
-        default:
-          return 0;
-      }
-    });
+    return [...projects].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  }, [projects]);
+
+  // Tab badges come from the server so they cover every page
+  const tabCounts = useMemo(() => {
+    const byCategory = taskCounts?.byCategory || {};
+    return {
+      active: TAB_CATEGORIES.active.reduce((sum, category) => sum + (byCategory[category] || 0), 0),
+      done: byCategory.done || 0,
+      archived: taskCounts?.archived || 0,
+    };
+  }, [taskCounts]);
+
+  const hasFilters = Boolean(filterTag || filterProject || filterStatus);
+  const hasAnyTasks = hasFilters || (taskCounts ? taskCounts.total > 0 : tasks.length > 0);
+
+  // Board columns are categories; a task moves to its project's status of that category
+  const handleMoveTask = (task, column) => {
+    const { category } = CATEGORY_STATUSES.find(status => status.name === column);
+    const project = projects.find(p => p._id === (task.project?._id || task.project));
+    return updateTask(task._id, { status: mapStatusToWorkflow(column, category, project) });
+  };
 
-    return filtered;
-  }, [tasks, sortBy, filterTag, filterProject, filterStatus, activeTab]);
+  // Checkbox selection for bulk actions (list and grid views)
+  const selection = useTaskSelection(tasks);
 
-  if (loading && tasks.length === 0) {
+  if (loading && !taskCounts && tasks.length === 0) {
     return (
       <div>
         <Header />
@@ -255,44 +256,44 @@ function TasksPage() {
               </div>
             )}
 
-            {tasks.length > 0 && (
+            {hasAnyTasks && (
               <>
                 {/* Modern Tabs with Icons */}
                 <div className={styles.tabs}>
                   <button
                     className={`${styles.tab} ${activeTab === 'active' ? styles.activeTab : ''}`}
-                    onClick={() => setActiveTab('active')}
+                    onClick={() => handleTabChange('active')}
                   >
                     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                       <path d="M13 10V3L4 14h7v7l9-11h-7z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
                     </svg>
                     Active
                     <span className={styles.tabCount}>
-                      {tasks.filter(task => !task.archived && task.status !== 'Completed').length}
+                      {tabCounts.active}
                     </span>
                   </button>
                   <button
                     className={`${styles.tab} ${activeTab === 'done' ? styles.activeTab : ''}`}
-                    onClick={() => setActiveTab('done')}
+                    onClick={() => handleTabChange('done')}
                   >
                     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                       <path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
                     </svg>
                     Done
                     <span className={styles.tabCount}>
-                      {tasks.filter(task => !task.archived && task.status === 'Completed').length}
+                      {tabCounts.done}
                     </span>
                   </button>
                   <button
                     className={`${styles.tab} ${activeTab === 'archived' ? styles.activeTab : ''}`}
-                    onClick={() => setActiveTab('archived')}
+                    onClick={() => handleTabChange('archived')}
                   >
                     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                       <path d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
                     </svg>
                     Archived
                     <span className={styles.tabCount}>
-                      {tasks.filter(task => task.archived).length}
+                      {tabCounts.archived}
                     </span>
                   </button>
                 </div>
@@ -318,10 +319,19 @@ function TasksPage() {
                       </svg>
                       Grid
                     </button>
+                    <button
+                      className={`${styles.viewButton} ${viewMode === 'board' ? styles.active : ''}`}
+                      onClick={() => setViewMode('board')}
+                    >
+                      <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M4 5a1 1 0 011-1h3a1 1 0 011 1v14a1 1 0 01-1 1H5a1 1 0 01-1-1V5zM10.5 5a1 1 0 011-1h3a1 1 0 011 1v9a1 1 0 01-1 1h-3a1 1 0 01-1-1V5zM17 5a1 1 0 011-1h1a1 1 0 011 1v11a1 1 0 01-1 1h-1a1 1 0 01-1-1V5z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                      </svg>
+                      Board
+                    </button>
                   </div>
 
                   <div className={styles.resultCount}>
-                    {filteredAndSortedTasks.length} {filteredAndSortedTasks.length === 1 ? 'task' : 'tasks'}
+                    {tasks.length}{pagination?.hasMore ? '+' : ''} {tasks.length === 1 ? 'task' : 'tasks'}
                   </div>
                 </div>
 
@@ -350,8 +360,8 @@ function TasksPage() {
                       >
                         <option value="priority">Priority (High to Low)</option>
                         <option value="dueDate">Due Date (Nearest First)</option>
-                        <option value="dateCreated">Date Created (Newest First)</option>
-                        <option value="project">Project (A-Z)</option>
+                        <option value="createdAt">Date Created (Newest First)</option>
+                        <option value="title">Title (A-Z)</option>
                       </select>
                     </div>
 
@@ -393,12 +403,13 @@ function TasksPage() {
                         >
                           <option value="">All Projects</option>
                           {availableProjects.map(project => (
-                            <option key={project} value={project}>{project}</option>
+                            <option key={project._id} value={project._id}>{project.name}</option>
                           ))}
                         </select>
                       </div>
                     )}
 
+                    {viewMode !== 'board' && activeTab !== 'done' && (
                     <div className={styles.filterGroup}>
                       <label htmlFor="filterStatus" className={styles.filterLabel}>
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -413,14 +424,14 @@ function TasksPage() {
                         className={styles.filterSelect}
                       >
                         <option value="">All Statuses</option>
-                        <option value="To Do">To Do</option>
-                        <option value="In Progress">In Progress</option>
-                        <option value="Blocked">Blocked</option>
-                        <option value="Completed">Completed</option>
+                        {TAB_CATEGORIES[activeTab].map(category => (
+                          <option key={category} value={category}>{CATEGORY_LABELS[category]}</option>
+                        ))}
                       </select>
                     </div>
+                    )}
 
-                    {(filterTag || filterProject || filterStatus) && (
+                    {hasFilters && (
                       <button
                         onClick={() => {
                           setFilterTag('');
@@ -440,7 +451,7 @@ function TasksPage() {
               </>
             )}
 
-            {tasks.length === 0 ? (
+            {!hasAnyTasks ? (
               <div className={styles.emptyState}>
                 <div className={styles.emptyStateIcon}>
                   <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -457,7 +468,15 @@ function TasksPage() {
                   Create Your First Task
                 </Button>
               </div>
-            ) : filteredAndSortedTasks.length === 0 ? (
+            ) : viewMode === 'board' ? (
+              <KanbanBoard
+                tasks={tasks}
+                onMove={handleMoveTask}
+                onOpen={handleEditTask}
+                statuses={CATEGORY_STATUSES}
+                showProject
+              />
+            ) : tasks.length === 0 ? (
               <div className={styles.emptyState}>
                 <div className={styles.emptyStateIcon}>
                   <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -481,26 +500,45 @@ function TasksPage() {
                 </button>
               </div>
             ) : (
-              <div className={viewMode === 'grid' ? styles.taskGrid : styles.taskList}>
-                {filteredAndSortedTasks.map((task, index) => (
-                  <div
-                    key={task._id}
-                    ref={(el) => taskRefs.current[task._id] = el}
-                    className={styles.taskCardWrapper}
-                    style={{ animationDelay: `${index * 0.05}s` }}
-                  >
-                    <TaskCard
-                      task={task}
-                      onEdit={handleEditTask}
-                      onArchive={handleArchiveTask}
-                      onUnarchive={handleUnarchiveTask}
-                      isArchived={task.archived}
-                      onRefresh={() => {
-                        fetchTasks();
-                      }}
-                    />
-                  </div>
-                ))}
+              <>
+                <BulkActionBar
+                  key={activeTab}
+                  selectedIds={selection.selectedIds}
+                  totalCount={tasks.length}
+                  showArchived={activeTab === 'archived'}
+                  onSelectAll={selection.selectAll}
+                  onClear={selection.clear}
+                  onSelectionChange={selection.setSelection}
+                  onComplete={loadTasks}
+                />
+                <div className={viewMode === 'grid' ? styles.taskGrid : styles.taskList}>
+                  {tasks.map((task, index) => (
+                    <div
+                      key={task._id}
+                      ref={(el) => taskRefs.current[task._id] = el}
+                      className={styles.taskCardWrapper}
+                      style={{ animationDelay: `${index * 0.05}s` }}
+                    >
+                      <TaskCard
+                        task={task}
+                        onEdit={handleEditTask}
+                        onArchive={handleArchiveTask}
+                        onUnarchive={handleUnarchiveTask}
+                        isArchived={task.archived}
+                        onRefresh={loadTasks}
+                        isSelected={selection.isSelected(task._id)}
+                        onSelect={selection.toggle}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+            {hasAnyTasks && pagination?.hasMore && (
+              <div className={styles.loadMore}>
+                <Button variant="secondary" onClick={loadMoreTasks} disabled={loading}>
+                  {loading ? 'Loading...' : 'Load more tasks'}
+                </Button>
               </div>
             )}
           </>
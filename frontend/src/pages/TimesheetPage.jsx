@@ -0,0 +1,284 @@
+import { useState, useEffect, useCallback, Fragment } from 'react';
+import Header from '../components/common/Header/Header';
+import Button from '../components/common/Button/Button';
+import Card from '../components/common/Card/Card';
+import Spinner from '../components/common/Spinner/Spinner';
+import apiService from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { useNotifications } from '../hooks/useNotifications';
+import styles from './TimesheetPage.module.css';
+
+const DAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Department list from User model
+const departments = [
+  { value: 'hr', label: 'HR' },
+  { value: 'it', label: 'IT' },
+  { value: 'sales', label: 'Sales' },
+  { value: 'consultancy', label: 'Consultancy' },
+  { value: 'systems', label: 'Systems' },
+  { value: 'engineering', label: 'Engineering' },
+  { value: 'finance', label: 'Finance' },
+  { value: 'managing director', label: 'Managing Director' },
+];
+
+const formatMinutes = (minutes) => {
+  if (!minutes) return '–';
+  if (minutes < 60) return `${minutes}m`;
+
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  if (mins === 0) return `${hours}h`;
+  return `${hours}h ${mins}m`;
+};
+
+const toDateKey = (date) => date.toISOString().split('T')[0];
+
+const shiftWeek = (week, offset) => {
+  const date = new Date(week);
+  date.setUTCDate(date.getUTCDate() + offset * 7);
+  return toDateKey(date);
+};
+
+function TimesheetPage() {
+  const { user } = useAuth();
+  const { addNotification } = useNotifications();
+
+  const roles = user?.roles || [];
+  const isAdmin = roles.includes('admin');
+  const canViewDepartment = isAdmin || roles.includes('manager');
+
+  const [week, setWeek] = useState(() => toDateKey(new Date()));
+  const [scope, setScope] = useState('me');
+  const [department, setDepartment] = useState('');
+  const [timesheet, setTimesheet] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState({});
+
+  const loadTimesheet = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiService.getTimesheet(scope, {
+        week,
+        department: scope === 'department' ? department : ''
+      });
+      setTimesheet(response.data);
+    } catch (err) {
+      console.error('Error loading timesheet:', err);
+      setError(err.message || 'Failed to load timesheet');
+    } finally {
+      setLoading(false);
+    }
+  }, [scope, week, department]);
+
+  useEffect(() => {
+    loadTimesheet();
+  }, [loadTimesheet]);
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      const result = await apiService.downloadTimesheet(scope, {
+        week,
+        department: scope === 'department' ? department : ''
+      }, format);
+      addNotification(`Timesheet exported: ${result.filename}`, 'success');
+    } catch (err) {
+      addNotification(err.message || 'Failed to export timesheet', 'error');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const toggleRow = (userId) => {
+    setExpanded(prev => ({ ...prev, [userId]: !prev[userId] }));
+  };
+
+  const renderDays = (days) => days.map((minutes, index) => (
+    <td key={index} className={`${styles.cell} ${index > 4 ? styles.weekend : ''}`}>
+      {formatMinutes(minutes)}
+    </td>
+  ));
+
+  // A single person's timesheet is more useful with its items shown
+  const isExpanded = (userId) => expanded[userId] ?? timesheet?.rows.length === 1;
+
+  return (
+    <>
+      <Header />
+      <div className={styles.page}>
+        <div className={styles.header}>
+          <div>
+            <h1>Timesheet</h1>
+            <p className={styles.subtitle}>
+              {timesheet
+                ? `Week of ${timesheet.week.start} to ${timesheet.week.end}`
+                : 'Time logged across all tasks and subtasks'}
+            </p>
+          </div>
+          <div className={styles.exportActions}>
+            <Button
+              variant="secondary"
+              size="small"
+              onClick={() => handleExport('csv')}
+              disabled={!timesheet || !!exporting}
+            >
+              {exporting === 'csv' ? 'Exporting...' : 'Export CSV'}
+            </Button>
+            <Button
+              variant="secondary"
+              size="small"
+              onClick={() => handleExport('xlsx')}
+              disabled={!timesheet || !!exporting}
+            >
+              {exporting === 'xlsx' ? 'Exporting...' : 'Export XLSX'}
+            </Button>
+          </div>
+        </div>
+
+        <div className={styles.toolbar}>
+          <div className={styles.weekNav}>
+            <Button variant="ghost" size="small" onClick={() => setWeek(w => shiftWeek(w, -1))}>
+              ← Previous
+            </Button>
+            <Button variant="ghost" size="small" onClick={() => setWeek(toDateKey(new Date()))}>
+              This week
+            </Button>
+            <Button variant="ghost" size="small" onClick={() => setWeek(w => shiftWeek(w, 1))}>
+              Next →
+            </Button>
+            <input
+              type="date"
+              className={styles.dateInput}
+              value={week}
+              onChange={(e) => e.target.value && setWeek(e.target.value)}
+              aria-label="Week containing date"
+            />
+          </div>
+
+          {canViewDepartment && (
+            <div className={styles.scopeControls}>
+              <div className={styles.tabContainer}>
+                <button
+                  type="button"
+                  className={`${styles.tab} ${scope === 'me' ? styles.activeTab : ''}`}
+                  onClick={() => setScope('me')}
+                >
+                  My Timesheet
+                </button>
+                <button
+                  type="button"
+                  className={`${styles.tab} ${scope === 'department' ? styles.activeTab : ''}`}
+                  onClick={() => setScope('department')}
+                >
+                  Department
+                </button>
+              </div>
+              {isAdmin && scope === 'department' && (
+                <select
+                  className={styles.select}
+                  value={department}
+                  onChange={(e) => setDepartment(e.target.value)}
+                  aria-label="Department"
+                >
+                  <option value="">My department</option>
+                  {departments.map(dept => (
+                    <option key={dept.value} value={dept.value}>{dept.label}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+          )}
+        </div>
+
+        {error && <div className={styles.error}>{error}</div>}
+
+        {loading ? (
+          <Spinner size="large" center />
+        ) : timesheet && (
+          <Card>
+            <div className={styles.tableWrapper}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th className={styles.nameColumn}>
+                      {timesheet.department ? `Department: ${timesheet.department}` : 'User'}
+                    </th>
+                    {timesheet.week.days.map((day, index) => (
+                      <th key={day} className={`${styles.cell} ${index > 4 ? styles.weekend : ''}`}>
+                        <div>{DAY_LABELS[index]}</div>
+                        <div className={styles.dayDate}>{day.slice(5)}</div>
+                      </th>
+                    ))}
+                    <th className={styles.cell}>Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {timesheet.rows.length === 0 && (
+                    <tr>
+                      <td colSpan={9} className={styles.empty}>No users found</td>
+                    </tr>
+                  )}
+                  {timesheet.rows.map(row => {
+                    const userId = row.user._id;
+                    const open = isExpanded(userId);
+                    return (
+                      <Fragment key={userId}>
+                        <tr className={styles.userRow}>
+                          <td className={styles.nameColumn}>
+                            {row.items.length > 0 ? (
+                              <button
+                                type="button"
+                                className={styles.expandButton}
+                                onClick={() => toggleRow(userId)}
+                                aria-expanded={open}
+                              >
+                                {open ? '▾' : '▸'} {row.user.username}
+                              </button>
+                            ) : (
+                              <span className={styles.userName}>{row.user.username}</span>
+                            )}
+                          </td>
+                          {renderDays(row.days)}
+                          <td className={`${styles.cell} ${styles.total}`}>{formatMinutes(row.total)}</td>
+                        </tr>
+                        {open && row.items.map(item => (
+                          <tr key={`${item.itemType}-${item.itemId}`} className={styles.itemRow}>
+                            <td className={styles.nameColumn}>
+                              <div className={styles.itemTitle}>
+                                {item.taskTitle ? `${item.taskTitle} / ${item.title}` : item.title}
+                              </div>
+                              <div className={styles.itemMeta}>
+                                {item.itemType === 'subtask' ? 'Subtask' : 'Task'} · {item.project}
+                              </div>
+                            </td>
+                            {renderDays(item.days)}
+                            <td className={`${styles.cell} ${styles.total}`}>{formatMinutes(item.total)}</td>
+                          </tr>
+                        ))}
+                      </Fragment>
+                    );
+                  })}
+                </tbody>
+                {timesheet.rows.length > 1 && (
+                  <tfoot>
+                    <tr className={styles.footerRow}>
+                      <td className={styles.nameColumn}>Total</td>
+                      {renderDays(timesheet.dayTotals)}
+                      <td className={`${styles.cell} ${styles.total}`}>{formatMinutes(timesheet.total)}</td>
+                    </tr>
+                  </tfoot>
+                )}
+              </table>
+            </div>
+          </Card>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default TimesheetPage;
@@ -84,6 +84,34 @@ class ApiService {
         });
     }
 
+    async duplicateTask(taskId, { includeSubtasks = false, dueDate } = {}) {
+        return this.request(`/tasks/${taskId}/duplicate`, {
+            method: 'POST',
+            body: JSON.stringify({ includeSubtasks, dueDate }),
+        });
+    }
+
+    async moveTask(taskId, projectId) {
+        return this.request(`/tasks/${taskId}/move`, {
+            method: 'POST',
+            body: JSON.stringify({ projectId }),
+        });
+    }
+
+    async bulkUpdateTasks(taskIds, action, value) {
+        return this.request('/tasks/bulk', {
+            method: 'POST',
+            body: JSON.stringify({ taskIds, action, value }),
+        });
+    }
+
+    async convertTaskToSubtask(taskId, parentTaskId) {
+        return this.request(`/tasks/${taskId}/convert-to-subtask`, {
+            method: 'POST',
+            body: JSON.stringify({ parentTaskId }),
+        });
+    }
+
     async deleteTask(taskId) {
         return this.request(`/tasks/${taskId}`, {
             method: 'DELETE',
@@ -102,8 +130,21 @@ class ApiService {
         return this.request(`/tasks/${parentTaskId}/subtasks`);
     }
 
-    async getSubtasksByProject(projectId) {
-        return this.request(`/projects/${projectId}/subtasks`);
+    // Subtask counts for several tasks: { [taskId]: { total, completed } }
+    async getSubtaskCounts(taskIds) {
+        return this.request(`/subtasks/counts?taskIds=${taskIds.join(',')}`);
+    }
+
+    async convertSubtaskToTask(subtaskId) {
+        return this.request(`/subtasks/${subtaskId}/convert-to-task`, {
+            method: 'POST',
+        });
+    }
+
+    // filters: { tags } - comma-separated tags that must all be present
+    async getSubtasksByProject(projectId, filters = {}) {
+        const queryParams = new URLSearchParams(filters).toString();
+        return this.request(`/projects/${projectId}/subtasks${queryParams ? `?${queryParams}` : ''}`);
     }
 
     async getSubtaskById(subtaskId) {
@@ -161,8 +202,10 @@ class ApiService {
      * Parameters:
      * - projectId: The ID of the project to fetch tasks for
      */
-    async getTasksByProject(projectId) {
-        return this.request(`/projects/${projectId}/tasks`);
+    // filters: { tags } - comma-separated tags that must all be present
+    async getTasksByProject(projectId, filters = {}) {
+        const queryParams = new URLSearchParams(filters).toString();
+        return this.request(`/projects/${projectId}/tasks${queryParams ? `?${queryParams}` : ''}`);
     }
 
     async createProject(projectData) {
@@ -215,6 +258,13 @@ class ApiService {
         });
     }
 
+    async duplicateProject(projectId, { name, startDate } = {}) {
+        return this.request(`/projects/${projectId}/duplicate`, {
+            method: 'POST',
+            body: JSON.stringify({ name, startDate }),
+        });
+    }
+
     async archiveProject(projectId) {
         return this.request(`/projects/${projectId}`, {
             method: 'PUT',
@@ -501,10 +551,24 @@ class ApiService {
         });
     }
 
-    async addTaskComment(taskId, text) {
+    // Channels (inApp, toast, email) the user gets each kind of notification on
+    async getNotificationPreferences() {
+        return this.request('/notifications/preferences');
+    }
+
+    // digest: { frequency, hour, timezone, weekday } of the email digest
+    async updateNotificationPreferences(preferences, digest) {
+        return this.request('/notifications/preferences', {
+            method: 'PUT',
+            body: JSON.stringify({ preferences, digest }),
+        });
+    }
+
+    // parentId makes the comment a reply in that comment's thread
+    async addTaskComment(taskId, text, parentId = null) {
         return this.request(`/tasks/${taskId}/comments`, {
             method: 'POST',
-            body: JSON.stringify({ text })
+            body: JSON.stringify({ text, parentId })
         });
     }
 
@@ -521,10 +585,21 @@ class ApiService {
         });
     }
 
-    async addSubtaskComment(subtaskId, text) {
+    async toggleTaskCommentReaction(taskId, commentId, emoji) {
+        return this.request(`/tasks/${taskId}/comments/${commentId}/reactions`, {
+            method: 'POST',
+            body: JSON.stringify({ emoji })
+        });
+    }
+
+    async getTaskCommentHistory(taskId, commentId) {
+        return this.request(`/tasks/${taskId}/comments/${commentId}/history`);
+    }
+
+    async addSubtaskComment(subtaskId, text, parentId = null) {
         return this.request(`/subtasks/${subtaskId}/comments`, {
             method: 'POST',
-            body: JSON.stringify({ text })
+            body: JSON.stringify({ text, parentId })
         });
     }
 
@@ -541,6 +616,17 @@ class ApiService {
         });
     }
 
+    async toggleSubtaskCommentReaction(subtaskId, commentId, emoji) {
+        return this.request(`/subtasks/${subtaskId}/comments/${commentId}/reactions`, {
+            method: 'POST',
+            body: JSON.stringify({ emoji })
+        });
+    }
+
+    async getSubtaskCommentHistory(subtaskId, commentId) {
+        return this.request(`/subtasks/${subtaskId}/comments/${commentId}/history`);
+    }
+
     // Manual Time Logging API Methods
     async updateTaskTimeTaken(taskId, timeTaken) {
         return this.request(`/tasks/${taskId}/time-taken`, {
@@ -567,6 +653,295 @@ class ApiService {
             method: 'GET'
         });
     }
+
+    // Time Entry API Methods
+    async getTimeEntries(itemType, itemId) {
+        return this.request(`/${itemType === 'subtask' ? 'subtasks' : 'tasks'}/${itemId}/time-entries`);
+    }
+
+    async addTimeEntry(itemType, itemId, entry) {
+        return this.request(`/${itemType === 'subtask' ? 'subtasks' : 'tasks'}/${itemId}/time-entries`, {
+            method: 'POST',
+            body: JSON.stringify(entry)
+        });
+    }
+
+    async updateTimeEntry(entryId, entry) {
+        return this.request(`/time-entries/${entryId}`, {
+            method: 'PUT',
+            body: JSON.stringify(entry)
+        });
+    }
+
+    async deleteTimeEntry(entryId) {
+        return this.request(`/time-entries/${entryId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async getRunningTimer() {
+        return this.request('/time-entries/timer');
+    }
+
+    async startTimer(itemType, itemId, date) {
+        return this.request(`/${itemType === 'subtask' ? 'subtasks' : 'tasks'}/${itemId}/timer/start`, {
+            method: 'POST',
+            body: JSON.stringify({ date })
+        });
+    }
+
+    async stopTimer(note) {
+        return this.request('/time-entries/timer/stop', {
+            method: 'POST',
+            body: JSON.stringify({ note })
+        });
+    }
+
+    // Recurrence API Methods
+    async previewRecurrence(dueDate, recurrenceRule, limit = 5) {
+        return this.request('/recurrence/preview', {
+            method: 'POST',
+            body: JSON.stringify({ dueDate, recurrenceRule, limit }),
+        });
+    }
+
+    // Search API Methods
+    // params: { types: 'project,task,subtask,comment', limit }
+    async search(query, params = {}) {
+        const search = new URLSearchParams({ q: query, ...params }).toString();
+        return this.request(`/search?${search}`);
+    }
+
+    // Timesheet API Methods
+    // scope is 'me', 'department' or `users/${userId}`
+    async getTimesheet(scope = 'me', params = {}) {
+        const query = new URLSearchParams(
+            Object.fromEntries(Object.entries(params).filter(([, value]) => value))
+        ).toString();
+        return this.request(`/timesheets/${scope}${query ? `?${query}` : ''}`);
+    }
+
+    async downloadTimesheet(scope = 'me', params = {}, format = 'csv') {
+        const query = new URLSearchParams({
+            ...Object.fromEntries(Object.entries(params).filter(([, value]) => value)),
+            format
+        }).toString();
+
+        const response = await fetch(`${API_BASE_URL}/timesheets/${scope}?${query}`, {
+            method: 'GET',
+            credentials: 'include',
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || 'Failed to export timesheet');
+        }
+
+        let filename = `timesheet.${format}`;
+        const contentDisposition = response.headers.get('content-disposition');
+        if (contentDisposition) {
+            const filenameMatch = contentDisposition.match(/filename="(.+)"/);
+            if (filenameMatch) {
+                filename = filenameMatch[1];
+            }
+        }
+
+        // Create blob and trigger download
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+
+        return { success: true, filename };
+    }
+
+    // Audit Trail API Methods
+    async getTaskHistory(taskId) {
+        return this.request(`/tasks/${taskId}/history`);
+    }
+
+    async getSubtaskHistory(subtaskId) {
+        return this.request(`/subtasks/${subtaskId}/history`);
+    }
+
+    // Dependency API Methods
+    async getDependencies(itemType, itemId) {
+        return this.request(`/${itemType === 'subtask' ? 'subtasks' : 'tasks'}/${itemId}/dependencies`);
+    }
+
+    async addDependency(itemType, itemId, blockerType, blockerId) {
+        return this.request(`/${itemType === 'subtask' ? 'subtasks' : 'tasks'}/${itemId}/dependencies`, {
+            method: 'POST',
+            body: JSON.stringify({ blockerType, blockerId })
+        });
+    }
+
+    async removeDependency(itemType, itemId, dependencyId) {
+        return this.request(`/${itemType === 'subtask' ? 'subtasks' : 'tasks'}/${itemId}/dependencies/${dependencyId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async getProjectDependencies(projectId) {
+        return this.request(`/projects/${projectId}/dependencies`);
+    }
+
+    // Checklist API Methods
+    async getChecklist(itemType, itemId) {
+        return this.request(`/${itemType === 'subtask' ? 'subtasks' : 'tasks'}/${itemId}/checklist`);
+    }
+
+    async addChecklistItem(itemType, itemId, text, owner = null) {
+        return this.request(`/${itemType === 'subtask' ? 'subtasks' : 'tasks'}/${itemId}/checklist`, {
+            method: 'POST',
+            body: JSON.stringify({ text, owner })
+        });
+    }
+
+    // updates: { text, done, owner }
+    async updateChecklistItem(itemType, itemId, checklistItemId, updates) {
+        return this.request(`/${itemType === 'subtask' ? 'subtasks' : 'tasks'}/${itemId}/checklist/${checklistItemId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updates)
+        });
+    }
+
+    async removeChecklistItem(itemType, itemId, checklistItemId) {
+        return this.request(`/${itemType === 'subtask' ? 'subtasks' : 'tasks'}/${itemId}/checklist/${checklistItemId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async reorderChecklist(itemType, itemId, order) {
+        return this.request(`/${itemType === 'subtask' ? 'subtasks' : 'tasks'}/${itemId}/checklist/order`, {
+            method: 'PUT',
+            body: JSON.stringify({ order })
+        });
+    }
+
+    // Attachment API Methods
+    async getAttachments(itemType, itemId) {
+        return this.request(`/${itemType === 'subtask' ? 'subtasks' : 'tasks'}/${itemId}/attachments`);
+    }
+
+    // Pass a commentId to attach the files to one of the item's comments
+    async uploadAttachments(itemType, itemId, files, commentId = null) {
+        const base = `/${itemType === 'subtask' ? 'subtasks' : 'tasks'}/${itemId}`;
+        const endpoint = commentId ? `${base}/comments/${commentId}/attachments` : `${base}/attachments`;
+
+        const formData = new FormData();
+        Array.from(files).forEach(file => formData.append('files', file));
+
+        // Let the browser set the multipart Content-Type (with boundary)
+        const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+            method: 'POST',
+            body: formData,
+            credentials: 'include',
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.message || 'Failed to upload files');
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    async downloadAttachment(attachment) {
+        const response = await fetch(`${API_BASE_URL}/attachments/${attachment._id}/download`, {
+            method: 'GET',
+            credentials: 'include',
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || 'Failed to download file');
+        }
+
+        // Create blob and trigger download
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = attachment.originalName;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+
+        return { success: true, filename: attachment.originalName };
+    }
+
+    async deleteAttachment(attachmentId) {
+        return this.request(`/attachments/${attachmentId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Template API Methods
+    // Without a projectId only global templates are returned
+    async getTemplates(projectId = null) {
+        return this.request(projectId ? `/templates?projectId=${projectId}` : '/templates');
+    }
+
+    // template: { taskId, name, description, global }
+    async createTemplate(template) {
+        return this.request('/templates', {
+            method: 'POST',
+            body: JSON.stringify(template)
+        });
+    }
+
+    async deleteTemplate(templateId) {
+        return this.request(`/templates/${templateId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async instantiateTemplate(templateId, projectId, anchorDate) {
+        return this.request(`/templates/${templateId}/instantiate`, {
+            method: 'POST',
+            body: JSON.stringify({ projectId, anchorDate })
+        });
+    }
+
+    // Tag API Methods
+    // With a projectId: global tags plus that project's tags; without: every tag the user can see
+    async getTags({ projectId, search } = {}) {
+        const params = new URLSearchParams();
+        if (projectId) params.set('projectId', projectId);
+        if (search) params.set('search', search);
+        const queryParams = params.toString();
+        return this.request(queryParams ? `/tags?${queryParams}` : '/tags');
+    }
+
+    // tag: { name, color, description, scope: 'global' | 'project', projectId }
+    async createTag(tag) {
+        return this.request('/tags', {
+            method: 'POST',
+            body: JSON.stringify(tag)
+        });
+    }
+
+    // updates: { name, color, description }
+    async updateTag(tagId, updates) {
+        return this.request(`/tags/${tagId}`, {
+            method: 'PUT',
+            body: JSON.stringify(updates)
+        });
+    }
+
+    async deleteTag(tagId) {
+        return this.request(`/tags/${tagId}`, {
+            method: 'DELETE'
+        });
+    }
 }
 
 export default new ApiService();
\ No newline at end of file
@@ -14,11 +14,10 @@ module "lambda_function" {
       path = "${path.module}/../backend/src"
       patterns = [
         "lambda/.*",
-        "services/email-notification.services.js",
-        "models/task.model.js",
-        "models/user.model.js",
-        "models/notification.model.js",
-        "config/db.js",
+        "config/.*",
+        "services/.*",
+        "models/.*",
+        "utils/.*",
         "!app.js",
         "!server.js",
         "!routes/.*",
@@ -60,7 +59,7 @@ module "lambda_function" {
 resource "aws_cloudwatch_event_rule" "deadline_notifications" {
   name                = "${var.project_name}-${var.environment}-deadline-notifications"
   description         = "Trigger Lambda every hour to check task deadlines"
-  schedule_expression = "cron(0 0 * * ? *)"
+  schedule_expression = "cron(0 * * * ? *)"
   
   tags = {
     Environment = var.environment